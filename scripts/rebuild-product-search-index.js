@@ -0,0 +1,34 @@
+/**
+ * یک بار بعد از استقرار اجرا شود تا متن نرمال‌شده جستجو (searchIndex) برای محصولات موجود ساخته
+ * و ایندکس متنی product_search_text ایجاد شود. محصولات جدید و ویرایش‌شده خودکار به‌روز می‌شوند.
+ *
+ * اجرا روی سرور: docker-compose exec backend node scripts/rebuild-product-search-index.js
+ * یا از لوکال با MONGODB_URI: node scripts/rebuild-product-search-index.js
+ */
+import 'dotenv/config';
+import { Database } from '../src/config/database.js';
+import { Product } from '../src/modules/products/model.js';
+
+async function run() {
+  try {
+    await Database.connect();
+    await Product.syncIndexes();
+
+    let updated = 0;
+    const cursor = Product.find({}).cursor();
+    for await (const product of cursor) {
+      product.buildSearchIndex();
+      await Product.updateOne({ _id: product._id }, { $set: { searchIndex: product.searchIndex } });
+      updated++;
+    }
+
+    await Database.disconnect();
+    console.log(`Done. ${updated} products indexed.`);
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+run();
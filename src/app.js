@@ -14,6 +14,9 @@ import { redisClient } from './config/redis.js';
 import { config } from './config/environment.js';
 import { swaggerSpec } from './config/swagger.js';
 import { i18nMiddleware } from './middleware/i18n.js';
+import { currencyMiddleware } from './middleware/currency.js';
+import { requestId } from './middleware/requestId.js';
+import { maintenanceGate } from './middleware/maintenance.js';
 import { pagination } from './middleware/pagination.js';
 import { generalLimiter } from './middleware/rateLimit.js';
 import { securityMiddleware, csrfProtection } from './middleware/security.js';
@@ -58,6 +61,12 @@ import orderRoutes from './modules/orders/routes.js';
 import paymentRoutes from './modules/payments/routes.js';
 import shippingRoutes from './modules/shipping/routes.js';
 import couponRoutes from './modules/coupons/routes.js';
+import loyaltyRoutes from './modules/loyalty/routes.js';
+import subscriptionRoutes from './modules/subscriptions/routes.js';
+import wishlistRoutes from './modules/wishlists/routes.js';
+import currencyRoutes from './modules/currencies/routes.js';
+import { CurrencyService } from './modules/currencies/service.js';
+import taxRoutes from './modules/tax/routes.js';
 import emailAccountsRoutes from './modules/email-accounts/routes.js';
 import chatRoutes from './modules/chat/routes.js';
 import { SystemLogger } from './utils/systemLogger.js';
@@ -97,6 +106,9 @@ class App {
       // Display connection status
       PrettyLogger.connectionStatus(connections);
       logger.info('Database connections established');
+
+      // Built-in currencies (and the one-time relabel of legacy IRR prices) before the first request
+      await CurrencyService.getCurrencies();
     } catch (error) {
       PrettyLogger.error('Database initialization failed', error.message);
       await SystemLogger.logDatabaseConnection('failed', {
@@ -107,6 +119,9 @@ class App {
   }
 
   initializeMiddleware() {
+    // Client IP (req.ip) from X-Forwarded-For when behind the configured proxy
+    this.app.set('trust proxy', config.TRUST_PROXY);
+
     // CORS configuration - MUST be first to handle preflight requests
     this.app.use(
       cors({
@@ -130,9 +145,10 @@ class App {
           'X-CSRF-Token',
           'X-Requested-With',
           'X-Browser-Fingerprint',
-          'X-Guest-ID'
+          'X-Guest-ID',
+          'X-Request-ID'
         ],
-        exposedHeaders: ['X-CSRF-Token'],
+        exposedHeaders: ['X-CSRF-Token', 'X-Request-ID'],
         preflightContinue: false,
         optionsSuccessStatus: 204
       })
@@ -148,6 +164,9 @@ class App {
       }
     }
 
+    // Request ID (matches responses to activity/system logs)
+    this.app.use(requestId);
+
     // Security middleware
     this.app.use(securityMiddleware);
 
@@ -167,6 +186,12 @@ class App {
     // Internationalization
     this.app.use(i18nMiddleware);
 
+    // Maintenance mode (503 for visitors; needs req.language)
+    this.app.use(maintenanceGate);
+
+    // Display currency
+    this.app.use(currencyMiddleware);
+
     // CSRF protection (after auth but before routes)
     // Note: CSRF is applied conditionally in routes that need it
 
@@ -176,6 +201,7 @@ class App {
     // Request logging
     this.app.use((req, res, next) => {
       logger.info(`${req.method} ${req.originalUrl}`, {
+        requestId: req.id,
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         user: req.user?.email
@@ -274,6 +300,11 @@ class App {
     apiRouter.use('/payments', paymentRoutes);
     apiRouter.use('/shipping', shippingRoutes);
     apiRouter.use('/coupons', couponRoutes);
+    apiRouter.use('/loyalty', loyaltyRoutes);
+    apiRouter.use('/subscriptions', subscriptionRoutes);
+    apiRouter.use('/wishlists', wishlistRoutes);
+    apiRouter.use('/currencies', currencyRoutes);
+    apiRouter.use('/tax', taxRoutes);
     apiRouter.use('/email-accounts', emailAccountsRoutes);
     apiRouter.use('/chat', chatRoutes);
 
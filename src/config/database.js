@@ -3,6 +3,8 @@ import { config } from './environment.js';
 import { logger } from '../utils/logger.js';
 
 export class Database {
+  static transactionSupport = null;
+
   static async connect() {
     try {
       await mongoose.connect(config.MONGODB_URI, {
@@ -19,6 +21,32 @@ export class Database {
 
   static async disconnect() {
     await mongoose.connection.close();
+    this.transactionSupport = null;
     logger.info('MongoDB disconnected');
   }
-}
\ No newline at end of file
+
+  /**
+   * Check whether the connected deployment supports multi-document transactions
+   * (replica set member or mongos). The result is cached per connection.
+   * @returns {Promise<boolean>}
+   */
+  static async supportsTransactions() {
+    if (this.transactionSupport !== null) {
+      return this.transactionSupport;
+    }
+
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      this.transactionSupport = !!(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+      logger.warn('Could not detect MongoDB transaction support:', error.message);
+      this.transactionSupport = false;
+    }
+
+    if (!this.transactionSupport) {
+      logger.warn('MongoDB transactions unavailable (standalone server), using compensating rollback');
+    }
+
+    return this.transactionSupport;
+  }
+}
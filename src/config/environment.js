@@ -1,3 +1,18 @@
+/**
+ * Express "trust proxy" value from env: "true"/"false", a hop count, or a comma-separated list of IPs/subnets
+ * @param {string} value - TRUST_PROXY
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 export const config = {
     NODE_ENV: process.env.NODE_ENV || 'development',
     PORT: process.env.PORT,
@@ -44,6 +59,10 @@ export const config = {
     BCRYPT_SALT_ROUNDS: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
     MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 10485760,
     
+    // Reverse proxy in front of the app (Express "trust proxy"): hop count, true, or IPs/subnets.
+    // Needed for req.ip to be the client's address (maintenance allowlist, rate limits, logs)
+    TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
+
     // Rate Limiting
     RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
     RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
@@ -1,16 +1,40 @@
+import mongoose from 'mongoose';
 import { auditLogger } from '../utils/logger.js';
 import { baleService } from '../utils/bale.js';
 import { LogService } from '../modules/logs/service.js';
 
-export const auditLog = (action, resource) => {
+/**
+ * Audit middleware: records the request in the activity log once the response is sent.
+ * With options.model (a mongoose model name), the record at req.params[idParam] is read
+ * before and after the handler and the log holds the field-level diff; otherwise the
+ * request body of PUT/PATCH is kept as the change.
+ * @param {string} action - Action, e.g. UPDATE_PRODUCT
+ * @param {string} resource - Resource name, e.g. products
+ * @param {Object} options - { model, idParam = 'id' }
+ */
+export const auditLog = (action, resource, options = {}) => {
   return async (req, res, next) => {
     const originalSend = res.send;
-    
+    const { model: modelName, idParam = 'id' } = options;
+    const Model = modelName ? mongoose.models[modelName] : null;
+    const recordId = req.params[idParam];
+    const tracksRecord = Model && recordId && mongoose.isValidObjectId(recordId) && req.method !== 'GET';
+
+    let before;
+    if (tracksRecord) {
+      try {
+        before = await Model.findById(recordId).lean();
+      } catch (error) {
+        auditLogger.error('Failed to read record for audit diff:', error);
+      }
+    }
+
     res.send = function(data) {
       const auditData = {
         action,
         resource,
         user: req.user,
+        requestId: req.id,
         method: req.method,
         url: req.originalUrl,
         ip: req.ip,
@@ -23,79 +47,38 @@ export const auditLog = (action, resource) => {
 
       // Log to MongoDB (Activity Log) if user is authenticated
       if (req.user && req.user.id) {
-        // Map HTTP methods to action types
-        let logAction = action;
-        if (!logAction) {
-          switch (req.method) {
-            case 'POST':
-              logAction = 'CREATE';
-              break;
-            case 'GET':
-              logAction = 'READ';
-              break;
-            case 'PUT':
-            case 'PATCH':
-              logAction = 'UPDATE';
-              break;
-            case 'DELETE':
-              logAction = 'DELETE';
-              break;
-            default:
-              logAction = 'READ';
-          }
-        } else {
-          // Normalize action names to match enum values
-          // Convert CREATE_TICKET, CREATE_BRAND, etc. to CREATE
-          if (logAction.startsWith('CREATE_')) {
-            logAction = 'CREATE';
-          } else if (logAction.startsWith('UPDATE_')) {
-            logAction = 'UPDATE';
-          } else if (logAction.startsWith('DELETE_')) {
-            logAction = 'DELETE';
-          } else if (logAction.startsWith('READ_')) {
-            logAction = 'READ';
-          } else if (logAction === 'UPLOAD_MEDIA' || logAction === 'BULK_UPLOAD_MEDIA') {
-            logAction = 'FILE_UPLOAD';
-          }
-          // Keep specific actions as-is (LOGIN, LOGOUT, ADD_TICKET_MESSAGE, etc.)
-          const specificActions = ['LOGIN', 'LOGOUT', 'PASSWORD_CHANGE', 'PASSWORD_RESET', 
-            'ROLE_ASSIGN', 'PERMISSION_GRANT', 'PERMISSION_REVOKE', 'FILE_UPLOAD', 'FILE_DELETE',
-            'EXPORT', 'IMPORT', 'SETTINGS_UPDATE', 'SYSTEM_CONFIG_CHANGE',
-            'WEBAUTHN_REGISTER_OPTIONS', 'WEBAUTHN_REGISTER', 'WEBAUTHN_AUTHENTICATE',
-            'WEBAUTHN_DELETE_CREDENTIAL', 'WEBAUTHN_AUTHENTICATE_OPTIONS',
-            'ADD_TICKET_MESSAGE', 'ASSIGN_TICKET', 'CLOSE_TICKET',
-            'INITIALIZE_PAYMENT', 'VERIFY_PAYMENT', 'CANCEL_PAYMENT', 'REFUND_PAYMENT',
-            'CANCEL_ORDER'];
-          if (specificActions.includes(logAction)) {
-            // Keep as-is
-          }
-        }
-
-        // Extract changes from request body if available
-        let changes = {};
-        if (req.method === 'PUT' || req.method === 'PATCH') {
-          changes = req.body || {};
-        }
-
-        // Create activity log in MongoDB
-        LogService.createActivityLog({
+        const entry = {
           user: req.user.id,
-          action: logAction,
-          resource: resource || req.originalUrl.split('/')[2] || 'unknown',
-          resourceId: req.params.id || req.body?.id || null,
-          description: `${logAction} ${resource || req.originalUrl}`,
+          actor: { email: req.user.email, role: req.user.role },
+          action,
+          resource: resource || req.originalUrl.split('/')[3] || 'unknown',
+          resourceId: recordId || req.body?.id || null,
+          description: `${action || req.method} ${resource || req.originalUrl}`,
+          requestId: req.id,
           ip: req.ip,
           userAgent: req.get('User-Agent'),
           method: req.method,
           url: req.originalUrl,
           statusCode: res.statusCode,
-          changes,
           metadata: {
             query: req.query,
             params: req.params
           }
-        }).catch(err => {
-          // Don't break the request if logging fails
+        };
+
+        const succeeded = res.statusCode < 400;
+        const record = async () => {
+          if (tracksRecord && before && succeeded) {
+            entry.before = before;
+            entry.after = await Model.findById(recordId).lean();
+          } else if (req.method === 'PUT' || req.method === 'PATCH') {
+            entry.changes = req.body || {};
+          }
+          await LogService.createActivityLog(entry);
+        };
+
+        // Don't break the request if logging fails
+        record().catch((err) => {
           auditLogger.error('Failed to create activity log:', err);
         });
       }
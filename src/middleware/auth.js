@@ -3,6 +3,23 @@ import { config } from '../config/environment.js';
 import { logger } from '../utils/logger.js';
 import { redisClient } from '../config/redis.js';
 
+/**
+ * Whether a token was revoked (logged out)
+ * @param {string} token - JWT
+ * @returns {Promise<boolean>}
+ */
+export const isTokenBlacklisted = async (token) => {
+  try {
+    const redis = redisClient.getClient();
+    return Boolean(await redis.get(`blacklist:${token}`));
+  } catch (redisError) {
+    // If Redis is unavailable, continue without blacklist check
+    // This ensures the system remains functional even if Redis is down
+    logger.warn('Redis unavailable for token blacklist check:', redisError.message);
+    return false;
+  }
+};
+
 export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -17,20 +34,11 @@ export const authenticate = async (req, res, next) => {
     const token = authHeader.substring(7);
     
     // Check blacklist
-    try {
-      const redis = redisClient.getClient();
-      const isBlacklisted = await redis.get(`blacklist:${token}`);
-      
-      if (isBlacklisted) {
-        return res.status(401).json({
-          success: false,
-          message: req.t('auth.tokenInvalid')
-        });
-      }
-    } catch (redisError) {
-      // If Redis is unavailable, continue without blacklist check
-      // This ensures the system remains functional even if Redis is down
-      logger.warn('Redis unavailable for token blacklist check:', redisError.message);
+    if (await isTokenBlacklisted(token)) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('auth.tokenInvalid')
+      });
     }
 
     const decoded = jwt.verify(token, config.JWT_SECRET);
@@ -0,0 +1,24 @@
+import { CurrencyService, BASE_CURRENCY } from '../modules/currencies/service.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Display currency of the request (req.currency)
+ * From ?currency=, the X-Currency header or the currency cookie; inactive or unknown
+ * codes fall back to the base currency. Only display is affected: carts, orders and
+ * payments stay in the base currency.
+ */
+export const currencyMiddleware = async (req, res, next) => {
+  const requested = req.query.currency || req.headers['x-currency'] || req.cookies?.currency;
+
+  req.currency = BASE_CURRENCY;
+  if (!requested) {
+    return next();
+  }
+
+  try {
+    req.currency = await CurrencyService.resolveDisplayCurrency(String(requested));
+  } catch (error) {
+    logger.warn('Display currency resolution failed:', error.message);
+  }
+  next();
+};
@@ -1,5 +1,8 @@
 import { logger } from '../utils/logger.js';
 
+// Roles allowed into the dashboard (also bypass the maintenance gate)
+export const DASHBOARD_ROLES = ['super_admin', 'admin', 'editor', 'moderator'];
+
 /**
  * Middleware to restrict dashboard access to admin roles only
  * Blocks regular users (role: 'user') from accessing dashboard
@@ -12,15 +15,13 @@ export const requireDashboardAccess = (req, res, next) => {
     });
   }
 
-  // Allowed roles for dashboard access
-  const allowedRoles = ['super_admin', 'admin', 'editor', 'moderator'];
   // Role is stored as string in JWT token (user.role.name from generateTokens)
   const userRole = typeof req.user.role === 'string' 
     ? req.user.role 
     : (req.user.role?.name || req.user.role);
 
   // Check if user has dashboard access
-  if (!allowedRoles.includes(userRole)) {
+  if (!DASHBOARD_ROLES.includes(userRole)) {
     logger.warn(`Dashboard access denied for user ${req.user.email} with role ${userRole}`);
     return res.status(403).json({
       success: false,
@@ -34,6 +34,7 @@ export const errorHandler = async (err, req, res, next) => {
       `System error: ${err.message}`,
       err,
       {
+        requestId: req.id,
         url: req.originalUrl,
         method: req.method,
         ip: req.ip,
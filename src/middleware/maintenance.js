@@ -0,0 +1,110 @@
+import jwt from 'jsonwebtoken';
+import { SettingsService } from '../modules/settings/service.js';
+import { DASHBOARD_ROLES } from './dashboardAccess.js';
+import { isTokenBlacklisted } from './auth.js';
+import { config } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+// Reachable during maintenance: health checks, the maintenance/public settings the site
+// renders its notice from, sign-in for staff, and payment gateway returns
+const EXEMPT_PATHS = [
+  '/health',
+  '/api-docs',
+  '/api/v1/settings/maintenance',
+  '/api/v1/settings/public',
+  '/api/v1/auth',
+  '/api/auth',
+  '/api/v1/payments/verify'
+];
+
+/**
+ * Private: IPv4 address as a 32-bit number (null for anything else)
+ */
+const ipv4ToNumber = (ip) => {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value * 256) + Number(part), 0);
+};
+
+/**
+ * Private: Whether an address matches an allowlist entry (exact address or IPv4 CIDR)
+ */
+const matchesIP = (ip, entry) => {
+  const address = ip.replace(/^::ffff:/, '');
+  const [range, bits] = entry.trim().replace(/^::ffff:/, '').split('/');
+  if (bits === undefined) {
+    return address === range;
+  }
+
+  const ipValue = ipv4ToNumber(address);
+  const rangeValue = ipv4ToNumber(range);
+  if (ipValue === null || rangeValue === null) {
+    return false;
+  }
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(ipValue / size) === Math.floor(rangeValue / size);
+};
+
+/**
+ * Private: Whether the request carries a valid, not revoked token of a dashboard role
+ * (checked like authenticate does; routes authenticate later, the gate runs before them)
+ */
+const hasDashboardRole = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+  const token = authHeader.substring(7);
+  try {
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+    return DASHBOARD_ROLES.includes(decoded.role) && !await isTokenBlacklisted(token);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Maintenance gate
+ * While maintenance is on (by hand or inside a scheduled window) requests get 503 with
+ * Retry-After and the localized message; allowlisted IPs, dashboard roles and exempt
+ * paths pass. Fails open: if the status cannot be read the request continues.
+ */
+export const maintenanceGate = async (req, res, next) => {
+  if (req.method === 'OPTIONS' || EXEMPT_PATHS.some((path) => req.path === path || req.path.startsWith(`${path}/`))) {
+    return next();
+  }
+
+  let status;
+  try {
+    status = await SettingsService.getMaintenanceStatus();
+  } catch (error) {
+    logger.warn('Maintenance status unavailable:', error.message);
+    return next();
+  }
+
+  if (!status.enabled) {
+    return next();
+  }
+  if (req.ip && status.allowedIPs.some((entry) => matchesIP(req.ip, entry))) {
+    return next();
+  }
+  if (await hasDashboardRole(req)) {
+    return next();
+  }
+
+  const language = req.language === 'en' ? 'en' : 'fa';
+  res.set('Retry-After', String(status.retryAfter));
+  return res.status(503).json({
+    success: false,
+    message: status.message[language],
+    data: {
+      maintenance: {
+        startsAt: status.startsAt,
+        endsAt: status.endsAt,
+        retryAfter: status.retryAfter
+      }
+    }
+  });
+};
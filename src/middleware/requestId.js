@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,100}$/;
+
+/**
+ * Request ID (req.id)
+ * Taken from the X-Request-ID header when a proxy already set one, otherwise generated;
+ * echoed in the response so a client report can be matched to activity/system logs.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-ID');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-ID', req.id);
+  next();
+};
@@ -65,6 +65,7 @@ export const requestValidation = (req, res, next) => {
         'security',
         'درخواست مشکوک شناسایی شد',
         {
+          requestId: req.id,
           ip: req.ip,
           url: req.url,
           method: req.method,
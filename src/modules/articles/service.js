@@ -428,7 +428,7 @@ export class ArticleService extends BaseService {
         user: userId,
         'items.product': article.relatedProduct,
         status: { $in: ['delivered', 'processing', 'shipped'] }, // All paid statuses count as purchased
-        'payment.status': 'completed',
+        'payment.status': { $in: ['completed', 'partially_refunded'] },
         deletedAt: null
       });
 
@@ -457,7 +457,7 @@ export class ArticleService extends BaseService {
       const buyerCount = await Order.distinct('user', {
         'items.product': article.relatedProduct,
         status: { $in: ['delivered', 'processing', 'shipped'] },
-        'payment.status': 'completed',
+        'payment.status': { $in: ['completed', 'partially_refunded'] },
         deletedAt: null
       });
 
@@ -69,6 +69,20 @@ const userSchema = new mongoose.Schema(
       enum: ['fa', 'en'],
       default: 'fa'
     },
+    // Buyer details for legal invoices; isExempt is set by an admin (see TaxService)
+    taxProfile: {
+      type: { type: String, enum: ['individual', 'legal'], default: 'individual' },
+      companyName: { type: String, trim: true },
+      economicCode: { type: String, trim: true },
+      nationalId: { type: String, trim: true }, // National code (individual) or national ID (company)
+      registrationNumber: { type: String, trim: true },
+      postalCode: { type: String, trim: true },
+      address: { type: String, trim: true },
+      isExempt: { type: Boolean, default: false },
+      exemptionNote: String,
+      verifiedAt: Date,
+      verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
     ...baseSchemaFields
   },
   {
@@ -1,6 +1,17 @@
 import { CalendarService } from './service.js';
+import { CalendarFeedService } from './feedService.js';
 import { AppError } from '../../utils/appError.js';
 import { HTTP_STATUS } from '../../utils/httpStatus.js';
+import { parseICalDate } from './recurrence.js';
+
+// Occurrence start from the route (ISO 8601 or iCalendar basic format, e.g. 20261019T103000Z)
+const parseOccurrence = (value) => {
+  const date = parseICalDate(value);
+  if (!date) {
+    throw new AppError('زمان تکرار نامعتبر است', HTTP_STATUS.BAD_REQUEST);
+  }
+  return date;
+};
 
 export class CalendarController {
   /**
@@ -234,6 +245,403 @@ export class CalendarController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/v1/calendar/{id}/occurrences:
+   *   get:
+   *     summary: دریافت تکرارهای یک رویداد تکرارشونده
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 100
+   */
+  static async getOccurrences(req, res, next) {
+    try {
+      const userRole = req.user.role?.name || req.user.role;
+      const userId = (userRole !== 'super_admin' && userRole !== 'admin')
+        ? req.user.id
+        : null;
+
+      const occurrences = await CalendarService.getOccurrences(req.params.id, req.query, userId);
+
+      res.json({
+        success: true,
+        data: occurrences
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/{id}/occurrences/{occurrence}:
+   *   put:
+   *     summary: ویرایش یک تکرار یا این تکرار و تکرارهای بعدی
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: occurrence
+   *         required: true
+   *         description: زمان شروع تکرار (ISO 8601 یا 20261019T103000Z)
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               scope:
+   *                 type: string
+   *                 enum: [this, following]
+   *                 default: this
+   */
+  static async updateOccurrence(req, res, next) {
+    try {
+      const { scope, ...updateData } = req.body;
+      if (req.body.attendees) {
+        updateData.attendees = req.body.attendees.map((userId) => ({
+          user: userId,
+          status: 'pending'
+        }));
+      }
+
+      const event = await CalendarService.updateOccurrence(
+        req.params.id,
+        parseOccurrence(req.params.occurrence),
+        updateData,
+        req.user.id,
+        scope
+      );
+
+      res.json({
+        success: true,
+        message: 'رویداد با موفقیت ویرایش شد',
+        data: { event }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/{id}/occurrences/{occurrence}:
+   *   delete:
+   *     summary: حذف یک تکرار یا این تکرار و تکرارهای بعدی
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: scope
+   *         schema:
+   *           type: string
+   *           enum: [this, following]
+   *           default: this
+   */
+  static async deleteOccurrence(req, res, next) {
+    try {
+      await CalendarService.deleteOccurrence(
+        req.params.id,
+        parseOccurrence(req.params.occurrence),
+        req.user.id,
+        req.query.scope
+      );
+
+      res.json({
+        success: true,
+        message: 'رویداد با موفقیت حذف شد'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/{id}/occurrences/{occurrence}/respond:
+   *   post:
+   *     summary: پاسخ به دعوت یک تکرار از رویداد
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async respondToOccurrence(req, res, next) {
+    try {
+      const event = await CalendarService.respondToOccurrence(
+        req.params.id,
+        parseOccurrence(req.params.occurrence),
+        req.user.id,
+        req.body.status
+      );
+
+      res.json({
+        success: true,
+        message: 'پاسخ شما ثبت شد',
+        data: { event }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/feeds/{token}.ics:
+   *   get:
+   *     summary: فید iCalendar قابل اشتراک (Google Calendar، Outlook)
+   *     description: بدون ورود؛ توکن محرمانه در آدرس فید است و با لغو فید از کار می‌افتد
+   *     tags: [Calendar]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: فایل iCalendar
+   *         content:
+   *           text/calendar:
+   *             schema:
+   *               type: string
+   *       404:
+   *         description: فید یافت نشد یا لغو شده است
+   */
+  static async getFeed(req, res, next) {
+    try {
+      const ics = await CalendarFeedService.getFeedCalendar(req.params.token);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="calendar.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(ics);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/feeds:
+   *   get:
+   *     summary: فیدهای تقویم من
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async getFeeds(req, res, next) {
+    try {
+      const feeds = await CalendarFeedService.getFeeds(req.user.id);
+
+      res.json({
+        success: true,
+        data: feeds
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/feeds:
+   *   post:
+   *     summary: ایجاد فید تقویم (آدرس فید فقط یک بار نمایش داده می‌شود)
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               scope:
+   *                 type: string
+   *                 enum: [user, team]
+   *                 description: team فقط برای مدیران
+   *               name:
+   *                 type: string
+   *               pastDays:
+   *                 type: integer
+   *                 default: 90
+   *               types:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   */
+  static async createFeed(req, res, next) {
+    try {
+      const result = await CalendarFeedService.createFeed(req.body, req.user);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'فید تقویم ایجاد شد؛ این آدرس دوباره نمایش داده نمی‌شود',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/feeds/{feedId}:
+   *   delete:
+   *     summary: لغو فید تقویم
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async revokeFeed(req, res, next) {
+    try {
+      const feed = await CalendarFeedService.revokeFeed(req.params.feedId, req.user);
+
+      res.json({
+        success: true,
+        message: 'فید تقویم لغو شد',
+        data: { feed }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/export:
+   *   get:
+   *     summary: خروجی iCalendar (.ics) تقویم
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   */
+  static async exportCalendar(req, res, next) {
+    try {
+      const userRole = req.user.role?.name || req.user.role;
+      const userId = (userRole !== 'super_admin' && userRole !== 'admin')
+        ? req.user.id
+        : null;
+
+      const ics = await CalendarFeedService.exportCalendar(req.query, userId);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="calendar.ics"'
+      });
+      res.send(ics);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/{id}/ics:
+   *   get:
+   *     summary: خروجی iCalendar (.ics) یک رویداد
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async exportEvent(req, res, next) {
+    try {
+      const userRole = req.user.role?.name || req.user.role;
+      const userId = (userRole !== 'super_admin' && userRole !== 'admin')
+        ? req.user.id
+        : null;
+
+      const { event, ics } = await CalendarFeedService.exportEvent(req.params.id, userId);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="event-${event._id}.ics"`
+      });
+      res.send(ics);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/calendar/import:
+   *   post:
+   *     summary: ورود رویدادها از فایل iCalendar (.ics)
+   *     description: رویدادها با UID تطبیق داده می‌شوند؛ ورود دوباره همان فایل رویدادها را به‌روزرسانی می‌کند
+   *     tags: [Calendar]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   */
+  static async importCalendar(req, res, next) {
+    try {
+      if (!req.file) {
+        throw new AppError('فایل iCalendar الزامی است', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const result = await CalendarFeedService.importCalendar(req.file.buffer, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'رویدادها وارد شدند',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @swagger
    * /api/v1/calendar/reminders/send:
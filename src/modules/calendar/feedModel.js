@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const FEED_SCOPES = ['user', 'team'];
+
+/**
+ * CalendarFeed Model
+ *
+ * A subscribable iCalendar feed (Google Calendar, Outlook, Apple Calendar). The feed URL
+ * carries a secret token; only its SHA-256 hash is stored, so the URL is shown once on
+ * creation. Revoking a feed makes its URL stop working.
+ *
+ * Scopes: 'user' - events the owner organizes or attends; 'team' - every event (admins only,
+ * like the dashboard's all-events view).
+ */
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  scope: {
+    type: String,
+    enum: FEED_SCOPES,
+    default: 'user'
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxLength: 100
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Last characters of the token, to tell feeds apart in the list
+  tokenHint: String,
+
+  // How far back non-recurring events are included
+  pastDays: {
+    type: Number,
+    default: 90,
+    min: 0,
+    max: 730
+  },
+
+  // Event types included (empty = all)
+  types: [{
+    type: String,
+    enum: ['meeting', 'event', 'reminder', 'deadline', 'holiday', 'other']
+  }],
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastAccessedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+export const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -0,0 +1,496 @@
+import crypto from 'crypto';
+import multer from 'multer';
+import { CalendarEvent } from './model.js';
+import { CalendarFeed } from './feedModel.js';
+import { CalendarService } from './service.js';
+import { buildCalendar, parseCalendar, UID_DOMAIN } from './ical.js';
+import { User } from '../auth/model.js';
+import { LogService } from '../logs/service.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+import { logger } from '../../utils/logger.js';
+
+const ADMIN_ROLES = ['super_admin', 'admin'];
+const EVENT_TYPES = ['meeting', 'event', 'reminder', 'deadline', 'holiday', 'other'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bounds per feed/export and per imported file
+const MAX_FEED_EVENTS = 5000;
+const MAX_IMPORT_EVENTS = 2000;
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * CalendarFeedService - iCalendar feeds, export and import
+ *
+ * Features:
+ * - Per-user and team feeds for Google Calendar / Outlook, secured by revocable tokens
+ * - Recurrence (RRULE, EXDATE, occurrence overrides), attendees and reminders (VALARM)
+ * - .ics export of the calendar or of one event
+ * - .ics import that reconciles events by UID on re-import
+ */
+export class CalendarFeedService {
+  /**
+   * Multer instance for .ics uploads (kept in memory, 2 MB)
+   */
+  static getImportUpload() {
+    return multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: MAX_IMPORT_SIZE
+      },
+      fileFilter: (req, file, cb) => {
+        const isCalendar = file.mimetype === 'text/calendar' || /\.ics$/i.test(file.originalname || '');
+        if (isCalendar) {
+          cb(null, true);
+        } else {
+          cb(new AppError('فقط فایل iCalendar (.ics) مجاز است', HTTP_STATUS.BAD_REQUEST), false);
+        }
+      }
+    });
+  }
+
+  /**
+   * Feed URLs of a token
+   * @param {string} token - Feed token
+   * @returns {Object} { url, webcalUrl }
+   */
+  static getFeedUrls(token) {
+    const base = process.env.API_BASE_URL || 'http://localhost:5000';
+    const url = `${base}/api/v1/calendar/feeds/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+  }
+
+  /**
+   * Create a feed; the token (and URL) is only returned here
+   * @param {Object} feedData - { scope, name, pastDays, types }
+   * @param {Object} user - { id, role }
+   * @returns {Promise<Object>} { feed, token, url, webcalUrl }
+   */
+  static async createFeed(feedData, user) {
+    try {
+      const userRole = user.role?.name || user.role;
+      if (feedData.scope === 'team' && !ADMIN_ROLES.includes(userRole)) {
+        throw new AppError('فید تقویم تیم فقط برای مدیران در دسترس است', HTTP_STATUS.FORBIDDEN);
+      }
+
+      const token = crypto.randomBytes(24).toString('base64url');
+      const feed = await CalendarFeed.create({
+        ...feedData,
+        user: user.id,
+        tokenHash: hashToken(token),
+        tokenHint: token.slice(-4)
+      });
+
+      const data = feed.toObject();
+      delete data.tokenHash;
+
+      logger.info(`Calendar feed created: ${feed._id} (${feed.scope}) by ${user.id}`);
+      return { feed: data, token, ...this.getFeedUrls(token) };
+    } catch (error) {
+      logger.error('Error creating calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Feeds of a user (tokens are not retrievable)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Feeds, newest first
+   */
+  static async getFeeds(userId) {
+    try {
+      return await CalendarFeed.find({ user: userId })
+        .select('-tokenHash')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error getting calendar feeds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a feed (its URL stops working)
+   * @param {string} feedId - Feed ID
+   * @param {Object} user - { id, role }; admins can revoke any feed
+   * @returns {Promise<Object>} Feed
+   */
+  static async revokeFeed(feedId, user) {
+    try {
+      const userRole = user.role?.name || user.role;
+      const query = ADMIN_ROLES.includes(userRole) ? { _id: feedId } : { _id: feedId, user: user.id };
+
+      const feed = await CalendarFeed.findOne(query).select('-tokenHash');
+      if (!feed) {
+        throw new AppError('فید تقویم یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (!feed.revokedAt) {
+        feed.revokedAt = new Date();
+        feed.revokedBy = user.id;
+        await feed.save();
+      }
+
+      logger.info(`Calendar feed revoked: ${feedId} by ${user.id}`);
+      return feed;
+    } catch (error) {
+      logger.error('Error revoking calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * iCalendar text of a feed
+   * @param {string} token - Feed token from the URL
+   * @returns {Promise<string>} iCalendar text
+   */
+  static async getFeedCalendar(token) {
+    try {
+      const feed = await CalendarFeed.findOne({ tokenHash: hashToken(String(token)), revokedAt: null });
+      if (!feed) {
+        throw new AppError('فید تقویم یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      // The owner must still exist and, for the team feed, still be an admin
+      const owner = await User.findOne({ _id: feed.user, deletedAt: null }).populate('role');
+      const ownerRole = owner?.role?.name || owner?.role;
+      if (!owner || owner.status !== 'active' || (feed.scope === 'team' && !ADMIN_ROLES.includes(ownerRole))) {
+        throw new AppError('فید تقویم یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const events = await this._loadEvents({
+        userId: feed.scope === 'user' ? feed.user : null,
+        from: new Date(Date.now() - feed.pastDays * DAY_MS),
+        types: feed.types
+      });
+
+      await CalendarFeed.updateOne(
+        { _id: feed._id },
+        { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } }
+      );
+
+      const name = feed.name || (feed.scope === 'team' ? 'تقویم تیم هیکاوب' : `تقویم ${owner.name}`);
+      return buildCalendar(events, { name });
+    } catch (error) {
+      logger.error('Error building calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * .ics export of the calendar
+   * @param {Object} filters - { from, to, type }
+   * @param {string|null} userId - Limit to the user's events (null = all)
+   * @returns {Promise<string>} iCalendar text
+   */
+  static async exportCalendar(filters = {}, userId = null) {
+    try {
+      const events = await this._loadEvents({
+        userId,
+        from: filters.from ? new Date(filters.from) : new Date(Date.now() - 90 * DAY_MS),
+        to: filters.to ? new Date(filters.to) : null,
+        types: filters.type ? [filters.type] : []
+      });
+
+      return buildCalendar(events, { name: 'Hikaweb' });
+    } catch (error) {
+      logger.error('Error exporting calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * .ics export of one event (a recurring event with its overrides)
+   * @param {string} eventId - Event ID
+   * @param {string|null} userId - Limit to the user's events (null = all)
+   * @returns {Promise<Object>} { event, ics }
+   */
+  static async exportEvent(eventId, userId = null) {
+    try {
+      const event = (await CalendarService.getEventById(eventId, userId)).toObject();
+
+      const overrides = event.recurrence?.enabled && !event.recurringEvent
+        ? await CalendarEvent.find({ recurringEvent: event._id })
+          .populate('organizer', 'name email')
+          .populate('attendees.user', 'name email')
+          .lean()
+        : [];
+
+      return { event, ics: buildCalendar([event, ...overrides], { name: event.title }) };
+    } catch (error) {
+      logger.error('Error exporting calendar event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import an .ics file as events organized by the user
+   * Events are matched by UID: re-importing a file updates the events it created (and events
+   * exported from here), STATUS:CANCELLED removes them. Attendees are matched to users by email.
+   * @param {Buffer|string} file - iCalendar file
+   * @param {string} userId - Importing user (organizer of the events)
+   * @returns {Promise<Object>} { created, updated, cancelled, skipped, unmatchedAttendees, errors, warnings }
+   */
+  static async importCalendar(file, userId) {
+    try {
+      let parsed;
+      try {
+        parsed = parseCalendar(Buffer.isBuffer(file) ? file.toString('utf8') : String(file || ''));
+      } catch (error) {
+        throw new AppError(error.message, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const { events, errors, warnings } = parsed;
+      if (events.length > MAX_IMPORT_EVENTS) {
+        throw new AppError(`حداکثر ${MAX_IMPORT_EVENTS} رویداد در هر فایل قابل ورود است`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const result = { created: 0, updated: 0, cancelled: 0, skipped: 0, unmatchedAttendees: [], errors, warnings };
+
+      // Attendees are users of this site
+      const emails = [...new Set(events.flatMap((event) => event.attendees.map((attendee) => attendee.email)))];
+      const users = await User.find({ email: { $in: emails }, deletedAt: null }).select('_id email').lean();
+      const usersByEmail = new Map(users.map((user) => [user.email, user._id]));
+      result.unmatchedAttendees = emails.filter((email) => !usersByEmail.has(email));
+
+      events.forEach((event) => {
+        // Events without a UID get a stable one so re-imports still match
+        event.uid = event.uid || `${crypto.createHash('sha256')
+          .update(`${event.title}|${event.startDate.toISOString()}`)
+          .digest('hex')
+          .slice(0, 32)}@import`;
+      });
+
+      // Series first, then the occurrence overrides (RECURRENCE-ID) that point to them
+      for (const fields of events.filter((event) => !event.recurrenceId)) {
+        try {
+          await this._importEvent(fields, usersByEmail, userId, result);
+        } catch (error) {
+          result.errors.push({ uid: fields.uid, message: error.message });
+        }
+      }
+      for (const fields of events.filter((event) => event.recurrenceId)) {
+        try {
+          await this._importOverride(fields, usersByEmail, userId, result);
+        } catch (error) {
+          result.errors.push({ uid: fields.uid, message: error.message });
+        }
+      }
+
+      await LogService.createActivityLog({
+        user: userId,
+        action: 'IMPORT',
+        resource: 'calendar',
+        description: `ورود فایل iCalendar: ${result.created} رویداد جدید، `
+          + `${result.updated} به‌روزرسانی، ${result.cancelled} لغو`,
+        metadata: {
+          created: result.created,
+          updated: result.updated,
+          cancelled: result.cancelled,
+          skipped: result.skipped,
+          errors: result.errors.length
+        }
+      });
+
+      logger.info(`Calendar import by ${userId}: ${result.created} created, ${result.updated} updated`);
+      return result;
+    } catch (error) {
+      logger.error('Error importing calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private: Events of a feed/export: single events from a date on, recurring events still
+   * running then, and the overrides of those recurring events
+   * @private
+   */
+  static async _loadEvents({ userId = null, from, to = null, types = [] }) {
+    const scope = userId ? [{ $or: [{ organizer: userId }, { 'attendees.user': userId }] }] : [];
+    const typeFilter = types?.length ? [{ type: { $in: types } }] : [];
+    const until = to ? [{ startDate: { $lte: to } }] : [];
+
+    const [events, series] = await Promise.all([
+      CalendarEvent.find({
+        $and: [
+          ...scope,
+          ...typeFilter,
+          ...until,
+          { 'recurrence.enabled': { $ne: true }, recurringEvent: null },
+          { $or: [{ startDate: { $gte: from } }, { endDate: { $gte: from } }] }
+        ]
+      })
+        .populate('organizer', 'name email')
+        .populate('attendees.user', 'name email')
+        .sort({ startDate: 1 })
+        .limit(MAX_FEED_EVENTS)
+        .lean(),
+      CalendarEvent.find({
+        $and: [
+          ...scope,
+          ...typeFilter,
+          ...until,
+          { 'recurrence.enabled': true, recurringEvent: null },
+          { $or: [{ 'recurrence.endDate': null }, { 'recurrence.endDate': { $gte: from } }] }
+        ]
+      })
+        .populate('organizer', 'name email')
+        .populate('attendees.user', 'name email')
+        .limit(MAX_FEED_EVENTS)
+        .lean()
+    ]);
+
+    const overrides = series.length > 0
+      ? await CalendarEvent.find({ recurringEvent: { $in: series.map((event) => event._id) } })
+        .populate('organizer', 'name email')
+        .populate('attendees.user', 'name email')
+        .lean()
+      : [];
+
+    return [...events, ...series, ...overrides];
+  }
+
+  /**
+   * Private: Series or single event imported earlier (or exported from here) with a UID
+   * @private
+   */
+  static async _findImported(uid, userId) {
+    const exported = uid.match(new RegExp(`^([a-f0-9]{24})@${UID_DOMAIN}$`));
+    const query = exported
+      ? { _id: exported[1], organizer: userId, icalUid: { $in: [null, uid] } }
+      : { organizer: userId, icalUid: uid };
+
+    return CalendarEvent.findOne({ ...query, recurringEvent: null });
+  }
+
+  /**
+   * Private: Event fields of a parsed VEVENT; responses already given here are kept
+   * @private
+   */
+  static _toEventData(fields, usersByEmail, userId, existing = null) {
+    const attendees = fields.attendees
+      .map((attendee) => ({ user: usersByEmail.get(attendee.email), status: attendee.status }))
+      .filter((attendee) => attendee.user && String(attendee.user) !== String(userId))
+      .map((attendee) => {
+        const current = existing?.attendees.find((item) => String(item.user) === String(attendee.user));
+        return current && attendee.status === 'pending'
+          ? { user: attendee.user, status: current.status, respondedAt: current.respondedAt }
+          : attendee;
+      });
+
+    // Sent flags survive a re-import of the same reminder
+    const reminders = fields.reminders.map((reminder) => {
+      const current = existing?.reminders.find((item) => item.type === reminder.type
+        && item.minutesBefore === reminder.minutesBefore);
+      return current ? { ...reminder, sent: current.sent, sentAt: current.sentAt } : reminder;
+    });
+
+    // The first category that is an event type becomes the type (as exported from here)
+    const type = fields.tags.find((tag) => EVENT_TYPES.includes(tag)) || existing?.type || 'event';
+
+    return {
+      title: fields.title,
+      description: fields.description,
+      location: fields.location,
+      startDate: fields.startDate,
+      endDate: fields.endDate,
+      isAllDay: fields.isAllDay,
+      timezone: fields.timezone,
+      type,
+      tags: fields.tags.filter((tag) => tag !== type),
+      attendees,
+      reminders
+    };
+  }
+
+  /**
+   * Private: Create, update or cancel a single or recurring event from the import
+   * @private
+   */
+  static async _importEvent(fields, usersByEmail, userId, result) {
+    const existing = await this._findImported(fields.uid, userId);
+
+    if (fields.cancelled) {
+      if (existing) {
+        await CalendarEvent.deleteMany({ recurringEvent: existing._id });
+        await existing.deleteOne();
+        result.cancelled++;
+      } else {
+        result.skipped++;
+      }
+      return;
+    }
+
+    const data = {
+      ...this._toEventData(fields, usersByEmail, userId, existing),
+      recurrence: fields.recurrence || { enabled: false }
+    };
+
+    if (existing) {
+      Object.assign(existing, data);
+      existing.updatedBy = userId;
+      await existing.save();
+      result.updated++;
+      return;
+    }
+
+    await CalendarEvent.create({
+      ...data,
+      icalUid: fields.uid,
+      organizer: userId,
+      createdBy: userId
+    });
+    result.created++;
+  }
+
+  /**
+   * Private: Create, update or cancel one occurrence (RECURRENCE-ID) of an imported series
+   * @private
+   */
+  static async _importOverride(fields, usersByEmail, userId, result) {
+    const series = await this._findImported(fields.uid, userId);
+    if (!series?.recurrence?.enabled) {
+      result.skipped++;
+      result.warnings.push({ uid: fields.uid, message: 'رویداد تکرارشونده این تکرار در فایل یا تقویم یافت نشد' });
+      return;
+    }
+
+    const existing = await CalendarEvent.findOne({
+      recurringEvent: series._id,
+      originalStartDate: fields.recurrenceId
+    });
+
+    if (fields.cancelled) {
+      // A cancelled occurrence is an exception date of the series
+      await CalendarEvent.updateOne(
+        { _id: series._id },
+        { $addToSet: { 'recurrence.exceptionDates': fields.recurrenceId } }
+      );
+      if (existing) {
+        await existing.deleteOne();
+      }
+      result.cancelled++;
+      return;
+    }
+
+    const data = this._toEventData(fields, usersByEmail, userId, existing || series);
+    if (existing) {
+      Object.assign(existing, data);
+      existing.updatedBy = userId;
+      await existing.save();
+      result.updated++;
+      return;
+    }
+
+    await CalendarEvent.create({
+      ...data,
+      recurringEvent: series._id,
+      originalStartDate: fields.recurrenceId,
+      organizer: userId,
+      createdBy: userId
+    });
+    result.created++;
+  }
+}
@@ -0,0 +1,596 @@
+/**
+ * iCalendar (RFC 5545) serialization and parsing for calendar events. No database access.
+ *
+ * buildCalendar() writes the VCALENDAR served by feeds and exports: recurring events carry
+ * RRULE/EXDATE in their own time zone (with a VTIMEZONE), occurrence overrides are VEVENTs
+ * with a RECURRENCE-ID and reminders are VALARMs. parseCalendar() reads the VEVENTs of an
+ * uploaded file into plain event fields for the import.
+ */
+import {
+  DEFAULT_TIMEZONE,
+  toRRule,
+  parseRRule,
+  toWall,
+  fromWall,
+  offsetAt,
+  isValidTimeZone,
+  formatICalDate
+} from './recurrence.js';
+
+export const PRODUCT_ID = '-//Hikaweb//Calendar//FA';
+// Domain part of UIDs of events created here (imported events keep their own UID)
+export const UID_DOMAIN = 'hikaweb';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const PARTSTAT = {
+  pending: 'NEEDS-ACTION',
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE'
+};
+
+// Windows zone names some Outlook exports use as TZID
+const WINDOWS_ZONES = {
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Eastern Standard Time': 'America/New_York',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  UTC: 'UTC'
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => String(value ?? '')
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Parameter values with separators are quoted (quotes themselves are not allowed)
+const paramValue = (value) => {
+  const text = String(value ?? '').replace(/"/g, '\'');
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+// Lines longer than 75 octets continue on the next line after a space (never mid-character)
+const fold = (line) => {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  let limit = 75;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+      limit = 74; // the leading space counts
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatLocal = (date, timeZone) => {
+  const wall = toWall(new Date(date), timeZone);
+  return `${wall.year}${pad(wall.month)}${pad(wall.day)}T${pad(wall.hour)}${pad(wall.minute)}${pad(wall.second)}`;
+};
+
+const formatDay = (date, timeZone, addDays = 0) => {
+  const wall = toWall(new Date(date), timeZone);
+  const day = new Date(Date.UTC(wall.year, wall.month - 1, wall.day) + addDays * DAY_MS);
+  return `${day.getUTCFullYear()}${pad(day.getUTCMonth() + 1)}${pad(day.getUTCDate())}`;
+};
+
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+const formatTrigger = (minutesBefore) => (minutesBefore > 0 ? `-PT${minutesBefore}M` : 'PT0M');
+
+const timezones = new Map();
+
+/** VTIMEZONE of a zone with the offset changes (DST) it has in a year as yearly rules */
+const buildTimezone = (timeZone, year) => {
+  const key = `${timeZone}:${year}`;
+  if (timezones.has(key)) {
+    return timezones.get(key);
+  }
+
+  const yearStart = Date.UTC(year, 0, 1);
+  const transitions = [];
+  let previous = offsetAt(yearStart, timeZone);
+  for (let day = 1; day <= 366; day++) {
+    const time = yearStart + day * DAY_MS;
+    const offset = offsetAt(time, timeZone);
+    if (offset !== previous) {
+      // Narrowed down to the minute
+      let low = time - DAY_MS;
+      let high = time;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (offsetAt(middle, timeZone) === previous) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ time: high, from: previous, to: offset });
+      previous = offset;
+    }
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  if (transitions.length === 0) {
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(previous)}`,
+      `TZOFFSETTO:${formatOffset(previous)}`,
+      'END:STANDARD'
+    );
+  }
+  transitions.forEach(({ time, from, to }) => {
+    // Local time the change happens at, before it applies
+    const local = new Date(time + from);
+    const day = local.getUTCDate();
+    const monthLength = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const ordinal = day > monthLength - 7 ? -1 : Math.ceil(day / 7);
+    const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][local.getUTCDay()];
+    const type = to > from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${local.toISOString().replace(/[-:]/g, '').slice(0, 15)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${ordinal}${weekday}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+
+  timezones.set(key, lines);
+  return lines;
+};
+
+/**
+ * UID of an event in iCalendar output
+ * @param {Object} event - CalendarEvent (icalUid is set on imported events)
+ * @returns {string}
+ */
+export const eventUid = (event) => event.icalUid || `${event._id}@${UID_DOMAIN}`;
+
+/** VALARM lines of a reminder */
+const alarmLines = (reminder, event) => {
+  const email = event.organizer?.email;
+  if (reminder.type === 'email' && email) {
+    return [
+      'BEGIN:VALARM',
+      'ACTION:EMAIL',
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(event.title)}`,
+      `ATTENDEE:mailto:${email}`,
+      `TRIGGER:${formatTrigger(reminder.minutesBefore)}`,
+      'END:VALARM'
+    ];
+  }
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(event.title)}`,
+    `TRIGGER:${formatTrigger(reminder.minutesBefore)}`,
+    'END:VALARM'
+  ];
+};
+
+/** VEVENT lines of an event, a recurring event or an occurrence override */
+const eventLines = (event, uid) => {
+  const timeZone = event.timezone || DEFAULT_TIMEZONE;
+  const rule = event.recurrence?.enabled && !event.recurringEvent ? toRRule(event.recurrence) : null;
+  const isSeries = Boolean(rule);
+  // Series and their overrides are written in local time so rules expand in the right zone
+  const zoned = isSeries || Boolean(event.recurringEvent);
+
+  const dateProperty = (name, date) => {
+    if (event.isAllDay) {
+      return `${name};VALUE=DATE:${formatDay(date, timeZone)}`;
+    }
+    return zoned
+      ? `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`
+      : `${name}:${formatICalDate(date)}`;
+  };
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatICalDate(event.updatedAt || new Date())}`,
+    dateProperty('DTSTART', event.startDate)
+  ];
+
+  if (event.isAllDay) {
+    // DTEND of all-day events is the day after the last day
+    const end = event.endDate && new Date(event.endDate) > new Date(event.startDate) ? event.endDate : event.startDate;
+    lines.push(`DTEND;VALUE=DATE:${formatDay(end, timeZone, 1)}`);
+  } else if (event.endDate) {
+    lines.push(dateProperty('DTEND', event.endDate));
+  }
+
+  if (event.recurringEvent) {
+    lines.push(dateProperty('RECURRENCE-ID', event.originalStartDate));
+  }
+
+  if (isSeries) {
+    // All-day rules end on a date, like their DTSTART
+    lines.push(`RRULE:${event.isAllDay && event.recurrence.endDate
+      ? rule.replace(/UNTIL=[^;]+/, `UNTIL=${formatDay(event.recurrence.endDate, timeZone)}`)
+      : rule}`);
+
+    const exceptionDates = event.recurrence.exceptionDates || [];
+    if (exceptionDates.length > 0) {
+      lines.push(event.isAllDay
+        ? `EXDATE;VALUE=DATE:${exceptionDates.map((date) => formatDay(date, timeZone)).join(',')}`
+        : `EXDATE;TZID=${timeZone}:${exceptionDates.map((date) => formatLocal(date, timeZone)).join(',')}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  const categories = [event.type, ...(event.tags || [])].filter(Boolean);
+  if (categories.length > 0) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+  lines.push('STATUS:CONFIRMED');
+  if (event.createdAt) {
+    lines.push(`CREATED:${formatICalDate(event.createdAt)}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatICalDate(event.updatedAt)}`);
+  }
+
+  // Organizer and attendees need populated users with an email
+  if (event.organizer?.email) {
+    const organizerName = paramValue(event.organizer.name || event.organizer.email);
+    lines.push(`ORGANIZER;CN=${organizerName}:mailto:${event.organizer.email}`);
+  }
+  (event.attendees || []).forEach((attendee) => {
+    if (attendee.user?.email) {
+      const name = paramValue(attendee.user.name || attendee.user.email);
+      const status = PARTSTAT[attendee.status] || PARTSTAT.pending;
+      lines.push(`ATTENDEE;CN=${name};ROLE=REQ-PARTICIPANT;PARTSTAT=${status}:mailto:${attendee.user.email}`);
+    }
+  });
+
+  (event.reminders || []).forEach((reminder) => lines.push(...alarmLines(reminder, event)));
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * VCALENDAR text of events
+ * @param {Array<Object>} events - CalendarEvents (lean, organizer/attendees populated); occurrence
+ *   overrides should come with their series
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by clients
+ * @returns {string} iCalendar text (CRLF line endings, folded)
+ */
+export const buildCalendar = (events, { name = 'Hikaweb' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${DEFAULT_TIMEZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  // One VTIMEZONE per zone used in local times, with the rules of the earliest year used
+  const zones = new Map();
+  events
+    .filter((event) => !event.isAllDay && (event.recurringEvent || event.recurrence?.enabled))
+    .forEach((event) => {
+      const timeZone = event.timezone || DEFAULT_TIMEZONE;
+      const year = toWall(new Date(event.startDate), timeZone).year;
+      zones.set(timeZone, Math.min(zones.get(timeZone) ?? year, year));
+    });
+  zones.forEach((year, timeZone) => lines.push(...buildTimezone(timeZone, year)));
+
+  // Overrides share the UID of their series
+  const seriesUids = new Map(events
+    .filter((event) => !event.recurringEvent)
+    .map((event) => [String(event._id), eventUid(event)]));
+
+  events.forEach((event) => {
+    const uid = event.recurringEvent
+      ? seriesUids.get(String(event.recurringEvent)) || `${event.recurringEvent}@${UID_DOMAIN}`
+      : eventUid(event);
+    lines.push(...eventLines(event, uid));
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+};
+
+/** Split on a separator outside double quotes */
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+/** Content line as { name, params, value } (null for malformed lines) */
+const parseLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colon), ';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...value] = param.split('=');
+    params[key.trim().toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.trim().toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const resolveTimeZone = (tzid) => {
+  const name = String(tzid || '').replace(/^\//, '').trim();
+  if (WINDOWS_ZONES[name]) {
+    return WINDOWS_ZONES[name];
+  }
+  return name && isValidTimeZone(name) ? name : null;
+};
+
+/** Instant of a DATE or DATE-TIME value (UTC, with TZID or floating in the default zone) */
+const parseDateValue = (value, params, defaultTimeZone) => {
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    ms: 0
+  };
+  if (utc) {
+    const date = new Date(Date.UTC(
+      fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second
+    ));
+    return { date, allDay: false, timeZone: null };
+  }
+
+  const timeZone = resolveTimeZone(params.TZID);
+  return {
+    date: fromWall(fields, timeZone || defaultTimeZone),
+    allDay: params.VALUE === 'DATE' || match[4] === undefined,
+    timeZone
+  };
+};
+
+/** Signed milliseconds of a DURATION value (e.g. -PT15M, P1DT2H) */
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 60 * 60
+    + Number(hours) * 60 * 60 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/** Event fields of a parsed VEVENT */
+const toEventFields = ({ props, alarms }, defaultTimeZone, warnings) => {
+  const get = (name) => props.find((prop) => prop.name === name);
+  const all = (name) => props.filter((prop) => prop.name === name);
+
+  const uid = get('UID')?.value.trim() || null;
+  const dtstart = get('DTSTART');
+  const start = dtstart && parseDateValue(dtstart.value, dtstart.params, defaultTimeZone);
+  if (!start) {
+    throw new Error('DTSTART ندارد یا نامعتبر است');
+  }
+  const timezone = start.timeZone || defaultTimeZone;
+
+  let endDate = null;
+  const dtend = get('DTEND');
+  const duration = get('DURATION');
+  if (dtend) {
+    endDate = parseDateValue(dtend.value, dtend.params, defaultTimeZone)?.date || null;
+  } else if (duration && parseDuration(duration.value) !== null) {
+    endDate = new Date(start.date.getTime() + parseDuration(duration.value));
+  }
+  if (start.allDay) {
+    // Exclusive DTEND (the next day) becomes the end of the last day
+    endDate = new Date((endDate || new Date(start.date.getTime() + DAY_MS)).getTime() - 1000);
+  }
+  if (endDate && endDate < start.date) {
+    endDate = null;
+  }
+
+  let recurrence = null;
+  const rrule = get('RRULE');
+  if (rrule) {
+    recurrence = parseRRule(rrule.value);
+    if (recurrence) {
+      recurrence.exceptionDates = all('EXDATE').flatMap((prop) => prop.value.split(',')
+        .map((value) => parseDateValue(value, prop.params, timezone)?.date)
+        .filter(Boolean));
+    } else {
+      warnings.push({ uid, message: `قاعده تکرار پشتیبانی نمی‌شود و رویداد بدون تکرار وارد شد: ${rrule.value}` });
+    }
+  }
+
+  const recurrenceIdProp = get('RECURRENCE-ID');
+  const recurrenceId = recurrenceIdProp
+    ? parseDateValue(recurrenceIdProp.value, recurrenceIdProp.params, timezone)?.date || null
+    : null;
+
+  const attendees = all('ATTENDEE').map((prop) => ({
+    email: prop.value.replace(/^mailto:/i, '').trim().toLowerCase(),
+    status: Object.keys(PARTSTAT).find((status) => PARTSTAT[status] === (prop.params.PARTSTAT || '').toUpperCase())
+      || 'pending'
+  })).filter((attendee) => attendee.email);
+
+  const reminders = alarms.map((alarm) => {
+    const trigger = alarm.find((prop) => prop.name === 'TRIGGER');
+    const action = alarm.find((prop) => prop.name === 'ACTION')?.value.trim().toUpperCase();
+    // Only triggers relative to the start are supported
+    if (!trigger || trigger.params.VALUE === 'DATE-TIME' || trigger.params.RELATED === 'END') {
+      return null;
+    }
+    const offset = parseDuration(trigger.value);
+    if (offset === null || offset > 0) {
+      return null;
+    }
+    return { type: action === 'EMAIL' ? 'email' : 'dashboard', minutesBefore: Math.round(-offset / MINUTE_MS) };
+  }).filter(Boolean);
+
+  const categories = all('CATEGORIES').flatMap((prop) => prop.value.split(/(?<!\\),/))
+    .map((value) => unescapeText(value).trim())
+    .filter(Boolean);
+
+  const title = unescapeText(get('SUMMARY')?.value || '').trim();
+
+  return {
+    uid,
+    sequence: parseInt(get('SEQUENCE')?.value) || 0,
+    cancelled: (get('STATUS')?.value || '').trim().toUpperCase() === 'CANCELLED',
+    title: (title || 'بدون عنوان').slice(0, 200),
+    description: unescapeText(get('DESCRIPTION')?.value || '').trim() || undefined,
+    location: unescapeText(get('LOCATION')?.value || '').trim() || undefined,
+    startDate: start.date,
+    endDate: endDate || undefined,
+    isAllDay: start.allDay,
+    timezone,
+    recurrence,
+    recurrenceId,
+    tags: categories,
+    attendees,
+    reminders
+  };
+};
+
+/**
+ * Events of an iCalendar file
+ * @param {string} text - iCalendar text
+ * @param {Object} options
+ * @param {string} options.timezone - Zone for floating times (X-WR-TIMEZONE of the file wins)
+ * @returns {Object} { events, errors: [{ uid, message }], warnings: [{ uid, message }] }
+ */
+export const parseCalendar = (text, { timezone = DEFAULT_TIMEZONE } = {}) => {
+  const lines = String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() || '')) {
+    throw new Error('فایل iCalendar معتبر نیست');
+  }
+
+  const components = [];
+  const stack = [];
+  let calendarTimeZone = null;
+  let current = null;
+  let alarm = null;
+
+  lines.forEach((line) => {
+    const prop = parseLine(line);
+    if (!prop) {
+      return;
+    }
+    const value = prop.value.trim().toUpperCase();
+
+    if (prop.name === 'BEGIN') {
+      stack.push(value);
+      if (value === 'VEVENT' && stack.length === 2) {
+        current = { props: [], alarms: [] };
+      } else if (value === 'VALARM' && current) {
+        alarm = [];
+      }
+    } else if (prop.name === 'END') {
+      stack.pop();
+      if (value === 'VEVENT' && current) {
+        components.push(current);
+        current = null;
+      } else if (value === 'VALARM' && alarm) {
+        current?.alarms.push(alarm);
+        alarm = null;
+      }
+    } else if (alarm) {
+      alarm.push(prop);
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      current.props.push(prop);
+    } else if (stack.length === 1 && prop.name === 'X-WR-TIMEZONE') {
+      calendarTimeZone = resolveTimeZone(prop.value);
+    }
+  });
+
+  const defaultTimeZone = calendarTimeZone || timezone;
+  const events = [];
+  const errors = [];
+  const warnings = [];
+  components.forEach((component) => {
+    try {
+      events.push(toEventFields(component, defaultTimeZone, warnings));
+    } catch (error) {
+      const uid = component.props.find((prop) => prop.name === 'UID')?.value.trim() || null;
+      errors.push({ uid, message: error.message });
+    }
+  });
+
+  return { events, errors, warnings };
+};
@@ -4,6 +4,7 @@ import {
   baseSchemaMethods,
   baseSchemaStatics
 } from '../../shared/models/baseModel.js';
+import { WEEKDAYS, DEFAULT_TIMEZONE } from './recurrence.js';
 
 const calendarEventSchema = new mongoose.Schema(
   {
@@ -102,9 +103,59 @@ const calendarEventSchema = new mongoose.Schema(
         type: Number,
         default: 1
       },
+      // UNTIL (inclusive); use either this or occurrences (COUNT)
       endDate: Date,
-      occurrences: Number
+      occurrences: Number,
+      // BYDAY: weekday codes, with an ordinal in monthly/yearly rules (MO, 2TU, -1FR)
+      byWeekday: [{
+        type: String,
+        uppercase: true,
+        trim: true
+      }],
+      // BYMONTHDAY: negative values count from the end of the month (-1 = last day)
+      byMonthDay: [Number],
+      // BYMONTH: 1-12
+      byMonth: [Number],
+      // WKST: first day of the week for weekly rules with an interval
+      weekStart: {
+        type: String,
+        enum: WEEKDAYS,
+        default: 'MO'
+      },
+      // EXDATE: start times of removed occurrences
+      exceptionDates: [Date]
+    },
+
+    // IANA zone the recurrence is evaluated in (weekdays, month days, time of day)
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE
+    },
+
+    // Set on an occurrence override: a single event replacing one occurrence of a
+    // recurring event (edited on its own or with its own attendee responses)
+    recurringEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CalendarEvent',
+      default: null,
+      index: true
+    },
+    // Start of the replaced occurrence as generated by the series (RECURRENCE-ID)
+    originalStartDate: Date,
+
+    // UID of an event imported from an iCalendar file (re-imports update the same event)
+    icalUid: {
+      type: String,
+      trim: true
     },
+
+    // Reminders sent for occurrences of a recurring event (single events use reminders.sent)
+    sentReminders: [{
+      _id: false,
+      occurrenceStart: Date,
+      reminder: mongoose.Schema.Types.ObjectId,
+      sentAt: Date
+    }],
     
     tags: [{
       type: String,
@@ -132,6 +183,12 @@ calendarEventSchema.index({ 'attendees.user': 1, startDate: 1 });
 calendarEventSchema.index({ startDate: 1, endDate: 1 });
 calendarEventSchema.index({ type: 1, startDate: 1 });
 calendarEventSchema.index({ startDate: 1 });
+calendarEventSchema.index({ 'recurrence.enabled': 1, startDate: 1 });
+calendarEventSchema.index({ organizer: 1, icalUid: 1 });
+calendarEventSchema.index(
+  { recurringEvent: 1, originalStartDate: 1 },
+  { unique: true, partialFilterExpression: { recurringEvent: { $type: 'objectId' } } }
+);
 
 // Methods
 Object.assign(calendarEventSchema.methods, baseSchemaMethods);
@@ -0,0 +1,426 @@
+/**
+ * Calendar recurrence rules (RFC 5545 RRULE subset): expansion into occurrence start
+ * times and conversion to/from RRULE text. No database access.
+ *
+ * Supported: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with
+ * ordinals for monthly/yearly, e.g. 2TU or -1FR), BYMONTHDAY, BYMONTH and WKST; EXDATE
+ * through recurrence.exceptionDates. Days are evaluated in the event's time zone and
+ * every occurrence keeps the start's time of day.
+ */
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Date#getUTCDay order
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+export const DEFAULT_TIMEZONE = 'Asia/Tehran';
+export const BY_DAY_PATTERN = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on periods walked per expansion (rules that never match stop here)
+const MAX_PERIODS = 20000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} { year, month, day, hour, minute, second, ms }
+ */
+export const toWall = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+    ms: date.getUTCMilliseconds()
+  };
+};
+
+/**
+ * UTC offset of a time zone at an instant
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Offset in milliseconds (east of UTC is positive)
+ */
+export const offsetAt = (time, timeZone) => {
+  const wall = toWall(new Date(time), timeZone);
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.ms) - time;
+};
+
+/**
+ * Instant of wall-clock fields in a time zone
+ * @param {Object} fields - { year, month, day, hour, minute, second, ms }
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export const fromWall = ({ year, month, day, hour, minute, second, ms }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const time = guess - offsetAt(guess, timeZone);
+  // Second pass for offset changes (DST) between the guess and the result
+  return new Date(guess - offsetAt(time, timeZone));
+};
+
+// Days are numbered from the epoch; a day number maps to a calendar date in UTC
+const dayNumber = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+const weekdayOf = (day) => new Date(day * DAY_MS).getUTCDay();
+const dateOf = (day) => {
+  const date = new Date(day * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Whether a string is a valid IANA time zone
+ * @param {string} timeZone - e.g. Asia/Tehran
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Rule of an event's recurrence, or null when the event does not repeat
+ * @param {Object} recurrence - CalendarEvent.recurrence
+ * @returns {Object|null} { frequency, interval, count, until, byDay, byMonthDay, byMonth, weekStart, exceptionDates }
+ */
+export const normalizeRule = (recurrence) => {
+  if (!recurrence?.enabled || !FREQUENCIES.includes(recurrence.pattern)) {
+    return null;
+  }
+
+  return {
+    frequency: recurrence.pattern,
+    interval: Math.max(1, parseInt(recurrence.interval) || 1),
+    count: recurrence.occurrences || null,
+    until: recurrence.endDate ? new Date(recurrence.endDate) : null,
+    byDay: (recurrence.byWeekday || []).map((entry) => {
+      const [, ordinal, weekday] = String(entry).toUpperCase().match(BY_DAY_PATTERN) || [];
+      return weekday ? { weekday: WEEKDAYS.indexOf(weekday), ordinal: ordinal ? parseInt(ordinal) : null } : null;
+    }).filter(Boolean),
+    byMonthDay: (recurrence.byMonthDay || []).filter((day) => day !== 0),
+    byMonth: recurrence.byMonth || [],
+    weekStart: WEEKDAYS.indexOf(recurrence.weekStart || 'MO'),
+    exceptionDates: (recurrence.exceptionDates || []).map((date) => new Date(date).getTime())
+  };
+};
+
+/** Days in [first, first + length) matching BYDAY (ordinals count within that span) */
+const matchWeekdays = (first, length, byDay) => {
+  const result = new Set();
+  byDay.forEach(({ weekday, ordinal }) => {
+    const matches = [];
+    for (let day = first; day < first + length; day++) {
+      if (weekdayOf(day) === weekday) {
+        matches.push(day);
+      }
+    }
+    if (ordinal === null) {
+      matches.forEach((day) => result.add(day));
+    } else {
+      const picked = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (picked !== undefined) {
+        result.add(picked);
+      }
+    }
+  });
+  return [...result];
+};
+
+/** Days of one month selected by BYMONTHDAY/BYDAY, else the start's day of month */
+const monthDays = (year, month, rule, startDate) => {
+  const length = daysInMonth(year, month);
+  const first = dayNumber(year, month, 1);
+  let days = null;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map((day) => (day > 0 ? day : length + day + 1))
+      .filter((day) => day >= 1 && day <= length)
+      .map((day) => first + day - 1);
+  }
+  if (rule.byDay.length > 0) {
+    const weekdays = matchWeekdays(first, length, rule.byDay);
+    days = days ? days.filter((day) => weekdays.includes(day)) : weekdays;
+  }
+  if (!days) {
+    // Months without that day (e.g. the 31st) are skipped
+    days = startDate.day <= length ? [first + startDate.day - 1] : [];
+  }
+  return days;
+};
+
+/** Candidate days of the k-th period and the first day of that period */
+const periodDays = (k, rule, startDay, startDate) => {
+  const { frequency, interval } = rule;
+
+  if (frequency === 'daily') {
+    const day = startDay + k * interval;
+    const { month, day: dayOfMonth } = dateOf(day);
+    const length = daysInMonth(dateOf(day).year, month);
+    const matches = (rule.byMonth.length === 0 || rule.byMonth.includes(month))
+      && (rule.byMonthDay.length === 0
+        || rule.byMonthDay.some((value) => (value > 0 ? value : length + value + 1) === dayOfMonth))
+      && (rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === weekdayOf(day)));
+    return { first: day, days: matches ? [day] : [] };
+  }
+
+  if (frequency === 'weekly') {
+    const weekBegin = startDay - ((weekdayOf(startDay) - rule.weekStart + 7) % 7) + k * 7 * interval;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(startDay)];
+    const days = [...new Set(weekdays)]
+      .map((weekday) => weekBegin + ((weekday - rule.weekStart + 7) % 7))
+      .filter((day) => rule.byMonth.length === 0 || rule.byMonth.includes(dateOf(day).month));
+    return { first: weekBegin, days };
+  }
+
+  if (frequency === 'monthly') {
+    const index = startDate.year * 12 + (startDate.month - 1) + k * interval;
+    const year = Math.floor(index / 12);
+    const month = (index % 12) + 1;
+    const days = rule.byMonth.length === 0 || rule.byMonth.includes(month)
+      ? monthDays(year, month, rule, startDate)
+      : [];
+    return { first: dayNumber(year, month, 1), days };
+  }
+
+  // yearly
+  const year = startDate.year + k * interval;
+  const first = dayNumber(year, 1, 1);
+  if (rule.byMonth.length === 0 && rule.byMonthDay.length === 0 && rule.byDay.length > 0) {
+    // BYDAY ordinals within the year (e.g. 20th Monday)
+    return { first, days: matchWeekdays(first, dayNumber(year + 1, 1, 1) - first, rule.byDay) };
+  }
+  let months = [startDate.month];
+  if (rule.byMonth.length > 0) {
+    months = rule.byMonth;
+  } else if (rule.byMonthDay.length > 0) {
+    months = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+  }
+  return { first, days: months.flatMap((month) => monthDays(year, month, rule, startDate)) };
+};
+
+/** Period to start walking from so that periods wholly before `from` are skipped */
+const firstUsefulPeriod = (rule, startDay, startDate, from, timeZone) => {
+  const fromDate = toWall(from, timeZone);
+  const fromDay = dayNumber(fromDate.year, fromDate.month, fromDate.day);
+  let elapsed;
+  if (rule.frequency === 'daily') {
+    elapsed = (fromDay - startDay) / rule.interval;
+  } else if (rule.frequency === 'weekly') {
+    const weekBegin = startDay - ((weekdayOf(startDay) - rule.weekStart + 7) % 7);
+    elapsed = (fromDay - weekBegin) / (7 * rule.interval);
+  } else if (rule.frequency === 'monthly') {
+    elapsed = ((fromDate.year - startDate.year) * 12 + (fromDate.month - startDate.month)) / rule.interval;
+  } else {
+    elapsed = (fromDate.year - startDate.year) / rule.interval;
+  }
+  return Math.max(0, Math.floor(elapsed) - 1);
+};
+
+/**
+ * Start times of an event's occurrences (the event's own start is the first occurrence)
+ * @param {Object} event - { startDate, timezone, recurrence }
+ * @param {Object} options
+ * @param {Date} options.from - Earliest start to return
+ * @param {Date} options.to - Latest start to return
+ * @param {number} options.limit - Maximum occurrences returned
+ * @param {boolean} options.includeExceptions - Keep dates listed in exceptionDates
+ * @returns {Date[]} Occurrence start times, ascending
+ */
+export const expandRecurrence = (event, { from = null, to = null, limit = 1000, includeExceptions = false } = {}) => {
+  const start = new Date(event.startDate);
+  const rule = normalizeRule(event.recurrence);
+  if (!rule) {
+    const inRange = (!from || start >= from) && (!to || start <= to);
+    return inRange ? [start] : [];
+  }
+
+  const timeZone = event.timezone || DEFAULT_TIMEZONE;
+  const wall = toWall(start, timeZone);
+  const startDay = dayNumber(wall.year, wall.month, wall.day);
+  const rangeEnd = [to, rule.until].filter(Boolean).sort((a, b) => a - b)[0] || null;
+  const lastDay = rangeEnd
+    ? (() => { const end = toWall(rangeEnd, timeZone); return dayNumber(end.year, end.month, end.day); })()
+    : null;
+  const exceptions = new Set(includeExceptions ? [] : rule.exceptionDates);
+
+  const result = [];
+  let generated = 0;
+  let done = false;
+
+  // Returns false once the series or the requested range is exhausted
+  const emit = (occurrence) => {
+    if ((rule.until && occurrence > rule.until) || (rule.count && generated >= rule.count)) {
+      return false;
+    }
+    generated++;
+    if (to && occurrence > to) {
+      return false;
+    }
+    if ((!from || occurrence >= from) && !exceptions.has(occurrence.getTime())) {
+      result.push(occurrence);
+    }
+    return result.length < limit;
+  };
+
+  // COUNT needs every occurrence from the start; otherwise skip ahead to the range
+  const firstPeriod = !rule.count && from && from > start
+    ? firstUsefulPeriod(rule, startDay, wall, from, timeZone)
+    : 0;
+  if (firstPeriod === 0) {
+    done = !emit(start);
+  }
+
+  for (let k = firstPeriod; !done && k < firstPeriod + MAX_PERIODS; k++) {
+    const { first, days } = periodDays(k, rule, startDay, wall);
+    if (lastDay !== null && first > lastDay) {
+      break;
+    }
+    for (const day of [...days].sort((a, b) => a - b)) {
+      const occurrence = fromWall({ ...wall, ...dateOf(day) }, timeZone);
+      if (occurrence <= start) {
+        continue;
+      }
+      if (!emit(occurrence)) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Whether a time is an occurrence of the event (exception dates are not)
+ * @param {Object} event - { startDate, timezone, recurrence }
+ * @param {Date} date - Occurrence start
+ * @returns {boolean}
+ */
+export const isOccurrence = (event, date) => {
+  const time = new Date(date);
+  return expandRecurrence(event, { from: time, to: time, limit: 1 })
+    .some((occurrence) => occurrence.getTime() === time.getTime());
+};
+
+/**
+ * UTC date-time in iCalendar basic format (20261019T103000Z)
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export const formatICalDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Date from iCalendar basic format (20261019T103000Z, 20261019) or ISO 8601
+ * @param {string} value - Date text
+ * @returns {Date|null} Date, null when invalid
+ */
+export const parseICalDate = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  const date = match
+    ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * RRULE text of a recurrence (without the "RRULE:" prefix)
+ * @param {Object} recurrence - CalendarEvent.recurrence
+ * @returns {string|null} e.g. FREQ=MONTHLY;BYDAY=-1FR;COUNT=6, null when it does not repeat
+ */
+export const toRRule = (recurrence) => {
+  const rule = normalizeRule(recurrence);
+  if (!rule) {
+    return null;
+  }
+
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (recurrence.byWeekday?.length) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map((entry) => entry.toUpperCase()).join(',')}`);
+  }
+  if (rule.byMonthDay.length) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.byMonth.length) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+  if (recurrence.weekStart && recurrence.weekStart !== 'MO') {
+    parts.push(`WKST=${recurrence.weekStart}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (rule.until) {
+    parts.push(`UNTIL=${formatICalDate(rule.until)}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Recurrence from RRULE text
+ * @param {string} text - e.g. "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,MO"
+ * @returns {Object|null} CalendarEvent.recurrence fields, null when the rule is not supported
+ */
+export const parseRRule = (text) => {
+  const fields = {};
+  String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value] = part.split('=');
+    fields[key?.toUpperCase()] = value;
+  });
+
+  const pattern = fields.FREQ?.toLowerCase();
+  if (!FREQUENCIES.includes(pattern)) {
+    return null;
+  }
+  const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+  const numbers = (value) => list(value).map(Number);
+
+  const recurrence = {
+    enabled: true,
+    pattern,
+    interval: fields.INTERVAL ? parseInt(fields.INTERVAL) : 1,
+    byWeekday: list(fields.BYDAY).map((entry) => entry.toUpperCase().replace(/^\+/, '')),
+    byMonthDay: numbers(fields.BYMONTHDAY),
+    byMonth: numbers(fields.BYMONTH),
+    weekStart: fields.WKST ? fields.WKST.toUpperCase() : 'MO',
+    occurrences: fields.COUNT ? parseInt(fields.COUNT) : null,
+    endDate: fields.UNTIL ? parseICalDate(fields.UNTIL) : null
+  };
+
+  const valid = recurrence.interval >= 1
+    && recurrence.byWeekday.every((entry) => BY_DAY_PATTERN.test(entry))
+    && recurrence.byMonthDay.every((day) => Number.isInteger(day) && day !== 0 && Math.abs(day) <= 31)
+    && recurrence.byMonth.every((month) => Number.isInteger(month) && month >= 1 && month <= 12)
+    && WEEKDAYS.includes(recurrence.weekStart)
+    && (!fields.COUNT || recurrence.occurrences >= 1)
+    && (!fields.UNTIL || recurrence.endDate);
+  return valid ? recurrence : null;
+};
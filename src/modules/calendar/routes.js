@@ -3,15 +3,27 @@ import { CalendarController } from './controller.js';
 import { validate } from '../../middleware/validation.js';
 import { authenticate } from '../../middleware/auth.js';
 import { auditLog } from '../../middleware/audit.js';
+import { uploadLimiter } from '../../middleware/rateLimit.js';
+import { CalendarFeedService } from './feedService.js';
 import {
   createEventSchema,
   updateEventSchema,
-  respondToEventSchema
+  respondToEventSchema,
+  updateOccurrenceSchema,
+  deleteOccurrenceQuerySchema,
+  getOccurrencesQuerySchema,
+  createFeedSchema,
+  exportCalendarQuerySchema
 } from './validation.js';
 
 const router = Router();
 
-// All routes require authentication
+const icsUpload = CalendarFeedService.getImportUpload();
+
+// Subscribable iCalendar feed: the secret token in the URL replaces the login
+router.get('/feeds/:token.ics', CalendarController.getFeed);
+
+// All other routes require authentication
 router.use(authenticate);
 
 router.post('/',
@@ -40,6 +52,40 @@ router.get('/statistics',
   CalendarController.getStatistics
 );
 
+// iCalendar feeds, export and import
+router.get('/feeds',
+  CalendarController.getFeeds
+);
+
+router.post('/feeds',
+  validate(createFeedSchema),
+  auditLog('CREATE_FEED', 'calendar'),
+  CalendarController.createFeed
+);
+
+router.delete('/feeds/:feedId',
+  auditLog('REVOKE_FEED', 'calendar'),
+  CalendarController.revokeFeed
+);
+
+router.get('/export',
+  validate(exportCalendarQuerySchema, 'query'),
+  auditLog('EXPORT', 'calendar'),
+  CalendarController.exportCalendar
+);
+
+router.post('/import',
+  uploadLimiter,
+  icsUpload.single('file'),
+  auditLog('IMPORT', 'calendar'),
+  CalendarController.importCalendar
+);
+
+router.get('/:id/ics',
+  auditLog('READ', 'calendar'),
+  CalendarController.exportEvent
+);
+
 router.get('/:id',
   auditLog('READ', 'calendar'),
   CalendarController.getEventById
@@ -62,6 +108,31 @@ router.post('/:id/respond',
   CalendarController.respondToEvent
 );
 
+// Occurrences of recurring events (:occurrence is the occurrence start time)
+router.get('/:id/occurrences',
+  validate(getOccurrencesQuerySchema, 'query'),
+  auditLog('READ', 'calendar'),
+  CalendarController.getOccurrences
+);
+
+router.put('/:id/occurrences/:occurrence',
+  validate(updateOccurrenceSchema),
+  auditLog('UPDATE', 'calendar'),
+  CalendarController.updateOccurrence
+);
+
+router.delete('/:id/occurrences/:occurrence',
+  validate(deleteOccurrenceQuerySchema, 'query'),
+  auditLog('DELETE', 'calendar'),
+  CalendarController.deleteOccurrence
+);
+
+router.post('/:id/occurrences/:occurrence/respond',
+  validate(respondToEventSchema),
+  auditLog('UPDATE', 'calendar'),
+  CalendarController.respondToOccurrence
+);
+
 router.post('/reminders/send',
   auditLog('UPDATE', 'calendar'),
   CalendarController.sendReminders
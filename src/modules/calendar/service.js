@@ -4,6 +4,14 @@ import { Notification } from '../notifications/model.js';
 import { smsService } from '../../utils/sms.js';
 import { logger } from '../../utils/logger.js';
 import { LogService } from '../logs/service.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+import { expandRecurrence, isOccurrence, parseRRule, formatICalDate } from './recurrence.js';
+
+// Fields an occurrence override copies from its series (and keeps following while unchanged)
+const SERIES_FIELDS = ['title', 'description', 'isAllDay', 'location', 'type', 'color', 'tags', 'attachments'];
+const MAX_EXPANDED_OCCURRENCES = 1000;
+const MINUTE_MS = 60 * 1000;
 
 export class CalendarService {
   /**
@@ -13,6 +21,7 @@ export class CalendarService {
     try {
       const event = new CalendarEvent({
         ...eventData,
+        recurrence: this._normalizeRecurrence(eventData.recurrence),
         organizer: organizerId
       });
 
@@ -150,44 +159,68 @@ export class CalendarService {
 
   /**
    * Get events for a specific date range (for calendar view)
+   * Recurring events are expanded into their occurrences in the range; occurrences with an
+   * override are returned as the override.
    */
   static async getEventsByDateRange(startDate, endDate, userId = null) {
     try {
-      const query = {
-        $or: [
-          {
-            startDate: {
-              $gte: new Date(startDate),
-              $lte: new Date(endDate)
-            }
-          },
-          {
-            endDate: {
-              $gte: new Date(startDate),
-              $lte: new Date(endDate)
-            }
-          },
+      const rangeStart = new Date(startDate);
+      const rangeEnd = new Date(endDate);
+      const scope = userId
+        ? [{ $or: [{ organizer: userId }, { 'attendees.user': userId }] }]
+        : [];
+
+      const singleQuery = {
+        $and: [
+          ...scope,
+          { 'recurrence.enabled': { $ne: true } },
           {
-            startDate: { $lte: new Date(startDate) },
-            endDate: { $gte: new Date(endDate) }
+            $or: [
+              {
+                startDate: {
+                  $gte: rangeStart,
+                  $lte: rangeEnd
+                }
+              },
+              {
+                endDate: {
+                  $gte: rangeStart,
+                  $lte: rangeEnd
+                }
+              },
+              {
+                startDate: { $lte: rangeStart },
+                endDate: { $gte: rangeEnd }
+              }
+            ]
           }
         ]
       };
 
-      if (userId) {
-        query.$or = [
-          { organizer: userId },
-          { 'attendees.user': userId }
-        ];
-      }
+      const seriesQuery = {
+        $and: [
+          ...scope,
+          { 'recurrence.enabled': true, recurringEvent: null, startDate: { $lte: rangeEnd } }
+        ]
+      };
+
+      const [events, series] = await Promise.all([
+        CalendarEvent.find(singleQuery)
+          .populate('organizer', 'name email')
+          .populate('attendees.user', 'name email')
+          .lean(),
+        CalendarEvent.find(seriesQuery)
+          .populate('organizer', 'name email')
+          .populate('attendees.user', 'name email')
+          .lean()
+      ]);
 
-      const events = await CalendarEvent.find(query)
-        .populate('organizer', 'name email')
-        .populate('attendees.user', 'name email')
-        .sort({ startDate: 1 })
-        .lean();
+      const occurrences = await this._expandSeries(series, rangeStart, rangeEnd);
 
-      return events;
+      return [
+        ...events.map((event) => (event.recurringEvent ? this._toOccurrence(event) : event)),
+        ...occurrences
+      ].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
     } catch (error) {
       logger.error('Error getting events by date range:', error);
       throw error;
@@ -235,45 +268,47 @@ export class CalendarService {
       }
 
       // Check permissions: only organizer or admin can update
-      const isOrganizer = event.organizer.toString() === userId;
-      
-      if (!isOrganizer) {
-        const user = await User.findById(userId).populate('role');
-        const userRole = user?.role?.name || user?.role;
-        if (userRole !== 'super_admin' && userRole !== 'admin') {
-          throw new Error('شما دسترسی به این رویداد ندارید');
-        }
-      }
+      await this._assertCanManage(event, userId, 'شما دسترسی به این رویداد ندارید');
 
       const oldData = event.toObject();
+      const data = { ...updateData };
+      if (data.recurrence) {
+        // Exception dates are kept unless the new rule brings its own
+        data.recurrence = {
+          exceptionDates: oldData.recurrence?.exceptionDates || [],
+          ...this._normalizeRecurrence(data.recurrence)
+        };
+      }
 
       // Update event
-      Object.assign(event, updateData);
+      Object.assign(event, data);
+
+      // Moving a series moves its removed occurrences and its UNTIL with it
+      const isSeries = event.recurrence?.enabled && !event.recurringEvent;
+      const shift = event.startDate.getTime() - oldData.startDate.getTime();
+      if (isSeries && shift && !updateData.recurrence?.exceptionDates) {
+        event.recurrence.exceptionDates = event.recurrence.exceptionDates
+          .map((date) => new Date(date.getTime() + shift));
+      }
+      if (isSeries && shift && !updateData.recurrence && event.recurrence.endDate) {
+        event.recurrence.endDate = new Date(event.recurrence.endDate.getTime() + shift);
+      }
 
       await event.save();
+      if (isSeries) {
+        await this._syncOverrides(event, oldData, shift);
+      }
       await event.populate('organizer', 'name email phoneNumber');
       await event.populate('attendees.user', 'name email phoneNumber');
 
       // Notify attendees of changes
-      for (const attendee of event.attendees) {
-        await Notification.create({
-          type: 'calendar_event',
-          title: {
-            fa: 'رویداد به‌روزرسانی شد',
-            en: 'Event Updated'
-          },
-          message: {
-            fa: `رویداد "${event.title}" به‌روزرسانی شد`,
-            en: `Event "${event.title}" has been updated`
-          },
-          recipient: attendee.user._id,
-          relatedEntity: {
-            type: 'other',
-            id: event._id
-          },
-          actionUrl: `/dashboard/calendar/${event._id}`
-        });
-      }
+      await this._notifyAttendees(event, {
+        fa: 'رویداد به‌روزرسانی شد',
+        en: 'Event Updated'
+      }, {
+        fa: `رویداد "${event.title}" به‌روزرسانی شد`,
+        en: `Event "${event.title}" has been updated`
+      });
 
       // Log activity
       await LogService.createActivityLog({
@@ -308,18 +343,20 @@ export class CalendarService {
       }
 
       // Check permissions: only organizer or admin can delete
-      const isOrganizer = event.organizer.toString() === userId;
-      
-      if (!isOrganizer) {
-        const user = await User.findById(userId).populate('role');
-        const userRole = user?.role?.name || user?.role;
-        if (userRole !== 'super_admin' && userRole !== 'admin') {
-          throw new Error('شما دسترسی به حذف این رویداد ندارید');
-        }
-      }
+      await this._assertCanManage(event, userId, 'شما دسترسی به حذف این رویداد ندارید');
 
       await CalendarEvent.findByIdAndDelete(eventId);
 
+      if (event.recurringEvent) {
+        // Deleting an override removes its occurrence from the series
+        await CalendarEvent.updateOne(
+          { _id: event.recurringEvent },
+          { $addToSet: { 'recurrence.exceptionDates': event.originalStartDate } }
+        );
+      } else if (event.recurrence?.enabled) {
+        await CalendarEvent.deleteMany({ recurringEvent: event._id });
+      }
+
       // Log activity
       await LogService.createActivityLog({
         user: userId,
@@ -388,17 +425,224 @@ export class CalendarService {
     }
   }
 
+  /**
+   * Get the occurrences of a recurring event in a range (overrides included)
+   * @param {string} eventId - Recurring event ID
+   * @param {Object} range - { from, to, limit }; from defaults to now
+   * @param {string|null} userId - Limit to events the user organizes or attends
+   * @returns {Promise<Array>} Occurrences sorted by start
+   */
+  static async getOccurrences(eventId, { from, to, limit = 100 } = {}, userId = null) {
+    try {
+      const event = await this.getEventById(eventId, userId);
+
+      if (!event.recurrence?.enabled || event.recurringEvent) {
+        throw new AppError('این رویداد تکرارشونده نیست', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const rangeStart = from ? new Date(from) : new Date();
+      const rangeEnd = to ? new Date(to) : null;
+      const originalStartDate = rangeEnd ? { $gte: rangeStart, $lte: rangeEnd } : { $gte: rangeStart };
+
+      const [occurrences, overrides] = await Promise.all([
+        this._expandSeries([event.toObject()], rangeStart, rangeEnd, limit),
+        CalendarEvent.find({ recurringEvent: event._id, originalStartDate })
+          .populate('organizer', 'name email')
+          .populate('attendees.user', 'name email')
+          .lean()
+      ]);
+
+      return [...occurrences, ...overrides.map((override) => this._toOccurrence(override))]
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error getting event occurrences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update one occurrence of a recurring event, or it and all following ones
+   * 'this' saves an override for the occurrence; 'following' ends the series before the
+   * occurrence and starts a new series from it with the changes.
+   * @param {string} eventId - Recurring event ID
+   * @param {Date} occurrenceStart - Occurrence start as generated by the series
+   * @param {Object} updateData - Event fields (recurrence only applies to 'following')
+   * @param {string} userId - Organizer or admin
+   * @param {string} scope - 'this' | 'following'
+   * @returns {Promise<Object>} Override or new series
+   */
+  static async updateOccurrence(eventId, occurrenceStart, updateData, userId, scope = 'this') {
+    try {
+      const { event: series, start } = await this._getSeriesOccurrence(eventId, occurrenceStart);
+
+      await this._assertCanManage(series, userId, 'شما دسترسی به این رویداد ندارید');
+
+      if (scope === 'following') {
+        // From the first occurrence on is the whole series
+        if (start.getTime() === series.startDate.getTime()) {
+          return await this.updateEvent(eventId, updateData, userId);
+        }
+        return await this._splitSeries(series, start, updateData, userId);
+      }
+
+      // An override is a single event: the rule stays on the series
+      const data = { ...updateData };
+      delete data.recurrence;
+      const override = await this._getOrCreateOverride(series, start);
+      const oldData = override.isNew ? null : override.toObject();
+
+      Object.assign(override, data);
+
+      await override.save();
+      await override.populate('organizer', 'name email phoneNumber');
+      await override.populate('attendees.user', 'name email phoneNumber');
+
+      await this._notifyAttendees(override, {
+        fa: 'رویداد به‌روزرسانی شد',
+        en: 'Event Updated'
+      }, {
+        fa: `یکی از تکرارهای رویداد "${override.title}" به‌روزرسانی شد`,
+        en: `An occurrence of event "${override.title}" has been updated`
+      });
+
+      await LogService.createActivityLog({
+        user: userId,
+        action: 'UPDATE',
+        resource: 'calendar',
+        resourceId: series._id,
+        description: `ویرایش تکرار ${start.toISOString()} از رویداد "${series.title}"`,
+        changes: {
+          occurrence: start,
+          old: oldData,
+          new: override.toObject()
+        }
+      });
+
+      logger.info(`Calendar occurrence updated: ${eventId} @ ${start.toISOString()} by ${userId}`);
+      return override;
+    } catch (error) {
+      logger.error('Error updating event occurrence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one occurrence of a recurring event, or it and all following ones
+   * @param {string} eventId - Recurring event ID
+   * @param {Date} occurrenceStart - Occurrence start as generated by the series
+   * @param {string} userId - Organizer or admin
+   * @param {string} scope - 'this' (adds an exception date) | 'following' (ends the series)
+   * @returns {Promise<boolean>}
+   */
+  static async deleteOccurrence(eventId, occurrenceStart, userId, scope = 'this') {
+    try {
+      const { event: series, start } = await this._getSeriesOccurrence(eventId, occurrenceStart);
+
+      await this._assertCanManage(series, userId, 'شما دسترسی به حذف این رویداد ندارید');
+
+      if (scope === 'following') {
+        if (start.getTime() === series.startDate.getTime()) {
+          return await this.deleteEvent(eventId, userId);
+        }
+
+        series.recurrence.endDate = new Date(start.getTime() - 1000);
+        series.recurrence.occurrences = undefined;
+        series.recurrence.exceptionDates = series.recurrence.exceptionDates.filter((date) => date < start);
+        await series.save();
+        await CalendarEvent.deleteMany({ recurringEvent: series._id, originalStartDate: { $gte: start } });
+      } else {
+        if (!series.recurrence.exceptionDates.some((date) => date.getTime() === start.getTime())) {
+          series.recurrence.exceptionDates.push(start);
+        }
+        await series.save();
+        await CalendarEvent.deleteOne({ recurringEvent: series._id, originalStartDate: start });
+      }
+
+      await LogService.createActivityLog({
+        user: userId,
+        action: 'DELETE',
+        resource: 'calendar',
+        resourceId: series._id,
+        description: scope === 'following'
+          ? `حذف تکرارهای رویداد "${series.title}" از ${start.toISOString()} به بعد`
+          : `حذف تکرار ${start.toISOString()} از رویداد "${series.title}"`,
+        changes: { occurrence: start, scope }
+      });
+
+      logger.info(`Calendar occurrence deleted (${scope}): ${eventId} @ ${start.toISOString()} by ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting event occurrence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Respond to one occurrence of a recurring event (saved on the occurrence's override)
+   * @param {string} eventId - Recurring event ID
+   * @param {Date} occurrenceStart - Occurrence start as generated by the series
+   * @param {string} userId - Attendee
+   * @param {string} status - accepted | declined | tentative
+   * @returns {Promise<Object>} Override
+   */
+  static async respondToOccurrence(eventId, occurrenceStart, userId, status) {
+    try {
+      const { event: series, start } = await this._getSeriesOccurrence(eventId, occurrenceStart);
+
+      const override = await this._getOrCreateOverride(series, start);
+      const attendee = override.attendees.find((a) => a.user.toString() === userId);
+
+      if (!attendee) {
+        throw new AppError('شما در لیست شرکت‌کنندگان نیستید', HTTP_STATUS.FORBIDDEN);
+      }
+
+      attendee.status = status;
+      attendee.respondedAt = new Date();
+
+      await override.save();
+
+      // Notify organizer
+      await Notification.create({
+        type: 'calendar_event',
+        title: {
+          fa: 'پاسخ به دعوت',
+          en: 'Invitation Response'
+        },
+        message: {
+          fa: `یک شرکت‌کننده به یکی از تکرارهای رویداد "${override.title}" پاسخ داد`,
+          en: `An attendee responded to an occurrence of event "${override.title}"`
+        },
+        recipient: override.organizer,
+        relatedEntity: {
+          type: 'other',
+          id: override._id
+        },
+        actionUrl: `/dashboard/calendar/${series._id}?occurrence=${formatICalDate(start)}`
+      });
+
+      logger.info(`Occurrence response: ${eventId} @ ${start.toISOString()} by ${userId} - ${status}`);
+      return override;
+    } catch (error) {
+      logger.error('Error responding to event occurrence:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send reminders for upcoming events
+   * Single events and occurrence overrides track sent reminders on the reminder itself;
+   * recurring events track them per occurrence (sentReminders).
    */
   static async sendReminders() {
     try {
       const now = new Date();
-      const oneHourLater = new Date(now.getTime() + 60 * 60 * 1000);
       const oneDayLater = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+      const windowStart = new Date(now.getTime() - 5 * MINUTE_MS);
 
       // Find events that need reminders
       const events = await CalendarEvent.find({
+        'recurrence.enabled': { $ne: true },
         startDate: {
           $gte: now,
           $lte: oneDayLater
@@ -413,74 +657,12 @@ export class CalendarService {
           if (reminder.sent) continue;
 
           const reminderTime = new Date(
-            event.startDate.getTime() - reminder.minutesBefore * 60 * 1000
+            event.startDate.getTime() - reminder.minutesBefore * MINUTE_MS
           );
 
           // Check if it's time to send reminder
-          if (reminderTime <= now && reminderTime > new Date(now.getTime() - 5 * 60 * 1000)) {
-            // Send dashboard notification
-            if (reminder.type === 'dashboard' || reminder.type === 'email') {
-              await Notification.create({
-                type: 'calendar_event',
-                title: {
-                  fa: 'یادآوری رویداد',
-                  en: 'Event Reminder'
-                },
-                message: {
-                  fa: `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`,
-                  en: `Reminder: Event "${event.title}" starts in ${reminder.minutesBefore} minutes`
-                },
-                recipient: event.organizer._id,
-                relatedEntity: {
-                  type: 'other',
-                  id: event._id
-                },
-                actionUrl: `/dashboard/calendar/${event._id}`
-              });
-
-              // Send to attendees
-              for (const attendee of event.attendees) {
-                if (attendee.status === 'accepted' || attendee.status === 'tentative') {
-                  await Notification.create({
-                    type: 'calendar_event',
-                    title: {
-                      fa: 'یادآوری رویداد',
-                      en: 'Event Reminder'
-                    },
-                    message: {
-                      fa: `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`,
-                      en: `Reminder: Event "${event.title}" starts in ${reminder.minutesBefore} minutes`
-                    },
-                    recipient: attendee.user._id,
-                    relatedEntity: {
-                      type: 'other',
-                      id: event._id
-                    },
-                    actionUrl: `/dashboard/calendar/${event._id}`
-                  });
-                }
-              }
-            }
-
-            // Send SMS reminder
-            if (reminder.type === 'sms') {
-              try {
-                if (event.organizer.phoneNumber) {
-                  const smsMessage = `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`;
-                  await smsService.sendNotification(event.organizer.phoneNumber, smsMessage);
-                }
-
-                // Send to attendees
-                for (const attendee of event.attendees) {
-                  if ((attendee.status === 'accepted' || attendee.status === 'tentative') && attendee.user.phoneNumber) {
-                    const smsMessage = `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`;
-                    await smsService.sendNotification(attendee.user.phoneNumber, smsMessage);
-                  }
-                }
-              } catch (smsError) {
-                logger.error('Failed to send SMS reminder:', smsError);
-              }
-            }
+          if (reminderTime <= now && reminderTime > windowStart) {
+            await this._sendReminder(event, reminder, event.startDate);
 
             // Mark reminder as sent
             reminder.sent = true;
@@ -491,8 +673,10 @@ export class CalendarService {
         await event.save();
       }
 
-      logger.info(`Reminders sent for ${events.length} events`);
-      return { sent: events.length };
+      const occurrences = await this._sendSeriesReminders(now, windowStart);
+
+      logger.info(`Reminders sent for ${events.length} events and ${occurrences} occurrences`);
+      return { sent: events.length + occurrences };
     } catch (error) {
       logger.error('Error sending reminders:', error);
       throw error;
@@ -505,21 +689,45 @@ export class CalendarService {
   static async getUpcomingEvents(userId, limit = 10) {
     try {
       const now = new Date();
-
-      const events = await CalendarEvent.find({
+      const scope = {
         $or: [
           { organizer: userId },
           { 'attendees.user': userId }
-        ],
-        startDate: { $gte: now }
-      })
-        .populate('organizer', 'name email')
-        .populate('attendees.user', 'name email')
-        .sort({ startDate: 1 })
-        .limit(limit)
-        .lean();
+        ]
+      };
 
-      return events;
+      const [events, series] = await Promise.all([
+        CalendarEvent.find({
+          ...scope,
+          'recurrence.enabled': { $ne: true },
+          startDate: { $gte: now }
+        })
+          .populate('organizer', 'name email')
+          .populate('attendees.user', 'name email')
+          .sort({ startDate: 1 })
+          .limit(limit)
+          .lean(),
+        CalendarEvent.find({
+          $and: [
+            scope,
+            { 'recurrence.enabled': true, recurringEvent: null },
+            { $or: [{ 'recurrence.endDate': null }, { 'recurrence.endDate': { $gte: now } }] }
+          ]
+        })
+          .populate('organizer', 'name email')
+          .populate('attendees.user', 'name email')
+          .lean()
+      ]);
+
+      const occurrences = (await this._expandSeries(series, now, null, limit))
+        .filter((occurrence) => occurrence.startDate >= now);
+
+      return [
+        ...events.map((event) => (event.recurringEvent ? this._toOccurrence(event) : event)),
+        ...occurrences
+      ]
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+        .slice(0, limit);
     } catch (error) {
       logger.error('Error getting upcoming events:', error);
       throw error;
@@ -573,5 +781,447 @@ export class CalendarService {
       throw error;
     }
   }
-}
 
+  /**
+   * Private: Recurrence with an RRULE string (recurrence.rrule) converted to its fields
+   * @private
+   */
+  static _normalizeRecurrence(recurrence) {
+    if (!recurrence?.rrule) {
+      return recurrence;
+    }
+
+    const { rrule, ...rest } = recurrence;
+    const parsed = parseRRule(rrule);
+    if (!parsed) {
+      throw new AppError('قاعده تکرار نامعتبر است', HTTP_STATUS.BAD_REQUEST);
+    }
+    return {
+      ...parsed,
+      enabled: rest.enabled ?? true,
+      ...(rest.exceptionDates ? { exceptionDates: rest.exceptionDates } : {})
+    };
+  }
+
+  /**
+   * Private: Throw unless the user organizes the event or is an admin
+   * @private
+   */
+  static async _assertCanManage(event, userId, message) {
+    if (event.organizer.toString() === userId?.toString()) {
+      return;
+    }
+
+    const user = await User.findById(userId).populate('role');
+    const userRole = user?.role?.name || user?.role;
+    if (userRole !== 'super_admin' && userRole !== 'admin') {
+      throw new AppError(message, HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  /**
+   * Private: Recurring event and the occurrence start, checked against the rule
+   * @private
+   */
+  static async _getSeriesOccurrence(eventId, occurrenceStart) {
+    const event = await CalendarEvent.findById(eventId);
+
+    if (!event) {
+      throw new AppError('رویداد یافت نشد', HTTP_STATUS.NOT_FOUND);
+    }
+    if (!event.recurrence?.enabled || event.recurringEvent) {
+      throw new AppError('این رویداد تکرارشونده نیست', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const start = new Date(occurrenceStart);
+    if (Number.isNaN(start.getTime()) || !isOccurrence(event, start)) {
+      throw new AppError('این تکرار از رویداد یافت نشد', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return { event, start };
+  }
+
+  /**
+   * Private: Fields a new event copies from a series (attendee responses included)
+   * @private
+   */
+  static _copySeries(series, start) {
+    const data = series.toObject();
+    const duration = data.endDate ? data.endDate.getTime() - data.startDate.getTime() : null;
+
+    return {
+      ...Object.fromEntries(SERIES_FIELDS.map((field) => [field, data[field]])),
+      organizer: data.organizer,
+      attendees: data.attendees.map(({ user, status, respondedAt }) => ({ user, status, respondedAt })),
+      reminders: data.reminders.map(({ type, minutesBefore }) => ({ type, minutesBefore })),
+      timezone: data.timezone,
+      startDate: start,
+      endDate: duration === null ? undefined : new Date(start.getTime() + duration),
+      createdBy: data.createdBy
+    };
+  }
+
+  /**
+   * Private: Override of an occurrence, created (unsaved) from the series when missing
+   * @private
+   */
+  static async _getOrCreateOverride(series, start) {
+    const override = await CalendarEvent.findOne({ recurringEvent: series._id, originalStartDate: start });
+    if (override) {
+      return override;
+    }
+
+    const created = new CalendarEvent({
+      ...this._copySeries(series, start),
+      recurringEvent: series._id,
+      originalStartDate: start
+    });
+
+    // Reminders the series already sent for this occurrence are not sent again
+    created.reminders.forEach((reminder, index) => {
+      const seriesReminder = series.reminders[index];
+      const sent = series.sentReminders.find((entry) => entry.reminder?.equals(seriesReminder._id)
+        && entry.occurrenceStart.getTime() === start.getTime());
+      if (sent) {
+        reminder.sent = true;
+        reminder.sentAt = sent.sentAt;
+      }
+    });
+
+    return created;
+  }
+
+  /**
+   * Private: End a series before an occurrence and continue it as a new series from there
+   * @private
+   */
+  static async _splitSeries(series, start, updateData, userId) {
+    const oldData = series.toObject();
+    const exceptionDates = oldData.recurrence.exceptionDates || [];
+
+    // COUNT includes removed occurrences, so they are counted for what the old series used
+    const used = expandRecurrence(oldData, { to: new Date(start.getTime() - 1), includeExceptions: true }).length;
+
+    const next = new CalendarEvent({
+      ...this._copySeries(series, start),
+      recurrence: {
+        ...oldData.recurrence,
+        occurrences: oldData.recurrence.occurrences ? oldData.recurrence.occurrences - used : undefined,
+        exceptionDates: exceptionDates.filter((date) => date >= start)
+      },
+      createdBy: userId
+    });
+
+    const data = { ...updateData };
+    if (data.recurrence) {
+      data.recurrence = {
+        exceptionDates: next.recurrence.exceptionDates,
+        ...this._normalizeRecurrence(data.recurrence)
+      };
+    }
+    Object.assign(next, data);
+
+    const shift = next.startDate.getTime() - start.getTime();
+    if (shift && !updateData.recurrence?.exceptionDates) {
+      next.recurrence.exceptionDates = next.recurrence.exceptionDates
+        .map((date) => new Date(date.getTime() + shift));
+    }
+    if (shift && !updateData.recurrence && next.recurrence.endDate) {
+      next.recurrence.endDate = new Date(next.recurrence.endDate.getTime() + shift);
+    }
+
+    series.recurrence.endDate = new Date(start.getTime() - 1000);
+    series.recurrence.occurrences = undefined;
+    series.recurrence.exceptionDates = exceptionDates.filter((date) => date < start);
+
+    await next.save();
+    await series.save();
+
+    // Overrides from the split on belong to the new series
+    const overrides = await CalendarEvent.find({ recurringEvent: series._id, originalStartDate: { $gte: start } });
+    for (const override of overrides) {
+      override.recurringEvent = next._id;
+      await override.save();
+    }
+    await this._syncOverrides(next, oldData, shift);
+
+    await next.populate('organizer', 'name email phoneNumber');
+    await next.populate('attendees.user', 'name email phoneNumber');
+
+    await this._notifyAttendees(next, {
+      fa: 'رویداد به‌روزرسانی شد',
+      en: 'Event Updated'
+    }, {
+      fa: `رویداد "${next.title}" از ${start.toISOString()} به بعد به‌روزرسانی شد`,
+      en: `Event "${next.title}" has been updated from ${start.toISOString()} on`
+    });
+
+    await LogService.createActivityLog({
+      user: userId,
+      action: 'UPDATE',
+      resource: 'calendar',
+      resourceId: series._id,
+      description: `ویرایش رویداد "${series.title}" از ${start.toISOString()} به بعد`,
+      changes: {
+        occurrence: start,
+        newSeries: next._id,
+        old: oldData,
+        new: next.toObject()
+      }
+    });
+
+    logger.info(`Calendar series split: ${series._id} @ ${start.toISOString()} -> ${next._id} by ${userId}`);
+    return next;
+  }
+
+  /**
+   * Private: Carry a series edit over to its overrides: move them by the start shift, apply
+   * changed fields they had not changed themselves and follow attendee additions/removals
+   * @private
+   */
+  static async _syncOverrides(series, oldData, shift = 0) {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    const data = series.toObject();
+    const changedFields = SERIES_FIELDS.filter((field) => !same(data[field], oldData[field]));
+    const users = data.attendees.map((attendee) => attendee.user.toString());
+    const oldUsers = oldData.attendees.map((attendee) => attendee.user.toString());
+
+    // Moved in the shift's direction first so no two overrides share a start on the way
+    const overrides = await CalendarEvent.find({ recurringEvent: series._id })
+      .sort({ originalStartDate: shift > 0 ? -1 : 1 });
+
+    for (const override of overrides) {
+      const current = override.toObject();
+
+      if (shift) {
+        // Overrides still at their generated time (e.g. only a response) move along
+        if (current.startDate.getTime() === current.originalStartDate.getTime()) {
+          override.startDate = new Date(current.startDate.getTime() + shift);
+          if (current.endDate) {
+            override.endDate = new Date(current.endDate.getTime() + shift);
+          }
+        }
+        override.originalStartDate = new Date(current.originalStartDate.getTime() + shift);
+      }
+      changedFields.forEach((field) => {
+        if (same(current[field], oldData[field])) {
+          override[field] = data[field];
+        }
+      });
+
+      // Attendees added to or removed from the series; the override's own stay
+      const overrideUsers = current.attendees.map((attendee) => attendee.user.toString());
+      const removed = oldUsers.filter((user) => !users.includes(user));
+      const added = users.filter((user) => !oldUsers.includes(user) && !overrideUsers.includes(user));
+      if (added.length > 0 || overrideUsers.some((user) => removed.includes(user))) {
+        override.attendees = [
+          ...current.attendees.filter((attendee) => !removed.includes(attendee.user.toString())),
+          ...added.map((user) => ({ user, status: 'pending' }))
+        ];
+      }
+
+      if (override.isModified()) {
+        await override.save();
+      }
+    }
+  }
+
+  /**
+   * Private: Occurrence objects of recurring events starting or running within a range,
+   * without occurrences that have an override
+   * @private
+   */
+  static async _expandSeries(seriesList, rangeStart, rangeEnd, limit = MAX_EXPANDED_OCCURRENCES) {
+    if (seriesList.length === 0) {
+      return [];
+    }
+
+    const overrides = await CalendarEvent.find({ recurringEvent: { $in: seriesList.map((series) => series._id) } })
+      .select('recurringEvent originalStartDate')
+      .lean();
+    const overridden = new Set(overrides.map(
+      (override) => `${override.recurringEvent}_${override.originalStartDate.getTime()}`
+    ));
+
+    return seriesList.flatMap((series) => {
+      const duration = series.endDate ? new Date(series.endDate) - new Date(series.startDate) : 0;
+
+      return expandRecurrence(series, { from: new Date(rangeStart.getTime() - duration), to: rangeEnd, limit })
+        .filter((start) => !overridden.has(`${series._id}_${start.getTime()}`))
+        .map((start) => this._toOccurrence(series, start));
+    });
+  }
+
+  /**
+   * Private: Occurrence of a series (from its start time) or an override as an occurrence
+   * @private
+   */
+  static _toOccurrence(event, start = null) {
+    if (!start) {
+      return {
+        ...event,
+        occurrenceId: `${event.recurringEvent}_${formatICalDate(event.originalStartDate)}`,
+        isOccurrence: true
+      };
+    }
+
+    // Reminder bookkeeping stays on the series
+    const series = { ...event };
+    delete series.sentReminders;
+    const duration = series.endDate ? new Date(series.endDate) - new Date(series.startDate) : null;
+
+    return {
+      ...series,
+      startDate: start,
+      endDate: duration === null ? series.endDate : new Date(start.getTime() + duration),
+      recurringEvent: series._id,
+      originalStartDate: start,
+      occurrenceId: `${series._id}_${formatICalDate(start)}`,
+      isOccurrence: true
+    };
+  }
+
+  /**
+   * Private: Reminders of recurring events due for their occurrences
+   * @private
+   */
+  static async _sendSeriesReminders(now, windowStart) {
+    const series = await CalendarEvent.find({
+      'recurrence.enabled': true,
+      recurringEvent: null,
+      'reminders.0': { $exists: true },
+      $or: [{ 'recurrence.endDate': null }, { 'recurrence.endDate': { $gte: windowStart } }]
+    })
+      .populate('organizer', 'name email phoneNumber')
+      .populate('attendees.user', 'name email phoneNumber');
+
+    let sent = 0;
+    for (const event of series) {
+      const maxBefore = Math.max(...event.reminders.map((reminder) => reminder.minutesBefore));
+      const starts = (await this._expandSeries(
+        [event.toObject()],
+        windowStart,
+        new Date(now.getTime() + maxBefore * MINUTE_MS)
+      )).map((occurrence) => occurrence.startDate);
+
+      let changed = false;
+      for (const start of starts) {
+        for (const reminder of event.reminders) {
+          const reminderTime = new Date(start.getTime() - reminder.minutesBefore * MINUTE_MS);
+          const alreadySent = event.sentReminders.some((entry) => entry.reminder?.equals(reminder._id)
+            && entry.occurrenceStart.getTime() === start.getTime());
+
+          if (reminderTime <= now && reminderTime > windowStart && !alreadySent) {
+            await this._sendReminder(event, reminder, start);
+            event.sentReminders.push({ occurrenceStart: start, reminder: reminder._id, sentAt: new Date() });
+            changed = true;
+            sent++;
+          }
+        }
+      }
+
+      if (changed) {
+        // Started occurrences cannot be due again
+        event.sentReminders = event.sentReminders.filter((entry) => entry.occurrenceStart >= windowStart);
+        await event.save();
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Private: Send one reminder of an event (or of one occurrence) to the organizer and
+   * the attendees who accepted or may attend
+   * @private
+   */
+  static async _sendReminder(event, reminder, occurrenceStart) {
+    const actionUrl = event.recurrence?.enabled
+      ? `/dashboard/calendar/${event._id}?occurrence=${formatICalDate(occurrenceStart)}`
+      : `/dashboard/calendar/${event._id}`;
+
+    // Send dashboard notification
+    if (reminder.type === 'dashboard' || reminder.type === 'email') {
+      await Notification.create({
+        type: 'calendar_event',
+        title: {
+          fa: 'یادآوری رویداد',
+          en: 'Event Reminder'
+        },
+        message: {
+          fa: `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`,
+          en: `Reminder: Event "${event.title}" starts in ${reminder.minutesBefore} minutes`
+        },
+        recipient: event.organizer._id,
+        relatedEntity: {
+          type: 'other',
+          id: event._id
+        },
+        actionUrl
+      });
+
+      // Send to attendees
+      for (const attendee of event.attendees) {
+        if (attendee.status === 'accepted' || attendee.status === 'tentative') {
+          await Notification.create({
+            type: 'calendar_event',
+            title: {
+              fa: 'یادآوری رویداد',
+              en: 'Event Reminder'
+            },
+            message: {
+              fa: `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`,
+              en: `Reminder: Event "${event.title}" starts in ${reminder.minutesBefore} minutes`
+            },
+            recipient: attendee.user._id,
+            relatedEntity: {
+              type: 'other',
+              id: event._id
+            },
+            actionUrl
+          });
+        }
+      }
+    }
+
+    // Send SMS reminder
+    if (reminder.type === 'sms') {
+      try {
+        if (event.organizer.phoneNumber) {
+          const smsMessage = `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`;
+          await smsService.sendNotification(event.organizer.phoneNumber, smsMessage);
+        }
+
+        // Send to attendees
+        for (const attendee of event.attendees) {
+          if ((attendee.status === 'accepted' || attendee.status === 'tentative') && attendee.user.phoneNumber) {
+            const smsMessage = `یادآوری: رویداد "${event.title}" ${reminder.minutesBefore} دقیقه دیگر شروع می‌شود`;
+            await smsService.sendNotification(attendee.user.phoneNumber, smsMessage);
+          }
+        }
+      } catch (smsError) {
+        logger.error('Failed to send SMS reminder:', smsError);
+      }
+    }
+  }
+
+  /**
+   * Private: Notify every attendee of an event
+   * @private
+   */
+  static async _notifyAttendees(event, title, message) {
+    for (const attendee of event.attendees) {
+      await Notification.create({
+        type: 'calendar_event',
+        title,
+        message,
+        recipient: attendee.user._id || attendee.user,
+        relatedEntity: {
+          type: 'other',
+          id: event._id
+        },
+        actionUrl: `/dashboard/calendar/${event.recurringEvent || event._id}`
+      });
+    }
+  }
+}
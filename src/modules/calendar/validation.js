@@ -1,4 +1,69 @@
 import Joi from 'joi';
+import { FREQUENCIES, WEEKDAYS, BY_DAY_PATTERN, isValidTimeZone, parseRRule } from './recurrence.js';
+
+// Either the rule fields or an RFC 5545 RRULE string (e.g. "FREQ=WEEKLY;BYDAY=SA,MO")
+const recurrenceSchema = Joi.object({
+  enabled: Joi.boolean()
+    .default(true),
+
+  rrule: Joi.string()
+    .trim()
+    .max(500)
+    .custom((value, helpers) => (parseRRule(value) ? value : helpers.error('any.invalid')))
+    .messages({
+      'any.invalid': 'قاعده تکرار (RRULE) نامعتبر یا پشتیبانی‌نشده است'
+    }),
+
+  pattern: Joi.string()
+    .valid(...FREQUENCIES),
+
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(999),
+
+  endDate: Joi.date()
+    .allow(null),
+
+  occurrences: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .allow(null),
+
+  byWeekday: Joi.array()
+    .items(Joi.string().uppercase().pattern(BY_DAY_PATTERN))
+    .messages({
+      'string.pattern.base': 'روز هفته باید به شکل MO یا 2TU یا -1FR باشد'
+    }),
+
+  byMonthDay: Joi.array()
+    .items(Joi.number().integer().min(-31).max(31).invalid(0)),
+
+  byMonth: Joi.array()
+    .items(Joi.number().integer().min(1).max(12)),
+
+  weekStart: Joi.string()
+    .valid(...WEEKDAYS),
+
+  exceptionDates: Joi.array()
+    .items(Joi.date())
+})
+  .oxor('rrule', 'pattern')
+  .oxor('endDate', 'occurrences')
+  .when(Joi.object({ enabled: Joi.valid(true) }).unknown(), {
+    then: Joi.object().or('rrule', 'pattern')
+  });
+
+const timezoneSchema = Joi.string()
+  .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+  .messages({
+    'any.invalid': 'منطقه زمانی نامعتبر است'
+  });
+
+const occurrenceScopeSchema = Joi.string()
+  .valid('this', 'following')
+  .default('this');
 
 export const createEventSchema = Joi.object({
   title: Joi.string()
@@ -56,6 +121,12 @@ export const createEventSchema = Joi.object({
 
   tags: Joi.array()
     .items(Joi.string().trim())
+    .optional(),
+
+  recurrence: recurrenceSchema
+    .optional(),
+
+  timezone: timezoneSchema
     .optional()
 });
 
@@ -108,9 +179,39 @@ export const updateEventSchema = Joi.object({
 
   tags: Joi.array()
     .items(Joi.string().trim())
+    .optional(),
+
+  recurrence: recurrenceSchema
+    .optional(),
+
+  timezone: timezoneSchema
     .optional()
 });
 
+// Occurrence edits: 'this' changes one occurrence, 'following' it and every later one
+export const updateOccurrenceSchema = updateEventSchema.keys({
+  scope: occurrenceScopeSchema
+});
+
+export const deleteOccurrenceQuerySchema = Joi.object({
+  scope: occurrenceScopeSchema
+});
+
+export const getOccurrencesQuerySchema = Joi.object({
+  from: Joi.date()
+    .optional(),
+
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .default(100)
+});
+
 export const respondToEventSchema = Joi.object({
   status: Joi.string()
     .valid('accepted', 'declined', 'tentative')
@@ -120,3 +221,38 @@ export const respondToEventSchema = Joi.object({
     })
 });
 
+
+export const createFeedSchema = Joi.object({
+  scope: Joi.string()
+    .valid('user', 'team')
+    .default('user'),
+
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow(''),
+
+  pastDays: Joi.number()
+    .integer()
+    .min(0)
+    .max(730)
+    .default(90),
+
+  types: Joi.array()
+    .items(Joi.string().valid('meeting', 'event', 'reminder', 'deadline', 'holiday', 'other'))
+    .default([])
+});
+
+export const exportCalendarQuerySchema = Joi.object({
+  from: Joi.date()
+    .optional(),
+
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .optional(),
+
+  type: Joi.string()
+    .valid('meeting', 'event', 'reminder', 'deadline', 'holiday', 'other')
+    .optional()
+});
@@ -1,5 +1,7 @@
 import { CartService } from './service.js';
+import { CartRecoveryService } from './recoveryService.js';
 import { Cart } from './model.js';
+import { CurrencyService } from '../currencies/service.js';
 import { logger } from '../../utils/logger.js';
 import { handleGetList } from '../../shared/controllers/baseController.js';
 
@@ -12,6 +14,7 @@ import { handleGetList } from '../../shared/controllers/baseController.js';
  * - Updating quantities
  * - Applying coupons
  * - Cart merging
+ * - Abandoned cart recovery: restore links, campaigns and report (admin)
  */
 export class CartController {
   /**
@@ -31,10 +34,14 @@ export class CartController {
       }
       
       const cart = await CartService.getOrCreateUserCart(userId);
+      const snapshot = await CurrencyService.snapshot(req.currency);
       
       res.status(200).json({
         success: true,
-        data: { cart }
+        data: {
+          cart,
+          displayTotals: CurrencyService.localizeTotals(cart.totals, snapshot)
+        }
       });
     } catch (error) {
       logger.error('Get user cart error:', error);
@@ -61,11 +68,13 @@ export class CartController {
       });
       
       res.setHeader('X-Guest-ID', newGuestId);
+      const snapshot = await CurrencyService.snapshot(req.currency);
       
       res.status(200).json({
         success: true,
         data: { 
           cart,
+          displayTotals: CurrencyService.localizeTotals(cart.totals, snapshot),
           guestId: newGuestId
         }
       });
@@ -81,7 +90,7 @@ export class CartController {
    */
   static async addItem(req, res, next) {
     try {
-      const { productId, quantity = 1 } = req.body;
+      const { productId, quantity = 1, variantId = null } = req.body;
       // authenticate middleware sets req.user.id (not _id)
       const userId = req.user?.id || req.user?._id;
       const guestId = req.headers['x-guest-id'] || req.cookies?.guestId;
@@ -116,7 +125,8 @@ export class CartController {
         productId,
         quantity,
         userId,
-        cart.guestId
+        cart.guestId,
+        variantId
       );
       
       res.status(200).json({
@@ -137,7 +147,7 @@ export class CartController {
   static async updateItemQuantity(req, res, next) {
     try {
       const { productId } = req.params;
-      const { quantity } = req.body;
+      const { quantity, variantId = null } = req.body;
       // authenticate middleware sets req.user.id (not _id)
       const userId = req.user?.id || req.user?._id;
       const guestId = req.headers['x-guest-id'] || req.cookies?.guestId;
@@ -163,7 +173,8 @@ export class CartController {
         productId,
         quantity,
         userId,
-        cart.guestId
+        cart.guestId,
+        variantId
       );
       
       res.status(200).json({
@@ -179,11 +190,12 @@ export class CartController {
 
   /**
    * Remove item from cart
-   * DELETE /api/v1/cart/items/:productId
+   * DELETE /api/v1/cart/items/:productId?variantId=
    */
   static async removeItem(req, res, next) {
     try {
       const { productId } = req.params;
+      const { variantId = null } = req.query;
       // authenticate middleware sets req.user.id (not _id)
       const userId = req.user?.id || req.user?._id;
       const guestId = req.headers['x-guest-id'] || req.cookies?.guestId;
@@ -201,7 +213,8 @@ export class CartController {
         cart._id,
         productId,
         userId,
-        cart.guestId
+        cart.guestId,
+        variantId
       );
       
       res.status(200).json({
@@ -399,5 +412,187 @@ export class CartController {
       next(error);
     }
   }
-}
 
+  /**
+   * Save contact info on the current cart (phone/email for recovery reminders)
+   * PUT /api/v1/cart/contact
+   */
+  static async setContact(req, res, next) {
+    try {
+      // authenticate middleware sets req.user.id (not _id)
+      const userId = req.user?.id || req.user?._id;
+      const guestId = req.headers['x-guest-id'] || req.cookies?.guestId;
+
+      let cart;
+      if (userId) {
+        cart = await CartService.getOrCreateUserCart(userId);
+      } else {
+        const result = await CartService.getOrCreateGuestCart(guestId);
+        cart = result.cart;
+      }
+
+      const updatedCart = await CartService.setContact(cart._id, req.body, userId, cart.guestId);
+
+      res.status(200).json({
+        success: true,
+        message: 'اطلاعات تماس ذخیره شد',
+        data: { contact: updatedCart.contact }
+      });
+    } catch (error) {
+      logger.error('Set cart contact error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Restore a cart from a recovery link into the current user's/guest's cart
+   * POST /api/v1/cart/restore/:token
+   */
+  static async restoreCart(req, res, next) {
+    try {
+      // authenticate middleware sets req.user.id (not _id)
+      const userId = req.user?.id || req.user?._id;
+      const guestId = req.headers['x-guest-id'] || req.cookies?.guestId;
+
+      const result = await CartRecoveryService.restoreCart(req.params.token, { userId, guestId });
+
+      if (result.guestId && result.guestId !== guestId) {
+        res.cookie('guestId', result.guestId, {
+          maxAge: 7 * 24 * 60 * 60 * 1000,
+          httpOnly: true,
+          secure: process.env.NODE_ENV === 'production',
+          sameSite: 'lax'
+        });
+        res.setHeader('X-Guest-ID', result.guestId);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: result.skipped.length > 0
+          ? 'سبد خرید بازگردانده شد؛ برخی محصولات دیگر در دسترس نیستند'
+          : 'سبد خرید بازگردانده شد',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Restore cart error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create recovery campaign (admin only)
+   * POST /api/v1/cart/recovery-campaigns
+   */
+  static async createRecoveryCampaign(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const campaign = await CartRecoveryService.createCampaign(req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'کمپین بازگرداندن سبد خرید ایجاد شد',
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Create cart recovery campaign error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get recovery campaigns (admin only)
+   * GET /api/v1/cart/recovery-campaigns
+   */
+  static async getRecoveryCampaigns(req, res, next) {
+    try {
+      const result = await CartRecoveryService.getCampaigns(
+        { isActive: req.query.isActive },
+        { page: req.query.page, limit: req.query.limit }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result.campaigns,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get cart recovery campaigns error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get recovery campaign by ID (admin only)
+   * GET /api/v1/cart/recovery-campaigns/:id
+   */
+  static async getRecoveryCampaignById(req, res, next) {
+    try {
+      const campaign = await CartRecoveryService.getCampaignById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Get cart recovery campaign by ID error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update recovery campaign (admin only)
+   * PUT /api/v1/cart/recovery-campaigns/:id
+   */
+  static async updateRecoveryCampaign(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const campaign = await CartRecoveryService.updateCampaign(req.params.id, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'کمپین بازگرداندن سبد خرید به‌روزرسانی شد',
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Update cart recovery campaign error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete recovery campaign (admin only)
+   * DELETE /api/v1/cart/recovery-campaigns/:id
+   */
+  static async deleteRecoveryCampaign(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      await CartRecoveryService.deleteCampaign(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'کمپین بازگرداندن سبد خرید حذف شد'
+      });
+    } catch (error) {
+      logger.error('Delete cart recovery campaign error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Recovery campaign report: reminders, restored and recovered carts, revenue (admin only)
+   * GET /api/v1/cart/recovery-campaigns/:id/report
+   */
+  static async getRecoveryCampaignReport(req, res, next) {
+    try {
+      const report = await CartRecoveryService.getCampaignReport(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Get cart recovery report error:', error);
+      next(error);
+    }
+  }
+}
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+import { appliedPromotionSchema } from '../coupons/model.js';
+import { lineTaxSchema, taxLineSchema } from '../tax/model.js';
+import { calculateTax } from '../tax/calculation.js';
 
 // Cart Item Schema (embedded in Cart)
 const cartItemSchema = new mongoose.Schema({
@@ -8,6 +11,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Chosen variant (products with variants; see Product.variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: true,
@@ -24,6 +32,11 @@ const cartItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   }, // quantity * price
+  // Tax class and rate (set by TaxService when the cart is priced)
+  tax: {
+    type: lineTaxSchema,
+    default: null
+  },
   addedAt: {
     type: Date,
     default: Date.now
@@ -86,15 +99,33 @@ const cartSchema = new mongoose.Schema({
     tax: { type: Number, default: 0, min: 0 },
     shipping: { type: Number, default: 0, min: 0 },
     discount: { type: Number, default: 0, min: 0 },
+    shippingDiscount: { type: Number, default: 0, min: 0 },
+    taxExempted: { type: Number, default: 0, min: 0 }, // Tax not charged (exempt buyer)
+    taxInclusive: { type: Boolean, default: false }, // Tax is part of the prices, not added on top
+    taxLines: [taxLineSchema],
     total: { type: Number, default: 0, min: 0 }
   },
+
+  // Tax treatment (TaxService): prices include tax, buyer is exempt, shipping tax class
+  tax: {
+    inclusive: { type: Boolean, default: false },
+    exempt: { type: Boolean, default: false },
+    shipping: { type: lineTaxSchema, default: null }
+  },
   
-  // Coupon/Discount code
+  // Coupon/Discount code (entered by the user; discount is the money amount it gives)
   coupon: {
     code: String,
     discount: Number,
-    discountType: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' }
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed', 'buy_x_get_y', 'tiered', 'free_shipping', 'bundle'],
+      default: 'percentage'
+    }
   },
+
+  // Applied promotions, line by line (entered coupon + automatic promotions, see PromotionService)
+  promotions: [appliedPromotionSchema],
   
   // Shipping information (for physical products)
   shipping: {
@@ -133,6 +164,53 @@ const cartSchema = new mongoose.Schema({
   // Abandoned cart tracking
   abandonedAt: Date,
   convertedAt: Date,
+
+  // Contact captured at checkout (lets guest carts join recovery campaigns)
+  contact: {
+    phoneNumber: String,
+    email: { type: String, lowercase: true, trim: true },
+    capturedAt: Date
+  },
+
+  // Abandoned cart recovery (see CartRecoveryService)
+  recovery: {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CartRecoveryCampaign',
+      default: null
+    },
+    // Restore link token (the cart can be restored on any device)
+    token: { type: String, default: null },
+    stepsSent: [{
+      step: Number,
+      channels: [{ type: String, enum: ['sms', 'email', 'in_app'] }],
+      sentAt: Date
+    }],
+    completedAt: Date, // Every step sent
+    // Single-use coupon issued with the last step
+    coupon: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: String
+    },
+    // Restored from another cart's link (the campaign travels with the items)
+    restoredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart',
+      default: null
+    },
+    restoredAt: Date,
+    restoredTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart'
+    },
+    // Paid order attributed to the campaign
+    recoveredAt: Date,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    revenue: { type: Number, default: 0, min: 0 }
+  },
   
   ...baseSchemaFields
 }, {
@@ -146,6 +224,11 @@ cartSchema.index({ guestId: 1, status: 1 });
 cartSchema.index({ expiresAt: 1, status: 1 });
 cartSchema.index({ lastActivity: -1 });
 cartSchema.index({ 'items.product': 1 });
+cartSchema.index({ 'recovery.campaign': 1, 'recovery.recoveredAt': 1 });
+cartSchema.index(
+  { 'recovery.token': 1 },
+  { unique: true, partialFilterExpression: { 'recovery.token': { $type: 'string' } } }
+);
 
 // Methods
 Object.assign(cartSchema.methods, baseSchemaMethods);
@@ -159,42 +242,63 @@ cartSchema.methods.calculateTotals = function() {
     subtotal += item.total;
   });
   
-  // Calculate discount
+  // Discounts: promotion lines (PromotionService); older carts/orders only have coupon.discount
   let discount = 0;
-  if (this.coupon && this.coupon.code) {
-    if (this.coupon.discountType === 'percentage') {
-      discount = (subtotal * this.coupon.discount) / 100;
-    } else {
-      discount = this.coupon.discount;
-    }
+  let shippingDiscount = 0;
+  if (this.promotions?.length) {
+    this.promotions.forEach((promotion) => {
+      discount += promotion.amount || 0;
+      shippingDiscount += promotion.shippingDiscount || 0;
+    });
+  } else if (this.coupon && this.coupon.code) {
+    discount = this.coupon.discount || 0;
   }
-  
-  // Calculate tax (configurable via environment variable, default: 9% VAT)
-  const taxRate = parseFloat(process.env.TAX_RATE || '0.09');
-  const tax = (subtotal - discount) * taxRate;
+  discount = Math.min(discount, subtotal);
   
   // Shipping cost (already set)
   const shipping = this.shipping.cost || 0;
+  shippingDiscount = Math.min(shippingDiscount, shipping);
+  
+  // Tax per class, from the rates on the lines (lines priced before tax classes use TAX_RATE)
+  const taxResult = calculateTax({
+    items: this.items,
+    discount,
+    shipping: shipping - shippingDiscount,
+    shippingTax: this.tax?.shipping,
+    inclusive: this.tax?.inclusive,
+    exempt: this.tax?.exempt
+  });
   
-  // Final total
-  const total = subtotal - discount + tax + shipping;
+  // Final total (inclusive prices already contain the tax)
+  const total = subtotal - discount + shipping - shippingDiscount + taxResult.adjustment;
   
   this.totals = {
     subtotal,
-    tax,
+    tax: taxResult.tax,
     shipping,
     discount,
+    shippingDiscount,
+    taxExempted: taxResult.exempted,
+    taxInclusive: !!this.tax?.inclusive,
+    taxLines: taxResult.lines,
     total
   };
   
   return this.totals;
 };
 
+// Whether a cart line is for this product (and variant)
+const isSameLine = (item, productId, variantId = null) => {
+  const itemProductId = item.product?._id || item.product;
+  return itemProductId.toString() === productId.toString() &&
+    (item.variant?.toString() || null) === (variantId?.toString() || null);
+};
+
 // Add item to cart
-cartSchema.methods.addItem = function(productId, quantity = 1, price) {
+cartSchema.methods.addItem = function(productId, quantity = 1, price, variantId = null) {
   // Check if item already exists
   const existingItemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString()
+    (item) => isSameLine(item, productId, variantId)
   );
   
   if (existingItemIndex !== -1) {
@@ -206,6 +310,7 @@ cartSchema.methods.addItem = function(productId, quantity = 1, price) {
     // Add new item
     this.items.push({
       product: productId,
+      variant: variantId || null,
       quantity,
       price: price || 0,
       total: quantity * (price || 0),
@@ -218,16 +323,16 @@ cartSchema.methods.addItem = function(productId, quantity = 1, price) {
 };
 
 // Update item quantity
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantId = null) {
   const item = this.items.find(
-    item => item.product.toString() === productId.toString()
+    (item) => isSameLine(item, productId, variantId)
   );
   
   if (item) {
     if (quantity <= 0) {
       // Remove item
       this.items = this.items.filter(
-        item => item.product.toString() !== productId.toString()
+        (item) => !isSameLine(item, productId, variantId)
       );
     } else {
       item.quantity = quantity;
@@ -240,9 +345,9 @@ cartSchema.methods.updateItemQuantity = function(productId, quantity) {
 };
 
 // Remove item from cart
-cartSchema.methods.removeItem = function(productId) {
+cartSchema.methods.removeItem = function(productId, variantId = null) {
   this.items = this.items.filter(
-    item => item.product.toString() !== productId.toString()
+    (item) => !isSameLine(item, productId, variantId)
   );
   
   this.lastActivity = new Date();
@@ -257,9 +362,14 @@ cartSchema.methods.clear = function() {
     tax: 0,
     shipping: 0,
     discount: 0,
+    shippingDiscount: 0,
+    taxExempted: 0,
+    taxInclusive: !!this.tax?.inclusive,
+    taxLines: [],
     total: 0
   };
   this.coupon = {};
+  this.promotions = [];
   this.lastActivity = new Date();
 };
 
@@ -368,7 +478,8 @@ cartSchema.statics.mergeCarts = async function(guestCartId, userId) {
       userCart.addItem(
         guestItem.product,
         guestItem.quantity,
-        guestItem.price
+        guestItem.price,
+        guestItem.variant
       );
     });
     
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+
+export const RECOVERY_CHANNELS = ['sms', 'email', 'in_app'];
+
+// One reminder: sent delayHours after the cart's last activity
+const recoveryStepSchema = new mongoose.Schema({
+  delayHours: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  channels: [{
+    type: String,
+    enum: RECOVERY_CHANNELS
+  }]
+}, { _id: false });
+
+/**
+ * CartRecoveryCampaign Model
+ *
+ * Reminder sequence for abandoned carts (see CartRecoveryService). A cart joins the
+ * active campaign with the highest minCartTotal it reaches and stays in it; steps are
+ * timed from the cart's last activity, so a shopper who comes back restarts the clock.
+ */
+const cartRecoveryCampaignSchema = new mongoose.Schema({
+  name: {
+    fa: { type: String, required: true, trim: true },
+    en: { type: String, trim: true }
+  },
+
+  description: {
+    fa: String,
+    en: String
+  },
+
+  // Steps in send order (delayHours ascending)
+  steps: {
+    type: [recoveryStepSchema],
+    validate: {
+      validator: (steps) => steps.length > 0,
+      message: 'کمپین باید حداقل یک مرحله داشته باشد'
+    }
+  },
+
+  // Carts below this total are left out
+  minCartTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Guest carts with a captured phone number or email
+  includeGuests: {
+    type: Boolean,
+    default: true
+  },
+
+  // Single-use coupon sent with the last step
+  coupon: {
+    enabled: { type: Boolean, default: false },
+    type: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+    value: { type: Number, min: 0, default: 0 },
+    maxDiscountAmount: { type: Number, min: 0, default: null },
+    validDays: { type: Number, min: 1, default: 3 },
+    codePrefix: { type: String, uppercase: true, trim: true, maxLength: 20, default: 'BACK' }
+  },
+
+  // A paid order counts as recovered within this many days of the last reminder
+  attributionDays: {
+    type: Number,
+    min: 1,
+    default: 7
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+cartRecoveryCampaignSchema.index({ isActive: 1, minCartTotal: -1 });
+
+// Keep steps in send order
+cartRecoveryCampaignSchema.pre('save', function(next) {
+  if (this.isModified('steps')) {
+    this.steps.sort((a, b) => a.delayHours - b.delayHours);
+  }
+  next();
+});
+
+// Methods
+Object.assign(cartRecoveryCampaignSchema.methods, baseSchemaMethods);
+
+// Statics
+Object.assign(cartRecoveryCampaignSchema.statics, baseSchemaStatics);
+
+export const CartRecoveryCampaign = mongoose.model('CartRecoveryCampaign', cartRecoveryCampaignSchema);
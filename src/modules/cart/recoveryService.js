@@ -0,0 +1,643 @@
+import crypto from 'crypto';
+import { Cart } from './model.js';
+import { CartRecoveryCampaign } from './recoveryModel.js';
+import { CartService } from './service.js';
+import { User } from '../auth/model.js';
+import { Order } from '../orders/model.js';
+import { CouponService } from '../coupons/service.js';
+import { NotificationService as InAppNotificationService } from '../notifications/service.js';
+import { NotificationService } from '../../services/notification.js';
+import { emailService } from '../../utils/email.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+import { logger } from '../../utils/logger.js';
+
+// Orders whose money actually came in
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * CartRecoveryService - Abandoned cart recovery campaigns
+ *
+ * Features:
+ * - Multi-step reminders over SMS, email and in-app notifications
+ * - Single-use coupon generated with the last step (optional)
+ * - Restore link that rebuilds the exact cart on any device
+ * - Guest carts with a captured phone number or email
+ * - Report of recovered carts and revenue (paid orders within the attribution window)
+ */
+export class CartRecoveryService {
+  /**
+   * Create campaign
+   * @param {Object} campaignData - { name, description, steps, minCartTotal, includeGuests, coupon, attributionDays }
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<CartRecoveryCampaign>} Created campaign
+   */
+  static async createCampaign(campaignData, userId) {
+    try {
+      const campaign = new CartRecoveryCampaign({
+        ...campaignData,
+        createdBy: userId
+      });
+      await campaign.save();
+
+      logger.info(`Cart recovery campaign created: ${campaign._id}, steps: ${campaign.steps.length}, by: ${userId}`);
+      return campaign;
+    } catch (error) {
+      logger.error('Create cart recovery campaign error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaign by ID
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<CartRecoveryCampaign>} Campaign document
+   */
+  static async getCampaignById(campaignId) {
+    try {
+      const campaign = await CartRecoveryCampaign.findById(campaignId);
+
+      if (!campaign || campaign.deletedAt) {
+        throw new Error('کمپین بازگرداندن سبد خرید یافت نشد');
+      }
+
+      return campaign;
+    } catch (error) {
+      logger.error('Get cart recovery campaign by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaigns
+   * @param {Object} filters - { isActive }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Campaigns and pagination
+   */
+  static async getCampaigns(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 25;
+      const skip = (page - 1) * limit;
+
+      const query = { deletedAt: null };
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      const [campaigns, total] = await Promise.all([
+        CartRecoveryCampaign.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        CartRecoveryCampaign.countDocuments(query)
+      ]);
+
+      return {
+        campaigns,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Get cart recovery campaigns error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update campaign (carts already in it continue with the new steps)
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} updateData - Campaign fields
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<CartRecoveryCampaign>} Updated campaign
+   */
+  static async updateCampaign(campaignId, updateData, userId) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+
+      const { coupon, ...data } = updateData;
+      Object.assign(campaign, data);
+      if (coupon) {
+        campaign.coupon = { ...campaign.coupon.toObject(), ...coupon };
+      }
+      campaign.updatedBy = userId;
+      await campaign.save();
+
+      logger.info(`Cart recovery campaign updated: ${campaign._id}, by: ${userId}`);
+      return campaign;
+    } catch (error) {
+      logger.error('Update cart recovery campaign error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete campaign (no further reminders; report data stays on the carts)
+   * @param {string} campaignId - Campaign ID
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<void>}
+   */
+  static async deleteCampaign(campaignId, userId) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+
+      campaign.isActive = false;
+      await campaign.softDelete(userId);
+
+      logger.info(`Cart recovery campaign deleted: ${campaign._id}, by: ${userId}`);
+    } catch (error) {
+      logger.error('Delete cart recovery campaign error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send due reminder steps (cron job)
+   * @returns {Promise<Object>} { enrolled, remindersSent, couponsIssued, completed }
+   */
+  static async processRecovery() {
+    try {
+      const now = new Date();
+      const stats = { enrolled: 0, remindersSent: 0, couponsIssued: 0, completed: 0 };
+
+      // Highest threshold first: a cart joins the first campaign it qualifies for
+      const campaigns = await CartRecoveryCampaign.find({ isActive: true, deletedAt: null })
+        .sort({ minCartTotal: -1, createdAt: 1 });
+      if (campaigns.length === 0) {
+        return stats;
+      }
+
+      const campaignsById = new Map(campaigns.map((campaign) => [campaign._id.toString(), campaign]));
+      const firstDelay = Math.min(...campaigns.map((campaign) => campaign.steps[0]?.delayHours || Infinity));
+      const minCartTotal = Math.min(...campaigns.map((campaign) => campaign.minCartTotal || 0));
+
+      const cursor = Cart.find({
+        status: 'active',
+        deletedAt: null,
+        'items.0': { $exists: true },
+        expiresAt: { $gt: now },
+        lastActivity: { $lte: new Date(now.getTime() - firstDelay * HOUR_MS) },
+        'recovery.completedAt': null,
+        $and: [
+          // In a running campaign, or not enrolled yet (carts of stopped campaigns wait)
+          {
+            $or: [
+              { 'recovery.campaign': { $in: [...campaignsById.keys()] } },
+              { 'recovery.campaign': null, 'totals.total': { $gte: minCartTotal } }
+            ]
+          },
+          // Guests can only be reached through the contact they left
+          {
+            $or: [
+              { user: { $ne: null } },
+              { 'contact.phoneNumber': { $nin: [null, ''] } },
+              { 'contact.email': { $nin: [null, ''] } }
+            ]
+          }
+        ]
+      }).cursor();
+
+      for await (const cart of cursor) {
+        try {
+          let campaign = cart.recovery?.campaign ? campaignsById.get(cart.recovery.campaign.toString()) : null;
+          if (!campaign) {
+            campaign = campaigns.find((candidate) => candidate.minCartTotal <= (cart.totals?.total || 0) &&
+              (cart.user || candidate.includeGuests));
+            if (!campaign) {
+              continue;
+            }
+            cart.recovery.campaign = campaign._id;
+            stats.enrolled++;
+          }
+
+          const stepIndex = cart.recovery.stepsSent.length;
+          const step = campaign.steps[stepIndex];
+          if (!step) {
+            cart.recovery.completedAt = now;
+            await cart.save();
+            stats.completed++;
+            continue;
+          }
+          if (cart.lastActivity.getTime() + step.delayHours * HOUR_MS > now.getTime()) {
+            if (cart.isModified()) {
+              await cart.save();
+            }
+            continue;
+          }
+
+          const isLastStep = stepIndex === campaign.steps.length - 1;
+          if (!cart.recovery.token) {
+            cart.recovery.token = crypto.randomBytes(24).toString('base64url');
+          }
+          if (isLastStep && campaign.coupon?.enabled && !cart.recovery.coupon?.code) {
+            const coupon = await this._issueCoupon(cart, campaign);
+            cart.recovery.coupon = { id: coupon._id, code: coupon.code };
+            stats.couponsIssued++;
+          }
+
+          const channels = await this._remind(cart, step, stepIndex);
+          cart.recovery.stepsSent.push({ step: stepIndex, channels, sentAt: now });
+          if (isLastStep) {
+            cart.recovery.completedAt = now;
+            stats.completed++;
+          }
+          await cart.save();
+          stats.remindersSent++;
+        } catch (error) {
+          logger.error(`Cart recovery failed for cart ${cart._id}:`, error);
+        }
+      }
+
+      logger.info('Cart recovery processed:', stats);
+      return stats;
+    } catch (error) {
+      logger.error('Process cart recovery error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a cart from its recovery link into the visitor's cart (user or guest).
+   * The lines are merged into what the visitor's cart already holds (current prices)
+   * along with the recovery coupon. A link restores once: the token is used up.
+   * @param {string} token - Restore link token
+   * @param {Object} owner - { userId, guestId }
+   * @returns {Promise<Object>} { cart, guestId, skipped: [{ product, variant, reason }] }
+   */
+  static async restoreCart(token, { userId = null, guestId = null } = {}) {
+    let claimedCartId = null;
+    try {
+      const source = await Cart.findOne({ 'recovery.token': token, deletedAt: null });
+      if (!source) {
+        throw new AppError('لینک بازگرداندن سبد خرید معتبر نیست', HTTP_STATUS.NOT_FOUND);
+      }
+      if (await Order.exists({ cart: source._id, 'payment.status': { $in: PAID_PAYMENT_STATUSES } })) {
+        throw new AppError('این سبد خرید قبلاً ثبت سفارش شده است', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      let target;
+      let targetGuestId = null;
+      if (userId) {
+        target = await CartService.getOrCreateUserCart(userId);
+      } else {
+        const result = await CartService.getOrCreateGuestCart(guestId);
+        target = result.cart;
+        targetGuestId = result.guestId;
+      }
+
+      // Opened on the device that already holds it
+      if (target._id.equals(source._id)) {
+        return { cart: target, guestId: targetGuestId, skipped: [] };
+      }
+
+      // One restore per link, also when it is opened twice at once
+      const claim = await Cart.updateOne(
+        { _id: source._id, 'recovery.token': token },
+        { $set: { 'recovery.token': null } }
+      );
+      if (!claim.modifiedCount) {
+        throw new AppError('لینک بازگرداندن سبد خرید قبلاً استفاده شده است', HTTP_STATUS.BAD_REQUEST);
+      }
+      claimedCartId = source._id;
+      source.recovery.token = null;
+
+      // Merge into the visitor's cart: lines it already holds are only topped up
+      const skipped = [];
+      for (const item of source.items) {
+        // The visitor's cart comes with its products populated
+        const current = target.items.find((line) => line.product &&
+          (line.product._id || line.product).toString() === item.product.toString() &&
+          (line.variant?.toString() || null) === (item.variant?.toString() || null)
+        );
+        const missing = item.quantity - (current?.quantity || 0);
+        if (missing <= 0) {
+          continue;
+        }
+        try {
+          await CartService.addItem(
+            target._id,
+            item.product,
+            missing,
+            userId,
+            target.guestId,
+            item.variant
+          );
+        } catch (error) {
+          skipped.push({ product: item.product, variant: item.variant, reason: error.message });
+        }
+      }
+
+      const couponCode = source.recovery.coupon?.code || source.coupon?.code;
+      if (couponCode) {
+        try {
+          await CartService.applyCoupon(target._id, couponCode, userId, target.guestId);
+        } catch (error) {
+          logger.warn(`Recovery coupon ${couponCode} not applied to cart ${target._id}: ${error.message}`);
+        }
+      }
+
+      const restored = await Cart.findById(target._id);
+      this.carryOver(source, restored);
+      await restored.save();
+
+      // The restored cart takes over: the items live in one cart only
+      source.recovery.restoredAt = new Date();
+      source.recovery.restoredTo = restored._id;
+      if (source.status === 'active') {
+        source.markAsAbandoned();
+      }
+      await source.save();
+
+      const cart = userId
+        ? await CartService.getOrCreateUserCart(userId)
+        : (await CartService.getOrCreateGuestCart(targetGuestId)).cart;
+
+      logger.info(`Cart restored from recovery link: ${source._id} -> ${restored._id}, skipped: ${skipped.length}`);
+      return { cart, guestId: targetGuestId, skipped };
+    } catch (error) {
+      logger.error('Restore cart error:', error);
+      if (claimedCartId) {
+        // Not restored: the link stays usable (lines already merged are only topped up next time)
+        await Cart.updateOne(
+          { _id: claimedCartId, 'recovery.token': null, 'recovery.restoredAt': null },
+          { $set: { 'recovery.token': token } }
+        ).catch((releaseError) => logger.error(`Restore token of cart ${claimedCartId} not released:`, releaseError));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Copy campaign attribution to the cart that received another cart's items
+   * (restore link, guest cart merged at login)
+   * @param {Cart} source - Cart the items came from
+   * @param {Cart} target - Cart the items went to (not saved here)
+   */
+  static carryOver(source, target) {
+    if (!source.recovery?.campaign || target.recovery?.campaign || !source.recovery.stepsSent?.length) {
+      return;
+    }
+    target.recovery = {
+      campaign: source.recovery.campaign,
+      stepsSent: source.recovery.stepsSent,
+      completedAt: source.recovery.completedAt || new Date(),
+      coupon: source.recovery.coupon,
+      restoredFrom: source._id
+    };
+  }
+
+  /**
+   * Record the revenue of a paid order whose cart was reminded (called by OrderService.markOrderAsPaid)
+   * @param {Order} order - Paid order
+   * @returns {Promise<boolean>} True when attributed to a campaign
+   */
+  static async handleOrderPaid(order) {
+    try {
+      if (!order.cart) {
+        return false;
+      }
+
+      const cart = await Cart.findById(order.cart);
+      const lastReminder = cart?.recovery?.stepsSent?.at(-1);
+      if (!cart?.recovery?.campaign || !lastReminder || cart.recovery.recoveredAt) {
+        return false;
+      }
+
+      const campaign = await CartRecoveryCampaign.findById(cart.recovery.campaign);
+      const attributionDays = campaign?.attributionDays || 7;
+      const paidAt = order.payment?.paidAt || new Date();
+      if (paidAt.getTime() - lastReminder.sentAt.getTime() > attributionDays * DAY_MS) {
+        return false;
+      }
+
+      cart.recovery.recoveredAt = paidAt;
+      cart.recovery.order = order._id;
+      cart.recovery.revenue = order.totals?.total || 0;
+      await cart.save();
+
+      logger.info(`Cart recovered: ${cart._id}, order: ${order.orderNumber}, revenue: ${cart.recovery.revenue}`);
+      return true;
+    } catch (error) {
+      logger.error('Cart recovery order paid error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Campaign report
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { campaign, carts, steps, coupons, revenue }
+   */
+  static async getCampaignReport(campaignId) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+      // Restored/merged carts carry the campaign too: count each abandonment once
+      const reminded = {
+        'recovery.campaign': campaign._id,
+        'recovery.restoredFrom': null,
+        'recovery.stepsSent.0': { $exists: true }
+      };
+
+      const [[cartStats], stepStats, [recoveredStats]] = await Promise.all([
+        Cart.aggregate([
+          { $match: reminded },
+          {
+            $group: {
+              _id: null,
+              carts: { $sum: 1 },
+              guestCarts: { $sum: { $cond: [{ $ifNull: ['$user', false] }, 0, 1] } },
+              restored: { $sum: { $cond: [{ $ifNull: ['$recovery.restoredAt', false] }, 1, 0] } },
+              couponsIssued: { $sum: { $cond: [{ $ifNull: ['$recovery.coupon.code', false] }, 1, 0] } },
+              abandonedValue: { $sum: '$totals.total' }
+            }
+          }
+        ]),
+        Cart.aggregate([
+          { $match: reminded },
+          { $unwind: '$recovery.stepsSent' },
+          { $unwind: { path: '$recovery.stepsSent.channels', preserveNullAndEmptyArrays: true } },
+          {
+            $group: {
+              _id: { step: '$recovery.stepsSent.step', channel: '$recovery.stepsSent.channels' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.step': 1 } }
+        ]),
+        Cart.aggregate([
+          { $match: { 'recovery.campaign': campaign._id, 'recovery.recoveredAt': { $ne: null } } },
+          {
+            $group: {
+              _id: null,
+              carts: { $sum: 1 },
+              revenue: { $sum: '$recovery.revenue' },
+              withCoupon: {
+                $sum: { $cond: [{ $ifNull: ['$recovery.coupon.code', false] }, 1, 0] }
+              }
+            }
+          }
+        ])
+      ]);
+
+      const steps = campaign.steps.map((step, index) => {
+        const channels = {};
+        stepStats
+          .filter((entry) => entry._id.step === index && entry._id.channel)
+          .forEach((entry) => {
+            channels[entry._id.channel] = entry.count;
+          });
+        return { step: index, delayHours: step.delayHours, channels };
+      });
+
+      const carts = cartStats?.carts || 0;
+      const recovered = recoveredStats?.carts || 0;
+
+      return {
+        campaign: {
+          _id: campaign._id,
+          name: campaign.name,
+          isActive: campaign.isActive,
+          minCartTotal: campaign.minCartTotal,
+          attributionDays: campaign.attributionDays,
+          createdAt: campaign.createdAt
+        },
+        carts: {
+          reminded: carts,
+          guests: cartStats?.guestCarts || 0,
+          restored: cartStats?.restored || 0,
+          recovered,
+          recoveryRate: carts > 0 ? Math.round((recovered / carts) * 10000) / 100 : 0,
+          abandonedValue: cartStats?.abandonedValue || 0
+        },
+        steps,
+        coupons: {
+          issued: cartStats?.couponsIssued || 0,
+          recoveredWithCoupon: recoveredStats?.withCoupon || 0
+        },
+        revenue: recoveredStats?.revenue || 0
+      };
+    } catch (error) {
+      logger.error('Get cart recovery report error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore link sent in reminders
+   * @param {Cart} cart - Cart with recovery.token
+   * @returns {string} Frontend URL
+   */
+  static getRestoreUrl(cart) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cart/restore/${cart.recovery.token}`;
+  }
+
+  /**
+   * Private: Single-use coupon for one cart (restricted to the cart's user when known)
+   * @private
+   * @returns {Promise<Coupon>}
+   */
+  static async _issueCoupon(cart, campaign) {
+    const { type, value, maxDiscountAmount, validDays, codePrefix } = campaign.coupon;
+    const validUntil = new Date(Date.now() + validDays * DAY_MS);
+
+    // Collisions are rare; a few attempts are enough
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await CouponService.createCoupon({
+          code: CouponService.generateCode(codePrefix, 8),
+          type,
+          value,
+          validUntil,
+          limits: {
+            maxDiscountAmount,
+            maxUsage: 1,
+            maxUsagePerUser: 1
+          },
+          restrictions: cart.user ? { users: [cart.user] } : undefined,
+          description: {
+            fa: `بازگرداندن سبد خرید - ${campaign.name.fa}`,
+            en: `Cart recovery - ${campaign.name.en || campaign.name.fa}`
+          }
+        }, campaign.createdBy);
+      } catch (error) {
+        if (attempt >= 5 || !/قبلاً وجود دارد/.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Private: Send one step over its channels
+   * @private
+   * @returns {Promise<string[]>} Channels the reminder went out on
+   */
+  static async _remind(cart, step, stepIndex) {
+    let { phoneNumber, email } = cart.contact || {};
+    if (cart.user) {
+      const user = await User.findById(cart.user).select('email phoneNumber');
+      phoneNumber = user?.phoneNumber || phoneNumber;
+      email = user?.email || email;
+    }
+
+    const payload = {
+      itemsCount: cart.items.length,
+      total: new Intl.NumberFormat('fa-IR').format(cart.totals?.total || 0),
+      restoreUrl: this.getRestoreUrl(cart),
+      couponCode: cart.recovery.coupon?.code || null
+    };
+
+    const deliveries = [];
+    if (step.channels.includes('in_app') && cart.user) {
+      deliveries.push(['in_app', InAppNotificationService.createNotification({
+        type: 'cart_recovery',
+        title: { fa: 'سبد خرید شما منتظر شماست', en: 'Your cart is waiting for you' },
+        message: {
+          fa: payload.couponCode
+            ? `خریدتان را با کد تخفیف ${payload.couponCode} تکمیل کنید.`
+            : `${payload.itemsCount} کالا در سبد خرید شما باقی مانده است.`,
+          en: payload.couponCode
+            ? `Complete your purchase with code ${payload.couponCode}.`
+            : `${payload.itemsCount} items are still in your cart.`
+        },
+        recipient: cart.user,
+        relatedEntity: {
+          type: 'cart',
+          id: cart._id
+        },
+        priority: 'normal',
+        actionUrl: `/cart/restore/${cart.recovery.token}`
+      })]);
+    }
+    if (step.channels.includes('email') && email) {
+      deliveries.push(['email', emailService.sendNotificationEmail(
+        email,
+        NotificationService.getEmailContent('cart_recovery', payload)
+      )]);
+    }
+    if (step.channels.includes('sms') && phoneNumber) {
+      deliveries.push(['sms', NotificationService.sendSMSNotification(phoneNumber, 'cart_recovery', payload)]);
+    }
+
+    const results = await Promise.allSettled(deliveries.map(([, delivery]) => delivery));
+    return deliveries
+      .filter(([channel], index) => {
+        const result = results[index];
+        if (result.status === 'rejected') {
+          logger.error(`Cart recovery ${channel} reminder ${stepIndex} failed for cart ${cart._id}:`, result.reason);
+          return false;
+        }
+        return result.value !== false;
+      })
+      .map(([channel]) => channel);
+  }
+}
@@ -2,10 +2,18 @@ import { Router } from 'express';
 import { CartController } from './controller.js';
 import { validate } from '../../middleware/validation.js';
 import { authenticate, optionalAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
+import { createRateLimiter } from '../../middleware/rateLimit.js';
+import { csrfProtection } from '../../middleware/security.js';
+import { auditLog } from '../../middleware/audit.js';
 import {
   addItemSchema,
   updateItemQuantitySchema,
-  applyCouponSchema
+  applyCouponSchema,
+  cartContactSchema,
+  createRecoveryCampaignSchema,
+  updateRecoveryCampaignSchema,
+  getRecoveryCampaignsQuerySchema
 } from './validation.js';
 
 const router = Router();
@@ -64,6 +72,9 @@ router.get('/guest', CartController.getGuestCart);
  *             properties:
  *               productId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants
  *               quantity:
  *                 type: number
  *                 default: 1
@@ -103,6 +114,8 @@ router.post(
  *             properties:
  *               quantity:
  *                 type: number
+ *               variantId:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Item quantity updated
@@ -128,6 +141,10 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Item removed from cart
@@ -220,5 +237,253 @@ router.delete('/coupon', optionalAuth, CartController.removeCoupon);
  */
 router.put('/prices', optionalAuth, CartController.updatePrices);
 
+/**
+ * @swagger
+ * /api/v1/cart/contact:
+ *   put:
+ *     summary: Save phone number/email on the cart (used for abandoned cart reminders)
+ *     tags: [Cart]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contact saved
+ */
+router.put(
+  '/contact',
+  optionalAuth,
+  validate(cartContactSchema),
+  CartController.setContact
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/restore/{token}:
+ *   post:
+ *     summary: Restore a cart from a recovery link into the current cart (user or guest)
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart restored (lines no longer available are listed in skipped)
+ *       404:
+ *         description: Invalid restore link
+ */
+router.post(
+  '/restore/:token',
+  optionalAuth,
+  createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است.',
+    prefix: 'rl:cart:restore:'
+  }),
+  CartController.restoreCart
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/recovery-campaigns:
+ *   post:
+ *     summary: Create abandoned cart recovery campaign (admin only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: object
+ *               steps:
+ *                 type: array
+ *                 description: Reminders as { delayHours, channels } (hours after the cart's last activity)
+ *                 items:
+ *                   type: object
+ *               minCartTotal:
+ *                 type: number
+ *               includeGuests:
+ *                 type: boolean
+ *               coupon:
+ *                 type: object
+ *                 description: Single-use coupon sent with the last step ({ enabled, type, value, validDays })
+ *               attributionDays:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/recovery-campaigns',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(createRecoveryCampaignSchema),
+  auditLog('CREATE_CART_RECOVERY_CAMPAIGN', 'cart'),
+  CartController.createRecoveryCampaign
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/recovery-campaigns:
+ *   get:
+ *     summary: Get abandoned cart recovery campaigns (admin only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/recovery-campaigns',
+  authenticate,
+  authorize(['orders.read']),
+  validate(getRecoveryCampaignsQuerySchema, 'query'),
+  CartController.getRecoveryCampaigns
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/recovery-campaigns/{id}/report:
+ *   get:
+ *     summary: Recovery campaign report - reminders per step, restored and recovered carts, revenue (admin only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/recovery-campaigns/:id/report',
+  authenticate,
+  authorize(['orders.read']),
+  CartController.getRecoveryCampaignReport
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/recovery-campaigns/{id}:
+ *   get:
+ *     summary: Get abandoned cart recovery campaign (admin only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/recovery-campaigns/:id',
+  authenticate,
+  authorize(['orders.read']),
+  CartController.getRecoveryCampaignById
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/recovery-campaigns/{id}:
+ *   put:
+ *     summary: Update abandoned cart recovery campaign (admin only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  '/recovery-campaigns/:id',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(updateRecoveryCampaignSchema),
+  auditLog('UPDATE_CART_RECOVERY_CAMPAIGN', 'cart'),
+  CartController.updateRecoveryCampaign
+);
+
+/**
+ * @swagger
+ * /api/v1/cart/recovery-campaigns/{id}:
+ *   delete:
+ *     summary: Delete abandoned cart recovery campaign (admin only)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign deleted
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  '/recovery-campaigns/:id',
+  authenticate,
+  authorize(['orders.delete']),
+  csrfProtection,
+  auditLog('DELETE_CART_RECOVERY_CAMPAIGN', 'cart'),
+  CartController.deleteRecoveryCampaign
+);
+
 export default router;
 
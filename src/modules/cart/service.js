@@ -1,10 +1,16 @@
 import { Cart } from './model.js';
 import { Product } from '../products/model.js';
+import { CurrencyService } from '../currencies/service.js';
+import { TaxService } from '../tax/service.js';
 import { logger } from '../../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import { AppError } from '../../utils/appError.js';
 import { HTTP_STATUS } from '../../utils/httpStatus.js';
 
+/** Variant fields returned with cart products (stock holds stay internal) */
+const VARIANT_FIELDS = 'options variants._id variants.sku variants.options variants.pricing ' +
+  'variants.featuredImage variants.inventory.stockStatus variants.isActive';
+
 /**
  * CartService - Service layer for cart operations
  * 
@@ -15,6 +21,7 @@ import { HTTP_STATUS } from '../../utils/httpStatus.js';
  * - Inventory checking
  * - Cart merging (guest to user)
  * - Notification tracking
+ * - Product variants (a line is product + variant)
  */
 export class CartService {
   /**
@@ -27,11 +34,11 @@ export class CartService {
       const cart = await Cart.findOrCreateForUser(userId);
       await cart.populate({
         path: 'items.product',
-        select: 'name slug featuredImage pricing inventory type digitalProduct physicalProduct'
+        select: `name slug featuredImage pricing inventory type digitalProduct physicalProduct ${VARIANT_FIELDS}`
       });
       
-      // Recalculate totals in case prices changed
-      cart.calculateTotals();
+      // Recalculate totals and promotions in case prices changed
+      await this._applyPromotions(cart);
       await cart.save();
       
       return cart;
@@ -56,11 +63,11 @@ export class CartService {
       const cart = await Cart.findOrCreateForGuest(guestId);
       await cart.populate({
         path: 'items.product',
-        select: 'name slug featuredImage pricing inventory type digitalProduct physicalProduct'
+        select: `name slug featuredImage pricing inventory type digitalProduct physicalProduct ${VARIANT_FIELDS}`
       });
       
-      // Recalculate totals
-      cart.calculateTotals();
+      // Recalculate totals and promotions
+      await this._applyPromotions(cart);
       await cart.save();
       
       return { cart, guestId };
@@ -77,9 +84,10 @@ export class CartService {
    * @param {number} quantity - Quantity to add
    * @param {string} userId - User ID (optional, for validation)
    * @param {string} guestId - Guest ID (optional, for validation)
+   * @param {string} variantId - Variant ID (required for products with variants)
    * @returns {Promise<Cart>} Updated cart
    */
-  static async addItem(cartId, productId, quantity = 1, userId = null, guestId = null) {
+  static async addItem(cartId, productId, quantity = 1, userId = null, guestId = null, variantId = null) {
     try {
       // Find cart with proper ownership check
       const cart = await this._findCartWithOwnership(cartId, userId, guestId);
@@ -96,16 +104,25 @@ export class CartService {
         throw new AppError('محصول یافت نشد یا در دسترس نیست', HTTP_STATUS.NOT_FOUND);
       }
       
-      // Check inventory for physical products
-      if (product.type === 'physical' && product.inventory.trackInventory) {
+      // Subscriptions have their own checkout (recurring billing, see SubscriptionService)
+      if (product.type === 'subscription') {
+        throw new AppError('محصولات اشتراکی از طریق صفحه اشتراک خریداری می‌شوند', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const variant = this._resolveVariant(product, variantId);
+
+      // Check inventory for physical products and bundles (bundle stock is derived from its components)
+      if (product.type !== 'digital' && product.inventory.trackInventory) {
         const currentQuantity = cart.items.find(
-          item => item.product.toString() === productId
+          (item) => item.product.toString() === productId.toString() &&
+            (item.variant?.toString() || null) === (variant?._id.toString() || null)
         )?.quantity || 0;
         
         const requestedQuantity = currentQuantity + quantity;
+        const available = product.getAvailableQuantity(variant);
         
-        if (requestedQuantity > product.inventory.quantity && !product.inventory.allowBackorder) {
-          throw new AppError(`موجودی محصول کافی نیست. موجودی: ${product.inventory.quantity}`, HTTP_STATUS.BAD_REQUEST);
+        if (requestedQuantity > available && !(variant || product).inventory.allowBackorder) {
+          throw new AppError(`موجودی محصول کافی نیست. موجودی: ${available}`, HTTP_STATUS.BAD_REQUEST);
         }
       }
       
@@ -119,7 +136,7 @@ export class CartService {
           user: userId,
           'items.product': productId,
           status: { $in: ['delivered', 'processing', 'shipped'] },
-          'payment.status': 'completed',
+          'payment.status': { $in: ['completed', 'partially_refunded'] },
           deletedAt: null
         });
         
@@ -128,13 +145,12 @@ export class CartService {
         }
       }
       
-      // Get current price
-      const currentPrice = product.pricing.isOnSale && product.pricing.salePrice
-        ? product.pricing.salePrice
-        : product.pricing.basePrice;
+      // Get current price (in the base currency)
+      const currentPrice = await CurrencyService.getUnitPrice(product, variant);
       
       // Add item
-      cart.addItem(productId, quantity, currentPrice);
+      cart.addItem(productId, quantity, currentPrice, variant?._id);
+      await this._applyPromotions(cart);
       
       // Extend expiry on activity
       cart.extendExpiry(7);
@@ -142,10 +158,10 @@ export class CartService {
       await cart.save();
       await cart.populate({
         path: 'items.product',
-        select: 'name slug featuredImage pricing inventory type'
+        select: `name slug featuredImage pricing inventory type ${VARIANT_FIELDS}`
       });
       
-      logger.info(`Item added to cart: ${productId}, quantity: ${quantity}, cart: ${cartId}`);
+      logger.info(`Item added to cart: ${productId}${variant ? ` (variant ${variant.sku})` : ''}, quantity: ${quantity}, cart: ${cartId}`);
       return cart;
     } catch (error) {
       logger.error('Add item to cart error:', error);
@@ -160,9 +176,10 @@ export class CartService {
    * @param {number} quantity - New quantity
    * @param {string} userId - User ID (optional)
    * @param {string} guestId - Guest ID (optional)
+   * @param {string} variantId - Variant ID (optional)
    * @returns {Promise<Cart>} Updated cart
    */
-  static async updateItemQuantity(cartId, productId, quantity, userId = null, guestId = null) {
+  static async updateItemQuantity(cartId, productId, quantity, userId = null, guestId = null, variantId = null) {
     try {
       const cart = await this._findCartWithOwnership(cartId, userId, guestId);
       
@@ -174,20 +191,23 @@ export class CartService {
       // Check product inventory if updating quantity
       if (quantity > 0) {
         const product = await Product.findById(productId);
-        if (product && product.type === 'physical' && product.inventory.trackInventory) {
-          if (quantity > product.inventory.quantity && !product.inventory.allowBackorder) {
-            throw new Error(`موجودی محصول کافی نیست. موجودی: ${product.inventory.quantity}`);
+        if (product && product.type !== 'digital' && product.inventory.trackInventory) {
+          const variant = variantId ? product.getVariant(variantId) : null;
+          const available = product.getAvailableQuantity(variant);
+          if (quantity > available && !(variant || product).inventory.allowBackorder) {
+            throw new Error(`موجودی محصول کافی نیست. موجودی: ${available}`);
           }
         }
       }
       
-      cart.updateItemQuantity(productId, quantity);
+      cart.updateItemQuantity(productId, quantity, variantId);
+      await this._applyPromotions(cart);
       cart.extendExpiry(7);
       
       await cart.save();
       await cart.populate({
         path: 'items.product',
-        select: 'name slug featuredImage pricing inventory type'
+        select: `name slug featuredImage pricing inventory type ${VARIANT_FIELDS}`
       });
       
       return cart;
@@ -203,19 +223,21 @@ export class CartService {
    * @param {string} productId - Product ID
    * @param {string} userId - User ID (optional)
    * @param {string} guestId - Guest ID (optional)
+   * @param {string} variantId - Variant ID (optional)
    * @returns {Promise<Cart>} Updated cart
    */
-  static async removeItem(cartId, productId, userId = null, guestId = null) {
+  static async removeItem(cartId, productId, userId = null, guestId = null, variantId = null) {
     try {
       const cart = await this._findCartWithOwnership(cartId, userId, guestId);
       
-      cart.removeItem(productId);
+      cart.removeItem(productId, variantId);
+      await this._applyPromotions(cart);
       cart.extendExpiry(7);
       
       await cart.save();
       await cart.populate({
         path: 'items.product',
-        select: 'name slug featuredImage pricing inventory type'
+        select: `name slug featuredImage pricing inventory type ${VARIANT_FIELDS}`
       });
       
       return cart;
@@ -247,6 +269,33 @@ export class CartService {
     }
   }
 
+  /**
+   * Save the shopper's phone number/email on the cart (guest carts can then be
+   * reached by recovery campaigns)
+   * @param {string} cartId - Cart ID
+   * @param {Object} contact - { phoneNumber, email }
+   * @param {string} userId - User ID (optional)
+   * @param {string} guestId - Guest ID (optional)
+   * @returns {Promise<Cart>} Updated cart
+   */
+  static async setContact(cartId, contact, userId = null, guestId = null) {
+    try {
+      const cart = await this._findCartWithOwnership(cartId, userId, guestId);
+
+      cart.contact = {
+        phoneNumber: contact.phoneNumber || cart.contact?.phoneNumber,
+        email: contact.email || cart.contact?.email,
+        capturedAt: new Date()
+      };
+
+      await cart.save();
+      return cart;
+    } catch (error) {
+      logger.error('Set cart contact error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Merge guest cart with user cart
    * @param {string} guestCartId - Guest cart ID
@@ -269,7 +318,7 @@ export class CartService {
         const userCart = await Cart.findOrCreateForUser(userId);
         await userCart.populate({
           path: 'items.product',
-          select: 'name slug featuredImage pricing inventory type'
+          select: `name slug featuredImage pricing inventory type ${VARIANT_FIELDS}`
         });
         return userCart;
       }
@@ -302,7 +351,8 @@ export class CartService {
             guestItem.product._id.toString(),
             guestItem.quantity,
             userId,
-            null
+            null,
+            guestItem.variant
           );
         } catch (error) {
           // If addItem fails (e.g., product already in cart or purchased), log and continue
@@ -313,9 +363,16 @@ export class CartService {
       // Reload user cart with populated products
       await userCart.populate({
         path: 'items.product',
-        select: 'name slug featuredImage pricing inventory type'
+        select: `name slug featuredImage pricing inventory type ${VARIANT_FIELDS}`
       });
       
+      // A reminded guest cart keeps its recovery campaign attribution
+      const { CartRecoveryService } = await import('./recoveryService.js');
+      CartRecoveryService.carryOver(guestCart, userCart);
+      if (userCart.isModified('recovery')) {
+        await userCart.save();
+      }
+
       // Mark guest cart as archived (merged into user cart)
       guestCart.markAsConverted();
       await guestCart.save();
@@ -340,34 +397,18 @@ export class CartService {
     try {
       const cart = await this._findCartWithOwnership(cartId, userId, guestId);
       
-      // Validate coupon with coupon service
-      const { CouponService } = await import('../coupons/service.js');
-      
-      // Prepare items for validation
-      const items = cart.items.map(item => ({
-        product: item.product,
-        quantity: item.quantity
-      }));
-      
-      const validation = await CouponService.validateCoupon(
-        couponCode,
-        userId,
-        cart.totals.subtotal,
-        items
-      );
+      // Evaluate the code together with running automatic promotions (stacking policy applies)
+      const previousCoupon = cart.coupon?.code ? { code: cart.coupon.code } : {};
+      cart.coupon = { code: couponCode.toUpperCase().trim() };
+      const result = await this._applyPromotions(cart);
       
-      if (!validation.valid) {
-        throw new Error(validation.error || 'کد تخفیف نامعتبر است');
+      const rejection = result.rejected.find((rejected) => rejected.code === cart.coupon.code);
+      if (rejection) {
+        cart.coupon = previousCoupon;
+        await this._applyPromotions(cart);
+        throw new AppError(rejection.reason || 'کد تخفیف نامعتبر است', HTTP_STATUS.BAD_REQUEST);
       }
       
-      // Apply coupon
-      cart.coupon = {
-        code: validation.coupon.code,
-        discount: validation.coupon.discount,
-        discountType: validation.coupon.discountType
-      };
-      
-      cart.calculateTotals();
       cart.extendExpiry(7);
       
       await cart.save();
@@ -390,7 +431,7 @@ export class CartService {
       const cart = await this._findCartWithOwnership(cartId, userId, guestId);
       
       cart.coupon = {};
-      cart.calculateTotals();
+      await this._applyPromotions(cart);
       
       await cart.save();
       return cart;
@@ -401,7 +442,7 @@ export class CartService {
   }
 
   /**
-   * Update cart prices (when products are on sale)
+   * Update cart prices (when products are on sale) and re-apply promotions
    * @param {string} cartId - Cart ID
    * @returns {Promise<Cart>} Updated cart
    */
@@ -413,13 +454,16 @@ export class CartService {
         throw new Error('سبد خرید یافت نشد');
       }
       
-      // Update prices for each item
-      cart.items.forEach(item => {
+      // Update prices for each item (current exchange rates apply)
+      for (const item of cart.items) {
         if (item.product) {
           const product = item.product;
-          const currentPrice = product.pricing.isOnSale && product.pricing.salePrice
-            ? product.pricing.salePrice
-            : product.pricing.basePrice;
+          const variant = item.variant ? product.getVariant(item.variant) : null;
+          // Variant was removed from the product: keep the line price
+          if (item.variant && !variant) {
+            continue;
+          }
+          const currentPrice = await CurrencyService.getUnitPrice(product, variant);
           
           // Only update if price changed
           if (item.price !== currentPrice) {
@@ -427,9 +471,10 @@ export class CartService {
             item.total = item.quantity * currentPrice;
           }
         }
-      });
+      }
       
-      cart.calculateTotals();
+      // Promotions follow the new prices; lines are returned in cart.promotions
+      await this._applyPromotions(cart);
       await cart.save();
       
       return cart;
@@ -483,8 +528,9 @@ export class CartService {
       let notificationsSent = 0;
       
       for (const cart of expiringCarts) {
-        // Only send notifications for user carts (not guest carts)
-        if (!cart.user) {
+        // Only send notifications for user carts (not guest carts); carts in a
+        // recovery campaign get the campaign's reminders instead
+        if (!cart.user || cart.recovery?.campaign) {
           continue;
         }
         
@@ -653,6 +699,62 @@ export class CartService {
     }
   }
 
+  /**
+   * Private: Re-evaluate promotions (entered coupon + automatic) and tax, and recalculate totals
+   * @private
+   * @returns {Promise<Object>} PromotionService.evaluate() result
+   */
+  static async _applyPromotions(cart) {
+    const { PromotionService } = await import('../coupons/promotionService.js');
+
+    const result = await PromotionService.evaluate({
+      items: cart.items.map((item) => ({
+        product: item.product?._id || item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      userId: cart.user?._id || cart.user,
+      couponCode: cart.coupon?.code,
+      shippingCost: cart.shipping?.cost || 0
+    });
+
+    cart.promotions = result.promotions;
+    if (cart.coupon?.code) {
+      const applied = result.promotions.find((promotion) => promotion.code === cart.coupon.code);
+      cart.coupon.discount = applied ? applied.amount + applied.shippingDiscount : 0;
+      cart.coupon.discountType = applied?.type || cart.coupon.discountType;
+    }
+
+    await TaxService.applyToCart(cart);
+    cart.calculateTotals();
+    return result;
+  }
+
+  /**
+   * Private: Resolve the chosen variant of a product
+   * @private
+   * @returns {Object|null} Variant subdocument (null for products without variants)
+   */
+  static _resolveVariant(product, variantId) {
+    if (!product.variants?.length) {
+      if (variantId) {
+        throw new AppError('این محصول تنوع ندارد', HTTP_STATUS.BAD_REQUEST);
+      }
+      return null;
+    }
+
+    if (!variantId) {
+      throw new AppError('لطفا تنوع محصول (مثلا سایز یا رنگ) را انتخاب کنید', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const variant = product.getVariant(variantId);
+    if (!variant || variant.isActive === false) {
+      throw new AppError('تنوع انتخابی محصول یافت نشد یا در دسترس نیست', HTTP_STATUS.NOT_FOUND);
+    }
+    return variant;
+  }
+
   /**
    * Private: Find cart with ownership validation
    * @private
@@ -12,6 +12,13 @@ export const addItemSchema = Joi.object({
       'string.pattern.base': 'شناسه محصول معتبر نیست',
       'any.required': 'شناسه محصول الزامی است'
     }),
+  variantId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'شناسه تنوع محصول معتبر نیست'
+    }),
   quantity: Joi.number()
     .integer()
     .min(1)
@@ -33,6 +40,13 @@ export const updateItemQuantitySchema = Joi.object({
       'number.min': 'تعداد نمی‌تواند منفی باشد',
       'number.max': 'تعداد نمی‌تواند بیش از 100 باشد',
       'any.required': 'تعداد الزامی است'
+    }),
+  variantId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'شناسه تنوع محصول معتبر نیست'
     })
 });
 
@@ -76,3 +90,103 @@ export const updateShippingSchema = Joi.object({
     .default('standard')
 });
 
+
+export const cartContactSchema = Joi.object({
+  phoneNumber: Joi.string()
+    .pattern(/^(\+98|0)?9\d{9}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'شماره موبایل معتبر نیست'
+    }),
+  email: Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .optional()
+    .messages({
+      'string.email': 'ایمیل معتبر نیست'
+    })
+}).or('phoneNumber', 'email')
+  .messages({
+    'object.missing': 'شماره موبایل یا ایمیل الزامی است'
+  });
+
+// Abandoned cart recovery campaigns (see CartRecoveryService)
+const recoveryStepSchema = Joi.object({
+  delayHours: Joi.number().integer().min(1).max(720).required()
+    .messages({
+      'any.required': 'فاصله زمانی مرحله الزامی است'
+    }),
+  channels: Joi.array()
+    .items(Joi.string().valid('sms', 'email', 'in_app'))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'حداقل یک روش ارسال انتخاب کنید'
+    })
+});
+
+const recoveryCouponSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  type: Joi.string().valid('percentage', 'fixed').optional(),
+  value: Joi.number().min(0).optional()
+    .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+  maxDiscountAmount: Joi.number().min(0).allow(null).optional(),
+  validDays: Joi.number().integer().min(1).max(90).optional(),
+  codePrefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]+$/).max(20).optional()
+    .messages({
+      'string.pattern.base': 'پیشوند کد فقط می‌تواند شامل حروف انگلیسی و اعداد باشد'
+    })
+});
+
+export const createRecoveryCampaignSchema = Joi.object({
+  name: Joi.object({
+    fa: Joi.string().trim().max(200).required(),
+    en: Joi.string().trim().max(200).optional()
+  }).required()
+    .messages({
+      'any.required': 'نام کمپین الزامی است'
+    }),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).optional(),
+    en: Joi.string().trim().max(500).optional()
+  }).optional(),
+  steps: Joi.array().items(recoveryStepSchema).min(1).max(5).unique('delayHours').required()
+    .messages({
+      'any.required': 'مراحل کمپین الزامی است',
+      'array.unique': 'فاصله زمانی هر مرحله باید یکتا باشد'
+    }),
+  minCartTotal: Joi.number().min(0).default(0).optional(),
+  includeGuests: Joi.boolean().default(true).optional(),
+  coupon: recoveryCouponSchema.optional(),
+  attributionDays: Joi.number().integer().min(1).max(60).default(7).optional(),
+  isActive: Joi.boolean().default(true).optional()
+});
+
+// No defaults here: a partial update must not reset the other fields
+export const updateRecoveryCampaignSchema = Joi.object({
+  name: Joi.object({
+    fa: Joi.string().trim().max(200).optional(),
+    en: Joi.string().trim().max(200).optional()
+  }).optional(),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).optional(),
+    en: Joi.string().trim().max(500).optional()
+  }).optional(),
+  steps: Joi.array().items(recoveryStepSchema).min(1).max(5).unique('delayHours').optional()
+    .messages({
+      'array.unique': 'فاصله زمانی هر مرحله باید یکتا باشد'
+    }),
+  minCartTotal: Joi.number().min(0).optional(),
+  includeGuests: Joi.boolean().optional(),
+  coupon: recoveryCouponSchema.optional(),
+  attributionDays: Joi.number().integer().min(1).max(60).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+export const getRecoveryCampaignsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25).optional(),
+  isActive: Joi.boolean().optional()
+});
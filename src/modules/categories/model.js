@@ -34,6 +34,8 @@ const categorySchema = new mongoose.Schema(
     icon: String,
     color: { type: String, default: '#000000' },
     orderIndex: { type: Number, default: 0 },
+    // VAT class code for products in this category (TaxClass; products may override it)
+    taxClass: { type: String, lowercase: true, trim: true, default: null },
     type: {
       type: String,
       required: true,
@@ -29,14 +29,14 @@ router.put(
   '/:id',
   authorize(['categories.update']),
   validate(updateCategorySchema),
-  auditLog('UPDATE_CATEGORY', 'categories'),
+  auditLog('UPDATE_CATEGORY', 'categories', { model: 'Category' }),
   CategoryController.updateCategory
 );
 
 router.delete(
   '/:id',
   authorize(['categories.delete']),
-  auditLog('DELETE_CATEGORY', 'categories'),
+  auditLog('DELETE_CATEGORY', 'categories', { model: 'Category' }),
   CategoryController.deleteCategory
 );
 
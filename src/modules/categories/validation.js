@@ -32,7 +32,9 @@ export const createCategorySchema = Joi.object({
   color: Joi.string()
     .pattern(/^#[0-9A-F]{6}$/i)
     .default('#000000'),
-  orderIndex: Joi.number().default(0)
+  orderIndex: Joi.number().default(0),
+  // VAT class code for products in this category (products may override it)
+  taxClass: Joi.string().trim().lowercase().max(30).allow(null).optional()
 });
 
 export const updateCategorySchema = createCategorySchema
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+
+/**
+ * CouponCampaign Model
+ *
+ * One template, many unique codes: every generated Coupon copies `template`
+ * (type, value, limits, applicableTo, ...) and points back here via coupon.campaign.
+ * Redemptions stay on each code's usage.history (see CouponCampaignService).
+ */
+const couponCampaignSchema = new mongoose.Schema({
+  name: {
+    fa: { type: String, required: true, trim: true },
+    en: { type: String, trim: true }
+  },
+
+  description: {
+    fa: String,
+    en: String
+  },
+
+  // Code format: <codePrefix>-<codeLength random characters>
+  codePrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxLength: 20,
+    default: ''
+  },
+  codeLength: {
+    type: Number,
+    min: 6,
+    max: 20,
+    default: 8
+  },
+
+  // Times each code can be redeemed (1 = single-use)
+  usesPerCode: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+
+  // Coupon fields copied into every generated code (same shape as Coupon)
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Codes generated so far
+  codesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+couponCampaignSchema.index({ createdAt: -1 });
+
+// Methods
+Object.assign(couponCampaignSchema.methods, baseSchemaMethods);
+
+// Statics
+Object.assign(couponCampaignSchema.statics, baseSchemaStatics);
+
+export const CouponCampaign = mongoose.model('CouponCampaign', couponCampaignSchema);
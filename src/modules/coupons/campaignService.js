@@ -0,0 +1,473 @@
+import mongoose from 'mongoose';
+import { CouponCampaign } from './campaignModel.js';
+import { Coupon } from './model.js';
+import { CouponService } from './service.js';
+import { Order } from '../orders/model.js';
+import { logger } from '../../utils/logger.js';
+
+// Orders whose money actually came in (refunds are subtracted separately)
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * CouponCampaignService - Campaigns of single-use unique codes
+ *
+ * Features:
+ * - Generate thousands of codes from one coupon template
+ * - Per-code redemption listing and CSV export
+ * - Campaign report: redemption rate, total discount, revenue of orders that used the codes
+ */
+export class CouponCampaignService {
+  /**
+   * Create campaign and generate its codes
+   * @param {Object} campaignData - { name, description, codePrefix, codeLength, usesPerCode, count, template }
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<CouponCampaign>} Created campaign
+   */
+  static async createCampaign(campaignData, userId) {
+    try {
+      const { count, ...data } = campaignData;
+
+      const campaign = new CouponCampaign({
+        ...data,
+        createdBy: userId
+      });
+      await campaign.save();
+
+      await this.generateCodes(campaign, count, userId);
+
+      logger.info(`Coupon campaign created: ${campaign._id}, codes: ${campaign.codesCount}, by: ${userId}`);
+      return campaign;
+    } catch (error) {
+      logger.error('Create coupon campaign error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate (more) codes for a campaign
+   * @param {CouponCampaign|string} campaignOrId - Campaign document or ID
+   * @param {number} count - Number of codes
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<Object>} { campaign, created }
+   */
+  static async generateCodes(campaignOrId, count, userId) {
+    try {
+      const campaign = campaignOrId instanceof CouponCampaign
+        ? campaignOrId
+        : await this.getCampaignById(campaignOrId);
+
+      const template = campaign.template || {};
+      const created = await CouponService.createCoupons(
+        {
+          ...template,
+          campaign: campaign._id,
+          description: template.description || { fa: campaign.name.fa, en: campaign.name.en },
+          // Every code is its own coupon: usesPerCode redemptions, once per user
+          limits: {
+            ...(template.limits || {}),
+            maxUsage: campaign.usesPerCode,
+            maxUsagePerUser: 1
+          },
+          isActive: campaign.isActive
+        },
+        count,
+        userId,
+        { prefix: campaign.codePrefix, length: campaign.codeLength }
+      );
+
+      campaign.codesCount += created;
+      campaign.updatedBy = userId;
+      await campaign.save();
+
+      return { campaign, created };
+    } catch (error) {
+      logger.error('Generate campaign codes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaign by ID
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<CouponCampaign>} Campaign document
+   */
+  static async getCampaignById(campaignId) {
+    try {
+      const campaign = await CouponCampaign.findById(campaignId);
+
+      if (!campaign || campaign.deletedAt) {
+        throw new Error('کمپین کد تخفیف یافت نشد');
+      }
+
+      return campaign;
+    } catch (error) {
+      logger.error('Get coupon campaign by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaigns with filters
+   * @param {Object} filters - { isActive, search }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Campaigns and pagination
+   */
+  static async getCampaigns(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 25;
+      const skip = (page - 1) * limit;
+
+      const query = { deletedAt: null };
+
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      if (filters.search) {
+        query.$or = [
+          { 'name.fa': { $regex: filters.search, $options: 'i' } },
+          { 'name.en': { $regex: filters.search, $options: 'i' } },
+          { codePrefix: { $regex: filters.search.toUpperCase(), $options: 'i' } }
+        ];
+      }
+
+      const [campaigns, total] = await Promise.all([
+        CouponCampaign.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        CouponCampaign.countDocuments(query)
+      ]);
+
+      return {
+        campaigns,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Get coupon campaigns error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update campaign; isActive/validUntil are pushed down to every generated code
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} updateData - { name, description, isActive, validUntil }
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<CouponCampaign>} Updated campaign
+   */
+  static async updateCampaign(campaignId, updateData, userId) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+      const { validUntil, ...data } = updateData;
+
+      Object.assign(campaign, data);
+      if (validUntil) {
+        campaign.template = { ...campaign.template, validUntil };
+        campaign.markModified('template');
+      }
+      campaign.updatedBy = userId;
+      await campaign.save();
+
+      const codeUpdate = {};
+      if (updateData.isActive !== undefined) {
+        codeUpdate.isActive = updateData.isActive;
+      }
+      if (validUntil) {
+        codeUpdate.validUntil = validUntil;
+      }
+      if (Object.keys(codeUpdate).length > 0) {
+        await Coupon.updateMany({ campaign: campaign._id, deletedAt: null }, { $set: codeUpdate });
+      }
+
+      logger.info(`Coupon campaign updated: ${campaign._id}, by: ${userId}`);
+      return campaign;
+    } catch (error) {
+      logger.error('Update coupon campaign error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete campaign and its codes
+   * @param {string} campaignId - Campaign ID
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<void>}
+   */
+  static async deleteCampaign(campaignId, userId) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+
+      await Coupon.updateMany(
+        { campaign: campaign._id, deletedAt: null },
+        { $set: { deletedAt: new Date(), updatedBy: userId } }
+      );
+      await campaign.softDelete(userId);
+
+      logger.info(`Coupon campaign deleted: ${campaign._id}, by: ${userId}`);
+    } catch (error) {
+      logger.error('Delete coupon campaign error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Campaign codes with their redemptions
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} filters - { redeemed: true|false, code }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Codes and pagination
+   */
+  static async getCampaignCodes(campaignId, filters = {}, options = {}) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      const query = this._buildCodesQuery(campaign._id, filters);
+
+      const [coupons, total] = await Promise.all([
+        Coupon.find(query)
+          .select('code isActive validUntil limits.maxUsage usage')
+          .populate('usage.history.user', 'name email phoneNumber')
+          .populate('usage.history.order', 'orderNumber totals.total payment.status')
+          .sort({ code: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Coupon.countDocuments(query)
+      ]);
+
+      return {
+        codes: coupons.map((coupon) => ({
+          _id: coupon._id,
+          code: coupon.code,
+          isActive: coupon.isActive,
+          validUntil: coupon.validUntil,
+          maxUsage: coupon.limits?.maxUsage,
+          redeemed: coupon.usage.count > 0,
+          usageCount: coupon.usage.count,
+          totalDiscount: coupon.usage.totalDiscount,
+          redemptions: coupon.usage.history
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Get campaign codes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export campaign codes as CSV (one row per code, one more row per extra redemption)
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} filters - { redeemed: true|false }
+   * @returns {Promise<Object>} { filename, csv }
+   */
+  static async exportCodesCsv(campaignId, filters = {}) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+      const query = this._buildCodesQuery(campaign._id, filters);
+
+      const rows = [[
+        'code', 'is_active', 'valid_until', 'max_usage', 'usage_count',
+        'redeemed_at', 'user_id', 'order_id', 'discount_amount'
+      ]];
+
+      const cursor = Coupon.find(query)
+        .select('code isActive validUntil limits.maxUsage usage')
+        .sort({ code: 1 })
+        .lean()
+        .cursor();
+
+      for await (const coupon of cursor) {
+        const base = [
+          coupon.code,
+          coupon.isActive,
+          coupon.validUntil?.toISOString() || '',
+          coupon.limits?.maxUsage ?? '',
+          coupon.usage.count
+        ];
+        const redemptions = coupon.usage.history.length > 0 ? coupon.usage.history : [null];
+        for (const usage of redemptions) {
+          rows.push([
+            ...base,
+            usage?.usedAt?.toISOString() || '',
+            usage?.user?.toString() || '',
+            usage?.order?.toString() || '',
+            usage?.discountAmount ?? ''
+          ]);
+        }
+      }
+
+      // BOM so spreadsheet apps detect UTF-8
+      const lines = rows.map((row) => row.map((cell) => this._csvCell(cell)).join(','));
+      const csv = `\uFEFF${lines.join('\r\n')}`;
+      const filename = `coupon-campaign-${campaign.codePrefix || campaign._id}-${Date.now()}.csv`;
+
+      return { filename, csv };
+    } catch (error) {
+      logger.error('Export campaign codes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Campaign report
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { campaign, codes, redemptions, orders, daily }
+   */
+  static async getCampaignReport(campaignId) {
+    try {
+      const campaign = await this.getCampaignById(campaignId);
+      const match = { campaign: campaign._id, deletedAt: null };
+
+      const [codeStats] = await Coupon.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            totalCodes: { $sum: 1 },
+            redeemedCodes: { $sum: { $cond: [{ $gt: ['$usage.count', 0] }, 1, 0] } },
+            activeCodes: { $sum: { $cond: ['$isActive', 1, 0] } },
+            redemptions: { $sum: '$usage.count' },
+            totalDiscount: { $sum: '$usage.totalDiscount' }
+          }
+        }
+      ]);
+
+      const daily = await Coupon.aggregate([
+        { $match: { ...match, 'usage.count': { $gt: 0 } } },
+        { $unwind: '$usage.history' },
+        {
+          $group: {
+            _id: {
+              $dateToString: { format: '%Y-%m-%d', date: '$usage.history.usedAt', timezone: 'Asia/Tehran' }
+            },
+            redemptions: { $sum: 1 },
+            discount: { $sum: '$usage.history.discountAmount' }
+          }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, date: '$_id', redemptions: 1, discount: 1 } }
+      ]);
+
+      // Revenue of the orders that used the codes
+      const orderIds = (await Coupon.distinct('usage.history.order', match))
+        .filter(Boolean)
+        .map((id) => new mongoose.Types.ObjectId(id));
+
+      const [orderStats] = orderIds.length > 0
+        ? await Order.aggregate([
+          { $match: { _id: { $in: orderIds } } },
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              paidOrders: {
+                $sum: { $cond: [{ $in: ['$payment.status', PAID_PAYMENT_STATUSES] }, 1, 0] }
+              },
+              revenue: {
+                $sum: { $cond: [{ $in: ['$payment.status', PAID_PAYMENT_STATUSES] }, '$totals.total', 0] }
+              },
+              refunded: {
+                $sum: {
+                  $cond: [
+                    { $in: ['$payment.status', PAID_PAYMENT_STATUSES] },
+                    { $sum: { $ifNull: ['$refunds.amount', []] } },
+                    0
+                  ]
+                }
+              }
+            }
+          }
+        ])
+        : [];
+
+      const codes = {
+        total: codeStats?.totalCodes || 0,
+        active: codeStats?.activeCodes || 0,
+        redeemed: codeStats?.redeemedCodes || 0
+      };
+      const revenue = orderStats?.revenue || 0;
+      const refunded = orderStats?.refunded || 0;
+
+      return {
+        campaign: {
+          _id: campaign._id,
+          name: campaign.name,
+          codePrefix: campaign.codePrefix,
+          usesPerCode: campaign.usesPerCode,
+          isActive: campaign.isActive,
+          validFrom: campaign.template?.validFrom,
+          validUntil: campaign.template?.validUntil,
+          createdAt: campaign.createdAt
+        },
+        codes: {
+          ...codes,
+          unused: codes.total - codes.redeemed,
+          redemptionRate: codes.total > 0 ? Math.round((codes.redeemed / codes.total) * 10000) / 100 : 0
+        },
+        redemptions: {
+          count: codeStats?.redemptions || 0,
+          totalDiscount: codeStats?.totalDiscount || 0
+        },
+        orders: {
+          count: orderStats?.orders || 0,
+          paid: orderStats?.paidOrders || 0,
+          revenue,
+          refunded,
+          netRevenue: revenue - refunded
+        },
+        daily
+      };
+    } catch (error) {
+      logger.error('Get campaign report error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _buildCodesQuery(campaignId, filters = {}) {
+    const query = { campaign: campaignId, deletedAt: null };
+
+    if (filters.redeemed === true) {
+      query['usage.count'] = { $gt: 0 };
+    } else if (filters.redeemed === false) {
+      query['usage.count'] = 0;
+    }
+
+    if (filters.code) {
+      query.code = { $regex: filters.code.toUpperCase(), $options: 'i' };
+    }
+
+    return query;
+  }
+
+  /**
+   * @private
+   */
+  static _csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
@@ -1,4 +1,5 @@
 import { CouponService } from './service.js';
+import { CouponCampaignService } from './campaignService.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -8,6 +9,7 @@ import { logger } from '../../utils/logger.js';
  * - Validating coupons
  * - Applying coupons
  * - Managing coupons (admin)
+ * - Coupon campaigns: bulk unique codes, CSV export, report (admin)
  */
 export class CouponController {
   /**
@@ -69,6 +71,8 @@ export class CouponController {
         isActive: req.query.isActive,
         code: req.query.code,
         type: req.query.type,
+        automatic: req.query.automatic,
+        campaign: req.query.campaign,
         valid: req.query.valid
       };
 
@@ -149,5 +153,197 @@ export class CouponController {
       next(error);
     }
   }
-}
 
+  /**
+   * Create campaign and generate its codes (admin only)
+   * POST /api/v1/coupons/campaigns
+   */
+  static async createCampaign(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const campaign = await CouponCampaignService.createCampaign(req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: `کمپین با ${campaign.codesCount.toLocaleString('fa-IR')} کد تخفیف ایجاد شد`,
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Create coupon campaign error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get campaigns (admin only)
+   * GET /api/v1/coupons/campaigns
+   */
+  static async getCampaigns(req, res, next) {
+    try {
+      const filters = {
+        isActive: req.query.isActive,
+        search: req.query.search
+      };
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 25
+      };
+
+      const result = await CouponCampaignService.getCampaigns(filters, options);
+
+      res.status(200).json({
+        success: true,
+        data: result.campaigns,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get coupon campaigns error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get campaign by ID (admin only)
+   * GET /api/v1/coupons/campaigns/:id
+   */
+  static async getCampaignById(req, res, next) {
+    try {
+      const campaign = await CouponCampaignService.getCampaignById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Get coupon campaign by ID error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update campaign (admin only)
+   * PUT /api/v1/coupons/campaigns/:id
+   */
+  static async updateCampaign(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const campaign = await CouponCampaignService.updateCampaign(req.params.id, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'کمپین با موفقیت به‌روزرسانی شد',
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Update coupon campaign error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete campaign and its codes (admin only)
+   * DELETE /api/v1/coupons/campaigns/:id
+   */
+  static async deleteCampaign(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      await CouponCampaignService.deleteCampaign(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'کمپین و کدهای آن با موفقیت حذف شدند'
+      });
+    } catch (error) {
+      logger.error('Delete coupon campaign error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Generate more codes for a campaign (admin only)
+   * POST /api/v1/coupons/campaigns/:id/codes
+   */
+  static async generateCampaignCodes(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const { campaign, created } = await CouponCampaignService.generateCodes(req.params.id, req.body.count, userId);
+
+      res.status(201).json({
+        success: true,
+        message: `${created.toLocaleString('fa-IR')} کد تخفیف جدید ایجاد شد`,
+        data: { campaign }
+      });
+    } catch (error) {
+      logger.error('Generate campaign codes error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get campaign codes with redemptions (admin only)
+   * GET /api/v1/coupons/campaigns/:id/codes
+   */
+  static async getCampaignCodes(req, res, next) {
+    try {
+      const filters = {
+        redeemed: req.query.redeemed,
+        code: req.query.code
+      };
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      };
+
+      const result = await CouponCampaignService.getCampaignCodes(req.params.id, filters, options);
+
+      res.status(200).json({
+        success: true,
+        data: result.codes,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get campaign codes error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Export campaign codes as CSV (admin only)
+   * GET /api/v1/coupons/campaigns/:id/codes/export
+   */
+  static async exportCampaignCodes(req, res, next) {
+    try {
+      const result = await CouponCampaignService.exportCodesCsv(req.params.id, {
+        redeemed: req.query.redeemed,
+        code: req.query.code
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(result.filename)}"`);
+      res.status(200).send(result.csv);
+    } catch (error) {
+      logger.error('Export campaign codes error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Campaign report (admin only)
+   * GET /api/v1/coupons/campaigns/:id/report
+   */
+  static async getCampaignReport(req, res, next) {
+    try {
+      const report = await CouponCampaignService.getCampaignReport(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Get campaign report error:', error);
+      next(error);
+    }
+  }
+}
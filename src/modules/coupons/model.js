@@ -23,6 +23,39 @@ const couponUsageSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Applied Promotion Schema (embedded in Cart and Order: one line per applied coupon/promotion)
+export const appliedPromotionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  code: { type: String, required: true },
+  type: String,
+  automatic: { type: Boolean, default: false },
+  title: {
+    fa: String,
+    en: String
+  },
+  amount: { type: Number, default: 0, min: 0 }, // Discount on items
+  shippingDiscount: { type: Number, default: 0, min: 0 },
+  // Order only: the use of an automatic promotion was given back (they keep no per-order history)
+  usageReleased: { type: Boolean, default: false },
+  // Where the discount landed
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: Number,
+    amount: Number
+  }]
+}, { _id: false });
+
+// Spend tier (tiered promotions): highest reached tier applies
+const couponTierSchema = new mongoose.Schema({
+  minAmount: { type: Number, required: true, min: 0 },
+  type: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+  value: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
 // Main Coupon Schema
 const couponSchema = new mongoose.Schema({
   // Coupon Code (unique, uppercase)
@@ -37,11 +70,11 @@ const couponSchema = new mongoose.Schema({
     maxLength: 50
   },
 
-  // Coupon Type
+  // Coupon Type (percentage/fixed discount or one of the promotion rules below)
   type: {
     type: String,
     required: true,
-    enum: ['percentage', 'fixed'],
+    enum: ['percentage', 'fixed', 'buy_x_get_y', 'tiered', 'free_shipping', 'bundle'],
     default: 'percentage'
   },
 
@@ -49,8 +82,49 @@ const couponSchema = new mongoose.Schema({
   value: {
     type: Number,
     required: true,
-    min: 0
-  }, // Percentage (0-100) or Fixed amount
+    min: 0,
+    default: 0
+  }, // Percentage (0-100) or Fixed amount (unused by promotion rule types)
+
+  // Applied without entering the code (code stays as the internal identifier)
+  automatic: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // Promotion rules (see PromotionService)
+  rules: {
+    // buy_x_get_y: for every buyQuantity units, getQuantity cheaper units get getDiscountPercent off
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+    // tiered: spend thresholds on eligible items
+    tiers: [couponTierSchema],
+    // bundle: these products together cost bundlePrice
+    bundleItems: [{
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      quantity: { type: Number, min: 1, default: 1 }
+    }],
+    bundlePrice: { type: Number, min: 0 },
+    // Max times the rule applies per order (buy_x_get_y groups, bundles); null = unlimited
+    maxApplications: { type: Number, min: 1, default: null }
+  },
+
+  // Generated by a campaign (one of many unique codes from the same template)
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponCampaign',
+    default: null,
+    index: true
+  },
+
+  // Stacking policy: combinable promotions add up; a non-combinable one is only
+  // used alone, and only if it beats the combined ones. Higher priority is listed first.
+  stacking: {
+    combinable: { type: Boolean, default: true },
+    priority: { type: Number, default: 0 }
+  },
 
   // Discount Limits
   limits: {
@@ -88,6 +162,10 @@ const couponSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category'
     }],
+    // Specific product variants (products.variants._id)
+    variants: [{
+      type: mongoose.Schema.Types.ObjectId
+    }],
     // All products (if empty)
     allProducts: { type: Boolean, default: true }
   },
@@ -101,6 +179,9 @@ const couponSchema = new mongoose.Schema({
     categories: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category'
+    }],
+    variants: [{
+      type: mongoose.Schema.Types.ObjectId
     }]
   },
 
@@ -214,8 +295,22 @@ couponSchema.methods.canBeUsedByUser = function(userId, orderAmount = 0) {
   return { valid: true };
 };
 
-// Calculate discount amount
+// Calculate discount amount (percentage/fixed/tiered on an amount; item-based rules use PromotionService)
 couponSchema.methods.calculateDiscount = function(orderAmount) {
+  if (this.type === 'tiered') {
+    const tier = this.getTier(orderAmount);
+    if (!tier) {
+      return 0;
+    }
+    const tierDiscount = tier.type === 'percentage' ? (orderAmount * tier.value) / 100 : tier.value;
+    const cap = this.limits.maxDiscountAmount || Infinity;
+    return Math.round(Math.min(tierDiscount, cap, orderAmount));
+  }
+
+  if (!['percentage', 'fixed'].includes(this.type)) {
+    return 0;
+  }
+
   let discount = 0;
   
   if (this.type === 'percentage') {
@@ -238,8 +333,19 @@ couponSchema.methods.calculateDiscount = function(orderAmount) {
   return Math.round(discount);
 };
 
-// Check if coupon applies to product
-couponSchema.methods.appliesToProduct = function(productId, categoryIds = []) {
+// Highest spend tier reached by amount
+couponSchema.methods.getTier = function(amount) {
+  return [...(this.rules?.tiers || [])]
+    .sort((a, b) => b.minAmount - a.minAmount)
+    .find((tier) => amount >= tier.minAmount) || null;
+};
+
+// Check if coupon applies to product (and optionally the chosen variant)
+couponSchema.methods.appliesToProduct = function(productId, categoryIds = [], variantId = null) {
+  const hasVariant = (list) => Boolean(variantId) && (list || []).some(
+    (id) => id.toString() === variantId.toString()
+  );
+
   // Check if all products are allowed
   if (this.applicableTo.allProducts) {
     // Check exclusions
@@ -247,17 +353,22 @@ couponSchema.methods.appliesToProduct = function(productId, categoryIds = []) {
       id => id.toString() === productId.toString()
     ) || this.excludedFrom.categories.some(
       catId => categoryIds.some(cid => cid.toString() === catId.toString())
-    );
+    ) || hasVariant(this.excludedFrom.variants);
     
     return !isExcluded;
   }
   
+  // Excluded variants win over an included product/category
+  if (hasVariant(this.excludedFrom.variants)) {
+    return false;
+  }
+
   // Check if product is in included list
   const isIncluded = this.applicableTo.products.some(
     id => id.toString() === productId.toString()
   ) || this.applicableTo.categories.some(
     catId => categoryIds.some(cid => cid.toString() === catId.toString())
-  );
+  ) || hasVariant(this.applicableTo.variants);
   
   return isIncluded;
 };
@@ -291,6 +402,18 @@ couponSchema.statics.findActiveByCode = function(code) {
   });
 };
 
+// Find running automatic promotions (applied without a code)
+couponSchema.statics.findActiveAutomatic = function() {
+  const now = new Date();
+  return this.find({
+    automatic: true,
+    isActive: true,
+    deletedAt: null,
+    validFrom: { $lte: now },
+    validUntil: { $gte: now }
+  }).sort({ 'stacking.priority': -1 });
+};
+
 // Find valid coupons
 couponSchema.statics.findValid = function() {
   const now = new Date();
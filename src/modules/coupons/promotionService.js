@@ -0,0 +1,389 @@
+import { Coupon } from './model.js';
+import { Product } from '../products/model.js';
+import { LoyaltyService } from '../loyalty/service.js';
+import { CurrencyService } from '../currencies/service.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * PromotionService - Promotions engine on top of the Coupon model
+ *
+ * Evaluates the entered coupon code together with all running automatic
+ * (code-less) promotions against a set of items:
+ * - percentage / fixed: discount on eligible items
+ * - buy_x_get_y: cheaper units of each group get a discount (BOGO)
+ * - tiered: spend thresholds on eligible items
+ * - free_shipping: shipping cost is waived
+ * - bundle: a set of products sold together for a fixed price
+ *
+ * Stacking policy: all combinable promotions add up; a non-combinable promotion
+ * is only applied alone, and only if it is worth more than the combined ones.
+ *
+ * Result lines are stored on the cart/order (promotions[]) and summed by calculateTotals().
+ */
+export class PromotionService {
+  /**
+   * Evaluate promotions for a set of items
+   * @param {Object} params
+   * @param {Array} params.items - [{ product (ID or document), quantity, price? }]
+   * @param {string} params.userId - User ID (optional, guests get no user-restricted promotions)
+   * @param {string} params.couponCode - Entered coupon code (optional)
+   * @param {number} params.shippingCost - Shipping cost (for free shipping promotions)
+   * @returns {Promise<Object>} { promotions, discount, shippingDiscount, rejected: [{ code, reason }] }
+   */
+  static async evaluate({ items = [], userId = null, couponCode = null, shippingCost = 0 } = {}) {
+    try {
+      const context = await this.buildContext(items, { shippingCost });
+      const rejected = [];
+      const code = couponCode ? couponCode.toUpperCase().trim() : null;
+
+      if (context.lines.length === 0) {
+        return { promotions: [], discount: 0, shippingDiscount: 0, rejected };
+      }
+
+      const candidates = await Coupon.findActiveAutomatic();
+      if (code && !candidates.some((coupon) => coupon.code === code)) {
+        const entered = await Coupon.findActiveByCode(code);
+        if (entered) {
+          candidates.push(entered);
+        } else {
+          rejected.push({ code, reason: 'کد تخفیف یافت نشد یا منقضی شده است' });
+        }
+      }
+
+      const applicable = [];
+      for (const coupon of candidates) {
+        const eligibility = await this.checkEligibility(coupon, userId, context.subtotal);
+        if (!eligibility.valid) {
+          if (coupon.code === code) {
+            rejected.push({ code, reason: eligibility.reason });
+          }
+          continue;
+        }
+
+        const line = this.calculate(coupon, context);
+        if (line.amount > 0 || line.shippingDiscount > 0) {
+          applicable.push({ coupon, line });
+        } else if (coupon.code === code) {
+          rejected.push({ code, reason: 'این کد تخفیف برای محصولات انتخابی شما معتبر نیست' });
+        }
+      }
+
+      const chosen = this._applyStackingPolicy(applicable);
+      if (code && applicable.some(({ coupon }) => coupon.code === code)
+        && !chosen.some(({ coupon }) => coupon.code === code)) {
+        rejected.push({ code, reason: 'این کد تخفیف با تخفیف‌های فعال دیگر قابل جمع نیست' });
+      }
+
+      const promotions = this._capToSubtotal(chosen, context);
+
+      return {
+        promotions,
+        discount: promotions.reduce((sum, promotion) => sum + promotion.amount, 0),
+        shippingDiscount: promotions.reduce((sum, promotion) => sum + promotion.shippingDiscount, 0),
+        rejected
+      };
+    } catch (error) {
+      logger.error('Evaluate promotions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check coupon validity, user restrictions and loyalty tier
+   * @param {Coupon} coupon - Coupon document
+   * @param {string} userId - User ID (optional)
+   * @param {number} orderAmount - Order subtotal
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  static async checkEligibility(coupon, userId = null, orderAmount = 0) {
+    const validity = coupon.isValid();
+    if (!validity.valid) {
+      return validity;
+    }
+
+    if (userId) {
+      const userValidity = coupon.canBeUsedByUser(userId, orderAmount);
+      if (!userValidity.valid) {
+        return userValidity;
+      }
+    } else {
+      if (orderAmount < coupon.limits.minOrderAmount) {
+        return {
+          valid: false,
+          reason: `حداقل مبلغ سفارش برای استفاده از این کد ${coupon.limits.minOrderAmount.toLocaleString('fa-IR')} تومان است`
+        };
+      }
+      if (coupon.restrictions?.users?.length > 0) {
+        return { valid: false, reason: 'این کد تخفیف برای شما معتبر نیست' };
+      }
+    }
+
+    if (coupon.restrictions?.minUserLevel > 0) {
+      if (!userId) {
+        return { valid: false, reason: 'برای استفاده از این کد تخفیف باید وارد حساب کاربری شوید' };
+      }
+
+      const userLevel = await LoyaltyService.getUserLevel(userId);
+      if (userLevel < coupon.restrictions.minUserLevel) {
+        return { valid: false, reason: 'سطح باشگاه مشتریان شما برای استفاده از این کد تخفیف کافی نیست' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Load product data (price, categories) for items in one query
+   * @param {Array} items - [{ product (ID or document), variant?, quantity, price? }]
+   * @param {Object} options - { shippingCost }
+   * @returns {Promise<Object>} { lines: [{ product, variant, categories, quantity, price, total }],
+   *   subtotal, shippingCost }
+   */
+  static async buildContext(items = [], { shippingCost = 0 } = {}) {
+    const productIds = items.map((item) => item.product?._id || item.product).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } }).select('pricing categories variants');
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    const lines = [];
+    for (const item of items) {
+      const productId = (item.product?._id || item.product)?.toString();
+      const product = productsById.get(productId);
+      if (!product || !item.quantity) {
+        continue;
+      }
+
+      const variantId = item.variant?._id || item.variant || null;
+      const variant = variantId ? product.getVariant(variantId) : null;
+      if (variantId && !variant) {
+        continue;
+      }
+
+      const price = item.price ?? await CurrencyService.getUnitPrice(product, variant);
+
+      lines.push({
+        product: product._id,
+        variant: variant?._id || null,
+        categories: product.categories || [],
+        quantity: item.quantity,
+        price,
+        total: price * item.quantity
+      });
+    }
+
+    return {
+      lines,
+      subtotal: lines.reduce((sum, line) => sum + line.total, 0),
+      shippingCost
+    };
+  }
+
+  /**
+   * Calculate one promotion against the context (no eligibility checks)
+   * @param {Coupon} coupon - Coupon document
+   * @param {Object} context - From buildContext()
+   * @returns {Object} Applied promotion line
+   */
+  static calculate(coupon, context) {
+    const eligible = context.lines.filter(
+      (line) => coupon.appliesToProduct(line.product, line.categories, line.variant)
+    );
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.total, 0);
+    let items = [];
+    let shippingDiscount = 0;
+
+    switch (coupon.type) {
+      case 'percentage':
+      case 'fixed':
+      case 'tiered':
+        items = this._distribute(eligible, coupon.calculateDiscount(eligibleSubtotal));
+        break;
+      case 'buy_x_get_y':
+        items = this._calculateBuyXGetY(coupon, eligible);
+        break;
+      case 'bundle':
+        items = this._calculateBundle(coupon, context.lines);
+        break;
+      case 'free_shipping':
+        if (eligible.length > 0) {
+          shippingDiscount = context.shippingCost || 0;
+        }
+        break;
+    }
+
+    // maxDiscountAmount caps every item-based rule (percentage/tiered already capped)
+    const cap = coupon.limits?.maxDiscountAmount;
+    let amount = items.reduce((sum, item) => sum + item.amount, 0);
+    if (cap && amount > cap) {
+      items = this._scale(items, cap / amount);
+      amount = items.reduce((sum, item) => sum + item.amount, 0);
+    }
+
+    return {
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      automatic: !!coupon.automatic,
+      title: coupon.description,
+      amount,
+      shippingDiscount,
+      items: items.filter((item) => item.amount > 0),
+      combinable: coupon.stacking?.combinable !== false,
+      priority: coupon.stacking?.priority || 0
+    };
+  }
+
+  /**
+   * Buy X get Y: units sorted by price (high to low) form groups of X+Y;
+   * the last Y (cheapest) units of each group get getDiscountPercent off
+   * @private
+   */
+  static _calculateBuyXGetY(coupon, lines) {
+    const buy = coupon.rules?.buyQuantity || 0;
+    const get = coupon.rules?.getQuantity || 0;
+    const percent = coupon.rules?.getDiscountPercent ?? 100;
+    if (!buy || !get) {
+      return [];
+    }
+
+    const units = lines
+      .flatMap((line) => Array.from(
+        { length: line.quantity },
+        () => ({ product: line.product, variant: line.variant, price: line.price })
+      ))
+      .sort((a, b) => b.price - a.price);
+
+    const groupSize = buy + get;
+    let groups = Math.floor(units.length / groupSize);
+    if (coupon.rules.maxApplications) {
+      groups = Math.min(groups, coupon.rules.maxApplications);
+    }
+
+    const byProduct = new Map();
+    for (let group = 0; group < groups; group++) {
+      for (let i = group * groupSize + buy; i < (group + 1) * groupSize; i++) {
+        const key = `${units[i].product}:${units[i].variant || ''}`;
+        const entry = byProduct.get(key)
+          || { product: units[i].product, variant: units[i].variant, quantity: 0, amount: 0 };
+        entry.quantity += 1;
+        entry.amount += (units[i].price * percent) / 100;
+        byProduct.set(key, entry);
+      }
+    }
+
+    return Array.from(byProduct.values()).map((entry) => ({ ...entry, amount: Math.round(entry.amount) }));
+  }
+
+  /**
+   * Bundle: each complete set of bundleItems costs bundlePrice instead of the sum of its prices
+   * @private
+   */
+  static _calculateBundle(coupon, lines) {
+    const bundleItems = coupon.rules?.bundleItems || [];
+    if (bundleItems.length === 0 || coupon.rules.bundlePrice == null) {
+      return [];
+    }
+
+    const parts = [];
+    for (const bundleItem of bundleItems) {
+      const line = lines.find((l) => l.product.toString() === bundleItem.product.toString());
+      if (!line) {
+        return [];
+      }
+      parts.push({ line, quantity: bundleItem.quantity || 1 });
+    }
+
+    let sets = Math.min(...parts.map((part) => Math.floor(part.line.quantity / part.quantity)));
+    if (coupon.rules.maxApplications) {
+      sets = Math.min(sets, coupon.rules.maxApplications);
+    }
+
+    const regularPrice = parts.reduce((sum, part) => sum + part.line.price * part.quantity, 0);
+    const saving = regularPrice - coupon.rules.bundlePrice;
+    if (sets <= 0 || saving <= 0) {
+      return [];
+    }
+
+    // Saving is spread over the bundle's products by their share of the regular price
+    return parts.map((part) => ({
+      product: part.line.product,
+      variant: part.line.variant,
+      quantity: part.quantity * sets,
+      amount: Math.round((saving * sets * part.line.price * part.quantity) / regularPrice)
+    }));
+  }
+
+  /**
+   * Spread an amount over lines by their totals
+   * @private
+   */
+  static _distribute(lines, amount) {
+    const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+    if (!amount || subtotal <= 0) {
+      return [];
+    }
+
+    let left = Math.round(amount);
+    return lines.map((line, index) => {
+      const share = index === lines.length - 1 ? left : Math.round((amount * line.total) / subtotal);
+      left -= share;
+      return {
+        product: line.product, variant: line.variant, quantity: line.quantity, amount: share
+      };
+    });
+  }
+
+  /**
+   * Scale item amounts by a ratio (keeps the rounded total exact)
+   * @private
+   */
+  static _scale(items, ratio) {
+    const target = Math.round(items.reduce((sum, item) => sum + item.amount, 0) * ratio);
+    let left = target;
+    return items.map((item, index) => {
+      const amount = index === items.length - 1 ? left : Math.round(item.amount * ratio);
+      left -= amount;
+      return { ...item, amount };
+    });
+  }
+
+  /**
+   * Pick the combination worth the most to the customer
+   * @private
+   */
+  static _applyStackingPolicy(applicable) {
+    const benefit = (entries) => entries.reduce((sum, { line }) => sum + line.amount + line.shippingDiscount, 0);
+
+    const options = [applicable.filter(({ line }) => line.combinable)];
+    for (const entry of applicable.filter(({ line }) => !line.combinable)) {
+      options.push([entry]);
+    }
+
+    // Ties go to the combined promotions (first option)
+    const best = options.reduce((winner, option) => (benefit(option) > benefit(winner) ? option : winner));
+    return [...best].sort((a, b) => b.line.priority - a.line.priority);
+  }
+
+  /**
+   * Never discount more than the items (or shipping) cost; higher priority keeps its amount
+   * @private
+   */
+  static _capToSubtotal(chosen, context) {
+    let itemsLeft = context.subtotal;
+    let shippingLeft = context.shippingCost || 0;
+
+    return chosen.map(({ line }) => {
+      const promotion = { ...line };
+      delete promotion.combinable;
+      delete promotion.priority;
+      if (promotion.amount > itemsLeft) {
+        promotion.items = itemsLeft > 0 ? this._scale(promotion.items, itemsLeft / promotion.amount) : [];
+        promotion.amount = promotion.items.reduce((sum, item) => sum + item.amount, 0);
+      }
+      promotion.shippingDiscount = Math.min(promotion.shippingDiscount, shippingLeft);
+
+      itemsLeft -= promotion.amount;
+      shippingLeft -= promotion.shippingDiscount;
+      return promotion;
+    }).filter((promotion) => promotion.amount > 0 || promotion.shippingDiscount > 0);
+  }
+}
@@ -7,7 +7,12 @@ import {
   createCouponSchema,
   updateCouponSchema,
   validateCouponSchema,
-  getCouponsQuerySchema
+  getCouponsQuerySchema,
+  createCampaignSchema,
+  updateCampaignSchema,
+  generateCampaignCodesSchema,
+  getCampaignsQuerySchema,
+  getCampaignCodesQuerySchema
 } from './validation.js';
 import { createRateLimiter } from '../../middleware/rateLimit.js';
 import { csrfProtection } from '../../middleware/security.js';
@@ -135,6 +140,320 @@ router.get(
   CouponController.getCoupons
 );
 
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns:
+ *   post:
+ *     summary: Create coupon campaign with unique codes (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - count
+ *               - template
+ *             properties:
+ *               name:
+ *                 type: object
+ *               codePrefix:
+ *                 type: string
+ *               codeLength:
+ *                 type: integer
+ *               usesPerCode:
+ *                 type: integer
+ *               count:
+ *                 type: integer
+ *                 maximum: 10000
+ *               template:
+ *                 type: object
+ *                 description: Coupon fields (without code) copied into every generated code
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/campaigns',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 5, // 5 campaigns per minute
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است.',
+    prefix: 'rl:coupon:campaign:'
+  }),
+  validate(createCampaignSchema),
+  auditLog('CREATE_COUPON_CAMPAIGN', 'coupons'),
+  CouponController.createCampaign
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns:
+ *   get:
+ *     summary: Get coupon campaigns (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/campaigns',
+  authenticate,
+  authorize(['orders.read']),
+  validate(getCampaignsQuerySchema, 'query'),
+  CouponController.getCampaigns
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}/report:
+ *   get:
+ *     summary: Campaign report (redemption rate, discount, revenue) (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/campaigns/:id/report',
+  authenticate,
+  authorize(['orders.read']),
+  CouponController.getCampaignReport
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}/codes/export:
+ *   get:
+ *     summary: Export campaign codes as CSV (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redeemed
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/campaigns/:id/codes/export',
+  authenticate,
+  authorize(['orders.read']),
+  validate(getCampaignCodesQuerySchema, 'query'),
+  auditLog('EXPORT_COUPON_CAMPAIGN_CODES', 'coupons'),
+  CouponController.exportCampaignCodes
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}/codes:
+ *   get:
+ *     summary: Get campaign codes with redemptions (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redeemed
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Codes retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/campaigns/:id/codes',
+  authenticate,
+  authorize(['orders.read']),
+  validate(getCampaignCodesQuerySchema, 'query'),
+  CouponController.getCampaignCodes
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}/codes:
+ *   post:
+ *     summary: Generate more codes for a campaign (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - count
+ *             properties:
+ *               count:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Codes generated
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/campaigns/:id/codes',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(generateCampaignCodesSchema),
+  auditLog('GENERATE_COUPON_CAMPAIGN_CODES', 'coupons'),
+  CouponController.generateCampaignCodes
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}:
+ *   get:
+ *     summary: Get coupon campaign by ID (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/campaigns/:id',
+  authenticate,
+  authorize(['orders.read']),
+  CouponController.getCampaignById
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}:
+ *   put:
+ *     summary: Update coupon campaign (name, validUntil, isActive apply to all codes) (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Campaign updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  '/campaigns/:id',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(updateCampaignSchema),
+  auditLog('UPDATE_COUPON_CAMPAIGN', 'coupons'),
+  CouponController.updateCampaign
+);
+
+/**
+ * @swagger
+ * /api/v1/coupons/campaigns/{id}:
+ *   delete:
+ *     summary: Delete coupon campaign and its codes (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign deleted
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  '/campaigns/:id',
+  authenticate,
+  authorize(['orders.delete']),
+  csrfProtection,
+  auditLog('DELETE_COUPON_CAMPAIGN', 'coupons'),
+  CouponController.deleteCampaign
+);
+
 /**
  * @swagger
  * /api/v1/coupons/{id}:
@@ -193,7 +512,7 @@ router.put(
   authorize(['orders.update']),
   csrfProtection,
   validate(updateCouponSchema),
-  auditLog('UPDATE_COUPON', 'coupons'),
+  auditLog('UPDATE_COUPON', 'coupons', { model: 'Coupon' }),
   CouponController.updateCoupon
 );
 
@@ -222,7 +541,7 @@ router.delete(
   authenticate,
   authorize(['orders.delete']),
   csrfProtection,
-  auditLog('DELETE_COUPON', 'coupons'),
+  auditLog('DELETE_COUPON', 'coupons', { model: 'Coupon' }),
   CouponController.deleteCoupon
 );
 
@@ -1,5 +1,6 @@
+import crypto from 'crypto';
 import { Coupon } from './model.js';
-import { Product } from '../products/model.js';
+import { PromotionService } from './promotionService.js';
 import { Order } from '../orders/model.js';
 import { logger } from '../../utils/logger.js';
 
@@ -8,10 +9,16 @@ import { logger } from '../../utils/logger.js';
  * 
  * Features:
  * - Coupon validation
- * - Discount calculation
+ * - Discount calculation (promotion rules: see PromotionService)
  * - Usage tracking
  * - Product/category restrictions
+ * - Bulk unique code generation (campaigns: see CouponCampaignService)
  */
+
+// Unambiguous characters for generated codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_BATCH_SIZE = 1000;
+
 export class CouponService {
   /**
    * Validate coupon code
@@ -40,58 +47,30 @@ export class CouponService {
         };
       }
 
-      // Check basic validity
-      const validity = coupon.isValid();
-      if (!validity.valid) {
+      // Validity, user restrictions and loyalty tier
+      const eligibility = await PromotionService.checkEligibility(coupon, userId, orderAmount);
+      if (!eligibility.valid) {
         return {
           valid: false,
-          error: validity.reason
+          error: eligibility.reason
         };
       }
 
-      // Check user-specific restrictions
-      if (userId) {
-        const userValidity = coupon.canBeUsedByUser(userId, orderAmount);
-        if (!userValidity.valid) {
-          return {
-            valid: false,
-            error: userValidity.reason
-          };
-        }
-      } else if (orderAmount > 0) {
-        // For guest users, check minimum order amount
-        if (orderAmount < coupon.limits.minOrderAmount) {
-          return {
-            valid: false,
-            error: `حداقل مبلغ سفارش برای استفاده از این کد ${coupon.limits.minOrderAmount.toLocaleString('fa-IR')} تومان است`
-          };
-        }
-      }
-
-      // Check if coupon applies to items
+      // Calculate discount: on the eligible items when given, otherwise on the order amount
+      let discountAmount = coupon.calculateDiscount(orderAmount);
       if (items.length > 0) {
-        let applicableItems = 0;
-        for (const item of items) {
-          const product = await Product.findById(item.product);
-          if (product) {
-            const categoryIds = product.categories || [];
-            if (coupon.appliesToProduct(product._id, categoryIds)) {
-              applicableItems++;
-            }
-          }
-        }
+        const context = await PromotionService.buildContext(items);
+        const line = PromotionService.calculate(coupon, context);
 
-        if (applicableItems === 0) {
+        if (line.amount === 0 && coupon.type !== 'free_shipping') {
           return {
             valid: false,
             error: 'این کد تخفیف برای محصولات انتخابی شما معتبر نیست'
           };
         }
+        discountAmount = line.amount;
       }
 
-      // Calculate discount
-      const discountAmount = coupon.calculateDiscount(orderAmount);
-
       return {
         valid: true,
         coupon: {
@@ -158,6 +137,94 @@ export class CouponService {
     }
   }
 
+  /**
+   * Give back (part of) a coupon usage when an order is refunded
+   * Automatic promotions keep counters only: their use is freed once per order, guarded
+   * by the order's promotion line (usageReleased).
+   * @param {string} code - Coupon code
+   * @param {string} orderId - Order ID
+   * @param {number} discountAmount - Discount amount to take back out of usage.totalDiscount
+   * @param {Object} options - { releaseUse: also free the usage slot (full refund) }
+   * @returns {Promise<void>}
+   */
+  static async revertUsage(code, orderId, discountAmount, { releaseUse = false } = {}) {
+    try {
+      const coupon = await Coupon.findOne({ code: code.toUpperCase().trim() });
+      if (!coupon) {
+        return;
+      }
+
+      const usage = coupon.usage.history.find(
+        (entry) => entry.order?.toString() === orderId.toString()
+      );
+      if (!usage && (!coupon.automatic || (releaseUse && !await this._claimAutomaticRelease(coupon, orderId)))) {
+        return;
+      }
+
+      // A full refund gives back whatever is left of this order's discount
+      const given = usage ? usage.discountAmount : discountAmount;
+      const amount = Math.min(
+        releaseUse ? given : Math.min(discountAmount, given),
+        coupon.usage.totalDiscount
+      );
+      const update = { $inc: { 'usage.totalDiscount': -amount } };
+
+      if (releaseUse) {
+        update.$inc['usage.count'] = -1;
+        if (usage) {
+          update.$pull = { 'usage.history': { order: orderId } };
+        }
+      } else if (usage) {
+        update.$inc['usage.history.$[entry].discountAmount'] = -amount;
+      }
+
+      await Coupon.updateOne(
+        { _id: coupon._id, 'usage.count': { $gt: 0 } },
+        update,
+        releaseUse || !usage ? {} : { arrayFilters: [{ 'entry.order': usage.order }] }
+      );
+
+      logger.info(`Coupon usage reverted: ${coupon.code}, order: ${orderId}, discount: ${amount}`);
+    } catch (error) {
+      logger.error('Revert coupon usage error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Free the usage an unpaid order took on each applied promotion (cancelled or expired; idempotent)
+   * @param {Order} order - Order document (older orders: order.coupon)
+   * @returns {Promise<void>}
+   */
+  static async releaseOrderUsage(order) {
+    try {
+      const promotions = order.promotions?.length
+        ? order.promotions
+        : (order.coupon?.code ? [{ code: order.coupon.code, amount: order.coupon.discount || 0 }] : []);
+
+      for (const promotion of promotions) {
+        const discount = (promotion.amount || 0) + (promotion.shippingDiscount || 0);
+        await this.revertUsage(promotion.code, order._id, discount, { releaseUse: true });
+      }
+    } catch (error) {
+      logger.error('Release order coupon usage error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private: Mark an automatic promotion's use on an order as given back
+   * @private
+   * @returns {Promise<boolean>} Whether this call released it (false: already released)
+   */
+  static async _claimAutomaticRelease(coupon, orderId) {
+    const result = await Order.updateOne(
+      { _id: orderId, promotions: { $elemMatch: { code: coupon.code, usageReleased: { $ne: true } } } },
+      { $set: { 'promotions.$.usageReleased': true } }
+    );
+    return result.modifiedCount > 0;
+  }
+
   /**
    * Create coupon
    * @param {Object} couponData - Coupon data
@@ -191,6 +258,72 @@ export class CouponService {
     }
   }
 
+  /**
+   * Create many coupons with unique random codes from one template (same checks as createCoupon)
+   * @param {Object} couponData - Coupon data shared by every code (code is ignored)
+   * @param {number} count - Number of codes to create
+   * @param {string} userId - User ID (admin)
+   * @param {Object} options - { prefix, length }
+   * @returns {Promise<number>} Number of coupons created
+   */
+  static async createCoupons(couponData, count, userId, { prefix = '', length = 8 } = {}) {
+    try {
+      const template = { ...couponData };
+      delete template.code;
+      let created = 0;
+      let attempts = 0;
+
+      while (created < count) {
+        // Collisions are rare; stop instead of looping forever on a too-small code space
+        if (++attempts > Math.ceil(count / CODE_BATCH_SIZE) + 10) {
+          throw new Error('امکان ساخت کدهای یکتا وجود ندارد؛ طول کد را افزایش دهید');
+        }
+
+        const batchSize = Math.min(CODE_BATCH_SIZE, count - created);
+        const codes = new Set();
+        while (codes.size < batchSize) {
+          codes.add(this.generateCode(prefix, length));
+        }
+
+        const taken = new Set(await Coupon.find({ code: { $in: [...codes] } }).distinct('code'));
+        const docs = [...codes]
+          .filter((candidate) => !taken.has(candidate))
+          .map((candidate) => ({ ...template, code: candidate, createdBy: userId }));
+
+        try {
+          const inserted = await Coupon.insertMany(docs, { ordered: false });
+          created += inserted.length;
+        } catch (error) {
+          // A code taken in the meantime: keep the rest of the batch and retry the difference
+          if (error.code !== 11000 && !error.writeErrors) {
+            throw error;
+          }
+          created += error.insertedDocs?.length || 0;
+        }
+      }
+
+      logger.info(`Coupons created in bulk: ${created}, prefix: ${prefix || '-'}, by: ${userId}`);
+      return created;
+    } catch (error) {
+      logger.error('Create coupons error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Random coupon code
+   * @param {string} prefix - Code prefix (optional)
+   * @param {number} length - Number of random characters
+   * @returns {string} Code like PREFIX-7KQ2M9XA
+   */
+  static generateCode(prefix = '', length = 8) {
+    let random = '';
+    for (let i = 0; i < length; i++) {
+      random += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return prefix ? `${prefix.toUpperCase().trim()}-${random}` : random;
+  }
+
   /**
    * Get coupon by ID
    * @param {string} couponId - Coupon ID
@@ -223,7 +356,8 @@ export class CouponService {
       const limit = parseInt(options.limit) || 25;
       const skip = (page - 1) * limit;
 
-      const query = { deletedAt: null };
+      // Campaign codes are listed per campaign, not among regular coupons
+      const query = { deletedAt: null, campaign: filters.campaign || null };
 
       // Apply filters
       if (filters.isActive !== undefined) {
@@ -238,6 +372,10 @@ export class CouponService {
         query.type = filters.type;
       }
 
+      if (filters.automatic !== undefined) {
+        query.automatic = filters.automatic;
+      }
+
       if (filters.valid) {
         const now = new Date();
         query.validFrom = { $lte: now };
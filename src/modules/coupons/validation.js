@@ -5,6 +5,40 @@ import { objectIdSchema, objectIdArraySchema } from '../../shared/validations/ba
  * Validation schemas for Coupons
  */
 
+const COUPON_TYPES = ['percentage', 'fixed', 'buy_x_get_y', 'tiered', 'free_shipping', 'bundle'];
+
+// Promotion rules (see PromotionService)
+const rulesSchema = Joi.object({
+  buyQuantity: Joi.number().integer().min(1).optional(),
+  getQuantity: Joi.number().integer().min(1).optional(),
+  getDiscountPercent: Joi.number().min(0).max(100).default(100).optional(),
+  tiers: Joi.array().items(
+    Joi.object({
+      minAmount: Joi.number().min(0).required(),
+      type: Joi.string().valid('percentage', 'fixed').default('percentage'),
+      value: Joi.number().min(0).required()
+        .when('type', { is: 'percentage', then: Joi.number().max(100) })
+    })
+  ).min(1).unique('minAmount').optional()
+    .messages({
+      'array.unique': 'حداقل مبلغ هر پله باید یکتا باشد'
+    }),
+  bundleItems: Joi.array().items(
+    Joi.object({
+      product: objectIdSchema('شناسه محصول').required(),
+      quantity: Joi.number().integer().min(1).default(1)
+    })
+  ).min(1).unique('product').optional(),
+  bundlePrice: Joi.number().min(0).optional(),
+  maxApplications: Joi.number().integer().min(1).allow(null).optional()
+});
+
+// Stacking policy
+const stackingSchema = Joi.object({
+  combinable: Joi.boolean().default(true).optional(),
+  priority: Joi.number().integer().default(0).optional()
+});
+
 // Create Coupon Schema
 export const createCouponSchema = Joi.object({
   code: Joi.string()
@@ -19,27 +53,55 @@ export const createCouponSchema = Joi.object({
     }),
   
   type: Joi.string()
-    .valid('percentage', 'fixed')
+    .valid(...COUPON_TYPES)
     .required()
     .messages({
       'any.required': 'نوع تخفیف الزامی است',
-      'any.only': 'نوع تخفیف باید percentage یا fixed باشد'
+      'any.only': `نوع تخفیف باید یکی از ${COUPON_TYPES.join(', ')} باشد`
     }),
   
+  // Required for percentage/fixed; promotion rule types use rules instead
   value: Joi.number()
     .min(0)
-    .required()
     .when('type', {
       is: 'percentage',
-      then: Joi.number().max(100).messages({
+      then: Joi.number().max(100).required().messages({
         'number.max': 'درصد تخفیف نمی‌تواند بیش از 100 باشد'
       }),
-      otherwise: Joi.number()
+      otherwise: Joi.when('type', { is: 'fixed', then: Joi.required(), otherwise: Joi.optional() })
     })
     .messages({
       'any.required': 'مقدار تخفیف الزامی است',
       'number.min': 'مقدار تخفیف نمی‌تواند منفی باشد'
     }),
+
+  automatic: Joi.boolean().default(false).optional(),
+
+  rules: rulesSchema.when('type', {
+    is: Joi.valid('buy_x_get_y', 'tiered', 'bundle'),
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+    .when('type', {
+      is: 'buy_x_get_y',
+      then: Joi.object({
+        buyQuantity: Joi.required(),
+        getQuantity: Joi.required()
+      })
+    })
+    .when('type', {
+      is: 'tiered',
+      then: Joi.object({ tiers: Joi.required() })
+    })
+    .when('type', {
+      is: 'bundle',
+      then: Joi.object({ bundleItems: Joi.required(), bundlePrice: Joi.required() })
+    })
+    .messages({
+      'any.required': 'قوانین این نوع تخفیف الزامی است'
+    }),
+
+  stacking: stackingSchema.optional(),
   
   limits: Joi.object({
     minOrderAmount: Joi.number().min(0).default(0).optional(),
@@ -57,12 +119,14 @@ export const createCouponSchema = Joi.object({
   applicableTo: Joi.object({
     products: objectIdArraySchema('محصول', { minItems: 0, required: false }),
     categories: objectIdArraySchema('دسته‌بندی', { minItems: 0, required: false }),
+    variants: objectIdArraySchema('تنوع محصول', { minItems: 0, required: false }),
     allProducts: Joi.boolean().default(true).optional()
   }).optional(),
   
   excludedFrom: Joi.object({
     products: objectIdArraySchema('محصول', { minItems: 0, required: false }),
-    categories: objectIdArraySchema('دسته‌بندی', { minItems: 0, required: false })
+    categories: objectIdArraySchema('دسته‌بندی', { minItems: 0, required: false }),
+    variants: objectIdArraySchema('تنوع محصول', { minItems: 0, required: false })
   }).optional(),
   
   restrictions: Joi.object({
@@ -82,8 +146,11 @@ export const createCouponSchema = Joi.object({
 // Update Coupon Schema
 export const updateCouponSchema = Joi.object({
   code: Joi.string().trim().min(3).max(50).optional(),
-  type: Joi.string().valid('percentage', 'fixed').optional(),
+  type: Joi.string().valid(...COUPON_TYPES).optional(),
   value: Joi.number().min(0).optional(),
+  automatic: Joi.boolean().optional(),
+  rules: rulesSchema.optional(),
+  stacking: stackingSchema.optional(),
   limits: Joi.object({
     minOrderAmount: Joi.number().min(0).optional(),
     maxDiscountAmount: Joi.number().min(0).allow(null).optional(),
@@ -95,11 +162,13 @@ export const updateCouponSchema = Joi.object({
   applicableTo: Joi.object({
     products: objectIdArraySchema('محصول', { minItems: 0, required: false }),
     categories: objectIdArraySchema('دسته‌بندی', { minItems: 0, required: false }),
+    variants: objectIdArraySchema('تنوع محصول', { minItems: 0, required: false }),
     allProducts: Joi.boolean().optional()
   }).optional(),
   excludedFrom: Joi.object({
     products: objectIdArraySchema('محصول', { minItems: 0, required: false }),
-    categories: objectIdArraySchema('دسته‌بندی', { minItems: 0, required: false })
+    categories: objectIdArraySchema('دسته‌بندی', { minItems: 0, required: false }),
+    variants: objectIdArraySchema('تنوع محصول', { minItems: 0, required: false })
   }).optional(),
   restrictions: Joi.object({
     users: objectIdArraySchema('کاربر', { minItems: 0, required: false }),
@@ -134,7 +203,86 @@ export const getCouponsQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(25).optional(),
   isActive: Joi.boolean().optional(),
   code: Joi.string().optional(),
-  type: Joi.string().valid('percentage', 'fixed').optional(),
+  type: Joi.string().valid(...COUPON_TYPES).optional(),
+  automatic: Joi.boolean().optional(),
+  campaign: objectIdSchema('شناسه کمپین').optional(),
   valid: Joi.boolean().optional()
 });
 
+
+// Campaign template: a coupon without its code (codes are generated)
+const campaignTemplateSchema = createCouponSchema.keys({
+  code: Joi.forbidden(),
+  automatic: Joi.forbidden(),
+  isActive: Joi.forbidden()
+});
+
+// Create Campaign Schema
+export const createCampaignSchema = Joi.object({
+  name: Joi.object({
+    fa: Joi.string().trim().max(200).required(),
+    en: Joi.string().trim().max(200).optional()
+  }).required()
+    .messages({
+      'any.required': 'نام کمپین الزامی است'
+    }),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).optional(),
+    en: Joi.string().trim().max(500).optional()
+  }).optional(),
+  codePrefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]+$/).max(20).allow('').optional()
+    .messages({
+      'string.pattern.base': 'پیشوند کد فقط می‌تواند شامل حروف انگلیسی و اعداد باشد'
+    }),
+  codeLength: Joi.number().integer().min(6).max(20).default(8).optional(),
+  usesPerCode: Joi.number().integer().min(1).default(1).optional(),
+  count: Joi.number().integer().min(1).max(10000).required()
+    .messages({
+      'any.required': 'تعداد کدها الزامی است',
+      'number.max': 'در هر درخواست حداکثر 10000 کد قابل ساخت است'
+    }),
+  template: campaignTemplateSchema.required()
+    .messages({
+      'any.required': 'تنظیمات کد تخفیف کمپین الزامی است'
+    }),
+  isActive: Joi.boolean().default(true).optional()
+});
+
+// Update Campaign Schema
+export const updateCampaignSchema = Joi.object({
+  name: Joi.object({
+    fa: Joi.string().trim().max(200).optional(),
+    en: Joi.string().trim().max(200).optional()
+  }).optional(),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).optional(),
+    en: Joi.string().trim().max(500).optional()
+  }).optional(),
+  validUntil: Joi.date().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Generate Campaign Codes Schema
+export const generateCampaignCodesSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(10000).required()
+    .messages({
+      'any.required': 'تعداد کدها الزامی است',
+      'number.max': 'در هر درخواست حداکثر 10000 کد قابل ساخت است'
+    })
+});
+
+// Get Campaigns Query Schema
+export const getCampaignsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25).optional(),
+  isActive: Joi.boolean().optional(),
+  search: Joi.string().trim().max(100).optional()
+});
+
+// Get Campaign Codes Query Schema (also used by the CSV export)
+export const getCampaignCodesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50).optional(),
+  redeemed: Joi.boolean().optional(),
+  code: Joi.string().trim().max(50).optional()
+});
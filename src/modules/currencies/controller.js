@@ -0,0 +1,146 @@
+import { CurrencyService } from './service.js';
+
+/**
+ * CurrencyController - Controller for currencies and exchange rates
+ *
+ * Handles:
+ * - Listing currencies and converting amounts (public)
+ * - Creating/updating currencies and setting rates (admin)
+ * - Exchange rate history (admin)
+ */
+export class CurrencyController {
+  /**
+   * Get active currencies
+   * GET /api/v1/currencies
+   */
+  static async getCurrencies(req, res, next) {
+    try {
+      const currencies = await CurrencyService.getCurrencies();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          currencies,
+          current: req.currency
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all currencies, inactive included (admin)
+   * GET /api/v1/currencies/all
+   */
+  static async getAllCurrencies(req, res, next) {
+    try {
+      const currencies = await CurrencyService.getCurrencies({ includeInactive: true });
+
+      res.status(200).json({
+        success: true,
+        data: { currencies }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Convert amount
+   * GET /api/v1/currencies/convert
+   */
+  static async convert(req, res, next) {
+    try {
+      const { amount, from, to } = req.query;
+      const result = await CurrencyService.convert(amount, from, to);
+      const currency = await CurrencyService.getCurrency(to);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          amount,
+          from,
+          to,
+          result,
+          formatted: CurrencyService.format(result, currency, req.language)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create currency (admin)
+   * POST /api/v1/currencies
+   */
+  static async createCurrency(req, res, next) {
+    try {
+      const currency = await CurrencyService.createCurrency(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'ارز با موفقیت تعریف شد',
+        data: { currency }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update currency (admin)
+   * PUT /api/v1/currencies/:code
+   */
+  static async updateCurrency(req, res, next) {
+    try {
+      const currency = await CurrencyService.updateCurrency(req.params.code, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'ارز با موفقیت به‌روزرسانی شد',
+        data: { currency }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set exchange rate (admin)
+   * PUT /api/v1/currencies/:code/rate
+   */
+  static async setRate(req, res, next) {
+    try {
+      const { rate, note } = req.body;
+      const currency = await CurrencyService.setRate(req.params.code, rate, req.user.id, { note });
+
+      res.status(200).json({
+        success: true,
+        message: 'نرخ تبدیل با موفقیت ثبت شد',
+        data: { currency }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get exchange rate history (admin)
+   * GET /api/v1/currencies/:code/history
+   */
+  static async getRateHistory(req, res, next) {
+    try {
+      const { page, limit, from, to } = req.query;
+      const result = await CurrencyService.getRateHistory(req.params.code, { from, to }, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
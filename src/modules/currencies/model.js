@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+
+export const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+// Rounding rule: amounts are rounded to a multiple of increment (e.g. 0.01 USD, 1000 Toman)
+const roundingSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ROUNDING_MODES,
+    default: 'nearest'
+  },
+  increment: {
+    type: Number,
+    min: 0,
+    default: null // null = smallest unit (10^-decimals)
+  }
+}, { _id: false });
+
+/**
+ * Currency Model
+ *
+ * All stored amounts (products priced in the base currency, carts, orders, payments)
+ * are in the base currency (Toman, IRT). rate is the base-currency value of one unit:
+ * 1 for Toman, 0.1 for Rial, the admin-set rate for USD/EUR.
+ */
+const currencySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+
+  name: {
+    fa: { type: String, required: true, trim: true },
+    en: { type: String, trim: true }
+  },
+
+  symbol: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Digits after the decimal point shown and kept
+  decimals: {
+    type: Number,
+    min: 0,
+    max: 4,
+    default: 0
+  },
+
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rateUpdatedAt: Date,
+  rateUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Base currency and Rial: rate is fixed, not editable
+  isBase: {
+    type: Boolean,
+    default: false
+  },
+  fixedRate: {
+    type: Boolean,
+    default: false
+  },
+
+  rounding: {
+    type: roundingSchema,
+    default: () => ({})
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Methods
+Object.assign(currencySchema.methods, baseSchemaMethods);
+
+// Statics
+Object.assign(currencySchema.statics, baseSchemaStatics);
+
+export const Currency = mongoose.model('Currency', currencySchema);
+
+/**
+ * ExchangeRate Model - History of rate changes (one entry per change)
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  previousRate: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  note: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+export const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
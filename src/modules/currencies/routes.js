@@ -0,0 +1,253 @@
+import { Router } from 'express';
+import { CurrencyController } from './controller.js';
+import { validate } from '../../middleware/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
+import {
+  createCurrencySchema,
+  updateCurrencySchema,
+  setRateSchema,
+  convertQuerySchema,
+  getRateHistoryQuerySchema
+} from './validation.js';
+import { createRateLimiter } from '../../middleware/rateLimit.js';
+import { csrfProtection } from '../../middleware/security.js';
+import { auditLog } from '../../middleware/audit.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Currencies
+ *   description: Currencies, exchange rates and conversion
+ */
+
+/**
+ * @swagger
+ * /api/v1/currencies:
+ *   get:
+ *     summary: Get active currencies and the request's display currency
+ *     tags: [Currencies]
+ *     responses:
+ *       200:
+ *         description: Currencies retrieved
+ */
+router.get('/', CurrencyController.getCurrencies);
+
+/**
+ * @swagger
+ * /api/v1/currencies/convert:
+ *   get:
+ *     summary: Convert an amount between currencies
+ *     tags: [Currencies]
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           default: IRT
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Converted amount
+ *       400:
+ *         description: Unknown currency or missing rate
+ */
+router.get(
+  '/convert',
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60,
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است.',
+    prefix: 'rl:currency:convert:'
+  }),
+  validate(convertQuerySchema, 'query'),
+  CurrencyController.convert
+);
+
+/**
+ * @swagger
+ * /api/v1/currencies/all:
+ *   get:
+ *     summary: Get all currencies including inactive ones (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Currencies retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/all',
+  authenticate,
+  authorize(['settings.read']),
+  CurrencyController.getAllCurrencies
+);
+
+/**
+ * @swagger
+ * /api/v1/currencies:
+ *   post:
+ *     summary: Create currency (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - rate
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: USD
+ *               rate:
+ *                 type: number
+ *                 description: Toman value of one unit
+ *               decimals:
+ *                 type: integer
+ *               rounding:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Currency created
+ *       409:
+ *         description: Currency already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['settings.update']),
+  csrfProtection,
+  validate(createCurrencySchema),
+  auditLog('CREATE_CURRENCY', 'currencies'),
+  CurrencyController.createCurrency
+);
+
+/**
+ * @swagger
+ * /api/v1/currencies/{code}/rate:
+ *   put:
+ *     summary: Set exchange rate (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rate updated
+ *       400:
+ *         description: Rate is fixed for this currency
+ */
+router.put(
+  '/:code/rate',
+  authenticate,
+  authorize(['settings.update']),
+  csrfProtection,
+  validate(setRateSchema),
+  auditLog('UPDATE_EXCHANGE_RATE', 'currencies'),
+  CurrencyController.setRate
+);
+
+/**
+ * @swagger
+ * /api/v1/currencies/{code}/history:
+ *   get:
+ *     summary: Get exchange rate history (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Rate history retrieved
+ */
+router.get(
+  '/:code/history',
+  authenticate,
+  authorize(['settings.read']),
+  validate(getRateHistoryQuerySchema, 'query'),
+  CurrencyController.getRateHistory
+);
+
+/**
+ * @swagger
+ * /api/v1/currencies/{code}:
+ *   put:
+ *     summary: Update currency details (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Currency updated
+ *       404:
+ *         description: Currency not found
+ */
+router.put(
+  '/:code',
+  authenticate,
+  authorize(['settings.update']),
+  csrfProtection,
+  validate(updateCurrencySchema),
+  auditLog('UPDATE_CURRENCY', 'currencies'),
+  CurrencyController.updateCurrency
+);
+
+export default router;
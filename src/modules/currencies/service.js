@@ -0,0 +1,495 @@
+import { Currency, ExchangeRate } from './model.js';
+import { cacheService } from '../../services/cache.js';
+import { logger } from '../../utils/logger.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+
+/** Currency every stored amount is in */
+export const BASE_CURRENCY = 'IRT';
+
+const CACHE_KEY = 'currencies:all';
+const CACHE_TTL = 300;
+
+/** Created on first use: Toman (base) and Rial (fixed 1/10 Toman) */
+const DEFAULT_CURRENCIES = [
+  {
+    code: 'IRT',
+    name: { fa: 'تومان', en: 'Toman' },
+    symbol: 'تومان',
+    decimals: 0,
+    rate: 1,
+    isBase: true,
+    fixedRate: true
+  },
+  {
+    code: 'IRR',
+    name: { fa: 'ریال', en: 'Rial' },
+    symbol: 'ریال',
+    decimals: 0,
+    rate: 0.1,
+    fixedRate: true
+  }
+];
+
+/**
+ * CurrencyService - Currencies, exchange rates and conversions
+ *
+ * Carts, orders and payments are kept in the base currency (Toman). Products may be
+ * priced in another currency and are converted when a price enters a cart or order;
+ * prices and totals are converted again for display (per-request display currency).
+ * Orders snapshot the display rate and payments the gateway amount, so later rate
+ * changes never alter them.
+ */
+export class CurrencyService {
+  /**
+   * Currencies (cached)
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array<Object>>} Currencies, base currency first
+   */
+  static async getCurrencies({ includeInactive = false } = {}) {
+    try {
+      let currencies = await cacheService.get(CACHE_KEY);
+
+      if (!currencies) {
+        currencies = await Currency.find({ deletedAt: null }).sort({ isBase: -1, code: 1 }).lean();
+        if (!currencies.some((currency) => currency.isBase)) {
+          await this._ensureDefaults();
+          currencies = await Currency.find({ deletedAt: null }).sort({ isBase: -1, code: 1 }).lean();
+        }
+        await cacheService.set(CACHE_KEY, currencies, CACHE_TTL);
+      }
+
+      return includeInactive ? currencies : currencies.filter((currency) => currency.isActive);
+    } catch (error) {
+      logger.error('Get currencies error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Currency by code (active or not)
+   * @param {string} code - Currency code
+   * @returns {Promise<Object|null>} Currency or null
+   */
+  static async getCurrency(code) {
+    if (!code) {
+      return null;
+    }
+    const currencies = await this.getCurrencies({ includeInactive: true });
+    return currencies.find((currency) => currency.code === String(code).toUpperCase()) || null;
+  }
+
+  /**
+   * Display currency for a request: the requested one when active, otherwise the base currency
+   * @param {string} code - Requested currency code
+   * @returns {Promise<string>} Currency code
+   */
+  static async resolveDisplayCurrency(code) {
+    const currency = await this.getCurrency(code);
+    return currency?.isActive && currency.rate > 0 ? currency.code : BASE_CURRENCY;
+  }
+
+  /**
+   * Round an amount by the currency's rounding rule
+   * @param {number} amount - Amount
+   * @param {Object} currency - Currency (or snapshot) with decimals and rounding
+   * @returns {number} Rounded amount
+   */
+  static round(amount, currency) {
+    const decimals = currency.decimals || 0;
+    const increment = currency.rounding?.increment || 10 ** -decimals;
+    const units = amount / increment;
+
+    let rounded;
+    if (currency.rounding?.mode === 'up') {
+      rounded = Math.ceil(units - 1e-9);
+    } else if (currency.rounding?.mode === 'down') {
+      rounded = Math.floor(units + 1e-9);
+    } else {
+      rounded = Math.round(units);
+    }
+
+    return Number((rounded * increment).toFixed(decimals));
+  }
+
+  /**
+   * Convert an amount between currencies (rounded by the target currency's rules; same currency: unchanged)
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {Promise<number>} Converted amount
+   */
+  static async convert(amount, from = BASE_CURRENCY, to = BASE_CURRENCY) {
+    if ((from || BASE_CURRENCY) === (to || BASE_CURRENCY)) {
+      return amount;
+    }
+    const source = await this._requireRate(from);
+    const target = await this._requireRate(to);
+    return this.round((amount * source.rate) / target.rate, target);
+  }
+
+  /**
+   * Amount in the base currency (base amounts are returned unchanged)
+   * @param {number} amount - Amount
+   * @param {string} from - Currency the amount is in (IRT when empty)
+   * @returns {Promise<number>} Base currency amount
+   */
+  static async toBase(amount, from) {
+    if (!from || from === BASE_CURRENCY || amount === null || amount === undefined) {
+      return amount;
+    }
+    return this.convert(amount, from, BASE_CURRENCY);
+  }
+
+  /**
+   * Selling price of a product or variant in the base currency
+   * @param {Product} product - Product document
+   * @param {Object} variant - Variant (optional)
+   * @returns {Promise<number>} Unit price (Toman)
+   */
+  static async getUnitPrice(product, variant = null) {
+    return this.toBase(product.getUnitPrice(variant), product.pricing?.currency);
+  }
+
+  /**
+   * Rate snapshot stored on orders and payments
+   * @param {string} code - Currency code (inactive/unknown codes fall back to the base currency)
+   * @returns {Promise<Object>} { code, rate, decimals, symbol, rounding, rateDate }
+   */
+  static async snapshot(code) {
+    const currency = await this.getCurrency(await this.resolveDisplayCurrency(code));
+    return {
+      code: currency.code,
+      rate: currency.rate,
+      decimals: currency.decimals || 0,
+      symbol: currency.symbol,
+      rounding: {
+        mode: currency.rounding?.mode || 'nearest',
+        increment: currency.rounding?.increment || null
+      },
+      rateDate: currency.rateUpdatedAt || currency.createdAt || new Date()
+    };
+  }
+
+  /**
+   * Base amount in a snapshot's currency (no lookup: uses the snapshot's rate)
+   * @param {number} amount - Base currency amount
+   * @param {Object} snapshot - Snapshot from snapshot()
+   * @returns {number} Converted amount
+   */
+  static fromBase(amount, snapshot) {
+    if (!snapshot || snapshot.code === BASE_CURRENCY) {
+      return amount;
+    }
+    return this.round(amount / snapshot.rate, snapshot);
+  }
+
+  /**
+   * Totals (subtotal, tax, ...) in a snapshot's currency
+   * @param {Object} totals - Base currency totals
+   * @param {Object} snapshot - Snapshot from snapshot()
+   * @returns {Object} { currency, symbol, rate, ...totals }
+   */
+  static localizeTotals(totals, snapshot) {
+    const source = totals?.toObject ? totals.toObject() : (totals || {});
+    const localized = { currency: snapshot.code, symbol: snapshot.symbol, rate: snapshot.rate };
+    for (const [key, value] of Object.entries(source)) {
+      if (typeof value === 'number') {
+        localized[key] = this.fromBase(value, snapshot);
+      }
+    }
+    return localized;
+  }
+
+  /**
+   * Add displayPrice (product and variants) in the display currency
+   * @param {Array<Object>} products - Product documents or plain objects
+   * @param {string} code - Display currency code
+   * @returns {Promise<Array<Object>>} Plain products with displayPrice
+   */
+  static async localizeProducts(products, code) {
+    const currencies = await this.getCurrencies({ includeInactive: true });
+    const byCode = new Map(currencies.map((currency) => [currency.code, currency]));
+    const display = byCode.get(await this.resolveDisplayCurrency(code));
+
+    const convert = (amount, from) => {
+      const source = byCode.get(from || BASE_CURRENCY);
+      if (amount === null || amount === undefined || !source?.rate) {
+        return null;
+      }
+      return this.round((amount * source.rate) / display.rate, display);
+    };
+    const describe = (pricing, from) => ({
+      currency: display.code,
+      symbol: display.symbol,
+      price: convert(pricing.isOnSale && pricing.salePrice ? pricing.salePrice : pricing.basePrice, from),
+      basePrice: convert(pricing.basePrice, from),
+      salePrice: convert(pricing.salePrice, from),
+      compareAtPrice: convert(pricing.compareAtPrice, from)
+    });
+
+    return products.map((entry) => {
+      const product = typeof entry?.toJSON === 'function' ? entry.toJSON() : entry;
+      if (!product?.pricing) {
+        return product;
+      }
+      const from = product.pricing.currency;
+      return {
+        ...product,
+        displayPrice: describe(product.pricing, from),
+        ...(product.variants?.length && {
+          variants: product.variants.map((variant) => (variant.pricing
+            ? { ...variant, displayPrice: describe(variant.pricing, from) }
+            : variant))
+        })
+      };
+    });
+  }
+
+  /**
+   * Format an amount with the currency's digits and symbol
+   * @param {number} amount - Amount in the currency
+   * @param {Object} currency - Currency or snapshot
+   * @param {string} language - 'fa' or 'en'
+   * @returns {string} e.g. "۱۲٬۵۰۰ تومان", "12.50 $"
+   */
+  static format(amount, currency, language = 'fa') {
+    const decimals = currency.decimals || 0;
+    const number = new Intl.NumberFormat(language === 'en' ? 'en-US' : 'fa-IR', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(amount);
+    return currency.symbol ? `${number} ${currency.symbol}` : number;
+  }
+
+  /**
+   * Create currency
+   * @param {Object} currencyData - { code, name, symbol, decimals, rate, rounding, isActive }
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<Currency>} Created currency
+   */
+  static async createCurrency(currencyData, userId) {
+    try {
+      await this.getCurrencies();
+      const code = currencyData.code.toUpperCase().trim();
+
+      const existing = await Currency.findOne({ code });
+      if (existing && !existing.deletedAt) {
+        throw new AppError('ارزی با این کد قبلاً تعریف شده است', HTTP_STATUS.CONFLICT);
+      }
+
+      const currency = existing || new Currency({ code });
+      Object.assign(currency, {
+        ...currencyData,
+        code,
+        isBase: false,
+        fixedRate: false,
+        rateUpdatedAt: new Date(),
+        rateUpdatedBy: userId,
+        deletedAt: null,
+        createdBy: existing?.createdBy || userId,
+        updatedBy: userId
+      });
+      await currency.save();
+
+      await ExchangeRate.create({
+        currency: code,
+        rate: currency.rate,
+        previousRate: null,
+        note: 'تعریف ارز',
+        changedBy: userId
+      });
+      await cacheService.delete(CACHE_KEY);
+
+      logger.info(`Currency created: ${code}, rate: ${currency.rate}, by: ${userId}`);
+      return currency;
+    } catch (error) {
+      logger.error('Create currency error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update currency details (name, symbol, decimals, rounding, isActive)
+   * @param {string} code - Currency code
+   * @param {Object} updateData - Fields to update (rate has its own method)
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<Currency>} Updated currency
+   */
+  static async updateCurrency(code, updateData, userId) {
+    try {
+      const currency = await this._getDocument(code);
+
+      if (currency.isBase && updateData.isActive === false) {
+        throw new AppError('ارز پایه قابل غیرفعال‌سازی نیست', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const { rounding, ...data } = updateData;
+      Object.assign(currency, data);
+      if (rounding) {
+        currency.rounding = { ...(currency.rounding?.toObject?.() || {}), ...rounding };
+      }
+      currency.updatedBy = userId;
+      await currency.save();
+      await cacheService.delete(CACHE_KEY);
+
+      logger.info(`Currency updated: ${currency.code}, by: ${userId}`);
+      return currency;
+    } catch (error) {
+      logger.error('Update currency error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set exchange rate (recorded in the rate history)
+   * @param {string} code - Currency code
+   * @param {number} rate - Base currency value of one unit (Toman per unit)
+   * @param {string} userId - User ID (admin)
+   * @param {Object} options - { note, source }
+   * @returns {Promise<Currency>} Updated currency
+   */
+  static async setRate(code, rate, userId, { note = null, source = 'manual' } = {}) {
+    try {
+      const currency = await this._getDocument(code);
+
+      if (currency.fixedRate) {
+        throw new AppError('نرخ این ارز ثابت است و قابل تغییر نیست', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const previousRate = currency.rate;
+      currency.rate = rate;
+      currency.rateUpdatedAt = new Date();
+      currency.rateUpdatedBy = userId;
+      currency.updatedBy = userId;
+      await currency.save();
+
+      await ExchangeRate.create({
+        currency: currency.code,
+        rate,
+        previousRate,
+        source,
+        note,
+        changedBy: userId
+      });
+      await cacheService.delete(CACHE_KEY);
+
+      logger.info(`Exchange rate updated: ${currency.code} ${previousRate} -> ${rate}, by: ${userId}`);
+      return currency;
+    } catch (error) {
+      logger.error('Set exchange rate error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rate history of a currency
+   * @param {string} code - Currency code
+   * @param {Object} filters - { from, to }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} History entries and pagination
+   */
+  static async getRateHistory(code, filters = {}, options = {}) {
+    try {
+      const currency = await this._getDocument(code);
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      const query = { currency: currency.code };
+      if (filters.from || filters.to) {
+        query.createdAt = {};
+        if (filters.from) {
+          query.createdAt.$gte = new Date(filters.from);
+        }
+        if (filters.to) {
+          query.createdAt.$lte = new Date(filters.to);
+        }
+      }
+
+      const [history, total] = await Promise.all([
+        ExchangeRate.find(query)
+          .populate('changedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        ExchangeRate.countDocuments(query)
+      ]);
+
+      return {
+        currency,
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Get exchange rate history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private: Currency with a usable rate
+   * @private
+   */
+  static async _requireRate(code) {
+    const currency = await this.getCurrency(code || BASE_CURRENCY);
+    if (!currency || !(currency.rate > 0)) {
+      throw new AppError(`ارز «${code}» تعریف نشده یا نرخ تبدیل آن ثبت نشده است`, HTTP_STATUS.BAD_REQUEST);
+    }
+    return currency;
+  }
+
+  /**
+   * Private: Currency document by code
+   * @private
+   */
+  static async _getDocument(code) {
+    await this.getCurrencies();
+    const currency = await Currency.findOne({ code: String(code).toUpperCase(), deletedAt: null });
+    if (!currency) {
+      throw new AppError('ارز یافت نشد', HTTP_STATUS.NOT_FOUND);
+    }
+    return currency;
+  }
+
+  /**
+   * Private: Create the built-in currencies that are missing
+   * @private
+   */
+  static async _ensureDefaults() {
+    for (const currency of DEFAULT_CURRENCIES) {
+      const result = await Currency.updateOne(
+        { code: currency.code },
+        { $setOnInsert: { ...currency, rateUpdatedAt: new Date(), isActive: true, deletedAt: null } },
+        { upsert: true }
+      );
+
+      if (currency.isBase && result.upsertedCount > 0) {
+        await this._relabelLegacyPrices();
+      }
+    }
+  }
+
+  /**
+   * Private: Prices from before currencies existed are Toman but labelled IRR; relabel them
+   * once, when the base currency is first created, so they are not converted as Rial
+   * @private
+   */
+  static async _relabelLegacyPrices() {
+    const { Product } = await import('../products/model.js');
+    const result = await Product.updateMany(
+      { 'pricing.currency': { $in: ['IRR', null] } },
+      { $set: { 'pricing.currency': BASE_CURRENCY } }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`Relabelled ${result.modifiedCount} legacy product prices from IRR to ${BASE_CURRENCY}`);
+    }
+  }
+}
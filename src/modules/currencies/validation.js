@@ -0,0 +1,78 @@
+import Joi from 'joi';
+import { ROUNDING_MODES } from './model.js';
+
+/**
+ * Validation schemas for Currencies
+ */
+
+const codeSchema = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    'string.pattern.base': 'کد ارز باید سه حرف لاتین باشد (مانند USD)'
+  });
+
+const roundingSchema = Joi.object({
+  mode: Joi.string().valid(...ROUNDING_MODES).optional(),
+  increment: Joi.number().positive().allow(null).optional()
+});
+
+const rateSchema = Joi.number()
+  .positive()
+  .messages({
+    'number.positive': 'نرخ تبدیل باید بزرگتر از صفر باشد'
+  });
+
+// Create Currency Schema
+export const createCurrencySchema = Joi.object({
+  code: codeSchema.required().messages({
+    'any.required': 'کد ارز الزامی است'
+  }),
+  name: Joi.object({
+    fa: Joi.string().trim().max(50).required(),
+    en: Joi.string().trim().max(50).optional()
+  }).required(),
+  symbol: Joi.string().trim().max(10).allow('').optional(),
+  decimals: Joi.number().integer().min(0).max(4).default(0),
+  rate: rateSchema.required().messages({
+    'any.required': 'نرخ تبدیل (ارزش هر واحد به تومان) الزامی است'
+  }),
+  rounding: roundingSchema.optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+// Update Currency Schema (rate is changed through the rate endpoint)
+export const updateCurrencySchema = Joi.object({
+  name: Joi.object({
+    fa: Joi.string().trim().max(50).optional(),
+    en: Joi.string().trim().max(50).allow('').optional()
+  }).optional(),
+  symbol: Joi.string().trim().max(10).allow('').optional(),
+  decimals: Joi.number().integer().min(0).max(4).optional(),
+  rounding: roundingSchema.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Set Rate Schema
+export const setRateSchema = Joi.object({
+  rate: rateSchema.required().messages({
+    'any.required': 'نرخ تبدیل الزامی است'
+  }),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Convert Query Schema
+export const convertQuerySchema = Joi.object({
+  amount: Joi.number().min(0).required(),
+  from: codeSchema.default('IRT'),
+  to: codeSchema.required()
+});
+
+// Rate History Query Schema
+export const getRateHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
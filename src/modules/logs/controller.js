@@ -0,0 +1,119 @@
+import { LogService } from './service.js';
+
+/**
+ * LogController - Controller for activity and system logs (admin)
+ *
+ * Handles:
+ * - Searching activity logs and exporting them (CSV/JSON)
+ * - Change history of a single record
+ * - System logs and the retention policy
+ */
+export class LogController {
+  /**
+   * Get activity logs
+   * GET /api/v1/logs/activity
+   */
+  static async getActivityLogs(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await LogService.getActivityLogs(filters, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export activity logs
+   * GET /api/v1/logs/activity/export
+   */
+  static async exportActivityLogs(req, res, next) {
+    try {
+      const { format, ...filters } = req.query;
+      const result = await LogService.exportActivityLogs(filters, format);
+
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(result.filename)}"`);
+      res.status(200).send(result.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get activity log by ID
+   * GET /api/v1/logs/activity/:id
+   */
+  static async getActivityLogById(req, res, next) {
+    try {
+      const log = await LogService.getActivityLogById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { log }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get change history of a record
+   * GET /api/v1/logs/history/:resource/:resourceId
+   */
+  static async getResourceHistory(req, res, next) {
+    try {
+      const { resource, resourceId } = req.params;
+      const result = await LogService.getResourceHistory(resource, resourceId, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get system logs
+   * GET /api/v1/logs/system
+   */
+  static async getSystemLogs(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await LogService.getSystemLogs(filters, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get retention policy (days per severity)
+   * GET /api/v1/logs/retention
+   */
+  static async getRetentionPolicy(req, res, next) {
+    try {
+      const retention = await LogService.getRetentionPolicy();
+
+      res.status(200).json({
+        success: true,
+        data: { retention }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
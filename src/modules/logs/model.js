@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+
+export const LOG_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+export const SYSTEM_LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'critical'];
+
+// One changed field of a before/after diff (dot path, e.g. "pricing.basePrice")
+const changeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * ActivityLog Model
+ *
+ * Who did what to which record: written by the audit middleware for admin routes and by
+ * services for their own events (tasks, calendar). Append-only; removed by the retention
+ * cleanup (LogService.cleanupOldLogs) according to severity.
+ */
+const activityLogSchema = new mongoose.Schema({
+  // Actor
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Actor at the time of the action (kept when the user is changed or deleted)
+  actor: {
+    email: String,
+    role: String
+  },
+
+  // Normalized action, e.g. CREATE, UPDATE, DELETE, LOGIN, CANCEL_ORDER
+  action: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  // Action as named by the route, e.g. UPDATE_PRODUCT
+  rawAction: String,
+
+  resource: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  resourceId: {
+    type: String,
+    set: (value) => (value === null || value === undefined ? value : String(value))
+  },
+
+  description: String,
+
+  severity: {
+    type: String,
+    enum: LOG_SEVERITIES,
+    default: 'low',
+    index: true
+  },
+
+  // Field-level diff of the record (before/after), sensitive fields redacted
+  diff: [changeSchema],
+  // Request body or service payload when no diff is available
+  changes: mongoose.Schema.Types.Mixed,
+
+  // Request
+  requestId: {
+    type: String,
+    index: true
+  },
+  ip: String,
+  userAgent: String,
+  method: String,
+  url: String,
+  statusCode: Number,
+
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+activityLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+activityLogSchema.index({ user: 1, createdAt: -1 });
+activityLogSchema.index({ severity: 1, createdAt: 1 });
+activityLogSchema.index({ createdAt: -1 });
+
+export const ActivityLog = mongoose.model('ActivityLog', activityLogSchema);
+
+/**
+ * SystemLog Model
+ *
+ * Application events without an actor: startup/shutdown, connections, external service
+ * failures, suspicious requests and unhandled errors (see utils/systemLogger.js).
+ */
+const systemLogSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: SYSTEM_LOG_LEVELS,
+    default: 'info',
+    index: true
+  },
+
+  // Source, e.g. startup, database, redis, security, external_service, error
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+
+  message: {
+    type: String,
+    required: true
+  },
+
+  details: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+
+  requestId: String,
+  hostname: String,
+  pid: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+systemLogSchema.index({ level: 1, createdAt: 1 });
+systemLogSchema.index({ createdAt: -1 });
+
+export const SystemLog = mongoose.model('SystemLog', systemLogSchema);
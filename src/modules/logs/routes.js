@@ -0,0 +1,217 @@
+import { Router } from 'express';
+import { LogController } from './controller.js';
+import { validate } from '../../middleware/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
+import {
+  getActivityLogsQuerySchema,
+  exportActivityLogsQuerySchema,
+  getResourceHistoryQuerySchema,
+  getSystemLogsQuerySchema
+} from './validation.js';
+import { auditLog } from '../../middleware/audit.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Logs
+ *   description: Activity (audit) logs, record history and system logs
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/v1/logs/activity:
+ *   get:
+ *     summary: Search activity logs (admin only)
+ *     tags: [Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Normalized (UPDATE) or route action (UPDATE_PRODUCT)
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Activity logs retrieved
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/activity',
+  authorize(['logs.read']),
+  validate(getActivityLogsQuerySchema, 'query'),
+  LogController.getActivityLogs
+);
+
+/**
+ * @swagger
+ * /api/v1/logs/activity/export:
+ *   get:
+ *     summary: Export activity logs matching the filters (admin only)
+ *     description: Same filters as the search; at most 50000 rows, newest first
+ *     tags: [Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Export file
+ */
+router.get(
+  '/activity/export',
+  authorize(['logs.export']),
+  validate(exportActivityLogsQuerySchema, 'query'),
+  auditLog('EXPORT', 'logs'),
+  LogController.exportActivityLogs
+);
+
+/**
+ * @swagger
+ * /api/v1/logs/activity/{id}:
+ *   get:
+ *     summary: Get activity log with its before/after diff (admin only)
+ *     tags: [Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Activity log retrieved
+ *       404:
+ *         description: Log not found
+ */
+router.get(
+  '/activity/:id',
+  authorize(['logs.read']),
+  LogController.getActivityLogById
+);
+
+/**
+ * @swagger
+ * /api/v1/logs/history/{resource}/{resourceId}:
+ *   get:
+ *     summary: Change history of a record (admin only)
+ *     tags: [Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: products
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Record history retrieved
+ */
+router.get(
+  '/history/:resource/:resourceId',
+  authorize(['logs.read']),
+  validate(getResourceHistoryQuerySchema, 'query'),
+  LogController.getResourceHistory
+);
+
+/**
+ * @swagger
+ * /api/v1/logs/system:
+ *   get:
+ *     summary: Search system logs (admin only)
+ *     tags: [Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [debug, info, warn, error, critical]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: System logs retrieved
+ */
+router.get(
+  '/system',
+  authorize(['logs.read']),
+  validate(getSystemLogsQuerySchema, 'query'),
+  LogController.getSystemLogs
+);
+
+/**
+ * @swagger
+ * /api/v1/logs/retention:
+ *   get:
+ *     summary: Get log retention in days per severity (admin only)
+ *     description: Changed through settings (logs.retention)
+ *     tags: [Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention policy retrieved
+ */
+router.get(
+  '/retention',
+  authorize(['logs.read']),
+  LogController.getRetentionPolicy
+);
+
+export default router;
@@ -0,0 +1,604 @@
+import os from 'os';
+import { ActivityLog, SystemLog, LOG_SEVERITIES } from './model.js';
+import { Settings } from '../settings/model.js';
+import { logger } from '../../utils/logger.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+
+/** Retention in days when Settings.logs is missing (older settings documents) */
+const DEFAULT_RETENTION = {
+  low: 30,
+  medium: 90,
+  high: 365,
+  critical: 1095,
+  system: 90
+};
+
+/** Actions kept as named; other CREATE_x/UPDATE_x/DELETE_x/READ_x are folded to the verb */
+const SPECIFIC_ACTIONS = [
+  'LOGIN', 'LOGOUT', 'PASSWORD_CHANGE', 'PASSWORD_RESET',
+  'ROLE_ASSIGN', 'PERMISSION_GRANT', 'PERMISSION_REVOKE', 'FILE_UPLOAD', 'FILE_DELETE',
+  'EXPORT', 'IMPORT', 'SETTINGS_UPDATE', 'SYSTEM_CONFIG_CHANGE',
+  'WEBAUTHN_REGISTER_OPTIONS', 'WEBAUTHN_REGISTER', 'WEBAUTHN_AUTHENTICATE',
+  'WEBAUTHN_DELETE_CREDENTIAL', 'WEBAUTHN_AUTHENTICATE_OPTIONS',
+  'ADD_TICKET_MESSAGE', 'ASSIGN_TICKET', 'CLOSE_TICKET',
+  'INITIALIZE_PAYMENT', 'VERIFY_PAYMENT', 'CANCEL_PAYMENT', 'REFUND_PAYMENT',
+  'CANCEL_ORDER'
+];
+
+/** Severity by action; anything else that writes is medium, reads are low */
+const CRITICAL_ACTIONS = ['ROLE_ASSIGN', 'PERMISSION_GRANT', 'PERMISSION_REVOKE', 'SETTINGS_UPDATE', 'SYSTEM_CONFIG_CHANGE'];
+const HIGH_ACTIONS = [
+  'DELETE', 'FILE_DELETE', 'EXPORT', 'IMPORT', 'PASSWORD_CHANGE', 'PASSWORD_RESET',
+  'WEBAUTHN_DELETE_CREDENTIAL', 'REFUND_PAYMENT', 'CANCEL_PAYMENT', 'CANCEL_ORDER'
+];
+const LOW_ACTIONS = ['READ', 'LOGIN', 'LOGOUT', 'WEBAUTHN_AUTHENTICATE', 'WEBAUTHN_AUTHENTICATE_OPTIONS'];
+/** Any write to these resources is critical */
+const CRITICAL_RESOURCES = ['roles', 'settings'];
+
+/** Request details of a log entry that only admins see */
+const ADMIN_ONLY_FIELDS = ['ip', 'userAgent', 'metadata', 'changes'];
+
+/** Field names whose values never reach the log */
+const SENSITIVE_FIELD = /pass(word)?|secret|token|otp|api_?key|credential|cvv|card_?number|private_?key/i;
+/** Bookkeeping fields left out of diffs */
+const IGNORED_FIELDS = ['updatedAt', 'updatedBy', 'createdAt', '__v'];
+const MAX_DIFF_ENTRIES = 200;
+const MAX_EXPORT_ROWS = 50000;
+
+/**
+ * LogService - Activity (audit) and system logs
+ *
+ * Features:
+ * - Structured activity records: actor, action, resource, before/after diff, IP, request ID
+ * - Severity derived from the action, with retention per severity (Settings.logs.retention)
+ * - Admin search, CSV/JSON export and per-record history
+ * - System log for events without an actor
+ * Writing a log never throws: a logging failure must not fail the request or job.
+ */
+export class LogService {
+  /**
+   * Record an activity
+   * @param {Object} data - Log data
+   * @param {string} data.user - Actor user ID
+   * @param {Object} data.actor - { email, role } snapshot of the actor
+   * @param {string} data.action - Action (CREATE_PRODUCT, UPDATE, LOGIN, ...)
+   * @param {string} data.resource - Resource name (products, orders, ...)
+   * @param {string} data.resourceId - Record ID
+   * @param {Object} data.before - Record before the change (diffed against after)
+   * @param {Object} data.after - Record after the change
+   * @param {Object} data.changes - Payload to keep when there is no before/after
+   * @param {string} data.requestId - Request ID (X-Request-ID)
+   * @returns {Promise<ActivityLog|null>} Created log, null when logging failed
+   */
+  static async createActivityLog(data) {
+    try {
+      const { before, after, changes, action, ...fields } = data;
+      const normalizedAction = this.normalizeAction(action, data.method);
+      const hasSnapshots = before !== undefined || after !== undefined;
+
+      return await ActivityLog.create({
+        ...fields,
+        action: normalizedAction,
+        rawAction: action && action !== normalizedAction ? action : undefined,
+        severity: data.severity || this.getSeverity(normalizedAction, data.resource, data.method),
+        diff: hasSnapshots ? this.diff(before, after) : [],
+        changes: !hasSnapshots && changes && Object.keys(changes).length > 0
+          ? this._redact(this._plain(changes))
+          : undefined,
+        metadata: data.metadata ? this._redact(this._plain(data.metadata)) : undefined
+      });
+    } catch (error) {
+      logger.error('Create activity log error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a system event
+   * @param {string} level - debug, info, warn, error or critical
+   * @param {string} category - Source (startup, database, security, ...)
+   * @param {string} message - Message
+   * @param {Object} details - Details (error, stack, request info)
+   * @param {Object} metadata - Extra metadata
+   * requestId (in metadata or details) is stored on its own to match the request's other logs
+   * @returns {Promise<SystemLog|null>} Created log, null when logging failed
+   */
+  static async createSystemLog(level, category, message, details = {}, metadata = {}) {
+    try {
+      const { requestId, ...rest } = metadata || {};
+      return await SystemLog.create({
+        level,
+        category,
+        message,
+        details: this._redact(this._plain(details)),
+        metadata: this._redact(this._plain(rest)),
+        requestId: requestId || details?.requestId,
+        hostname: os.hostname(),
+        pid: process.pid
+      });
+    } catch (error) {
+      logger.error('Create system log error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Fold route-specific action names to the stored action
+   * (CREATE_TICKET -> CREATE, UPLOAD_MEDIA -> FILE_UPLOAD; LOGIN, CANCEL_ORDER kept)
+   * @param {string} action - Action name, empty to derive from the HTTP method
+   * @param {string} method - HTTP method
+   * @returns {string} Action
+   */
+  static normalizeAction(action, method) {
+    if (!action) {
+      const byMethod = { POST: 'CREATE', PUT: 'UPDATE', PATCH: 'UPDATE', DELETE: 'DELETE' };
+      return byMethod[method] || 'READ';
+    }
+
+    const name = action.toUpperCase();
+    if (SPECIFIC_ACTIONS.includes(name)) {
+      return name;
+    }
+    if (name === 'UPLOAD_MEDIA' || name === 'BULK_UPLOAD_MEDIA') {
+      return 'FILE_UPLOAD';
+    }
+    if (name === 'UPDATE_SETTINGS') {
+      return 'SETTINGS_UPDATE';
+    }
+    const verb = ['CREATE', 'UPDATE', 'DELETE', 'READ'].find((prefix) => name.startsWith(`${prefix}_`));
+    return verb || name;
+  }
+
+  /**
+   * Severity of an action (decides how long its log is kept)
+   * @param {string} action - Normalized action
+   * @param {string} resource - Resource name
+   * @param {string} method - HTTP method
+   * @returns {string} low, medium, high or critical
+   */
+  static getSeverity(action, resource, method) {
+    if (CRITICAL_ACTIONS.includes(action)) {
+      return 'critical';
+    }
+    if (CRITICAL_RESOURCES.includes(resource) && action !== 'READ' && method !== 'GET') {
+      return 'critical';
+    }
+    if (HIGH_ACTIONS.includes(action)) {
+      return 'high';
+    }
+    if (LOW_ACTIONS.includes(action) || method === 'GET') {
+      return 'low';
+    }
+    return 'medium';
+  }
+
+  /**
+   * Field-level differences between two versions of a record
+   * (nested objects by dot path, arrays compared whole, sensitive fields redacted)
+   * @param {Object} before - Record before (null for a created record)
+   * @param {Object} after - Record after (null for a deleted record)
+   * @returns {Array} [{ path, before, after }]
+   */
+  static diff(before, after) {
+    const changes = [];
+    const walk = (left, right, prefix) => {
+      const keys = new Set([...Object.keys(left || {}), ...Object.keys(right || {})]);
+      for (const key of keys) {
+        if (changes.length >= MAX_DIFF_ENTRIES) {
+          return;
+        }
+        if (!prefix && IGNORED_FIELDS.includes(key)) {
+          continue;
+        }
+        const path = prefix ? `${prefix}.${key}` : key;
+        const oldValue = left?.[key];
+        const newValue = right?.[key];
+
+        if (this._isObject(oldValue) && this._isObject(newValue)) {
+          walk(oldValue, newValue, path);
+        } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+          const sensitive = SENSITIVE_FIELD.test(key);
+          changes.push({
+            path,
+            before: sensitive && oldValue !== undefined ? '[REDACTED]' : this._redact(oldValue),
+            after: sensitive && newValue !== undefined ? '[REDACTED]' : this._redact(newValue)
+          });
+        }
+      }
+    };
+
+    walk(this._plain(before), this._plain(after), '');
+    return changes;
+  }
+
+  /**
+   * Get activity logs (admin)
+   * @param {Object} filters - { user, action, resource, resourceId, severity, method, statusCode,
+   *   requestId, ip, startDate, endDate, search }
+   * @param {Object} options - { page, limit, sort }
+   * @returns {Promise<Object>} Logs and pagination
+   */
+  static async getActivityLogs(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 50;
+      const skip = (page - 1) * limit;
+      const query = this._buildActivityQuery(filters);
+
+      const [logs, total] = await Promise.all([
+        ActivityLog.find(query)
+          .populate('user', 'name email')
+          .sort(options.sort || { createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        ActivityLog.countDocuments(query)
+      ]);
+
+      return {
+        data: logs,
+        pagination: this._pagination(page, limit, total)
+      };
+    } catch (error) {
+      logger.error('Get activity logs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one activity log (admin)
+   * @param {string} logId - Log ID
+   * @returns {Promise<Object>} Log
+   */
+  static async getActivityLogById(logId) {
+    try {
+      const log = await ActivityLog.findById(logId).populate('user', 'name email').lean();
+      if (!log) {
+        throw new AppError('رکورد گزارش یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+      return log;
+    } catch (error) {
+      logger.error('Get activity log error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activity of one user (their own history in the profile)
+   * @param {string} userId - User ID
+   * @param {Object} filters - { action, resource, startDate, endDate, search, page, limit }
+   * @returns {Promise<Object>} Logs and pagination
+   */
+  static async getUserActivityLogs(userId, filters = {}) {
+    try {
+      const { page, limit, ...rest } = filters;
+      const result = await this.getActivityLogs({ ...rest, user: userId }, { page, limit: limit || 20 });
+
+      // Request details are for admins; users see what happened and when
+      result.data = result.data.map((log) => {
+        const visible = { ...log };
+        ADMIN_ONLY_FIELDS.forEach((field) => delete visible[field]);
+        return visible;
+      });
+      return result;
+    } catch (error) {
+      logger.error('Get user activity logs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change history of one record, oldest change last (admin)
+   * @param {string} resource - Resource name (products, orders, ...)
+   * @param {string} resourceId - Record ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Logs and pagination
+   */
+  static async getResourceHistory(resource, resourceId, options = {}) {
+    try {
+      return await this.getActivityLogs({ resource, resourceId }, options);
+    } catch (error) {
+      logger.error('Get resource history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export activity logs matching the filters (admin)
+   * @param {Object} filters - Same filters as getActivityLogs
+   * @param {string} format - csv or json
+   * @returns {Promise<Object>} { filename, contentType, content, count, truncated }
+   */
+  static async exportActivityLogs(filters = {}, format = 'csv') {
+    try {
+      const query = this._buildActivityQuery(filters);
+      const cursor = ActivityLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS + 1)
+        .lean()
+        .cursor();
+
+      const logs = [];
+      for await (const log of cursor) {
+        logs.push(log);
+      }
+      const truncated = logs.length > MAX_EXPORT_ROWS;
+      if (truncated) {
+        logs.pop();
+      }
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (format === 'json') {
+        return {
+          filename: `activity-logs-${stamp}.json`,
+          contentType: 'application/json; charset=utf-8',
+          content: JSON.stringify(logs),
+          count: logs.length,
+          truncated
+        };
+      }
+
+      const rows = [[
+        'created_at', 'request_id', 'user_id', 'actor_email', 'action', 'raw_action', 'resource',
+        'resource_id', 'severity', 'method', 'url', 'status_code', 'ip', 'description', 'changes'
+      ]];
+      logs.forEach((log) => {
+        rows.push([
+          log.createdAt?.toISOString() || '',
+          log.requestId,
+          log.user?.toString(),
+          log.actor?.email,
+          log.action,
+          log.rawAction,
+          log.resource,
+          log.resourceId,
+          log.severity,
+          log.method,
+          log.url,
+          log.statusCode,
+          log.ip,
+          log.description,
+          (log.diff || [])
+            .map((change) => `${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+            .join('; ')
+        ]);
+      });
+
+      // BOM so spreadsheet apps detect UTF-8
+      const lines = rows.map((row) => row.map((cell) => this._csvCell(cell)).join(','));
+      return {
+        filename: `activity-logs-${stamp}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        content: `\uFEFF${lines.join('\r\n')}`,
+        count: logs.length,
+        truncated
+      };
+    } catch (error) {
+      logger.error('Export activity logs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get system logs (admin)
+   * @param {Object} filters - { level, category, requestId, startDate, endDate, search }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Logs and pagination
+   */
+  static async getSystemLogs(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (filters.level) {
+        query.level = Array.isArray(filters.level) ? { $in: filters.level } : filters.level;
+      }
+      if (filters.category) {
+        query.category = filters.category;
+      }
+      if (filters.requestId) {
+        query.requestId = filters.requestId;
+      }
+      Object.assign(query, this._dateRange(filters));
+      if (filters.search) {
+        query.message = { $regex: this._escapeRegex(filters.search), $options: 'i' };
+      }
+
+      const [logs, total] = await Promise.all([
+        SystemLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        SystemLog.countDocuments(query)
+      ]);
+
+      return {
+        data: logs,
+        pagination: this._pagination(page, limit, total)
+      };
+    } catch (error) {
+      logger.error('Get system logs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retention in days per severity and for the system log (Settings.logs.retention)
+   * @returns {Promise<Object>} { low, medium, high, critical, system }
+   */
+  static async getRetentionPolicy() {
+    const settings = await Settings.getInstance();
+    const configured = settings.logs?.retention?.toObject
+      ? settings.logs.retention.toObject()
+      : (settings.logs?.retention || {});
+
+    const policy = {};
+    [...LOG_SEVERITIES, 'system'].forEach((key) => {
+      policy[key] = configured[key] || DEFAULT_RETENTION[key];
+    });
+    return policy;
+  }
+
+  /**
+   * Delete logs past their retention period (daily scheduler job)
+   * @returns {Promise<Object>} Deleted counts { low, medium, high, critical, system }
+   */
+  static async cleanupOldLogs() {
+    try {
+      const policy = await this.getRetentionPolicy();
+      const cutoff = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const deleted = {};
+
+      for (const severity of LOG_SEVERITIES) {
+        // Logs written before severities existed are kept for the medium period
+        const query = severity === 'medium'
+          ? { $or: [{ severity }, { severity: null }] }
+          : { severity };
+        const result = await ActivityLog.deleteMany({ ...query, createdAt: { $lt: cutoff(policy[severity]) } });
+        deleted[severity] = result.deletedCount;
+      }
+
+      const systemResult = await SystemLog.deleteMany({
+        // Critical system events are kept as long as critical activity
+        $or: [
+          { level: { $ne: 'critical' }, createdAt: { $lt: cutoff(policy.system) } },
+          { level: 'critical', createdAt: { $lt: cutoff(Math.max(policy.system, policy.critical)) } }
+        ]
+      });
+      deleted.system = systemResult.deletedCount;
+
+      logger.info('Old logs cleaned up', deleted);
+      return deleted;
+    } catch (error) {
+      logger.error('Cleanup old logs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private: Mongo query for activity log filters
+   * @private
+   */
+  static _buildActivityQuery(filters = {}) {
+    const query = {};
+    ['user', 'resource', 'requestId', 'ip'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.resourceId) {
+      query.resourceId = String(filters.resourceId);
+    }
+    if (filters.action) {
+      const actions = (Array.isArray(filters.action) ? filters.action : [filters.action]).map((a) => a.toUpperCase());
+      query.$or = [{ action: { $in: actions } }, { rawAction: { $in: actions } }];
+    }
+    if (filters.severity) {
+      query.severity = Array.isArray(filters.severity) ? { $in: filters.severity } : filters.severity;
+    }
+    if (filters.method) {
+      query.method = filters.method.toUpperCase();
+    }
+    if (filters.statusCode) {
+      query.statusCode = parseInt(filters.statusCode);
+    }
+    Object.assign(query, this._dateRange(filters));
+    if (filters.search) {
+      const pattern = { $regex: this._escapeRegex(filters.search), $options: 'i' };
+      const search = [{ description: pattern }, { url: pattern }, { 'actor.email': pattern }, { resourceId: pattern }];
+      if (query.$or) {
+        query.$and = [{ $or: query.$or }, { $or: search }];
+        delete query.$or;
+      } else {
+        query.$or = search;
+      }
+    }
+    return query;
+  }
+
+  /**
+   * Private: createdAt range from { startDate, endDate }
+   * @private
+   */
+  static _dateRange({ startDate, endDate } = {}) {
+    if (!startDate && !endDate) {
+      return {};
+    }
+    const createdAt = {};
+    if (startDate) {
+      createdAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      createdAt.$lte = new Date(endDate);
+    }
+    return { createdAt };
+  }
+
+  /**
+   * Private: Pagination block of list responses
+   * @private
+   */
+  static _pagination(page, limit, total) {
+    return {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page * limit < total,
+      hasPrev: page > 1
+    };
+  }
+
+  /**
+   * Private: Replace sensitive values in a plain object (recursively)
+   * @private
+   */
+  static _redact(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this._redact(item));
+    }
+    if (!this._isObject(value)) {
+      return value;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_FIELD.test(key) && item !== undefined && item !== null ? '[REDACTED]' : this._redact(item)
+      ])
+    );
+  }
+
+  /**
+   * Private: Documents, ObjectIds and dates as plain JSON values
+   * @private
+   */
+  static _plain(value) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+    const source = typeof value.toObject === 'function' ? value.toObject() : value;
+    return JSON.parse(JSON.stringify(source));
+  }
+
+  /**
+   * @private
+   */
+  static _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   */
+  static _escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * @private
+   */
+  static _csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
@@ -0,0 +1,59 @@
+import Joi from 'joi';
+import { LOG_SEVERITIES, SYSTEM_LOG_LEVELS } from './model.js';
+
+/**
+ * Validation schemas for Logs
+ */
+
+const oneOrMany = (schema) => Joi.alternatives().try(schema, Joi.array().items(schema).max(20));
+
+const dateRange = {
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional().messages({
+    'date.min': 'تاریخ پایان باید بعد از تاریخ شروع باشد'
+  })
+};
+
+const activityFilters = {
+  user: Joi.string().hex().length(24).optional(),
+  action: oneOrMany(Joi.string().trim().uppercase().max(60)).optional(),
+  resource: Joi.string().trim().max(60).optional(),
+  resourceId: Joi.string().trim().max(100).optional(),
+  severity: oneOrMany(Joi.string().valid(...LOG_SEVERITIES)).optional(),
+  method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE').insensitive().optional(),
+  statusCode: Joi.number().integer().min(100).max(599).optional(),
+  requestId: Joi.string().trim().max(100).optional(),
+  ip: Joi.string().trim().max(64).optional(),
+  search: Joi.string().trim().max(100).allow('').optional(),
+  ...dateRange
+};
+
+// Get Activity Logs Query Schema
+export const getActivityLogsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  ...activityFilters
+});
+
+// Export Activity Logs Query Schema
+export const exportActivityLogsQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'json').default('csv'),
+  ...activityFilters
+});
+
+// Resource History Query Schema
+export const getResourceHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// Get System Logs Query Schema
+export const getSystemLogsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  level: oneOrMany(Joi.string().valid(...SYSTEM_LOG_LEVELS)).optional(),
+  category: Joi.string().trim().max(60).optional(),
+  requestId: Joi.string().trim().max(100).optional(),
+  search: Joi.string().trim().max(100).allow('').optional(),
+  ...dateRange
+});
@@ -0,0 +1,96 @@
+import { LoyaltyService } from './service.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * LoyaltyController - Controller for loyalty points (Hika Club)
+ *
+ * Handles:
+ * - User wallet summary and history
+ * - Admin view and adjustment of user points
+ */
+export class LoyaltyController {
+  /**
+   * Get current user's wallet summary
+   * GET /api/v1/loyalty/me
+   */
+  static async getMySummary(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const summary = await LoyaltyService.getSummary(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { summary }
+      });
+    } catch (error) {
+      logger.error('Get loyalty summary error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get current user's points history
+   * GET /api/v1/loyalty/me/history
+   */
+  static async getMyHistory(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const result = await LoyaltyService.getHistory(userId, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get loyalty history error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user's wallet summary and history (admin)
+   * GET /api/v1/loyalty/users/:userId
+   */
+  static async getUserLoyalty(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const [summary, history] = await Promise.all([
+        LoyaltyService.getSummary(userId),
+        LoyaltyService.getHistory(userId, req.query)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: { summary, history: history.data },
+        pagination: history.pagination
+      });
+    } catch (error) {
+      logger.error('Get user loyalty error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Adjust a user's points (admin)
+   * POST /api/v1/loyalty/users/:userId/adjust
+   */
+  static async adjustPoints(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const adminId = req.user?.id || req.user?._id;
+      const { points, reason } = req.body;
+
+      const transaction = await LoyaltyService.adjustPoints(userId, points, reason, adminId);
+
+      res.status(200).json({
+        success: true,
+        message: 'امتیاز کاربر با موفقیت به‌روزرسانی شد',
+        data: { transaction }
+      });
+    } catch (error) {
+      logger.error('Adjust loyalty points error:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+
+/**
+ * LoyaltyAccount Model
+ *
+ * One points wallet per user (Hika Club).
+ * balance is the spendable total; every change is recorded in LoyaltyTransaction.
+ */
+const loyaltyAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Totals used for tiering and reporting
+  lifetimeEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lifetimeRedeemed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lifetimeExpired: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Tier level (see Settings.loyalty.tiers)
+  level: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+loyaltyAccountSchema.index({ user: 1 }, { unique: true });
+loyaltyAccountSchema.index({ level: 1, balance: -1 });
+
+Object.assign(loyaltyAccountSchema.methods, baseSchemaMethods);
+Object.assign(loyaltyAccountSchema.statics, baseSchemaStatics);
+
+export const LoyaltyAccount = mongoose.model('LoyaltyAccount', loyaltyAccountSchema);
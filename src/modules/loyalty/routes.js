@@ -0,0 +1,141 @@
+import { Router } from 'express';
+import { LoyaltyController } from './controller.js';
+import { validate } from '../../middleware/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
+import { csrfProtection } from '../../middleware/security.js';
+import { auditLog } from '../../middleware/audit.js';
+import { getHistoryQuerySchema, adjustPointsSchema } from './validation.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loyalty
+ *   description: Loyalty points (Hika Club) endpoints
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/v1/loyalty/me:
+ *   get:
+ *     summary: Get current user's points balance, tier and expiring points
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Loyalty summary retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', LoyaltyController.getMySummary);
+
+/**
+ * @swagger
+ * /api/v1/loyalty/me/history:
+ *   get:
+ *     summary: Get current user's points history
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earn, redeem, return, revoke, expire, adjust]
+ *     responses:
+ *       200:
+ *         description: Points history retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/history', validate(getHistoryQuerySchema, 'query'), LoyaltyController.getMyHistory);
+
+/**
+ * @swagger
+ * /api/v1/loyalty/users/{userId}:
+ *   get:
+ *     summary: Get a user's points summary and history (admin only)
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User loyalty data retrieved
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/users/:userId',
+  authorize(['orders.read']),
+  validate(getHistoryQuerySchema, 'query'),
+  LoyaltyController.getUserLoyalty
+);
+
+/**
+ * @swagger
+ * /api/v1/loyalty/users/{userId}/adjust:
+ *   post:
+ *     summary: Add or deduct a user's points (admin only)
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *               - reason
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 description: Positive to add, negative to deduct
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Points adjusted
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/users/:userId/adjust',
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(adjustPointsSchema),
+  auditLog('ADJUST_LOYALTY_POINTS', 'loyalty'),
+  LoyaltyController.adjustPoints
+);
+
+export default router;
@@ -0,0 +1,598 @@
+import { LoyaltyAccount } from './model.js';
+import { LoyaltyTransaction } from './transactionModel.js';
+import { Product } from '../products/model.js';
+import { Settings } from '../settings/model.js';
+import { logger } from '../../utils/logger.js';
+
+/** Fallbacks when Settings.loyalty is missing (older settings documents) */
+const DEFAULT_CONFIG = {
+  enabled: true,
+  earnRate: { amount: 100000, points: 10 },
+  pointValue: 1000,
+  expiryDays: 365,
+  tiers: [{ level: 0, name: { fa: 'برنزی', en: 'Bronze' }, minPoints: 0 }]
+};
+
+/** Credit transaction types (carry remaining/expiresAt) */
+const CREDIT_TYPES = ['earn', 'return', 'adjust'];
+
+/**
+ * LoyaltyService - Points wallet (Hika Club)
+ *
+ * Features:
+ * - Accrual per order (Settings.loyalty.earnRate) or per product (Product.loyaltyPoints.earnOnPurchase)
+ * - Paying orders fully or partly with points
+ * - FIFO consumption and expiry of earned points
+ * - Tiers by lifetime earned points (used by coupon minUserLevel)
+ * - Admin adjustments and user history
+ */
+export class LoyaltyService {
+  /**
+   * Get loyalty configuration from settings
+   * @returns {Promise<Object>} Loyalty config
+   */
+  static async getConfig() {
+    const settings = await Settings.getInstance();
+    const loyalty = settings.loyalty?.toObject ? settings.loyalty.toObject() : settings.loyalty;
+    const config = { ...DEFAULT_CONFIG, ...(loyalty || {}) };
+    config.tiers = [...(config.tiers?.length ? config.tiers : DEFAULT_CONFIG.tiers)]
+      .sort((a, b) => a.minPoints - b.minPoints);
+    return config;
+  }
+
+  /**
+   * Get tier for a lifetime points total
+   * @param {Object} config - Loyalty config
+   * @param {number} lifetimeEarned - Lifetime earned points
+   * @returns {Object} { current, next }
+   */
+  static getTier(config, lifetimeEarned = 0) {
+    let current = config.tiers[0];
+    let next = null;
+
+    for (const tier of config.tiers) {
+      if (lifetimeEarned >= tier.minPoints) {
+        current = tier;
+      } else {
+        next = tier;
+        break;
+      }
+    }
+
+    return { current, next };
+  }
+
+  /**
+   * Get (or create) a user's account
+   * @param {string} userId - User ID
+   * @returns {Promise<LoyaltyAccount>}
+   */
+  static async getAccount(userId) {
+    return LoyaltyAccount.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Get user's tier level (0 when the user has no account yet)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  static async getUserLevel(userId) {
+    try {
+      const [config, account] = await Promise.all([
+        this.getConfig(),
+        LoyaltyAccount.findOne({ user: userId }).select('lifetimeEarned').lean()
+      ]);
+      return this.getTier(config, account?.lifetimeEarned || 0).current?.level || 0;
+    } catch (error) {
+      logger.error('Get user loyalty level error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user's wallet summary
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Balance, tier and points expiring in the next 30 days
+   */
+  static async getSummary(userId) {
+    try {
+      const [config, account] = await Promise.all([this.getConfig(), this.getAccount(userId)]);
+      const { current, next } = this.getTier(config, account.lifetimeEarned);
+
+      const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      const expiring = await LoyaltyTransaction.aggregate([
+        {
+          $match: {
+            user: account.user,
+            remaining: { $gt: 0 },
+            expiresAt: { $ne: null, $gt: new Date(), $lte: soon }
+          }
+        },
+        { $group: { _id: null, points: { $sum: '$remaining' }, firstExpiry: { $min: '$expiresAt' } } }
+      ]);
+
+      return {
+        enabled: config.enabled,
+        balance: account.balance,
+        balanceValue: account.balance * config.pointValue,
+        pointValue: config.pointValue,
+        lifetimeEarned: account.lifetimeEarned,
+        lifetimeRedeemed: account.lifetimeRedeemed,
+        tier: current,
+        nextTier: next,
+        pointsToNextTier: next ? next.minPoints - account.lifetimeEarned : 0,
+        expiringSoon: {
+          points: expiring[0]?.points || 0,
+          firstExpiry: expiring[0]?.firstExpiry || null
+        }
+      };
+    } catch (error) {
+      logger.error('Get loyalty summary error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user's points history
+   * @param {string} userId - User ID
+   * @param {Object} filters - { type, page, limit }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  static async getHistory(userId, filters = {}) {
+    try {
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const query = { user: userId };
+      if (filters.type) {
+        query.type = filters.type;
+      }
+
+      const [data, total] = await Promise.all([
+        LoyaltyTransaction.find(query)
+          .populate('order', 'orderNumber')
+          .populate('createdBy', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        LoyaltyTransaction.countDocuments(query)
+      ]);
+
+      return {
+        data,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Get loyalty history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Points an order earns once paid
+   * Products with loyaltyPoints.earnOnPurchase earn that per unit; other lines earn
+   * by earnRate on the amount actually paid for them (after coupon and points).
+   * @param {Order} order - Order document
+   * @param {Object} config - Loyalty config (optional)
+   * @returns {Promise<number>}
+   */
+  static async calculateOrderPoints(order, config = null) {
+    const loyaltyConfig = config || await this.getConfig();
+    const { subtotal = 0, discount = 0, total = 0 } = order.totals || {};
+    if (!subtotal || !total) {
+      return 0;
+    }
+
+    const productIds = order.items.map((item) => item.product?._id || item.product);
+    const products = await Product.find({ _id: { $in: productIds } }).select('loyaltyPoints').lean();
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    const paidRatio = Math.max(0, total - (order.payment?.points?.amount || 0)) / total;
+    let fixedPoints = 0;
+    let rateBase = 0;
+
+    for (const item of order.items) {
+      const product = productsById.get((item.product?._id || item.product).toString());
+      const perUnit = product?.loyaltyPoints?.earnOnPurchase || 0;
+      if (perUnit > 0) {
+        fixedPoints += perUnit * item.quantity;
+      } else {
+        rateBase += item.total * (1 - discount / subtotal) * paidRatio;
+      }
+    }
+
+    const { amount, points } = loyaltyConfig.earnRate;
+    return fixedPoints + Math.floor((rateBase / amount) * points);
+  }
+
+  /**
+   * Credit points for a paid order (idempotent)
+   * @param {Order} order - Order document
+   * @returns {Promise<number>} Points awarded
+   */
+  static async awardOrderPoints(order) {
+    try {
+      const config = await this.getConfig();
+      if (!config.enabled) {
+        return 0;
+      }
+
+      const points = await this.calculateOrderPoints(order, config);
+      if (points <= 0) {
+        return 0;
+      }
+
+      const transaction = await this._credit(order.user?._id || order.user, points, {
+        type: 'earn',
+        order: order._id,
+        description: {
+          fa: `امتیاز خرید سفارش ${order.orderNumber}`,
+          en: `Points for order ${order.orderNumber}`
+        }
+      }, config);
+
+      if (transaction) {
+        logger.info(`Loyalty points awarded: ${points} for order ${order.orderNumber}`);
+      }
+      return transaction ? points : 0;
+    } catch (error) {
+      logger.error('Award order points error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Spend points on an order (sets order.payment.points, caller saves the order)
+   * @param {Order} order - Order document
+   * @param {number} points - Points requested (capped at what the order total needs)
+   * @returns {Promise<Object>} { points, amount } actually applied
+   */
+  static async redeemForOrder(order, points) {
+    try {
+      const config = await this.getConfig();
+      if (!config.enabled) {
+        throw new Error('باشگاه مشتریان در حال حاضر غیرفعال است');
+      }
+      if (order.payment.points?.used > 0) {
+        throw new Error('امتیاز قبلاً برای این سفارش استفاده شده است');
+      }
+
+      const maxPoints = Math.ceil(order.totals.total / config.pointValue);
+      const pointsToUse = Math.min(Math.floor(points), maxPoints);
+      if (pointsToUse <= 0) {
+        throw new Error('تعداد امتیاز نامعتبر است');
+      }
+
+      await this._debit(order.user?._id || order.user, pointsToUse, {
+        type: 'redeem',
+        order: order._id,
+        description: {
+          fa: `پرداخت سفارش ${order.orderNumber} با امتیاز`,
+          en: `Points used on order ${order.orderNumber}`
+        }
+      });
+
+      const amount = Math.min(order.totals.total, pointsToUse * config.pointValue);
+      order.payment.points = { used: pointsToUse, amount };
+      order.payment.amount = order.totals.total - amount;
+
+      logger.info(`Loyalty points redeemed: ${pointsToUse} on order ${order.orderNumber}`);
+      return { points: pointsToUse, amount };
+    } catch (error) {
+      logger.error('Redeem loyalty points error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back points spent on an order: all that is left (cancelled or fully refunded) or the
+   * refunded share (idempotent per refund)
+   * @param {Order} order - Order document
+   * @param {Object} options
+   * @param {number} options.ratio - Share of the redeemed points to give back (1 = all that is left)
+   * @param {ObjectId} options.refund - Refund the points are given back for (null = cancellation)
+   * @returns {Promise<number>} Points returned
+   */
+  static async returnRedeemedPoints(order, { ratio = 1, refund = null } = {}) {
+    try {
+      const redeemed = await LoyaltyTransaction.findOne({ order: order._id, type: 'redeem' }).lean();
+      if (!redeemed) {
+        return 0;
+      }
+
+      const alreadyReturned = await LoyaltyTransaction.aggregate([
+        { $match: { order: order._id, type: 'return' } },
+        { $group: { _id: null, points: { $sum: '$points' } } }
+      ]);
+      const returnable = Math.abs(redeemed.points) - (alreadyReturned[0]?.points || 0);
+      const points = ratio >= 1 ? returnable : Math.min(returnable, Math.round(Math.abs(redeemed.points) * ratio));
+      if (points <= 0) {
+        return 0;
+      }
+
+      const transaction = await this._credit(redeemed.user, points, {
+        type: 'return',
+        order: order._id,
+        refund,
+        description: {
+          fa: `بازگشت امتیاز سفارش ${order.orderNumber}`,
+          en: `Points returned for order ${order.orderNumber}`
+        }
+      });
+
+      return transaction ? points : 0;
+    } catch (error) {
+      logger.error('Return redeemed points error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take back points earned by an order in proportion to the refunded share
+   * @param {Order} order - Order document
+   * @param {number} ratio - Refunded share of the order (0..1)
+   * @returns {Promise<number>} Points revoked
+   */
+  static async revokeEarnedPoints(order, ratio) {
+    try {
+      const earned = await LoyaltyTransaction.findOne({ order: order._id, type: 'earn' }).lean();
+      if (!earned) {
+        return 0;
+      }
+
+      const alreadyRevoked = await LoyaltyTransaction.aggregate([
+        { $match: { order: order._id, type: 'revoke' } },
+        { $group: { _id: null, points: { $sum: '$points' } } }
+      ]);
+      const revokable = earned.points + (alreadyRevoked[0]?.points || 0);
+      const points = Math.min(revokable, Math.round(earned.points * Math.min(1, ratio)));
+      if (points <= 0) {
+        return 0;
+      }
+
+      const transaction = await this._debit(earned.user, points, {
+        type: 'revoke',
+        order: order._id,
+        description: {
+          fa: `کسر امتیاز بابت بازگشت وجه سفارش ${order.orderNumber}`,
+          en: `Points revoked for refund of order ${order.orderNumber}`
+        }
+      }, { allowPartial: true });
+
+      return transaction ? Math.abs(transaction.points) : 0;
+    } catch (error) {
+      logger.error('Revoke earned points error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Manual admin adjustment
+   * @param {string} userId - Target user ID
+   * @param {number} points - Signed points (+ credit, - debit)
+   * @param {string} reason - Reason shown in history
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<LoyaltyTransaction>}
+   */
+  static async adjustPoints(userId, points, reason, adminId) {
+    try {
+      const description = { fa: reason, en: reason };
+      const transaction = points > 0
+        ? await this._credit(userId, points, { type: 'adjust', description, createdBy: adminId })
+        : await this._debit(userId, Math.abs(points), { type: 'adjust', description, createdBy: adminId });
+
+      logger.info(`Loyalty points adjusted: ${points} for user ${userId} by ${adminId}`);
+      return transaction;
+    } catch (error) {
+      logger.error('Adjust loyalty points error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire credits whose expiry has passed (scheduler)
+   * @returns {Promise<number>} Points expired
+   */
+  static async expirePoints() {
+    try {
+      const now = new Date();
+      let expiredPoints = 0;
+
+      const credits = await LoyaltyTransaction.find({
+        type: { $in: CREDIT_TYPES },
+        remaining: { $gt: 0 },
+        expiresAt: { $ne: null, $lte: now }
+      }).limit(500);
+
+      for (const credit of credits) {
+        // Zero the credit atomically so a concurrent run cannot expire it twice
+        const previous = await LoyaltyTransaction.findOneAndUpdate(
+          { _id: credit._id, remaining: { $gt: 0 } },
+          { $set: { remaining: 0 } }
+        );
+        if (!previous) {
+          continue;
+        }
+
+        const transaction = await this._debit(credit.user, previous.remaining, {
+          type: 'expire',
+          description: {
+            fa: 'انقضای امتیاز',
+            en: 'Points expired'
+          }
+        }, { allowPartial: true, consume: false });
+        expiredPoints += transaction ? Math.abs(transaction.points) : 0;
+      }
+
+      if (expiredPoints > 0) {
+        logger.info(`Expired ${expiredPoints} loyalty points`);
+      }
+      return expiredPoints;
+    } catch (error) {
+      logger.error('Expire loyalty points error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add points to a wallet
+   * @private
+   * @returns {Promise<LoyaltyTransaction|null>} null if this order credit was already recorded
+   */
+  static async _credit(userId, points, entry, config = null) {
+    const loyaltyConfig = config || await this.getConfig();
+    const expiresAt = loyaltyConfig.expiryDays > 0
+      ? new Date(Date.now() + loyaltyConfig.expiryDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    let transaction;
+    try {
+      transaction = await LoyaltyTransaction.create({
+        ...entry,
+        user: userId,
+        points,
+        remaining: points,
+        expiresAt
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null; // Already credited for this order (or refund)
+      }
+      throw error;
+    }
+
+    const inc = { balance: points };
+    if (entry.type !== 'return') {
+      inc.lifetimeEarned = points;
+    }
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      { user: userId },
+      { $inc: inc, $setOnInsert: { user: userId } },
+      { new: true, upsert: true }
+    );
+
+    transaction.balanceAfter = account.balance;
+    await transaction.save();
+    await this._syncLevel(account, loyaltyConfig);
+
+    return transaction;
+  }
+
+  /**
+   * Take points from a wallet
+   * @private
+   * @param {Object} options - { allowPartial: debit what is left instead of failing, consume: use up credits FIFO }
+   * @returns {Promise<LoyaltyTransaction|null>}
+   */
+  static async _debit(userId, points, entry, { allowPartial = false, consume = true } = {}) {
+    let amount = points;
+    const account = await LoyaltyAccount.findOne({ user: userId }).select('balance').lean();
+    if (!account || account.balance < points) {
+      if (!allowPartial) {
+        throw new Error('موجودی امتیاز شما کافی نیست');
+      }
+      amount = account?.balance || 0;
+    }
+    if (amount <= 0) {
+      return null;
+    }
+
+    let transaction;
+    try {
+      transaction = await LoyaltyTransaction.create({ ...entry, user: userId, points: -amount });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('امتیاز قبلاً برای این سفارش استفاده شده است');
+      }
+      throw error;
+    }
+
+    const inc = { balance: -amount };
+    if (entry.type === 'redeem') {
+      inc.lifetimeRedeemed = amount;
+    } else if (entry.type === 'expire') {
+      inc.lifetimeExpired = amount;
+    } else if (entry.type === 'revoke') {
+      inc.lifetimeEarned = -amount;
+    }
+
+    // Guarded decrement: concurrent spends cannot push the balance below zero
+    const updated = await LoyaltyAccount.findOneAndUpdate(
+      { user: userId, balance: { $gte: amount } },
+      { $inc: inc },
+      { new: true }
+    );
+    if (!updated) {
+      await LoyaltyTransaction.deleteOne({ _id: transaction._id });
+      throw new Error('موجودی امتیاز شما کافی نیست');
+    }
+
+    if (consume) {
+      await this._consumeCredits(userId, amount);
+    }
+
+    transaction.balanceAfter = updated.balance;
+    await transaction.save();
+    if (entry.type === 'revoke') {
+      await this._syncLevel(updated);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Use up unexpired credits, soonest-expiring first
+   * @private
+   */
+  static async _consumeCredits(userId, points) {
+    const now = new Date();
+    const credits = await LoyaltyTransaction.find({
+      user: userId,
+      type: { $in: CREDIT_TYPES },
+      remaining: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).select('remaining expiresAt').lean();
+
+    // Never-expiring credits go last
+    credits.sort((a, b) => (a.expiresAt || Infinity) - (b.expiresAt || Infinity));
+
+    let left = points;
+    for (const credit of credits) {
+      if (left <= 0) {
+        break;
+      }
+      const take = Math.min(credit.remaining, left);
+      const result = await LoyaltyTransaction.updateOne(
+        { _id: credit._id, remaining: { $gte: take } },
+        { $inc: { remaining: -take } }
+      );
+      if (result.modifiedCount > 0) {
+        left -= take;
+      }
+    }
+  }
+
+  /**
+   * Keep account.level in line with lifetime points
+   * @private
+   */
+  static async _syncLevel(account, config = null) {
+    const loyaltyConfig = config || await this.getConfig();
+    const level = this.getTier(loyaltyConfig, account.lifetimeEarned).current?.level || 0;
+    if (account.level !== level) {
+      await LoyaltyAccount.updateOne({ _id: account._id }, { $set: { level } });
+      logger.info(`Loyalty level changed for user ${account.user}: ${account.level} -> ${level}`);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * LoyaltyTransaction Model
+ *
+ * Append-only points ledger. points is signed (+ credit, - debit).
+ * Credits (earn, positive adjust, refund of redeemed points) carry `remaining`
+ * and `expiresAt`: debits consume the oldest unexpired credits first (FIFO),
+ * and whatever is left at expiresAt is expired by the scheduler.
+ */
+const loyaltyTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'earn', // Points for a paid order
+      'redeem', // Points spent on an order
+      'return', // Redeemed points given back (order cancelled/refunded)
+      'revoke', // Earned points taken back (order refunded)
+      'expire', // Unused points expired
+      'adjust' // Manual admin adjustment
+    ]
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  // Unspent part of a credit (credits only)
+  remaining: {
+    type: Number,
+    min: 0
+  },
+  expiresAt: Date,
+  balanceAfter: {
+    type: Number,
+    min: 0
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Refund a 'return' belongs to (null: the order was cancelled)
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  description: {
+    fa: String,
+    en: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+// An order earns and redeems points at most once, and gets redeemed points back at most
+// once per refund (or cancellation) - idempotent retries
+loyaltyTransactionSchema.index(
+  { order: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: { $in: ['earn', 'redeem'] } } }
+);
+loyaltyTransactionSchema.index(
+  { order: 1, type: 1, refund: 1 },
+  { unique: true, partialFilterExpression: { type: 'return' } }
+);
+
+export const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,27 @@
+import Joi from 'joi';
+
+/**
+ * Validation schemas for Loyalty
+ */
+
+const transactionTypes = ['earn', 'redeem', 'return', 'revoke', 'expire', 'adjust'];
+
+// Get History Query Schema
+export const getHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20).optional(),
+  type: Joi.string().valid(...transactionTypes).optional()
+});
+
+// Adjust Points Schema (admin)
+export const adjustPointsSchema = Joi.object({
+  points: Joi.number().integer().invalid(0).required()
+    .messages({
+      'any.required': 'تعداد امتیاز الزامی است',
+      'any.invalid': 'تعداد امتیاز نمی‌تواند صفر باشد'
+    }),
+  reason: Joi.string().trim().min(3).max(500).required()
+    .messages({
+      'any.required': 'دلیل تغییر امتیاز الزامی است'
+    })
+});
@@ -29,6 +29,7 @@ const notificationSchema = new mongoose.Schema(
         'calendar_event',
         'cart_expiring',
         'cart_expired',
+        'cart_recovery',
         'order_created',
         'order_status_changed',
         'order_paid',
@@ -37,6 +38,11 @@ const notificationSchema = new mongoose.Schema(
         'order_cancelled',
         'payment_success',
         'payment_failed',
+        'product_back_in_stock',
+        'product_price_drop',
+        'subscription_renewal_due',
+        'subscription_past_due',
+        'subscription_expired',
         'contact_message_new',
         'system_alert',
         'other'
@@ -62,7 +68,7 @@ const notificationSchema = new mongoose.Schema(
     relatedEntity: {
       type: {
         type: String,
-        enum: ['comment', 'ticket', 'consultation', 'article', 'service', 'portfolio', 'user', 'cart', 'order', 'payment', 'other']
+        enum: ['comment', 'ticket', 'consultation', 'article', 'service', 'portfolio', 'user', 'cart', 'order', 'payment', 'product', 'subscription', 'other']
       },
       id: mongoose.Schema.Types.ObjectId
     },
@@ -1,4 +1,6 @@
 import { OrderService } from './service.js';
+import { FulfillmentService } from './fulfillmentService.js';
+import { CurrencyService } from '../currencies/service.js';
 import { Order } from './model.js';
 import { logger } from '../../utils/logger.js';
 
@@ -11,6 +13,8 @@ import { logger } from '../../utils/logger.js';
  * - Getting order details
  * - Updating order status (admin)
  * - Cancelling orders
+ * - Digital downloads: signed links, streaming and download log
+ * - Shipments: fulfillment, tracking timeline, packing slips and labels
  */
 export class OrderController {
   /**
@@ -28,14 +32,18 @@ export class OrderController {
         });
       }
 
-      const orderData = req.body;
+      // Display currency of the request is snapshotted on the order
+      const orderData = { ...req.body, currency: req.currency };
       
       const order = await OrderService.createOrderFromCart(userId, orderData);
       
       res.status(201).json({
         success: true,
         message: 'سفارش با موفقیت ایجاد شد',
-        data: { order }
+        data: {
+          order,
+          displayTotals: CurrencyService.localizeTotals(order.totals, order.currency)
+        }
       });
     } catch (error) {
       logger.error('Create order error:', error);
@@ -95,7 +103,10 @@ export class OrderController {
       
       res.status(200).json({
         success: true,
-        data: { order }
+        data: {
+          order,
+          displayTotals: CurrencyService.localizeTotals(order.totals, order.currency)
+        }
       });
     } catch (error) {
       logger.error('Get order by ID error:', error);
@@ -205,7 +216,7 @@ export class OrderController {
   }
 
   /**
-   * Download digital product from order
+   * Download digital product from order (older clients; returns a signed download link)
    * GET /api/v1/orders/:id/items/:itemId/download
    */
   static async downloadDigitalProduct(req, res, next) {
@@ -232,6 +243,99 @@ export class OrderController {
     }
   }
 
+  /**
+   * Issue a short-lived signed download link for a digital order item
+   * POST /api/v1/orders/:id/items/:itemId/download-token
+   * POST /api/v1/orders/:id/items/:itemId/components/:componentId/download-token (bundle component)
+   */
+  static async createDownloadToken(req, res, next) {
+    try {
+      const { id: orderId, itemId, componentId = null } = req.params;
+      const userId = req.user?.id || req.user?._id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'برای دانلود باید وارد شوید'
+        });
+      }
+
+      const result = await OrderService.createDownloadToken(orderId, itemId, userId, componentId);
+
+      res.status(201).json({
+        success: true,
+        message: 'لینک دانلود ایجاد شد',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Create download token error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Stream a digital product through a signed download link
+   * GET /api/v1/orders/downloads/:token
+   * The download is counted when opened and given back if the transfer does not complete
+   */
+  static async serveDownload(req, res, next) {
+    try {
+      const download = await OrderService.openDownload(req.params.token);
+      const ip = req.ip || req.connection?.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || null;
+      const userAgent = req.get('user-agent') || null;
+
+      let bytes = 0;
+      download.stream.on('data', (chunk) => {
+        bytes += chunk.length;
+      });
+      download.stream.on('error', (error) => {
+        logger.error('Download stream error:', error);
+        res.destroy(error);
+      });
+
+      res.on('close', () => {
+        download.stream.destroy();
+        OrderService.recordDownload(download, {
+          status: res.writableFinished ? 'completed' : 'aborted',
+          bytes,
+          ip,
+          userAgent
+        }).catch(() => {});
+      });
+
+      res.setHeader('Content-Type', download.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      if (download.contentLength) {
+        res.setHeader('Content-Length', download.contentLength);
+      }
+
+      download.stream.pipe(res);
+    } catch (error) {
+      logger.error('Serve download error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Download log of an order item (admin abuse review)
+   * GET /api/v1/orders/:id/items/:itemId/downloads
+   */
+  static async getItemDownloads(req, res, next) {
+    try {
+      const { id: orderId, itemId } = req.params;
+      const result = await OrderService.getItemDownloads(orderId, itemId);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Get item downloads error:', error);
+      next(error);
+    }
+  }
+
   /**
    * Download invoice PDF for order
    * GET /api/v1/orders/:id/invoice
@@ -290,5 +394,124 @@ export class OrderController {
       next(error);
     }
   }
-}
 
+  /**
+   * Get order shipments (owner or admin)
+   * GET /api/v1/orders/:id/shipments
+   */
+  static async getOrderShipments(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?._id;
+      const isAdmin = req.user?.roles?.some((role) => role.permissions?.includes('orders.read'));
+
+      const result = await FulfillmentService.getOrderShipments(id, isAdmin ? null : userId);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Get order shipments error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create shipment for an order (admin only)
+   * POST /api/v1/orders/:id/shipments
+   */
+  static async createShipment(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const shipment = await FulfillmentService.createShipment(req.params.id, req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'مرسوله با موفقیت ایجاد شد',
+        data: { shipment }
+      });
+    } catch (error) {
+      logger.error('Create shipment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update shipment details (admin only)
+   * PUT /api/v1/orders/shipments/:shipmentId
+   */
+  static async updateShipment(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const shipment = await FulfillmentService.updateShipment(req.params.shipmentId, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'مرسوله با موفقیت به‌روزرسانی شد',
+        data: { shipment }
+      });
+    } catch (error) {
+      logger.error('Update shipment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Add shipment status event (admin only)
+   * POST /api/v1/orders/shipments/:shipmentId/events
+   */
+  static async addShipmentEvent(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const shipment = await FulfillmentService.addShipmentEvent(req.params.shipmentId, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'وضعیت مرسوله ثبت شد',
+        data: { shipment }
+      });
+    } catch (error) {
+      logger.error('Add shipment event error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Download packing slip PDF (admin only)
+   * GET /api/v1/orders/shipments/:shipmentId/packing-slip
+   */
+  static async downloadPackingSlip(req, res, next) {
+    try {
+      const { filename, buffer } = await FulfillmentService.generatePackingSlip(req.params.shipmentId);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', buffer.length);
+
+      res.send(buffer);
+    } catch (error) {
+      logger.error('Download packing slip error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Download shipping label PDF (admin only)
+   * GET /api/v1/orders/shipments/:shipmentId/label
+   */
+  static async downloadShippingLabel(req, res, next) {
+    try {
+      const { filename, buffer } = await FulfillmentService.generateShippingLabel(req.params.shipmentId);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', buffer.length);
+
+      res.send(buffer);
+    } catch (error) {
+      logger.error('Download shipping label error:', error);
+      next(error);
+    }
+  }
+}
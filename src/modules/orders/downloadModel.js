@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Digital Download Model
+ *
+ * One entry per download attempt of a digital order item through a signed
+ * download link. Only completed transfers count against the item's download
+ * limit; IP and user agent are kept for abuse review.
+ */
+
+export const DOWNLOAD_STATUSES = [
+  'completed', // All bytes were sent to the client
+  'aborted', // Client disconnected or the transfer failed midway
+  'failed' // Storage could not be reached
+];
+
+const digitalDownloadSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  component: { type: mongoose.Schema.Types.ObjectId, default: null }, // Bundle component (items[].bundleComponents)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  status: {
+    type: String,
+    enum: DOWNLOAD_STATUSES,
+    required: true
+  },
+  bytes: { type: Number, default: 0, min: 0 },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+digitalDownloadSchema.index({ order: 1, item: 1, createdAt: -1 });
+digitalDownloadSchema.index({ user: 1, createdAt: -1 });
+digitalDownloadSchema.index({ ip: 1, createdAt: -1 });
+
+export const DigitalDownload = mongoose.model('DigitalDownload', digitalDownloadSchema);
@@ -0,0 +1,628 @@
+import { Order } from './model.js';
+import {
+  Shipment,
+  ACTIVE_SHIPMENT_STATUSES,
+  DISPATCHED_SHIPMENT_STATUSES
+} from './shipmentModel.js';
+import { logger } from '../../utils/logger.js';
+import { createPersianPdf } from '../../utils/pdf.js';
+
+// Orders that can be fulfilled (paid, not cancelled/refunded)
+const FULFILLABLE_ORDER_STATUSES = ['processing', 'shipped', 'delivered'];
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const SHIPMENT_STATUS_LABELS = {
+  pending: { fa: 'در انتظار بسته‌بندی', en: 'Pending' },
+  packed: { fa: 'بسته‌بندی شده', en: 'Packed' },
+  shipped: { fa: 'تحویل به شرکت حمل', en: 'Shipped' },
+  in_transit: { fa: 'در مسیر', en: 'In Transit' },
+  out_for_delivery: { fa: 'در حال تحویل', en: 'Out for Delivery' },
+  failed_delivery: { fa: 'تحویل ناموفق', en: 'Delivery Failed' },
+  delivered: { fa: 'تحویل داده شده', en: 'Delivered' },
+  returned: { fa: 'مرجوع شده', en: 'Returned' },
+  cancelled: { fa: 'لغو شده', en: 'Cancelled' }
+};
+
+const CARRIER_LABELS = {
+  post: 'پست',
+  tipax: 'تیپاکس',
+  chapar: 'چاپار',
+  alopeyk: 'الوپیک',
+  snappbox: 'اسنپ باکس',
+  courier: 'پیک',
+  pickup: 'تحویل حضوری',
+  other: 'سایر'
+};
+
+/**
+ * FulfillmentService - Shipments for orders
+ *
+ * Features:
+ * - Split an order into one or more shipments (own items, carrier, tracking, timeline)
+ * - Order fulfillment summary and status derived from its shipments
+ * - Customer notification on each shipment event
+ * - Packing slip and shipping label PDFs
+ */
+export class FulfillmentService {
+  /**
+   * Create shipment for (part of) an order's physical items
+   * @param {string} orderId - Order ID
+   * @param {Object} shipmentData - { items: [{ item, quantity }], carrier, trackingNumber, trackingUrl, weight, notes }
+   *   items omitted = every item not shipped yet
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<Shipment>} Created shipment
+   */
+  static async createShipment(orderId, shipmentData, userId) {
+    try {
+      const order = await Order.findOne({ _id: orderId, deletedAt: null })
+        .populate('items.product', 'type');
+
+      if (!order) {
+        throw new Error('سفارش یافت نشد');
+      }
+
+      if (!FULFILLABLE_ORDER_STATUSES.includes(order.status)
+        || !PAID_PAYMENT_STATUSES.includes(order.payment?.status)) {
+        throw new Error('فقط سفارشات پرداخت‌شده و لغونشده قابل ارسال هستند');
+      }
+
+      const shipments = await Shipment.find({ order: order._id });
+      const remaining = this.getUnshippedItems(order, shipments);
+
+      // Requested items (default: everything left)
+      const requested = shipmentData.items?.length
+        ? shipmentData.items
+        : remaining.map((entry) => ({ item: entry.item, quantity: entry.quantity }));
+
+      if (requested.length === 0) {
+        throw new Error('همه اقلام این سفارش قبلاً ارسال شده‌اند');
+      }
+
+      const items = requested.map((entry) => {
+        const line = remaining.find((candidate) => candidate.item.toString() === entry.item.toString());
+        if (!line) {
+          throw new Error('قلم انتخاب‌شده در این سفارش نیست، دیجیتال است یا قبلاً ارسال شده است');
+        }
+        if (entry.quantity > line.quantity) {
+          throw new Error(`حداکثر ${line.quantity} عدد از این قلم قابل ارسال است`);
+        }
+        return { item: line.item, product: line.product, quantity: entry.quantity };
+      });
+
+      const shipment = new Shipment({
+        order: order._id,
+        shipmentNumber: `${order.orderNumber}-S${shipments.length + 1}`,
+        items,
+        carrier: shipmentData.carrier,
+        trackingNumber: shipmentData.trackingNumber,
+        trackingUrl: shipmentData.trackingUrl,
+        weight: shipmentData.weight,
+        notes: shipmentData.notes,
+        address: order.shipping?.address?.toObject?.() || order.shipping?.address,
+        events: [{ status: 'pending', occurredAt: new Date(), createdBy: userId }],
+        createdBy: userId
+      });
+      await shipment.save();
+
+      await this.syncOrder(order, userId);
+
+      logger.info(`Shipment created: ${shipment.shipmentNumber}, order: ${order.orderNumber}, by: ${userId}`);
+      return shipment;
+    } catch (error) {
+      logger.error('Create shipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shipments of an order
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID (optional, for ownership check)
+   * @returns {Promise<Object>} { fulfillment, shipments, unshipped }
+   */
+  static async getOrderShipments(orderId, userId = null) {
+    try {
+      const query = { _id: orderId, deletedAt: null };
+      if (userId) {
+        query.user = userId;
+      }
+
+      const order = await Order.findOne(query).populate('items.product', 'name slug type');
+      if (!order) {
+        throw new Error('سفارش یافت نشد');
+      }
+
+      const shipments = await Shipment.find({ order: order._id })
+        .populate('items.product', 'name slug featuredImage')
+        .sort({ createdAt: 1 });
+
+      return {
+        fulfillment: order.fulfillment,
+        shipments: userId ? shipments.map((shipment) => this._toCustomerView(shipment)) : shipments,
+        unshipped: this.getUnshippedItems(order, shipments)
+      };
+    } catch (error) {
+      logger.error('Get order shipments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shipment by ID
+   * @param {string} shipmentId - Shipment ID
+   * @returns {Promise<Shipment>} Shipment document
+   */
+  static async getShipmentById(shipmentId) {
+    try {
+      const shipment = await Shipment.findById(shipmentId);
+
+      if (!shipment) {
+        throw new Error('مرسوله یافت نشد');
+      }
+
+      return shipment;
+    } catch (error) {
+      logger.error('Get shipment by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update shipment details (carrier, tracking, weight, notes)
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} updateData - Update data
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<Shipment>} Updated shipment
+   */
+  static async updateShipment(shipmentId, updateData, userId) {
+    try {
+      const shipment = await this.getShipmentById(shipmentId);
+
+      if (shipment.isClosed()) {
+        throw new Error('اطلاعات مرسوله بسته‌شده قابل ویرایش نیست');
+      }
+
+      const trackingChanged = updateData.trackingNumber !== undefined
+        && updateData.trackingNumber !== shipment.trackingNumber;
+
+      Object.assign(shipment, updateData);
+      shipment.updatedBy = userId;
+      await shipment.save();
+
+      if (trackingChanged && DISPATCHED_SHIPMENT_STATUSES.includes(shipment.status)) {
+        await Order.updateOne({ _id: shipment.order }, { $set: { 'shipping.trackingNumber': shipment.trackingNumber } });
+      }
+
+      logger.info(`Shipment updated: ${shipment.shipmentNumber}, by: ${userId}`);
+      return shipment;
+    } catch (error) {
+      logger.error('Update shipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a status event to a shipment's timeline; syncs the order and notifies the customer
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} eventData - { status, description, location, occurredAt, trackingNumber }
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<Shipment>} Updated shipment
+   */
+  static async addShipmentEvent(shipmentId, eventData, userId) {
+    try {
+      const shipment = await this.getShipmentById(shipmentId);
+
+      if (eventData.trackingNumber) {
+        shipment.trackingNumber = eventData.trackingNumber;
+      }
+      if (eventData.status === 'shipped' && !shipment.trackingNumber && shipment.carrier !== 'pickup') {
+        throw new Error('برای ثبت ارسال، کد رهگیری مرسوله الزامی است');
+      }
+
+      shipment.addEvent(eventData.status, {
+        description: eventData.description,
+        location: eventData.location,
+        occurredAt: eventData.occurredAt,
+        userId
+      });
+      await shipment.save();
+
+      const order = await Order.findById(shipment.order)
+        .populate('items.product', 'type')
+        .populate('user', 'name email phoneNumber');
+
+      if (order) {
+        await this.syncOrder(order, userId);
+        await this._notifyCustomer(order, shipment, eventData);
+      }
+
+      logger.info(`Shipment event: ${shipment.shipmentNumber}, status: ${shipment.status}, by: ${userId}`);
+      return shipment;
+    } catch (error) {
+      logger.error('Add shipment event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel shipments that have not left the store (order cancelled)
+   * @param {Order} order - Order document
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of cancelled shipments
+   */
+  static async cancelOpenShipments(order, userId = null) {
+    try {
+      const shipments = await Shipment.find({ order: order._id, status: { $in: ['pending', 'packed'] } });
+
+      for (const shipment of shipments) {
+        shipment.addEvent('cancelled', { description: 'لغو سفارش', userId });
+        await shipment.save();
+      }
+
+      if (shipments.length > 0) {
+        await this.syncOrder(order, userId);
+      }
+
+      return shipments.length;
+    } catch (error) {
+      logger.error('Cancel open shipments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Physical order items not covered by an active shipment yet
+   * @param {Order} order - Order (items.product populated with type)
+   * @param {Array<Shipment>} shipments - The order's shipments
+   * @returns {Array<Object>} [{ item, product, quantity }]
+   */
+  static getUnshippedItems(order, shipments = []) {
+    const allocated = this._allocatedQuantities(shipments, ACTIVE_SHIPMENT_STATUSES);
+
+    return this._shippableLines(order)
+      .map((line) => ({
+        item: line.item,
+        product: line.product,
+        quantity: line.quantity - (allocated.get(line.item.toString()) || 0)
+      }))
+      .filter((line) => line.quantity > 0);
+  }
+
+  /**
+   * Recompute the order's fulfillment summary from its shipments and move the order
+   * status forward (processing -> shipped -> delivered) once everything is shipped/delivered
+   * @param {Order} order - Order (items.product populated with type)
+   * @param {string} userId - User ID
+   * @returns {Promise<Order>} Updated order
+   */
+  static async syncOrder(order, userId = null) {
+    try {
+      if (!order.populated('items.product')) {
+        await order.populate('items.product', 'type');
+      }
+
+      const shipments = await Shipment.find({ order: order._id });
+      const lines = this._shippableLines(order);
+      const needed = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+      const dispatched = this._allocatedQuantities(shipments, DISPATCHED_SHIPMENT_STATUSES);
+      const delivered = this._allocatedQuantities(shipments, ['delivered']);
+      const count = (quantities) => lines.reduce(
+        (sum, line) => sum + Math.min(quantities.get(line.item.toString()) || 0, line.quantity),
+        0
+      );
+      const dispatchedCount = count(dispatched);
+      const deliveredCount = count(delivered);
+
+      let status = 'unfulfilled';
+      if (needed > 0 && deliveredCount >= needed) {
+        status = 'delivered';
+      } else if (deliveredCount > 0) {
+        status = 'partially_delivered';
+      } else if (needed > 0 && dispatchedCount >= needed) {
+        status = 'shipped';
+      } else if (dispatchedCount > 0) {
+        status = 'partially_shipped';
+      }
+
+      order.fulfillment = {
+        status,
+        shipmentsCount: shipments.filter((shipment) => shipment.status !== 'cancelled').length,
+        updatedAt: new Date()
+      };
+
+      const latest = [...shipments]
+        .filter((shipment) => DISPATCHED_SHIPMENT_STATUSES.includes(shipment.status) && shipment.trackingNumber)
+        .sort((a, b) => (b.shippedAt || 0) - (a.shippedAt || 0))[0];
+      if (latest) {
+        order.shipping.trackingNumber = latest.trackingNumber;
+      }
+
+      // Order status follows its shipments (never moves backwards)
+      const note = 'به‌روزرسانی خودکار بر اساس مرسوله‌ها';
+      if (order.status === 'processing' && ['shipped', 'partially_delivered', 'delivered'].includes(status)) {
+        await order.updateStatus('shipped', userId, note);
+      }
+      if (order.status === 'shipped' && status === 'delivered') {
+        await order.updateStatus('delivered', userId, note);
+      }
+
+      await order.save();
+      return order;
+    } catch (error) {
+      logger.error('Sync order fulfillment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate packing slip PDF for a shipment
+   * @param {string} shipmentId - Shipment ID
+   * @returns {Promise<Object>} { filename, buffer }
+   */
+  static async generatePackingSlip(shipmentId) {
+    try {
+      const shipment = await Shipment.findById(shipmentId).populate('items.product', 'name sku');
+      if (!shipment) {
+        throw new Error('مرسوله یافت نشد');
+      }
+      const order = await Order.findById(shipment.order);
+
+      const { doc, fonts, text, formatDate, toBuffer } = await createPersianPdf();
+
+      doc.fontSize(22)
+        .font(fonts.bold)
+        .text(text('برگه بسته‌بندی'), { align: 'right' })
+        .moveDown(0.5);
+
+      doc.fontSize(11)
+        .font(fonts.regular)
+        .text(text(`شماره مرسوله: ${shipment.shipmentNumber}`), { align: 'right' })
+        .text(text(`شماره سفارش: ${order?.orderNumber || '-'}`), { align: 'right' })
+        .text(text(`تاریخ سفارش: ${formatDate(order?.createdAt)}`), { align: 'right' })
+        .text(text(`روش ارسال: ${CARRIER_LABELS[shipment.carrier] || shipment.carrier}`), { align: 'right' })
+        .moveDown();
+
+      this._writeAddress(doc, fonts, text, 'ارسال به:', shipment.address);
+      doc.moveDown();
+
+      // Items table
+      const tableTop = doc.y;
+      doc.fontSize(10)
+        .font(fonts.bold)
+        .text(text('تعداد'), 450, tableTop, { width: 80, align: 'right' })
+        .text(text('کد کالا'), 330, tableTop, { width: 110, align: 'right' })
+        .text(text('نام محصول'), 50, tableTop, { width: 270, align: 'right' });
+
+      doc.moveTo(50, doc.y + 5)
+        .lineTo(530, doc.y + 5)
+        .stroke()
+        .moveDown();
+
+      let y = doc.y;
+      doc.font(fonts.regular);
+      shipment.items.forEach((item) => {
+        const orderItem = order?.items.id(item.item);
+        let productName = item.product?.name?.fa || item.product?.name || 'محصول';
+        if (orderItem?.variantTitle?.fa) {
+          productName = `${productName} - ${orderItem.variantTitle.fa}`;
+        }
+
+        doc.fontSize(10)
+          .text(item.quantity.toString(), 450, y, { width: 80, align: 'right' })
+          .text(orderItem?.sku || item.product?.sku || '-', 330, y, { width: 110, align: 'right' })
+          .text(text(productName), 50, y, { width: 270, align: 'right' });
+
+        y += 25;
+        if (y > 720) {
+          doc.addPage();
+          y = 50;
+        }
+      });
+
+      doc.y = y + 10;
+      doc.moveTo(50, doc.y)
+        .lineTo(530, doc.y)
+        .stroke()
+        .moveDown();
+
+      const totalUnits = shipment.items.reduce((sum, item) => sum + item.quantity, 0);
+      doc.fontSize(11)
+        .text(text(`تعداد کل اقلام: ${totalUnits}`), { align: 'right' });
+
+      if (order?.notes?.customer) {
+        doc.moveDown()
+          .text(text(`توضیحات مشتری: ${order.notes.customer}`), { align: 'right' });
+      }
+
+      doc.moveDown(2);
+      doc.fontSize(8)
+        .text(text('هیکاوب - hikaweb.ir'), { align: 'center' });
+
+      const buffer = await toBuffer();
+      logger.info(`Packing slip generated for shipment: ${shipment.shipmentNumber}`);
+      return { filename: `packing-slip_${shipment.shipmentNumber}.pdf`, buffer };
+    } catch (error) {
+      logger.error('Generate packing slip error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate shipping label PDF (A6) for a shipment
+   * @param {string} shipmentId - Shipment ID
+   * @returns {Promise<Object>} { filename, buffer }
+   */
+  static async generateShippingLabel(shipmentId) {
+    try {
+      const shipment = await this.getShipmentById(shipmentId);
+      const order = await Order.findById(shipment.order).select('orderNumber');
+
+      const { Settings } = await import('../settings/model.js');
+      const settings = await Settings.findOne().select('siteName contact').lean();
+
+      const { doc, fonts, text, toBuffer } = await createPersianPdf({ size: 'A6', margin: 20 });
+
+      // Sender
+      this._writeAddress(doc, fonts, text, 'فرستنده:', {
+        fullName: settings?.siteName?.fa || 'هیکاوب',
+        address: settings?.contact?.address?.fa,
+        phoneNumber: settings?.contact?.phone || settings?.contact?.phoneNumber
+      }, 9);
+
+      doc.moveDown(0.5)
+        .moveTo(20, doc.y)
+        .lineTo(278, doc.y)
+        .stroke()
+        .moveDown(0.5);
+
+      // Recipient
+      this._writeAddress(doc, fonts, text, 'گیرنده:', shipment.address, 12);
+
+      doc.moveDown(0.5)
+        .moveTo(20, doc.y)
+        .lineTo(278, doc.y)
+        .stroke()
+        .moveDown(0.5);
+
+      doc.fontSize(9)
+        .font(fonts.regular)
+        .text(text(`سفارش: ${order?.orderNumber || '-'}   مرسوله: ${shipment.shipmentNumber}`), { align: 'right' })
+        .text(text(`حمل: ${CARRIER_LABELS[shipment.carrier] || shipment.carrier}`), { align: 'right' });
+
+      if (shipment.weight) {
+        doc.text(text(`وزن: ${(shipment.weight / 1000).toFixed(2)} کیلوگرم`), { align: 'right' });
+      }
+
+      if (shipment.trackingNumber) {
+        doc.moveDown(0.5)
+          .fontSize(16)
+          .font(fonts.bold)
+          .text(shipment.trackingNumber, { align: 'center' });
+      }
+
+      const buffer = await toBuffer();
+      logger.info(`Shipping label generated for shipment: ${shipment.shipmentNumber}`);
+      return { filename: `label_${shipment.shipmentNumber}.pdf`, buffer };
+    } catch (error) {
+      logger.error('Generate shipping label error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Physical order lines and the quantity that still has to ship (minus refunded units)
+   * Bundles ship as one line when any of their components is physical
+   * @private
+   */
+  static _shippableLines(order) {
+    return order.items
+      .filter((item) => (item.bundleComponents?.length
+        ? item.bundleComponents.some((component) => component.type === 'physical')
+        : item.product?.type !== 'digital'))
+      .map((item) => ({
+        item: item._id,
+        product: item.product?._id || item.product,
+        quantity: item.quantity - (item.refundedQuantity || 0)
+      }))
+      .filter((line) => line.quantity > 0);
+  }
+
+  /**
+   * Quantity per order item across shipments in the given statuses
+   * @private
+   */
+  static _allocatedQuantities(shipments, statuses) {
+    const quantities = new Map();
+    shipments
+      .filter((shipment) => statuses.includes(shipment.status))
+      .forEach((shipment) => {
+        shipment.items.forEach((entry) => {
+          const key = entry.item.toString();
+          quantities.set(key, (quantities.get(key) || 0) + entry.quantity);
+        });
+      });
+    return quantities;
+  }
+
+  /**
+   * Shipment without internal fields (customer view)
+   * @private
+   */
+  static _toCustomerView(shipment) {
+    const data = shipment.toObject();
+    delete data.notes;
+    delete data.createdBy;
+    delete data.updatedBy;
+    data.events = data.events.map(({ status, description, location, occurredAt }) => ({
+      status,
+      label: SHIPMENT_STATUS_LABELS[status],
+      description,
+      location,
+      occurredAt
+    }));
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  static _writeAddress(doc, fonts, text, title, address = {}, fontSize = 11) {
+    doc.fontSize(fontSize)
+      .font(fonts.bold)
+      .text(text(title), { align: 'right' })
+      .font(fonts.regular)
+      .text(text(address?.fullName || '-'), { align: 'right' });
+
+    const place = [address?.province, address?.city].filter(Boolean).join('، ');
+    [place, address?.address].filter(Boolean).forEach((line) => {
+      doc.text(text(line), { align: 'right' });
+    });
+    if (address?.postalCode) {
+      doc.text(text(`کد پستی: ${address.postalCode}`), { align: 'right' });
+    }
+    if (address?.phoneNumber) {
+      doc.text(text(`تلفن: ${address.phoneNumber}`), { align: 'right' });
+    }
+  }
+
+  /**
+   * Notify the customer about a shipment event (failures are logged, not thrown)
+   * @private
+   */
+  static async _notifyCustomer(order, shipment, eventData) {
+    try {
+      const { Notification } = await import('../notifications/model.js');
+      const label = SHIPMENT_STATUS_LABELS[shipment.status] || { fa: shipment.status, en: shipment.status };
+      const tracking = shipment.trackingNumber ? ` - کد رهگیری: ${shipment.trackingNumber}` : '';
+      const trackingEn = shipment.trackingNumber ? ` - tracking: ${shipment.trackingNumber}` : '';
+
+      const types = {
+        shipped: 'order_shipped',
+        delivered: 'order_delivered'
+      };
+
+      await Notification.create({
+        type: types[shipment.status] || 'order_status_changed',
+        title: {
+          fa: `مرسوله سفارش ${order.orderNumber}: ${label.fa}`,
+          en: `Order ${order.orderNumber} shipment: ${label.en}`
+        },
+        message: {
+          fa: `مرسوله ${shipment.shipmentNumber} ${label.fa}${tracking}${eventData.description ? ` (${eventData.description})` : ''}`,
+          en: `Shipment ${shipment.shipmentNumber} is ${label.en.toLowerCase()}${trackingEn}`
+        },
+        recipient: order.user?._id || order.user,
+        relatedEntity: {
+          type: 'order',
+          id: order._id
+        },
+        priority: ['failed_delivery', 'returned'].includes(shipment.status) ? 'high' : 'normal',
+        actionUrl: `/orders/${order._id}`
+      });
+    } catch (notificationError) {
+      logger.error('Failed to send shipment notification:', notificationError);
+      // Don't throw - notification failure shouldn't break the shipment update
+    }
+  }
+}
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/**
+ * Invoice Counter Model
+ *
+ * One document per fiscal (Jalali) year holding the last legal invoice number issued.
+ * Numbers are taken with an atomic $inc, so they are sequential without gaps or
+ * duplicates (see OrderService.issueInvoiceNumber); orderNumber stays a random ID.
+ */
+const invoiceCounterSchema = new mongoose.Schema({
+  // Fiscal year, e.g. "1405"
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+export const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
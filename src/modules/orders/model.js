@@ -1,5 +1,32 @@
 import mongoose from 'mongoose';
 import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+import { appliedPromotionSchema } from '../coupons/model.js';
+import { lineTaxSchema, taxLineSchema } from '../tax/model.js';
+import { calculateTax } from '../tax/calculation.js';
+
+// Bundle component snapshot (a bundle line is fulfilled through its components)
+const orderBundleComponentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+  sku: String,
+  name: {
+    fa: String,
+    en: String
+  },
+  type: { type: String, enum: ['digital', 'physical'] },
+  quantity: { type: Number, required: true, min: 1 }, // Units per bundle
+  // Download access of a digital component (same fields as the order item's)
+  digitalProductData: {
+    downloadUrl: String,
+    downloadLimit: Number,
+    downloadExpiry: Date,
+    downloadCount: { type: Number, default: 0 }
+  }
+}, { _id: true });
 
 // Order Item Schema (embedded in Order)
 const orderItemSchema = new mongoose.Schema({
@@ -8,6 +35,16 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Chosen variant, with SKU and title copied at order time (variants may change later)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: String,
+  variantTitle: {
+    fa: String,
+    en: String
+  },
   quantity: {
     type: Number,
     required: true,
@@ -27,15 +64,66 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   }, // quantity * price
+  // Tax class and rate at order time (older orders: none, TAX_RATE applied)
+  tax: {
+    type: lineTaxSchema,
+    default: null
+  },
+  // Units of this line returned/refunded so far (see refunds)
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // For digital products
   digitalProductData: {
     downloadUrl: String,
     downloadLimit: Number,
     downloadExpiry: Date,
     downloadCount: { type: Number, default: 0 }
+  },
+  // For bundles: components fulfilled (stock, downloads) in place of the bundle itself
+  bundleComponents: {
+    type: [orderBundleComponentSchema],
+    default: undefined
   }
 }, { _id: true });
 
+// Order Refund Schema (one entry per refund run against the payment)
+const orderRefundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  items: [{
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order item _id
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true, min: 0 }
+  }],
+  discountAmount: { type: Number, default: 0, min: 0 }, // Coupon discount given back with this refund
+  pointsAmount: { type: Number, default: 0, min: 0 }, // Value of redeemed points given back with this refund
+  restocked: { type: Boolean, default: false },
+  reason: String,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now
+  },
+  transactionId: String
+}, { _id: true });
+
 // Order Status History Schema
 const statusHistorySchema = new mongoose.Schema({
   status: {
@@ -114,11 +202,22 @@ const orderSchema = new mongoose.Schema({
       default: 'standard'
     },
     cost: { type: Number, default: 0, min: 0 },
-    trackingNumber: String,
+    trackingNumber: String, // Latest shipment's tracking number
     shippedAt: Date,
     deliveredAt: Date
   },
 
+  // Fulfillment summary, derived from the order's shipments (see FulfillmentService)
+  fulfillment: {
+    status: {
+      type: String,
+      enum: ['unfulfilled', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'],
+      default: 'unfulfilled'
+    },
+    shipmentsCount: { type: Number, default: 0, min: 0 },
+    updatedAt: Date
+  },
+
   // Payment Information
   payment: {
     method: {
@@ -129,12 +228,17 @@ const orderSchema = new mongoose.Schema({
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
     transactionId: String, // Payment gateway transaction ID
     paidAt: Date,
-    amount: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 }, // Amount due via gateway (total minus points)
+    // Loyalty points applied to this order (see LoyaltyService)
+    points: {
+      used: { type: Number, default: 0, min: 0 },
+      amount: { type: Number, default: 0, min: 0 } // Toman value covered by points
+    },
     gateway: String, // Payment gateway name (zarinpal, idpay, etc.)
     gatewayResponse: mongoose.Schema.Types.Mixed // Full gateway response
   },
@@ -145,16 +249,64 @@ const orderSchema = new mongoose.Schema({
     tax: { type: Number, default: 0, min: 0 },
     shipping: { type: Number, default: 0, min: 0 },
     discount: { type: Number, default: 0, min: 0 },
+    shippingDiscount: { type: Number, default: 0, min: 0 },
+    taxExempted: { type: Number, default: 0, min: 0 }, // Tax not charged (exempt buyer)
+    taxInclusive: { type: Boolean, default: false }, // Tax is part of the prices, not added on top
+    taxLines: [taxLineSchema],
     total: { type: Number, required: true, min: 0 }
   },
 
-  // Coupon/Discount
+  // Tax treatment and buyer details at order time (TaxService), printed on the invoice
+  tax: {
+    inclusive: { type: Boolean, default: false },
+    exempt: { type: Boolean, default: false },
+    shipping: { type: lineTaxSchema, default: null },
+    buyer: {
+      type: { type: String, enum: ['individual', 'legal'] },
+      companyName: String,
+      economicCode: String,
+      nationalId: String,
+      registrationNumber: String,
+      postalCode: String,
+      address: String
+    }
+  },
+
+  // Legal invoice (sequential per fiscal year, issued when the order is paid; separate from orderNumber)
+  invoice: {
+    number: String,
+    fiscalYear: String,
+    sequence: Number,
+    issuedAt: Date
+  },
+
+  // Display currency snapshot: totals are in the base currency (Toman) and shown in this
+  // currency at the rate the order was placed with (see CurrencyService)
+  currency: {
+    code: { type: String, default: 'IRT' },
+    rate: { type: Number, default: 1 }, // Toman value of one unit
+    decimals: { type: Number, default: 0 },
+    symbol: String,
+    rounding: {
+      mode: String,
+      increment: Number
+    },
+    rateDate: Date
+  },
+
+  // Coupon/Discount (entered code; discount is the money amount it gave)
   coupon: {
     code: String,
     discount: Number,
-    discountType: { type: String, enum: ['percentage', 'fixed'] }
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed', 'buy_x_get_y', 'tiered', 'free_shipping', 'bundle']
+    }
   },
 
+  // Applied promotions, line by line (entered coupon + automatic promotions, see PromotionService)
+  promotions: [appliedPromotionSchema],
+
   // Order Status (must be defined AFTER baseSchemaFields to override base status field)
   status: {
     type: String,
@@ -183,7 +335,7 @@ const orderSchema = new mongoose.Schema({
     cancelledAt: Date
   },
 
-  // Refund Information
+  // Refund Information (summary: amount is the total refunded so far)
   refund: {
     amount: Number,
     reason: String,
@@ -195,12 +347,40 @@ const orderSchema = new mongoose.Schema({
     refundMethod: String // 'original', 'wallet', etc.
   },
 
+  // Individual refunds (partial / multi-step)
+  refunds: [orderRefundSchema],
+
+  // Subscription billed by this order (signup: first period, renewal: next period; see SubscriptionService)
+  subscription: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription'
+    },
+    kind: {
+      type: String,
+      enum: ['signup', 'renewal']
+    },
+    periodStart: Date,
+    periodEnd: Date
+  },
+
   // Related Cart (if order was created from cart)
   cart: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Cart'
   },
 
+  // Inventory hold placed at checkout (see InventoryService)
+  // held: reserved until expiresAt | committed: converted to sale on payment
+  // released: hold given back | restocked: sold units returned to stock
+  inventoryReservation: {
+    status: {
+      type: String,
+      enum: ['held', 'committed', 'released', 'restocked']
+    },
+    expiresAt: Date
+  },
+
   // Base schema fields (deletedAt, createdBy, updatedBy) - status is overridden above
   deletedAt: {
     type: Date,
@@ -225,6 +405,9 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'inventoryReservation.status': 1, 'inventoryReservation.expiresAt': 1 });
+orderSchema.index({ 'subscription.id': 1, createdAt: -1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
 
 // Methods
 Object.assign(orderSchema.methods, baseSchemaMethods);
@@ -245,37 +428,138 @@ orderSchema.methods.calculateTotals = function() {
     subtotal += item.total;
   });
   
-  // Calculate discount
+  // Discounts: promotion lines (PromotionService); older carts/orders only have coupon.discount
   let discount = 0;
-  if (this.coupon && this.coupon.code) {
-    if (this.coupon.discountType === 'percentage') {
-      discount = (subtotal * this.coupon.discount) / 100;
-    } else {
-      discount = this.coupon.discount;
-    }
+  let shippingDiscount = 0;
+  if (this.promotions?.length) {
+    this.promotions.forEach((promotion) => {
+      discount += promotion.amount || 0;
+      shippingDiscount += promotion.shippingDiscount || 0;
+    });
+  } else if (this.coupon && this.coupon.code) {
+    discount = this.coupon.discount || 0;
   }
-  
-  // Calculate tax (configurable via environment variable, default: 9% VAT)
-  const taxRate = parseFloat(process.env.TAX_RATE || '0.09');
-  const tax = (subtotal - discount) * taxRate;
+  discount = Math.min(discount, subtotal);
   
   // Shipping cost
   const shipping = this.shipping.cost || 0;
+  shippingDiscount = Math.min(shippingDiscount, shipping);
   
-  // Final total
-  const total = subtotal - discount + tax + shipping;
+  // Tax per class, from the rates on the lines (lines without one use TAX_RATE)
+  const taxResult = calculateTax({
+    items: this.items,
+    discount,
+    shipping: shipping - shippingDiscount,
+    shippingTax: this.tax?.shipping,
+    inclusive: this.tax?.inclusive,
+    exempt: this.tax?.exempt
+  });
+
+  // Final total (inclusive prices already contain the tax)
+  const total = subtotal - discount + shipping - shippingDiscount + taxResult.adjustment;
   
   this.totals = {
     subtotal,
-    tax,
+    tax: taxResult.tax,
     shipping,
     discount,
+    shippingDiscount,
+    taxExempted: taxResult.exempted,
+    taxInclusive: !!this.tax?.inclusive,
+    taxLines: taxResult.lines,
     total
   };
   
   return this.totals;
 };
 
+// Calculate refund for selected lines: [{ itemId, quantity }]
+// Each line gets its share of the coupon discount and tax; shipping is only
+// returned with the refund that clears the last refundable unit. amount is the money
+// to refund; pointsAmount is the value of the redeemed points the lines paid for.
+orderSchema.methods.calculateRefund = function(requestedItems = []) {
+  const { subtotal = 0, discount = 0, tax = 0, shipping = 0, shippingDiscount = 0, total = 0 } = this.totals || {};
+  // Orders without line tax classes: one rate over all lines
+  const legacyTaxRate = subtotal - discount > 0 ? tax / (subtotal - discount) : 0;
+  // What the buyer paid per unit of line value after discount
+  const chargeFactor = (item) => {
+    if (!item.tax) {
+      return 1 + legacyTaxRate;
+    }
+    if (this.tax?.inclusive) {
+      return this.tax.exempt ? 1 / (1 + item.tax.rate) : 1;
+    }
+    return this.tax?.exempt ? 1 : 1 + item.tax.rate;
+  };
+  // Only the part paid in money is refunded in money; the part paid with points goes back as points
+  const paidTotal = Math.max(0, total - (this.payment?.points?.amount || 0));
+  const paidRatio = total > 0 ? paidTotal / total : 0;
+  const alreadyRefunded = (this.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  const remainingPoints = this.getReturnablePointsAmount();
+
+  const lines = [];
+  let discountAmount = 0;
+  let pointsAmount = 0;
+
+  for (const requested of requestedItems) {
+    const item = this.items.id(requested.itemId);
+    if (!item) {
+      throw new Error(`آیتم سفارش ${requested.itemId} یافت نشد`);
+    }
+
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    if (requested.quantity > remaining) {
+      throw new Error(`حداکثر تعداد قابل بازگشت برای این آیتم ${remaining} است`);
+    }
+
+    const lineTotal = (item.total / item.quantity) * requested.quantity;
+    const lineDiscount = subtotal > 0 ? (discount * lineTotal) / subtotal : 0;
+    const lineCharge = (lineTotal - lineDiscount) * chargeFactor(item);
+    const lineAmount = lineCharge * paidRatio;
+
+    discountAmount += lineDiscount;
+    pointsAmount += total > 0 ? lineCharge - lineAmount : 0;
+    lines.push({
+      item: item._id,
+      product: item.product?._id || item.product,
+      quantity: requested.quantity,
+      amount: Math.round(lineAmount)
+    });
+  }
+
+  const remainingPaid = Math.max(0, paidTotal - alreadyRefunded);
+  let amount = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  // Last units: settle whatever is left (shipping and rounding leftovers)
+  const clearsOrder = this.items.every((item) => {
+    const line = lines.filter((l) => l.item.toString() === item._id.toString())
+      .reduce((sum, l) => sum + l.quantity, 0);
+    return (item.refundedQuantity || 0) + line >= item.quantity;
+  });
+  if (clearsOrder) {
+    amount = remainingPaid;
+    pointsAmount = remainingPoints;
+  }
+
+  return {
+    items: lines,
+    amount: Math.min(amount, remainingPaid),
+    pointsAmount: Math.min(Math.round(pointsAmount), remainingPoints),
+    discountAmount: Math.round(discountAmount),
+    shipping: clearsOrder ? shipping - shippingDiscount : 0,
+    refundable: remainingPaid,
+    refundablePoints: remainingPoints,
+    clearsOrder
+  };
+};
+
+// Value paid with points that no refund has given back yet
+orderSchema.methods.getReturnablePointsAmount = function() {
+  const pointsAmount = Math.min(this.totals?.total || 0, this.payment?.points?.amount || 0);
+  const returned = (this.refunds || []).reduce((sum, refund) => sum + (refund.pointsAmount || 0), 0);
+  return Math.max(0, pointsAmount - returned);
+};
+
 // Update order status
 orderSchema.methods.updateStatus = function(newStatus, userId = null, note = null) {
   const oldStatus = this.status;
@@ -353,10 +637,10 @@ orderSchema.methods.markAsPaid = async function(transactionId = null, gateway =
       await this.populate('items.product', 'type');
     }
     
-    // Check if all items are digital
+    // Check if all items are digital (subscriptions are delivered as access, like digital products)
     const allDigital = this.items.every(item => {
       const productType = item.product?.type || item.product?.type;
-      return productType === 'digital';
+      return productType === 'digital' || productType === 'subscription';
     });
     
     const newStatus = allDigital ? 'delivered' : 'processing';
@@ -7,7 +7,10 @@ import {
   createOrderSchema,
   updateOrderStatusSchema,
   cancelOrderSchema,
-  getOrdersQuerySchema
+  getOrdersQuerySchema,
+  createShipmentSchema,
+  updateShipmentSchema,
+  shipmentEventSchema
 } from './validation.js';
 import { createRateLimiter } from '../../middleware/rateLimit.js';
 import { csrfProtection } from '../../middleware/security.js';
@@ -165,6 +168,186 @@ router.get(
   OrderController.getOrders
 );
 
+/**
+ * @swagger
+ * /api/v1/orders/shipments/{shipmentId}:
+ *   put:
+ *     summary: Update shipment carrier/tracking (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Shipment updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  '/shipments/:shipmentId',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(updateShipmentSchema),
+  auditLog('UPDATE_SHIPMENT', 'orders'),
+  OrderController.updateShipment
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/shipments/{shipmentId}/events:
+ *   post:
+ *     summary: Add shipment status event; order status follows its shipments (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: packed, shipped, in_transit, out_for_delivery, failed_delivery, delivered,
+ *                   returned or cancelled
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipment event added
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/shipments/:shipmentId/events',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(shipmentEventSchema),
+  auditLog('ADD_SHIPMENT_EVENT', 'orders'),
+  OrderController.addShipmentEvent
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/shipments/{shipmentId}/packing-slip:
+ *   get:
+ *     summary: Download shipment packing slip PDF (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Packing slip PDF
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/shipments/:shipmentId/packing-slip',
+  authenticate,
+  authorize(['orders.read']),
+  OrderController.downloadPackingSlip
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/shipments/{shipmentId}/label:
+ *   get:
+ *     summary: Download shipment shipping label PDF (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping label PDF
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/shipments/:shipmentId/label',
+  authenticate,
+  authorize(['orders.read']),
+  OrderController.downloadShippingLabel
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/downloads/{token}:
+ *   get:
+ *     summary: Download a digital product through a signed link
+ *     description: Public; the token from the download-token endpoint is bound to the order item and user.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File stream
+ *       400:
+ *         description: Invalid or expired link, or download limit reached
+ */
+router.get(
+  '/downloads/:token',
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // 10 downloads per minute
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است. لطفاً کمی صبر کنید.',
+    prefix: 'rl:order:download:'
+  }),
+  OrderController.serveDownload
+);
+
 /**
  * @swagger
  * /api/v1/orders/{id}:
@@ -241,7 +424,7 @@ router.put(
     prefix: 'rl:order:update:'
   }),
   validate(updateOrderStatusSchema),
-  auditLog('UPDATE_ORDER_STATUS', 'orders'),
+  auditLog('UPDATE_ORDER_STATUS', 'orders', { model: 'Order' }),
   OrderController.updateOrderStatus
 );
 
@@ -278,7 +461,7 @@ router.post(
   authenticate,
   csrfProtection,
   validate(cancelOrderSchema),
-  auditLog('CANCEL_ORDER', 'orders'),
+  auditLog('CANCEL_ORDER', 'orders', { model: 'Order' }),
   OrderController.cancelOrder
 );
 
@@ -328,6 +511,7 @@ router.post(
  * /api/v1/orders/{id}/items/{itemId}/download:
  *   get:
  *     summary: Download digital product from order
+ *     description: Kept for older clients; returns a signed, expiring download link (same as download-token).
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -344,7 +528,7 @@ router.post(
  *           type: string
  *     responses:
  *       200:
- *         description: Download URL retrieved
+ *         description: Signed download link retrieved
  *       401:
  *         description: Unauthorized
  *       403:
@@ -356,6 +540,120 @@ router.get(
   OrderController.downloadDigitalProduct
 );
 
+/**
+ * @swagger
+ * /api/v1/orders/{id}/items/{itemId}/download-token:
+ *   post:
+ *     summary: Issue a short-lived signed download link for a digital product
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Signed download link with its expiry
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/:id/items/:itemId/download-token',
+  authenticate,
+  csrfProtection,
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // 10 links per minute
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است. لطفاً کمی صبر کنید.',
+    prefix: 'rl:order:download-token:'
+  }),
+  OrderController.createDownloadToken
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/items/{itemId}/components/{componentId}/download-token:
+ *   post:
+ *     summary: Issue a signed download link for a digital component of a bundle
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: componentId
+ *         required: true
+ *         description: Entry of the order item's bundleComponents
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Signed download link with its expiry
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/:id/items/:itemId/components/:componentId/download-token',
+  authenticate,
+  csrfProtection,
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // 10 links per minute
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است. لطفاً کمی صبر کنید.',
+    prefix: 'rl:order:download-token:'
+  }),
+  OrderController.createDownloadToken
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/items/{itemId}/downloads:
+ *   get:
+ *     summary: Download log of a digital order item with IP and user agent (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Download log and summary
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/:id/items/:itemId/downloads',
+  authenticate,
+  authorize(['orders.read']),
+  OrderController.getItemDownloads
+);
+
 /**
  * @swagger
  * /api/v1/orders/{id}/invoice:
@@ -384,5 +682,75 @@ router.get(
   OrderController.downloadInvoice
 );
 
+/**
+ * @swagger
+ * /api/v1/orders/{id}/shipments:
+ *   get:
+ *     summary: Get order shipments and fulfillment status (owner or admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order shipments retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/:id/shipments',
+  authenticate,
+  OrderController.getOrderShipments
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/shipments:
+ *   post:
+ *     summary: Create shipment from order items (admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Order items and quantities (omit to ship everything not shipped yet)
+ *               carrier:
+ *                 type: string
+ *                 enum: [post, tipax, chapar, alopeyk, snappbox, courier, pickup, other]
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment created
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/:id/shipments',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(createShipmentSchema),
+  auditLog('CREATE_SHIPMENT', 'orders'),
+  OrderController.createShipment
+);
+
 export default router;
 
@@ -1,9 +1,33 @@
+import crypto from 'crypto';
+import path from 'path';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
 import { Order } from './model.js';
+import { DigitalDownload } from './downloadModel.js';
+import { InvoiceCounter } from './invoiceCounterModel.js';
 import { Cart } from '../cart/model.js';
-import { Product } from '../products/model.js';
+import { Settings } from '../settings/model.js';
+import { InventoryService } from '../products/inventoryService.js';
+import { BundleService } from '../products/bundleService.js';
+import { PromotionService } from '../coupons/promotionService.js';
 import { CouponService } from '../coupons/service.js';
+import { LoyaltyService } from '../loyalty/service.js';
+import { CurrencyService } from '../currencies/service.js';
+import { TaxService } from '../tax/service.js';
+import { ShippingService } from '../shipping/service.js';
+import { FulfillmentService } from './fulfillmentService.js';
 import { BaseService } from '../../shared/services/baseService.js';
+import { config } from '../../config/environment.js';
 import { logger } from '../../utils/logger.js';
+import { runAtomically } from '../../utils/transaction.js';
+import { createPersianPdf } from '../../utils/pdf.js';
+
+// JWT audience of download tokens
+const DOWNLOAD_TOKEN_AUDIENCE = 'digital-download';
+
+// An invoice claim older than this without a number was interrupted and may be taken again
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
 
 /**
  * OrderService - Service layer for order operations
@@ -13,7 +37,7 @@ import { logger } from '../../utils/logger.js';
  * - Get user orders
  * - Update order status
  * - Cancel orders
- * - Download digital products
+ * - Download digital products (signed, expiring links)
  */
 export class OrderService extends BaseService {
   constructor() {
@@ -41,6 +65,8 @@ export class OrderService extends BaseService {
 
       // Validate cart items and inventory
       const validatedItems = [];
+      const componentsById = new Map();
+      let needsShipping = false;
       for (const cartItem of cart.items) {
         const product = cartItem.product;
         
@@ -53,61 +79,102 @@ export class OrderService extends BaseService {
           throw new Error(`محصول ${product.name?.fa || product.name} در دسترس نیست`);
         }
 
-        // Check inventory for physical products
-        if (product.type === 'physical' && product.inventory.trackInventory) {
-          if (cartItem.quantity > product.inventory.quantity && !product.inventory.allowBackorder) {
-            throw new Error(`موجودی محصول ${product.name?.fa || product.name} کافی نیست. موجودی: ${product.inventory.quantity}`);
+        // Products with variants are sold per variant
+        let variant = null;
+        if (product.variants?.length) {
+          variant = product.getVariant(cartItem.variant);
+          if (!variant || variant.isActive === false) {
+            throw new Error(`تنوع انتخابی محصول ${product.name?.fa || product.name} در دسترس نیست`);
           }
         }
+        const pricing = variant?.pricing || product.pricing;
+
+        // Bundles are fulfilled through their components, which must all still be sellable
+        let bundleComponents;
+        if (product.type === 'bundle') {
+          const components = await BundleService.loadComponents(product);
+          BundleService.assertSellable(product, components);
+          bundleComponents = BundleService.resolveComponents(product, 1, components).map((line) => {
+            componentsById.set(line.product._id.toString(), line.product);
+            return {
+              product: line.product._id,
+              variant: line.variant?._id || null,
+              sku: line.variant?.sku || line.product.sku,
+              name: line.product.name,
+              type: line.product.type,
+              quantity: line.component.quantity,
+              digitalProductData: line.product.type === 'digital'
+                ? this._buildDigitalProductData(line.product, line.variant)
+                : undefined
+            };
+          });
+        }
+
+        // Check inventory for physical products and bundles (units held by other pending orders are not available)
+        if (product.type !== 'digital' && product.inventory.trackInventory) {
+          const available = product.getAvailableQuantity(variant);
+          if (cartItem.quantity > available && !(variant || product).inventory.allowBackorder) {
+            throw new Error(`موجودی محصول ${product.name?.fa || product.name} کافی نیست. موجودی: ${available}`);
+          }
+        }
+
+        const shipsItself = product.type === 'physical' && product.physicalProduct?.requiresShipping !== false;
+        if (shipsItself || bundleComponents?.some((component) => component.type === 'physical')) {
+          needsShipping = true;
+        }
 
-        // Get current price
-        const currentPrice = product.pricing.isOnSale && product.pricing.salePrice
-          ? product.pricing.salePrice
-          : product.pricing.basePrice;
+        // Get current price (in the base currency)
+        const currentPrice = await CurrencyService.getUnitPrice(product, variant);
 
         validatedItems.push({
           product: product._id,
+          variant: variant?._id || null,
+          sku: variant?.sku || product.sku,
+          variantTitle: product.getVariantTitle(variant) || undefined,
           quantity: cartItem.quantity,
           price: currentPrice,
-          salePrice: product.pricing.isOnSale && product.pricing.salePrice ? product.pricing.salePrice : null,
+          salePrice: pricing.isOnSale && pricing.salePrice
+            ? await CurrencyService.toBase(pricing.salePrice, product.pricing.currency)
+            : null,
           total: cartItem.quantity * currentPrice,
-          digitalProductData: product.type === 'digital' ? {
-            downloadUrl: product.digitalProduct?.downloadUrl,
-            downloadLimit: product.digitalProduct?.downloadLimit,
-            downloadExpiry: product.digitalProduct?.downloadExpiry
-              ? new Date(Date.now() + product.digitalProduct.downloadExpiry * 24 * 60 * 60 * 1000)
-              : null,
-            downloadCount: 0
-          } : undefined
+          digitalProductData: product.type === 'digital' ? this._buildDigitalProductData(product, variant) : undefined,
+          bundleComponents
         });
       }
 
-      // Validate and apply coupon if exists
+      // Shipping is quoted here for the chosen method and destination, never taken from the client
+      const shipping = { ...(orderData.shipping || {}), cost: 0 };
+      if (needsShipping) {
+        const quote = await ShippingService.calculateShippingCost(
+          shipping.method || 'standard',
+          validatedItems,
+          validatedItems.reduce((sum, item) => sum + item.total, 0),
+          shipping.address || null
+        );
+        shipping.cost = quote.cost;
+      }
+
+      // Promotions: entered coupon + automatic promotions, re-evaluated at current prices
+      const promotionResult = await PromotionService.evaluate({
+        items: validatedItems,
+        userId,
+        couponCode: cart.coupon?.code,
+        shippingCost: shipping.cost
+      });
+
+      // An entered coupon that no longer applies is dropped (order continues without it)
       let couponData = null;
       if (cart.coupon?.code) {
-        try {
-          const itemsForValidation = validatedItems.map(item => ({
-            product: item.product,
-            quantity: item.quantity
-          }));
-          
-          const validation = await CouponService.validateCoupon(
-            cart.coupon.code,
-            userId,
-            cart.totals.subtotal,
-            itemsForValidation
-          );
-          
-          if (validation.valid) {
-            couponData = {
-              code: validation.coupon.code,
-              discount: validation.coupon.discount,
-              discountType: validation.coupon.discountType
-            };
-          }
-        } catch (error) {
-          logger.warn(`Coupon validation failed for order: ${error.message}`);
-          // Continue without coupon if validation fails
+        const appliedCoupon = promotionResult.promotions.find((promotion) => promotion.code === cart.coupon.code);
+        if (appliedCoupon) {
+          couponData = {
+            code: appliedCoupon.code,
+            discount: appliedCoupon.amount + appliedCoupon.shippingDiscount,
+            discountType: appliedCoupon.type
+          };
+        } else {
+          const reason = promotionResult.rejected.find((rejection) => rejection.code === cart.coupon.code)?.reason;
+          logger.warn(`Coupon ${cart.coupon.code} not applied to order: ${reason}`);
         }
       }
 
@@ -116,7 +183,7 @@ export class OrderService extends BaseService {
         user: userId,
         items: validatedItems,
         contactInfo: orderData.contactInfo,
-        shipping: orderData.shipping || {},
+        shipping,
         payment: {
           method: orderData.paymentMethod,
           status: 'pending', // All orders start with pending payment status
@@ -124,132 +191,69 @@ export class OrderService extends BaseService {
         },
         totals: cart.totals,
         coupon: couponData,
+        promotions: promotionResult.promotions,
+        // Display currency and the rate the order was placed at (totals stay in Toman)
+        currency: await CurrencyService.snapshot(orderData.currency),
         cart: cart._id,
-        status: 'pending'
+        status: 'pending',
+        // Stock is held (not sold) until payment; released if unpaid by expiresAt
+        inventoryReservation: {
+          status: 'held',
+          expiresAt: InventoryService.getReservationExpiry()
+        }
       });
 
+      // Tax classes of the lines, inclusive pricing and buyer exemption at order time
+      await TaxService.applyToOrder(order);
+
       // Calculate totals
       order.calculateTotals();
 
       // Update payment amount to match calculated total
       order.payment.amount = order.totals.total;
 
-      // Save order
-      await order.save();
-      
-      // Update inventory for physical products using atomic operations
-      // This prevents race conditions when multiple orders are created simultaneously
-      for (const item of validatedItems) {
-        const product = await Product.findById(item.product);
-        if (product && product.type === 'physical' && product.inventory.trackInventory) {
-          // Use atomic operation to decrement inventory and check availability
-          const updatedProduct = await Product.findOneAndUpdate(
-            {
-              _id: item.product,
-              'inventory.quantity': { $gte: item.quantity } // Only update if enough inventory
-            },
-            {
-              $inc: {
-                'inventory.quantity': -item.quantity,
-                'sales': item.quantity
-              }
-            },
-            { new: true }
+      // Products from the populated cart and bundle components, keyed by ID (avoids re-fetching each one)
+      const productsById = new Map([
+        ...componentsById,
+        ...cart.items.map((cartItem) => [cartItem.product._id.toString(), cartItem.product])
+      ]);
+      const stockLines = validatedItems.flatMap(
+        (item) => InventoryService.expandItem(item, item.quantity, productsById)
+      );
+
+      // Order, inventory, promotion usage and cart conversion commit together or not at all
+      await runAtomically(async ({ session, onRollback }) => {
+        // Every applied promotion counts as a use (limits apply to automatic ones too)
+        await this._recordPromotionUsage(order, userId, { session, onRollback });
+
+        await order.save({ session });
+        onRollback(() => Order.deleteOne({ _id: order._id }));
+
+        for (const line of stockLines) {
+          await InventoryService.reserve(
+            line.product,
+            line.quantity,
+            order._id,
+            order.inventoryReservation.expiresAt,
+            { session, onRollback },
+            line.variant
           );
-
-          if (!updatedProduct) {
-            // Inventory was insufficient (race condition detected)
-            throw new Error(`موجودی محصول ${product.name?.fa || product.name} کافی نیست. لطفا سبد خرید را بررسی کنید.`);
-          }
-
-          // Update stock status based on new quantity
-          if (updatedProduct.inventory.quantity <= 0) {
-            updatedProduct.inventory.stockStatus = 'out_of_stock';
-          } else if (updatedProduct.inventory.quantity <= updatedProduct.inventory.lowStockThreshold) {
-            updatedProduct.inventory.stockStatus = 'low_stock';
-          } else {
-            updatedProduct.inventory.stockStatus = 'in_stock';
-          }
-          
-          await updatedProduct.save();
-        } else if (product && product.type === 'physical' && !product.inventory.trackInventory) {
-          // For products that don't track inventory, just update sales count
-          await Product.findByIdAndUpdate(item.product, {
-            $inc: { sales: item.quantity }
-          });
         }
-      }
 
-      // Record coupon usage if coupon was applied (using atomic operation)
-      if (couponData && couponData.code) {
-        try {
-          const { Coupon } = await import('../coupons/model.js');
-          
-          // Get the coupon to check current usage and limits
-          const couponDoc = await Coupon.findActiveByCode(couponData.code);
-          
-          if (couponDoc) {
-            const currentUsage = couponDoc.usage.count || 0;
-            const maxUsage = couponDoc.limits.maxUsage;
-            
-            // Check if usage limit would be exceeded
-            if (maxUsage && currentUsage >= maxUsage) {
-              logger.warn(`Coupon ${couponData.code} usage limit already exceeded (current: ${currentUsage}, max: ${maxUsage})`);
-              // Don't throw error - order is already created, just log the issue
-            } else {
-              // Use atomic operation to increment usage count and add history entry
-              // This prevents race conditions when multiple users apply the same coupon simultaneously
-              // We use the current usage count in the query condition to ensure atomicity
-              const updatedCoupon = await Coupon.findOneAndUpdate(
-                {
-                  _id: couponDoc._id,
-                  // Only update if usage count hasn't changed (optimistic locking)
-                  // and if usage limit hasn't been reached
-                  $expr: {
-                    $and: [
-                      { $eq: ['$usage.count', currentUsage] },
-                      {
-                        $or: [
-                          { $eq: ['$limits.maxUsage', null] },
-                          { $lt: ['$usage.count', '$limits.maxUsage'] }
-                        ]
-                      }
-                    ]
-                  }
-                },
-                {
-                  $inc: {
-                    'usage.count': 1,
-                    'usage.totalDiscount': couponData.discount
-                  },
-                  $push: {
-                    'usage.history': {
-                      user: userId,
-                      order: order._id,
-                      usedAt: new Date(),
-                      discountAmount: couponData.discount
-                    }
-                  }
-                },
-                { new: true }
-              );
-
-              if (!updatedCoupon) {
-                // Coupon usage limit exceeded during update (race condition detected)
-                logger.warn(`Coupon ${couponData.code} usage limit exceeded during order creation (race condition detected)`);
-                // Don't throw error - order is already created, just log the issue
-              }
-            }
-          }
-        } catch (error) {
-          logger.warn(`Failed to record coupon usage: ${error.message}`);
-          // Don't throw error - order is already created, just log the issue
-        }
-      }
-
-      // Mark cart as converted (archived)
-      cart.markAsConverted();
-      await cart.save();
+        // Mark cart as converted (archived)
+        const previousCartStatus = cart.status;
+        cart.markAsConverted();
+        await cart.save({ session });
+        onRollback(() => Cart.updateOne(
+          { _id: cart._id },
+          { $set: { status: previousCartStatus }, $unset: { convertedAt: 1 } }
+        ));
+      }, { label: `Checkout for user ${userId}` });
+
+      // Bundles made of the reserved products show the reduced availability
+      new Set(stockLines.map((line) => line.product._id.toString())).forEach((productId) => {
+        BundleService.refreshBundlesContaining(productId);
+      });
 
       // Populate order for response
       await order.populate({
@@ -358,6 +362,13 @@ export class OrderService extends BaseService {
       const oldStatus = order.status;
       await order.updateStatus(newStatus, userId, note);
 
+      if (newStatus === 'cancelled' && oldStatus !== newStatus) {
+        await InventoryService.restoreForOrder(order);
+        await LoyaltyService.returnRedeemedPoints(order);
+        await CouponService.releaseOrderUsage(order);
+        await FulfillmentService.cancelOpenShipments(order, userId);
+      }
+
       // Send notification to user
       if (order.user && oldStatus !== newStatus) {
         try {
@@ -434,42 +445,12 @@ export class OrderService extends BaseService {
         throw new Error('فقط سفارشات در انتظار پرداخت قابل لغو هستند');
       }
 
-      // Store old status before cancellation
-      const oldStatus = order.status;
-
       await order.cancel(userId, reason);
 
-      // Restore inventory if order was processing or shipped (before cancellation)
-      if (oldStatus === 'processing' || oldStatus === 'shipped') {
-        for (const item of order.items) {
-          const product = await Product.findById(item.product);
-          if (product && product.type === 'physical' && product.inventory.trackInventory) {
-            // Use atomic operation to restore inventory
-            const updatedProduct = await Product.findByIdAndUpdate(
-              item.product,
-              {
-                $inc: {
-                  'inventory.quantity': item.quantity
-                }
-              },
-              { new: true }
-            );
-
-            if (updatedProduct) {
-              // Update stock status based on new quantity
-              if (updatedProduct.inventory.quantity > updatedProduct.inventory.lowStockThreshold) {
-                updatedProduct.inventory.stockStatus = 'in_stock';
-              } else if (updatedProduct.inventory.quantity > 0) {
-                updatedProduct.inventory.stockStatus = 'low_stock';
-              } else {
-                updatedProduct.inventory.stockStatus = 'out_of_stock';
-              }
-              
-              await updatedProduct.save();
-            }
-          }
-        }
-      }
+      // Give back held (or already sold) stock, any points spent on it and its coupon uses
+      await InventoryService.restoreForOrder(order);
+      await LoyaltyService.returnRedeemedPoints(order);
+      await CouponService.releaseOrderUsage(order);
 
       logger.info(`Order cancelled: ${order.orderNumber}, user: ${userId}`);
       return order;
@@ -498,6 +479,43 @@ export class OrderService extends BaseService {
 
       await order.markAsPaid(transactionId, gateway, gatewayResponse);
 
+      // Turn the checkout hold into a sale
+      await InventoryService.commitForOrder(order);
+
+      try {
+        await this.issueInvoiceNumber(order);
+      } catch (invoiceError) {
+        // Issued on the next invoice download instead
+        logger.error(`Failed to issue invoice number for order ${order.orderNumber}:`, invoiceError);
+      }
+
+      try {
+        await LoyaltyService.awardOrderPoints(order);
+      } catch (loyaltyError) {
+        // Payment is done - points can be fixed with an adjustment
+        logger.error(`Failed to award loyalty points for order ${order.orderNumber}:`, loyaltyError);
+      }
+
+      // Signup/renewal orders start or extend their subscription
+      if (order.subscription?.id) {
+        try {
+          const { SubscriptionService } = await import('../subscriptions/service.js');
+          await SubscriptionService.handleOrderPaid(order);
+        } catch (subscriptionError) {
+          logger.error(`Failed to extend subscription for order ${order.orderNumber}:`, subscriptionError);
+        }
+      }
+
+      // Revenue of carts brought back by a recovery campaign
+      if (order.cart) {
+        try {
+          const { CartRecoveryService } = await import('../cart/recoveryService.js');
+          await CartRecoveryService.handleOrderPaid(order);
+        } catch (recoveryError) {
+          logger.error(`Failed to record cart recovery for order ${order.orderNumber}:`, recoveryError);
+        }
+      }
+
       logger.info(`Order marked as paid: ${order.orderNumber}, transaction: ${transactionId}, status: ${order.status}`);
       return order;
     } catch (error) {
@@ -506,6 +524,77 @@ export class OrderService extends BaseService {
     }
   }
 
+  /**
+   * Issue the legal invoice number of a paid order: PREFIX-YEAR-000001, sequential per
+   * Jalali year and separate from orderNumber. Issued once: claiming the order, taking the
+   * number and writing it run as one unit of work, so a failure leaves neither a claim
+   * nor a gap. A claim that never got its number (crashed mid-way) is retried after
+   * INVOICE_CLAIM_TIMEOUT_MS.
+   * @param {Order} order - Paid order document
+   * @returns {Promise<Object>} Order invoice { number, fiscalYear, sequence, issuedAt }
+   */
+  static async issueInvoiceNumber(order) {
+    if (order.invoice?.number) {
+      return order.invoice;
+    }
+
+    const issuedAt = new Date();
+    const invoice = await runAtomically(async ({ session, onRollback }) => {
+      const claim = await Order.updateOne(
+        {
+          _id: order._id,
+          'invoice.number': null,
+          $or: [
+            { 'invoice.issuedAt': null },
+            { 'invoice.issuedAt': { $lt: new Date(issuedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+          ]
+        },
+        { $set: { 'invoice.issuedAt': issuedAt } },
+        { session }
+      );
+      if (claim.modifiedCount === 0) {
+        // Issued (or being issued) by a concurrent call
+        return null;
+      }
+      onRollback(() => Order.updateOne(
+        { _id: order._id, 'invoice.issuedAt': issuedAt, 'invoice.number': null },
+        { $set: { 'invoice.issuedAt': null } }
+      ));
+
+      const { invoicePrefix } = await TaxService.getConfig();
+      const fiscalYear = TaxService.getFiscalYear(issuedAt);
+      const counter = await InvoiceCounter.findOneAndUpdate(
+        { _id: fiscalYear },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+      );
+      // Give the number back unless a later one was taken meanwhile
+      onRollback(() => InvoiceCounter.updateOne({ _id: fiscalYear, seq: counter.seq }, { $inc: { seq: -1 } }));
+
+      const issued = {
+        number: `${invoicePrefix}-${fiscalYear}-${String(counter.seq).padStart(6, '0')}`,
+        fiscalYear,
+        sequence: counter.seq,
+        issuedAt
+      };
+      await Order.updateOne(
+        { _id: order._id, 'invoice.issuedAt': issuedAt },
+        { $set: { invoice: issued } },
+        { session }
+      );
+      return issued;
+    }, { label: `invoice number for order ${order.orderNumber}` });
+
+    if (!invoice) {
+      const current = await Order.findById(order._id).select('invoice').lean();
+      return current?.invoice;
+    }
+
+    order.invoice = invoice;
+    logger.info(`Invoice issued: ${invoice.number} for order ${order.orderNumber}`);
+    return invoice;
+  }
+
   /**
    * Get orders with filters (for admin)
    * @param {Object} filters - Filter options
@@ -576,71 +665,316 @@ export class OrderService extends BaseService {
 
   /**
    * Download digital product from order
+   * Kept for older clients: returns a signed download link instead of the stored file URL
    * @param {string} orderId - Order ID
    * @param {string} itemId - Order item ID
    * @param {string} userId - User ID
    * @returns {Promise<Object>} Download URL and metadata
    */
   static async downloadDigitalProduct(orderId, itemId, userId) {
+    return this.createDownloadToken(orderId, itemId, userId);
+  }
+
+  /**
+   * Issue a short-lived signed download link bound to the order item and user
+   * @param {string} orderId - Order ID
+   * @param {string} itemId - Order item ID
+   * @param {string} userId - User ID
+   * @param {string} componentId - Bundle component ID (digital component of a bundle line)
+   * @returns {Promise<Object>} { downloadUrl, expiresAt, downloadCount, downloadLimit, downloadExpiry }
+   */
+  static async createDownloadToken(orderId, itemId, userId, componentId = null) {
     try {
-      const order = await Order.findOne({
-        _id: orderId,
-        user: userId,
-        deletedAt: null
-      });
+      const { target } = await this._getDownloadableItem(orderId, itemId, userId, componentId);
+
+      const ttl = this.getDownloadTokenTtl();
+      const token = jwt.sign(
+        {
+          order: orderId.toString(),
+          item: itemId.toString(),
+          component: componentId ? componentId.toString() : undefined,
+          user: userId.toString()
+        },
+        this._downloadTokenSecret(),
+        { expiresIn: ttl, audience: DOWNLOAD_TOKEN_AUDIENCE }
+      );
+      const baseUrl = process.env.API_BASE_URL || `http://localhost:${config.PORT || 5000}`;
 
-      if (!order) {
-        throw new Error('سفارش یافت نشد');
-      }
+      return {
+        downloadUrl: `${baseUrl}/api/${config.API_VERSION}/orders/downloads/${token}`,
+        expiresAt: new Date(Date.now() + ttl * 1000),
+        downloadCount: target.digitalProductData.downloadCount || 0,
+        downloadLimit: target.digitalProductData.downloadLimit,
+        downloadExpiry: target.digitalProductData.downloadExpiry
+      };
+    } catch (error) {
+      logger.error('Create download token error:', error);
+      throw error;
+    }
+  }
 
-      // Find the item in order
-      const item = order.items.id(itemId);
-      if (!item) {
-        throw new Error('آیتم سفارش یافت نشد');
+  /**
+   * Verify a download token and open the file stream from storage
+   * Access is re-checked here, so refunds and exhausted limits apply to issued links too.
+   * The download is counted here (atomically, within the limit) and given back by
+   * recordDownload() if the transfer does not complete.
+   * @param {string} token - Token from createDownloadToken
+   * @returns {Promise<Object>} { order, item, user, product, filename, contentType, contentLength, stream }
+   */
+  static async openDownload(token) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, this._downloadTokenSecret(), { audience: DOWNLOAD_TOKEN_AUDIENCE });
+      } catch (error) {
+        throw new Error('لینک دانلود نامعتبر یا منقضی شده است');
       }
 
-      // Check if item is digital product
-      if (!item.digitalProductData || !item.digitalProductData.downloadUrl) {
-        throw new Error('این محصول دیجیتال نیست');
-      }
+      const { target } = await this._getDownloadableItem(payload.order, payload.item, payload.user, payload.component);
+      const download = {
+        order: payload.order,
+        item: payload.item,
+        component: payload.component || null,
+        user: payload.user,
+        product: target.product,
+        counted: false
+      };
 
-      // Check if order is paid
-      if (order.payment.status !== 'completed') {
-        throw new Error('سفارش پرداخت نشده است');
+      // Concurrent opens of the same link cannot go past the limit
+      if (!await this._adjustDownloadCount(download, 1, target.digitalProductData.downloadLimit)) {
+        throw new Error('تعداد دانلود مجاز به پایان رسیده است');
       }
+      download.counted = true;
 
-      // Check download limit
-      if (item.digitalProductData.downloadLimit !== null) {
-        if ((item.digitalProductData.downloadCount || 0) >= item.digitalProductData.downloadLimit) {
-          throw new Error('تعداد دانلود مجاز به پایان رسیده است');
-        }
+      // Files in our bucket get a presigned URL that only lives for the transfer
+      const sourceUrl = target.digitalProductData.downloadUrl;
+      const { arvanObjectStorageService } = await import('../../services/arvanObjectStorage.js');
+      const key = arvanObjectStorageService.getKeyFromUrl(sourceUrl);
+
+      let response;
+      try {
+        const fileUrl = key ? await arvanObjectStorageService.getSignedFileUrl(key, 60) : sourceUrl;
+        response = await axios.get(fileUrl, { responseType: 'stream', timeout: 30000 });
+      } catch (error) {
+        await this.recordDownload(download, { status: 'failed' });
+        throw new Error('فایل در حال حاضر در دسترس نیست');
       }
 
-      // Check download expiry
-      if (item.digitalProductData.downloadExpiry) {
-        if (new Date() > new Date(item.digitalProductData.downloadExpiry)) {
-          throw new Error('مدت زمان دانلود به پایان رسیده است');
-        }
+      return {
+        ...download,
+        filename: path.basename(key || new URL(sourceUrl).pathname) || 'download',
+        contentType: response.headers['content-type'] || 'application/octet-stream',
+        contentLength: response.headers['content-length'] || null,
+        stream: response.data
+      };
+    } catch (error) {
+      logger.error('Open download error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log a download attempt; a transfer that did not complete gives its counted download back
+   * @param {Object} download - { order, item, user, product, counted } from openDownload()
+   * @param {Object} details - { status, bytes, ip, userAgent }
+   * @returns {Promise<DigitalDownload>}
+   */
+  static async recordDownload(download, { status, bytes = 0, ip = null, userAgent = null }) {
+    try {
+      if (status !== 'completed' && download.counted) {
+        await this._adjustDownloadCount(download, -1);
+        download.counted = false;
+      }
+      if (status === 'completed') {
+        logger.info(
+          `Digital product downloaded: order ${download.order}, item ${download.item}, user ${download.user}`
+        );
       }
 
-      // Increment download count
-      item.digitalProductData.downloadCount = (item.digitalProductData.downloadCount || 0) + 1;
-      await order.save();
+      return await DigitalDownload.create({
+        order: download.order,
+        item: download.item,
+        component: download.component,
+        user: download.user,
+        product: download.product,
+        status,
+        bytes,
+        ip,
+        userAgent: userAgent ? userAgent.substring(0, 500) : null
+      });
+    } catch (error) {
+      logger.error('Record download error:', error);
+      throw error;
+    }
+  }
 
-      logger.info(`Digital product downloaded: order ${order.orderNumber}, item ${itemId}, user ${userId}`);
+  /**
+   * Download log of an order item (admin abuse review)
+   * @param {string} orderId - Order ID
+   * @param {string} itemId - Order item ID
+   * @returns {Promise<Object>} { downloads, summary: { completed, aborted, failed, uniqueIps } }
+   */
+  static async getItemDownloads(orderId, itemId) {
+    try {
+      const downloads = await DigitalDownload.find({ order: orderId, item: itemId })
+        .sort({ createdAt: -1 })
+        .limit(500)
+        .lean();
 
-      return {
-        downloadUrl: item.digitalProductData.downloadUrl,
-        downloadCount: item.digitalProductData.downloadCount,
-        downloadLimit: item.digitalProductData.downloadLimit,
-        downloadExpiry: item.digitalProductData.downloadExpiry
-      };
+      const summary = { completed: 0, aborted: 0, failed: 0 };
+      downloads.forEach((download) => {
+        summary[download.status] += 1;
+      });
+      summary.uniqueIps = new Set(downloads.map((download) => download.ip).filter(Boolean)).size;
+
+      return { downloads, summary };
     } catch (error) {
-      logger.error('Download digital product error:', error);
+      logger.error('Get item downloads error:', error);
       throw error;
     }
   }
 
+  /**
+   * Download token lifetime in seconds (env DIGITAL_DOWNLOAD_TOKEN_TTL_MINUTES, default 10)
+   * @returns {number}
+   */
+  static getDownloadTokenTtl() {
+    const minutes = parseInt(process.env.DIGITAL_DOWNLOAD_TOKEN_TTL_MINUTES, 10);
+    return (minutes > 0 ? minutes : 10) * 60;
+  }
+
+  /**
+   * Private: Download access copied to an order line (variant overrides the product's file and limit)
+   * @private
+   */
+  static _buildDigitalProductData(product, variant = null) {
+    return {
+      downloadUrl: variant?.digitalProduct?.downloadUrl || product.digitalProduct?.downloadUrl,
+      downloadLimit: variant?.digitalProduct?.downloadLimit ?? product.digitalProduct?.downloadLimit,
+      downloadExpiry: product.digitalProduct?.downloadExpiry
+        ? new Date(Date.now() + product.digitalProduct.downloadExpiry * 24 * 60 * 60 * 1000)
+        : null,
+      downloadCount: 0
+    };
+  }
+
+  /**
+   * Private: Download tokens use a key derived from JWT_SECRET so they never pass as access tokens
+   * @private
+   */
+  static _downloadTokenSecret() {
+    return crypto.createHmac('sha256', config.JWT_SECRET).update(DOWNLOAD_TOKEN_AUDIENCE).digest('hex');
+  }
+
+  /**
+   * Private: Load an order item (or one of its bundle components) and check the user may download it
+   * @private
+   * @returns {Promise<Object>} { order, item, target } - target holds the digitalProductData
+   */
+  static async _getDownloadableItem(orderId, itemId, userId, componentId = null) {
+    const order = await Order.findOne({
+      _id: orderId,
+      user: userId,
+      deletedAt: null
+    });
+
+    if (!order) {
+      throw new Error('سفارش یافت نشد');
+    }
+
+    // Find the item in order
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw new Error('آیتم سفارش یافت نشد');
+    }
+
+    // Digital components of a bundle are downloaded one by one
+    const target = componentId ? item.bundleComponents?.find((c) => c._id.toString() === componentId.toString()) : item;
+    if (!target) {
+      throw new Error('جزء بسته در این سفارش یافت نشد');
+    }
+
+    // Check if item is digital product
+    if (!target.digitalProductData || !target.digitalProductData.downloadUrl) {
+      throw new Error('این محصول دیجیتال نیست');
+    }
+
+    // Check if order is paid
+    if (order.payment.status !== 'completed' && order.payment.status !== 'partially_refunded') {
+      throw new Error('سفارش پرداخت نشده است');
+    }
+
+    // Refunded lines lose download access
+    if ((item.refundedQuantity || 0) >= item.quantity) {
+      throw new Error('وجه این محصول بازگردانده شده است');
+    }
+
+    // Check download limit
+    if (target.digitalProductData.downloadLimit != null) {
+      if ((target.digitalProductData.downloadCount || 0) >= target.digitalProductData.downloadLimit) {
+        throw new Error('تعداد دانلود مجاز به پایان رسیده است');
+      }
+    }
+
+    // Check download expiry
+    if (target.digitalProductData.downloadExpiry) {
+      if (new Date() > new Date(target.digitalProductData.downloadExpiry)) {
+        throw new Error('مدت زمان دانلود به پایان رسیده است');
+      }
+    }
+
+    return { order, item, target };
+  }
+
+  /**
+   * Take (delta 1) or give back (delta -1) one download of an order item or bundle component
+   * Taking one only succeeds while the count is below the limit (null = unlimited).
+   * @private
+   * @returns {Promise<boolean>} Whether the count changed
+   */
+  static async _adjustDownloadCount(download, delta, limit = null) {
+    let countCondition = null;
+    if (delta < 0) {
+      countCondition = { $gt: 0 };
+    } else if (limit != null) {
+      // Older items may have no count yet
+      countCondition = { $not: { $gte: limit } };
+    }
+    const itemId = new mongoose.Types.ObjectId(download.item);
+
+    let result;
+    if (download.component) {
+      result = await Order.updateOne(
+        { _id: download.order },
+        { $inc: { 'items.$[item].bundleComponents.$[component].digitalProductData.downloadCount': delta } },
+        {
+          arrayFilters: [
+            { 'item._id': itemId },
+            {
+              'component._id': new mongoose.Types.ObjectId(download.component),
+              ...(countCondition && { 'component.digitalProductData.downloadCount': countCondition })
+            }
+          ]
+        }
+      );
+    } else {
+      result = await Order.updateOne(
+        {
+          _id: download.order,
+          items: {
+            $elemMatch: {
+              _id: itemId,
+              ...(countCondition && { 'digitalProductData.downloadCount': countCondition })
+            }
+          }
+        },
+        { $inc: { 'items.$.digitalProductData.downloadCount': delta } }
+      );
+    }
+
+    return result.modifiedCount > 0;
+  }
+
   /**
    * Generate invoice PDF for order
    * @param {string} orderId - Order ID
@@ -662,185 +996,60 @@ export class OrderService extends BaseService {
         throw new Error('شما اجازه دسترسی به این فاکتور را ندارید');
       }
 
-      const PDFDocument = (await import('pdfkit')).default;
-      const path = (await import('path')).default;
-      const fs = (await import('fs')).default;
-      const { createRequire } = await import('module');
-      const require = createRequire(import.meta.url);
-      
-      const doc = new PDFDocument({ 
-        margin: 50,
-        size: 'A4',
-        autoFirstPage: true
-      });
-
-      const buffers = [];
-      doc.on('data', buffers.push.bind(buffers));
-
-      // Register Persian font for proper RTL text rendering
-      // Using fonts from front/public/fonts (copied to back/fonts)
-      let persianFont = 'Helvetica'; // Default fallback
-      let persianFontBold = 'Helvetica-Bold'; // Default fallback for bold
-      
-      try {
-        const fontsDir = path.join(process.cwd(), 'fonts');
-        
-        // Try to register Persian fonts (woff/woff2 need to be converted or use fontkit)
-        // pdfkit only supports TTF/OTF, so we'll try to find TTF first, then try woff conversion
-        const possibleFonts = [
-          { name: 'IRANSans-Regular.ttf', bold: 'IRANSans-Bold.ttf' },
-          { name: 'IRANSansXFaNum-Regular.ttf', bold: 'IRANSansXFaNum-Bold.ttf' },
-          { name: 'Vazir.ttf', bold: 'Vazir-Bold.ttf' },
-          { name: 'Tahoma.ttf', bold: 'Tahoma-Bold.ttf' }
-        ];
-        
-        let fontRegistered = false;
-        
-        // First, try TTF fonts
-        for (const fontSet of possibleFonts) {
-          const regularPath = path.join(fontsDir, fontSet.name);
-          const boldPath = path.join(fontsDir, fontSet.bold);
-          
-          if (fs.existsSync(regularPath)) {
-            doc.registerFont('Persian', regularPath);
-            persianFont = 'Persian';
-            fontRegistered = true;
-            
-            if (fs.existsSync(boldPath)) {
-              doc.registerFont('Persian-Bold', boldPath);
-              persianFontBold = 'Persian-Bold';
-            }
-            
-            logger.info(`Persian font registered: ${fontSet.name}`);
-            break;
-          }
-        }
-        
-        // If no TTF found, try to use woff fonts with opentype.js
-        // opentype.js supports woff but not woff2
-        // For woff2, we'll need to convert them to woff or TTF first
-        if (!fontRegistered) {
-          try {
-            const opentype = (await import('opentype.js')).default;
-            const woffRegularPath = path.join(fontsDir, 'IRANSansXFaNum-Regular.woff');
-            const woffBoldPath = path.join(fontsDir, 'IRANSansXFaNum-Bold.woff');
-            
-            // opentype.js only supports woff, not woff2
-            // So we'll use woff files if available
-            let regularFontPath = null;
-            let boldFontPath = null;
-            
-            if (fs.existsSync(woffRegularPath)) {
-              regularFontPath = woffRegularPath;
-            }
-            
-            if (fs.existsSync(woffBoldPath)) {
-              boldFontPath = woffBoldPath;
-            }
-            
-            if (regularFontPath) {
-              // opentype.js can read woff files and convert them to TTF
-              const fontBuffer = fs.readFileSync(regularFontPath);
-              const font = opentype.parse(fontBuffer.buffer);
-              
-              // opentype.js can convert font to TTF ArrayBuffer
-              // Use toArrayBuffer (toBuffer is deprecated)
-              const ttfArrayBuffer = font.toArrayBuffer();
-              // Convert ArrayBuffer to Node.js Buffer
-              const ttfBuffer = Buffer.from(ttfArrayBuffer);
-              
-              // Register the TTF buffer with pdfkit
-              doc.registerFont('Persian', ttfBuffer);
-              persianFont = 'Persian';
-              fontRegistered = true;
-              
-              // Handle bold font
-              if (boldFontPath) {
-                const boldFontBuffer = fs.readFileSync(boldFontPath);
-                const boldFont = opentype.parse(boldFontBuffer.buffer);
-                const boldTtfArrayBuffer = boldFont.toArrayBuffer();
-                const boldTtfBuffer = Buffer.from(boldTtfArrayBuffer);
-                doc.registerFont('Persian-Bold', boldTtfBuffer);
-                persianFontBold = 'Persian-Bold';
-              }
-              
-              logger.info(`Persian font registered from ${path.basename(regularFontPath)} using opentype.js`);
-            }
-          } catch (woffError) {
-            logger.warn('Could not load woff font with opentype.js:', woffError);
-            // Fallback: log that TTF conversion is needed
-            logger.warn('Please ensure woff fonts are available or convert woff2 to woff/TTF format');
-          }
-        }
-        
-        // If still no font found, log a warning
-        if (!fontRegistered) {
-          logger.warn('No Persian font found. PDF may display Persian text incorrectly. ' +
-                     'Please ensure fonts are in back/fonts/ directory.');
-        }
-      } catch (fontError) {
-        logger.warn('Could not register Persian font, using fallback:', fontError);
+      // Paid orders are legal invoices (numbered); unpaid ones are pro forma
+      const isPaid = order.payment?.status === 'completed';
+      if (isPaid && !order.invoice?.number) {
+        await this.issueInvoiceNumber(order);
       }
-
-      // Helper function to reshape and apply bidi for Persian text
-      // This ensures proper RTL text rendering in PDF
-      // Note: Using require (via createRequire) since pdfkit text() is synchronous
-      const preparePersianText = (text) => {
-        if (!text || typeof text !== 'string') return text || '';
-        
-        try {
-          // Use require (created via createRequire above) for ES modules compatibility
-          const arabicReshaper = require('arabic-reshaper');
-          
-          // Reshape Arabic/Persian characters for proper display
-          // convertArabic converts isolated characters to their contextual forms
-          // This is essential for proper Persian text rendering in PDF
-          const reshaped = arabicReshaper.convertArabic(text);
-          
-          // Note: pdfkit handles RTL direction through align: 'right'
-          // The reshaped text will display correctly with Persian font
-          // Bidi algorithm is not strictly necessary as pdfkit's align handles direction
-          return reshaped;
-        } catch (error) {
-          // If reshape fails, return original text
-          // This ensures the PDF generation doesn't fail if libraries are unavailable
-          if (process.env.NODE_ENV === 'development') {
-            logger.warn('Error reshaping Persian text:', error);
-          }
-          return text;
-        }
-      };
-
-      // Helper function to format price
-      const formatPrice = (price) => {
-        return new Intl.NumberFormat('fa-IR').format(price || 0);
-      };
-
-      // Helper function to format date
-      const formatDate = (date) => {
-        if (!date) return '-';
-        const d = new Date(date);
-        return new Intl.DateTimeFormat('fa-IR', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-          calendar: 'persian'
-        }).format(d);
-      };
+      const settings = await Settings.getInstance();
+      const seller = settings.business || {};
+      const buyer = order.tax?.buyer || {};
+
+      const {
+        doc,
+        fonts,
+        text: preparePersianText,
+        formatPrice,
+        formatDate,
+        toBuffer
+      } = await createPersianPdf();
+      const persianFont = fonts.regular;
+      const persianFontBold = fonts.bold;
 
       // Header - Use font that supports Persian with RTL
       doc.fontSize(24)
          .font(persianFont)
-         .text(preparePersianText('فاکتور فروش'), { align: 'right' })
+         .text(preparePersianText(isPaid ? 'صورتحساب فروش' : 'پیش‌فاکتور'), { align: 'right' })
          .moveDown();
 
       // Order Info
       doc.fontSize(12)
-         .font(persianFont)
-         .text(preparePersianText(`شماره سفارش: ${order.orderNumber}`), { align: 'right' })
+         .font(persianFont);
+      if (order.invoice?.number) {
+        doc.text(preparePersianText(`شماره صورتحساب: ${order.invoice.number}`), { align: 'right' })
+           .text(preparePersianText(`تاریخ صدور: ${formatDate(order.invoice.issuedAt)}`), { align: 'right' });
+      }
+      doc.text(preparePersianText(`شماره سفارش: ${order.orderNumber}`), { align: 'right' })
          .text(preparePersianText(`تاریخ ثبت: ${formatDate(order.createdAt)}`), { align: 'right' })
          .moveDown();
 
+      // Seller Info
+      doc.fontSize(14)
+         .font(persianFont)
+         .text(preparePersianText('اطلاعات فروشنده:'), { align: 'right' })
+         .fontSize(12)
+         .text(preparePersianText(`نام: ${seller.companyName?.fa || settings.siteName?.fa || '-'}`), { align: 'right' });
+      if (seller.taxId) {
+        doc.text(preparePersianText(`شماره اقتصادی: ${seller.taxId}`), { align: 'right' });
+      }
+      if (seller.registrationNumber) {
+        doc.text(preparePersianText(`شماره ثبت: ${seller.registrationNumber}`), { align: 'right' });
+      }
+      if (settings.contact?.address?.fa) {
+        doc.text(preparePersianText(`نشانی: ${settings.contact.address.fa}`), { align: 'right' });
+      }
+      doc.moveDown();
+
       // Customer Info
       doc.fontSize(14)
          .font(persianFont)
@@ -853,6 +1062,24 @@ export class OrderService extends BaseService {
         doc.font(persianFont)
            .text(preparePersianText(`تلفن: ${order.contactInfo?.phoneNumber || order.user?.phone || '-'}`), { align: 'right' });
       }
+      if (buyer.companyName) {
+        doc.text(preparePersianText(`نام شرکت: ${buyer.companyName}`), { align: 'right' });
+      }
+      if (buyer.economicCode) {
+        doc.text(preparePersianText(`شماره اقتصادی: ${buyer.economicCode}`), { align: 'right' });
+      }
+      if (buyer.nationalId) {
+        doc.text(preparePersianText(`${buyer.type === 'legal' ? 'شناسه ملی' : 'کد ملی'}: ${buyer.nationalId}`), { align: 'right' });
+      }
+      if (buyer.registrationNumber) {
+        doc.text(preparePersianText(`شماره ثبت: ${buyer.registrationNumber}`), { align: 'right' });
+      }
+      if (buyer.postalCode) {
+        doc.text(preparePersianText(`کد پستی: ${buyer.postalCode}`), { align: 'right' });
+      }
+      if (buyer.address) {
+        doc.text(preparePersianText(`نشانی: ${buyer.address}`), { align: 'right' });
+      }
       
       doc.moveDown();
 
@@ -869,7 +1096,8 @@ export class OrderService extends BaseService {
          .text(preparePersianText('جمع'), 450, tableTop, { width: 80, align: 'right' })
          .text(preparePersianText('قیمت واحد'), 350, tableTop, { width: 80, align: 'right' })
          .text(preparePersianText('تعداد'), 280, tableTop, { width: 60, align: 'right' })
-         .text(preparePersianText('نام محصول'), 50, tableTop, { width: 220, align: 'right' });
+         .text(preparePersianText('مالیات'), 220, tableTop, { width: 50, align: 'right' })
+         .text(preparePersianText('نام محصول'), 50, tableTop, { width: 160, align: 'right' });
 
       // Draw line under header
       doc.moveTo(50, doc.y + 5)
@@ -880,19 +1108,23 @@ export class OrderService extends BaseService {
       // Items
       let y = doc.y;
       order.items.forEach((item, index) => {
-        const productName = item.product?.name?.fa || item.product?.name || 'محصول';
+        const baseName = item.product?.name?.fa || item.product?.name || 'محصول';
+        // Chosen variant (e.g. size/color/license) is part of the line
+        const productName = item.variantTitle?.fa ? `${baseName} - ${item.variantTitle.fa}` : baseName;
         const quantity = item.quantity || 1;
         const price = item.price || 0;
         const total = item.total || 0;
+        const taxRate = item.tax ? `${Math.round(item.tax.rate * 1000) / 10}%` : '-';
 
         doc.fontSize(10)
            .font(persianFont)
            .text(formatPrice(total), 450, y, { width: 80, align: 'right' })
            .text(formatPrice(price), 350, y, { width: 80, align: 'right' })
            .text(quantity.toString(), 280, y, { width: 60, align: 'right' })
-           .text(preparePersianText(productName), 50, y, { width: 220, align: 'right' });
+           .text(taxRate, 220, y, { width: 50, align: 'right' })
+           .text(preparePersianText(productName), 50, y, { width: 160, align: 'right' });
 
-        y += 25;
+        y += item.variantTitle?.fa ? 35 : 25;
         if (y > 700) {
           doc.addPage();
           y = 50;
@@ -915,19 +1147,46 @@ export class OrderService extends BaseService {
       }
       if (order.totals?.discount > 0) {
         doc.text(preparePersianText(`تخفیف: ${formatPrice(order.totals.discount)} تومان`), { align: 'right' });
+        // Applied promotions, line by line
+        (order.promotions || []).filter((promotion) => promotion.amount > 0).forEach((promotion) => {
+          const label = promotion.title?.fa || promotion.code;
+          doc.fontSize(10)
+             .text(preparePersianText(`${label}: ${formatPrice(promotion.amount)} تومان`), { align: 'right' })
+             .fontSize(12);
+        });
       }
       if (order.totals?.shipping > 0) {
         doc.text(preparePersianText(`هزینه ارسال: ${formatPrice(order.totals.shipping)} تومان`), { align: 'right' });
       }
-      if (order.totals?.tax > 0) {
+      if (order.totals?.shippingDiscount > 0) {
+        doc.text(preparePersianText(`تخفیف ارسال: ${formatPrice(order.totals.shippingDiscount)} تومان`), { align: 'right' });
+      }
+      const taxLines = (order.totals?.taxLines || []).filter((line) => line.rate > 0);
+      if (taxLines.length > 0) {
+        // VAT per tax class
+        taxLines.forEach((line) => {
+          const label = `${line.name?.fa || 'مالیات بر ارزش افزوده'} (${Math.round(line.rate * 1000) / 10}%)`;
+          doc.text(
+            preparePersianText(`${label} بر ${formatPrice(line.taxableAmount)}: ${formatPrice(line.amount)} تومان`),
+            { align: 'right' }
+          );
+        });
+      } else if (order.totals?.tax > 0) {
         doc.text(preparePersianText(`مالیات: ${formatPrice(order.totals.tax)} تومان`), { align: 'right' });
       }
+      if (order.totals?.taxExempted > 0) {
+        doc.text(preparePersianText(`معافیت مالیاتی خریدار: ${formatPrice(order.totals.taxExempted)} تومان`), { align: 'right' });
+      }
       
       doc.moveDown(0.5);
       doc.fontSize(14)
          .font(persianFontBold)
          .text(preparePersianText(`مجموع کل: ${formatPrice(order.totals?.total || 0)} تومان`), { align: 'right' })
          .font(persianFont);
+      if (order.totals?.taxInclusive && order.totals?.tax > 0) {
+        doc.fontSize(10)
+           .text(preparePersianText('مبالغ شامل مالیات بر ارزش افزوده است.'), { align: 'right' });
+      }
 
       // Payment Info
       doc.moveDown();
@@ -954,27 +1213,122 @@ export class OrderService extends BaseService {
          .text(preparePersianText('این فاکتور به صورت خودکار تولید شده است.'), { align: 'center' })
          .text(preparePersianText('هیکاوب - hikaweb.ir'), { align: 'center' });
 
-      doc.end();
-
-      // Wait for PDF to be generated
-      return new Promise((resolve, reject) => {
-        doc.on('end', () => {
-          const pdfBuffer = Buffer.concat(buffers);
-          logger.info(`Invoice generated for order: ${order.orderNumber}`);
-          resolve(pdfBuffer);
-        });
-
-        doc.on('error', (error) => {
-          logger.error('PDF generation error:', error);
-          reject(error);
-        });
-      });
+      const pdfBuffer = await toBuffer();
+      logger.info(`Invoice generated for order: ${order.orderNumber}`);
+      return pdfBuffer;
     } catch (error) {
       logger.error('Generate invoice error:', error);
       throw error;
     }
   }
 
+  /**
+   * Record the use of each promotion applied to a new order (inside the checkout unit of work)
+   * An automatic promotion that ran out since it was evaluated is dropped and the totals are
+   * recalculated; an entered code that ran out fails the checkout.
+   * @private
+   * @param {Order} order - New order (not saved yet)
+   * @param {string} userId - User ID
+   * @param {Object} ctx - Unit of work context ({ session, onRollback })
+   */
+  static async _recordPromotionUsage(order, userId, { session, onRollback }) {
+    const exhausted = [];
+    for (const promotion of order.promotions) {
+      const recorded = await this._recordCouponUsage(
+        {
+          code: promotion.code,
+          discount: promotion.amount + promotion.shippingDiscount,
+          automatic: promotion.automatic
+        },
+        userId,
+        order._id,
+        { session, onRollback }
+      );
+      if (!recorded) {
+        exhausted.push(promotion.code);
+      }
+    }
+
+    if (exhausted.length === 0) {
+      return;
+    }
+
+    logger.warn(`Automatic promotions ran out before checkout, dropped: ${exhausted.join(', ')}`);
+    order.promotions = order.promotions.filter((promotion) => !exhausted.includes(promotion.code));
+    if (order.coupon?.code && exhausted.includes(order.coupon.code)) {
+      order.coupon = null;
+    }
+    order.calculateTotals();
+    order.payment.amount = order.totals.total;
+  }
+
+  /**
+   * Record coupon usage for a new order (atomic, inside checkout unit of work)
+   * Automatic promotions only count uses: a history entry per order would grow without limit.
+   * @private
+   * @param {Object} couponData - Applied coupon/promotion ({ code, discount, automatic })
+   * @param {string} userId - User ID
+   * @param {ObjectId} orderId - Order ID
+   * @param {Object} ctx - Unit of work context ({ session, onRollback })
+   * @returns {Promise<boolean>} Whether the use was recorded (false: automatic promotion ran out)
+   */
+  static async _recordCouponUsage(couponData, userId, orderId, { session, onRollback }) {
+    const { Coupon } = await import('../coupons/model.js');
+
+    const update = {
+      $inc: {
+        'usage.count': 1,
+        'usage.totalDiscount': couponData.discount
+      }
+    };
+    if (!couponData.automatic) {
+      update.$push = {
+        'usage.history': {
+          user: userId,
+          order: orderId,
+          usedAt: new Date(),
+          discountAmount: couponData.discount
+        }
+      };
+    }
+
+    // Increment only while the usage limit has not been reached
+    const updatedCoupon = await Coupon.findOneAndUpdate(
+      {
+        code: couponData.code,
+        isActive: true,
+        deletedAt: null,
+        $expr: {
+          $or: [
+            { $eq: [{ $ifNull: ['$limits.maxUsage', null] }, null] },
+            { $lt: ['$usage.count', '$limits.maxUsage'] }
+          ]
+        }
+      },
+      update,
+      { new: true, session }
+    );
+
+    if (!updatedCoupon) {
+      if (couponData.automatic) {
+        return false;
+      }
+      throw new Error(`کد تخفیف ${couponData.code} به حداکثر استفاده رسیده است`);
+    }
+
+    const rollback = {
+      $inc: {
+        'usage.count': -1,
+        'usage.totalDiscount': -couponData.discount
+      }
+    };
+    if (!couponData.automatic) {
+      rollback.$pull = { 'usage.history': { order: orderId } };
+    }
+    onRollback(() => Coupon.updateOne({ _id: updatedCoupon._id }, rollback));
+    return true;
+  }
+
   /**
    * Get purchased product IDs for a user (for digital article products)
    * @param {string} userId - User ID
@@ -989,7 +1343,7 @@ export class OrderService extends BaseService {
       // Find all completed/delivered orders with digital products
       const orders = await Order.find({
         user: userId,
-        'payment.status': 'completed',
+        'payment.status': { $in: ['completed', 'partially_refunded'] },
         status: { $in: ['delivered', 'processing', 'shipped'] },
         deletedAt: null
       })
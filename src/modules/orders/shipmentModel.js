@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+
+/**
+ * Shipment Model
+ *
+ * A parcel fulfilling part (or all) of an order's physical items. An order can
+ * have several shipments; the order's fulfillment summary and status are derived
+ * from them (see FulfillmentService).
+ */
+
+export const SHIPMENT_STATUSES = [
+  'pending', // Created, waiting to be packed
+  'packed',
+  'shipped', // Handed to the carrier
+  'in_transit',
+  'out_for_delivery',
+  'failed_delivery',
+  'delivered',
+  'returned', // Came back to the store; its items can be shipped again
+  'cancelled'
+];
+
+// Allowed status changes (in_transit -> in_transit records a tracking scan)
+export const SHIPMENT_TRANSITIONS = {
+  pending: ['packed', 'shipped', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'],
+  in_transit: ['in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'],
+  out_for_delivery: ['in_transit', 'delivered', 'failed_delivery', 'returned'],
+  failed_delivery: ['in_transit', 'out_for_delivery', 'returned'],
+  delivered: ['returned'],
+  returned: [],
+  cancelled: []
+};
+
+// Statuses whose items count as fulfilled (not cancelled / returned)
+export const ACTIVE_SHIPMENT_STATUSES = SHIPMENT_STATUSES.filter(
+  (status) => !['returned', 'cancelled'].includes(status)
+);
+
+// Statuses where the parcel has left the store
+export const DISPATCHED_SHIPMENT_STATUSES = [
+  'shipped', 'in_transit', 'out_for_delivery', 'failed_delivery', 'delivered'
+];
+
+export const SHIPMENT_CARRIERS = ['post', 'tipax', 'chapar', 'alopeyk', 'snappbox', 'courier', 'pickup', 'other'];
+
+// Shipment timeline entry
+const shipmentEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: SHIPMENT_STATUSES
+  },
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: true });
+
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  // Human-readable number: <orderNumber>-S<n>
+  shipmentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  items: [{
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order item _id
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+
+  carrier: {
+    type: String,
+    enum: SHIPMENT_CARRIERS,
+    default: 'post'
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    index: true,
+    sparse: true
+  },
+  trackingUrl: String,
+
+  // Parcel weight in grams (optional, printed on the label)
+  weight: {
+    type: Number,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'pending',
+    index: true
+  },
+
+  // Status timeline
+  events: [shipmentEventSchema],
+
+  shippedAt: Date,
+  deliveredAt: Date,
+
+  // Shipping address at creation time (copied from the order)
+  address: {
+    fullName: String,
+    phoneNumber: String,
+    address: String,
+    city: String,
+    province: String,
+    postalCode: String,
+    country: String
+  },
+
+  notes: String, // Internal notes
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+shipmentSchema.index({ order: 1, createdAt: 1 });
+shipmentSchema.index({ status: 1, updatedAt: -1 });
+
+// Move to a new status and record it in the timeline (caller saves)
+shipmentSchema.methods.addEvent = function(status, { description, location, occurredAt, userId } = {}) {
+  if (!SHIPMENT_TRANSITIONS[this.status]?.includes(status)) {
+    throw new Error(`Cannot transition shipment from ${this.status} to ${status}`);
+  }
+
+  const at = occurredAt ? new Date(occurredAt) : new Date();
+
+  this.status = status;
+  this.events.push({
+    status,
+    description,
+    location,
+    occurredAt: at,
+    createdBy: userId
+  });
+
+  if (status === 'shipped' && !this.shippedAt) {
+    this.shippedAt = at;
+  }
+  if (status === 'delivered') {
+    this.deliveredAt = at;
+  }
+  this.updatedBy = userId;
+
+  return this;
+};
+
+// Is the shipment finished (no more events expected)
+shipmentSchema.methods.isClosed = function() {
+  return ['delivered', 'returned', 'cancelled'].includes(this.status);
+};
+
+export const Shipment = mongoose.model('Shipment', shipmentSchema);
@@ -1,12 +1,13 @@
 import Joi from 'joi';
 import { objectIdSchema } from '../../shared/validations/baseValidation.js';
+import { SHIPMENT_STATUSES, SHIPMENT_CARRIERS } from './shipmentModel.js';
 
 /**
  * Validation schemas for Orders
  */
 
-// Contact Info Schema
-const contactInfoSchema = Joi.object({
+// Contact Info Schema (also used by subscription checkout)
+export const contactInfoSchema = Joi.object({
   fullName: Joi.string().trim().min(2).max(100).required()
     .messages({
       'any.required': 'نام و نام خانوادگی الزامی است',
@@ -57,7 +58,8 @@ const shippingAddressSchema = Joi.object({
 const shippingSchema = Joi.object({
   address: shippingAddressSchema.optional(),
   method: Joi.string().valid('standard', 'express', 'pickup').default('standard').optional(),
-  cost: Joi.number().min(0).default(0).optional(),
+  // Quoted on the server for the method (OrderService.createOrderFromCart); a client value is dropped
+  cost: Joi.any().strip(),
   trackingNumber: Joi.string().optional(),
   shippedAt: Joi.date().optional(),
   deliveredAt: Joi.date().optional()
@@ -97,10 +99,49 @@ export const getOrdersQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).optional(),
   limit: Joi.number().integer().min(1).max(100).default(25).optional(),
   status: Joi.string().valid('pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded').optional(),
-  paymentStatus: Joi.string().valid('pending', 'completed', 'failed', 'refunded').optional(),
+  paymentStatus: Joi.string().valid('pending', 'completed', 'failed', 'partially_refunded', 'refunded').optional(),
   orderNumber: Joi.string().optional(),
   userId: objectIdSchema('شناسه کاربر').optional(),
   dateFrom: Joi.date().optional(),
   dateTo: Joi.date().optional()
 });
 
+// Create Shipment Schema (items omitted = everything not shipped yet)
+export const createShipmentSchema = Joi.object({
+  items: Joi.array().items(
+    Joi.object({
+      item: objectIdSchema('شناسه قلم سفارش').required(),
+      quantity: Joi.number().integer().min(1).required()
+    })
+  ).unique('item').optional()
+    .messages({
+      'array.unique': 'هر قلم فقط یک بار در مرسوله مجاز است'
+    }),
+  carrier: Joi.string().valid(...SHIPMENT_CARRIERS).default('post').optional(),
+  trackingNumber: Joi.string().trim().max(100).optional(),
+  trackingUrl: Joi.string().uri().max(500).optional(),
+  weight: Joi.number().min(0).optional(),
+  notes: Joi.string().max(1000).optional()
+});
+
+// Update Shipment Schema
+export const updateShipmentSchema = Joi.object({
+  carrier: Joi.string().valid(...SHIPMENT_CARRIERS).optional(),
+  trackingNumber: Joi.string().trim().max(100).allow('').optional(),
+  trackingUrl: Joi.string().uri().max(500).allow('').optional(),
+  weight: Joi.number().min(0).optional(),
+  notes: Joi.string().max(1000).allow('').optional()
+}).min(1);
+
+// Shipment Event Schema
+export const shipmentEventSchema = Joi.object({
+  status: Joi.string().valid(...SHIPMENT_STATUSES.filter((status) => status !== 'pending')).required()
+    .messages({
+      'any.required': 'وضعیت مرسوله الزامی است',
+      'any.only': 'وضعیت مرسوله نامعتبر است'
+    }),
+  description: Joi.string().max(500).optional(),
+  location: Joi.string().max(200).optional(),
+  occurredAt: Joi.date().max('now').optional(),
+  trackingNumber: Joi.string().trim().max(100).optional()
+});
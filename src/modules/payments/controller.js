@@ -1,6 +1,11 @@
 import { PaymentService } from './service.js';
+import { PaymentReconciliationService } from './reconciliationService.js';
 import { logger } from '../../utils/logger.js';
 
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
 /**
  * PaymentController - Controller for payment operations
  * 
@@ -9,6 +14,8 @@ import { logger } from '../../utils/logger.js';
  * - Verifying payments (gateway callbacks)
  * - Getting payment details
  * - Refunding payments
+ * - Listing gateways and the mock gateway checkout page
+ * - Reconciliation with the gateways (admin)
  */
 export class PaymentController {
   /**
@@ -18,7 +25,7 @@ export class PaymentController {
   static async initializePayment(req, res, next) {
     try {
       const userId = req.user?.id || req.user?._id;
-      const { orderId, gateway } = req.body;
+      const { orderId, gateway, points } = req.body;
 
       if (!userId) {
         return res.status(401).json({
@@ -34,14 +41,15 @@ export class PaymentController {
         });
       }
 
-      const result = await PaymentService.initializePayment(orderId, userId, gateway);
+      const result = await PaymentService.initializePayment(orderId, userId, gateway, { points });
 
       res.status(200).json({
         success: true,
-        message: 'درگاه پرداخت آماده است',
+        message: result.paidWithPoints ? 'سفارش با امتیاز پرداخت شد' : 'درگاه پرداخت آماده است',
         data: {
           payment: result.payment,
-          redirectUrl: result.redirectUrl
+          redirectUrl: result.redirectUrl,
+          paidWithPoints: !!result.paidWithPoints
         }
       });
     } catch (error) {
@@ -130,6 +138,70 @@ export class PaymentController {
     }
   }
 
+  /**
+   * Get enabled payment gateways
+   * GET /api/v1/payments/gateways
+   */
+  static async getGateways(req, res, next) {
+    try {
+      const gateways = await PaymentService.getAvailableGateways();
+
+      res.status(200).json({
+        success: true,
+        data: { gateways }
+      });
+    } catch (error) {
+      logger.error('Get gateways error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Mock gateway checkout page (development only)
+   * GET /api/v1/payments/mock/:authority
+   */
+  static async getMockCheckout(req, res, next) {
+    try {
+      const checkout = await PaymentService.getMockCheckout(req.params.authority);
+      const labels = { success: 'پرداخت موفق', failure: 'پرداخت ناموفق', timeout: 'قطع ارتباط (timeout)' };
+      const basePath = `${req.baseUrl}/mock/${encodeURIComponent(checkout.authority)}`;
+      const links = checkout.outcomes
+        .map((outcome) => `<li><a href="${basePath}/${outcome}">${labels[outcome]}</a></li>`)
+        .join('');
+
+      res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="fa" dir="rtl">
+<head><meta charset="utf-8"><title>درگاه آزمایشی</title></head>
+<body>
+  <h1>درگاه پرداخت آزمایشی</h1>
+  <p>سفارش: ${escapeHtml(checkout.orderId)}</p>
+  <p>مبلغ: ${Number(checkout.amount).toLocaleString('fa-IR')} تومان</p>
+  <ul>${links}</ul>
+</body>
+</html>`);
+    } catch (error) {
+      logger.error('Get mock checkout error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Complete mock checkout and redirect to the gateway callback
+   * GET /api/v1/payments/mock/:authority/:outcome
+   */
+  static async completeMockCheckout(req, res, next) {
+    try {
+      const { authority, outcome } = req.params;
+
+      const callbackUrl = await PaymentService.completeMockCheckout(authority, outcome);
+
+      res.redirect(302, callbackUrl);
+    } catch (error) {
+      logger.error('Complete mock checkout error:', error);
+      next(error);
+    }
+  }
+
   /**
    * Get payment by ID
    * GET /api/v1/payments/:id
@@ -225,6 +297,26 @@ export class PaymentController {
     }
   }
 
+  /**
+   * Compute refundable amount for selected order lines (admin only)
+   * POST /api/v1/payments/:id/refund-quote
+   */
+  static async getRefundQuote(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const quote = await PaymentService.getRefundQuote(id, req.body.items || []);
+
+      res.status(200).json({
+        success: true,
+        data: { quote }
+      });
+    } catch (error) {
+      logger.error('Get refund quote error:', error);
+      next(error);
+    }
+  }
+
   /**
    * Refund payment (admin only)
    * POST /api/v1/payments/:id/refund
@@ -233,11 +325,13 @@ export class PaymentController {
     try {
       const { id } = req.params;
       const userId = req.user?.id || req.user?._id;
-      const { reason, amount } = req.body;
+      const { reason, amount, items, restock } = req.body;
 
       const payment = await PaymentService.refundPayment(id, userId, {
         reason,
-        amount
+        amount,
+        items,
+        restock
       });
 
       res.status(200).json({
@@ -250,5 +344,90 @@ export class PaymentController {
       next(error);
     }
   }
-}
 
+  /**
+   * Gateway/local mismatch report (admin only)
+   * GET /api/v1/payments/reconciliation/report
+   */
+  static async getReconciliationReport(req, res, next) {
+    try {
+      const { page, limit, dateFrom, dateTo } = req.query;
+
+      const report = await PaymentReconciliationService.getMismatchReport(
+        { dateFrom, dateTo },
+        { page, limit }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Get reconciliation report error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Run reconciliation for all stale payments now (admin only)
+   * POST /api/v1/payments/reconciliation/run
+   */
+  static async runReconciliation(req, res, next) {
+    try {
+      const summary = await PaymentReconciliationService.reconcilePendingPayments();
+
+      res.status(200).json({
+        success: true,
+        message: 'تطبیق پرداخت‌ها انجام شد',
+        data: { summary }
+      });
+    } catch (error) {
+      logger.error('Run reconciliation error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Reconcile a single payment with its gateway (admin only)
+   * POST /api/v1/payments/:id/reconcile
+   */
+  static async reconcilePayment(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?._id;
+
+      const entry = await PaymentReconciliationService.reconcilePayment(id, { trigger: 'manual', userId });
+
+      res.status(200).json({
+        success: true,
+        message: 'وضعیت پرداخت با درگاه تطبیق داده شد',
+        data: { reconciliation: entry }
+      });
+    } catch (error) {
+      logger.error('Reconcile payment error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a reconciliation mismatch as handled (admin only)
+   * POST /api/v1/payments/:id/reconciliation/resolve
+   */
+  static async resolveReconciliationMismatch(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?._id;
+
+      const payment = await PaymentReconciliationService.resolveMismatch(id, userId, req.body.note);
+
+      res.status(200).json({
+        success: true,
+        message: 'مغایرت پرداخت رفع شد',
+        data: { payment }
+      });
+    } catch (error) {
+      logger.error('Resolve reconciliation mismatch error:', error);
+      next(error);
+    }
+  }
+}
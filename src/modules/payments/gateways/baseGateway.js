@@ -7,6 +7,8 @@ export class BaseGateway {
   constructor(config) {
     this.config = config;
     this.name = 'base';
+    // Currency the gateway is paid in: amounts passed to initialize/verify/refund are in it
+    this.currency = config?.currency || 'IRT';
   }
 
   /**
@@ -37,9 +39,15 @@ export class BaseGateway {
   }
 
   /**
-   * Get payment status
+   * Get payment status (bank-side view, used by reconciliation)
+   * Result status is normalized across gateways:
+   * - pending: buyer has not finished paying
+   * - paid: money taken but not verified yet (verify must still be called)
+   * - verified: paid and already verified
+   * - failed: failed, cancelled or reversed
+   * The gateway's own status goes in gatewayStatus.
    * @param {string} transactionId - Transaction ID
-   * @returns {Promise<Object>} Payment status
+   * @returns {Promise<Object>} Payment status { success, status, gatewayStatus, refId, gatewayResponse }
    */
   async getStatus(transactionId) {
     throw new Error('getStatus method must be implemented');
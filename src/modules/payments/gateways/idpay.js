@@ -1,7 +1,28 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import { BaseGateway } from './baseGateway.js';
+import { GatewayRegistry } from './registry.js';
 import { logger } from '../../../utils/logger.js';
+import { config } from '../../../config/environment.js';
+
+/**
+ * IDPay transaction statuses mapped to the normalized getStatus() statuses
+ * 1 unpaid, 8 redirected to bank, 10 awaiting verify, 100/101 verified, 200 settled, others failed
+ */
+const IDPAY_STATUS_MAP = {
+  1: 'pending',
+  2: 'failed',
+  3: 'failed',
+  4: 'failed',
+  5: 'failed',
+  6: 'failed',
+  7: 'failed',
+  8: 'pending',
+  10: 'paid',
+  100: 'verified',
+  101: 'verified',
+  200: 'verified'
+};
 
 /**
  * IDPay Payment Gateway
@@ -22,7 +43,7 @@ export class IDPayGateway extends BaseGateway {
   /**
    * Initialize payment request
    * @param {Object} paymentData - Payment data
-   * @param {number} paymentData.amount - Amount in Toman
+   * @param {number} paymentData.amount - Amount in Rial (IDPay API currency)
    * @param {string} paymentData.description - Payment description
    * @param {string} paymentData.callbackUrl - Callback URL
    * @param {Object} paymentData.metadata - Additional metadata
@@ -284,7 +305,9 @@ export class IDPayGateway extends BaseGateway {
 
       return {
         success: true,
-        status: response.data.status,
+        status: IDPAY_STATUS_MAP[response.data.status] || 'pending',
+        gatewayStatus: response.data.status?.toString(),
+        refId: response.data.track_id?.toString(),
         gatewayResponse: response.data
       };
     } catch (error) {
@@ -319,3 +342,12 @@ export class IDPayGateway extends BaseGateway {
   }
 }
 
+GatewayRegistry.register('idpay', IDPayGateway, {
+  getConfig: () => ({
+    apiKey: process.env.IDPAY_API_KEY || '',
+    sandbox: process.env.IDPAY_SANDBOX === 'true' || config.NODE_ENV !== 'production',
+    currency: 'IRR'
+  }),
+  isConfigured: (gatewayConfig) => !!gatewayConfig.apiKey,
+  label: { fa: 'آیدی پی', en: 'IDPay' }
+});
@@ -1,84 +1,115 @@
+import { GatewayRegistry } from './registry.js';
+import { Settings } from '../../settings/model.js';
+// Gateway modules register themselves on import
 import { ZarinpalGateway } from './zarinpal.js';
 import { IDPayGateway } from './idpay.js';
-import { logger } from '../../../utils/logger.js';
-import { config } from '../../../config/environment.js';
+import { MockGateway } from './mock.js';
 
 /**
  * Payment Gateway Factory
  * 
- * Creates and returns the appropriate gateway instance
+ * Creates gateway instances from the registry and applies the
+ * per-gateway enable flags from Settings (payments.gateways)
  */
 export class GatewayFactory {
   /**
-   * Get gateway instance
-   * @param {string} gatewayName - Gateway name (zarinpal, idpay)
+   * Get gateway instance (registered gateways only - unknown names are rejected)
+   * Use for verify/refund/status of existing payments, which must keep working
+   * even if the gateway was disabled afterwards.
+   * @param {string} gatewayName - Gateway name
    * @returns {BaseGateway} Gateway instance
    */
-  static getGateway(gatewayName = 'zarinpal') {
-    const gatewayConfig = this.getGatewayConfig(gatewayName);
-    
-    switch (gatewayName.toLowerCase()) {
-      case 'zarinpal':
-        return new ZarinpalGateway(gatewayConfig);
-      
-      case 'idpay':
-        return new IDPayGateway(gatewayConfig);
-      
-      default:
-        logger.warn(`Unknown gateway: ${gatewayName}, using Zarinpal`);
-        return new ZarinpalGateway(this.getGatewayConfig('zarinpal'));
+  static getGateway(gatewayName) {
+    const entry = GatewayRegistry.get(gatewayName);
+
+    if (!entry) {
+      throw new Error(`درگاه پرداخت «${gatewayName}» پشتیبانی نمی‌شود`);
     }
+
+    return new entry.GatewayClass(entry.getConfig());
   }
 
   /**
-   * Get gateway configuration from environment
+   * Get gateway instance for a new payment (must be configured and enabled)
+   * @param {string} gatewayName - Gateway name
+   * @returns {Promise<BaseGateway>} Gateway instance
+   */
+  static async getEnabledGateway(gatewayName) {
+    const gateway = this.getGateway(gatewayName);
+
+    if (!await this.isEnabled(gatewayName)) {
+      throw new Error(`درگاه پرداخت «${gatewayName}» در حال حاضر فعال نیست`);
+    }
+
+    return gateway;
+  }
+
+  /**
+   * Get gateway configuration
    * @param {string} gatewayName - Gateway name
    * @returns {Object} Gateway configuration
    */
   static getGatewayConfig(gatewayName) {
-    const gatewayNameUpper = gatewayName.toUpperCase();
-    
-    switch (gatewayName.toLowerCase()) {
-      case 'zarinpal':
-        return {
-          merchantId: process.env.ZARINPAL_MERCHANT_ID || '',
-          accessToken: process.env.ZARINPAL_ACCESS_TOKEN || '', // Bearer token for API v4
-          sandbox: process.env.ZARINPAL_SANDBOX === 'true' || config.NODE_ENV !== 'production'
-        };
-      
-      case 'idpay':
-        return {
-          apiKey: process.env.IDPAY_API_KEY || '',
-          sandbox: process.env.IDPAY_SANDBOX === 'true' || config.NODE_ENV !== 'production'
-        };
-      
-      default:
-        return {
-          merchantId: '',
-          sandbox: true
-        };
+    const entry = GatewayRegistry.get(gatewayName);
+    return entry ? entry.getConfig() : {};
+  }
+
+  /**
+   * Whether a gateway can take new payments
+   * @param {string} gatewayName - Gateway name
+   * @param {Object} settings - Settings document (optional, avoids re-fetching)
+   * @returns {Promise<boolean>}
+   */
+  static async isEnabled(gatewayName, settings = null) {
+    const entry = GatewayRegistry.get(gatewayName);
+    if (!entry || !entry.isConfigured(entry.getConfig())) {
+      return false;
     }
+
+    const currentSettings = settings || await Settings.getInstance();
+    const flag = currentSettings.payments?.gateways?.find((gateway) => gateway.name === entry.name);
+    return flag ? flag.enabled : entry.enabledByDefault;
   }
 
   /**
-   * Get available gateways
-   * @returns {Array<string>} List of available gateway names
+   * Get available (configured and enabled) gateways
+   * @returns {Promise<Array<Object>>} [{ name, label, isDefault }]
    */
-  static getAvailableGateways() {
+  static async getAvailableGateways() {
+    const settings = await Settings.getInstance();
+    const defaultGateway = await this.getDefaultGateway(settings);
     const gateways = [];
-    
-    // Zarinpal is available if either merchant ID or access token is provided
-    if (process.env.ZARINPAL_MERCHANT_ID || process.env.ZARINPAL_ACCESS_TOKEN) {
-      gateways.push('zarinpal');
-    }
-    
-    if (process.env.IDPAY_API_KEY) {
-      gateways.push('idpay');
+
+    for (const entry of GatewayRegistry.list()) {
+      if (await this.isEnabled(entry.name, settings)) {
+        gateways.push({ name: entry.name, label: entry.label, isDefault: entry.name === defaultGateway });
+      }
     }
-    
+
     return gateways;
   }
-}
 
-export { ZarinpalGateway, IDPayGateway };
+  /**
+   * Get default gateway name (Settings default if enabled, otherwise first enabled gateway)
+   * @param {Object} settings - Settings document (optional)
+   * @returns {Promise<string|null>}
+   */
+  static async getDefaultGateway(settings = null) {
+    const currentSettings = settings || await Settings.getInstance();
+    const preferred = currentSettings.payments?.defaultGateway || 'zarinpal';
+
+    if (await this.isEnabled(preferred, currentSettings)) {
+      return preferred.toLowerCase();
+    }
+
+    for (const entry of GatewayRegistry.list()) {
+      if (await this.isEnabled(entry.name, currentSettings)) {
+        return entry.name;
+      }
+    }
+
+    return null;
+  }
+}
 
+export { GatewayRegistry, ZarinpalGateway, IDPayGateway, MockGateway };
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import { BaseGateway } from './baseGateway.js';
+import { GatewayRegistry } from './registry.js';
+import { logger } from '../../../utils/logger.js';
+import { config } from '../../../config/environment.js';
+
+/**
+ * Simulated bank-side state, keyed by authority (in memory - development only)
+ * { amount, orderId, description, callbackUrl, refId, verified, verifyAttempts,
+ *   outcome: null | 'success' | 'failure' | 'timeout' }
+ */
+const transactions = new Map();
+
+/** Outcomes the checkout page can simulate */
+export const MOCK_OUTCOMES = ['success', 'failure', 'timeout'];
+
+/**
+ * Mock Payment Gateway
+ *
+ * Local gateway for testing the full payment flow offline.
+ * initialize() returns a redirect to a checkout page served by this API
+ * (GET /api/v1/payments/mock/:authority) where the tester picks:
+ * - success: payment verifies
+ * - failure: bank declines, verify fails
+ * - timeout: bank charges but the first verify times out (getStatus reports it paid,
+ *   and a later verify - e.g. from reconciliation - succeeds)
+ */
+export class MockGateway extends BaseGateway {
+  constructor(gatewayConfig) {
+    super(gatewayConfig);
+    this.name = 'mock';
+    this.baseUrl = gatewayConfig.baseUrl;
+    this.timeoutMs = gatewayConfig.timeoutMs;
+  }
+
+  /**
+   * Initialize payment request
+   * @param {Object} paymentData - Payment data
+   * @returns {Promise<Object>} Payment initialization result
+   */
+  async initialize(paymentData) {
+    const { amount, description, callbackUrl, orderId } = paymentData;
+
+    if (!amount || amount <= 0) {
+      return {
+        success: false,
+        error: { code: 'INVALID_AMOUNT', message: 'مبلغ پرداخت نامعتبر است' }
+      };
+    }
+
+    const authority = `MOCK-${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+    transactions.set(authority, {
+      amount,
+      orderId,
+      description,
+      callbackUrl,
+      outcome: null,
+      verified: false,
+      verifyAttempts: 0,
+      createdAt: new Date()
+    });
+
+    return {
+      success: true,
+      authority,
+      redirectUrl: `${this.baseUrl}/api/${config.API_VERSION}/payments/mock/${authority}`,
+      gatewayResponse: { authority, amount, mock: true }
+    };
+  }
+
+  /**
+   * Record the outcome chosen on the checkout page and build the callback redirect
+   * @param {string} authority - Payment authority
+   * @param {string} outcome - success | failure | timeout
+   * @returns {string} URL to redirect the buyer to
+   */
+  completeCheckout(authority, outcome) {
+    const transaction = transactions.get(authority);
+    if (!transaction) {
+      throw new Error('تراکنش آزمایشی یافت نشد');
+    }
+    if (!MOCK_OUTCOMES.includes(outcome)) {
+      throw new Error('نتیجه آزمایشی نامعتبر است');
+    }
+
+    transaction.outcome = outcome;
+    if (outcome !== 'failure') {
+      transaction.refId = `${Date.now()}${crypto.randomInt(1000, 9999)}`;
+    }
+
+    // Same query format as Zarinpal so the frontend callback page handles it unchanged
+    const url = new URL(transaction.callbackUrl);
+    url.searchParams.set('Authority', authority);
+    url.searchParams.set('Status', outcome === 'failure' ? 'NOK' : 'OK');
+    return url.toString();
+  }
+
+  /**
+   * Get checkout page data
+   * @param {string} authority - Payment authority
+   * @returns {Object|undefined}
+   */
+  getTransaction(authority) {
+    return transactions.get(authority);
+  }
+
+  /**
+   * Verify payment
+   * @param {Object} verifyData - { authority, amount }
+   * @returns {Promise<Object>} Verification result
+   */
+  async verify(verifyData) {
+    const { authority, amount } = verifyData;
+    const transaction = transactions.get(authority);
+
+    if (!transaction || !transaction.outcome) {
+      return {
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'تراکنش یافت نشد یا تکمیل نشده است' }
+      };
+    }
+
+    if (transaction.amount !== amount) {
+      return {
+        success: false,
+        error: { code: 'AMOUNT_MISMATCH', message: 'مبلغ تراکنش با مبلغ پرداخت مطابقت ندارد' }
+      };
+    }
+
+    if (transaction.outcome === 'failure') {
+      return {
+        success: false,
+        error: { code: 'DECLINED', message: 'پرداخت توسط بانک (آزمایشی) رد شد' }
+      };
+    }
+
+    transaction.verifyAttempts += 1;
+
+    if (transaction.outcome === 'timeout' && transaction.verifyAttempts === 1) {
+      await new Promise((resolve) => setTimeout(resolve, this.timeoutMs));
+      logger.warn(`Mock gateway: simulated verify timeout for ${authority}`);
+      return {
+        success: false,
+        error: { code: 'TIMEOUT', message: 'پاسخی از درگاه پرداخت دریافت نشد' }
+      };
+    }
+
+    transaction.verified = true;
+
+    return {
+      success: true,
+      transactionId: transaction.refId,
+      refId: transaction.refId,
+      gatewayResponse: { authority, refId: transaction.refId, amount, mock: true }
+    };
+  }
+
+  /**
+   * Refund payment (always succeeds)
+   * @param {Object} refundData - { id, amount }
+   * @returns {Promise<Object>} Refund result
+   */
+  async refund(refundData) {
+    return {
+      success: true,
+      transactionId: `MOCK-REFUND-${Date.now()}`,
+      gatewayResponse: { id: refundData.id, amount: refundData.amount, mock: true }
+    };
+  }
+
+  /**
+   * Get payment status (bank-side view: charged but unverified outcomes count as paid)
+   * @param {string} authority - Payment authority
+   * @returns {Promise<Object>} Payment status
+   */
+  async getStatus(authority) {
+    const transaction = transactions.get(authority);
+    if (!transaction) {
+      return {
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'تراکنش یافت نشد' }
+      };
+    }
+
+    const statusByOutcome = { success: 'paid', timeout: 'paid', failure: 'failed' };
+    const status = transaction.verified ? 'verified' : (statusByOutcome[transaction.outcome] || 'pending');
+    return {
+      success: true,
+      status,
+      gatewayStatus: transaction.outcome || 'pending',
+      refId: transaction.refId,
+      amount: transaction.amount,
+      gatewayResponse: { authority, outcome: transaction.outcome, mock: true }
+    };
+  }
+
+  /**
+   * Validate callback data (both OK and NOK are well-formed callbacks)
+   * @param {Object} callbackData - Callback data
+   * @returns {boolean} Is valid
+   */
+  validateCallback(callbackData) {
+    return typeof callbackData.Authority === 'string'
+      && callbackData.Authority.startsWith('MOCK-')
+      && ['OK', 'NOK'].includes(callbackData.Status);
+  }
+}
+
+GatewayRegistry.register('mock', MockGateway, {
+  getConfig: () => ({
+    baseUrl: process.env.API_BASE_URL || `http://localhost:${config.PORT || 5000}`,
+    timeoutMs: parseInt(process.env.MOCK_GATEWAY_TIMEOUT_MS) || 3000
+  }),
+  // Never usable in production
+  isConfigured: () => config.NODE_ENV !== 'production',
+  enabledByDefault: false,
+  label: { fa: 'درگاه آزمایشی', en: 'Mock gateway' }
+});
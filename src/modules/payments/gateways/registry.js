@@ -0,0 +1,63 @@
+import { BaseGateway } from './baseGateway.js';
+
+/**
+ * Payment Gateway Registry
+ *
+ * Gateway modules register themselves here (see the bottom of each gateway file).
+ * Each entry: { name, GatewayClass, getConfig(), isConfigured(config), enabledByDefault, label }
+ */
+const gateways = new Map();
+
+export class GatewayRegistry {
+  /**
+   * Register a gateway
+   * @param {string} name - Gateway name (used in Payment.gateway and callback URLs)
+   * @param {Function} GatewayClass - Class extending BaseGateway
+   * @param {Object} options - { getConfig, isConfigured, enabledByDefault, label }
+   */
+  static register(name, GatewayClass, options = {}) {
+    if (!(GatewayClass.prototype instanceof BaseGateway)) {
+      throw new Error(`Gateway "${name}" must extend BaseGateway`);
+    }
+
+    const key = name.toLowerCase();
+    if (gateways.has(key)) {
+      throw new Error(`Gateway "${name}" is already registered`);
+    }
+
+    gateways.set(key, {
+      name: key,
+      GatewayClass,
+      getConfig: options.getConfig || (() => ({})),
+      isConfigured: options.isConfigured || (() => true),
+      enabledByDefault: options.enabledByDefault !== false,
+      label: options.label || { fa: name, en: name }
+    });
+  }
+
+  /**
+   * Get a registered gateway entry
+   * @param {string} name - Gateway name
+   * @returns {Object|undefined}
+   */
+  static get(name) {
+    return name ? gateways.get(name.toLowerCase()) : undefined;
+  }
+
+  /**
+   * Whether a gateway is registered
+   * @param {string} name - Gateway name
+   * @returns {boolean}
+   */
+  static has(name) {
+    return !!this.get(name);
+  }
+
+  /**
+   * All registered gateway entries
+   * @returns {Array<Object>}
+   */
+  static list() {
+    return Array.from(gateways.values());
+  }
+}
@@ -1,6 +1,8 @@
 import axios from 'axios';
 import { BaseGateway } from './baseGateway.js';
+import { GatewayRegistry } from './registry.js';
 import { logger } from '../../../utils/logger.js';
+import { config } from '../../../config/environment.js';
 
 /** User-friendly Persian messages for known Zarinpal error codes */
 const ZARINPAL_ERROR_MESSAGES = {
@@ -34,7 +36,7 @@ export class ZarinpalGateway extends BaseGateway {
   /**
    * Initialize payment request
    * @param {Object} paymentData - Payment data
-   * @param {number} paymentData.amount - Amount in Toman
+   * @param {number} paymentData.amount - Amount in the gateway currency (IRT or IRR, see ZARINPAL_CURRENCY)
    * @param {string} paymentData.description - Payment description
    * @param {string} paymentData.callbackUrl - Callback URL
    * @param {Object} paymentData.metadata - Additional metadata
@@ -79,6 +81,7 @@ export class ZarinpalGateway extends BaseGateway {
       const requestData = {
         merchant_id: this.merchantId,
         amount: amount,
+        currency: this.currency,
         description: description || 'پرداخت سفارش',
         callback_url: callbackUrl,
         metadata: {
@@ -438,20 +441,74 @@ export class ZarinpalGateway extends BaseGateway {
   }
 
   /**
-   * Get payment status
+   * Get payment status (inquiry API)
    * @param {string} authority - Payment authority
    * @returns {Promise<Object>} Payment status
    */
   async getStatus(authority) {
-    // Zarinpal doesn't have a direct status check API
-    // Verification is done via verify endpoint
-    return {
-      success: false,
-      error: {
-        code: 'NOT_SUPPORTED',
-        message: 'Status check is not supported for this gateway'
+    try {
+      // Zarinpal statuses: IN_BANK, PAID (not verified yet), VERIFIED, FAILED, REVERSED
+      const statusMap = {
+        IN_BANK: 'pending',
+        PAID: 'paid',
+        VERIFIED: 'verified',
+        FAILED: 'failed',
+        REVERSED: 'failed'
+      };
+
+      const headers = {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      };
+      if (this.accessToken) {
+        const token = this.accessToken.trim();
+        headers['Authorization'] = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
       }
-    };
+
+      const response = await axios.post(
+        `${this.baseUrl}/v4/payment/inquiry.json`,
+        {
+          merchant_id: this.merchantId,
+          authority
+        },
+        { headers }
+      );
+
+      const gatewayStatus = response.data?.data?.status;
+      if (!gatewayStatus || !statusMap[gatewayStatus]) {
+        return {
+          success: false,
+          error: {
+            code: response.data?.errors?.code?.toString() || 'UNKNOWN',
+            message: response.data?.errors?.message || 'وضعیت پرداخت از درگاه دریافت نشد'
+          },
+          gatewayResponse: response.data
+        };
+      }
+
+      return {
+        success: true,
+        status: statusMap[gatewayStatus],
+        gatewayStatus,
+        gatewayResponse: response.data
+      };
+    } catch (error) {
+      logger.error('Zarinpal getStatus exception:', {
+        message: error.message,
+        code: error.code,
+        ...(error.response && {
+          status: error.response.status,
+          data: error.response.data
+        })
+      });
+      return {
+        success: false,
+        error: {
+          code: 'EXCEPTION',
+          message: error.message || 'خطا در دریافت وضعیت پرداخت'
+        }
+      };
+    }
   }
 
   /**
@@ -465,3 +522,14 @@ export class ZarinpalGateway extends BaseGateway {
   }
 }
 
+GatewayRegistry.register('zarinpal', ZarinpalGateway, {
+  getConfig: () => ({
+    merchantId: process.env.ZARINPAL_MERCHANT_ID || '',
+    accessToken: process.env.ZARINPAL_ACCESS_TOKEN || '', // Bearer token for API v4
+    sandbox: process.env.ZARINPAL_SANDBOX === 'true' || config.NODE_ENV !== 'production',
+    currency: process.env.ZARINPAL_CURRENCY === 'IRR' ? 'IRR' : 'IRT'
+  }),
+  // Available if either merchant ID or access token is provided
+  isConfigured: (gatewayConfig) => !!(gatewayConfig.merchantId || gatewayConfig.accessToken),
+  label: { fa: 'زرین‌پال', en: 'Zarinpal' }
+});
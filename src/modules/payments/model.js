@@ -1,6 +1,76 @@
 import mongoose from 'mongoose';
 import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
 
+// Refund Entry Schema (a payment can be refunded in several steps)
+const paymentRefundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Value of redeemed points given back with this refund (not sent to the gateway)
+  pointsAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Order lines covered by this refund (empty for amount-only refunds)
+  items: [{
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order item _id
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true, min: 0 }
+  }],
+  reason: String,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now
+  },
+  refundTransactionId: String,
+  refundGatewayResponse: mongoose.Schema.Types.Mixed
+}, { _id: true });
+
+// Reconciliation Entry Schema (audit trail of every reconciliation decision)
+const reconciliationEntrySchema = new mongoose.Schema({
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduler', 'manual', 'callback'],
+    default: 'scheduler'
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Normalized gateway status (pending/paid/verified/failed) and the gateway's own value
+  gatewayStatus: String,
+  gatewayRawStatus: String,
+  localStatus: String,
+  orderStatus: String,
+  decision: {
+    type: String,
+    required: true,
+    enum: [
+      'settled', // Paid on the gateway - payment completed and order marked paid
+      'failed', // Gateway reports failure
+      'expired', // Still unresolved after the expiry window
+      'still_pending', // Buyer has not finished paying yet
+      'verify_failed', // Gateway says paid but verify did not succeed
+      'unavailable', // Gateway status could not be read
+      'order_cancelled', // Paid on the gateway but the order was already cancelled
+      'resolved' // Mismatch closed by an admin
+    ]
+  },
+  message: String,
+  gatewayResponse: mongoose.Schema.Types.Mixed
+}, { _id: true });
+
 // Payment Schema
 const paymentSchema = new mongoose.Schema({
   // Payment Number (unique, human-readable)
@@ -27,13 +97,21 @@ const paymentSchema = new mongoose.Schema({
     index: true
   },
 
-  // Payment Amount
+  // Payment Amount (base currency, Toman)
   amount: {
     type: Number,
     required: true,
     min: 0
   },
 
+  // Amount charged through the gateway, in the gateway's currency (rate = Toman value of one unit)
+  settlement: {
+    currency: String,
+    rate: Number,
+    decimals: Number,
+    amount: Number
+  },
+
   // Payment Method
   method: {
     type: String,
@@ -45,7 +123,7 @@ const paymentSchema = new mongoose.Schema({
   // Payment Gateway
   gateway: {
     type: String,
-    enum: ['zarinpal', 'idpay', 'saman', 'manual'],
+    enum: ['zarinpal', 'idpay', 'saman', 'mock', 'manual', 'points'],
     default: 'zarinpal'
   },
 
@@ -53,7 +131,7 @@ const paymentSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
     default: 'pending',
     index: true
   },
@@ -98,7 +176,7 @@ const paymentSchema = new mongoose.Schema({
     details: mongoose.Schema.Types.Mixed
   },
 
-  // Refund Information
+  // Refund Information (summary of all refunds: amount is the running total)
   refund: {
     amount: Number,
     reason: String,
@@ -111,6 +189,36 @@ const paymentSchema = new mongoose.Schema({
     refundGatewayResponse: mongoose.Schema.Types.Mixed
   },
 
+  // Individual refunds (partial / multi-step)
+  refunds: [paymentRefundSchema],
+
+  // Refund in flight: claimed before the gateway is called, cleared once the refund is
+  // recorded or has failed (see PaymentService.refundPayment)
+  refundClaim: {
+    amount: Number,
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date
+  },
+
+  // Reconciliation against the gateway (payments whose callback never arrived)
+  reconciliation: {
+    attempts: { type: Number, default: 0 },
+    lastCheckedAt: Date,
+    lastDecision: String,
+    // Gateway and local state disagree and need an admin
+    mismatch: { type: Boolean, default: false },
+    mismatchReason: String,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    log: [reconciliationEntrySchema]
+  },
+
   // Additional Metadata
   metadata: {
     description: String,
@@ -149,6 +257,7 @@ paymentSchema.index({ paymentNumber: 1 }, { unique: true, sparse: true });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ 'transaction.transactionId': 1 });
 paymentSchema.index({ 'transaction.authority': 1 });
+paymentSchema.index({ 'reconciliation.mismatch': 1, 'reconciliation.lastCheckedAt': -1 });
 
 // Methods
 Object.assign(paymentSchema.methods, baseSchemaMethods);
@@ -170,12 +279,13 @@ paymentSchema.methods.updateStatus = function(newStatus, data = {}) {
   
   // Validate status transition
   const validTransitions = {
-    'pending': ['processing', 'cancelled', 'failed'],
-    'processing': ['completed', 'failed', 'cancelled'],
-    'completed': ['refunded'],
-    'failed': ['pending', 'cancelled'],
-    'cancelled': [],
-    'refunded': []
+    pending: ['processing', 'cancelled', 'failed'],
+    processing: ['completed', 'failed', 'cancelled'],
+    completed: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    failed: ['pending', 'cancelled'],
+    cancelled: [],
+    refunded: []
   };
   
   if (!validTransitions[oldStatus]?.includes(newStatus)) {
@@ -238,18 +348,59 @@ paymentSchema.methods.cancel = function() {
   return this.updateStatus('cancelled');
 };
 
-// Refund payment
+// Total refunded so far
+paymentSchema.methods.getRefundedAmount = function() {
+  if (this.refunds?.length) {
+    return this.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  }
+  // Legacy single refund
+  return this.status === 'refunded' ? (this.refund?.amount || this.amount) : 0;
+};
+
+// Amount sent to the gateway (payments made before settlement was recorded: Toman)
+paymentSchema.methods.getGatewayAmount = function() {
+  return this.settlement?.amount ?? this.amount;
+};
+
+// Amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function() {
+  return Math.max(0, this.amount - this.getRefundedAmount());
+};
+
+// Refund payment (full or partial; can be called until the amount is exhausted)
+// refundData.complete marks the last refund when points are still owed after the money
+// (orders paid partly or wholly with points); otherwise refunding the amount completes it.
 paymentSchema.methods.processRefund = function(refundData) {
-  if (this.status !== 'completed') {
+  if (this.status !== 'completed' && this.status !== 'partially_refunded') {
     throw new Error('Only completed payments can be refunded');
   }
-  
-  this.status = 'refunded';
+
+  const amount = refundData.amount ?? this.getRefundableAmount();
+  const pointsAmount = refundData.pointsAmount || 0;
+  if (amount < 0 || amount > this.getRefundableAmount() || (amount === 0 && pointsAmount <= 0)) {
+    throw new Error('Refund amount exceeds refundable amount');
+  }
+
+  const refundedAt = new Date();
+  this.refunds.push({
+    amount,
+    pointsAmount,
+    items: refundData.items || [],
+    reason: refundData.reason,
+    refundedBy: refundData.refundedBy,
+    refundedAt,
+    refundTransactionId: refundData.transactionId,
+    refundGatewayResponse: refundData.gatewayResponse
+  });
+
+  const totalRefunded = this.getRefundedAmount();
+  const complete = refundData.complete ?? totalRefunded >= this.amount;
+  this.status = complete ? 'refunded' : 'partially_refunded';
   this.refund = {
-    amount: refundData.amount || this.amount,
+    amount: totalRefunded,
     reason: refundData.reason,
     refundedBy: refundData.refundedBy,
-    refundedAt: new Date(),
+    refundedAt,
     refundTransactionId: refundData.transactionId,
     refundGatewayResponse: refundData.gatewayResponse
   };
@@ -257,6 +408,22 @@ paymentSchema.methods.processRefund = function(refundData) {
   return this.save();
 };
 
+// Record a reconciliation decision (caller saves)
+paymentSchema.methods.addReconciliationEntry = function(entry) {
+  const mismatchDecisions = ['verify_failed', 'order_cancelled'];
+
+  this.reconciliation.attempts = (this.reconciliation.attempts || 0) + 1;
+  this.reconciliation.lastCheckedAt = entry.checkedAt || new Date();
+  this.reconciliation.lastDecision = entry.decision;
+  if (mismatchDecisions.includes(entry.decision)) {
+    this.reconciliation.mismatch = true;
+    this.reconciliation.mismatchReason = entry.message;
+  } else if (entry.decision !== 'unavailable' && entry.decision !== 'still_pending') {
+    this.reconciliation.mismatch = false;
+  }
+  this.reconciliation.log.push(entry);
+};
+
 // Statics
 Object.assign(paymentSchema.statics, baseSchemaStatics);
 
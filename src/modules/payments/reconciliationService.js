@@ -0,0 +1,407 @@
+import { Payment } from './model.js';
+import { Order } from '../orders/model.js';
+import { PaymentService } from './service.js';
+import { GatewayFactory } from './gateways/index.js';
+import { logger } from '../../utils/logger.js';
+
+/** Payments settled outside the gateway (nothing to reconcile) */
+const OFFLINE_GATEWAYS = ['manual', 'points'];
+
+/** Payment statuses that count as paid */
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * PaymentReconciliationService - Settles payments whose gateway callback never arrived
+ *
+ * Flow (scheduler, every few minutes):
+ * - pending/processing payments older than PAYMENT_RECONCILE_AFTER_MINUTES are checked with gateway.getStatus()
+ * - paid -> verify, then settle through PaymentService.settlePayment (OrderService.markOrderAsPaid)
+ * - verified -> settle; failed -> mark failed
+ * - anything still unresolved after PAYMENT_RECONCILE_EXPIRE_MINUTES is failed as expired
+ * Every decision is appended to payment.reconciliation.log; conflicts set reconciliation.mismatch.
+ */
+export class PaymentReconciliationService {
+  /**
+   * Minutes a payment must wait before it is reconciled
+   * @returns {number}
+   */
+  static getReconcileAfterMinutes() {
+    return parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 10;
+  }
+
+  /**
+   * Minutes after which an unresolved payment is failed
+   * (unverified gateway payments are reversed by the bank long before this)
+   * @returns {number}
+   */
+  static getExpireMinutes() {
+    return parseInt(process.env.PAYMENT_RECONCILE_EXPIRE_MINUTES) || 120;
+  }
+
+  /**
+   * Reconcile stale pending/processing payments (scheduled job)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} Count per decision
+   */
+  static async reconcilePendingPayments(options = {}) {
+    try {
+      const limit = options.limit || 50;
+      const staleBefore = new Date(Date.now() - this.getReconcileAfterMinutes() * 60 * 1000);
+
+      const payments = await Payment.find({
+        status: { $in: ['pending', 'processing'] },
+        gateway: { $nin: OFFLINE_GATEWAYS },
+        'transaction.authority': { $exists: true, $ne: null },
+        createdAt: { $lt: staleBefore },
+        deletedAt: null
+      })
+        .sort({ 'reconciliation.lastCheckedAt': 1, createdAt: 1 })
+        .limit(limit);
+
+      const summary = { checked: 0 };
+      for (const payment of payments) {
+        try {
+          const entry = await this.reconcilePayment(payment, { trigger: 'scheduler' });
+          summary.checked++;
+          summary[entry.decision] = (summary[entry.decision] || 0) + 1;
+        } catch (error) {
+          logger.error(`Failed to reconcile payment ${payment.paymentNumber}:`, error);
+        }
+      }
+
+      if (summary.checked > 0) {
+        logger.info('Payment reconciliation completed:', summary);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Reconcile pending payments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile one payment against its gateway
+   * @param {Payment|string} paymentOrId - Payment document or ID
+   * @param {Object} options - { trigger: 'scheduler' | 'manual', userId }
+   * @returns {Promise<Object>} Recorded reconciliation entry
+   */
+  static async reconcilePayment(paymentOrId, options = {}) {
+    try {
+      const paymentId = paymentOrId?._id || paymentOrId;
+      // Always work on a fresh copy - the callback may have settled it meanwhile
+      const payment = await Payment.findOne({ _id: paymentId, deletedAt: null });
+      if (!payment) {
+        throw new Error('پرداخت یافت نشد');
+      }
+
+      const order = await Order.findById(payment.order);
+      const entry = {
+        checkedAt: new Date(),
+        trigger: options.trigger || 'manual',
+        performedBy: options.userId,
+        localStatus: payment.status,
+        orderStatus: order?.status
+      };
+
+      if (!['pending', 'processing'].includes(payment.status)) {
+        throw new Error('این پرداخت در انتظار تایید نیست');
+      }
+
+      if (!order) {
+        await payment.markAsFailed({ code: 'ORDER_NOT_FOUND', message: 'سفارش پرداخت یافت نشد' });
+        entry.decision = 'failed';
+        entry.message = 'Order not found';
+        return this._record(payment, entry);
+      }
+
+      const gateway = GatewayFactory.getGateway(payment.gateway);
+      const statusResult = await gateway.getStatus(payment.transaction.authority, order.orderNumber);
+      entry.gatewayStatus = statusResult.status;
+      entry.gatewayRawStatus = statusResult.gatewayStatus;
+      entry.gatewayResponse = statusResult.gatewayResponse || statusResult.error;
+
+      if (!statusResult.success) {
+        return this._expireOrKeep(payment, entry, 'unavailable', statusResult.error?.message);
+      }
+
+      switch (statusResult.status) {
+        case 'paid':
+        case 'verified':
+          return this._settle(payment, order, gateway, statusResult, entry);
+        case 'failed':
+          await payment.markAsFailed({
+            code: 'GATEWAY_FAILED',
+            message: 'پرداخت در درگاه ناموفق بوده است',
+            details: { gatewayStatus: statusResult.gatewayStatus }
+          });
+          entry.decision = 'failed';
+          entry.message = `Gateway status: ${statusResult.gatewayStatus}`;
+          return this._record(payment, entry);
+        default:
+          return this._expireOrKeep(payment, entry, 'still_pending', 'Buyer has not completed the payment');
+      }
+    } catch (error) {
+      logger.error('Reconcile payment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a reconciliation mismatch after it was handled manually (e.g. refunded)
+   * @param {string} paymentId - Payment ID
+   * @param {string} userId - Admin user ID
+   * @param {string} note - What was done
+   * @returns {Promise<Payment>} Updated payment
+   */
+  static async resolveMismatch(paymentId, userId, note) {
+    try {
+      const payment = await Payment.findOne({ _id: paymentId, deletedAt: null });
+      if (!payment) {
+        throw new Error('پرداخت یافت نشد');
+      }
+
+      if (!payment.reconciliation?.mismatch) {
+        throw new Error('این پرداخت مغایرتی برای رفع ندارد');
+      }
+
+      payment.addReconciliationEntry({
+        checkedAt: new Date(),
+        trigger: 'manual',
+        performedBy: userId,
+        localStatus: payment.status,
+        decision: 'resolved',
+        message: note
+      });
+      payment.reconciliation.resolvedAt = new Date();
+      payment.reconciliation.resolvedBy = userId;
+      await payment.save();
+
+      logger.info(`Payment reconciliation mismatch resolved: ${payment.paymentNumber}`);
+      return payment;
+    } catch (error) {
+      logger.error('Resolve reconciliation mismatch error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mismatch report for admins
+   * - gateway: payments flagged by reconciliation (paid on gateway but not settled locally)
+   * - local: payment and order disagree about being paid
+   * @param {Object} filters - { dateFrom, dateTo }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { summary, gateway, local, pagination }
+   */
+  static async getMismatchReport(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 25;
+      const skip = (page - 1) * limit;
+
+      const dateRange = {};
+      if (filters.dateFrom) {
+        dateRange.$gte = new Date(filters.dateFrom);
+      }
+      if (filters.dateTo) {
+        dateRange.$lte = new Date(filters.dateTo);
+      }
+
+      const flaggedQuery = { 'reconciliation.mismatch': true, deletedAt: null };
+      if (Object.keys(dateRange).length) {
+        flaggedQuery.createdAt = dateRange;
+      }
+
+      const stuckBefore = new Date(Date.now() - this.getExpireMinutes() * 60 * 1000);
+
+      const [flagged, flaggedTotal, stuck, local] = await Promise.all([
+        Payment.find(flaggedQuery)
+          .populate('order', 'orderNumber status payment.status')
+          .populate('user', 'name email phoneNumber')
+          .select('-reconciliation.log.gatewayResponse')
+          .sort({ 'reconciliation.lastCheckedAt': -1 })
+          .skip(skip)
+          .limit(limit),
+        Payment.countDocuments(flaggedQuery),
+        Payment.countDocuments({
+          status: { $in: ['pending', 'processing'] },
+          gateway: { $nin: OFFLINE_GATEWAYS },
+          createdAt: { $lt: stuckBefore },
+          deletedAt: null
+        }),
+        this._findLocalMismatches(dateRange)
+      ]);
+
+      return {
+        summary: {
+          gatewayMismatches: flaggedTotal,
+          localMismatches: local.length,
+          stuckPayments: stuck
+        },
+        gateway: flagged,
+        local,
+        pagination: {
+          page,
+          limit,
+          total: flaggedTotal,
+          totalPages: Math.ceil(flaggedTotal / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Get reconciliation report error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify (if needed) and settle a payment the gateway reports as paid
+   * @private
+   */
+  static async _settle(payment, order, gateway, statusResult, entry) {
+    let verifyResult = {
+      success: true,
+      transactionId: statusResult.refId,
+      refId: statusResult.refId,
+      gatewayResponse: statusResult.gatewayResponse
+    };
+
+    if (statusResult.status === 'paid') {
+      verifyResult = await gateway.verify({
+        authority: payment.transaction.authority,
+        amount: payment.getGatewayAmount(),
+        id: payment.transaction.authority,
+        order_id: order.orderNumber
+      });
+
+      if (!verifyResult.success) {
+        entry.gatewayResponse = verifyResult.error;
+        return this._expireOrKeep(payment, entry, 'verify_failed',
+          `Gateway reports paid but verify failed: ${verifyResult.error?.message}`);
+      }
+    }
+
+    if (order.status === 'cancelled') {
+      // Money was taken: keep the payment, leave the order alone and let an admin refund or reinstate it
+      if (payment.status === 'pending') {
+        await payment.updateStatus('processing');
+      }
+      await payment.markAsCompleted({
+        transactionId: verifyResult.transactionId || verifyResult.refId,
+        refId: verifyResult.refId,
+        responseCode: 'RECONCILED',
+        gatewayResponse: verifyResult.gatewayResponse
+      });
+      entry.decision = 'order_cancelled';
+      entry.message = `Paid on the gateway after order ${order.orderNumber} was cancelled`;
+      logger.warn(`Reconciliation: payment ${payment.paymentNumber} paid for cancelled order ${order.orderNumber}`);
+      return this._record(payment, entry);
+    }
+
+    // Cancelled between loading the order and settling: settlePayment recorded the mismatch
+    if (!await PaymentService.settlePayment(payment, order, verifyResult, entry)) {
+      return payment.reconciliation.log[payment.reconciliation.log.length - 1];
+    }
+    entry.decision = 'settled';
+    entry.message = `Settled from gateway status ${statusResult.gatewayStatus || statusResult.status}`;
+    logger.info(`Reconciliation settled payment ${payment.paymentNumber}, order: ${order.orderNumber}`);
+    return this._record(payment, entry);
+  }
+
+  /**
+   * Record an undecided check, or fail the payment once the expiry window has passed
+   * @private
+   */
+  static async _expireOrKeep(payment, entry, decision, message) {
+    const expiresAt = new Date(payment.createdAt.getTime() + this.getExpireMinutes() * 60 * 1000);
+
+    if (new Date() < expiresAt) {
+      entry.decision = decision;
+      entry.message = message;
+      return this._record(payment, entry);
+    }
+
+    // A gateway that reported paid but never verified is still a mismatch worth reviewing
+    const flagged = decision === 'verify_failed';
+    await payment.markAsFailed({
+      code: 'RECONCILIATION_EXPIRED',
+      message: 'پرداخت در مهلت مقرر تایید نشد',
+      details: { lastDecision: decision }
+    });
+    entry.decision = flagged ? 'verify_failed' : 'expired';
+    entry.message = `${message} (expired after ${this.getExpireMinutes()} minutes)`;
+    return this._record(payment, entry);
+  }
+
+  /**
+   * Append the entry to the payment's audit trail
+   * @private
+   */
+  static async _record(payment, entry) {
+    payment.addReconciliationEntry(entry);
+    await payment.save();
+
+    logger.info(`Payment reconciliation: ${payment.paymentNumber} -> ${entry.decision}`, {
+      gatewayStatus: entry.gatewayStatus,
+      trigger: entry.trigger
+    });
+    return payment.reconciliation.log[payment.reconciliation.log.length - 1];
+  }
+
+  /**
+   * Payments and orders that disagree about being paid
+   * @private
+   */
+  static async _findLocalMismatches(dateRange) {
+    const match = { deletedAt: null, gateway: { $nin: OFFLINE_GATEWAYS } };
+    if (Object.keys(dateRange).length) {
+      match.createdAt = dateRange;
+    }
+
+    return Payment.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'orders',
+          localField: 'order',
+          foreignField: '_id',
+          as: 'orderDoc'
+        }
+      },
+      { $unwind: '$orderDoc' },
+      {
+        $match: {
+          $or: [
+            // Payment completed, order still unpaid
+            { status: { $in: PAID_STATUSES }, 'orderDoc.payment.status': { $nin: PAID_STATUSES } },
+            // Order paid through this payment's transaction, payment not completed
+            {
+              status: { $nin: PAID_STATUSES },
+              'transaction.transactionId': { $exists: true, $ne: null },
+              'orderDoc.payment.status': { $in: PAID_STATUSES },
+              $expr: { $eq: ['$orderDoc.payment.transactionId', '$transaction.transactionId'] }
+            }
+          ]
+        }
+      },
+      {
+        $project: {
+          paymentNumber: 1,
+          status: 1,
+          amount: 1,
+          gateway: 1,
+          'transaction.authority': 1,
+          'transaction.refId': 1,
+          createdAt: 1,
+          order: {
+            _id: '$orderDoc._id',
+            orderNumber: '$orderDoc.orderNumber',
+            status: '$orderDoc.status',
+            paymentStatus: '$orderDoc.payment.status'
+          }
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      { $limit: 200 }
+    ]);
+  }
+}
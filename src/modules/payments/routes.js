@@ -6,7 +6,10 @@ import { authorize } from '../../middleware/authorization.js';
 import {
   initializePaymentSchema,
   refundPaymentSchema,
-  getPaymentsQuerySchema
+  refundQuoteSchema,
+  getPaymentsQuerySchema,
+  reconciliationReportQuerySchema,
+  resolveMismatchSchema
 } from './validation.js';
 import { createRateLimiter } from '../../middleware/rateLimit.js';
 import { csrfProtection } from '../../middleware/security.js';
@@ -42,10 +45,13 @@ const router = Router();
  *                 type: string
  *               gateway:
  *                 type: string
- *                 enum: [zarinpal, idpay, saman]
+ *                 description: Enabled gateway from GET /api/v1/payments/gateways (default from settings)
+ *               points:
+ *                 type: integer
+ *                 description: Loyalty points to spend (orders with paymentMethod "points" use as many as needed)
  *     responses:
  *       200:
- *         description: Payment initialized successfully
+ *         description: Payment initialized successfully (or order paid entirely with points)
  *       400:
  *         description: Validation error
  *       401:
@@ -87,6 +93,128 @@ router.post(
   PaymentController.verifyPayment
 );
 
+/**
+ * @swagger
+ * /api/v1/payments/gateways:
+ *   get:
+ *     summary: List enabled payment gateways
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Enabled gateways with labels and the default gateway
+ */
+router.get('/gateways', PaymentController.getGateways);
+
+/**
+ * @swagger
+ * /api/v1/payments/mock/{authority}:
+ *   get:
+ *     summary: Mock gateway checkout page (non-production, mock gateway enabled in settings)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: authority
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page to pick success, failure or timeout
+ */
+router.get('/mock/:authority', PaymentController.getMockCheckout);
+
+/**
+ * @swagger
+ * /api/v1/payments/mock/{authority}/{outcome}:
+ *   get:
+ *     summary: Complete mock checkout and redirect to the callback URL
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: authority
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: outcome
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, timeout]
+ *     responses:
+ *       302:
+ *         description: Redirect to the payment callback
+ */
+router.get('/mock/:authority/:outcome', PaymentController.completeMockCheckout);
+
+/**
+ * @swagger
+ * /api/v1/payments/reconciliation/report:
+ *   get:
+ *     summary: Report payments whose gateway and local state disagree (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Mismatch summary, flagged payments and payment/order disagreements
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/reconciliation/report',
+  authenticate,
+  authorize(['orders.read']),
+  validate(reconciliationReportQuerySchema, 'query'),
+  PaymentController.getReconciliationReport
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/reconciliation/run:
+ *   post:
+ *     summary: Reconcile all stale pending payments now (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of payments per reconciliation decision
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/reconciliation/run',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  auditLog('RECONCILE_PAYMENTS', 'payments'),
+  PaymentController.runReconciliation
+);
+
 /**
  * @swagger
  * /api/v1/payments/me:
@@ -173,6 +301,53 @@ router.get(
   PaymentController.getPaymentById
 );
 
+/**
+ * @swagger
+ * /api/v1/payments/{id}/refund-quote:
+ *   post:
+ *     summary: Compute refundable amount for selected order items (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Order lines to refund (all remaining units if omitted)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Refund quote
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/:id/refund-quote',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(refundQuoteSchema),
+  PaymentController.getRefundQuote
+);
+
 /**
  * @swagger
  * /api/v1/payments/{id}/refund:
@@ -197,9 +372,23 @@ router.get(
  *                 type: string
  *               amount:
  *                 type: number
+ *                 description: Defaults to the computed amount of the selected items (or the remaining amount)
+ *               items:
+ *                 type: array
+ *                 description: Order lines to refund
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               restock:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
- *         description: Payment refunded
+ *         description: Payment refunded (fully or partially)
  *       401:
  *         description: Unauthorized
  *       403:
@@ -215,5 +404,79 @@ router.post(
   PaymentController.refundPayment
 );
 
+/**
+ * @swagger
+ * /api/v1/payments/{id}/reconcile:
+ *   post:
+ *     summary: Check a pending payment with its gateway and settle or fail it (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recorded reconciliation decision
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/:id/reconcile',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  auditLog('RECONCILE_PAYMENT', 'payments'),
+  PaymentController.reconcilePayment
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/{id}/reconciliation/resolve:
+ *   post:
+ *     summary: Mark a reconciliation mismatch as handled (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Mismatch resolved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/:id/reconciliation/resolve',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(resolveMismatchSchema),
+  auditLog('RESOLVE_PAYMENT_MISMATCH', 'payments'),
+  PaymentController.resolveReconciliationMismatch
+);
+
 export default router;
 
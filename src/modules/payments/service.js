@@ -1,12 +1,20 @@
 import { Payment } from './model.js';
 import { Order } from '../orders/model.js';
 import { OrderService } from '../orders/service.js';
+import { CouponService } from '../coupons/service.js';
+import { InventoryService } from '../products/inventoryService.js';
+import { LoyaltyService } from '../loyalty/service.js';
+import { CurrencyService, BASE_CURRENCY } from '../currencies/service.js';
 import { GatewayFactory } from './gateways/index.js';
+import { MOCK_OUTCOMES } from './gateways/mock.js';
 import { logger } from '../../utils/logger.js';
 
 /** Minimum amount (Toman) accepted by Zarinpal gateway */
 const ZARINPAL_MIN_AMOUNT = 1000;
 
+/** Verify errors that mean "no answer" rather than "not paid" */
+const TRANSIENT_VERIFY_ERRORS = ['EXCEPTION', 'TIMEOUT'];
+
 /**
  * PaymentService - Service layer for payment operations
  * 
@@ -22,9 +30,10 @@ export class PaymentService {
    * @param {string} orderId - Order ID
    * @param {string} userId - User ID
    * @param {string} gatewayName - Gateway name (optional)
+   * @param {Object} options - { points: loyalty points to spend on this order }
    * @returns {Promise<Object>} Payment initialization result
    */
-  static async initializePayment(orderId, userId, gatewayName = null) {
+  static async initializePayment(orderId, userId, gatewayName = null, options = {}) {
     try {
       // Get order
       const order = await Order.findOne({
@@ -38,10 +47,23 @@ export class PaymentService {
       }
 
       // Check if order is already paid
-      if (order.payment.status === 'completed') {
+      if (['completed', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
         throw new Error('این سفارش قبلاً پرداخت شده است');
       }
 
+      // Cancelled orders (incl. expired inventory holds) can no longer be paid
+      if (order.status === 'cancelled') {
+        throw new Error('این سفارش لغو شده است. لطفا سفارش جدید ثبت کنید');
+      }
+
+      // Loyalty points: 'points' orders are paid entirely with points, online orders may use some
+      if (order.payment.method === 'points' || options.points > 0) {
+        const pointsResult = await this._applyPoints(order, userId, options.points);
+        if (pointsResult) {
+          return pointsResult;
+        }
+      }
+
       // Check if payment method is online
       if (order.payment.method !== 'online') {
         throw new Error('این سفارش برای پرداخت آنلاین نیست');
@@ -54,9 +76,15 @@ export class PaymentService {
         throw new Error('این سفارش قبلاً پرداخت شده است');
       }
 
+      // Resolve gateway: requested one, otherwise the default from Settings (must be registered and enabled)
+      const gatewayNameToUse = (gatewayName || await GatewayFactory.getDefaultGateway() || '').toLowerCase();
+      if (!gatewayNameToUse) {
+        throw new Error('هیچ درگاه پرداختی فعال نیست');
+      }
+      const gateway = await GatewayFactory.getEnabledGateway(gatewayNameToUse);
+
       // Validate minimum amount for gateway (Zarinpal requires at least 1000 Toman)
-      const gatewayNameToUse = gatewayName || 'zarinpal';
-      if (gatewayNameToUse.toLowerCase() === 'zarinpal' && order.totals.total < ZARINPAL_MIN_AMOUNT) {
+      if (gatewayNameToUse === 'zarinpal' && order.payment.amount < ZARINPAL_MIN_AMOUNT) {
         throw new Error(`حداقل مبلغ پرداخت برای درگاه زرین‌پال ${ZARINPAL_MIN_AMOUNT.toLocaleString('fa-IR')} تومان است.`);
       }
 
@@ -65,9 +93,10 @@ export class PaymentService {
         payment = new Payment({
           order: orderId,
           user: userId,
-          amount: order.totals.total,
+          amount: order.payment.amount,
           method: order.payment.method,
-          gateway: gatewayName || 'zarinpal',
+          gateway: gatewayNameToUse,
+          settlement: await this._getSettlement(gateway, order.payment.amount),
           status: 'pending',
           metadata: {
             description: `پرداخت سفارش ${order.orderNumber}`,
@@ -78,11 +107,13 @@ export class PaymentService {
             }
           }
         });
+      } else {
+        // Reused pending payment: amount due (points applied) or chosen gateway may have changed
+        payment.amount = order.payment.amount;
+        payment.gateway = gatewayNameToUse;
+        payment.settlement = await this._getSettlement(gateway, order.payment.amount);
       }
 
-      // Get gateway
-      const gateway = GatewayFactory.getGateway(payment.gateway);
-
       // Prepare callback URL
       // In development, ALWAYS use localhost:3000 (where Next.js runs)
       // Ignore FRONTEND_URL in development to avoid port conflicts
@@ -101,7 +132,7 @@ export class PaymentService {
 
       // Initialize payment with gateway
       const initResult = await gateway.initialize({
-        amount: payment.amount,
+        amount: payment.getGatewayAmount(),
         description: payment.metadata.description,
         callbackUrl: callbackUrl,
         orderId: order.orderNumber,
@@ -184,6 +215,71 @@ export class PaymentService {
     }
   }
 
+  /**
+   * Spend loyalty points on an order; completes the order when points cover it all
+   * @private
+   * @returns {Promise<Object|null>} Payment result when fully paid, null when money is still due
+   */
+  static async _applyPoints(order, userId, requestedPoints = 0) {
+    if (!order.payment.points?.used) {
+      const config = await LoyaltyService.getConfig();
+      const points = order.payment.method === 'points'
+        ? Math.ceil(order.totals.total / config.pointValue)
+        : requestedPoints;
+
+      await LoyaltyService.redeemForOrder(order, points);
+      try {
+        await order.save();
+      } catch (saveError) {
+        await LoyaltyService.returnRedeemedPoints(order);
+        throw saveError;
+      }
+    } else if (requestedPoints > 0) {
+      throw new Error('امتیاز قبلاً برای این سفارش استفاده شده است');
+    }
+
+    if (order.payment.amount > 0) {
+      return null;
+    }
+
+    const now = new Date();
+    const payment = new Payment({
+      order: order._id,
+      user: userId,
+      amount: 0,
+      method: 'points',
+      gateway: 'points',
+      status: 'completed',
+      transaction: {
+        transactionId: `POINTS-${order.orderNumber}`,
+        responseCode: 'SUCCESS'
+      },
+      timestamps: {
+        initiatedAt: now,
+        completedAt: now
+      },
+      metadata: {
+        description: `پرداخت سفارش ${order.orderNumber} با امتیاز`,
+        customerInfo: {
+          name: order.contactInfo.fullName,
+          email: order.contactInfo.email,
+          phone: order.contactInfo.phoneNumber
+        }
+      }
+    });
+    await payment.save();
+
+    await OrderService.markOrderAsPaid(order._id, payment.transaction.transactionId, 'points');
+
+    logger.info(`Order paid with loyalty points: ${order.orderNumber}, points: ${order.payment.points.used}`);
+
+    return {
+      payment,
+      redirectUrl: null,
+      paidWithPoints: true
+    };
+  }
+
   /**
    * Verify payment (from gateway callback)
    * @param {string} gatewayName - Gateway name
@@ -234,7 +330,7 @@ export class PaymentService {
       // Verify payment with gateway
       const verifyData = {
         authority: authority,
-        amount: payment.amount,
+        amount: payment.getGatewayAmount(),
         id: authority,
         order_id: order.orderNumber
       };
@@ -245,45 +341,17 @@ export class PaymentService {
       payment.transaction.callbackData = callbackData;
 
       if (verifyResult.success) {
-        // Mark payment as completed
-        await payment.markAsCompleted({
-          transactionId: verifyResult.transactionId || verifyResult.refId,
-          refId: verifyResult.refId,
-          responseCode: 'SUCCESS',
-          gatewayResponse: verifyResult.gatewayResponse
-        });
-
-        // Mark order as paid
-        await OrderService.markOrderAsPaid(
-          order._id,
-          verifyResult.transactionId || verifyResult.refId,
-          gatewayName,
-          verifyResult.gatewayResponse
-        );
-
-        // Send payment success notification
-        try {
-          const { Notification } = await import('../notifications/model.js');
-          await Notification.create({
-            type: 'payment_success',
-            title: {
-              fa: 'پرداخت موفق',
-              en: 'Payment Successful'
-            },
-            message: {
-              fa: `پرداخت سفارش ${order.orderNumber} با موفقیت انجام شد.`,
-              en: `Payment for order ${order.orderNumber} was successful.`
+        if (!await this.settlePayment(payment, order, verifyResult)) {
+          return {
+            success: false,
+            payment,
+            order,
+            error: {
+              code: 'ORDER_CANCELLED',
+              message: 'سفارش پیش از تایید پرداخت لغو شده است؛ مبلغ توسط پشتیبانی بازگردانده می‌شود'
             },
-            recipient: payment.user,
-            relatedEntity: {
-              type: 'order',
-              id: order._id
-            },
-            priority: 'normal',
-            actionUrl: `/orders/${order._id}`
-          });
-        } catch (notificationError) {
-          logger.error('Failed to send payment success notification:', notificationError);
+            redirectUrl: `${process.env.NODE_ENV === 'development' ? 'http://localhost:3000' : (process.env.FRONTEND_URL || 'http://localhost:3000')}/orders/${order._id}/failed`
+          };
         }
 
         logger.info(`Payment verified: ${payment.paymentNumber}, order: ${order.orderNumber}`);
@@ -294,6 +362,20 @@ export class PaymentService {
           order,
           redirectUrl: `${process.env.NODE_ENV === 'development' ? 'http://localhost:3000' : (process.env.FRONTEND_URL || 'http://localhost:3000')}/orders/${order._id}/success`
         };
+      } else if (TRANSIENT_VERIFY_ERRORS.includes(verifyResult.error?.code)) {
+        // No answer from the gateway: the bank may have taken the money, so leave the
+        // payment in processing for the reconciliation job instead of failing it
+        payment.transaction.responseCode = verifyResult.error.code;
+        await payment.save();
+
+        logger.warn(`Payment verification inconclusive: ${payment.paymentNumber}, left for reconciliation`);
+
+        return {
+          success: false,
+          payment,
+          error: verifyResult.error,
+          redirectUrl: `${process.env.NODE_ENV === 'development' ? 'http://localhost:3000' : (process.env.FRONTEND_URL || 'http://localhost:3000')}/orders/${order._id}/failed`
+        };
       } else {
         // Mark payment as failed
         await payment.markAsFailed(verifyResult.error);
@@ -313,6 +395,94 @@ export class PaymentService {
     }
   }
 
+  /**
+   * Settle a verified payment: complete it, mark the order paid and notify the buyer
+   * Used by the gateway callback and by reconciliation. An order cancelled meanwhile
+   * (e.g. by the inventory hold sweep) is not paid: the payment is flagged as a mismatch.
+   * @param {Payment} payment - Payment document (processing)
+   * @param {Order} order - Order document
+   * @param {Object} verifyResult - Successful gateway verify result
+   * @param {Object} entry - Reconciliation entry to record a mismatch in (default: callback entry)
+   * @returns {Promise<boolean>} false when the order was cancelled and left unpaid
+   */
+  static async settlePayment(payment, order, verifyResult, entry = { checkedAt: new Date(), trigger: 'callback' }) {
+    try {
+      // Completed payments must pass through processing
+      if (payment.status === 'pending') {
+        await payment.updateStatus('processing');
+      }
+
+      // The order may have been cancelled while the buyer was at the bank
+      const current = await Order.findById(order._id).select('status').lean();
+      if (current?.status === 'cancelled') {
+        // Money was taken: keep the payment, leave the order alone and let an admin refund or reinstate it
+        await payment.markAsCompleted({
+          transactionId: verifyResult.transactionId || verifyResult.refId,
+          refId: verifyResult.refId,
+          responseCode: 'ORDER_CANCELLED',
+          gatewayResponse: verifyResult.gatewayResponse
+        });
+        payment.addReconciliationEntry({
+          ...entry,
+          localStatus: entry.localStatus || 'processing',
+          orderStatus: 'cancelled',
+          decision: 'order_cancelled',
+          message: `Paid on the gateway after order ${order.orderNumber} was cancelled`
+        });
+        await payment.save();
+
+        logger.warn(`Payment ${payment.paymentNumber} paid for cancelled order ${order.orderNumber}: flagged`);
+        return false;
+      }
+
+      // Mark payment as completed
+      await payment.markAsCompleted({
+        transactionId: verifyResult.transactionId || verifyResult.refId,
+        refId: verifyResult.refId,
+        responseCode: 'SUCCESS',
+        gatewayResponse: verifyResult.gatewayResponse
+      });
+
+      // Mark order as paid
+      await OrderService.markOrderAsPaid(
+        order._id,
+        verifyResult.transactionId || verifyResult.refId,
+        payment.gateway,
+        verifyResult.gatewayResponse
+      );
+
+      // Send payment success notification
+      try {
+        const { Notification } = await import('../notifications/model.js');
+        await Notification.create({
+          type: 'payment_success',
+          title: {
+            fa: 'پرداخت موفق',
+            en: 'Payment Successful'
+          },
+          message: {
+            fa: `پرداخت سفارش ${order.orderNumber} با موفقیت انجام شد.`,
+            en: `Payment for order ${order.orderNumber} was successful.`
+          },
+          recipient: payment.user,
+          relatedEntity: {
+            type: 'order',
+            id: order._id
+          },
+          priority: 'normal',
+          actionUrl: `/orders/${order._id}`
+        });
+      } catch (notificationError) {
+        logger.error('Failed to send payment success notification:', notificationError);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Settle payment error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get payment by ID
    * @param {string} paymentId - Payment ID
@@ -405,64 +575,393 @@ export class PaymentService {
   }
 
   /**
-   * Refund payment
+   * Get gateways buyers can choose from
+   * @returns {Promise<Array>} [{ name, label, isDefault }]
+   */
+  static async getAvailableGateways() {
+    try {
+      return await GatewayFactory.getAvailableGateways();
+    } catch (error) {
+      logger.error('Get available gateways error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get mock checkout transaction (mock gateway must be enabled)
+   * @param {string} authority - Mock payment authority
+   * @returns {Promise<Object>} { authority, amount, orderId, description, outcomes }
+   */
+  static async getMockCheckout(authority) {
+    try {
+      const gateway = await GatewayFactory.getEnabledGateway('mock');
+      const transaction = gateway.getTransaction(authority);
+
+      if (!transaction) {
+        throw new Error('تراکنش آزمایشی یافت نشد');
+      }
+
+      return {
+        authority,
+        amount: transaction.amount,
+        orderId: transaction.orderId,
+        description: transaction.description,
+        outcomes: MOCK_OUTCOMES
+      };
+    } catch (error) {
+      logger.error('Get mock checkout error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete mock checkout with the chosen outcome
+   * @param {string} authority - Mock payment authority
+   * @param {string} outcome - success | failure | timeout
+   * @returns {Promise<string>} Callback URL to redirect the buyer to
+   */
+  static async completeMockCheckout(authority, outcome) {
+    try {
+      const gateway = await GatewayFactory.getEnabledGateway('mock');
+      const callbackUrl = gateway.completeCheckout(authority, outcome);
+
+      logger.info(`Mock checkout completed: ${authority} -> ${outcome}`);
+      return callbackUrl;
+    } catch (error) {
+      logger.error('Complete mock checkout error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get refund quote for selected order lines (nothing is refunded)
+   * @param {string} paymentId - Payment ID
+   * @param {Array} items - Lines to refund: [{ itemId, quantity }]
+   * @returns {Promise<Object>} Computed refund ({ items, amount, discountAmount, refundable })
+   */
+  static async getRefundQuote(paymentId, items = []) {
+    try {
+      const { payment, order } = await this._getRefundablePayment(paymentId);
+      const quote = order.calculateRefund(items.length ? items : this._remainingItems(order));
+
+      return {
+        ...quote,
+        amount: Math.min(quote.amount, payment.getRefundableAmount()),
+        refundable: payment.getRefundableAmount(),
+        refunded: payment.getRefundedAmount()
+      };
+    } catch (error) {
+      logger.error('Get refund quote error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund payment (full, partial or item-level; may be called repeatedly until exhausted)
+   * The part of the order paid with loyalty points goes back to the wallet, not the gateway.
    * @param {string} paymentId - Payment ID
    * @param {string} userId - User ID (admin)
    * @param {Object} refundData - Refund data
+   * @param {string} refundData.reason - Refund reason
+   * @param {number} refundData.amount - Amount to refund (defaults to computed/remaining amount)
+   * @param {Array} refundData.items - Order lines to refund: [{ itemId, quantity }]
+   * @param {boolean} refundData.restock - Return refunded units to stock (default: true)
    * @returns {Promise<Payment>} Refunded payment
    */
   static async refundPayment(paymentId, userId, refundData = {}) {
     try {
-      const payment = await Payment.findById(paymentId);
-
-      if (!payment) {
-        throw new Error('پرداخت یافت نشد');
+      const { payment, order } = await this._getRefundablePayment(paymentId);
+      const refundable = payment.getRefundableAmount();
+      const refundablePoints = order.getReturnablePointsAmount();
+
+      // Without explicit lines, refunding the whole remainder covers all remaining units
+      let requestedItems = refundData.items || [];
+      if (!requestedItems.length && (!refundData.amount || refundData.amount >= refundable)) {
+        requestedItems = this._remainingItems(order);
       }
 
-      if (payment.status !== 'completed') {
-        throw new Error('فقط پرداخت‌های موفق قابل بازگشت هستند');
-      }
+      const quote = requestedItems.length ? order.calculateRefund(requestedItems) : null;
+      const maxAmount = quote ? Math.min(quote.amount, refundable) : refundable;
+      const amount = refundData.amount || maxAmount;
 
-      // Get gateway
-      const gateway = GatewayFactory.getGateway(payment.gateway);
+      if (amount <= 0 && !(quote?.pointsAmount > 0)) {
+        throw new Error('مبلغی برای بازگشت باقی نمانده است');
+      }
+      if (amount > maxAmount) {
+        throw new Error(`حداکثر مبلغ قابل بازگشت ${maxAmount.toLocaleString('fa-IR')} تومان است`);
+      }
 
-      // Get order
-      const order = await Order.findById(payment.order);
-      if (!order) {
-        throw new Error('سفارش یافت نشد');
+      // Points paid for the refunded part: the lines' share, or the share of the amount
+      let pointsAmount = quote
+        ? quote.pointsAmount
+        : Math.round((refundablePoints * amount) / Math.max(refundable, 1));
+      if (quote && maxAmount > 0) {
+        pointsAmount = Math.round((pointsAmount * amount) / maxAmount);
       }
+      const complete = payment.getRefundedAmount() + amount >= payment.amount && pointsAmount >= refundablePoints;
 
-      // Refund via gateway
-      const refundResult = await gateway.refund({
-        id: payment.transaction.authority,
-        order_id: order.orderNumber,
-        amount: refundData.amount || payment.amount
-      });
+      // Claim the amount first, so concurrent requests cannot refund it twice
+      await this._claimRefund(payment, amount, userId);
+
+      try {
+        // Points go back to the wallet; only money goes through the gateway
+        const refundResult = amount > 0 ? await this._refundViaGateway(payment, order, amount) : {};
 
-      if (refundResult.success) {
-        // Mark payment as refunded
+        const lines = quote ? quote.items : [];
         await payment.processRefund({
-          amount: refundData.amount || payment.amount,
+          amount,
+          pointsAmount,
+          complete,
+          items: lines,
           reason: refundData.reason,
           refundedBy: userId,
           transactionId: refundResult.transactionId,
           gatewayResponse: refundResult.gatewayResponse
         });
 
-        // Update order payment status
-        order.payment.status = 'refunded';
-        await order.save();
+        await this._applyRefundToOrder(order, payment, {
+          refundId: payment.refunds[payment.refunds.length - 1]._id,
+          amount,
+          pointsAmount,
+          lines,
+          discountAmount: quote?.discountAmount || 0,
+          restock: refundData.restock !== false,
+          reason: refundData.reason,
+          userId,
+          transactionId: refundResult.transactionId
+        });
+      } finally {
+        await this._releaseRefundClaim(payment);
+      }
 
-        logger.info(`Payment refunded: ${payment.paymentNumber}`);
+      logger.info(
+        `Payment refunded: ${payment.paymentNumber}, amount: ${amount}, points value: ${pointsAmount}, `
+        + `status: ${payment.status}`
+      );
 
-        return payment;
-      } else {
-        throw new Error(refundResult.error.message || 'خطا در بازگشت وجه');
-      }
+      return payment;
     } catch (error) {
       logger.error('Refund payment error:', error);
       throw error;
     }
   }
+
+  /**
+   * Send a refund to the payment's gateway; the gateway reference is logged before the
+   * refund is recorded, so a refund that fails to record can be reconciled by hand
+   * @private
+   * @returns {Promise<Object>} { transactionId, gatewayResponse }
+   */
+  static async _refundViaGateway(payment, order, amount) {
+    let refundResult;
+    try {
+      const gateway = GatewayFactory.getGateway(payment.gateway);
+      refundResult = await gateway.refund({
+        id: payment.transaction.authority,
+        order_id: order.orderNumber,
+        amount: this._toGatewayAmount(payment, amount)
+      });
+    } catch (gatewayError) {
+      refundResult = { success: false, error: { message: gatewayError.message } };
+    }
+
+    if (!refundResult.success) {
+      throw new Error(refundResult.error?.message || 'خطا در بازگشت وجه');
+    }
+
+    logger.info(
+      `Gateway refund done: ${payment.paymentNumber} (${payment.gateway}), amount: ${amount}, `
+      + `reference: ${refundResult.transactionId || '-'}`
+    );
+    return refundResult;
+  }
+
+  /**
+   * Claim a refund before calling the gateway: only one refund per payment at a time, and
+   * only if no refund was recorded since the amount was computed and it still fits
+   * @private
+   */
+  static async _claimRefund(payment, amount, userId) {
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: ['completed', 'partially_refunded'] },
+        'refundClaim.amount': null,
+        $expr: {
+          $and: [
+            { $eq: [{ $sum: '$refunds.amount' }, payment.getRefundedAmount()] },
+            { $lte: [{ $add: [{ $sum: '$refunds.amount' }, amount] }, '$amount'] }
+          ]
+        }
+      },
+      { $set: { refundClaim: { amount, claimedBy: userId, claimedAt: new Date() } } },
+      { new: true, projection: { refundClaim: 1 } }
+    );
+
+    if (!claimed) {
+      throw new Error('بازگشت وجه دیگری برای این پرداخت در جریان است؛ پس از پایان آن دوباره تلاش کنید');
+    }
+    payment.refundClaim = claimed.refundClaim;
+  }
+
+  /**
+   * Clear a refund claim (refund recorded, or the gateway refused it)
+   * @private
+   */
+  static async _releaseRefundClaim(payment) {
+    await Payment.updateOne({ _id: payment._id }, { $unset: { refundClaim: 1 } });
+    payment.refundClaim = undefined;
+  }
+
+  /**
+   * Load a payment that can still be refunded, with its order
+   * @private
+   */
+  static async _getRefundablePayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      throw new Error('پرداخت یافت نشد');
+    }
+
+    if (payment.status !== 'completed' && payment.status !== 'partially_refunded') {
+      throw new Error('فقط پرداخت‌های موفق قابل بازگشت هستند');
+    }
+
+    const order = await Order.findById(payment.order);
+    if (!order) {
+      throw new Error('سفارش یافت نشد');
+    }
+
+    return { payment, order };
+  }
+
+  /**
+   * Gateway-currency amount and the rate used, stored on the payment so later rate
+   * changes do not alter what is verified or refunded
+   * @private
+   */
+  static async _getSettlement(gateway, amount) {
+    const currency = await CurrencyService.getCurrency(gateway.currency || BASE_CURRENCY);
+    if (!currency) {
+      throw new Error(`ارز درگاه پرداخت (${gateway.currency}) تعریف نشده است`);
+    }
+
+    return {
+      currency: currency.code,
+      rate: currency.rate,
+      decimals: currency.decimals || 0,
+      amount: await CurrencyService.convert(amount, BASE_CURRENCY, currency.code)
+    };
+  }
+
+  /**
+   * Base currency amount (e.g. a partial refund) in the payment's gateway currency
+   * @private
+   */
+  static _toGatewayAmount(payment, amount) {
+    if (!payment.settlement?.currency) {
+      return amount;
+    }
+    if (amount === payment.amount) {
+      return payment.getGatewayAmount();
+    }
+    return CurrencyService.fromBase(amount, {
+      code: payment.settlement.currency,
+      rate: payment.settlement.rate,
+      decimals: payment.settlement.decimals
+    });
+  }
+
+  /**
+   * Order lines that still have refundable units
+   * @private
+   */
+  static _remainingItems(order) {
+    return order.items
+      .filter((item) => item.quantity > (item.refundedQuantity || 0))
+      .map((item) => ({ itemId: item._id, quantity: item.quantity - (item.refundedQuantity || 0) }));
+  }
+
+  /**
+   * Record a completed refund on the order: refunded quantities, refund entry,
+   * stock and coupon usage, and payment/order status
+   * @private
+   */
+  static async _applyRefundToOrder(order, payment, refund) {
+    const { refundId, amount, pointsAmount, lines, discountAmount, restock, reason, userId, transactionId } = refund;
+    const fullyRefunded = payment.status === 'refunded';
+    const pointsTotal = order.payment.points?.amount || 0;
+
+    for (const line of lines) {
+      const item = order.items.id(line.item);
+      item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+    }
+
+    let restocked = false;
+    if (restock && lines.length) {
+      restocked = await InventoryService.restockRefundedItems(order, lines);
+    }
+
+    try {
+      // Earned points follow the refunded share; spent points come back with the share they paid for
+      const paidTotal = payment.amount + pointsTotal;
+      await LoyaltyService.revokeEarnedPoints(order, paidTotal > 0 ? (amount + pointsAmount) / paidTotal : 1);
+      if (pointsAmount > 0 || fullyRefunded) {
+        await LoyaltyService.returnRedeemedPoints(order, {
+          ratio: fullyRefunded || pointsTotal <= 0 ? 1 : pointsAmount / pointsTotal,
+          refund: refundId
+        });
+      }
+    } catch (loyaltyError) {
+      logger.error(`Failed to update loyalty points for refunded order ${order.orderNumber}:`, loyaltyError);
+    }
+
+    // Refunded discount is taken back from each applied promotion by its share (older orders: the coupon)
+    const promotions = order.promotions?.length
+      ? order.promotions
+      : (order.coupon?.code ? [{ code: order.coupon.code, amount: order.coupon.discount || 0 }] : []);
+    const promotionsTotal = promotions.reduce((sum, promotion) => sum + (promotion.amount || 0), 0);
+    for (const promotion of promotions) {
+      const share = promotionsTotal > 0 ? Math.round((discountAmount * (promotion.amount || 0)) / promotionsTotal) : 0;
+      if (share <= 0 && !fullyRefunded) {
+        continue;
+      }
+      try {
+        await CouponService.revertUsage(promotion.code, order._id, share, { releaseUse: fullyRefunded });
+      } catch (couponError) {
+        // Money is already back with the customer - don't fail the refund over coupon stats
+        logger.error(`Failed to revert coupon usage for order ${order.orderNumber}:`, couponError);
+      }
+    }
+
+    order.refunds.push({
+      payment: payment._id,
+      amount,
+      pointsAmount,
+      items: lines,
+      discountAmount,
+      restocked,
+      reason,
+      refundedBy: userId,
+      refundedAt: new Date(),
+      transactionId
+    });
+    order.refund = {
+      amount: payment.getRefundedAmount(),
+      reason,
+      refundedBy: userId,
+      refundedAt: new Date(),
+      refundMethod: 'original'
+    };
+    order.payment.status = payment.status;
+
+    if (fullyRefunded && order.status === 'delivered') {
+      await order.updateStatus('refunded', userId, reason);
+      return;
+    }
+
+    await order.save();
+  }
 }
 
@@ -11,9 +11,20 @@ export const initializePaymentSchema = Joi.object({
     .messages({
       'any.required': 'شناسه سفارش الزامی است'
     }),
-  gateway: Joi.string().valid('zarinpal', 'idpay', 'saman').optional()
+  // Checked against the gateway registry and Settings flags in the service
+  gateway: Joi.string().trim().lowercase().max(50).optional(),
+  points: Joi.number().integer().min(1).optional()
     .messages({
-      'any.only': 'درگاه پرداخت نامعتبر است'
+      'number.min': 'تعداد امتیاز باید حداقل ۱ باشد'
+    })
+});
+
+// Refund line item (order item + quantity)
+const refundItemSchema = Joi.object({
+  itemId: objectIdSchema('شناسه آیتم سفارش').required(),
+  quantity: Joi.number().integer().min(1).required()
+    .messages({
+      'number.min': 'تعداد بازگشتی باید حداقل ۱ باشد'
     })
 });
 
@@ -23,13 +34,43 @@ export const refundPaymentSchema = Joi.object({
   amount: Joi.number().min(0).optional()
     .messages({
       'number.min': 'مبلغ بازگشت نمی‌تواند منفی باشد'
-    })
+    }),
+  items: Joi.array().items(refundItemSchema).unique('itemId').optional()
+    .messages({
+      'array.unique': 'هر آیتم سفارش فقط یکبار قابل انتخاب است'
+    }),
+  restock: Joi.boolean().default(true)
+});
+
+// Refund Quote Schema
+export const refundQuoteSchema = Joi.object({
+  items: Joi.array().items(refundItemSchema).unique('itemId').optional()
 });
 
 // Get Payments Query Schema
 export const getPaymentsQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).optional(),
   limit: Joi.number().integer().min(1).max(100).default(10).optional(),
-  status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded').optional()
+  status: Joi.string()
+    .valid('pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded')
+    .optional()
 });
 
+// Reconciliation Report Query Schema
+export const reconciliationReportQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25).optional(),
+  dateFrom: Joi.date().iso().optional(),
+  dateTo: Joi.date().iso().min(Joi.ref('dateFrom')).optional()
+    .messages({
+      'date.min': 'تاریخ پایان باید بعد از تاریخ شروع باشد'
+    })
+});
+
+// Resolve Reconciliation Mismatch Schema
+export const resolveMismatchSchema = Joi.object({
+  note: Joi.string().trim().min(3).max(500).required()
+    .messages({
+      'any.required': 'توضیح اقدام انجام شده الزامی است'
+    })
+});
@@ -0,0 +1,415 @@
+import crypto from 'crypto';
+import { Product } from './model.js';
+import { User } from '../auth/model.js';
+import { NotificationService as InAppNotificationService } from '../notifications/service.js';
+import { NotificationService } from '../../services/notification.js';
+import { emailService } from '../../utils/email.js';
+import { config } from '../../config/environment.js';
+import { logger } from '../../utils/logger.js';
+
+/** Alert types (keys of notificationSubscribers.lastAlerts and alertStats) */
+export const PRODUCT_ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+/** Default minimum time (hours) between two alerts of the same type to one subscriber */
+const DEFAULT_THROTTLE_HOURS = 24;
+
+/** Stock statuses that count as "available again" */
+const AVAILABLE_STOCK_STATUSES = ['in_stock', 'low_stock'];
+
+/** Subscribers processed per batch (one user query per batch) */
+const SUBSCRIBER_BATCH_SIZE = 100;
+
+/**
+ * ProductAlertService - Back-in-stock and price-drop alerts
+ *
+ * Reads Product.notificationSubscribers (see ProductService.subscribeToNotifications)
+ * and delivers through each subscriber's channels:
+ * - web: in-app Notification
+ * - email: emailService (with one-click List-Unsubscribe header)
+ * - sms: NotificationService.sendSMSNotification
+ *
+ * Each subscriber is claimed with a guarded update on lastAlerts.<type>, so an
+ * alert is sent at most once per throttle window even if triggers race.
+ */
+export class ProductAlertService {
+  /**
+   * Get throttle window in hours
+   * @returns {number}
+   */
+  static getThrottleHours() {
+    const hours = parseFloat(process.env.PRODUCT_ALERT_THROTTLE_HOURS);
+    return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_THROTTLE_HOURS;
+  }
+
+  /**
+   * Fire back-in-stock alert if stock moved from out_of_stock to available
+   * Never throws - callers don't wait for delivery
+   * @param {Product} product - Product after the stock change
+   * @param {string} previousStatus - stockStatus before the change
+   * @returns {Promise<Object|null>} Dispatch summary or null when not triggered
+   */
+  static async handleStockChange(product, previousStatus) {
+    if (previousStatus !== 'out_of_stock' ||
+        !AVAILABLE_STOCK_STATUSES.includes(product.inventory?.stockStatus)) {
+      return null;
+    }
+
+    try {
+      return await this.dispatch(product._id, 'back_in_stock');
+    } catch (error) {
+      logger.error(`Back-in-stock alert failed for product ${product._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fire back-in-stock alert when units came back on hand after there were none
+   * Never throws - callers don't wait for delivery
+   * @param {Product} product - Product after the restock
+   * @param {number} previousQuantity - On-hand quantity (inventory.quantity) before the restock
+   * @returns {Promise<Object|null>} Dispatch summary or null when not triggered
+   */
+  static async handleRestock(product, previousQuantity) {
+    if (previousQuantity > 0 || !AVAILABLE_STOCK_STATUSES.includes(product.inventory?.stockStatus)) {
+      return null;
+    }
+
+    try {
+      return await this.dispatch(product._id, 'back_in_stock');
+    } catch (error) {
+      logger.error(`Back-in-stock alert failed for product ${product._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fire price-drop alert for a price recorded lower than the previous one
+   * Never throws - callers don't wait for delivery
+   * @param {Product} product - Product after the price change
+   * @param {number} oldPrice - Previous price
+   * @param {number} newPrice - New price (last priceHistory entry)
+   * @returns {Promise<Object|null>} Dispatch summary or null when not triggered
+   */
+  static async handlePriceChange(product, oldPrice, newPrice) {
+    if (!(newPrice < oldPrice)) {
+      return null;
+    }
+
+    try {
+      return await this.dispatch(product._id, 'price_drop', { oldPrice, newPrice });
+    } catch (error) {
+      logger.error(`Price-drop alert failed for product ${product._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Send an alert to all subscribers of a product (throttled per subscriber)
+   * @param {ObjectId} productId - Product ID
+   * @param {string} type - back_in_stock | price_drop
+   * @param {Object} data - Extra message data ({ oldPrice, newPrice } for price_drop)
+   * @returns {Promise<Object>} { recipients, throttled, web, email, sms, failed }
+   */
+  static async dispatch(productId, type, data = {}) {
+    if (!PRODUCT_ALERT_TYPES.includes(type)) {
+      throw new Error(`Unknown product alert type: ${type}`);
+    }
+
+    const summary = { recipients: 0, throttled: 0, web: 0, email: 0, sms: 0, failed: 0 };
+
+    const product = await Product.findById(productId)
+      .select('name slug status isPublished deletedAt notificationSubscribers')
+      .lean();
+
+    // Nothing to buy: don't alert about hidden or deleted products
+    if (!product || product.deletedAt || !product.isPublished || product.status !== 'active') {
+      return summary;
+    }
+
+    const subscribers = product.notificationSubscribers || [];
+    if (subscribers.length === 0) {
+      return summary;
+    }
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - this.getThrottleHours() * 60 * 60 * 1000);
+
+    for (let i = 0; i < subscribers.length; i += SUBSCRIBER_BATCH_SIZE) {
+      const batch = subscribers.slice(i, i + SUBSCRIBER_BATCH_SIZE);
+      const claimed = [];
+
+      for (const subscriber of batch) {
+        if (await this._claimSubscriber(product._id, subscriber._id, type, now, cutoff)) {
+          claimed.push(subscriber);
+        } else {
+          summary.throttled++;
+        }
+      }
+
+      if (claimed.length === 0) {
+        continue;
+      }
+
+      const users = await User.find({
+        _id: { $in: claimed.map((subscriber) => subscriber.user) },
+        deletedAt: null
+      }).select('email phoneNumber').lean();
+      const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+      for (const subscriber of claimed) {
+        const user = usersById.get(subscriber.user?.toString());
+        if (!user) {
+          continue;
+        }
+        const result = await this._deliver(product, user, subscriber.channels || {}, type, data);
+        summary.recipients++;
+        summary.web += result.web;
+        summary.email += result.email;
+        summary.sms += result.sms;
+        summary.failed += result.failed;
+      }
+    }
+
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        $inc: {
+          [`alertStats.${type}.dispatches`]: 1,
+          [`alertStats.${type}.recipients`]: summary.recipients,
+          [`alertStats.${type}.throttled`]: summary.throttled,
+          [`alertStats.${type}.web`]: summary.web,
+          [`alertStats.${type}.email`]: summary.email,
+          [`alertStats.${type}.sms`]: summary.sms,
+          [`alertStats.${type}.failed`]: summary.failed
+        },
+        $set: { [`alertStats.${type}.lastDispatchedAt`]: now }
+      }
+    );
+
+    logger.info(`Product ${type} alert dispatched for ${product._id}:`, summary);
+    return summary;
+  }
+
+  /**
+   * Subscriber counts per channel and alert delivery stats of a product
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} { subscribers: { total, web, email, sms }, stats }
+   */
+  static async getProductAlertStats(productId) {
+    try {
+      const product = await Product.findById(productId)
+        .select('notificationSubscribers alertStats')
+        .lean();
+
+      if (!product) {
+        throw new Error('محصول یافت نشد');
+      }
+
+      const subscribers = product.notificationSubscribers || [];
+      const emptyStats = { dispatches: 0, recipients: 0, throttled: 0, web: 0, email: 0, sms: 0, failed: 0 };
+
+      return {
+        subscribers: {
+          total: subscribers.length,
+          web: subscribers.filter((subscriber) => subscriber.channels?.web).length,
+          email: subscribers.filter((subscriber) => subscriber.channels?.email).length,
+          sms: subscribers.filter((subscriber) => subscriber.channels?.sms).length
+        },
+        stats: {
+          back_in_stock: { ...emptyStats, ...product.alertStats?.back_in_stock },
+          price_drop: { ...emptyStats, ...product.alertStats?.price_drop },
+          unsubscribes: product.alertStats?.unsubscribes || 0
+        }
+      };
+    } catch (error) {
+      logger.error('Get product alert stats error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unsubscribe through a one-click link (no login needed)
+   * @param {string} token - Token from createUnsubscribeToken
+   * @returns {Promise<Object>} { product: { _id, name }, wasSubscribed }
+   */
+  static async unsubscribeByToken(token) {
+    try {
+      const payload = this.verifyUnsubscribeToken(token);
+      if (!payload) {
+        throw new Error('لینک لغو اشتراک نامعتبر است');
+      }
+
+      const product = await Product.findById(payload.productId).select('name').lean();
+      if (!product) {
+        throw new Error('محصول یافت نشد');
+      }
+
+      const result = await Product.updateOne(
+        { _id: payload.productId, 'notificationSubscribers.user': payload.userId },
+        {
+          $pull: { notificationSubscribers: { user: payload.userId } },
+          $inc: { 'alertStats.unsubscribes': 1 }
+        }
+      );
+
+      // Link may be clicked more than once - repeating it is not an error
+      const wasSubscribed = result.modifiedCount > 0;
+      if (wasSubscribed) {
+        logger.info(`User ${payload.userId} unsubscribed from product ${payload.productId} alerts via link`);
+      }
+
+      return { product, wasSubscribed };
+    } catch (error) {
+      logger.error('Unsubscribe by token error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create signed unsubscribe token for a product subscriber
+   * @param {ObjectId|string} productId - Product ID
+   * @param {ObjectId|string} userId - User ID
+   * @returns {string} <productId>.<userId>.<signature>
+   */
+  static createUnsubscribeToken(productId, userId) {
+    const body = `${productId}.${userId}`;
+    return `${body}.${this._sign(body)}`;
+  }
+
+  /**
+   * Verify unsubscribe token
+   * @param {string} token - Token
+   * @returns {Object|null} { productId, userId } or null if invalid
+   */
+  static verifyUnsubscribeToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3 || !parts.slice(0, 2).every((id) => /^[a-f\d]{24}$/i.test(id))) {
+      return null;
+    }
+
+    const [productId, userId, signature] = parts;
+    const expected = Buffer.from(this._sign(`${productId}.${userId}`));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { productId, userId };
+  }
+
+  /**
+   * Public one-click unsubscribe URL
+   * @param {ObjectId|string} productId - Product ID
+   * @param {ObjectId|string} userId - User ID
+   * @returns {string}
+   */
+  static getUnsubscribeUrl(productId, userId) {
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${config.PORT || 5000}`;
+    const token = this.createUnsubscribeToken(productId, userId);
+    return `${baseUrl}/api/${config.API_VERSION}/products/notifications/unsubscribe/${token}`;
+  }
+
+  /**
+   * Atomically mark a subscriber as alerted unless alerted within the throttle window
+   * @private
+   * @returns {Promise<boolean>} Whether this call may send the alert
+   */
+  static async _claimSubscriber(productId, subscriberId, type, now, cutoff) {
+    const field = `lastAlerts.${type}`;
+    const result = await Product.updateOne(
+      {
+        _id: productId,
+        notificationSubscribers: {
+          $elemMatch: {
+            _id: subscriberId,
+            $or: [{ [field]: null }, { [field]: { $lte: cutoff } }]
+          }
+        }
+      },
+      { $set: { [`notificationSubscribers.$.${field}`]: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Send one alert through the subscriber's channels
+   * @private
+   * @returns {Promise<Object>} { web, email, sms, failed } delivery counts (0/1)
+   */
+  static async _deliver(product, user, channels, type, data) {
+    const result = { web: 0, email: 0, sms: 0, failed: 0 };
+    const notificationType = `product_${type}`;
+    const productName = product.name?.fa || product.name?.en || '';
+    const productNameEn = product.name?.en || productName;
+    const productPath = `/products/${product.slug?.fa || product._id}`;
+    const payload = {
+      productName,
+      productUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}${productPath}`,
+      unsubscribeUrl: this.getUnsubscribeUrl(product._id, user._id),
+      oldPrice: new Intl.NumberFormat('fa-IR').format(data.oldPrice || 0),
+      newPrice: new Intl.NumberFormat('fa-IR').format(data.newPrice || 0)
+    };
+
+    const deliveries = [];
+
+    if (channels.web) {
+      const isPriceDrop = type === 'price_drop';
+      deliveries.push(['web', InAppNotificationService.createNotification({
+        type: notificationType,
+        title: {
+          fa: isPriceDrop ? `کاهش قیمت ${productName}` : `${productName} موجود شد`,
+          en: isPriceDrop ? `Price drop: ${productNameEn}` : `${productNameEn} is back in stock`
+        },
+        message: {
+          fa: isPriceDrop
+            ? `قیمت از ${payload.oldPrice} به ${payload.newPrice} تومان کاهش یافت`
+            : 'محصولی که منتظرش بودید دوباره موجود شد',
+          en: isPriceDrop
+            ? `Price dropped from ${data.oldPrice} to ${data.newPrice}`
+            : 'A product you were waiting for is available again'
+        },
+        recipient: user._id,
+        relatedEntity: {
+          type: 'product',
+          id: product._id
+        },
+        actionUrl: productPath
+      }).then(() => true)]);
+    }
+
+    if (channels.email && user.email) {
+      deliveries.push(['email', emailService.sendNotificationEmail(
+        user.email,
+        NotificationService.getEmailContent(notificationType, payload),
+        payload.unsubscribeUrl
+      )]);
+    }
+
+    if (channels.sms && user.phoneNumber) {
+      deliveries.push(['sms', NotificationService.sendSMSNotification(user.phoneNumber, notificationType, payload)]);
+    }
+
+    const outcomes = await Promise.allSettled(deliveries.map(([, delivery]) => delivery));
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled' && outcome.value) {
+        result[deliveries[index][0]]++;
+      } else {
+        result.failed++;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * HMAC signature for unsubscribe tokens
+   * @private
+   */
+  static _sign(body) {
+    return crypto
+      .createHmac('sha256', config.JWT_SECRET)
+      .update(`product-alerts:${body}`)
+      .digest('base64url');
+  }
+}
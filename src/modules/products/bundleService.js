@@ -0,0 +1,231 @@
+import { Product } from './model.js';
+import { ProductAlertService } from './alertService.js';
+import { CurrencyService } from '../currencies/service.js';
+import { logger } from '../../utils/logger.js';
+
+/** Component fields needed for pricing, stock and fulfillment */
+const COMPONENT_FIELDS = 'name sku type status isPublished deletedAt pricing inventory options variants digitalProduct physicalProduct';
+
+/**
+ * BundleService - Bundle products (kits sold as one catalog item)
+ *
+ * A bundle lists other products (optionally a specific variant) with a
+ * quantity per bundle. Its price is either fixed (pricing.basePrice) or the
+ * sum of its components minus bundle.discountPercent. Its stock is derived:
+ * inventory.quantity is the number of complete bundles the components can
+ * still make, refreshed whenever a component's stock or price changes.
+ *
+ * Components are reserved, sold and restocked individually (InventoryService)
+ * and digital components get their own download access on the order item.
+ */
+export class BundleService {
+  /**
+   * Load a bundle's component products, keyed by ID
+   * @param {Product} bundle - Bundle product
+   * @returns {Promise<Map<string, Product>>}
+   */
+  static async loadComponents(bundle) {
+    const ids = (bundle.bundle?.components || []).map((component) => component.product);
+    if (ids.length === 0) {
+      return new Map();
+    }
+    const products = await Product.find({ _id: { $in: ids } }).select(COMPONENT_FIELDS);
+    return new Map(products.map((product) => [product._id.toString(), product]));
+  }
+
+  /**
+   * Resolve a bundle into its component lines for a number of bundles
+   * @param {Product} bundle - Bundle product
+   * @param {number} quantity - Number of bundles
+   * @param {Map<string, Product>} componentsById - From loadComponents()
+   * @returns {Array<Object>} [{ component, product, variant, quantity }]
+   */
+  static resolveComponents(bundle, quantity, componentsById) {
+    return (bundle.bundle?.components || []).map((component) => {
+      const product = componentsById.get(component.product.toString()) || null;
+      return {
+        component,
+        product,
+        variant: product && component.variant ? product.getVariant(component.variant) : null,
+        quantity: component.quantity * quantity
+      };
+    });
+  }
+
+  /**
+   * Check that every component can currently be sold
+   * @param {Product} bundle - Bundle product
+   * @param {Map<string, Product>} componentsById - From loadComponents()
+   * @throws {Error} When a component is unavailable
+   */
+  static assertSellable(bundle, componentsById) {
+    for (const line of this.resolveComponents(bundle, 1, componentsById)) {
+      if (!this._isSellable(line)) {
+        throw new Error(`یکی از اجزای بسته ${bundle.name?.fa || bundle.name} در دسترس نیست`);
+      }
+    }
+  }
+
+  /**
+   * Validate bundle components (called on create/update)
+   * @param {Product} bundle - Bundle product
+   * @returns {Promise<Map<string, Product>>} Loaded components
+   */
+  static async validateBundle(bundle) {
+    const components = bundle.bundle?.components || [];
+    if (components.length === 0) {
+      throw new Error('بسته باید حداقل یک محصول داشته باشد');
+    }
+    if (bundle.variants?.length) {
+      throw new Error('بسته نمی‌تواند تنوع داشته باشد');
+    }
+
+    const lines = new Set();
+    for (const component of components) {
+      if (component.product.toString() === bundle._id.toString()) {
+        throw new Error('بسته نمی‌تواند شامل خودش باشد');
+      }
+      const key = `${component.product}:${component.variant || ''}`;
+      if (lines.has(key)) {
+        throw new Error('هر محصول فقط یک بار در بسته قابل تعریف است');
+      }
+      lines.add(key);
+    }
+
+    const componentsById = await this.loadComponents(bundle);
+    for (const { component, product, variant } of this.resolveComponents(bundle, 1, componentsById)) {
+      if (!product || product.deletedAt) {
+        throw new Error(`محصول ${component.product} برای بسته یافت نشد`);
+      }
+      if (product.type === 'bundle') {
+        throw new Error('بسته نمی‌تواند شامل بسته دیگری باشد');
+      }
+      if (product.type === 'subscription') {
+        throw new Error('محصول اشتراکی نمی‌تواند جزء بسته باشد');
+      }
+      if (product.variants?.length && !variant) {
+        throw new Error(`برای محصول ${product.name?.fa} در بسته باید تنوع مشخص شود`);
+      }
+      if (!product.variants?.length && component.variant) {
+        throw new Error(`محصول ${product.name?.fa} تنوع ندارد`);
+      }
+    }
+
+    if (bundle.bundle.pricingMode === 'percentage' && !(bundle.bundle.discountPercent > 0)) {
+      throw new Error('درصد تخفیف بسته باید بیشتر از صفر باشد');
+    }
+
+    return componentsById;
+  }
+
+  /**
+   * Recompute a bundle's derived price (percentage mode) and stock (not saved)
+   * @param {Product} bundle - Bundle product
+   * @param {Map<string, Product>} componentsById - Components (loaded when omitted)
+   * @returns {Promise<Object|null>} Price change ({ oldPrice, newPrice }) or null
+   */
+  static async applyDerivedFields(bundle, componentsById = null) {
+    const components = componentsById || await this.loadComponents(bundle);
+    const lines = this.resolveComponents(bundle, 1, components);
+
+    // Stock: complete bundles the tracked components can still make
+    let available = null;
+    for (const line of lines) {
+      if (!this._isSellable(line)) {
+        available = 0;
+        break;
+      }
+      const stock = (line.variant || line.product).inventory;
+      if (line.product.type !== 'physical' || line.product.inventory?.trackInventory === false || stock.allowBackorder) {
+        continue;
+      }
+      const bundles = Math.floor(line.product.getAvailableQuantity(line.variant) / line.component.quantity);
+      available = available === null ? bundles : Math.min(available, bundles);
+    }
+
+    bundle.inventory.trackInventory = available !== null;
+    bundle.inventory.allowBackorder = false;
+    bundle.inventory.quantity = available ?? 0;
+    bundle.inventory.reserved = 0;
+    bundle.updateStockStatus();
+
+    // Price: sum of the components' selling prices (in the bundle's currency), minus the bundle discount
+    let regularPrice = 0;
+    for (const line of lines) {
+      if (line.product) {
+        const price = await CurrencyService.convert(
+          line.product.getUnitPrice(line.variant),
+          line.product.pricing?.currency,
+          bundle.pricing.currency
+        );
+        regularPrice += price * line.component.quantity;
+      }
+    }
+    if (bundle.bundle.pricingMode !== 'percentage') {
+      return null;
+    }
+
+    const oldPrice = bundle.pricing.basePrice;
+    const newPrice = Math.round(regularPrice * (1 - bundle.bundle.discountPercent / 100));
+    bundle.pricing.compareAtPrice = regularPrice;
+    bundle.pricing.isOnSale = false;
+    if (oldPrice === newPrice) {
+      return null;
+    }
+    bundle.pricing.basePrice = newPrice;
+    bundle.addPriceToHistory(newPrice, 'bundle');
+    return { oldPrice, newPrice };
+  }
+
+  /**
+   * Refresh bundles that contain a product after its stock or price changed
+   * Runs in the background and never throws.
+   * @param {ObjectId|string} productId - Component product ID
+   * @param {Object} options - { alert: send back-in-stock alerts (false for holds and releases) }
+   * @returns {Promise<number>} Number of bundles updated
+   */
+  static async refreshBundlesContaining(productId, { alert = true } = {}) {
+    try {
+      const bundles = await Product.find({
+        type: 'bundle',
+        'bundle.components.product': productId,
+        deletedAt: null
+      });
+
+      let updated = 0;
+      for (const bundle of bundles) {
+        const previousStatus = bundle.inventory.stockStatus;
+        const priceChange = await this.applyDerivedFields(bundle);
+        if (!bundle.isModified()) {
+          continue;
+        }
+
+        await bundle.save();
+        updated++;
+
+        if (alert) {
+          ProductAlertService.handleStockChange(bundle, previousStatus);
+        }
+        if (priceChange) {
+          ProductAlertService.handlePriceChange(bundle, priceChange.oldPrice, priceChange.newPrice);
+        }
+      }
+
+      return updated;
+    } catch (error) {
+      logger.error(`Refresh bundles for product ${productId} error:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Whether a component line can be sold right now
+   * @private
+   */
+  static _isSellable({ product, variant, component }) {
+    if (!product || product.deletedAt || product.status !== 'active' || !product.isPublished) {
+      return false;
+    }
+    return !component.variant || (!!variant && variant.isActive !== false);
+  }
+}
@@ -1,5 +1,8 @@
 import { ProductService } from './service.js';
+import { ProductAlertService } from './alertService.js';
+import { ProductSearchService } from './searchService.js';
 import { Product } from './model.js';
+import { CurrencyService } from '../currencies/service.js';
 import { logger } from '../../utils/logger.js';
 import { handleCreate, handleUpdate, handleDelete, handleGetList } from '../../shared/controllers/baseController.js';
 
@@ -25,7 +28,10 @@ export class ProductController {
    * GET /api/v1/products
    */
   static async getProducts(req, res, next) {
-    await handleGetList(req, res, next, ProductService.getProducts);
+    await handleGetList(req, res, next, async (query) => {
+      const result = await ProductService.getProducts(query);
+      return { ...result, data: await CurrencyService.localizeProducts(result.data, req.currency) };
+    });
   }
 
   /**
@@ -36,10 +42,11 @@ export class ProductController {
     try {
       const { id } = req.params;
       const product = await ProductService.getProductById(id);
+      const [localized] = await CurrencyService.localizeProducts([product], req.currency);
       
       res.status(200).json({
         success: true,
-        data: { product }
+        data: { product: localized }
       });
     } catch (error) {
       logger.error('Get product by ID error:', error);
@@ -57,10 +64,11 @@ export class ProductController {
       const language = req.query.lang || req.headers['accept-language']?.split(',')[0]?.split('-')[0] || 'fa';
       
       const product = await ProductService.getProductBySlug(slug, language);
+      const [localized] = await CurrencyService.localizeProducts([product], req.currency);
       
       res.status(200).json({
         success: true,
-        data: { product }
+        data: { product: localized }
       });
     } catch (error) {
       logger.error('Get product by slug error:', error);
@@ -103,7 +111,7 @@ export class ProductController {
       
       res.status(200).json({
         success: true,
-        data: result.data,
+        data: await CurrencyService.localizeProducts(result.data, req.currency),
         pagination: result.pagination
       });
     } catch (error) {
@@ -112,6 +120,27 @@ export class ProductController {
     }
   }
 
+  /**
+   * Faceted product search
+   * GET /api/v1/products/search
+   */
+  static async searchProducts(req, res, next) {
+    try {
+      const result = await ProductSearchService.search(req.query);
+
+      res.status(200).json({
+        success: true,
+        data: await CurrencyService.localizeProducts(result.data, req.currency),
+        facets: result.facets,
+        pagination: result.pagination,
+        query: result.query
+      });
+    } catch (error) {
+      logger.error('Search products error:', error);
+      next(error);
+    }
+  }
+
   /**
    * Subscribe to product notifications
    * POST /api/v1/products/:id/notifications/subscribe
@@ -201,5 +230,41 @@ export class ProductController {
       next(error);
     }
   }
-}
 
+  /**
+   * One-click unsubscribe from an alert email/SMS link (no login)
+   * GET|POST /api/v1/products/notifications/unsubscribe/:token
+   */
+  static async unsubscribeByToken(req, res, next) {
+    try {
+      const { product } = await ProductAlertService.unsubscribeByToken(req.params.token);
+
+      res.status(200).json({
+        success: true,
+        message: 'اشتراک در اطلاع‌رسانی‌ها لغو شد',
+        data: { product }
+      });
+    } catch (error) {
+      logger.error('Unsubscribe by token error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get alert subscribers and delivery stats (admin)
+   * GET /api/v1/products/:id/notifications/stats
+   */
+  static async getNotificationStats(req, res, next) {
+    try {
+      const stats = await ProductAlertService.getProductAlertStats(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      logger.error('Get product notification stats error:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,618 @@
+import mongoose from 'mongoose';
+import { Product } from './model.js';
+import { Order } from '../orders/model.js';
+import { Payment } from '../payments/model.js';
+import { LoyaltyService } from '../loyalty/service.js';
+import { CouponService } from '../coupons/service.js';
+import { ProductAlertService } from './alertService.js';
+import { BundleService } from './bundleService.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Default time (minutes) stock stays held for an unpaid order: as long as payment
+ * reconciliation waits for a gateway payment (PAYMENT_RECONCILE_EXPIRE_MINUTES)
+ */
+const DEFAULT_RESERVATION_MINUTES = 120;
+
+/** Minimum extension of a hold whose payment is still undecided at the gateway */
+const IN_FLIGHT_EXTENSION_MINUTES = 15;
+
+/**
+ * InventoryService - Stock reservations for physical products
+ *
+ * Lifecycle of a checkout hold (Order.inventoryReservation.status):
+ * - held: checkout reserved units (inventory.reserved) until expiresAt
+ * - committed: payment turned the hold into a sale (inventory.quantity decremented)
+ * - released: cancellation or expiry gave the hold back (never while a payment is in flight)
+ * - restocked: a sold order was cancelled and its units returned to stock
+ *
+ * Every state change on the order is a guarded atomic update, so concurrent
+ * callers (payment callback vs. expiry sweep) cannot both apply it.
+ *
+ * Products with variants keep stock (and holds) per variant in
+ * variants[].inventory; order/cart lines name the variant in item.variant.
+ * Bundle items hold and sell the stock of their components (item.bundleComponents).
+ */
+export class InventoryService {
+  /**
+   * Get reservation lifetime in minutes
+   * @returns {number}
+   */
+  static getReservationMinutes() {
+    return parseInt(process.env.INVENTORY_RESERVATION_MINUTES)
+      || parseInt(process.env.PAYMENT_RECONCILE_EXPIRE_MINUTES)
+      || DEFAULT_RESERVATION_MINUTES;
+  }
+
+  /**
+   * Get expiry date for a new reservation
+   * @returns {Date}
+   */
+  static getReservationExpiry() {
+    return new Date(Date.now() + this.getReservationMinutes() * 60 * 1000);
+  }
+
+  /**
+   * Whether stock of this product is tracked (and therefore reservable)
+   * @param {Product} product - Product document
+   * @returns {boolean}
+   */
+  static tracksInventory(product) {
+    return !!product && product.type === 'physical' && product.inventory?.trackInventory !== false;
+  }
+
+  /**
+   * Reserve stock for an order item (inside checkout unit of work)
+   * @param {Product} product - Product document
+   * @param {number} quantity - Quantity to hold
+   * @param {ObjectId} orderId - Order ID
+   * @param {Date} expiresAt - Hold expiry
+   * @param {Object} ctx - Unit of work context ({ session, onRollback })
+   * @param {ObjectId} variantId - Variant ID (products with variants)
+   * @returns {Promise<void>}
+   */
+  static async reserve(product, quantity, orderId, expiresAt, { session = null, onRollback = () => {} } = {},
+    variantId = null) {
+    if (!this.tracksInventory(product)) {
+      return;
+    }
+
+    const variant = variantId ? product.getVariant(variantId) : null;
+    if (variantId && !variant) {
+      throw new Error(`تنوع انتخابی محصول ${product.name?.fa || product.name} یافت نشد`);
+    }
+    const stock = this._stockTarget(variant?._id);
+
+    // Only hold if on-hand minus already-reserved covers the quantity (unless backorders are allowed)
+    const filter = { _id: product._id };
+    if (!(variant || product).inventory.allowBackorder) {
+      filter.$expr = variant
+        ? {
+          $anyElementTrue: [{
+            $map: {
+              input: '$variants',
+              as: 'v',
+              in: {
+                $and: [
+                  { $eq: ['$$v._id', variant._id] },
+                  { $gte: [{ $subtract: ['$$v.inventory.quantity', { $ifNull: ['$$v.inventory.reserved', 0] }] }, quantity] }
+                ]
+              }
+            }
+          }]
+        }
+        : {
+          $gte: [
+            { $subtract: ['$inventory.quantity', { $ifNull: ['$inventory.reserved', 0] }] },
+            quantity
+          ]
+        };
+    } else if (variant) {
+      filter['variants._id'] = variant._id;
+    }
+
+    // The same stock can be held twice by one order (standalone and inside a bundle)
+    const reservationId = new mongoose.Types.ObjectId();
+    const updatedProduct = await Product.findOneAndUpdate(
+      filter,
+      {
+        $inc: { [`${stock.path}.reserved`]: quantity },
+        $push: {
+          [`${stock.path}.reservations`]: {
+            _id: reservationId,
+            order: orderId,
+            quantity,
+            expiresAt,
+            createdAt: new Date()
+          }
+        }
+      },
+      { new: true, session, ...stock.options }
+    );
+
+    if (!updatedProduct) {
+      throw new Error(`موجودی محصول ${product.name?.fa || product.name} کافی نیست. لطفا سبد خرید را بررسی کنید.`);
+    }
+
+    onRollback(async () => {
+      await Product.updateOne(
+        { _id: product._id, [`${stock.queryPath}.reservations._id`]: reservationId },
+        {
+          $inc: { [`${stock.path}.reserved`]: -quantity },
+          $pull: { [`${stock.path}.reservations`]: { _id: reservationId } }
+        },
+        stock.options
+      );
+      await this._refreshStockStatus(product._id);
+    });
+
+    updatedProduct.updateStockStatus();
+    await updatedProduct.save({ session });
+  }
+
+  /**
+   * Convert an order's hold into a sale (called when the order is paid)
+   * @param {Order} order - Order document
+   * @returns {Promise<void>}
+   */
+  static async commitForOrder(order) {
+    const status = order.inventoryReservation?.status;
+
+    if (status === 'held' && await this._transition(order._id, 'held', 'committed')) {
+      const products = await Product.find(this._reservationFilter('order', order._id));
+      const reservedLines = new Set();
+
+      for (const product of products) {
+        for (const { variantId, reservation } of this._reservationEntries(product)) {
+          if (reservation.order.toString() !== order._id.toString()) {
+            continue;
+          }
+          const stock = this._stockTarget(variantId);
+          const result = await Product.updateOne(
+            { _id: product._id, [`${stock.queryPath}.reservations._id`]: reservation._id },
+            {
+              $inc: {
+                [`${stock.path}.quantity`]: -reservation.quantity,
+                [`${stock.path}.reserved`]: -reservation.quantity,
+                sales: reservation.quantity
+              },
+              $pull: { [`${stock.path}.reservations`]: { _id: reservation._id } }
+            },
+            stock.options
+          );
+          if (result.modifiedCount > 0) {
+            reservedLines.add(this._lineKey(product._id, variantId));
+          }
+        }
+        await this._refreshStockStatus(product._id);
+      }
+
+      // Items whose hold disappeared (e.g. orphan cleanup) are sold directly
+      await this._sellDirectly(order, reservedLines);
+      logger.info(`Inventory reservation committed for order ${order.orderNumber}`);
+      return;
+    }
+
+    // Hold already expired/released but payment still arrived: sell from free stock
+    if (status === 'released' && await this._transition(order._id, 'released', 'committed')) {
+      logger.warn(`Order ${order.orderNumber} paid after its inventory hold was released`);
+      await this._sellDirectly(order, new Set());
+    }
+  }
+
+  /**
+   * Give back whatever stock an order holds or consumed (cancellation)
+   * - held reservations are released
+   * - committed (paid) orders and legacy orders (decremented at checkout) are restocked
+   * @param {Order} order - Order document
+   * @returns {Promise<void>}
+   */
+  static async restoreForOrder(order) {
+    const status = order.inventoryReservation?.status;
+
+    if (status === 'held') {
+      await this.releaseForOrder(order);
+      return;
+    }
+
+    const fromStatus = status === 'committed' ? 'committed' : (status ? null : undefined);
+    if (fromStatus === null || !await this._transition(order._id, fromStatus, 'restocked')) {
+      return;
+    }
+
+    const productsById = await this._getOrderProducts(order);
+    for (const item of order.items) {
+      for (const line of this.expandItem(item, item.quantity, productsById)) {
+        if (!this.tracksInventory(line.product)) {
+          continue;
+        }
+        await this._incrementStock(line.product, line.variant, line.quantity);
+      }
+    }
+
+    logger.info(`Inventory restocked for cancelled order ${order.orderNumber}`);
+  }
+
+  /**
+   * Return refunded units of a sold order to stock
+   * @param {Order} order - Order document
+   * @param {Array} lines - Refunded lines ({ item, quantity })
+   * @returns {Promise<boolean>} Whether anything was restocked
+   */
+  static async restockRefundedItems(order, lines) {
+    const status = order.inventoryReservation?.status;
+    // Only units that were actually taken out of stock can go back
+    if (status && status !== 'committed') {
+      return false;
+    }
+
+    const productsById = await this._getOrderProducts(order);
+    let restocked = false;
+
+    for (const line of lines) {
+      const item = order.items.id(line.item);
+      if (!item) {
+        continue;
+      }
+      for (const stockLine of this.expandItem(item, line.quantity, productsById)) {
+        if (!this.tracksInventory(stockLine.product)) {
+          continue;
+        }
+        await this._incrementStock(stockLine.product, stockLine.variant, stockLine.quantity);
+        restocked = true;
+      }
+    }
+
+    return restocked;
+  }
+
+  /**
+   * Release an order's held reservations
+   * @param {Order} order - Order document
+   * @returns {Promise<boolean>} Whether this call released the hold
+   */
+  static async releaseForOrder(order) {
+    if (!await this._transition(order._id, 'held', 'released')) {
+      return false;
+    }
+
+    await this._releaseReservations(this._reservationFilter('order', order._id),
+      (reservation) => reservation.order.toString() === order._id.toString());
+
+    logger.info(`Inventory reservation released for order ${order.orderNumber}`);
+    return true;
+  }
+
+  /**
+   * Sweep expired holds: cancel abandoned unpaid orders and release their stock,
+   * then drop any expired reservation whose order is no longer holding it.
+   * Orders with a payment still pending/processing at the gateway keep their hold
+   * until reconciliation settles or fails that payment.
+   * @returns {Promise<Object>} { ordersCancelled, holdsExtended, orphansReleased }
+   */
+  static async releaseExpiredReservations() {
+    const now = new Date();
+    let ordersCancelled = 0;
+    let holdsExtended = 0;
+
+    const expiredOrders = await Order.find({
+      'inventoryReservation.status': 'held',
+      'inventoryReservation.expiresAt': { $lte: now },
+      deletedAt: null
+    }).limit(200);
+
+    for (const order of expiredOrders) {
+      try {
+        if (order.payment.status === 'completed') {
+          // Paid but commit was missed - finish the sale instead of releasing
+          await this.commitForOrder(order);
+          continue;
+        }
+
+        // The buyer may still come back from the bank: cancelling now would sell stock twice
+        const inFlightPayment = await Payment.findOne({
+          order: order._id,
+          status: { $in: ['pending', 'processing'] },
+          deletedAt: null
+        }).sort({ createdAt: -1 }).select('createdAt').lean();
+        if (inFlightPayment) {
+          if (await this._extendHold(order, inFlightPayment, now)) {
+            holdsExtended++;
+          }
+          continue;
+        }
+
+        if (!await this.releaseForOrder(order)) {
+          continue;
+        }
+
+        if (order.status === 'pending') {
+          await order.updateStatus('cancelled', null, 'لغو خودکار: مهلت پرداخت و رزرو موجودی به پایان رسید');
+          await LoyaltyService.returnRedeemedPoints(order);
+          await CouponService.releaseOrderUsage(order);
+          ordersCancelled++;
+        }
+      } catch (error) {
+        logger.error(`Failed to release expired reservation for order ${order.orderNumber}:`, error);
+      }
+    }
+
+    // Orphans: expired entries whose order is gone or no longer in "held" state
+    const orphansReleased = await this._releaseReservations(
+      this._reservationFilter('expiresAt', { $lte: now }),
+      async (reservation) => {
+        if (reservation.expiresAt > now) {
+          return false;
+        }
+        const owner = await Order.findById(reservation.order).select('inventoryReservation.status').lean();
+        return owner?.inventoryReservation?.status !== 'held';
+      }
+    );
+
+    if (ordersCancelled > 0 || holdsExtended > 0 || orphansReleased > 0) {
+      logger.info(
+        `Released expired inventory holds: ${ordersCancelled} orders cancelled, ${holdsExtended} extended `
+        + `for in-flight payments, ${orphansReleased} orphan holds`
+      );
+    }
+
+    return { ordersCancelled, holdsExtended, orphansReleased };
+  }
+
+  /**
+   * Keep an order's hold until its in-flight payment expires in reconciliation
+   * @private
+   * @param {Order} order - Order document (held)
+   * @param {Object} payment - Pending/processing payment ({ createdAt })
+   * @param {Date} now - Sweep time
+   * @returns {Promise<boolean>} Whether the hold was extended
+   */
+  static async _extendHold(order, payment, now) {
+    const { PaymentReconciliationService } = await import('../payments/reconciliationService.js');
+    const paymentExpiresAt = payment.createdAt.getTime() + PaymentReconciliationService.getExpireMinutes() * 60 * 1000;
+    const expiresAt = new Date(Math.max(paymentExpiresAt, now.getTime() + IN_FLIGHT_EXTENSION_MINUTES * 60 * 1000));
+
+    const result = await Order.updateOne(
+      { _id: order._id, 'inventoryReservation.status': 'held' },
+      { $set: { 'inventoryReservation.expiresAt': expiresAt } }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`Hold of order ${order.orderNumber} kept until ${expiresAt.toISOString()}: payment in flight`);
+    }
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Atomically move an order's reservation status
+   * @private
+   * @param {ObjectId} orderId - Order ID
+   * @param {string|undefined} from - Expected current status (undefined = not set)
+   * @param {string} to - New status
+   * @returns {Promise<boolean>} Whether the transition was applied
+   */
+  static async _transition(orderId, from, to) {
+    const filter = { _id: orderId };
+    filter['inventoryReservation.status'] = from === undefined ? { $exists: false } : from;
+
+    const result = await Order.updateOne(filter, { $set: { 'inventoryReservation.status': to } });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Release individual reservation entries matching a predicate
+   * @private
+   * @param {Object} productFilter - Filter for products to scan
+   * @param {Function} shouldRelease - (reservation) => boolean | Promise<boolean>
+   * @returns {Promise<number>} Number of entries released
+   */
+  static async _releaseReservations(productFilter, shouldRelease) {
+    const products = await Product.find(productFilter).select('inventory.reservations variants._id variants.inventory');
+    let released = 0;
+
+    for (const product of products) {
+      let touched = false;
+      for (const { variantId, reservation } of this._reservationEntries(product)) {
+        if (!await shouldRelease(reservation)) {
+          continue;
+        }
+        // Matching on the entry _id makes the release idempotent
+        const stock = this._stockTarget(variantId);
+        const result = await Product.updateOne(
+          { _id: product._id, [`${stock.queryPath}.reservations._id`]: reservation._id },
+          {
+            $inc: { [`${stock.path}.reserved`]: -reservation.quantity },
+            $pull: { [`${stock.path}.reservations`]: { _id: reservation._id } }
+          },
+          stock.options
+        );
+        if (result.modifiedCount > 0) {
+          released++;
+          touched = true;
+        }
+      }
+      if (touched) {
+        await this._refreshStockStatus(product._id);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Decrement stock for order items that had no reservation to convert
+   * @private
+   * @param {Order} order - Order document
+   * @param {Set<string>} skipLines - Product/variant lines already committed from a hold (see _lineKey)
+   */
+  static async _sellDirectly(order, skipLines) {
+    const productsById = await this._getOrderProducts(order);
+    const lines = order.items.flatMap((item) => this.expandItem(item, item.quantity, productsById));
+
+    for (const { product, variant: variantId, quantity } of lines) {
+      if (!product || product.type !== 'physical' || skipLines.has(this._lineKey(product._id, variantId))) {
+        continue;
+      }
+
+      if (!product.inventory.trackInventory) {
+        await Product.updateOne({ _id: product._id }, { $inc: { sales: quantity } });
+        continue;
+      }
+
+      const variant = variantId ? product.getVariant(variantId) : null;
+      const stock = this._stockTarget(variant?._id);
+      const filter = { _id: product._id };
+      if (variant) {
+        filter.variants = variant.inventory.allowBackorder
+          ? { $elemMatch: { _id: variant._id } }
+          : { $elemMatch: { _id: variant._id, 'inventory.quantity': { $gte: quantity } } };
+      } else if (!product.inventory.allowBackorder) {
+        filter['inventory.quantity'] = { $gte: quantity };
+      }
+      const result = await Product.updateOne(
+        filter,
+        { $inc: { [`${stock.path}.quantity`]: -quantity, sales: quantity } },
+        stock.options
+      );
+      if (result.modifiedCount === 0) {
+        logger.error(`Oversold product ${product._id} for paid order ${order.orderNumber} (quantity ${quantity})`);
+      }
+      await this._refreshStockStatus(product._id);
+    }
+  }
+
+  /**
+   * Load the products of an order's items, keyed by ID
+   * @private
+   * @param {Order} order - Order document (items.product may or may not be populated)
+   * @returns {Promise<Map<string, Product>>}
+   */
+  static async _getOrderProducts(order) {
+    const productIds = order.items.flatMap((item) => [
+      this._productId(item),
+      ...(item.bundleComponents || []).map((component) => component.product)
+    ]);
+    const products = await Product.find({ _id: { $in: productIds } }).select('type inventory variants name');
+    return new Map(products.map((product) => [product._id.toString(), product]));
+  }
+
+  /**
+   * Stock lines of an order item: a bundle item expands into its components
+   * @param {Object} item - Order item
+   * @param {number} quantity - Units of the item
+   * @param {Map<string, Product>} productsById - From _getOrderProducts()
+   * @returns {Array<Object>} [{ product, variant (ID or null), quantity }]
+   */
+  static expandItem(item, quantity, productsById) {
+    if (item.bundleComponents?.length) {
+      return item.bundleComponents.map((component) => ({
+        product: productsById.get(component.product.toString()),
+        variant: component.variant || null,
+        quantity: component.quantity * quantity
+      }));
+    }
+    return [{ product: productsById.get(this._productId(item)), variant: item.variant || null, quantity }];
+  }
+
+  /**
+   * Update paths for the stock of a product or one of its variants
+   * @private
+   * @param {ObjectId|null} variantId - Variant ID (null = product-level stock)
+   * @returns {Object} { path (update), queryPath (filter), options (arrayFilters) }
+   */
+  static _stockTarget(variantId = null) {
+    if (!variantId) {
+      return { path: 'inventory', queryPath: 'inventory', options: {} };
+    }
+    return {
+      path: 'variants.$[variant].inventory',
+      queryPath: 'variants.inventory',
+      options: { arrayFilters: [{ 'variant._id': new mongoose.Types.ObjectId(variantId.toString()) }] }
+    };
+  }
+
+  /**
+   * Filter for products holding reservations (product-level or variant-level) matching a field
+   * @private
+   * @param {string} field - Reservation field (order, expiresAt)
+   * @param {*} condition - Value or condition
+   */
+  static _reservationFilter(field, condition) {
+    return {
+      $or: [
+        { [`inventory.reservations.${field}`]: condition },
+        { [`variants.inventory.reservations.${field}`]: condition }
+      ]
+    };
+  }
+
+  /**
+   * All reservation entries of a product
+   * @private
+   * @returns {Array<Object>} [{ variantId (null for product-level), reservation }]
+   */
+  static _reservationEntries(product) {
+    const entries = (product.inventory?.reservations || []).map((reservation) => ({ variantId: null, reservation }));
+    for (const variant of product.variants || []) {
+      for (const reservation of variant.inventory?.reservations || []) {
+        entries.push({ variantId: variant._id, reservation });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Return units to the stock of a product/variant
+   * @private
+   */
+  static async _incrementStock(product, variantId, quantity) {
+    const stock = this._stockTarget(variantId && product.getVariant(variantId) ? variantId : null);
+    await Product.updateOne(
+      { _id: product._id },
+      { $inc: { [`${stock.path}.quantity`]: quantity, sales: -quantity } },
+      stock.options
+    );
+    await this._refreshStockStatus(product._id, { restocked: quantity });
+  }
+
+  /**
+   * Key of a product/variant stock line
+   * @private
+   */
+  static _lineKey(productId, variantId = null) {
+    return `${productId}:${variantId || ''}`;
+  }
+
+  /**
+   * Product ID of an order item as string
+   * @private
+   */
+  static _productId(item) {
+    return (item.product?._id || item.product).toString();
+  }
+
+  /**
+   * Recalculate stockStatus from current quantity/reserved
+   * Back-in-stock alerts follow on-hand quantity only: holds and releases move the
+   * status but never announce the product.
+   * @private
+   * @param {ObjectId} productId - Product ID
+   * @param {Object} options - { restocked: units just returned on hand }
+   */
+  static async _refreshStockStatus(productId, { restocked = 0 } = {}) {
+    const product = await Product.findById(productId).select('inventory variants type');
+    if (!product) {
+      return;
+    }
+    product.updateStockStatus();
+    // Variant products also store recomputed totals and per-variant statuses
+    if (product.isModified('inventory') || product.isModified('variants')) {
+      await product.save();
+    }
+    // Alerts run in the background
+    if (restocked > 0) {
+      ProductAlertService.handleRestock(product, (product.inventory.quantity || 0) - restocked);
+    }
+    // Bundles made of this product follow its available quantity
+    BundleService.refreshBundlesContaining(productId, { alert: restocked > 0 });
+  }
+}
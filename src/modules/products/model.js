@@ -1,5 +1,116 @@
 import mongoose from 'mongoose';
 import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+import { normalizePersian, tokenizePersian } from '../../utils/persianText.js';
+import { CurrencyService } from '../currencies/service.js';
+
+/**
+ * Pricing currency must be a defined currency with a rate (checked when set or changed)
+ * @param {string} code - Currency code
+ * @returns {Promise<boolean>}
+ */
+async function isDefinedCurrency(code) {
+  if (this instanceof mongoose.Document && !this.isNew && !this.isModified('pricing.currency')) {
+    return true;
+  }
+  const currency = await CurrencyService.getCurrency(code);
+  return Boolean(currency && currency.rate > 0);
+}
+
+// Delivery counters of one alert type
+const alertStatsSchema = new mongoose.Schema({
+  dispatches: { type: Number, default: 0 }, // Times the alert was triggered
+  recipients: { type: Number, default: 0 }, // Subscribers alerted
+  throttled: { type: Number, default: 0 }, // Subscribers skipped (alerted recently)
+  web: { type: Number, default: 0 },
+  email: { type: Number, default: 0 },
+  sms: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }, // Failed channel deliveries
+  lastDispatchedAt: Date
+}, { _id: false });
+
+// Stock held for a pending (unpaid) order
+const inventoryReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  quantity: { type: Number, required: true, min: 1 },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+// Option axis (size, color, license, ...) and its allowed values
+const productOptionSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, lowercase: true }, // e.g. 'size'
+  name: { fa: String, en: String },
+  values: [{
+    key: { type: String, required: true, trim: true, lowercase: true }, // e.g. 'xl'
+    label: { fa: String, en: String },
+    swatch: String // Color code or image URL for pickers
+  }]
+}, { _id: false });
+
+// Variant: one combination of option values with its own SKU, price, stock and images
+const productVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Option key -> value key, e.g. { size: 'xl', color: 'red' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  pricing: {
+    basePrice: { type: Number, required: true, min: 0 },
+    compareAtPrice: Number,
+    isOnSale: { type: Boolean, default: false },
+    salePrice: Number,
+    saleStartDate: Date,
+    saleEndDate: Date
+  },
+  // Stock of this variant (trackInventory is set on the product)
+  inventory: {
+    quantity: { type: Number, default: 0, min: 0 },
+    lowStockThreshold: { type: Number, default: 10 },
+    allowBackorder: { type: Boolean, default: false },
+    stockStatus: {
+      type: String,
+      enum: ['in_stock', 'out_of_stock', 'low_stock', 'on_backorder'],
+      default: 'in_stock'
+    },
+    reserved: { type: Number, default: 0, min: 0 },
+    reservations: [inventoryReservationSchema]
+  },
+  featuredImage: String,
+  gallery: [{
+    url: String,
+    alt: { fa: String, en: String }
+  }],
+  weight: Number, // in grams, overrides physicalProduct.weight
+  // Digital products: e.g. a commercial license tier with its own file
+  digitalProduct: {
+    downloadUrl: String,
+    downloadLimit: Number
+  },
+  isActive: { type: Boolean, default: true },
+  orderIndex: { type: Number, default: 0 }
+}, { _id: true });
+
+// Bundle component: another product (or one of its variants) sold inside a bundle
+const bundleComponentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // Required when the component has variants
+  quantity: { type: Number, default: 1, min: 1 } // Units per bundle
+}, { _id: true });
 
 const productSchema = new mongoose.Schema({
   // Basic Information
@@ -23,9 +134,34 @@ const productSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['digital', 'physical'],
+    enum: ['digital', 'physical', 'bundle', 'subscription'],
     default: 'physical'
   },
+
+  // Subscription Specific: billed every intervalCount × interval until cancelled (see SubscriptionService).
+  // pricing.basePrice is the first period's price; renewals use renewalPrice when set.
+  subscription: {
+    interval: {
+      type: String,
+      enum: ['day', 'week', 'month', 'year'],
+      default: 'month'
+    },
+    intervalCount: { type: Number, default: 1, min: 1 },
+    trialDays: { type: Number, default: 0, min: 0 }, // Free days before the first charge
+    renewalPrice: { type: Number, default: null, min: 0 } // null = pricing.basePrice
+  },
+
+  // Bundle Specific: components are fulfilled individually when the bundle is sold.
+  // Stock (inventory.quantity/stockStatus) is derived from the components (see BundleService).
+  bundle: {
+    components: [bundleComponentSchema],
+    pricingMode: {
+      type: String,
+      enum: ['fixed', 'percentage'], // fixed: pricing.basePrice; percentage: sum of components minus discountPercent
+      default: 'fixed'
+    },
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 }
+  },
   
   // Digital Product Specific
   digitalProduct: {
@@ -85,7 +221,17 @@ const productSchema = new mongoose.Schema({
   pricing: {
     basePrice: { type: Number, required: true, min: 0 },
     compareAtPrice: Number, // Original price for showing discount
-    currency: { type: String, default: 'IRR', enum: ['IRR', 'USD', 'EUR'] },
+    // Currency code (currencies module), IRT = Toman
+    currency: {
+      type: String,
+      default: 'IRT',
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+      validate: {
+        validator: isDefinedCurrency,
+        message: (props) => `ارز «${props.value}» تعریف نشده است؛ ابتدا ارز و نرخ تبدیل آن را ثبت کنید`
+      }
+    },
     isOnSale: { type: Boolean, default: false },
     salePrice: Number,
     saleStartDate: Date,
@@ -108,8 +254,16 @@ const productSchema = new mongoose.Schema({
       type: String,
       enum: ['in_stock', 'out_of_stock', 'low_stock', 'on_backorder'],
       default: 'in_stock'
-    }
+    },
+    // Units held for pending (unpaid) orders - not sellable, not yet sold
+    reserved: { type: Number, default: 0, min: 0 },
+    reservations: [inventoryReservationSchema]
   },
+
+  // Variants: option axes and one entry per sellable combination.
+  // For products with variants, inventory.quantity/reserved/stockStatus are totals of the variants.
+  options: [productOptionSchema],
+  variants: [productVariantSchema],
   
   // Categories and Tags
   categories: [{
@@ -174,8 +328,20 @@ const productSchema = new mongoose.Schema({
       sms: { type: Boolean, default: false },
       web: { type: Boolean, default: true }
     },
-    subscribedAt: { type: Date, default: Date.now }
+    subscribedAt: { type: Date, default: Date.now },
+    // Last alert sent per type (throttling, see ProductAlertService)
+    lastAlerts: {
+      back_in_stock: Date,
+      price_drop: Date
+    }
   }],
+
+  // Back-in-stock / price-drop alert delivery stats
+  alertStats: {
+    back_in_stock: { type: alertStatsSchema, default: () => ({}) },
+    price_drop: { type: alertStatsSchema, default: () => ({}) },
+    unsubscribes: { type: Number, default: 0 }
+  },
   
   // Related Content
   relatedProducts: [{
@@ -195,6 +361,9 @@ const productSchema = new mongoose.Schema({
     ref: 'Video'
   }],
   
+  // VAT class code (TaxClass); null = first category's class, then the default class
+  taxClass: { type: String, lowercase: true, trim: true, default: null },
+
   // Loyalty Points (Hika Club)
   loyaltyPoints: {
     earnOnPurchase: { type: Number, default: 0 }, // Points earned when buying
@@ -212,6 +381,16 @@ const productSchema = new mongoose.Schema({
     name: String,
     contact: String
   },
+
+  // Brand (search facet)
+  brand: { type: String, trim: true, maxLength: 100 },
+
+  // Normalized search text (see normalizePersian), rebuilt on save; terms feed "did you mean"
+  searchIndex: {
+    title: { type: String, select: false }, // Names, SKUs, brand
+    body: { type: String, select: false }, // Descriptions, tags, specifications, suitableFor
+    terms: { type: [String], select: false }
+  },
   
   ...baseSchemaFields
 }, {
@@ -230,6 +409,23 @@ productSchema.index({ 'ratings.average': -1 });
 productSchema.index({ sales: -1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ orderIndex: 1 });
+productSchema.index({ 'inventory.reservations.order': 1 });
+productSchema.index({ 'inventory.reservations.expiresAt': 1 });
+productSchema.index({ 'notificationSubscribers.user': 1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ 'variants.inventory.reservations.order': 1 });
+productSchema.index({ 'variants.inventory.reservations.expiresAt': 1 });
+productSchema.index({ 'bundle.components.product': 1 });
+productSchema.index({ brand: 1 });
+productSchema.index({ 'inventory.stockStatus': 1 });
+productSchema.index(
+  { 'searchIndex.title': 'text', 'searchIndex.body': 'text' },
+  {
+    name: 'product_search_text',
+    default_language: 'none', // Normalized Persian/English text, no stemming
+    weights: { 'searchIndex.title': 10, 'searchIndex.body': 2 }
+  }
+);
 
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
@@ -251,23 +447,145 @@ productSchema.virtual('currentPrice').get(function() {
   return this.pricing.basePrice;
 });
 
+// Virtual for variant products
+productSchema.virtual('hasVariants').get(function() {
+  return (this.variants?.length || 0) > 0;
+});
+
+// Fields whose change rebuilds the search index
+const SEARCH_SOURCE_FIELDS = [
+  'name', 'sku', 'brand', 'shortDescription', 'description', 'tags', 'specifications', 'suitableFor', 'variants'
+];
+
+// Keep the normalized search text in sync (skipped for partially selected documents, e.g. stock updates)
+productSchema.pre('save', function(next) {
+  const changed = this.isNew || SEARCH_SOURCE_FIELDS.some((field) => this.isModified(field));
+  if (changed && SEARCH_SOURCE_FIELDS.every((field) => this.isSelected(field))) {
+    this.buildSearchIndex();
+  }
+  next();
+});
+
 // Methods
 Object.assign(productSchema.methods, baseSchemaMethods);
 
-// Update stock status based on quantity
+// Rebuild searchIndex from the product's text fields
+productSchema.methods.buildSearchIndex = function() {
+  const bilingual = (value) => [value?.fa, value?.en];
+  const title = [
+    ...bilingual(this.name),
+    this.sku,
+    this.brand,
+    ...(this.variants || []).map((variant) => variant.sku)
+  ];
+  const body = [
+    ...bilingual(this.shortDescription),
+    ...bilingual(this.description),
+    ...(this.tags?.fa || []),
+    ...(this.tags?.en || []),
+    ...(this.specifications || []).flatMap((spec) => [...bilingual(spec.name), ...bilingual(spec.value)]),
+    ...(this.suitableFor?.fa || []),
+    ...(this.suitableFor?.en || [])
+  ];
+
+  const titleText = normalizePersian(title.filter(Boolean).join(' '));
+  const bodyText = normalizePersian(body.filter(Boolean).join(' ')).substring(0, 20000);
+  this.searchIndex = {
+    title: titleText,
+    body: bodyText,
+    terms: tokenizePersian(`${titleText} ${bodyText}`, 3).slice(0, 500)
+  };
+};
+
+// Find variant by ID
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId || !this.variants?.length) {
+    return null;
+  }
+  return this.variants.find((variant) => variant._id.toString() === variantId.toString()) || null;
+};
+
+// Find variant by option values ({ size: 'xl', color: 'red' })
+productSchema.methods.findVariantByOptions = function(options = {}) {
+  const keys = Object.keys(options);
+  return (this.variants || []).find((variant) =>
+    variant.options?.size === keys.length &&
+    keys.every((key) => variant.options.get(key) === String(options[key]).toLowerCase())
+  ) || null;
+};
+
+// Human-readable variant title from option labels, e.g. "سایز: XL، رنگ: قرمز"
+productSchema.methods.getVariantTitle = function(variant) {
+  if (!variant?.options?.size) {
+    return null;
+  }
+
+  const parts = { fa: [], en: [] };
+  for (const [optionKey, valueKey] of variant.options) {
+    const option = (this.options || []).find((o) => o.key === optionKey);
+    const value = option?.values?.find((v) => v.key === valueKey);
+    parts.fa.push(`${option?.name?.fa || optionKey}: ${value?.label?.fa || valueKey}`);
+    parts.en.push(`${option?.name?.en || optionKey}: ${value?.label?.en || valueKey}`);
+  }
+  return { fa: parts.fa.join('، '), en: parts.en.join(', ') };
+};
+
+// Selling price of the product or of one of its variants (sale price if on sale)
+productSchema.methods.getUnitPrice = function(variant = null) {
+  const pricing = variant?.pricing || this.pricing;
+  return pricing.isOnSale && pricing.salePrice ? pricing.salePrice : pricing.basePrice;
+};
+
+// Quantity that can still be sold (on hand minus units reserved for pending orders)
+productSchema.methods.getAvailableQuantity = function(variant = null) {
+  const inventory = variant?.inventory || this.inventory;
+  return Math.max(0, (inventory.quantity || 0) - (inventory.reserved || 0));
+};
+
+// Stock status for an inventory block (product or variant)
+const resolveStockStatus = (inventory, available) => {
+  if (available <= 0) {
+    return inventory.allowBackorder ? 'on_backorder' : 'out_of_stock';
+  }
+  if (available <= inventory.lowStockThreshold) {
+    return 'low_stock';
+  }
+  return 'in_stock';
+};
+
+// Update stock status based on available quantity
 productSchema.methods.updateStockStatus = function() {
   if (!this.inventory.trackInventory) {
     this.inventory.stockStatus = 'in_stock';
     return;
   }
-  
-  if (this.inventory.quantity <= 0) {
-    this.inventory.stockStatus = this.inventory.allowBackorder ? 'on_backorder' : 'out_of_stock';
-  } else if (this.inventory.quantity <= this.inventory.lowStockThreshold) {
-    this.inventory.stockStatus = 'low_stock';
-  } else {
-    this.inventory.stockStatus = 'in_stock';
+
+  if (this.variants?.length) {
+    // Product totals follow its variants; the best variant status is shown for the product
+    const ranking = ['in_stock', 'low_stock', 'on_backorder', 'out_of_stock'];
+    let quantity = 0;
+    let reserved = 0;
+    let best = 'out_of_stock';
+
+    for (const variant of this.variants) {
+      variant.inventory.stockStatus = resolveStockStatus(variant.inventory, this.getAvailableQuantity(variant));
+      if (variant.isActive === false) {
+        continue;
+      }
+      quantity += variant.inventory.quantity || 0;
+      reserved += variant.inventory.reserved || 0;
+      if (ranking.indexOf(variant.inventory.stockStatus) < ranking.indexOf(best)) {
+        best = variant.inventory.stockStatus;
+      }
+    }
+
+    this.inventory.quantity = quantity;
+    this.inventory.reserved = reserved;
+    this.inventory.stockStatus = best;
+    return;
   }
+
+  this.inventory.stockStatus = resolveStockStatus(this.inventory, this.getAvailableQuantity());
 };
 
 // Add price to history
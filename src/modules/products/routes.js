@@ -6,7 +6,12 @@ import { authorize } from '../../middleware/authorization.js';
 import { auditLog } from '../../middleware/audit.js';
 import { csrfProtection } from '../../middleware/security.js';
 import { createRateLimiter } from '../../middleware/rateLimit.js';
-import { createProductSchema, updateProductSchema, subscribeToNotificationsSchema } from './validation.js';
+import {
+  createProductSchema,
+  updateProductSchema,
+  subscribeToNotificationsSchema,
+  searchProductsQuerySchema
+} from './validation.js';
 
 // Rate limiter for notifications
 const notificationLimiter = createRateLimiter({
@@ -40,12 +45,20 @@ const router = Router();
 // Public routes
 router.get('/', optionalAuth, ProductController.getProducts);
 router.get('/sale', optionalAuth, ProductController.getProductsOnSale);
+
+// Faceted search: filters as query params (specs[<name>]=<value>,<value>), facet counts and "did you mean"
+router.get('/search', optionalAuth, validate(searchProductsQuerySchema, 'query'), ProductController.searchProducts);
+
 router.get('/slug/:slug', optionalAuth, ProductController.getProductBySlug);
 
 // Mount public like routes BEFORE :id route (for likes/count endpoint)
 // This ensures /products/:id/likes/count matches before /products/:id
 router.use('/', productLikeRoutes);
 
+// One-click unsubscribe from alert links (token-signed, no login; POST for List-Unsubscribe-Post)
+router.get('/notifications/unsubscribe/:token', notificationLimiter, ProductController.unsubscribeByToken);
+router.post('/notifications/unsubscribe/:token', notificationLimiter, ProductController.unsubscribeByToken);
+
 // Product detail route (must be after likes routes)
 router.get('/:id', optionalAuth, ProductController.getProductById);
 
@@ -76,6 +89,12 @@ router.post(
 );
 
 // Admin routes
+router.get(
+  '/:id/notifications/stats',
+  authorize(['products.read']),
+  ProductController.getNotificationStats
+);
+
 router.post(
   '/',
   authorize(['products.create']),
@@ -94,7 +113,7 @@ router.put(
   productOperationLimiter,
   validate(updateProductSchema),
   sanitizeHTML(['description.fa', 'description.en', 'shortDescription.fa', 'shortDescription.en', 'fullDescription.fa', 'fullDescription.en']),
-  auditLog('UPDATE_PRODUCT', 'products'),
+  auditLog('UPDATE_PRODUCT', 'products', { model: 'Product' }),
   ProductController.updateProduct
 );
 
@@ -103,7 +122,7 @@ router.delete(
   authorize(['products.delete']),
   csrfProtection,
   productOperationLimiter,
-  auditLog('DELETE_PRODUCT', 'products'),
+  auditLog('DELETE_PRODUCT', 'products', { model: 'Product' }),
   ProductController.deleteProduct
 );
 
@@ -0,0 +1,365 @@
+import mongoose from 'mongoose';
+import { Product } from './model.js';
+import { Category } from '../categories/model.js';
+import { cacheService } from '../../services/cache.js';
+import { logger } from '../../utils/logger.js';
+import { normalizePersian, editDistance } from '../../utils/persianText.js';
+
+/** Vocabulary cache (products:* keys are cleared whenever a product changes) */
+const VOCABULARY_CACHE_KEY = 'products:search:vocabulary';
+const VOCABULARY_CACHE_TTL = 600;
+
+/** Heavy fields left out of search results */
+const RESULT_PROJECTION = {
+  searchIndex: 0,
+  notificationSubscribers: 0,
+  alertStats: 0,
+  fullDescription: 0,
+  'pricing.priceHistory': 0,
+  'inventory.reservations': 0,
+  'variants.inventory.reservations': 0
+};
+
+const SORT_OPTIONS = {
+  price_asc: { 'pricing.basePrice': 1 },
+  price_desc: { 'pricing.basePrice': -1 },
+  newest: { createdAt: -1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1 },
+  popular: { sales: -1 }
+};
+
+/**
+ * ProductSearchService - Faceted catalog search
+ *
+ * Text matching runs on the product_search_text index over searchIndex, which
+ * holds Persian-normalized text (see normalizePersian); the query is normalized
+ * the same way. Facet counts for each filter are computed with every other
+ * filter applied, so selecting a brand still shows the counts of the other brands.
+ * Unknown query words are matched against the catalog vocabulary for
+ * "did you mean" suggestions; a search with no results is retried once with
+ * the suggestion.
+ */
+export class ProductSearchService {
+  /**
+   * Search published products with facets
+   * @param {Object} params - { q, category, brand, minPrice, maxPrice, specs, suitableFor, minRating,
+   *   stockStatus, type, sortBy, page, limit, language }
+   * @returns {Promise<Object>} { data, facets, pagination, query: { q, normalized, didYouMean, correctedQuery } }
+   */
+  static async search(params = {}) {
+    try {
+      const normalized = normalizePersian(params.q || '');
+      const didYouMean = normalized ? await this.suggest(normalized) : null;
+
+      let result = await this._run(params, normalized);
+      let correctedQuery = null;
+
+      // Typo tolerance: nothing found, but a close spelling exists
+      if (result.pagination.total === 0 && didYouMean) {
+        result = await this._run(params, didYouMean);
+        correctedQuery = didYouMean;
+      }
+
+      return {
+        ...result,
+        query: {
+          q: params.q || '',
+          normalized,
+          didYouMean,
+          correctedQuery
+        }
+      };
+    } catch (error) {
+      logger.error('Product search error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * "Did you mean" for a normalized query: each unknown word replaced by the closest catalog term
+   * @param {string} normalized - Normalized query
+   * @returns {Promise<string|null>} Suggested query or null when every word is known
+   */
+  static async suggest(normalized) {
+    const words = normalized.split(' ').filter(Boolean);
+    const vocabulary = await this._getVocabulary();
+    if (vocabulary.length === 0) {
+      return null;
+    }
+
+    const known = new Set(vocabulary.map((entry) => entry.term));
+    let changed = false;
+
+    const corrected = words.map((word) => {
+      if (known.has(word) || word.length < 3 || /^\d+$/.test(word)) {
+        return word;
+      }
+
+      // Short words tolerate one typo, longer words two; ties go to the more frequent term
+      const maxDistance = word.length <= 4 ? 1 : 2;
+      let best = null;
+      for (const { term, count } of vocabulary) {
+        const distance = editDistance(word, term, maxDistance);
+        if (distance <= maxDistance &&
+          (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+          best = { term, count, distance };
+        }
+      }
+
+      if (best) {
+        changed = true;
+        return best.term;
+      }
+      return word;
+    });
+
+    return changed ? corrected.join(' ') : null;
+  }
+
+  /**
+   * Run one search (results, total and facets in a single aggregation)
+   * @private
+   */
+  static async _run(params, text) {
+    const { page = 1, limit = 24, sortBy = 'relevance' } = params;
+    const language = params.language === 'en' ? 'en' : 'fa';
+
+    const parsedPage = Math.max(parseInt(page) || 1, 1);
+    const parsedLimit = Math.min(parseInt(limit) || 24, 100);
+
+    const base = { deletedAt: null, status: 'active', isPublished: true };
+    if (['digital', 'physical', 'bundle', 'subscription'].includes(params.type)) {
+      base.type = params.type;
+    }
+    if (text) {
+      base.$text = { $search: text };
+    }
+
+    const filters = this._buildFilters(params, language);
+    const except = (...keys) => {
+      const conditions = Object.entries(filters)
+        .filter(([key]) => !keys.some((excluded) => key === excluded || key.startsWith(`${excluded}:`)))
+        .map(([, condition]) => condition);
+      return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+    };
+
+    const sort = sortBy === 'relevance' || !SORT_OPTIONS[sortBy]
+      ? (text ? { score: -1, sales: -1 } : { sales: -1, createdAt: -1 })
+      : SORT_OPTIONS[sortBy];
+
+    const pipeline = [{ $match: base }];
+    if (text) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+    pipeline.push({
+      $facet: {
+        results: [
+          except(),
+          { $sort: { ...sort, _id: 1 } },
+          { $skip: (parsedPage - 1) * parsedLimit },
+          { $limit: parsedLimit },
+          { $project: RESULT_PROJECTION }
+        ],
+        total: [except(), { $count: 'count' }],
+        categories: [
+          except('category'),
+          { $unwind: '$categories' },
+          { $group: { _id: '$categories', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 50 }
+        ],
+        brands: [
+          except('brand'),
+          { $match: { brand: { $nin: [null, ''] } } },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 }
+        ],
+        priceRanges: [
+          except('price'),
+          { $bucketAuto: { groupBy: '$pricing.basePrice', buckets: 5 } }
+        ],
+        // Counted without any spec selection (values of one spec are alternatives)
+        specifications: [
+          except('spec'),
+          { $unwind: '$specifications' },
+          { $match: { [`specifications.name.${language}`]: { $nin: [null, ''] } } },
+          {
+            $group: {
+              _id: { name: `$specifications.name.${language}`, value: `$specifications.value.${language}` },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { count: -1 } },
+          {
+            $group: {
+              _id: '$_id.name',
+              values: { $push: { value: '$_id.value', count: '$count' } },
+              count: { $sum: '$count' }
+            }
+          },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ],
+        suitableFor: [
+          except('suitableFor'),
+          { $unwind: `$suitableFor.${language}` },
+          { $group: { _id: `$suitableFor.${language}`, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 30 }
+        ],
+        ratings: [
+          except('rating'),
+          { $group: { _id: { $floor: { $ifNull: ['$ratings.average', 0] } }, count: { $sum: 1 } } }
+        ],
+        stockStatus: [
+          except('stockStatus'),
+          { $group: { _id: { $ifNull: ['$inventory.stockStatus', 'in_stock'] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    });
+
+    const [facetResult] = await Product.aggregate(pipeline);
+    const products = await Product.populate(facetResult.results, { path: 'categories', select: 'name slug' });
+    const total = facetResult.total[0]?.count || 0;
+
+    return {
+      data: products,
+      facets: await this._formatFacets(facetResult),
+      pagination: {
+        page: parsedPage,
+        limit: parsedLimit,
+        total,
+        totalPages: Math.ceil(total / parsedLimit),
+        hasNext: parsedPage < Math.ceil(total / parsedLimit),
+        hasPrev: parsedPage > 1
+      }
+    };
+  }
+
+  /**
+   * Facet filters keyed by facet (spec filters as "spec:<name>")
+   * @private
+   */
+  static _buildFilters(params, language) {
+    const list = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+      .map((entry) => String(entry).trim())
+      .filter(Boolean);
+    const filters = {};
+
+    const categories = list(params.category).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (categories.length > 0) {
+      filters.category = { categories: { $in: categories.map((id) => new mongoose.Types.ObjectId(id)) } };
+    }
+
+    const brands = list(params.brand);
+    if (brands.length > 0) {
+      filters.brand = { brand: { $in: brands } };
+    }
+
+    if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+      const price = {};
+      if (params.minPrice !== undefined) {
+        price.$gte = parseFloat(params.minPrice);
+      }
+      if (params.maxPrice !== undefined) {
+        price.$lte = parseFloat(params.maxPrice);
+      }
+      filters.price = { 'pricing.basePrice': price };
+    }
+
+    // specs[<name>]=<value>,<value>
+    for (const [name, values] of Object.entries(params.specs || {})) {
+      const selected = list(values);
+      if (selected.length > 0) {
+        filters[`spec:${name}`] = {
+          specifications: {
+            $elemMatch: { [`name.${language}`]: name, [`value.${language}`]: { $in: selected } }
+          }
+        };
+      }
+    }
+
+    const suitableFor = list(params.suitableFor);
+    if (suitableFor.length > 0) {
+      filters.suitableFor = { [`suitableFor.${language}`]: { $in: suitableFor } };
+    }
+
+    if (params.minRating !== undefined && params.minRating !== '') {
+      filters.rating = { 'ratings.average': { $gte: parseFloat(params.minRating) } };
+    }
+
+    const stockStatus = list(params.stockStatus);
+    if (stockStatus.length > 0) {
+      filters.stockStatus = { 'inventory.stockStatus': { $in: stockStatus } };
+    }
+
+    return filters;
+  }
+
+  /**
+   * Shape raw facet output (category names, cumulative "N stars & up" rating counts)
+   * @private
+   */
+  static async _formatFacets(facetResult) {
+    const categoryIds = facetResult.categories.map((entry) => entry._id);
+    const categories = categoryIds.length > 0
+      ? await Category.find({ _id: { $in: categoryIds } }).select('name slug').lean()
+      : [];
+    const categoriesById = new Map(categories.map((category) => [category._id.toString(), category]));
+
+    const ratingCounts = new Map(facetResult.ratings.map((entry) => [entry._id, entry.count]));
+    const ratings = [4, 3, 2, 1].map((stars) => ({
+      minRating: stars,
+      count: [...ratingCounts].filter(([floor]) => floor >= stars).reduce((sum, [, count]) => sum + count, 0)
+    }));
+
+    return {
+      categories: facetResult.categories
+        .filter((entry) => categoriesById.has(entry._id.toString()))
+        .map((entry) => {
+          const category = categoriesById.get(entry._id.toString());
+          return { _id: category._id, name: category.name, slug: category.slug, count: entry.count };
+        }),
+      brands: facetResult.brands.map((entry) => ({ value: entry._id, count: entry.count })),
+      priceRanges: facetResult.priceRanges.map((entry) => ({
+        min: entry._id.min,
+        max: entry._id.max,
+        count: entry.count
+      })),
+      specifications: facetResult.specifications.map((entry) => ({
+        name: entry._id,
+        values: entry.values.filter((value) => value.value)
+      })),
+      suitableFor: facetResult.suitableFor.map((entry) => ({ value: entry._id, count: entry.count })),
+      ratings,
+      stockStatus: facetResult.stockStatus.map((entry) => ({ value: entry._id, count: entry.count }))
+    };
+  }
+
+  /**
+   * Catalog vocabulary with frequencies (cached)
+   * @private
+   * @returns {Promise<Array<Object>>} [{ term, count }]
+   */
+  static async _getVocabulary() {
+    const cached = await cacheService.get(VOCABULARY_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    const vocabulary = await Product.aggregate([
+      { $match: { deletedAt: null, status: 'active', isPublished: true } },
+      { $project: { terms: '$searchIndex.terms' } },
+      { $unwind: '$terms' },
+      { $group: { _id: '$terms', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 20000 },
+      { $project: { _id: 0, term: '$_id', count: 1 } }
+    ]);
+
+    await cacheService.set(VOCABULARY_CACHE_KEY, vocabulary, VOCABULARY_CACHE_TTL);
+    return vocabulary;
+  }
+}
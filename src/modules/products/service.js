@@ -1,4 +1,6 @@
 import { Product } from './model.js';
+import { ProductAlertService } from './alertService.js';
+import { BundleService } from './bundleService.js';
 import { logger } from '../../utils/logger.js';
 import { BaseService } from '../../shared/services/baseService.js';
 
@@ -11,6 +13,9 @@ import { BaseService } from '../../shared/services/baseService.js';
  * - Inventory management
  * - Rating calculations
  * - Related content management
+ * - Back-in-stock / price-drop alerts (ProductAlertService)
+ * - Variants (option axes with per-variant SKU, price, stock and images)
+ * - Bundles (BundleService: price and stock derived from component products)
  */
 export class ProductService extends BaseService {
   constructor() {
@@ -61,10 +66,17 @@ export class ProductService extends BaseService {
         createdBy: userId
       });
       
+      await this._validateVariants(product);
+
       if (product.type === 'physical') {
         product.updateStockStatus();
       }
       
+      if (product.type === 'bundle') {
+        const components = await BundleService.validateBundle(product);
+        await BundleService.applyDerivedFields(product, components);
+      }
+
       await product.save();
       await service.populateDocument(product);
       
@@ -104,6 +116,9 @@ export class ProductService extends BaseService {
         await service.validateCategories(updateData.categories);
       }
       
+      const previousStockStatus = product.inventory?.stockStatus;
+      let priceChange = null;
+
       // Track price changes
       if (updateData.pricing?.basePrice && updateData.pricing.basePrice !== product.pricing.basePrice) {
         const oldPrice = product.pricing.basePrice;
@@ -112,17 +127,39 @@ export class ProductService extends BaseService {
         // Add to price history
         product.addPriceToHistory(newPrice, 'update');
         updateData.pricing.priceHistory = product.pricing.priceHistory;
+        priceChange = { oldPrice, newPrice };
       }
       
+      // Variants sent back keep the stock held for pending orders
+      if (updateData.variants) {
+        updateData.variants = this._mergeVariants(product, updateData.variants);
+      }
+
       // Update fields
       Object.assign(product, updateData);
       product.updatedBy = userId;
       
+      if (updateData.options || updateData.variants) {
+        await this._validateVariants(product);
+      }
+
       // Update stock status if inventory changed
       if (updateData.inventory || product.type === 'physical') {
         product.updateStockStatus();
       }
       
+      // Bundles: components re-checked; derived price/stock recomputed
+      if (product.type === 'bundle') {
+        const components = await BundleService.validateBundle(product);
+        const bundlePriceChange = await BundleService.applyDerivedFields(product, components);
+        if (bundlePriceChange) {
+          priceChange = {
+            oldPrice: priceChange?.oldPrice ?? bundlePriceChange.oldPrice,
+            newPrice: bundlePriceChange.newPrice
+          };
+        }
+      }
+
       await product.save();
       await service.populateDocument(product);
       
@@ -133,6 +170,17 @@ export class ProductService extends BaseService {
       
       // Invalidate cache
       await service.invalidateCache(product);
+
+      // Subscriber alerts are delivered in the background
+      ProductAlertService.handleStockChange(product, previousStockStatus);
+      if (priceChange) {
+        ProductAlertService.handlePriceChange(product, priceChange.oldPrice, priceChange.newPrice);
+      }
+
+      // Bundles containing this product follow its price and stock
+      if (product.type !== 'bundle') {
+        BundleService.refreshBundlesContaining(product._id);
+      }
       
       logger.info(`Product updated: ${product.name.fa} by user ${userId}`);
       return product;
@@ -156,6 +204,9 @@ export class ProductService extends BaseService {
       
       await product.softDelete(userId);
       
+      // Bundles containing this product can no longer be sold
+      BundleService.refreshBundlesContaining(product._id);
+
       // Remove image usage tracking
       await service.removeAllImages(product, product._id);
       
@@ -728,9 +779,13 @@ export class ProductService extends BaseService {
         throw new Error('محصول یافت نشد');
       }
 
+      const subscriberCount = product.notificationSubscribers.length;
       product.notificationSubscribers = product.notificationSubscribers.filter(
         sub => sub.user.toString() !== userId.toString()
       );
+      if (product.notificationSubscribers.length < subscriberCount) {
+        product.alertStats.unsubscribes = (product.alertStats.unsubscribes || 0) + 1;
+      }
 
       await product.save();
       return product;
@@ -740,6 +795,91 @@ export class ProductService extends BaseService {
     }
   }
 
+  /**
+   * Private: Check variants against the option axes and SKU uniqueness
+   */
+  static async _validateVariants(product) {
+    const variants = product.variants || [];
+    if (variants.length === 0) {
+      return;
+    }
+
+    // Subscriptions are billed as one plan per product
+    if (product.type === 'subscription') {
+      throw new Error('محصول اشتراکی نمی‌تواند تنوع داشته باشد');
+    }
+
+    const options = product.options || [];
+    if (options.length === 0) {
+      throw new Error('برای تعریف تنوع محصول ابتدا گزینه‌ها (سایز، رنگ، ...) را مشخص کنید');
+    }
+
+    const combinations = new Set();
+    for (const variant of variants) {
+      const selected = variant.options || new Map();
+      if (selected.size !== options.length) {
+        throw new Error(`تنوع ${variant.sku} باید برای همه گزینه‌ها مقدار داشته باشد`);
+      }
+
+      for (const option of options) {
+        const value = selected.get(option.key);
+        if (!option.values.some((v) => v.key === value)) {
+          throw new Error(`مقدار «${value || '-'}» برای گزینه ${option.name?.fa || option.key} در تنوع ${variant.sku} معتبر نیست`);
+        }
+      }
+
+      const combination = options.map((option) => `${option.key}=${selected.get(option.key)}`).join('&');
+      if (combinations.has(combination)) {
+        throw new Error(`ترکیب گزینه‌های تنوع ${variant.sku} تکراری است`);
+      }
+      combinations.add(combination);
+    }
+
+    // SKUs are unique across products and variants
+    const skus = variants.map((variant) => variant.sku);
+    if (skus.includes(product.sku) || new Set(skus).size !== skus.length) {
+      throw new Error('SKU تنوع‌ها باید یکتا و متفاوت از SKU محصول باشد');
+    }
+    const taken = await Product.findOne({
+      _id: { $ne: product._id },
+      $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }]
+    }).select('_id');
+    if (taken) {
+      throw new Error('SKU تنوع محصول قبلاً برای محصول دیگری استفاده شده است');
+    }
+  }
+
+  /**
+   * Private: Carry stock holds over to submitted variants; held variants can't be removed
+   */
+  static _mergeVariants(product, variants) {
+    const existingById = new Map((product.variants || []).map((variant) => [variant._id.toString(), variant]));
+    const keptIds = new Set(variants.filter((variant) => variant._id).map((variant) => variant._id.toString()));
+
+    for (const [id, existing] of existingById) {
+      if (!keptIds.has(id) && existing.inventory?.reservations?.length) {
+        throw new Error(`تنوع ${existing.sku} برای سفارش‌های در انتظار پرداخت رزرو شده و قابل حذف نیست`);
+      }
+    }
+
+    return variants.map((variant) => {
+      const existing = variant._id && existingById.get(variant._id.toString());
+      if (!existing) {
+        return variant;
+      }
+      const previous = existing.toObject().inventory || {};
+      return {
+        ...variant,
+        inventory: {
+          ...previous,
+          ...variant.inventory,
+          reserved: previous.reserved || 0,
+          reservations: previous.reservations || []
+        }
+      };
+    });
+  }
+
   /**
    * Private: Generate unique SKU
    */
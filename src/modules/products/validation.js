@@ -11,6 +11,84 @@ import {
  * Validation schemas for Product operations
  */
 
+const optionKeySchema = Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(50)
+  .messages({
+    'string.pattern.base': 'کلید گزینه فقط می‌تواند شامل حروف انگلیسی، اعداد، _ و - باشد'
+  });
+
+// Option axis: size, color, license, ...
+const productOptionSchema = Joi.object({
+  key: optionKeySchema.required(),
+  name: multiLangStringSchema({ required: true, fieldName: 'نام گزینه' }),
+  values: Joi.array().items(
+    Joi.object({
+      key: optionKeySchema.required(),
+      label: multiLangStringSchema({ required: true, fieldName: 'عنوان مقدار' }),
+      swatch: Joi.string().trim().max(500).optional()
+    })
+  ).min(1).unique('key').required()
+});
+
+// Variant: one option combination (values checked against options in ProductService)
+const productVariantSchema = Joi.object({
+  _id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(), // Existing variant (keeps its stock holds)
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'SKU فقط می‌تواند شامل حروف انگلیسی، اعداد و خط تیره باشد',
+      'any.required': 'SKU تنوع محصول الزامی است'
+    }),
+  options: Joi.object().pattern(optionKeySchema, optionKeySchema).min(1).required()
+    .messages({
+      'any.required': 'گزینه‌های تنوع محصول الزامی است'
+    }),
+  pricing: Joi.object({
+    basePrice: Joi.number().min(0).required()
+      .messages({
+        'any.required': 'قیمت تنوع محصول الزامی است'
+      }),
+    compareAtPrice: Joi.number().min(0).optional(),
+    isOnSale: Joi.boolean().default(false),
+    salePrice: Joi.number().min(0).optional(),
+    saleStartDate: Joi.date().optional(),
+    saleEndDate: Joi.date().optional()
+  }).required(),
+  inventory: Joi.object({
+    quantity: Joi.number().integer().min(0).default(0),
+    lowStockThreshold: Joi.number().integer().min(0).default(10),
+    allowBackorder: Joi.boolean().default(false)
+  }).optional(),
+  featuredImage: Joi.string().uri().optional(),
+  gallery: Joi.array().items(
+    Joi.object({
+      url: Joi.string().uri().required(),
+      alt: multiLangStringSchema({ required: false })
+    })
+  ).optional(),
+  weight: Joi.number().min(0).optional(),
+  digitalProduct: Joi.object({
+    downloadUrl: Joi.string().uri().optional(),
+    downloadLimit: Joi.number().integer().min(0).allow(null).optional()
+  }).optional(),
+  isActive: Joi.boolean().default(true),
+  orderIndex: Joi.number().integer().default(0)
+});
+
+// Bundle component: product (and variant, for products with variants) with units per bundle
+const bundleComponentSchema = Joi.object({
+  product: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'شناسه محصول بسته معتبر نیست',
+      'any.required': 'محصول جزء بسته الزامی است'
+    }),
+  variant: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional(),
+  quantity: Joi.number().integer().min(1).default(1)
+});
+
 export const createProductSchema = Joi.object({
   name: multiLangStringSchema({
     minLength: 3,
@@ -32,12 +110,44 @@ export const createProductSchema = Joi.object({
     }),
 
   type: Joi.string()
-    .valid('digital', 'physical')
+    .valid('digital', 'physical', 'bundle', 'subscription')
     .required()
     .messages({
-      'any.only': 'نوع محصول باید digital یا physical باشد'
+      'any.only': 'نوع محصول باید digital، physical، bundle یا subscription باشد'
     }),
 
+  // Subscription billing
+  subscription: Joi.object({
+    interval: Joi.string().valid('day', 'week', 'month', 'year').default('month'),
+    intervalCount: Joi.number().integer().min(1).max(36).default(1),
+    trialDays: Joi.number().integer().min(0).max(365).default(0),
+    renewalPrice: Joi.number().min(0).allow(null).optional()
+  }).when('type', {
+    is: 'subscription',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'تنظیمات اشتراک برای محصول اشتراکی الزامی است'
+  }),
+
+  // Bundle fields (components checked in BundleService)
+  bundle: Joi.object({
+    components: Joi.array().items(bundleComponentSchema).min(1).max(50).required()
+      .messages({
+        'array.min': 'بسته باید حداقل یک محصول داشته باشد'
+      }),
+    pricingMode: Joi.string().valid('fixed', 'percentage').default('fixed'),
+    discountPercent: Joi.number().min(0).max(100).when('pricingMode', {
+      is: 'percentage',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  }).when('type', {
+    is: 'bundle',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+
   // Digital product fields
   digitalProduct: Joi.object({
     contentType: Joi.string()
@@ -114,7 +224,7 @@ export const createProductSchema = Joi.object({
         'number.min': 'قیمت نمی‌تواند منفی باشد'
       }),
     compareAtPrice: Joi.number().min(0).optional(),
-    currency: Joi.string().valid('IRR', 'USD', 'EUR').default('IRR'),
+    currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).default('IRT'),
     isOnSale: Joi.boolean().default(false),
     salePrice: Joi.number().min(0).optional(),
     saleStartDate: Joi.date().optional(),
@@ -128,6 +238,13 @@ export const createProductSchema = Joi.object({
     allowBackorder: Joi.boolean().default(false)
   }).optional(),
 
+  // Variants
+  options: Joi.array().items(productOptionSchema).unique('key').max(5).optional(),
+  variants: Joi.array().items(productVariantSchema).unique('sku').max(200).optional()
+    .messages({
+      'array.unique': 'SKU تنوع‌های محصول نباید تکراری باشد'
+    }),
+
   categories: categoryArraySchema,
 
   tags: Joi.object({
@@ -158,6 +275,9 @@ export const createProductSchema = Joi.object({
     ogImage: Joi.string().uri().optional()
   }).optional(),
 
+  // VAT class code (null: category's class, then the default class)
+  taxClass: Joi.string().trim().lowercase().max(30).allow(null).optional(),
+
   loyaltyPoints: Joi.object({
     earnOnPurchase: Joi.number().integer().min(0).default(0),
     requiredForDiscount: Joi.number().integer().min(0).allow(null).optional()
@@ -175,6 +295,8 @@ export const createProductSchema = Joi.object({
     contact: Joi.string().trim().max(200).optional()
   }).optional(),
 
+  brand: Joi.string().trim().max(100).allow('', null).optional(),
+
   // Status and Publishing
   status: statusSchema,
   isPublished: Joi.boolean().default(false),
@@ -196,4 +318,22 @@ export const subscribeToNotificationsSchema = Joi.object({
     .messages({
       'object.base': 'channels باید یک object باشد'
     })
-});
\ No newline at end of file
+});
+
+// Faceted search query (list filters accept comma-separated values)
+export const searchProductsQuerySchema = Joi.object({
+  q: Joi.string().trim().max(200).allow('').optional(),
+  category: Joi.string().trim().max(500).optional(),
+  brand: Joi.string().trim().max(500).optional(),
+  minPrice: Joi.number().min(0).optional(),
+  maxPrice: Joi.number().min(0).optional(),
+  specs: Joi.object().pattern(Joi.string().max(100), Joi.string().max(500)).max(10).optional(),
+  suitableFor: Joi.string().trim().max(500).optional(),
+  minRating: Joi.number().min(0).max(5).optional(),
+  stockStatus: Joi.string().trim().max(100).optional(),
+  type: Joi.string().valid('digital', 'physical', 'bundle', 'subscription').optional(),
+  sortBy: Joi.string().valid('relevance', 'price_asc', 'price_desc', 'newest', 'rating', 'popular').default('relevance'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(24),
+  language: Joi.string().valid('fa', 'en').default('fa')
+});
@@ -98,6 +98,7 @@ export class SettingsController {
    * /api/v1/settings/maintenance:
    *   get:
    *     summary: دریافت وضعیت تعمیر و نگهداری
+   *     description: وضعیت فعلی و اطلاع‌رسانی بازه زمان‌بندی‌شده بعدی (بدون فهرست IPهای مجاز)
    *     tags: [Settings]
    *     responses:
    *       200:
@@ -105,7 +106,7 @@ export class SettingsController {
    */
   static async getMaintenanceStatus(req, res, next) {
     try {
-      const maintenanceStatus = await SettingsService.getMaintenanceStatus();
+      const maintenanceStatus = await SettingsService.getPublicMaintenanceStatus();
 
       res.json({
         success: true,
@@ -115,4 +116,111 @@ export class SettingsController {
       next(error);
     }
   }
+
+  /**
+   * @swagger
+   * /api/v1/settings/maintenance/windows:
+   *   get:
+   *     summary: دریافت بازه‌های زمان‌بندی‌شده تعمیر و نگهداری
+   *     tags: [Settings]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: بازه‌های تعمیر و نگهداری دریافت شد
+   */
+  static async getMaintenanceWindows(req, res, next) {
+    try {
+      const windows = await SettingsService.getMaintenanceWindows();
+
+      res.json({
+        success: true,
+        data: { windows }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/settings/maintenance/windows:
+   *   post:
+   *     summary: زمان‌بندی تعمیر و نگهداری
+   *     tags: [Settings]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - startsAt
+   *               - endsAt
+   *             properties:
+   *               startsAt:
+   *                 type: string
+   *                 format: date-time
+   *               endsAt:
+   *                 type: string
+   *                 format: date-time
+   *               message:
+   *                 $ref: '#/components/schemas/MultiLanguageText'
+   *               announceHours:
+   *                 type: integer
+   *                 description: چند ساعت قبل از شروع، اطلاع‌رسانی در سایت نمایش داده شود
+   *     responses:
+   *       201:
+   *         description: تعمیر و نگهداری زمان‌بندی شد
+   *       409:
+   *         description: هم‌پوشانی با بازه دیگر
+   */
+  static async scheduleMaintenanceWindow(req, res, next) {
+    try {
+      const window = await SettingsService.scheduleMaintenanceWindow(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'تعمیر و نگهداری با موفقیت زمان‌بندی شد',
+        data: { window }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/settings/maintenance/windows/{windowId}:
+   *   delete:
+   *     summary: لغو بازه تعمیر و نگهداری
+   *     tags: [Settings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: windowId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: بازه تعمیر و نگهداری لغو شد
+   *       404:
+   *         description: بازه یافت نشد
+   */
+  static async cancelMaintenanceWindow(req, res, next) {
+    try {
+      await SettingsService.cancelMaintenanceWindow(req.params.windowId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'بازه تعمیر و نگهداری لغو شد'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
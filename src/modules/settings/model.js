@@ -146,6 +146,7 @@ const settingsSchema = new mongoose.Schema(
     },
 
     system: {
+      // Enforced by the maintenance gate (middleware/maintenance.js)
       maintenanceMode: {
         enabled: {
           type: Boolean,
@@ -155,7 +156,29 @@ const settingsSchema = new mongoose.Schema(
           fa: String,
           en: String
         },
-        allowedIPs: [String]
+        // Addresses or IPv4 CIDR ranges that bypass the gate
+        allowedIPs: [String],
+        // Retry-After (seconds) while enabled by hand, without a known end
+        retryAfter: {
+          type: Number,
+          default: 3600,
+          min: 60
+        },
+        // Scheduled windows; announced on the site before they start
+        windows: [
+          {
+            startsAt: { type: Date, required: true },
+            endsAt: { type: Date, required: true },
+            message: {
+              fa: String,
+              en: String
+            },
+            // Hours before startsAt the banner is shown (0: no announcement)
+            announceHours: { type: Number, default: 48, min: 0 },
+            note: String,
+            createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+          }
+        ]
       },
 
       registrationEnabled: {
@@ -311,6 +334,99 @@ const settingsSchema = new mongoose.Schema(
       }
     },
 
+    // Payment gateways (see payments/gateways/registry.js)
+    payments: {
+      defaultGateway: {
+        type: String,
+        default: 'zarinpal'
+      },
+      // Per-gateway enable flags; gateways not listed use their registry default
+      gateways: [
+        {
+          name: { type: String, required: true, lowercase: true, trim: true },
+          enabled: { type: Boolean, default: true }
+        }
+      ]
+    },
+
+    // Loyalty points (Hika Club)
+    loyalty: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Points earned per `amount` Toman actually paid (after discounts and points)
+      earnRate: {
+        amount: { type: Number, default: 100000, min: 1 },
+        points: { type: Number, default: 10, min: 0 }
+      },
+      // Toman value of one point when paying with points
+      pointValue: {
+        type: Number,
+        default: 1000,
+        min: 1
+      },
+      // Earned points expire after this many days (0 = never)
+      expiryDays: {
+        type: Number,
+        default: 365,
+        min: 0
+      },
+      // Tiers by lifetime earned points (level is compared with Coupon.restrictions.minUserLevel)
+      tiers: {
+        type: [
+          {
+            level: { type: Number, required: true, min: 0 },
+            name: { fa: String, en: String },
+            minPoints: { type: Number, required: true, min: 0 }
+          }
+        ],
+        default: () => [
+          { level: 0, name: { fa: 'برنزی', en: 'Bronze' }, minPoints: 0 },
+          { level: 1, name: { fa: 'نقره‌ای', en: 'Silver' }, minPoints: 500 },
+          { level: 2, name: { fa: 'طلایی', en: 'Gold' }, minPoints: 2000 },
+          { level: 3, name: { fa: 'الماس', en: 'Diamond' }, minPoints: 10000 }
+        ]
+      }
+    },
+
+    // VAT and legal invoices (see TaxService)
+    tax: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Product prices already include VAT (tax is the part of the price that is tax)
+      pricesIncludeTax: {
+        type: Boolean,
+        default: false
+      },
+      // Shipping is taxed at the default tax class rate
+      shippingTaxable: {
+        type: Boolean,
+        default: false
+      },
+      // Legal invoice numbers: PREFIX-YEAR-000001
+      invoicePrefix: {
+        type: String,
+        default: 'INV',
+        uppercase: true,
+        trim: true,
+        maxLength: 10
+      }
+    },
+
+    // Activity/system log retention in days (see LogService.cleanupOldLogs)
+    logs: {
+      retention: {
+        low: { type: Number, default: 30, min: 1 }, // Reads, routine changes
+        medium: { type: Number, default: 90, min: 1 }, // Updates
+        high: { type: Number, default: 365, min: 1 }, // Deletions, payments, refunds
+        critical: { type: Number, default: 1095, min: 1 }, // Roles, permissions, settings
+        system: { type: Number, default: 90, min: 1 } // System log
+      }
+    },
+
     announcementBar: {
       enabled: {
         type: Boolean,
@@ -4,7 +4,7 @@ import { validate } from '../../middleware/validation.js';
 import { authenticate } from '../../middleware/auth.js';
 import { authorize } from '../../middleware/authorization.js';
 import { auditLog } from '../../middleware/audit.js';
-import { updateSettingsSchema } from './validation.js';
+import { updateSettingsSchema, scheduleMaintenanceSchema } from './validation.js';
 
 const router = Router();
 
@@ -25,4 +25,25 @@ router.put(
   SettingsController.updateSettings
 );
 
+router.get(
+  '/maintenance/windows',
+  authorize(['settings.read']),
+  SettingsController.getMaintenanceWindows
+);
+
+router.post(
+  '/maintenance/windows',
+  authorize(['settings.update']),
+  validate(scheduleMaintenanceSchema),
+  auditLog('SCHEDULE_MAINTENANCE', 'settings'),
+  SettingsController.scheduleMaintenanceWindow
+);
+
+router.delete(
+  '/maintenance/windows/:windowId',
+  authorize(['settings.update']),
+  auditLog('CANCEL_MAINTENANCE', 'settings'),
+  SettingsController.cancelMaintenanceWindow
+);
+
 export default router;
@@ -1,5 +1,18 @@
 import { Settings } from './model.js';
+import { cacheService } from '../../services/cache.js';
 import { logger } from '../../utils/logger.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+
+// Read by the maintenance gate on every request
+const MAINTENANCE_CACHE_KEY = 'settings:maintenance';
+const MAINTENANCE_CACHE_TTL = 60;
+const DEFAULT_MAINTENANCE_MESSAGE = {
+  fa: 'سایت در حال تعمیر و نگهداری است. لطفاً بعداً مراجعه کنید.',
+  en: 'Site is under maintenance. Please check back later.'
+};
+// Ended windows are kept this long for reference, then pruned
+const ENDED_WINDOW_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
 
 export class SettingsService {
   static async getSettings() {
@@ -144,6 +157,7 @@ export class SettingsService {
       }
       
       await settings.save();
+      await cacheService.delete(MAINTENANCE_CACHE_KEY);
       
       // Debug log after save
       if (cleanedUpdateData.whatsapp) {
@@ -195,10 +209,8 @@ export class SettingsService {
             notificationBadge: null
           }
         },
-        maintenanceMode: settings.system?.maintenanceMode || {
-          enabled: false,
-          message: { fa: '', en: '' }
-        },
+        // Current state and the pre-announcement banner of the next window (no allowlist)
+        maintenanceMode: await this.getPublicMaintenanceStatus(),
         announcementBar: settings.announcementBar || {
           enabled: true,
           text: 'تخفیف ویژه نوروز — تا ۲۰٪ برای خدمات منتخب',
@@ -213,20 +225,170 @@ export class SettingsService {
     }
   }
 
-  static async getMaintenanceStatus() {
+  /**
+   * Maintenance state at a time: enabled by hand or inside a scheduled window
+   * @param {Date} now - Time to evaluate
+   * @returns {Promise<Object>} { enabled, source, message, allowedIPs, startsAt, endsAt,
+   *   retryAfter (seconds), announcement (next window within its announcement period) }
+   */
+  static async getMaintenanceStatus(now = new Date()) {
     try {
-      const settings = await Settings.getInstance();
+      const config = await this._getMaintenanceConfig();
+      const windows = (config.windows || [])
+        .map((window) => ({ ...window, startsAt: new Date(window.startsAt), endsAt: new Date(window.endsAt) }))
+        .sort((a, b) => a.startsAt - b.startsAt);
+
+      const activeWindow = windows.find((window) => window.startsAt <= now && now < window.endsAt);
+      const nextWindow = windows.find((window) => window.startsAt > now);
+      const endsAt = !config.enabled && activeWindow ? activeWindow.endsAt : null;
+
+      let announcement = null;
+      if (nextWindow?.announceHours > 0 && nextWindow.startsAt - now <= nextWindow.announceHours * 60 * 60 * 1000) {
+        announcement = {
+          startsAt: nextWindow.startsAt,
+          endsAt: nextWindow.endsAt,
+          message: this._maintenanceMessage(nextWindow, config)
+        };
+      }
+
       return {
-        enabled: settings.system?.maintenanceMode?.enabled || false,
-        message: settings.system?.maintenanceMode?.message || {
-          fa: 'سایت در حال تعمیر و نگهداری است. لطفاً بعداً مراجعه کنید.',
-          en: 'Site is under maintenance. Please check back later.'
-        },
-        allowedIPs: settings.system?.maintenanceMode?.allowedIPs || []
+        enabled: !!config.enabled || !!activeWindow,
+        source: config.enabled ? 'manual' : (activeWindow ? 'scheduled' : null),
+        message: this._maintenanceMessage(activeWindow, config),
+        allowedIPs: config.allowedIPs || [],
+        startsAt: activeWindow?.startsAt || null,
+        endsAt,
+        retryAfter: endsAt
+          ? Math.max(60, Math.ceil((endsAt - now) / 1000))
+          : (config.retryAfter || 3600),
+        announcement
       };
     } catch (error) {
       logger.error('Get maintenance status error:', error);
       throw error;
     }
   }
+
+  /**
+   * Maintenance state for visitors (without the IP allowlist)
+   * @returns {Promise<Object>} { enabled, message, startsAt, endsAt, announcement }
+   */
+  static async getPublicMaintenanceStatus() {
+    const { enabled, message, startsAt, endsAt, announcement } = await this.getMaintenanceStatus();
+    return { enabled, message, startsAt, endsAt, announcement };
+  }
+
+  /**
+   * Scheduled maintenance windows that have not ended
+   * @returns {Promise<Array>} Windows, soonest first
+   */
+  static async getMaintenanceWindows() {
+    try {
+      const settings = await Settings.getInstance();
+      const now = new Date();
+      return (settings.system?.maintenanceMode?.windows || [])
+        .filter((window) => window.endsAt > now)
+        .sort((a, b) => a.startsAt - b.startsAt);
+    } catch (error) {
+      logger.error('Get maintenance windows error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a maintenance window (must not overlap another window)
+   * @param {Object} windowData - { startsAt, endsAt, message, announceHours, note }
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} Scheduled window
+   */
+  static async scheduleMaintenanceWindow(windowData, userId) {
+    try {
+      const settings = await Settings.getInstance();
+      const startsAt = new Date(windowData.startsAt);
+      const endsAt = new Date(windowData.endsAt);
+      const now = Date.now();
+
+      const windows = settings.system.maintenanceMode.windows;
+      const overlapping = windows.find((window) => window.startsAt < endsAt && startsAt < window.endsAt);
+      if (overlapping) {
+        throw new AppError('این بازه با یک بازه تعمیر و نگهداری دیگر هم‌پوشانی دارد', HTTP_STATUS.CONFLICT);
+      }
+
+      // Drop windows that ended long ago
+      settings.system.maintenanceMode.windows = windows.filter(
+        (window) => window.endsAt.getTime() > now - ENDED_WINDOW_RETENTION_MS
+      );
+      settings.system.maintenanceMode.windows.push({
+        ...windowData,
+        startsAt,
+        endsAt,
+        createdBy: userId
+      });
+      settings.updatedBy = userId;
+      await settings.save();
+      await cacheService.delete(MAINTENANCE_CACHE_KEY);
+
+      const windowDoc = settings.system.maintenanceMode.windows[settings.system.maintenanceMode.windows.length - 1];
+      logger.info(`Maintenance scheduled: ${startsAt.toISOString()} - ${endsAt.toISOString()}, by: ${userId}`);
+      return windowDoc;
+    } catch (error) {
+      logger.error('Schedule maintenance window error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled window (ends it early when it is in progress)
+   * @param {string} windowId - Window ID
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<boolean>} Success
+   */
+  static async cancelMaintenanceWindow(windowId, userId) {
+    try {
+      const settings = await Settings.getInstance();
+      const windowDoc = settings.system?.maintenanceMode?.windows?.id(windowId);
+      if (!windowDoc) {
+        throw new AppError('بازه تعمیر و نگهداری یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      windowDoc.deleteOne();
+      settings.updatedBy = userId;
+      await settings.save();
+      await cacheService.delete(MAINTENANCE_CACHE_KEY);
+
+      logger.info(`Maintenance window cancelled: ${windowId}, by: ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Cancel maintenance window error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private: Maintenance settings, cached (dates come back from the cache as strings)
+   * @private
+   */
+  static async _getMaintenanceConfig() {
+    const cached = await cacheService.get(MAINTENANCE_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    const settings = await Settings.getInstance();
+    const maintenanceMode = settings.system?.maintenanceMode;
+    const config = maintenanceMode?.toObject ? maintenanceMode.toObject() : (maintenanceMode || {});
+    await cacheService.set(MAINTENANCE_CACHE_KEY, config, MAINTENANCE_CACHE_TTL);
+    return config;
+  }
+
+  /**
+   * Private: Window message, else the general message, else the default (per language)
+   * @private
+   */
+  static _maintenanceMessage(window, config) {
+    return {
+      fa: window?.message?.fa || config.message?.fa || DEFAULT_MAINTENANCE_MESSAGE.fa,
+      en: window?.message?.en || config.message?.en || DEFAULT_MAINTENANCE_MESSAGE.en
+    };
+  }
 }
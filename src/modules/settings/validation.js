@@ -1,5 +1,10 @@
 import Joi from 'joi';
 
+// IP address or IPv4 CIDR range of the maintenance allowlist
+const allowedIPSchema = Joi.string().trim().ip({ cidr: 'optional' }).messages({
+  'string.ip': 'آدرس IP یا محدوده CIDR معتبر نیست'
+});
+
 export const updateSettingsSchema = Joi.object({
   siteName: Joi.object({
     fa: Joi.string().trim(),
@@ -156,7 +161,8 @@ export const updateSettingsSchema = Joi.object({
         fa: Joi.string(),
         en: Joi.string()
       }),
-      allowedIPs: Joi.array().items(Joi.string())
+      allowedIPs: Joi.array().items(allowedIPSchema),
+      retryAfter: Joi.number().integer().min(60).max(86400)
     }),
     registrationEnabled: Joi.boolean(),
     defaultLanguage: Joi.string().valid('fa', 'en'),
@@ -199,6 +205,50 @@ export const updateSettingsSchema = Joi.object({
     }).optional()
   }).optional(),
 
+  payments: Joi.object({
+    defaultGateway: Joi.string().trim().lowercase().optional(),
+    gateways: Joi.array().items(
+      Joi.object({
+        name: Joi.string().trim().lowercase().required(),
+        enabled: Joi.boolean().required()
+      })
+    ).unique('name').optional()
+  }).optional(),
+
+  loyalty: Joi.object({
+    enabled: Joi.boolean().optional(),
+    earnRate: Joi.object({
+      amount: Joi.number().min(1).optional(),
+      points: Joi.number().min(0).optional()
+    }).optional(),
+    pointValue: Joi.number().min(1).optional(),
+    expiryDays: Joi.number().integer().min(0).optional(),
+    tiers: Joi.array().items(
+      Joi.object({
+        level: Joi.number().integer().min(0).required(),
+        name: Joi.object({ fa: Joi.string(), en: Joi.string() }).optional(),
+        minPoints: Joi.number().integer().min(0).required()
+      })
+    ).unique('level').optional()
+  }).optional(),
+
+  tax: Joi.object({
+    enabled: Joi.boolean().optional(),
+    pricesIncludeTax: Joi.boolean().optional(),
+    shippingTaxable: Joi.boolean().optional(),
+    invoicePrefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{1,10}$/).optional()
+  }).optional(),
+
+  logs: Joi.object({
+    retention: Joi.object({
+      low: Joi.number().integer().min(1).max(3650).optional(),
+      medium: Joi.number().integer().min(1).max(3650).optional(),
+      high: Joi.number().integer().min(1).max(3650).optional(),
+      critical: Joi.number().integer().min(1).max(3650).optional(),
+      system: Joi.number().integer().min(1).max(3650).optional()
+    }).optional()
+  }).optional(),
+
   announcementBar: Joi.object({
     enabled: Joi.boolean().optional(),
     text: Joi.string().trim().allow('').optional(),
@@ -207,3 +257,21 @@ export const updateSettingsSchema = Joi.object({
     autoRenew: Joi.boolean().optional()
   }).optional()
 });
+
+// Schedule Maintenance Window Schema
+export const scheduleMaintenanceSchema = Joi.object({
+  startsAt: Joi.date().iso().greater('now').required().messages({
+    'date.greater': 'زمان شروع باید در آینده باشد',
+    'any.required': 'زمان شروع الزامی است'
+  }),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required().messages({
+    'date.greater': 'زمان پایان باید بعد از زمان شروع باشد',
+    'any.required': 'زمان پایان الزامی است'
+  }),
+  message: Joi.object({
+    fa: Joi.string().trim().max(500).allow('').optional(),
+    en: Joi.string().trim().max(500).allow('').optional()
+  }).optional(),
+  announceHours: Joi.number().integer().min(0).max(720).default(48),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
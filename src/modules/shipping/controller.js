@@ -185,7 +185,8 @@ export class ShippingController {
    */
   static async calculateShippingCost(req, res, next) {
     try {
-      const { method, items = [], orderTotal = 0, destination = null } = req.body;
+      const { method, items = [], orderTotal = 0, destination = null, addressId = null } = req.body;
+      const userId = req.user?.id || req.user?._id;
 
       if (!method) {
         return res.status(400).json({
@@ -198,7 +199,7 @@ export class ShippingController {
         method,
         items,
         orderTotal,
-        destination
+        await ShippingService.resolveDestination(destination, addressId, userId)
       );
 
       res.status(200).json({
@@ -228,5 +229,126 @@ export class ShippingController {
       next(error);
     }
   }
-}
 
+  /**
+   * Quote all available shipping methods for a cart
+   * POST /api/v1/shipping/quote
+   */
+  static async quoteShipping(req, res, next) {
+    try {
+      const { items, orderTotal = 0, destination = null, addressId = null } = req.body;
+      const userId = req.user?.id || req.user?._id;
+
+      const result = await ShippingService.quoteCart(
+        items,
+        orderTotal,
+        await ShippingService.resolveDestination(destination, addressId, userId)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Quote shipping error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update shipping method configuration (admin only)
+   * PUT /api/v1/shipping/methods/:name
+   */
+  static async updateMethod(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const method = await ShippingService.updateMethod(req.params.name, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'روش ارسال با موفقیت به‌روزرسانی شد',
+        data: { method }
+      });
+    } catch (error) {
+      logger.error('Update shipping method error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get shipping zones (admin only)
+   * GET /api/v1/shipping/zones
+   */
+  static async getZones(req, res, next) {
+    try {
+      const zones = await ShippingService.getZones({ isActive: req.query.isActive });
+
+      res.status(200).json({
+        success: true,
+        data: zones
+      });
+    } catch (error) {
+      logger.error('Get shipping zones error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create shipping zone (admin only)
+   * POST /api/v1/shipping/zones
+   */
+  static async createZone(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const zone = await ShippingService.createZone(req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'منطقه ارسال با موفقیت ایجاد شد',
+        data: { zone }
+      });
+    } catch (error) {
+      logger.error('Create shipping zone error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update shipping zone (admin only)
+   * PUT /api/v1/shipping/zones/:id
+   */
+  static async updateZone(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const zone = await ShippingService.updateZone(req.params.id, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'منطقه ارسال با موفقیت به‌روزرسانی شد',
+        data: { zone }
+      });
+    } catch (error) {
+      logger.error('Update shipping zone error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete shipping zone (admin only)
+   * DELETE /api/v1/shipping/zones/:id
+   */
+  static async deleteZone(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      await ShippingService.deleteZone(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'منطقه ارسال با موفقیت حذف شد'
+      });
+    } catch (error) {
+      logger.error('Delete shipping zone error:', error);
+      next(error);
+    }
+  }
+}
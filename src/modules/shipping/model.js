@@ -132,6 +132,81 @@ shippingAddressSchema.statics.findByUser = function(userId) {
 
 export const ShippingAddress = mongoose.model('ShippingAddress', shippingAddressSchema);
 
+// Shipping Zone Schema: destinations matched by postal-code prefix, city or province
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    fa: { type: String, required: true, trim: true },
+    en: { type: String, trim: true }
+  },
+
+  // Match rules (most specific wins: postal code > city > province)
+  provinces: [{ type: String, trim: true }],
+  cities: [{ type: String, trim: true }],
+  postalCodePrefixes: [{ type: String, trim: true }],
+
+  // Orders at or above this amount ship free to this zone (null = never)
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Tie-breaker between zones matching at the same level
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+shippingZoneSchema.index({ isActive: 1, priority: -1 });
+
+// Methods
+Object.assign(shippingZoneSchema.methods, baseSchemaMethods);
+
+// Statics
+Object.assign(shippingZoneSchema.statics, baseSchemaStatics);
+
+// Find active zones
+shippingZoneSchema.statics.findActive = function() {
+  return this.find({
+    isActive: true,
+    deletedAt: null
+  }).sort({ priority: -1 });
+};
+
+export const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+// Weight bracket: cost for shipments up to maxWeight grams
+const weightBracketSchema = new mongoose.Schema({
+  maxWeight: { type: Number, required: true, min: 0 }, // in grams
+  cost: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Rate table of a shipping method for one zone
+const shippingRateTableSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone',
+    default: null
+  },
+  brackets: [weightBracketSchema],
+  // Beyond the last bracket: last bracket cost + this per started kg
+  additionalCostPerKg: { type: Number, min: 0, default: 0 },
+  isEnabled: { type: Boolean, default: true }
+}, { _id: true });
+
 // Shipping Method Configuration Schema (for admin settings)
 const shippingMethodSchema = new mongoose.Schema({
   // Method Name
@@ -154,11 +229,11 @@ const shippingMethodSchema = new mongoose.Schema({
     en: String
   },
 
-  // Cost Calculation Type
+  // Cost Calculation Type (table: per-zone weight brackets, see rateTables)
   costCalculation: {
     type: {
       type: String,
-      enum: ['fixed', 'weight', 'distance', 'price'],
+      enum: ['fixed', 'weight', 'distance', 'price', 'table'],
       required: true,
       default: 'fixed'
     },
@@ -176,6 +251,15 @@ const shippingMethodSchema = new mongoose.Schema({
     maxCost: { type: Number, min: 0, default: null }
   },
 
+  // Weight-bracket rate tables, one per zone (zone: null = destinations outside every zone)
+  rateTables: [shippingRateTableSchema],
+
+  // Dimensional weight: chargeable weight is max(actual, L*W*H / divisor) per unit
+  dimensionalWeight: {
+    enabled: { type: Boolean, default: false },
+    divisor: { type: Number, min: 1, default: 5000 } // cm³ per kg
+  },
+
   // Estimated Delivery Time (in days)
   estimatedDays: {
     min: { type: Number, min: 1, default: 3 },
@@ -207,9 +291,17 @@ shippingMethodSchema.index({ isEnabled: 1, isAvailable: 1 });
 // Methods
 Object.assign(shippingMethodSchema.methods, baseSchemaMethods);
 
+// Rate table for a zone (falls back to the table without zone)
+shippingMethodSchema.methods.getRateTable = function(zoneId = null) {
+  const tables = (this.rateTables || []).filter((table) => table.isEnabled !== false);
+  return (zoneId && tables.find((table) => table.zone?.toString() === zoneId.toString()))
+    || tables.find((table) => !table.zone)
+    || null;
+};
+
 // Calculate shipping cost
 shippingMethodSchema.methods.calculateCost = function(calculationData) {
-  const { weight = 0, distance = 0, orderTotal = 0 } = calculationData;
+  const { weight = 0, distance = 0, orderTotal = 0, zone = null } = calculationData;
   let cost = 0;
 
   switch (this.costCalculation.type) {
@@ -229,6 +321,22 @@ shippingMethodSchema.methods.calculateCost = function(calculationData) {
       cost = (orderTotal * (this.costCalculation.percentage || 0)) / 100;
       break;
 
+    case 'table': {
+      const table = this.getRateTable(zone);
+      if (!table || table.brackets.length === 0) {
+        return null; // Not deliverable to this zone
+      }
+      const brackets = [...table.brackets].sort((a, b) => a.maxWeight - b.maxWeight);
+      const bracket = brackets.find((entry) => weight <= entry.maxWeight);
+      if (bracket) {
+        cost = bracket.cost;
+      } else {
+        const last = brackets[brackets.length - 1];
+        cost = last.cost + Math.ceil((weight - last.maxWeight) / 1000) * (table.additionalCostPerKg || 0);
+      }
+      break;
+    }
+
     default:
       cost = 0;
   }
@@ -1,11 +1,16 @@
 import { Router } from 'express';
 import { ShippingController } from './controller.js';
 import { validate } from '../../middleware/validation.js';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, optionalAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
 import {
   createAddressSchema,
   updateAddressSchema,
-  calculateShippingCostSchema
+  calculateShippingCostSchema,
+  quoteShippingSchema,
+  createZoneSchema,
+  updateZoneSchema,
+  updateMethodSchema
 } from './validation.js';
 import { createRateLimiter } from '../../middleware/rateLimit.js';
 import { csrfProtection } from '../../middleware/security.js';
@@ -238,10 +243,46 @@ router.post(
  */
 router.post(
   '/calculate',
+  optionalAuth,
   validate(calculateShippingCostSchema),
   ShippingController.calculateShippingCost
 );
 
+/**
+ * @swagger
+ * /api/v1/shipping/quote:
+ *   post:
+ *     summary: Quote all available shipping methods for a cart
+ *     tags: [Shipping]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *               orderTotal:
+ *                 type: number
+ *               destination:
+ *                 type: object
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address (logged-in users); its coordinates are used for distance
+ *     responses:
+ *       200:
+ *         description: Shipping quotes (cheapest first) and matched zone
+ */
+router.post(
+  '/quote',
+  optionalAuth,
+  validate(quoteShippingSchema),
+  ShippingController.quoteShipping
+);
+
 /**
  * @swagger
  * /api/v1/shipping/methods:
@@ -257,5 +298,181 @@ router.get(
   ShippingController.getAvailableMethods
 );
 
+/**
+ * @swagger
+ * /api/v1/shipping/methods/{name}:
+ *   put:
+ *     summary: Update shipping method configuration and rate tables (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [standard, express, pickup]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               costCalculation:
+ *                 type: object
+ *               rateTables:
+ *                 type: array
+ *                 description: Per-zone weight brackets (zone null = outside every zone)
+ *               dimensionalWeight:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Shipping method updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  '/methods/:name',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(updateMethodSchema),
+  auditLog('UPDATE_SHIPPING_METHOD', 'shipping'),
+  ShippingController.updateMethod
+);
+
+/**
+ * @swagger
+ * /api/v1/shipping/zones:
+ *   get:
+ *     summary: Get shipping zones (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Zones retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/zones',
+  authenticate,
+  authorize(['orders.read']),
+  ShippingController.getZones
+);
+
+/**
+ * @swagger
+ * /api/v1/shipping/zones:
+ *   post:
+ *     summary: Create shipping zone (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: object
+ *               provinces:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               postalCodePrefixes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               freeShippingThreshold:
+ *                 type: number
+ *               priority:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Zone created
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/zones',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(createZoneSchema),
+  auditLog('CREATE_SHIPPING_ZONE', 'shipping'),
+  ShippingController.createZone
+);
+
+/**
+ * @swagger
+ * /api/v1/shipping/zones/{id}:
+ *   put:
+ *     summary: Update shipping zone (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zone updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  '/zones/:id',
+  authenticate,
+  authorize(['orders.update']),
+  csrfProtection,
+  validate(updateZoneSchema),
+  auditLog('UPDATE_SHIPPING_ZONE', 'shipping'),
+  ShippingController.updateZone
+);
+
+/**
+ * @swagger
+ * /api/v1/shipping/zones/{id}:
+ *   delete:
+ *     summary: Delete shipping zone and its rate tables (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zone deleted
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  '/zones/:id',
+  authenticate,
+  authorize(['orders.delete']),
+  csrfProtection,
+  auditLog('DELETE_SHIPPING_ZONE', 'shipping'),
+  ShippingController.deleteZone
+);
+
 export default router;
 
@@ -1,14 +1,17 @@
-import { ShippingAddress, ShippingMethod } from './model.js';
+import { ShippingAddress, ShippingMethod, ShippingZone } from './model.js';
 import { Product } from '../products/model.js';
+import { Settings } from '../settings/model.js';
 import { logger } from '../../utils/logger.js';
 
+const EARTH_RADIUS_KM = 6371;
+
 /**
  * ShippingService - Service layer for shipping operations
  * 
  * Features:
  * - Address management
- * - Shipping cost calculation
- * - Shipping method management
+ * - Shipping cost calculation (zones, weight-bracket tables, dimensional weight, distance)
+ * - Shipping method and zone management
  */
 export class ShippingService {
   /**
@@ -159,11 +162,10 @@ export class ShippingService {
 
   /**
    * Calculate shipping cost
-   * @param {Object} calculationData - Calculation data
    * @param {string} methodName - Shipping method name
    * @param {Array} items - Order items (for weight calculation)
-   * @param {number} orderTotal - Order total (for price-based calculation)
-   * @param {Object} destination - Destination address (for distance calculation)
+   * @param {number} orderTotal - Order total (for price-based calculation and free-shipping thresholds)
+   * @param {Object} destination - Destination address (zone matching and distance calculation)
    * @returns {Promise<Object>} Shipping cost and method details
    */
   static async calculateShippingCost(methodName, items = [], orderTotal = 0, destination = null) {
@@ -179,53 +181,78 @@ export class ShippingService {
         throw new Error(`روش ارسال "${methodName}" در حال حاضر در دسترس نیست`);
       }
 
-      // Calculate total weight from items
-      let totalWeight = 0;
-      if (items.length > 0) {
-        for (const item of items) {
-          const product = await Product.findById(item.product);
-          if (product && product.type === 'physical' && product.physicalProduct?.weight) {
-            totalWeight += product.physicalProduct.weight * item.quantity;
-          }
-        }
+      const context = await this._buildShipmentContext(items, orderTotal, destination);
+      const quote = this._quoteMethod(method, context);
+
+      if (quote.cost === null) {
+        throw new Error(`روش ارسال "${methodName}" برای این مقصد در دسترس نیست`);
       }
 
-      // Calculate distance (if destination provided and method is distance-based)
-      let distance = 0;
-      if (destination && method.costCalculation.type === 'distance') {
-        // TODO: Implement distance calculation using coordinates or postal code
-        // For now, use a simple estimation based on province
-        distance = this._estimateDistance(destination);
+      return quote;
+    } catch (error) {
+      logger.error('Calculate shipping cost error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quote every available shipping method for a cart (one product, zone and settings lookup)
+   * @param {Array} items - Cart items ({ product, variant?, quantity })
+   * @param {number} orderTotal - Cart total
+   * @param {Object} destination - Destination address
+   * @returns {Promise<Object>} { zone, quotes, unavailable }
+   */
+  static async quoteCart(items = [], orderTotal = 0, destination = null) {
+    try {
+      const [methods, context] = await Promise.all([
+        ShippingMethod.findEnabled(),
+        this._buildShipmentContext(items, orderTotal, destination)
+      ]);
+
+      const quotes = [];
+      const unavailable = [];
+      for (const method of methods) {
+        const quote = this._quoteMethod(method, context);
+        if (quote.cost === null) {
+          unavailable.push(method.name);
+        } else {
+          quotes.push(quote);
+        }
       }
 
-      // Calculate cost
-      const cost = method.calculateCost({
-        weight: totalWeight,
-        distance: distance,
-        orderTotal: orderTotal
-      });
+      quotes.sort((a, b) => a.cost - b.cost);
 
       return {
-        method: {
-          name: method.name,
-          displayName: method.displayName,
-          description: method.description,
-          estimatedDays: method.estimatedDays
-        },
-        cost: cost,
-        calculation: {
-          type: method.costCalculation.type,
-          weight: totalWeight,
-          distance: distance,
-          orderTotal: orderTotal
-        }
+        zone: context.zone ? { _id: context.zone._id, name: context.zone.name } : null,
+        quotes,
+        unavailable
       };
     } catch (error) {
-      logger.error('Calculate shipping cost error:', error);
+      logger.error('Quote cart shipping error:', error);
       throw error;
     }
   }
 
+  /**
+   * Resolve a destination: a saved address (by ID, with ownership check) or the given address
+   * @param {Object} destination - Address fields (address/city/province/postalCode/coordinates)
+   * @param {string} addressId - Saved ShippingAddress ID (optional)
+   * @param {string} userId - User ID (required with addressId)
+   * @returns {Promise<Object|null>} Address fields
+   */
+  static async resolveDestination(destination = null, addressId = null, userId = null) {
+    if (!addressId) {
+      return destination;
+    }
+
+    if (!userId) {
+      throw new Error('برای استفاده از آدرس ذخیره‌شده باید وارد شوید');
+    }
+
+    const address = await this.getAddressById(addressId, userId);
+    return address.toObject().address;
+  }
+
   /**
    * Get available shipping methods
    * @returns {Promise<Array<ShippingMethod>>} Available methods
@@ -261,7 +288,346 @@ export class ShippingService {
   }
 
   /**
-   * Estimate distance (simple implementation)
+   * Update shipping method configuration (admin)
+   * @param {string} methodName - Method name
+   * @param {Object} updateData - costCalculation, rateTables, dimensionalWeight, estimatedDays, ...
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<ShippingMethod>} Updated method
+   */
+  static async updateMethod(methodName, updateData, userId) {
+    try {
+      const method = await ShippingMethod.findOne({ name: methodName, deletedAt: null });
+
+      if (!method) {
+        throw new Error(`روش ارسال "${methodName}" یافت نشد`);
+      }
+
+      if (updateData.rateTables) {
+        const zoneIds = updateData.rateTables.map((table) => table.zone).filter(Boolean);
+        const zonesFound = await ShippingZone.countDocuments({ _id: { $in: zoneIds }, deletedAt: null });
+        if (zonesFound !== new Set(zoneIds.map(String)).size) {
+          throw new Error('یکی از مناطق ارسال جدول نرخ یافت نشد');
+        }
+      }
+
+      const { costCalculation, dimensionalWeight, ...rest } = updateData;
+      Object.assign(method, rest);
+      if (costCalculation) {
+        method.costCalculation = { ...method.toObject().costCalculation, ...costCalculation };
+      }
+      if (dimensionalWeight) {
+        method.dimensionalWeight = { ...method.toObject().dimensionalWeight, ...dimensionalWeight };
+      }
+      method.updatedBy = userId;
+      await method.save();
+
+      logger.info(`Shipping method updated: ${methodName}, by: ${userId}`);
+      return method;
+    } catch (error) {
+      logger.error('Update shipping method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shipping zones (admin)
+   * @param {Object} filters - { isActive }
+   * @returns {Promise<Array<ShippingZone>>} Zones
+   */
+  static async getZones(filters = {}) {
+    try {
+      const query = { deletedAt: null };
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      return await ShippingZone.find(query).sort({ priority: -1, createdAt: -1 });
+    } catch (error) {
+      logger.error('Get shipping zones error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shipping zone by ID
+   * @param {string} zoneId - Zone ID
+   * @returns {Promise<ShippingZone>} Zone
+   */
+  static async getZoneById(zoneId) {
+    try {
+      const zone = await ShippingZone.findOne({ _id: zoneId, deletedAt: null });
+
+      if (!zone) {
+        throw new Error('منطقه ارسال یافت نشد');
+      }
+
+      return zone;
+    } catch (error) {
+      logger.error('Get shipping zone by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create shipping zone (admin)
+   * @param {Object} zoneData - Zone data
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<ShippingZone>} Created zone
+   */
+  static async createZone(zoneData, userId) {
+    try {
+      const zone = await ShippingZone.create({
+        ...zoneData,
+        createdBy: userId
+      });
+
+      logger.info(`Shipping zone created: ${zone._id}, by: ${userId}`);
+      return zone;
+    } catch (error) {
+      logger.error('Create shipping zone error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update shipping zone (admin)
+   * @param {string} zoneId - Zone ID
+   * @param {Object} updateData - Update data
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<ShippingZone>} Updated zone
+   */
+  static async updateZone(zoneId, updateData, userId) {
+    try {
+      const zone = await this.getZoneById(zoneId);
+
+      Object.assign(zone, updateData);
+      zone.updatedBy = userId;
+      await zone.save();
+
+      logger.info(`Shipping zone updated: ${zoneId}, by: ${userId}`);
+      return zone;
+    } catch (error) {
+      logger.error('Update shipping zone error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete shipping zone (admin); its rate tables are removed from every method
+   * @param {string} zoneId - Zone ID
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<void>}
+   */
+  static async deleteZone(zoneId, userId) {
+    try {
+      const zone = await this.getZoneById(zoneId);
+
+      await ShippingMethod.updateMany(
+        { 'rateTables.zone': zone._id },
+        { $pull: { rateTables: { zone: zone._id } } }
+      );
+      await zone.softDelete(userId);
+
+      logger.info(`Shipping zone deleted: ${zoneId}, by: ${userId}`);
+    } catch (error) {
+      logger.error('Delete shipping zone error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load products once and work out weights, zone and distance shared by every method quote
+   * @private
+   */
+  static async _buildShipmentContext(items = [], orderTotal = 0, destination = null) {
+    const productIds = items.map((item) => item.product?._id || item.product).filter(Boolean);
+    const fields = 'type physicalProduct variants._id variants.weight bundle.components';
+    const [products, zones, settings] = await Promise.all([
+      productIds.length > 0
+        ? Product.find({ _id: { $in: productIds } }).select(fields).lean()
+        : [],
+      destination ? ShippingZone.findActive().lean() : [],
+      destination?.coordinates || destination?.address?.coordinates
+        ? Settings.findOne().select('contact.coordinates').lean()
+        : null
+    ]);
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    // Bundles weigh what their components weigh
+    const componentIds = products
+      .filter((product) => product.type === 'bundle')
+      .flatMap((product) => (product.bundle?.components || []).map((component) => component.product));
+    if (componentIds.length > 0) {
+      const components = await Product.find({ _id: { $in: componentIds } }).select(fields).lean();
+      components.forEach((component) => productsById.set(component._id.toString(), component));
+    }
+    const lines = items.flatMap((item) => {
+      const product = productsById.get((item.product?._id || item.product)?.toString());
+      if (product?.type !== 'bundle') {
+        return [item];
+      }
+      return (product.bundle?.components || []).map((component) => ({
+        product: component.product,
+        variant: component.variant,
+        quantity: component.quantity * item.quantity
+      }));
+    });
+
+    // Weight in grams; dimensional weight per unit from cm dimensions
+    const shipment = { actualWeight: 0, dimensionalVolume: 0, physicalItems: 0 };
+    for (const item of lines) {
+      const product = productsById.get((item.product?._id || item.product)?.toString());
+      const physical = product?.physicalProduct;
+      if (!product || product.type !== 'physical' || physical?.requiresShipping === false) {
+        continue;
+      }
+
+      shipment.physicalItems += item.quantity;
+      const variantId = (item.variant?._id || item.variant)?.toString();
+      const variant = variantId
+        ? product.variants?.find((entry) => entry._id.toString() === variantId)
+        : null;
+      shipment.actualWeight += (variant?.weight ?? physical?.weight ?? 0) * item.quantity;
+
+      const { length = 0, width = 0, height = 0 } = physical?.dimensions || {};
+      shipment.dimensionalVolume += length * width * height * item.quantity;
+    }
+
+    return {
+      ...shipment,
+      orderTotal,
+      destination,
+      zone: destination ? this._matchZone(zones, destination) : null,
+      distance: destination ? this._calculateDistance(settings?.contact?.coordinates, destination) : 0
+    };
+  }
+
+  /**
+   * Quote one method against a shipment context (cost null = not deliverable there)
+   * @private
+   */
+  static _quoteMethod(method, context) {
+    // Chargeable weight (grams)
+    let weight = context.actualWeight;
+    if (method.dimensionalWeight?.enabled && context.dimensionalVolume > 0) {
+      const dimensionalWeight = (context.dimensionalVolume / (method.dimensionalWeight.divisor || 5000)) * 1000;
+      weight = Math.max(weight, Math.round(dimensionalWeight));
+    }
+
+    const distance = method.costCalculation.type === 'distance' ? context.distance : 0;
+
+    let cost = method.calculateCost({
+      weight,
+      distance,
+      orderTotal: context.orderTotal,
+      zone: context.zone?._id || null
+    });
+
+    // Zone free-shipping threshold
+    const threshold = context.zone?.freeShippingThreshold;
+    const freeShipping = cost !== null && cost > 0 && threshold !== null && threshold !== undefined
+      && context.orderTotal >= threshold;
+    if (freeShipping) {
+      cost = 0;
+    }
+
+    return {
+      method: {
+        name: method.name,
+        displayName: method.displayName,
+        description: method.description,
+        estimatedDays: method.estimatedDays
+      },
+      cost,
+      freeShipping,
+      calculation: {
+        type: method.costCalculation.type,
+        weight,
+        actualWeight: context.actualWeight,
+        distance,
+        orderTotal: context.orderTotal,
+        zone: context.zone ? { _id: context.zone._id, name: context.zone.name } : null,
+        freeShippingThreshold: threshold ?? null
+      }
+    };
+  }
+
+  /**
+   * Most specific active zone for a destination: postal-code prefix (longest) > city > province
+   * @private
+   */
+  static _matchZone(zones, destination) {
+    const address = destination.address && typeof destination.address === 'object'
+      ? destination.address
+      : destination;
+    const postalCode = (address.postalCode || '').replace(/\s|-/g, '');
+    const city = this._normalizeName(address.city);
+    const province = this._normalizeName(address.province);
+
+    let best = null;
+    for (const zone of zones) {
+      let score = 0;
+
+      const prefix = (zone.postalCodePrefixes || [])
+        .filter((entry) => postalCode && postalCode.startsWith(entry))
+        .sort((a, b) => b.length - a.length)[0];
+      if (prefix) {
+        score = 300 + prefix.length;
+      } else if (city && (zone.cities || []).some((entry) => this._normalizeName(entry) === city)) {
+        score = 200;
+      } else if (province && (zone.provinces || []).some((entry) => this._normalizeName(entry) === province)) {
+        score = 100;
+      }
+
+      if (score === 0) {
+        continue;
+      }
+      // Zones come sorted by priority, so the first one wins a tie
+      if (!best || score > best.score) {
+        best = { zone, score };
+      }
+    }
+
+    return best?.zone || null;
+  }
+
+  /**
+   * Great-circle distance (km) from the store (Settings.contact.coordinates) to the destination
+   * coordinates; falls back to the province estimate when either side has none
+   * @private
+   */
+  static _calculateDistance(origin, destination) {
+    const target = destination.coordinates || destination.address?.coordinates;
+    const hasCoordinates = (point) => Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+
+    if (!hasCoordinates(origin) || !hasCoordinates(target)) {
+      return this._estimateDistance(destination);
+    }
+
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(target.latitude - origin.latitude);
+    const dLng = toRadians(target.longitude - origin.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(origin.latitude)) * Math.cos(toRadians(target.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)));
+  }
+
+  /**
+   * Normalize Persian place names (Arabic ye/kaf, extra spaces)
+   * @private
+   */
+  static _normalizeName(name) {
+    return (name || '')
+      .replace(/ي/g, 'ی')
+      .replace(/ك/g, 'ک')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Estimate distance (simple implementation, used when coordinates are missing)
    * @private
    * @param {Object} destination - Destination address
    * @returns {number} Estimated distance in km
@@ -77,10 +77,121 @@ export const calculateShippingCostSchema = Joi.object({
   items: Joi.array().items(
     Joi.object({
       product: objectIdSchema('شناسه محصول').required(),
+      variant: objectIdSchema('شناسه تنوع محصول').allow(null).optional(),
       quantity: Joi.number().integer().min(1).required()
     })
   ).default([]).optional(),
   orderTotal: Joi.number().min(0).default(0).optional(),
-  destination: addressSchema.optional()
-});
+  destination: addressSchema.optional(),
+  // Saved address (its coordinates are used for distance)
+  addressId: objectIdSchema('شناسه آدرس').optional()
+}).oxor('destination', 'addressId');
+
+// Quote Cart Shipping Schema (all available methods)
+export const quoteShippingSchema = Joi.object({
+  items: Joi.array().items(
+    Joi.object({
+      product: objectIdSchema('شناسه محصول').required(),
+      variant: objectIdSchema('شناسه تنوع محصول').allow(null).optional(),
+      quantity: Joi.number().integer().min(1).required()
+    })
+  ).min(1).required()
+    .messages({
+      'any.required': 'محصولات سبد خرید الزامی است',
+      'array.min': 'سبد خرید خالی است'
+    }),
+  orderTotal: Joi.number().min(0).default(0).optional(),
+  destination: addressSchema.optional(),
+  addressId: objectIdSchema('شناسه آدرس').optional()
+}).oxor('destination', 'addressId');
+
+// Shipping Zone Schema
+const zoneFields = {
+  name: Joi.object({
+    fa: Joi.string().trim().max(100).required(),
+    en: Joi.string().trim().max(100).optional()
+  }),
+  provinces: Joi.array().items(Joi.string().trim().max(50)).optional(),
+  cities: Joi.array().items(Joi.string().trim().max(50)).optional(),
+  postalCodePrefixes: Joi.array().items(
+    Joi.string().pattern(/^\d{1,10}$/).messages({
+      'string.pattern.base': 'پیشوند کد پستی باید فقط شامل ارقام باشد'
+    })
+  ).optional(),
+  freeShippingThreshold: Joi.number().min(0).allow(null).optional(),
+  priority: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional()
+};
+
+// Create Shipping Zone Schema
+export const createZoneSchema = Joi.object({
+  ...zoneFields,
+  name: zoneFields.name.required()
+    .messages({
+      'any.required': 'نام منطقه الزامی است'
+    })
+}).or('provinces', 'cities', 'postalCodePrefixes')
+  .messages({
+    'object.missing': 'حداقل یکی از استان، شهر یا پیشوند کد پستی باید مشخص شود'
+  });
+
+// Update Shipping Zone Schema
+export const updateZoneSchema = Joi.object({
+  ...zoneFields,
+  name: Joi.object({
+    fa: Joi.string().trim().max(100).optional(),
+    en: Joi.string().trim().max(100).optional()
+  })
+}).min(1);
+
+// Update Shipping Method Schema (admin)
+export const updateMethodSchema = Joi.object({
+  displayName: Joi.object({
+    fa: Joi.string().trim().max(100).optional(),
+    en: Joi.string().trim().max(100).optional()
+  }).optional(),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).allow('').optional(),
+    en: Joi.string().trim().max(500).allow('').optional()
+  }).optional(),
+  costCalculation: Joi.object({
+    type: Joi.string().valid('fixed', 'weight', 'distance', 'price', 'table').optional(),
+    fixedCost: Joi.number().min(0).optional(),
+    costPerKg: Joi.number().min(0).optional(),
+    costPerKm: Joi.number().min(0).optional(),
+    percentage: Joi.number().min(0).max(100).optional(),
+    minCost: Joi.number().min(0).optional(),
+    maxCost: Joi.number().min(0).allow(null).optional()
+  }).optional(),
+  rateTables: Joi.array().items(
+    Joi.object({
+      zone: objectIdSchema('شناسه منطقه').allow(null).default(null),
+      brackets: Joi.array().items(
+        Joi.object({
+          maxWeight: Joi.number().min(0).required(),
+          cost: Joi.number().min(0).required()
+        })
+      ).min(1).unique('maxWeight').required()
+        .messages({
+          'array.unique': 'وزن هر پله جدول نرخ باید یکتا باشد'
+        }),
+      additionalCostPerKg: Joi.number().min(0).default(0).optional(),
+      isEnabled: Joi.boolean().default(true).optional()
+    })
+  ).unique('zone')
+    .messages({
+      'array.unique': 'برای هر منطقه فقط یک جدول نرخ مجاز است'
+    })
+    .optional(),
+  dimensionalWeight: Joi.object({
+    enabled: Joi.boolean().optional(),
+    divisor: Joi.number().min(1).optional()
+  }).optional(),
+  estimatedDays: Joi.object({
+    min: Joi.number().integer().min(1).optional(),
+    max: Joi.number().integer().min(1).optional()
+  }).optional(),
+  isAvailable: Joi.boolean().optional(),
+  isEnabled: Joi.boolean().optional()
+}).min(1);
 
@@ -28,7 +28,7 @@ const shortLinkSchema = new mongoose.Schema(
     },
     resourceType: {
       type: String,
-      enum: ['article', 'service', 'portfolio', 'category', 'other'],
+      enum: ['article', 'service', 'portfolio', 'category', 'wishlist', 'other'],
       default: 'other'
     },
     resourceId: {
@@ -0,0 +1,174 @@
+import { SubscriptionService } from './service.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * SubscriptionController - Controller for recurring subscriptions
+ *
+ * Handles:
+ * - Subscribing to subscription products
+ * - Customer pause / resume / cancel
+ * - Renewal payment links
+ * - Admin subscription list
+ */
+export class SubscriptionController {
+  /**
+   * Subscribe to a subscription product
+   * POST /api/v1/subscriptions
+   */
+  static async subscribe(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const { product, contactInfo } = req.body;
+
+      const result = await SubscriptionService.subscribe(userId, product, contactInfo);
+
+      res.status(201).json({
+        success: true,
+        message: result.paymentUrl
+          ? 'اشتراک ثبت شد. برای فعال‌سازی، پرداخت را انجام دهید'
+          : 'اشتراک شما فعال شد',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Subscribe error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get current user's subscriptions
+   * GET /api/v1/subscriptions/me
+   */
+  static async getMySubscriptions(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const subscriptions = await SubscriptionService.getUserSubscriptions(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { subscriptions }
+      });
+    } catch (error) {
+      logger.error('Get my subscriptions error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get one subscription with its orders (owner, or any subscription with orders.read)
+   * GET /api/v1/subscriptions/:id
+   */
+  static async getSubscription(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const isAdmin = req.user?.roles?.some((role) => role.permissions?.includes('orders.read'));
+
+      // Users can only see their own subscriptions, admins can see all
+      const result = await SubscriptionService.getSubscription(req.params.id, isAdmin ? null : userId);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Get subscription error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Pause subscription
+   * POST /api/v1/subscriptions/:id/pause
+   */
+  static async pause(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const subscription = await SubscriptionService.pause(req.params.id, userId, req.body.days);
+
+      res.status(200).json({
+        success: true,
+        message: 'اشتراک متوقف شد',
+        data: { subscription }
+      });
+    } catch (error) {
+      logger.error('Pause subscription error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Resume a paused subscription or undo a scheduled cancellation
+   * POST /api/v1/subscriptions/:id/resume
+   */
+  static async resume(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const subscription = await SubscriptionService.resume(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'اشتراک از سر گرفته شد',
+        data: { subscription }
+      });
+    } catch (error) {
+      logger.error('Resume subscription error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel subscription
+   * POST /api/v1/subscriptions/:id/cancel
+   */
+  static async cancel(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const subscription = await SubscriptionService.cancel(req.params.id, userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: subscription.cancelAtPeriodEnd
+          ? 'اشتراک در پایان دوره فعلی لغو می‌شود'
+          : 'اشتراک لغو شد',
+        data: { subscription }
+      });
+    } catch (error) {
+      logger.error('Cancel subscription error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Open a renewal payment link (redirects to the payment gateway)
+   * GET /api/v1/subscriptions/pay/:token
+   */
+  static async openPaymentLink(req, res, next) {
+    try {
+      const redirectUrl = await SubscriptionService.openPaymentLink(req.params.token);
+      res.redirect(302, redirectUrl);
+    } catch (error) {
+      logger.error('Open subscription payment link error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get subscriptions (admin)
+   * GET /api/v1/subscriptions
+   */
+  static async getSubscriptions(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await SubscriptionService.getSubscriptions(filters, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get subscriptions error:', error);
+      next(error);
+    }
+  }
+}
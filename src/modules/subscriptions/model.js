@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+/**
+ * Subscription Model
+ *
+ * One recurring plan (a subscription product) held by a user. Each billing
+ * period is paid through its own order: a signup order for the first period
+ * and renewal orders created by the scheduler before the period ends.
+ */
+
+export const SUBSCRIPTION_STATUSES = [
+  'pending', // Waiting for the signup order to be paid
+  'active', // Paid (or in trial) for the current period
+  'past_due', // Period ended without the renewal being paid (grace period, dunning reminders)
+  'paused', // Paused by the customer: no renewals, remaining time kept for resume
+  'cancelled', // Cancelled by the customer (immediately or at period end)
+  'expired' // Signup never paid, or renewal unpaid after the grace period
+];
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Plan copied at signup (later product edits do not change running subscriptions)
+  plan: {
+    name: {
+      fa: String,
+      en: String
+    },
+    interval: {
+      type: String,
+      enum: ['day', 'week', 'month', 'year'],
+      required: true
+    },
+    intervalCount: { type: Number, default: 1, min: 1 },
+    price: { type: Number, required: true, min: 0 }, // First period
+    renewalPrice: { type: Number, required: true, min: 0 },
+    trialDays: { type: Number, default: 0, min: 0 }
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: 'pending'
+  },
+  // Contact details copied onto renewal orders
+  contactInfo: {
+    fullName: String,
+    phoneNumber: String,
+    email: String
+  },
+  trialEndsAt: Date,
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  // Open renewal order for the next period (cleared when paid or cancelled)
+  renewalOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  renewalsCount: { type: Number, default: 0, min: 0 },
+  // Reminders sent for the open renewal (reset on every paid period)
+  dunning: {
+    remindersSent: { type: Number, default: 0, min: 0 },
+    lastReminderAt: Date
+  },
+  pause: {
+    pausedAt: Date,
+    resumesAt: Date // Automatic resume (null = until the customer resumes)
+  },
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  cancelledAt: Date,
+  cancellationReason: String,
+  endedAt: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ user: 1, product: 1, status: 1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ status: 1, 'pause.resumesAt': 1 });
+
+// Whether the customer currently has access to what the plan sells (past_due keeps it during the grace period)
+subscriptionSchema.methods.hasAccess = function(now = new Date()) {
+  if (!['active', 'past_due'].includes(this.status)) {
+    return false;
+  }
+  // Cancelled at period end: access runs until the paid period is over (the job then ends it)
+  return !this.cancelAtPeriodEnd || (!!this.currentPeriodEnd && this.currentPeriodEnd > now);
+};
+
+// End of a billing period that starts at `start` (31 Jan + 1 month = end of February)
+subscriptionSchema.methods.getPeriodEnd = function(start) {
+  const end = new Date(start);
+  const count = this.plan.intervalCount || 1;
+  if (this.plan.interval === 'day' || this.plan.interval === 'week') {
+    end.setDate(end.getDate() + count * (this.plan.interval === 'week' ? 7 : 1));
+    return end;
+  }
+
+  const day = end.getDate();
+  end.setMonth(end.getMonth() + count * (this.plan.interval === 'year' ? 12 : 1));
+  if (end.getDate() !== day) {
+    end.setDate(0);
+  }
+  return end;
+};
+
+export const Subscription = mongoose.model('Subscription', subscriptionSchema);
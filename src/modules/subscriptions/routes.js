@@ -0,0 +1,281 @@
+import { Router } from 'express';
+import { SubscriptionController } from './controller.js';
+import { validate } from '../../middleware/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
+import { createRateLimiter } from '../../middleware/rateLimit.js';
+import { csrfProtection } from '../../middleware/security.js';
+import {
+  subscribeSchema,
+  pauseSubscriptionSchema,
+  cancelSubscriptionSchema,
+  getSubscriptionsQuerySchema
+} from './validation.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Subscriptions
+ *   description: Recurring subscription products (signup, renewals, pause and cancel)
+ */
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/pay/{token}:
+ *   get:
+ *     summary: Open a subscription payment link
+ *     description: |
+ *       Signed link sent with renewal notices (email/SMS). Starts the gateway payment
+ *       for the signup or renewal order and redirects to the gateway. No login required.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the payment gateway (or the order page when already paid)
+ *       400:
+ *         description: Invalid or expired link, or order cancelled
+ */
+router.get(
+  '/pay/:token',
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10,
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است. لطفاً کمی صبر کنید.',
+    prefix: 'rl:subscription:pay:'
+  }),
+  SubscriptionController.openPaymentLink
+);
+
+// All other routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions:
+ *   post:
+ *     summary: Subscribe to a subscription product
+ *     description: |
+ *       Plans with a trial start right away; otherwise a signup order is created and
+ *       the subscription starts once it is paid (paymentUrl or POST /payments/initialize).
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - contactInfo
+ *             properties:
+ *               product:
+ *                 type: string
+ *               contactInfo:
+ *                 type: object
+ *                 properties:
+ *                   fullName:
+ *                     type: string
+ *                   phoneNumber:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Subscription created ({ subscription, order, paymentUrl })
+ *       400:
+ *         description: Product unavailable or already subscribed
+ */
+router.post(
+  '/',
+  csrfProtection,
+  createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 5,
+    message: 'تعداد درخواست‌های شما بیش از حد مجاز است. لطفاً کمی صبر کنید.',
+    prefix: 'rl:subscription:create:'
+  }),
+  validate(subscribeSchema),
+  SubscriptionController.subscribe
+);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions:
+ *   get:
+ *     summary: Get all subscriptions (admin only)
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, past_due, paused, cancelled, expired]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/',
+  authorize(['orders.read']),
+  validate(getSubscriptionsQuerySchema, 'query'),
+  SubscriptionController.getSubscriptions
+);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/me:
+ *   get:
+ *     summary: Get current user's subscriptions
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved
+ */
+router.get('/me', SubscriptionController.getMySubscriptions);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}:
+ *   get:
+ *     summary: Get a subscription with its orders and open payment link
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription retrieved
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', SubscriptionController.getSubscription);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pause an active subscription
+ *     description: No renewals while paused; the unused part of the period is added back on resume.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: integer
+ *                 description: Pause length (resumes automatically; default and maximum SUBSCRIPTION_MAX_PAUSE_DAYS)
+ *     responses:
+ *       200:
+ *         description: Subscription paused
+ */
+router.post(
+  '/:id/pause',
+  csrfProtection,
+  validate(pauseSubscriptionSchema),
+  SubscriptionController.pause
+);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}/resume:
+ *   post:
+ *     summary: Resume a paused subscription or undo a cancellation scheduled for the period end
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ */
+router.post('/:id/resume', csrfProtection, SubscriptionController.resume);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     description: Active subscriptions run until the end of the paid period unless immediately is true.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               immediately:
+ *                 type: boolean
+ *                 default: false
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled
+ */
+router.post(
+  '/:id/cancel',
+  csrfProtection,
+  validate(cancelSubscriptionSchema),
+  SubscriptionController.cancel
+);
+
+export default router;
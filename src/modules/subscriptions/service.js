@@ -0,0 +1,782 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Subscription } from './model.js';
+import { Order } from '../orders/model.js';
+import { Product } from '../products/model.js';
+import { PaymentService } from '../payments/service.js';
+import { CurrencyService } from '../currencies/service.js';
+import { TaxService } from '../tax/service.js';
+import { NotificationService as InAppNotificationService } from '../notifications/service.js';
+import { NotificationService } from '../../services/notification.js';
+import { emailService } from '../../utils/email.js';
+import { config } from '../../config/environment.js';
+import { logger } from '../../utils/logger.js';
+
+// JWT audience of renewal payment links
+const PAYMENT_LINK_AUDIENCE = 'subscription-payment';
+
+/** Statuses in which a user holds the plan (one per user and product) */
+const OPEN_STATUSES = ['pending', 'active', 'past_due', 'paused'];
+
+/** Days past the period end on which a past-due reminder is sent */
+const DUNNING_REMINDER_DAYS = [1, 3, 6];
+
+/** Hours an unpaid signup order stays open before the subscription expires */
+const PENDING_SIGNUP_HOURS = 48;
+
+/** Subscriptions handled per job step and run */
+const BATCH_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SubscriptionService - Recurring subscription products
+ *
+ * Features:
+ * - Signup: first period paid through a signup order (or started free when the plan has a trial)
+ * - Renewals: the scheduler creates the next period's order and a payment link
+ *   SUBSCRIPTION_RENEWAL_LEAD_DAYS before the period ends
+ * - Dunning: unpaid renewals turn the subscription past_due, reminders are sent on
+ *   DUNNING_REMINDER_DAYS and it expires after SUBSCRIPTION_GRACE_DAYS
+ * - Self-service pause (remaining time kept), resume and cancel (at period end or immediately)
+ *
+ * Payment gateways here cannot charge a saved card, so every period is paid by
+ * the customer through a signed link that opens the gateway for that order.
+ */
+export class SubscriptionService {
+  /**
+   * Subscribe a user to a subscription product
+   * An unpaid signup for the same product is returned instead of creating another one.
+   * @param {string} userId - User ID
+   * @param {string} productId - Subscription product ID
+   * @param {Object} contactInfo - { fullName, phoneNumber, email } (copied to every order)
+   * @returns {Promise<Object>} { subscription, order, paymentUrl } (order is null for trials)
+   */
+  static async subscribe(userId, productId, contactInfo) {
+    try {
+      const product = await Product.findOne({
+        _id: productId,
+        type: 'subscription',
+        deletedAt: null,
+        status: 'active',
+        isPublished: true
+      });
+
+      if (!product) {
+        throw new Error('محصول اشتراکی یافت نشد یا در دسترس نیست');
+      }
+
+      const existing = await Subscription.findOne({ user: userId, product: productId, status: { $in: OPEN_STATUSES } });
+      if (existing) {
+        const signupOrder = existing.status === 'pending' ? await this._getOpenOrder(existing) : null;
+        if (signupOrder) {
+          return { subscription: existing, order: signupOrder, paymentUrl: this.getPaymentUrl(existing, signupOrder) };
+        }
+        if (existing.status !== 'pending') {
+          throw new Error('شما در حال حاضر مشترک این محصول هستید');
+        }
+        // Signup order was cancelled - start over
+        await this._end(existing, 'expired');
+      }
+
+      const settings = product.subscription || {};
+      const now = new Date();
+      const subscription = new Subscription({
+        user: userId,
+        product: product._id,
+        plan: {
+          name: product.name,
+          interval: settings.interval || 'month',
+          intervalCount: settings.intervalCount || 1,
+          price: await CurrencyService.getUnitPrice(product),
+          renewalPrice: await CurrencyService.toBase(
+            settings.renewalPrice ?? product.pricing.basePrice,
+            product.pricing.currency
+          ),
+          trialDays: settings.trialDays || 0
+        },
+        contactInfo
+      });
+
+      // Trial: access starts now, the first charge is the renewal at the end of the trial
+      if (subscription.plan.trialDays > 0) {
+        subscription.status = 'active';
+        subscription.trialEndsAt = new Date(now.getTime() + subscription.plan.trialDays * DAY_MS);
+        subscription.currentPeriodStart = now;
+        subscription.currentPeriodEnd = subscription.trialEndsAt;
+        await subscription.save();
+
+        logger.info(`Subscription started with trial: ${subscription._id}, user: ${userId}`);
+        return { subscription, order: null, paymentUrl: null };
+      }
+
+      await subscription.save();
+      const order = await this._createOrder(subscription, product, 'signup', now, subscription.getPeriodEnd(now));
+
+      logger.info(`Subscription created: ${subscription._id}, user: ${userId}, order: ${order.orderNumber}`);
+
+      // Free first period: the order was completed and the subscription started already
+      if (order.payment.status === 'completed') {
+        return { subscription: await Subscription.findById(subscription._id), order, paymentUrl: null };
+      }
+      return { subscription, order, paymentUrl: this.getPaymentUrl(subscription, order) };
+    } catch (error) {
+      logger.error('Subscribe error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start or extend a subscription when one of its orders is paid
+   * Called by OrderService.markOrderAsPaid for orders that carry a subscription.
+   * @param {Order} order - Paid order
+   * @returns {Promise<Subscription|null>}
+   */
+  static async handleOrderPaid(order) {
+    try {
+      const subscription = await Subscription.findById(order.subscription?.id);
+      if (!subscription) {
+        return null;
+      }
+
+      const now = new Date();
+      // Renewals keep the billing anchor; a signup (or a subscription that already ended) starts now
+      let start = now;
+      if (order.subscription.kind === 'renewal' && ['active', 'past_due', 'paused'].includes(subscription.status)) {
+        start = order.subscription.periodStart || subscription.currentPeriodEnd || now;
+      }
+
+      subscription.status = subscription.status === 'paused' ? 'paused' : 'active';
+      subscription.currentPeriodStart = start;
+      subscription.currentPeriodEnd = subscription.getPeriodEnd(start);
+      subscription.renewalOrder = null;
+      subscription.renewalsCount += order.subscription.kind === 'renewal' ? 1 : 0;
+      subscription.dunning = { remindersSent: 0, lastReminderAt: null };
+      subscription.endedAt = undefined;
+      await subscription.save();
+
+      logger.info(`Subscription ${subscription._id} paid through ${subscription.currentPeriodEnd.toISOString()}`);
+      return subscription;
+    } catch (error) {
+      logger.error(`Subscription payment for order ${order.orderNumber} error:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduler job: renewals, period-end cancellations, automatic resumes, dunning and expiry
+   * @returns {Promise<Object>} Counts per step
+   */
+  static async processRenewals() {
+    const now = new Date();
+    const { leadDays, graceDays } = this.getSettings();
+    const stats = { resumed: 0, cancelled: 0, renewalsCreated: 0, pastDue: 0, remindersSent: 0, expired: 0 };
+
+    const run = async (label, query, handler) => {
+      const subscriptions = await Subscription.find(query).limit(BATCH_SIZE);
+      for (const subscription of subscriptions) {
+        try {
+          await handler(subscription);
+        } catch (error) {
+          logger.error(`Subscription ${label} failed for ${subscription._id}:`, error);
+        }
+      }
+    };
+
+    // Pauses that reached their resume date
+    await run('resume', { status: 'paused', 'pause.resumesAt': { $lte: now } }, async (subscription) => {
+      this._unpause(subscription, now);
+      await subscription.save();
+      stats.resumed++;
+    });
+
+    // Cancellations scheduled for the end of the paid period
+    await run('cancellation', {
+      status: { $in: ['active', 'past_due'] },
+      cancelAtPeriodEnd: true,
+      currentPeriodEnd: { $lte: now }
+    }, async (subscription) => {
+      await this._end(subscription, 'cancelled');
+      stats.cancelled++;
+    });
+
+    // Next period's order and payment link, a few days before the period ends
+    await run('renewal', {
+      status: { $in: ['active', 'past_due'] },
+      cancelAtPeriodEnd: false,
+      currentPeriodEnd: { $lte: new Date(now.getTime() + leadDays * DAY_MS) }
+    }, async (subscription) => {
+      if (await this._getOpenOrder(subscription)) {
+        return;
+      }
+      const product = await Product.findById(subscription.product);
+      if (!product) {
+        throw new Error('محصول اشتراک یافت نشد');
+      }
+
+      const periodStart = subscription.currentPeriodEnd;
+      const order = await this._createOrder(
+        subscription,
+        product,
+        'renewal',
+        periodStart,
+        subscription.getPeriodEnd(periodStart)
+      );
+      stats.renewalsCreated++;
+
+      if (order.payment.status !== 'completed') {
+        await this._notify(subscription, 'subscription_renewal_due', order);
+      }
+    });
+
+    // Periods that ended with the renewal unpaid
+    await run('past due', {
+      status: 'active',
+      currentPeriodEnd: { $lte: now },
+      renewalOrder: { $ne: null }
+    }, async (subscription) => {
+      subscription.status = 'past_due';
+      await subscription.save();
+      stats.pastDue++;
+    });
+
+    // Dunning reminders, then expiry after the grace period
+    await run('dunning', { status: 'past_due' }, async (subscription) => {
+      const daysPastDue = (now - subscription.currentPeriodEnd) / DAY_MS;
+      if (daysPastDue >= graceDays) {
+        await this._end(subscription, 'expired');
+        await this._notify(subscription, 'subscription_expired');
+        stats.expired++;
+        return;
+      }
+
+      const reminderDay = DUNNING_REMINDER_DAYS[subscription.dunning.remindersSent];
+      const order = await this._getOpenOrder(subscription);
+      if (order && reminderDay !== undefined && daysPastDue >= reminderDay) {
+        await this._notify(subscription, 'subscription_past_due', order);
+        subscription.dunning.remindersSent++;
+        subscription.dunning.lastReminderAt = now;
+        await subscription.save();
+        stats.remindersSent++;
+      }
+    });
+
+    // Signups never paid
+    await run('signup expiry', {
+      status: 'pending',
+      createdAt: { $lte: new Date(now.getTime() - PENDING_SIGNUP_HOURS * 60 * 60 * 1000) }
+    }, async (subscription) => {
+      await this._end(subscription, 'expired');
+      stats.expired++;
+    });
+
+    if (Object.values(stats).some((count) => count > 0)) {
+      logger.info('Subscription renewals processed:', stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Pause a subscription (customer): no renewals while paused, the unused time is added back on resume
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} userId - Owner
+   * @param {number} days - Pause length (capped at SUBSCRIPTION_MAX_PAUSE_DAYS)
+   * @returns {Promise<Subscription>}
+   */
+  static async pause(subscriptionId, userId, days = null) {
+    try {
+      const subscription = await this._getOwned(subscriptionId, userId);
+      if (subscription.status !== 'active') {
+        throw new Error('فقط اشتراک فعال قابل توقف است');
+      }
+      if (subscription.cancelAtPeriodEnd) {
+        throw new Error('اشتراکی که لغو شده است قابل توقف نیست');
+      }
+
+      const { maxPauseDays } = this.getSettings();
+      const now = new Date();
+      const pauseDays = Math.min(days || maxPauseDays, maxPauseDays);
+
+      await this._cancelOpenOrder(subscription, 'لغو خودکار: اشتراک متوقف شد');
+      subscription.status = 'paused';
+      subscription.pause = {
+        pausedAt: now,
+        resumesAt: new Date(now.getTime() + pauseDays * DAY_MS)
+      };
+      await subscription.save();
+
+      logger.info(`Subscription paused: ${subscription._id} until ${subscription.pause.resumesAt.toISOString()}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Pause subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused subscription, or undo a cancellation scheduled for the period end
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Subscription>}
+   */
+  static async resume(subscriptionId, userId) {
+    try {
+      const subscription = await this._getOwned(subscriptionId, userId);
+
+      if (subscription.status === 'paused') {
+        this._unpause(subscription, new Date());
+      } else if (['active', 'past_due'].includes(subscription.status) && subscription.cancelAtPeriodEnd) {
+        subscription.cancelAtPeriodEnd = false;
+        subscription.cancelledAt = undefined;
+        subscription.cancellationReason = undefined;
+      } else {
+        throw new Error('این اشتراک قابل ازسرگیری نیست');
+      }
+
+      await subscription.save();
+
+      logger.info(`Subscription resumed: ${subscription._id}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Resume subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a subscription (customer)
+   * By default access runs until the end of the paid period; unpaid, paused and
+   * past-due subscriptions (or immediately: true) end right away. Paid periods are not refunded here.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} userId - Owner
+   * @param {Object} options - { immediately, reason }
+   * @returns {Promise<Subscription>}
+   */
+  static async cancel(subscriptionId, userId, { immediately = false, reason = null } = {}) {
+    try {
+      const subscription = await this._getOwned(subscriptionId, userId);
+      if (!OPEN_STATUSES.includes(subscription.status)) {
+        throw new Error('این اشتراک قبلاً به پایان رسیده است');
+      }
+
+      subscription.cancelledAt = new Date();
+      subscription.cancellationReason = reason || undefined;
+
+      if (immediately || subscription.status !== 'active') {
+        await this._end(subscription, 'cancelled');
+      } else {
+        subscription.cancelAtPeriodEnd = true;
+        await this._cancelOpenOrder(subscription, 'لغو خودکار: اشتراک لغو شد');
+        await subscription.save();
+      }
+
+      logger.info(`Subscription cancelled: ${subscription._id}, at period end: ${subscription.cancelAtPeriodEnd}`);
+      return subscription;
+    } catch (error) {
+      logger.error('Cancel subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's subscriptions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Subscription>>}
+   */
+  static async getUserSubscriptions(userId) {
+    try {
+      return await Subscription.find({ user: userId })
+        .populate('product', 'name slug featuredImage')
+        .populate('renewalOrder', 'orderNumber totals payment.status status')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      logger.error('Get user subscriptions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one subscription with its orders and the payment link of the open order
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} userId - Owner (null for admin)
+   * @returns {Promise<Object>} { subscription, orders, paymentUrl }
+   */
+  static async getSubscription(subscriptionId, userId = null) {
+    try {
+      const subscription = userId
+        ? await this._getOwned(subscriptionId, userId)
+        : await Subscription.findById(subscriptionId);
+
+      if (!subscription) {
+        throw new Error('اشتراک یافت نشد');
+      }
+
+      const [orders, openOrder] = await Promise.all([
+        Order.find({ 'subscription.id': subscription._id })
+          .select('orderNumber status payment.status payment.paidAt totals.total subscription createdAt')
+          .sort({ createdAt: -1 }),
+        this._getOpenOrder(subscription)
+      ]);
+      await subscription.populate('product', 'name slug featuredImage');
+
+      return {
+        subscription,
+        orders,
+        paymentUrl: openOrder ? this.getPaymentUrl(subscription, openOrder) : null
+      };
+    } catch (error) {
+      logger.error('Get subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get subscriptions with filters (admin)
+   * @param {Object} filters - { status, product, user }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Subscriptions and pagination
+   */
+  static async getSubscriptions(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 25;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (filters.status) {
+        query.status = filters.status;
+      }
+      if (filters.product) {
+        query.product = filters.product;
+      }
+      if (filters.user) {
+        query.user = filters.user;
+      }
+
+      const [subscriptions, total] = await Promise.all([
+        Subscription.find(query)
+          .populate('user', 'name email phoneNumber')
+          .populate('product', 'name slug')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Subscription.countDocuments(query)
+      ]);
+
+      return {
+        data: subscriptions,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Get subscriptions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a user currently has access through a subscription to a product
+   * @param {string} userId - User ID
+   * @param {string} productId - Subscription product ID
+   * @returns {Promise<boolean>}
+   */
+  static async hasActiveSubscription(userId, productId) {
+    const subscriptions = await Subscription.find({
+      user: userId,
+      product: productId,
+      status: { $in: ['active', 'past_due'] }
+    });
+    return subscriptions.some((subscription) => subscription.hasAccess());
+  }
+
+  /**
+   * Signed link that opens the payment gateway for a subscription order (works from SMS/email without login)
+   * @param {Subscription} subscription - Subscription
+   * @param {Order} order - Signup or renewal order
+   * @returns {string} Payment URL
+   */
+  static getPaymentUrl(subscription, order) {
+    const { graceDays } = this.getSettings();
+    const dueAt = order.subscription?.periodStart || new Date();
+    // Valid until the renewal can no longer be paid (end of the grace period)
+    const expiresAt = Math.max(
+      dueAt.getTime() + (graceDays + 1) * DAY_MS,
+      Date.now() + PENDING_SIGNUP_HOURS * 60 * 60 * 1000
+    );
+
+    const token = jwt.sign(
+      {
+        subscription: subscription._id.toString(),
+        order: order._id.toString(),
+        user: subscription.user.toString()
+      },
+      this._paymentLinkSecret(),
+      { expiresIn: Math.ceil((expiresAt - Date.now()) / 1000), audience: PAYMENT_LINK_AUDIENCE }
+    );
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${config.PORT || 5000}`;
+
+    return `${baseUrl}/api/${config.API_VERSION}/subscriptions/pay/${token}`;
+  }
+
+  /**
+   * Open a payment link: start the gateway payment for the order it points to
+   * @param {string} token - Token from getPaymentUrl
+   * @returns {Promise<string>} URL to redirect the customer to
+   */
+  static async openPaymentLink(token) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, this._paymentLinkSecret(), { audience: PAYMENT_LINK_AUDIENCE });
+      } catch (error) {
+        throw new Error('لینک پرداخت نامعتبر یا منقضی شده است');
+      }
+
+      const order = await Order.findOne({
+        _id: payload.order,
+        user: payload.user,
+        'subscription.id': payload.subscription,
+        deletedAt: null
+      });
+      if (!order) {
+        throw new Error('سفارش اشتراک یافت نشد');
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      if (['completed', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
+        return `${frontendUrl}/orders/${order._id}/success`;
+      }
+      if (order.status === 'cancelled') {
+        throw new Error('این صورتحساب اشتراک لغو شده است');
+      }
+
+      const { redirectUrl } = await PaymentService.initializePayment(order._id, order.user);
+      return redirectUrl;
+    } catch (error) {
+      logger.error('Open subscription payment link error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renewal lead time, grace period and longest pause (days, from environment)
+   * @returns {Object} { leadDays, graceDays, maxPauseDays }
+   */
+  static getSettings() {
+    const read = (name, fallback) => {
+      const value = parseInt(process.env[name], 10);
+      return value > 0 ? value : fallback;
+    };
+    return {
+      leadDays: read('SUBSCRIPTION_RENEWAL_LEAD_DAYS', 3),
+      graceDays: read('SUBSCRIPTION_GRACE_DAYS', 7),
+      maxPauseDays: read('SUBSCRIPTION_MAX_PAUSE_DAYS', 90)
+    };
+  }
+
+  /**
+   * Private: Create the order for one billing period (zero-amount orders are completed right away)
+   * @private
+   * @returns {Promise<Order>}
+   */
+  static async _createOrder(subscription, product, kind, periodStart, periodEnd) {
+    // The first paid period (signup, or the first charge after a trial) uses the signup price
+    const isFirstCharge = kind === 'signup' || (subscription.renewalsCount === 0 && !!subscription.trialEndsAt);
+    const price = isFirstCharge ? subscription.plan.price : subscription.plan.renewalPrice;
+
+    const order = new Order({
+      user: subscription.user,
+      items: [{
+        product: product._id,
+        sku: product.sku,
+        quantity: 1,
+        price,
+        total: price
+      }],
+      contactInfo: subscription.contactInfo,
+      payment: {
+        method: 'online',
+        status: 'pending',
+        amount: price
+      },
+      totals: {
+        subtotal: price,
+        total: price
+      },
+      status: 'pending',
+      subscription: {
+        id: subscription._id,
+        kind,
+        periodStart,
+        periodEnd
+      }
+    });
+
+    await TaxService.applyToOrder(order);
+    order.calculateTotals();
+    order.payment.amount = order.totals.total;
+    await order.save();
+
+    if (kind === 'renewal') {
+      subscription.renewalOrder = order._id;
+      await subscription.save();
+    }
+
+    if (order.payment.amount === 0) {
+      const { OrderService } = await import('../orders/service.js');
+      await OrderService.markOrderAsPaid(order._id, `FREE-${order.orderNumber}`, 'free');
+      order.payment.status = 'completed';
+    }
+
+    return order;
+  }
+
+  /**
+   * Private: The subscription's unpaid, uncancelled order (signup or renewal)
+   * @private
+   * @returns {Promise<Order|null>}
+   */
+  static async _getOpenOrder(subscription) {
+    return Order.findOne({
+      'subscription.id': subscription._id,
+      'payment.status': { $in: ['pending', 'failed'] },
+      status: { $ne: 'cancelled' },
+      deletedAt: null
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Private: Cancel the subscription's unpaid order, if any
+   * @private
+   */
+  static async _cancelOpenOrder(subscription, note) {
+    const order = await this._getOpenOrder(subscription);
+    if (order) {
+      await order.updateStatus('cancelled', null, note);
+    }
+    subscription.renewalOrder = null;
+  }
+
+  /**
+   * Private: End a subscription (cancelled or expired) and cancel its unpaid order
+   * @private
+   */
+  static async _end(subscription, status) {
+    await this._cancelOpenOrder(
+      subscription,
+      status === 'expired' ? 'لغو خودکار: مهلت پرداخت اشتراک به پایان رسید' : 'لغو خودکار: اشتراک لغو شد'
+    );
+    subscription.status = status;
+    subscription.cancelAtPeriodEnd = false;
+    subscription.endedAt = new Date();
+    await subscription.save();
+  }
+
+  /**
+   * Private: Leave pause, moving the period (and trial) end by the paused time
+   * @private
+   */
+  static _unpause(subscription, now) {
+    const pausedAt = subscription.pause?.pausedAt || now;
+    const pausedFor = Math.max(0, now - pausedAt);
+
+    if (subscription.currentPeriodEnd && subscription.currentPeriodEnd > pausedAt) {
+      subscription.currentPeriodEnd = new Date(subscription.currentPeriodEnd.getTime() + pausedFor);
+    }
+    if (subscription.trialEndsAt && subscription.trialEndsAt > pausedAt) {
+      subscription.trialEndsAt = new Date(subscription.trialEndsAt.getTime() + pausedFor);
+    }
+    subscription.status = 'active';
+    subscription.pause = { pausedAt: null, resumesAt: null };
+  }
+
+  /**
+   * Private: Load a subscription owned by the user
+   * @private
+   */
+  static async _getOwned(subscriptionId, userId) {
+    const subscription = await Subscription.findOne({ _id: subscriptionId, user: userId });
+    if (!subscription) {
+      throw new Error('اشتراک یافت نشد');
+    }
+    return subscription;
+  }
+
+  /**
+   * Private: Send a renewal, past-due or expiry notice (in-app, email and SMS)
+   * @private
+   */
+  static async _notify(subscription, type, order = null) {
+    const planName = subscription.plan.name?.fa || subscription.plan.name?.en || '';
+    const payload = {
+      planName,
+      amount: new Intl.NumberFormat('fa-IR').format(order?.totals?.total || 0),
+      dueDate: (order?.subscription?.periodStart || subscription.currentPeriodEnd || new Date())
+        .toLocaleDateString('fa-IR'),
+      paymentUrl: order ? this.getPaymentUrl(subscription, order) : null
+    };
+    const content = {
+      subscription_renewal_due: {
+        title: { fa: `تمدید اشتراک ${planName}`, en: 'Subscription renewal' },
+        message: {
+          fa: `صورتحساب دوره بعد (${payload.amount} تومان) صادر شد. سررسید: ${payload.dueDate}`,
+          en: 'Your next billing period invoice is ready'
+        }
+      },
+      subscription_past_due: {
+        title: { fa: `پرداخت اشتراک ${planName} انجام نشده است`, en: 'Subscription payment overdue' },
+        message: {
+          fa: 'برای جلوگیری از قطع اشتراک، صورتحساب تمدید را پرداخت کنید',
+          en: 'Pay the renewal invoice to keep your subscription'
+        }
+      },
+      subscription_expired: {
+        title: { fa: `اشتراک ${planName} به پایان رسید`, en: 'Subscription expired' },
+        message: {
+          fa: 'مهلت پرداخت تمدید به پایان رسید و اشتراک شما غیرفعال شد',
+          en: 'The renewal was not paid and your subscription has ended'
+        }
+      }
+    }[type];
+
+    const deliveries = [
+      InAppNotificationService.createNotification({
+        type,
+        ...content,
+        recipient: subscription.user,
+        relatedEntity: {
+          type: 'subscription',
+          id: subscription._id
+        },
+        priority: type === 'subscription_renewal_due' ? 'normal' : 'high',
+        actionUrl: `/subscriptions/${subscription._id}`
+      })
+    ];
+    if (subscription.contactInfo?.email) {
+      deliveries.push(emailService.sendNotificationEmail(
+        subscription.contactInfo.email,
+        NotificationService.getEmailContent(type, payload)
+      ));
+    }
+    if (subscription.contactInfo?.phoneNumber) {
+      deliveries.push(NotificationService.sendSMSNotification(subscription.contactInfo.phoneNumber, type, payload));
+    }
+
+    const results = await Promise.allSettled(deliveries);
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => logger.error(`Subscription ${type} notice failed for ${subscription._id}:`, result.reason));
+  }
+
+  /**
+   * Private: HMAC secret of payment link tokens (access tokens cannot be used as payment links)
+   * @private
+   */
+  static _paymentLinkSecret() {
+    return crypto.createHmac('sha256', config.JWT_SECRET).update(PAYMENT_LINK_AUDIENCE).digest('hex');
+  }
+}
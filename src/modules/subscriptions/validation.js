@@ -0,0 +1,40 @@
+import Joi from 'joi';
+import { objectIdSchema } from '../../shared/validations/baseValidation.js';
+import { contactInfoSchema } from '../orders/validation.js';
+import { SUBSCRIPTION_STATUSES } from './model.js';
+
+/**
+ * Validation schemas for Subscriptions
+ */
+
+// Subscribe Schema
+export const subscribeSchema = Joi.object({
+  product: objectIdSchema('شناسه محصول').required(),
+  contactInfo: contactInfoSchema.required()
+    .messages({
+      'any.required': 'اطلاعات تماس الزامی است'
+    })
+});
+
+// Pause Schema (days: pause length, capped at SUBSCRIPTION_MAX_PAUSE_DAYS)
+export const pauseSubscriptionSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).optional()
+    .messages({
+      'number.min': 'مدت توقف باید حداقل 1 روز باشد'
+    })
+});
+
+// Cancel Schema
+export const cancelSubscriptionSchema = Joi.object({
+  immediately: Joi.boolean().default(false),
+  reason: Joi.string().trim().max(500).optional()
+});
+
+// Get Subscriptions Query Schema (admin)
+export const getSubscriptionsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25).optional(),
+  status: Joi.string().valid(...SUBSCRIPTION_STATUSES).optional(),
+  product: objectIdSchema('شناسه محصول').optional(),
+  user: objectIdSchema('شناسه کاربر').optional()
+});
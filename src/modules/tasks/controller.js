@@ -1,4 +1,5 @@
 import { TaskService } from './service.js';
+import { TaskProjectService } from './projectService.js';
 import { AppError } from '../../utils/appError.js';
 import { HTTP_STATUS } from '../../utils/httpStatus.js';
 
@@ -73,6 +74,16 @@ export class TaskController {
    *         schema:
    *           type: string
    *       - in: query
+   *         name: project
+   *         schema:
+   *           type: string
+   *         description: شناسه پروژه یا none برای وظایف بدون پروژه
+   *       - in: query
+   *         name: parent
+   *         schema:
+   *           type: string
+   *         description: شناسه وظیفه والد یا none برای وظایف سطح اول
+   *       - in: query
    *         name: page
    *         schema:
    *           type: integer
@@ -249,10 +260,16 @@ export class TaskController {
    * @swagger
    * /api/v1/tasks/statistics:
    *   get:
-   *     summary: دریافت آمار وظایف
+   *     summary: دریافت آمار وظایف (کلی و به تفکیک پروژه)
    *     tags: [Tasks]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: project
+   *         schema:
+   *           type: string
+   *         description: شناسه پروژه یا none برای وظایف بدون پروژه
    *     responses:
    *       200:
    *         description: آمار وظایف
@@ -264,7 +281,7 @@ export class TaskController {
         ? req.user.id 
         : null;
 
-      const statistics = await TaskService.getTaskStatistics(userId);
+      const statistics = await TaskService.getTaskStatistics(userId, { project: req.query.project });
 
       res.json({
         success: true,
@@ -274,5 +291,255 @@ export class TaskController {
       next(error);
     }
   }
-}
 
+  /**
+   * @swagger
+   * /api/v1/tasks/board:
+   *   get:
+   *     summary: نمای بورد وظایف (ستون‌ها به ترتیب وضعیت)
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: project
+   *         schema:
+   *           type: string
+   *         description: شناسه پروژه یا none برای وظایف بدون پروژه
+   *       - in: query
+   *         name: assignee
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: includeSubtasks
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: ستون‌های بورد
+   */
+  static async getBoard(req, res, next) {
+    try {
+      const userRole = req.user.role?.name || req.user.role;
+      const userId = (userRole !== 'super_admin' && userRole !== 'admin')
+        ? req.user.id
+        : null;
+
+      const board = await TaskService.getBoard(req.query, userId);
+
+      res.json({
+        success: true,
+        data: board
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/tasks/{id}/move:
+   *   patch:
+   *     summary: جابه‌جایی وظیفه در بورد (تغییر ستون و/یا ترتیب)
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [pending, in_progress, completed, cancelled]
+   *               position:
+   *                 type: integer
+   *                 description: جایگاه در ستون (۰ = بالا)
+   *     responses:
+   *       200:
+   *         description: وظیفه جابه‌جا شد
+   *       409:
+   *         description: وظیفه توسط پیش‌نیازها یا زیروظیفه‌های باز مسدود است
+   */
+  static async moveTask(req, res, next) {
+    try {
+      const task = await TaskService.moveTask(req.params.id, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'وظیفه جابه‌جا شد',
+        data: { task }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/tasks/projects:
+   *   post:
+   *     summary: ایجاد پروژه
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *               key:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               color:
+   *                 type: string
+   *               members:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: پروژه با موفقیت ایجاد شد
+   */
+  static async createProject(req, res, next) {
+    try {
+      const project = await TaskProjectService.createProject(req.body, req.user.id);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'پروژه با موفقیت ایجاد شد',
+        data: { project }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/tasks/projects:
+   *   get:
+   *     summary: دریافت لیست پروژه‌ها با پیشرفت
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, archived, all]
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: لیست پروژه‌ها
+   */
+  static async getProjects(req, res, next) {
+    try {
+      const userRole = req.user.role?.name || req.user.role;
+      const userId = (userRole !== 'super_admin' && userRole !== 'admin')
+        ? req.user.id
+        : null;
+
+      const result = await TaskProjectService.getProjects(req.query, userId);
+
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/tasks/projects/{projectId}:
+   *   get:
+   *     summary: دریافت یک پروژه
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async getProjectById(req, res, next) {
+    try {
+      const userRole = req.user.role?.name || req.user.role;
+      const userId = (userRole !== 'super_admin' && userRole !== 'admin')
+        ? req.user.id
+        : null;
+
+      const project = await TaskProjectService.getProjectById(req.params.projectId, userId);
+
+      res.json({
+        success: true,
+        data: { project }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/tasks/projects/{projectId}:
+   *   put:
+   *     summary: ویرایش یا بایگانی پروژه
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async updateProject(req, res, next) {
+    try {
+      const project = await TaskProjectService.updateProject(req.params.projectId, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'پروژه با موفقیت ویرایش شد',
+        data: { project }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/v1/tasks/projects/{projectId}:
+   *   delete:
+   *     summary: حذف پروژه (فقط بدون وظیفه باز)
+   *     tags: [Tasks]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async deleteProject(req, res, next) {
+    try {
+      await TaskProjectService.deleteProject(req.params.projectId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'پروژه با موفقیت حذف شد'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
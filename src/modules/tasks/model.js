@@ -5,6 +5,9 @@ import {
   baseSchemaStatics
 } from '../../shared/models/baseModel.js';
 
+// Board columns, in order
+export const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+
 // Task has its own status (pending/in_progress/completed/cancelled); exclude base status (active/inactive/archived)
 const { status: _baseStatus, ...restBaseFields } = baseSchemaFields;
 
@@ -38,7 +41,7 @@ const taskSchema = new mongoose.Schema(
     
     status: {
       type: String,
-      enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+      enum: TASK_STATUSES,
       default: 'pending',
       index: true
     },
@@ -55,6 +58,42 @@ const taskSchema = new mongoose.Schema(
       index: true
     },
     
+    // Project the task belongs to (subtasks share their parent's project)
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaskProject',
+      default: null,
+      index: true
+    },
+
+    // Parent task of a subtask
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true
+    },
+
+    // Tasks that must be completed (or cancelled) before this one can start
+    blockedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+
+    // 0-100; set by hand on tasks without subtasks, rolled up from subtasks otherwise
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+
+    // Order within the status column of the board
+    position: {
+      type: Number,
+      default: 0
+    },
+
     completedAt: Date,
     
     cancelledAt: Date,
@@ -121,6 +160,8 @@ taskSchema.index({ assigner: 1, createdAt: -1 });
 taskSchema.index({ status: 1, priority: 1, dueDate: 1 });
 taskSchema.index({ dueDate: 1, status: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ project: 1, status: 1, position: 1 });
+taskSchema.index({ blockedBy: 1 });
 
 // Methods
 Object.assign(taskSchema.methods, baseSchemaMethods);
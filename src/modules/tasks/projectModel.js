@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import {
+  baseSchemaFields,
+  baseSchemaMethods,
+  baseSchemaStatics
+} from '../../shared/models/baseModel.js';
+
+/**
+ * TaskProject Model
+ *
+ * Groups tasks of one delivery (see TaskProjectService). The owner and members see the
+ * project and its board; assignees of its tasks are added as members. Archived projects
+ * (base status 'archived') keep their tasks but take no new ones.
+ */
+const taskProjectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 200
+    },
+
+    // Short code shown on boards, e.g. "WEB"
+    key: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxLength: 10
+    },
+
+    description: {
+      type: String,
+      trim: true
+    },
+
+    color: {
+      type: String,
+      trim: true,
+      default: '#3b82f6'
+    },
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+
+    startDate: Date,
+
+    dueDate: Date,
+
+    ...baseSchemaFields
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+taskProjectSchema.index({ members: 1, status: 1 });
+taskProjectSchema.index({ key: 1, deletedAt: 1 });
+taskProjectSchema.index({ createdAt: -1 });
+
+// Methods
+Object.assign(taskProjectSchema.methods, baseSchemaMethods);
+
+// Statics
+Object.assign(taskProjectSchema.statics, baseSchemaStatics);
+
+export const TaskProject = mongoose.model('TaskProject', taskProjectSchema);
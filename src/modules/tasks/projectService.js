@@ -0,0 +1,378 @@
+import mongoose from 'mongoose';
+import { TaskProject } from './projectModel.js';
+import { Task } from './model.js';
+import { User } from '../auth/model.js';
+import { LogService } from '../logs/service.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+import { logger } from '../../utils/logger.js';
+
+const ADMIN_ROLES = ['super_admin', 'admin'];
+const OPEN_STATUSES = ['pending', 'in_progress', 'active'];
+
+export class TaskProjectService {
+  /**
+   * Create a project; the creator owns it
+   */
+  static async createProject(projectData, userId) {
+    try {
+      await this._assertKeyAvailable(projectData.key);
+
+      const project = new TaskProject({
+        ...projectData,
+        owner: userId,
+        members: [...new Set([userId, ...(projectData.members || [])].map(String))],
+        createdBy: userId
+      });
+
+      await project.save();
+      await project.populate('owner', 'name email');
+      await project.populate('members', 'name email');
+
+      await LogService.createActivityLog({
+        user: userId,
+        action: 'CREATE',
+        resource: 'tasks',
+        resourceId: project._id,
+        description: `ایجاد پروژه "${project.name}"`
+      });
+
+      logger.info(`Task project created: ${project._id} by ${userId}`);
+      return project;
+    } catch (error) {
+      logger.error('Error creating task project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get projects with task counts and progress
+   * @param {Object} filters - { status, search, page, limit }
+   * @param {string|null} userId - Limit to projects the user owns or is a member of (null = all)
+   */
+  static async getProjects(filters = {}, userId = null) {
+    try {
+      const { status = 'active', search, page = 1, limit = 25 } = filters;
+
+      const conditions = [{ deletedAt: null }];
+      if (userId) {
+        conditions.push({ $or: [{ owner: userId }, { members: userId }] });
+      }
+      if (status !== 'all') {
+        conditions.push({ status });
+      }
+      if (search) {
+        conditions.push({
+          $or: [
+            { name: { $regex: search, $options: 'i' } },
+            { key: { $regex: search, $options: 'i' } }
+          ]
+        });
+      }
+      const query = { $and: conditions };
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const parsedLimit = parseInt(limit) || 25;
+
+      const [projects, total] = await Promise.all([
+        TaskProject.find(query)
+          .populate('owner', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parsedLimit)
+          .lean(),
+        TaskProject.countDocuments(query)
+      ]);
+
+      const stats = await this.getProjectStats({ project: { $in: projects.map((project) => project._id) } });
+      const statsByProject = new Map(stats.map((item) => [String(item.project), item]));
+
+      return {
+        data: projects.map((project) => ({
+          ...project,
+          statistics: this._statisticsOf(statsByProject.get(String(project._id)))
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parsedLimit,
+          total,
+          totalPages: Math.ceil(total / parsedLimit),
+          hasNext: skip + parsedLimit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting task projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a project with its task counts and progress
+   * @param {string} projectId - Project ID
+   * @param {string|null} userId - Require the user to own or be a member of the project (null = admin)
+   */
+  static async getProjectById(projectId, userId = null) {
+    try {
+      const query = { _id: projectId, deletedAt: null };
+      if (userId) {
+        query.$or = [{ owner: userId }, { members: userId }];
+      }
+
+      const project = await TaskProject.findOne(query)
+        .populate('owner', 'name email')
+        .populate('members', 'name email')
+        .lean();
+
+      if (!project) {
+        throw new AppError('پروژه یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const [stats] = await this.getProjectStats({ project: project._id });
+      return { ...project, statistics: this._statisticsOf(stats) };
+    } catch (error) {
+      logger.error('Error getting task project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a project (owner or admin)
+   */
+  static async updateProject(projectId, updateData, userId) {
+    try {
+      const project = await TaskProject.findOne({ _id: projectId, deletedAt: null });
+      if (!project) {
+        throw new AppError('پروژه یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+      await this._assertCanManage(project, userId);
+
+      if (updateData.key && updateData.key.toUpperCase() !== project.key) {
+        await this._assertKeyAvailable(updateData.key, project._id);
+      }
+
+      const oldData = project.toObject();
+      Object.assign(project, updateData);
+
+      // The owner always stays a member
+      if (updateData.members) {
+        project.members = [...new Set([String(project.owner), ...updateData.members.map(String)])];
+      }
+
+      project.updatedBy = userId;
+      await project.save();
+      await project.populate('owner', 'name email');
+      await project.populate('members', 'name email');
+
+      await LogService.createActivityLog({
+        user: userId,
+        action: 'UPDATE',
+        resource: 'tasks',
+        resourceId: project._id,
+        description: `ویرایش پروژه "${project.name}"`,
+        changes: {
+          old: oldData,
+          new: project.toObject()
+        }
+      });
+
+      logger.info(`Task project updated: ${projectId} by ${userId}`);
+      return project;
+    } catch (error) {
+      logger.error('Error updating task project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a project (owner or admin); projects with open tasks must be archived instead
+   */
+  static async deleteProject(projectId, userId) {
+    try {
+      const project = await TaskProject.findOne({ _id: projectId, deletedAt: null });
+      if (!project) {
+        throw new AppError('پروژه یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+      await this._assertCanManage(project, userId);
+
+      const openTasks = await Task.countDocuments({ project: project._id, status: { $in: OPEN_STATUSES } });
+      if (openTasks > 0) {
+        throw new AppError(
+          `این پروژه ${openTasks} وظیفه باز دارد؛ به جای حذف آن را بایگانی کنید`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      // Closed tasks stay, without the project
+      await Task.updateMany({ project: project._id }, { $set: { project: null } });
+      await project.softDelete(userId);
+
+      await LogService.createActivityLog({
+        user: userId,
+        action: 'DELETE',
+        resource: 'tasks',
+        resourceId: project._id,
+        description: `حذف پروژه "${project.name}"`
+      });
+
+      logger.info(`Task project deleted: ${projectId} by ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting task project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Project a task can be added to: it must exist, not be archived, and be visible to the user
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Acting user
+   * @returns {Promise<Object>} Project document
+   */
+  static async assertProjectAccess(projectId, userId) {
+    const project = await TaskProject.findOne({ _id: projectId, deletedAt: null });
+    if (!project) {
+      throw new AppError('پروژه یافت نشد', HTTP_STATUS.NOT_FOUND);
+    }
+    if (project.status !== 'active') {
+      throw new AppError('به پروژه بایگانی‌شده نمی‌توان وظیفه افزود', HTTP_STATUS.CONFLICT);
+    }
+
+    const isMember = String(project.owner) === String(userId)
+      || project.members.some((member) => String(member) === String(userId));
+    if (!isMember && !(await this._isAdmin(userId))) {
+      throw new AppError('شما عضو این پروژه نیستید', HTTP_STATUS.FORBIDDEN);
+    }
+
+    return project;
+  }
+
+  /**
+   * Add users (e.g. task assignees) to a project's members
+   */
+  static async addMembers(projectId, userIds) {
+    await TaskProject.updateOne(
+      { _id: projectId },
+      { $addToSet: { members: { $each: userIds.filter(Boolean) } } }
+    );
+  }
+
+  /**
+   * Task counts, overdue tasks and progress per project
+   * Progress is the average progress of the project's top-level tasks (completed = 100),
+   * cancelled tasks left out. Legacy 'active' tasks count as pending.
+   * @param {Object} match - Task filter (ObjectIds, as for an aggregation)
+   * @returns {Promise<Array>} [{ project, total, byStatus, overdue, progress }] (project null = no project)
+   */
+  static async getProjectStats(match = {}) {
+    const rows = await Task.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { project: '$project', status: '$status' },
+          count: { $sum: 1 },
+          overdue: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $in: ['$status', OPEN_STATUSES] },
+                    { $eq: [{ $type: '$dueDate' }, 'date'] },
+                    { $lt: ['$dueDate', new Date()] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          },
+          topLevel: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$parent', null] }, null] }, 1, 0] } },
+          topLevelProgress: {
+            $sum: { $cond: [{ $eq: [{ $ifNull: ['$parent', null] }, null] }, { $ifNull: ['$progress', 0] }, 0] }
+          }
+        }
+      }
+    ]);
+
+    const byProject = new Map();
+    rows.forEach((row) => {
+      const key = String(row._id.project ?? null);
+      const status = row._id.status === 'active' ? 'pending' : row._id.status;
+      const item = byProject.get(key) || {
+        project: row._id.project ?? null,
+        total: 0,
+        byStatus: {},
+        overdue: 0,
+        progressSum: 0,
+        progressCount: 0
+      };
+
+      item.total += row.count;
+      item.byStatus[status] = (item.byStatus[status] || 0) + row.count;
+      item.overdue += row.overdue;
+      if (status === 'completed') {
+        item.progressSum += row.topLevel * 100;
+        item.progressCount += row.topLevel;
+      } else if (status !== 'cancelled') {
+        item.progressSum += row.topLevelProgress;
+        item.progressCount += row.topLevel;
+      }
+      byProject.set(key, item);
+    });
+
+    return [...byProject.values()].map(({ progressSum, progressCount, ...item }) => ({
+      ...item,
+      progress: progressCount > 0 ? Math.round(progressSum / progressCount) : 0
+    }));
+  }
+
+  /**
+   * Private: Statistics of a project, zero when it has no tasks
+   * @private
+   */
+  static _statisticsOf(stats) {
+    if (!stats) {
+      return { total: 0, byStatus: {}, overdue: 0, progress: 0 };
+    }
+    const statistics = { ...stats };
+    delete statistics.project;
+    return statistics;
+  }
+
+  /**
+   * Private: Only the owner or an admin manages a project
+   * @private
+   */
+  static async _assertCanManage(project, userId) {
+    if (String(project.owner) !== String(userId) && !(await this._isAdmin(userId))) {
+      throw new AppError('شما دسترسی به مدیریت این پروژه ندارید', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  /**
+   * Private: Whether the user is an admin
+   * @private
+   */
+  static async _isAdmin(userId) {
+    const user = await User.findById(userId).populate('role');
+    const userRole = user?.role?.name || user?.role;
+    return ADMIN_ROLES.includes(userRole);
+  }
+
+  /**
+   * Private: Project keys are unique among projects that are not deleted
+   * @private
+   */
+  static async _assertKeyAvailable(key, exceptId = null) {
+    if (!key) {
+      return;
+    }
+    const query = { key: key.toUpperCase(), deletedAt: null };
+    if (exceptId) {
+      query._id = { $ne: new mongoose.Types.ObjectId(String(exceptId)) };
+    }
+    if (await TaskProject.exists(query)) {
+      throw new AppError('پروژه‌ای با این کلید وجود دارد', HTTP_STATUS.CONFLICT);
+    }
+  }
+}
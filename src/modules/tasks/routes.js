@@ -6,7 +6,11 @@ import { auditLog } from '../../middleware/audit.js';
 import {
   createTaskSchema,
   updateTaskSchema,
-  addCommentSchema
+  addCommentSchema,
+  moveTaskSchema,
+  boardQuerySchema,
+  createProjectSchema,
+  updateProjectSchema
 } from './validation.js';
 
 const router = Router();
@@ -30,6 +34,40 @@ router.get('/statistics',
   TaskController.getStatistics
 );
 
+router.get('/board',
+  validate(boardQuerySchema, 'query'),
+  auditLog('READ', 'tasks'),
+  TaskController.getBoard
+);
+
+// Projects
+router.post('/projects',
+  validate(createProjectSchema),
+  auditLog('CREATE', 'tasks'),
+  TaskController.createProject
+);
+
+router.get('/projects',
+  auditLog('READ', 'tasks'),
+  TaskController.getProjects
+);
+
+router.get('/projects/:projectId',
+  auditLog('READ', 'tasks'),
+  TaskController.getProjectById
+);
+
+router.put('/projects/:projectId',
+  validate(updateProjectSchema),
+  auditLog('UPDATE', 'tasks'),
+  TaskController.updateProject
+);
+
+router.delete('/projects/:projectId',
+  auditLog('DELETE', 'tasks'),
+  TaskController.deleteProject
+);
+
 router.get('/:id',
   auditLog('READ', 'tasks'),
   TaskController.getTaskById
@@ -46,6 +84,12 @@ router.delete('/:id',
   TaskController.deleteTask
 );
 
+router.patch('/:id/move',
+  validate(moveTaskSchema),
+  auditLog('UPDATE', 'tasks'),
+  TaskController.moveTask
+);
+
 router.post('/:id/comments',
   validate(addCommentSchema),
   auditLog('UPDATE', 'tasks'),
@@ -1,11 +1,38 @@
 import mongoose from 'mongoose';
-import { Task } from './model.js';
+import { Task, TASK_STATUSES } from './model.js';
+import { TaskProject } from './projectModel.js';
+import { TaskProjectService } from './projectService.js';
 import { User } from '../auth/model.js';
 import { Notification } from '../notifications/model.js';
 import { smsService } from '../../utils/sms.js';
 import { emailService } from '../../utils/email.js';
 import { logger } from '../../utils/logger.js';
 import { LogService } from '../logs/service.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+
+// A blocker in one of these statuses no longer blocks; subtasks in them no longer hold the parent
+const DONE_STATUSES = ['completed', 'cancelled'];
+// Statuses that count as started: blockers must be done first
+const STARTED_STATUSES = ['in_progress', 'completed'];
+const BOARD_COLUMN_LIMIT = 200;
+const MAX_TASK_DEPTH = 10;
+
+const STATUS_TITLES = {
+  pending: { fa: 'در انتظار', en: 'Pending' },
+  in_progress: { fa: 'در حال انجام', en: 'In Progress' },
+  completed: { fa: 'تکمیل شده', en: 'Completed' },
+  cancelled: { fa: 'لغو شده', en: 'Cancelled' }
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Board column of a task: same project and status (tasks without a project: same assignee)
+const columnQuery = ({ project, assignee, status }) => ({
+  project: project?._id ?? project ?? null,
+  status: status === 'pending' || status === 'active' ? { $in: ['pending', 'active'] } : status,
+  ...(project ? {} : { assignee: assignee?._id ?? assignee })
+});
 
 export class TaskService {
   /**
@@ -13,12 +40,24 @@ export class TaskService {
    */
   static async createTask(taskData, assignerId) {
     try {
+      const structure = await this._resolveStructure(taskData, null, assignerId);
+
       const task = new Task({
         ...taskData,
+        ...structure,
+        position: await this._nextPosition({ project: structure.project, assignee: taskData.assignee }),
         assigner: assignerId
       });
 
       await task.save();
+
+      if (task.project) {
+        await TaskProjectService.addMembers(task.project, [task.assignee]);
+      }
+      if (task.parent) {
+        await this._rollUpProgress(task.parent);
+      }
+
       await task.populate('assignee', 'name email phoneNumber');
       await task.populate('assigner', 'name email');
 
@@ -98,6 +137,8 @@ export class TaskService {
         assigner,
         status,
         priority,
+        project,
+        parent,
         search,
         startDate,
         endDate,
@@ -131,6 +172,15 @@ export class TaskService {
         query.priority = priority;
       }
 
+      // 'none' = tasks without a project / top-level tasks
+      if (project) {
+        query.project = project === 'none' ? null : project;
+      }
+
+      if (parent) {
+        query.parent = parent === 'none' ? null : parent;
+      }
+
       if (startDate || endDate) {
         query.dueDate = {};
         if (startDate) {
@@ -142,10 +192,13 @@ export class TaskService {
       }
 
       if (search) {
-        query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ];
+        // Combined with the user's scope, which is an $or as well
+        query.$and = [{
+          $or: [
+            { title: { $regex: search, $options: 'i' } },
+            { description: { $regex: search, $options: 'i' } }
+          ]
+        }];
       }
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -155,6 +208,7 @@ export class TaskService {
         Task.find(query)
           .populate('assignee', 'name email phoneNumber')
           .populate('assigner', 'name email')
+          .populate('project', 'name key color')
           .populate('comments.user', 'name email')
           .sort({ createdAt: -1 })
           .skip(skip)
@@ -198,13 +252,35 @@ export class TaskService {
       const task = await Task.findOne(query)
         .populate('assignee', 'name email phoneNumber')
         .populate('assigner', 'name email')
+        .populate('project', 'name key color status')
+        .populate('parent', 'title status progress')
+        .populate({ path: 'blockedBy', select: 'title status assignee', populate: { path: 'assignee', select: 'name' } })
         .populate('comments.user', 'name email');
 
       if (!task) {
         throw new Error('وظیفه یافت نشد');
       }
 
-      return task;
+      // Subtasks, and the tasks this one blocks
+      const [subtasks, blocking] = await Promise.all([
+        Task.find({ parent: task._id })
+          .populate('assignee', 'name email')
+          .select('title status priority progress dueDate assignee position')
+          .sort({ position: 1, createdAt: 1 })
+          .lean(),
+        Task.find({ blockedBy: task._id })
+          .populate('assignee', 'name email')
+          .select('title status assignee')
+          .lean()
+      ]);
+
+      return {
+        ...task.toObject(),
+        subtasks,
+        blocking,
+        isBlocked: !DONE_STATUSES.includes(task.status)
+          && task.blockedBy.some((blocker) => !DONE_STATUSES.includes(blocker.status))
+      };
     } catch (error) {
       logger.error('Error getting task:', error);
       throw error;
@@ -223,19 +299,11 @@ export class TaskService {
       }
 
       // Check permissions: only assignee, assigner, or admin can update
-      const isAssignee = task.assignee.toString() === userId;
-      const isAssigner = task.assigner.toString() === userId;
-      
-      if (!isAssignee && !isAssigner) {
-        // Check if user is admin
-        const user = await User.findById(userId).populate('role');
-        const userRole = user?.role?.name || user?.role;
-        if (userRole !== 'super_admin' && userRole !== 'admin') {
-          throw new Error('شما دسترسی به این وظیفه ندارید');
-        }
-      }
+      await this._assertCanEdit(task, userId);
 
       const oldStatus = task.status;
+      const oldParent = task.parent;
+      const oldProject = task.project;
       const oldData = task.toObject();
 
       // نرمال‌سازی وضعیت تسک‌های قدیمی (active از baseSchema) به pending
@@ -246,8 +314,29 @@ export class TaskService {
         task.status = 'pending';
       }
 
+      // Project, parent and dependencies are checked before anything changes
+      const structure = await this._resolveStructure(updateData, task, userId);
+      const statusChanged = Boolean(updateData.status) && updateData.status !== task.status;
+      if (statusChanged || structure.blockedBy) {
+        await this._assertCanTransition(task, updateData.status || task.status, structure.blockedBy || task.blockedBy);
+      }
+
+      // Progress of a task with subtasks is rolled up from them
+      const hasSubtasks = Boolean(await Task.exists({ parent: task._id }));
+      if (updateData.progress !== undefined && hasSubtasks) {
+        throw new AppError('پیشرفت وظیفه دارای زیروظیفه از زیروظیفه‌هایش محاسبه می‌شود', HTTP_STATUS.BAD_REQUEST);
+      }
+
       // Update task
-      Object.assign(task, updateData);
+      Object.assign(task, updateData, structure);
+
+      if (statusChanged || String(oldProject ?? '') !== String(task.project ?? '')) {
+        // Moved to another board column: last in it
+        task.position = await this._nextPosition(task);
+      }
+      if (task.status === 'completed' && !hasSubtasks) {
+        task.progress = 100;
+      }
 
       // Handle status changes
       if (updateData.status === 'completed' && oldStatus !== 'completed') {
@@ -260,6 +349,28 @@ export class TaskService {
       }
 
       await task.save();
+
+      // Subtasks follow the task to its project
+      if (String(oldProject ?? '') !== String(task.project ?? '')) {
+        const descendantIds = await this._getDescendantIds(task._id);
+        if (descendantIds.length > 0) {
+          await Task.updateMany({ _id: { $in: descendantIds } }, { $set: { project: task.project } });
+        }
+      }
+      if (task.project) {
+        await TaskProjectService.addMembers(task.project, [task.assignee]);
+      }
+
+      // Old and new parent roll up the change
+      const parentIds = new Set([oldParent, task.parent].filter(Boolean).map(String));
+      for (const parentId of parentIds) {
+        await this._rollUpProgress(parentId);
+      }
+
+      if (DONE_STATUSES.includes(task.status) && !DONE_STATUSES.includes(oldStatus)) {
+        await this._notifyUnblocked(task);
+      }
+
       await task.populate('assignee', 'name email phoneNumber');
       await task.populate('assigner', 'name email');
 
@@ -339,7 +450,7 @@ export class TaskService {
   }
 
   /**
-   * Delete a task
+   * Delete a task with its subtasks
    */
   static async deleteTask(taskId, userId) {
     try {
@@ -360,18 +471,27 @@ export class TaskService {
         }
       }
 
+      const taskIds = [task._id, ...await this._getDescendantIds(task._id)];
+
       // Delete related notifications before deleting task
       await Notification.updateMany(
         {
           'relatedEntity.type': 'other',
-          'relatedEntity.id': new mongoose.Types.ObjectId(taskId),
+          'relatedEntity.id': { $in: taskIds },
           type: { $in: ['task_assigned', 'task_updated'] },
           deletedAt: null
         },
         { deletedAt: new Date() }
       );
 
-      await Task.findByIdAndDelete(taskId);
+      await Task.deleteMany({ _id: { $in: taskIds } });
+
+      // Deleted tasks no longer block anything
+      await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } });
+
+      if (task.parent) {
+        await this._rollUpProgress(task.parent);
+      }
 
       // Log activity
       await LogService.createActivityLog({
@@ -379,7 +499,9 @@ export class TaskService {
         action: 'DELETE',
         resource: 'tasks',
         resourceId: taskId,
-        description: `حذف وظیفه "${task.title}"`
+        description: taskIds.length > 1
+          ? `حذف وظیفه "${task.title}" و ${taskIds.length - 1} زیروظیفه`
+          : `حذف وظیفه "${task.title}"`
       });
 
       logger.info(`Task deleted: ${taskId} by ${userId}`);
@@ -444,18 +566,28 @@ export class TaskService {
   }
 
   /**
-   * Get task statistics
+   * Get task statistics, overall and per project
+   * @param {string|null} userId - Limit to the user's tasks (null = all)
+   * @param {Object} filters - { project } ('none' = tasks without a project)
    */
-  static async getTaskStatistics(userId = null) {
+  static async getTaskStatistics(userId = null, filters = {}) {
     try {
-      const query = userId ? {
-        $or: [
-          { assignee: userId },
-          { assigner: userId }
-        ]
-      } : {};
+      // ObjectIds: the query is also an aggregation $match, which does not cast
+      const conditions = [];
+      if (userId) {
+        conditions.push({
+          $or: [
+            { assignee: toObjectId(userId) },
+            { assigner: toObjectId(userId) }
+          ]
+        });
+      }
+      if (filters.project) {
+        conditions.push({ project: filters.project === 'none' ? null : toObjectId(filters.project) });
+      }
+      const query = conditions.length > 0 ? { $and: conditions } : {};
 
-      const [total, byStatus, byPriority, overdue] = await Promise.all([
+      const [total, byStatus, byPriority, overdue, projectStats] = await Promise.all([
         Task.countDocuments(query),
         Task.aggregate([
           { $match: query },
@@ -479,9 +611,16 @@ export class TaskService {
           ...query,
           status: { $ne: 'completed' },
           dueDate: { $lt: new Date() }
-        })
+        }),
+        TaskProjectService.getProjectStats(query)
       ]);
 
+      const projectIds = projectStats.map((item) => item.project).filter(Boolean);
+      const projects = await TaskProject.find({ _id: { $in: projectIds } })
+        .select('name key color status')
+        .lean();
+      const projectsById = new Map(projects.map((project) => [String(project._id), project]));
+
       // تسک‌های قدیمی ممکن است status برابر 'active' (از baseSchema) داشته باشند؛ به‌عنوان 'pending' گزارش می‌شود
       return {
         total,
@@ -494,7 +633,11 @@ export class TaskService {
           acc[item._id] = item.count;
           return acc;
         }, {}),
-        overdue
+        overdue,
+        // Tasks without a project (or of a deleted one) are grouped under project: null
+        byProject: projectStats
+          .map((item) => ({ ...item, project: projectsById.get(String(item.project)) || null }))
+          .sort((a, b) => b.total - a.total)
       };
     } catch (error) {
       logger.error('Error getting task statistics:', error);
@@ -502,6 +645,155 @@ export class TaskService {
     }
   }
 
+  /**
+   * Board view: one column per status, in TASK_STATUSES order, cards ordered by position
+   * @param {Object} filters - { project ('none' = without a project), assignee, priority, includeSubtasks }
+   * @param {string|null} userId - Limit to the user's tasks (null = all); members see the whole project
+   * @returns {Promise<Object>} { project, columns: [{ status, title, total, tasks }] }
+   */
+  static async getBoard(filters = {}, userId = null) {
+    try {
+      const { project, assignee, priority, includeSubtasks = false } = filters;
+
+      const conditions = [];
+      let boardProject = null;
+      if (project && project !== 'none') {
+        // Throws 404 for projects the user is not a member of
+        boardProject = await TaskProjectService.getProjectById(project, userId);
+        conditions.push({ project: boardProject._id });
+      } else {
+        if (project === 'none') {
+          conditions.push({ project: null });
+        }
+        if (userId) {
+          conditions.push({ $or: [{ assignee: userId }, { assigner: userId }] });
+        }
+      }
+      if (assignee) {
+        conditions.push({ assignee });
+      }
+      if (priority) {
+        conditions.push({ priority });
+      }
+      if (!includeSubtasks) {
+        conditions.push({ parent: null });
+      }
+
+      const columns = await Promise.all(TASK_STATUSES.map(async (status) => {
+        // Legacy 'active' tasks are pending
+        const query = { $and: [...conditions, { status: status === 'pending' ? { $in: ['pending', 'active'] } : status }] };
+        const [tasks, total] = await Promise.all([
+          Task.find(query)
+            .populate('assignee', 'name email')
+            .populate('project', 'name key color')
+            .select('-comments -attachments')
+            .sort({ position: 1, createdAt: 1 })
+            .limit(BOARD_COLUMN_LIMIT)
+            .lean(),
+          Task.countDocuments(query)
+        ]);
+        return { status, title: STATUS_TITLES[status], total, tasks };
+      }));
+
+      // Subtask counts and open blockers of the cards
+      const cards = columns.flatMap((column) => column.tasks);
+      const blockerIds = [...new Set(cards.flatMap((task) => task.blockedBy.map(String)))];
+      const [subtaskCounts, openBlockers] = await Promise.all([
+        Task.aggregate([
+          { $match: { parent: { $in: cards.map((task) => task._id) } } },
+          {
+            $group: {
+              _id: '$parent',
+              total: { $sum: 1 },
+              completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+            }
+          }
+        ]),
+        Task.find({ _id: { $in: blockerIds }, status: { $nin: DONE_STATUSES } })
+          .select('title status')
+          .lean()
+      ]);
+      const countsByTask = new Map(subtaskCounts.map((item) => [String(item._id), item]));
+      const openBlockersById = new Map(openBlockers.map((blocker) => [String(blocker._id), blocker]));
+
+      columns.forEach((column) => {
+        column.tasks = column.tasks.map((task) => {
+          const blockers = DONE_STATUSES.includes(task.status)
+            ? []
+            : task.blockedBy.map((id) => openBlockersById.get(String(id))).filter(Boolean);
+          const counts = countsByTask.get(String(task._id));
+          return {
+            ...task,
+            subtasks: { total: counts?.total || 0, completed: counts?.completed || 0 },
+            blockers,
+            isBlocked: blockers.length > 0
+          };
+        });
+      });
+
+      return { project: boardProject, columns };
+    } catch (error) {
+      logger.error('Error getting task board:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a task on the board: to another status column (with the same checks as updateTask)
+   * and/or to a position within its column
+   * @param {string} taskId - Task ID
+   * @param {Object} moveData - { status, position } (position = index in the column, 0 = top)
+   * @param {string} userId - Acting user
+   */
+  static async moveTask(taskId, moveData, userId) {
+    try {
+      const { status, position } = moveData;
+
+      let task = await Task.findById(taskId);
+      if (!task) {
+        throw new AppError('وظیفه یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const currentStatus = task.status === 'active' ? 'pending' : task.status;
+      if (status && status !== currentStatus) {
+        task = await this.updateTask(taskId, { status }, userId);
+      } else {
+        await this._assertCanEdit(task, userId);
+      }
+
+      if (position !== undefined) {
+        // Renumber the column with the task at its new index
+        const column = await Task.find({
+          ...columnQuery(task),
+          _id: { $ne: task._id }
+        })
+          .select('_id position')
+          .sort({ position: 1, createdAt: 1 })
+          .lean();
+
+        const index = Math.max(0, Math.min(position, column.length));
+        const ordered = [...column.slice(0, index), { _id: task._id }, ...column.slice(index)];
+        const operations = ordered
+          .map((item, order) => ({ item, order }))
+          .filter(({ item, order }) => item.position !== order)
+          .map(({ item, order }) => ({
+            updateOne: { filter: { _id: item._id }, update: { $set: { position: order } } }
+          }));
+
+        if (operations.length > 0) {
+          await Task.bulkWrite(operations);
+        }
+        task.position = index;
+      }
+
+      logger.info(`Task moved: ${taskId} by ${userId}`);
+      return task;
+    } catch (error) {
+      logger.error('Error moving task:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send reminders for tasks with due dates approaching
    */
@@ -573,5 +865,252 @@ export class TaskService {
       throw error;
     }
   }
-}
 
+  /**
+   * Private: Only the assignee, the assigner or an admin edits a task
+   * @private
+   */
+  static async _assertCanEdit(task, userId) {
+    const isAssignee = String(task.assignee?._id ?? task.assignee) === String(userId);
+    const isAssigner = String(task.assigner?._id ?? task.assigner) === String(userId);
+
+    if (!isAssignee && !isAssigner) {
+      const user = await User.findById(userId).populate('role');
+      const userRole = user?.role?.name || user?.role;
+      if (userRole !== 'super_admin' && userRole !== 'admin') {
+        throw new AppError('شما دسترسی به این وظیفه ندارید', HTTP_STATUS.FORBIDDEN);
+      }
+    }
+  }
+
+  /**
+   * Private: Checked project, parent and blockedBy of a new or updated task
+   * Subtasks always live in their parent's project; a task cannot move under its own subtree,
+   * depend on itself or its ancestors, or close a dependency cycle.
+   * @private
+   */
+  static async _resolveStructure(data, task, userId) {
+    const result = {};
+    const taskId = task?._id || null;
+
+    // Parent
+    let parentId = task?.parent || null;
+    if (data.parent !== undefined && String(data.parent ?? '') !== String(task?.parent ?? '')) {
+      parentId = data.parent || null;
+      if (parentId) {
+        const parent = await Task.findById(parentId).select('status');
+        if (!parent) {
+          throw new AppError('وظیفه والد یافت نشد', HTTP_STATUS.NOT_FOUND);
+        }
+        if (DONE_STATUSES.includes(parent.status)) {
+          throw new AppError('به وظیفه تکمیل‌شده یا لغوشده نمی‌توان زیروظیفه افزود', HTTP_STATUS.CONFLICT);
+        }
+        if (taskId) {
+          const descendantIds = (await this._getDescendantIds(taskId)).map(String);
+          if ([String(taskId), ...descendantIds].includes(String(parentId))) {
+            throw new AppError('وظیفه نمی‌تواند زیروظیفه خودش یا زیروظیفه‌هایش باشد', HTTP_STATUS.BAD_REQUEST);
+          }
+        }
+      }
+      result.parent = parentId;
+    }
+    const ancestorIds = parentId ? [String(parentId), ...(await this._getAncestorIds(parentId))] : [];
+    if (ancestorIds.length >= MAX_TASK_DEPTH) {
+      throw new AppError(`حداکثر ${MAX_TASK_DEPTH} سطح زیروظیفه مجاز است`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Project: a subtask's is its parent's
+    let projectId;
+    if (parentId) {
+      const parent = await Task.findById(parentId).select('project').lean();
+      projectId = parent.project || null;
+      if (data.project !== undefined && String(data.project ?? '') !== String(projectId ?? '')) {
+        throw new AppError('زیروظیفه در پروژه وظیفه والد خود قرار می‌گیرد', HTTP_STATUS.BAD_REQUEST);
+      }
+    } else {
+      projectId = data.project !== undefined ? data.project || null : task?.project || null;
+    }
+    if (!task || String(projectId ?? '') !== String(task.project ?? '')) {
+      if (projectId) {
+        await TaskProjectService.assertProjectAccess(projectId, userId);
+      }
+      result.project = projectId;
+    }
+
+    // Dependencies
+    if (data.blockedBy !== undefined) {
+      const blockerIds = [...new Set(data.blockedBy.map(String))];
+      if (taskId && blockerIds.includes(String(taskId))) {
+        throw new AppError('وظیفه نمی‌تواند پیش‌نیاز خودش باشد', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (blockerIds.some((id) => ancestorIds.includes(id))) {
+        // The parent cannot be completed before this subtask, so it can never unblock it
+        throw new AppError('وظیفه والد نمی‌تواند پیش‌نیاز زیروظیفه‌اش باشد', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (await Task.countDocuments({ _id: { $in: blockerIds } }) !== blockerIds.length) {
+        throw new AppError('وظیفه پیش‌نیاز یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+      if (taskId) {
+        await this._assertNoDependencyCycle(taskId, blockerIds);
+      }
+      result.blockedBy = blockerIds;
+    }
+
+    return result;
+  }
+
+  /**
+   * Private: A task cannot start while a blocker is open, nor complete while a subtask is open
+   * @private
+   */
+  static async _assertCanTransition(task, status, blockedBy) {
+    if (STARTED_STATUSES.includes(status) && blockedBy.length > 0) {
+      const blockers = await Task.find({ _id: { $in: blockedBy }, status: { $nin: DONE_STATUSES } })
+        .select('title')
+        .lean();
+      if (blockers.length > 0) {
+        throw new AppError(
+          `این وظیفه تا تکمیل ${blockers.map((blocker) => `"${blocker.title}"`).join('، ')} مسدود است`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+    }
+
+    if (status === 'completed' && task.status !== 'completed') {
+      const openSubtasks = await Task.countDocuments({ parent: task._id, status: { $nin: DONE_STATUSES } });
+      if (openSubtasks > 0) {
+        throw new AppError(`${openSubtasks} زیروظیفه این وظیفه هنوز باز است`, HTTP_STATUS.CONFLICT);
+      }
+    }
+  }
+
+  /**
+   * Private: Reject blockers that (directly or through their own blockers) wait on the task
+   * @private
+   */
+  static async _assertNoDependencyCycle(taskId, blockerIds) {
+    const visited = new Set();
+    let frontier = blockerIds.map(String);
+
+    while (frontier.length > 0) {
+      if (frontier.includes(String(taskId))) {
+        throw new AppError('این وابستگی یک چرخه ایجاد می‌کند', HTTP_STATUS.CONFLICT);
+      }
+      frontier.forEach((id) => visited.add(id));
+
+      const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+      frontier = [...new Set(tasks.flatMap((item) => item.blockedBy.map(String)))]
+        .filter((id) => !visited.has(id));
+    }
+  }
+
+  /**
+   * Private: IDs of all subtasks below a task
+   * @private
+   */
+  static async _getDescendantIds(taskId) {
+    const descendantIds = [];
+    let frontier = [taskId];
+
+    for (let depth = 0; depth < MAX_TASK_DEPTH && frontier.length > 0; depth++) {
+      const children = await Task.find({ parent: { $in: frontier } }).select('_id').lean();
+      frontier = children.map((child) => child._id);
+      descendantIds.push(...frontier);
+    }
+
+    return descendantIds;
+  }
+
+  /**
+   * Private: IDs of the parents above a task, nearest first
+   * @private
+   */
+  static async _getAncestorIds(taskId) {
+    const ancestorIds = [];
+    let current = await Task.findById(taskId).select('parent').lean();
+
+    while (current?.parent && ancestorIds.length < MAX_TASK_DEPTH) {
+      ancestorIds.push(String(current.parent));
+      current = await Task.findById(current.parent).select('parent').lean();
+    }
+
+    return ancestorIds;
+  }
+
+  /**
+   * Private: Position after the last card of a board column
+   * @private
+   */
+  static async _nextPosition({ project, assignee, status = 'pending' }) {
+    const last = await Task.findOne(columnQuery({ project, assignee, status }))
+      .sort({ position: -1 })
+      .select('position')
+      .lean();
+
+    return last ? last.position + 1 : 0;
+  }
+
+  /**
+   * Private: Recalculate progress up the parent chain
+   * A parent's progress is the average of its subtasks (completed = 100), cancelled ones left out.
+   * @private
+   */
+  static async _rollUpProgress(taskId) {
+    let currentId = taskId;
+
+    for (let depth = 0; currentId && depth < MAX_TASK_DEPTH; depth++) {
+      const subtasks = await Task.find({ parent: currentId, status: { $ne: 'cancelled' } })
+        .select('status progress')
+        .lean();
+
+      let parent;
+      if (subtasks.length > 0) {
+        const sum = subtasks.reduce((acc, item) => acc + (item.status === 'completed' ? 100 : item.progress || 0), 0);
+        parent = await Task.findByIdAndUpdate(
+          currentId,
+          { $set: { progress: Math.round(sum / subtasks.length) } },
+          { new: true }
+        ).select('parent').lean();
+      } else {
+        parent = await Task.findById(currentId).select('parent').lean();
+      }
+      currentId = parent?.parent || null;
+    }
+  }
+
+  /**
+   * Private: Tell assignees of tasks waiting on a finished task once nothing blocks them anymore
+   * @private
+   */
+  static async _notifyUnblocked(task) {
+    const dependents = await Task.find({ blockedBy: task._id, status: { $nin: DONE_STATUSES } })
+      .select('title assignee blockedBy priority notifications')
+      .lean();
+
+    for (const dependent of dependents) {
+      const stillBlocked = await Task.exists({ _id: { $in: dependent.blockedBy }, status: { $nin: DONE_STATUSES } });
+      if (stillBlocked || !dependent.notifications?.dashboard) {
+        continue;
+      }
+
+      await Notification.create({
+        type: 'task_updated',
+        title: {
+          fa: 'وظیفه آماده شروع است',
+          en: 'Task Unblocked'
+        },
+        message: {
+          fa: `پیش‌نیازهای وظیفه "${dependent.title}" انجام شد و می‌توانید آن را شروع کنید`,
+          en: `Blockers of task "${dependent.title}" are done; you can start it`
+        },
+        recipient: dependent.assignee,
+        relatedEntity: {
+          type: 'other',
+          id: dependent._id
+        },
+        priority: dependent.priority,
+        actionUrl: `/dashboard/tasks/${dependent._id}`
+      });
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { objectIdSchema, objectIdArraySchema } from '../../shared/validations/baseValidation.js';
 
 export const createTaskSchema = Joi.object({
   title: Joi.string()
@@ -35,6 +36,24 @@ export const createTaskSchema = Joi.object({
     .items(Joi.string().trim())
     .optional(),
 
+  project: objectIdSchema('پروژه')
+    .optional()
+    .allow(null),
+
+  parent: objectIdSchema('وظیفه والد')
+    .optional()
+    .allow(null),
+
+  blockedBy: objectIdArraySchema('وظیفه پیش‌نیاز')
+    .max(50)
+    .optional(),
+
+  progress: Joi.number()
+    .integer()
+    .min(0)
+    .max(100)
+    .optional(),
+
   notifications: Joi.object({
     dashboard: Joi.boolean().default(true),
     email: Joi.boolean().default(false),
@@ -71,6 +90,24 @@ export const updateTaskSchema = Joi.object({
     .items(Joi.string().trim())
     .optional(),
 
+  project: objectIdSchema('پروژه')
+    .optional()
+    .allow(null),
+
+  parent: objectIdSchema('وظیفه والد')
+    .optional()
+    .allow(null),
+
+  blockedBy: objectIdArraySchema('وظیفه پیش‌نیاز')
+    .max(50)
+    .optional(),
+
+  progress: Joi.number()
+    .integer()
+    .min(0)
+    .max(100)
+    .optional(),
+
   notifications: Joi.object({
     dashboard: Joi.boolean(),
     email: Joi.boolean(),
@@ -91,3 +128,110 @@ export const addCommentSchema = Joi.object({
     })
 });
 
+export const moveTaskSchema = Joi.object({
+  status: Joi.string()
+    .valid('pending', 'in_progress', 'completed', 'cancelled')
+    .optional(),
+
+  position: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+}).or('status', 'position');
+
+export const boardQuerySchema = Joi.object({
+  project: Joi.alternatives()
+    .try(objectIdSchema('پروژه'), Joi.string().valid('none'))
+    .optional(),
+
+  assignee: objectIdSchema('کاربر')
+    .optional(),
+
+  priority: Joi.string()
+    .valid('low', 'normal', 'high', 'urgent')
+    .optional(),
+
+  includeSubtasks: Joi.boolean()
+    .default(false)
+});
+
+export const createProjectSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .required()
+    .messages({
+      'string.min': 'نام پروژه باید حداقل ۲ کاراکتر باشد',
+      'string.max': 'نام پروژه باید حداکثر ۲۰۰ کاراکتر باشد',
+      'any.required': 'نام پروژه الزامی است'
+    }),
+
+  key: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z][A-Za-z0-9]{1,9}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'کلید پروژه باید ۲ تا ۱۰ حرف و عدد لاتین باشد و با حرف شروع شود'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(2000)
+    .optional()
+    .allow(''),
+
+  color: Joi.string()
+    .pattern(/^#[0-9a-fA-F]{6}$/)
+    .optional(),
+
+  members: objectIdArraySchema('عضو')
+    .optional(),
+
+  startDate: Joi.date()
+    .optional(),
+
+  dueDate: Joi.date()
+    .optional()
+});
+
+export const updateProjectSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .optional(),
+
+  key: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z][A-Za-z0-9]{1,9}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'کلید پروژه باید ۲ تا ۱۰ حرف و عدد لاتین باشد و با حرف شروع شود'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(2000)
+    .optional()
+    .allow(''),
+
+  color: Joi.string()
+    .pattern(/^#[0-9a-fA-F]{6}$/)
+    .optional(),
+
+  members: objectIdArraySchema('عضو')
+    .optional(),
+
+  status: Joi.string()
+    .valid('active', 'archived')
+    .optional(),
+
+  startDate: Joi.date()
+    .optional()
+    .allow(null),
+
+  dueDate: Joi.date()
+    .optional()
+    .allow(null)
+});
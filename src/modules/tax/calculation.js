@@ -0,0 +1,81 @@
+/**
+ * Tax calculation shared by Cart and Order calculateTotals (no database access:
+ * lines carry the rate snapshotted by TaxService).
+ */
+
+/** Rate for lines priced before tax classes existed (TAX_RATE, default 9%) */
+export const getFallbackTaxRate = () => parseFloat(process.env.TAX_RATE || '0.09');
+
+/**
+ * Tax of priced lines after discounts
+ *
+ * The discount is spread over the lines by their totals. Exclusive prices: tax is added
+ * on top. Inclusive prices: tax is the part of the price that is tax, and an exempt buyer
+ * does not pay it. Amounts are rounded per tax class (whole Toman on the invoice).
+ *
+ * @param {Object} params
+ * @param {Array} params.items - Lines with total and tax { class, name, rate }
+ * @param {number} params.discount - Discount on the lines
+ * @param {number} params.shipping - Shipping charged (after shipping discount)
+ * @param {Object} params.shippingTax - { class, name, rate } when shipping is taxable, otherwise null
+ * @param {boolean} params.inclusive - Prices include tax
+ * @param {boolean} params.exempt - Buyer is exempt
+ * @returns {Object} { tax, exempted, adjustment, lines: [{ class, name, rate, taxableAmount, amount }] }
+ *   adjustment is added to subtotal - discount + shipping to get the total
+ */
+export const calculateTax = ({
+  items = [],
+  discount = 0,
+  shipping = 0,
+  shippingTax = null,
+  inclusive = false,
+  exempt = false
+}) => {
+  const fallbackRate = getFallbackTaxRate();
+  const subtotal = items.reduce((sum, item) => sum + (item.total || 0), 0);
+  const byClass = new Map();
+
+  const addBase = (tax, base) => {
+    if (!(base > 0)) {
+      return;
+    }
+    const code = tax?.class || 'standard';
+    const rate = tax?.rate ?? fallbackRate;
+    const key = `${code}:${rate}`;
+    const line = byClass.get(key) || { class: code, name: tax?.name, rate, base: 0 };
+    line.base += base;
+    byClass.set(key, line);
+  };
+
+  items.forEach((item) => {
+    const lineDiscount = subtotal > 0 ? (discount * (item.total || 0)) / subtotal : 0;
+    addBase(item.tax, (item.total || 0) - lineDiscount);
+  });
+  if (shippingTax) {
+    addBase(shippingTax, shipping);
+  }
+
+  let payable = 0;
+  const lines = Array.from(byClass.values())
+    .sort((a, b) => b.rate - a.rate)
+    .map(({ base, ...line }) => {
+      const amount = inclusive ? Math.round(base - base / (1 + line.rate)) : Math.round(base * line.rate);
+      payable += amount;
+      return {
+        ...line,
+        taxableAmount: Math.round(inclusive ? base - amount : base),
+        amount: exempt ? 0 : amount
+      };
+    });
+
+  const tax = exempt ? 0 : payable;
+  const exempted = exempt ? payable : 0;
+
+  return {
+    tax,
+    exempted,
+    // Inclusive prices already hold the tax: only an exemption changes the total (never -0)
+    adjustment: inclusive ? (exempted ? -exempted : 0) : tax,
+    lines
+  };
+};
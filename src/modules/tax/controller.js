@@ -0,0 +1,174 @@
+import { TaxService } from './service.js';
+
+/**
+ * TaxController - Controller for tax classes and buyer tax profiles
+ *
+ * Handles:
+ * - Listing tax classes (public) and managing them (admin)
+ * - Buyer tax details of the current user (economic code, national ID, ...)
+ * - Reviewing customers and granting tax exemptions (admin)
+ */
+export class TaxController {
+  /**
+   * Get active tax classes
+   * GET /api/v1/tax/classes
+   */
+  static async getClasses(req, res, next) {
+    try {
+      const classes = await TaxService.getClasses();
+
+      res.status(200).json({
+        success: true,
+        data: { classes }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all tax classes, inactive included (admin)
+   * GET /api/v1/tax/classes/all
+   */
+  static async getAllClasses(req, res, next) {
+    try {
+      const [classes, config] = await Promise.all([
+        TaxService.getClasses({ includeInactive: true }),
+        TaxService.getConfig()
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: { classes, config }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create tax class (admin)
+   * POST /api/v1/tax/classes
+   */
+  static async createClass(req, res, next) {
+    try {
+      const taxClass = await TaxService.createClass(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'کلاس مالیاتی با موفقیت ایجاد شد',
+        data: { taxClass }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update tax class (admin)
+   * PUT /api/v1/tax/classes/:id
+   */
+  static async updateClass(req, res, next) {
+    try {
+      const taxClass = await TaxService.updateClass(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'کلاس مالیاتی با موفقیت به‌روزرسانی شد',
+        data: { taxClass }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete tax class (admin)
+   * DELETE /api/v1/tax/classes/:id
+   */
+  static async deleteClass(req, res, next) {
+    try {
+      await TaxService.deleteClass(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'کلاس مالیاتی با موفقیت حذف شد'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get current user's tax profile
+   * GET /api/v1/tax/profile
+   */
+  static async getProfile(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const taxProfile = await TaxService.getProfile(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { taxProfile }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update current user's tax profile
+   * PUT /api/v1/tax/profile
+   */
+  static async updateProfile(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const taxProfile = await TaxService.updateProfile(userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'اطلاعات مالیاتی با موفقیت ذخیره شد',
+        data: { taxProfile }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get customers with tax details (admin)
+   * GET /api/v1/tax/customers
+   */
+  static async getCustomers(req, res, next) {
+    try {
+      const { page, limit, isExempt, search } = req.query;
+      const result = await TaxService.getCustomers({ isExempt, search }, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Grant or withdraw a customer's tax exemption (admin)
+   * PUT /api/v1/tax/customers/:userId/exemption
+   */
+  static async setExemption(req, res, next) {
+    try {
+      const taxProfile = await TaxService.setExemption(req.params.userId, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: req.body.isExempt ? 'معافیت مالیاتی مشتری ثبت شد' : 'معافیت مالیاتی مشتری لغو شد',
+        data: { taxProfile }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+
+/**
+ * TaxClass Model
+ *
+ * A VAT rate products and categories point to by code (Product.taxClass, Category.taxClass).
+ * Products without a class use their first category's class, then the default class.
+ */
+const taxClassSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]{2,30}$/
+  },
+
+  name: {
+    fa: { type: String, required: true, trim: true },
+    en: { type: String, trim: true }
+  },
+
+  description: {
+    fa: String,
+    en: String
+  },
+
+  // Fraction, e.g. 0.10 for 10% VAT (0 for exempt goods)
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+
+  // Used for products and categories without a class (exactly one)
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Methods
+Object.assign(taxClassSchema.methods, baseSchemaMethods);
+
+// Statics
+Object.assign(taxClassSchema.statics, baseSchemaStatics);
+
+export const TaxClass = mongoose.model('TaxClass', taxClassSchema);
+
+// Tax class of a cart/order line or of shipping, snapshotted when the line is priced
+export const lineTaxSchema = new mongoose.Schema({
+  class: String,
+  name: { fa: String, en: String },
+  rate: { type: Number, min: 0 }
+}, { _id: false });
+
+// Tax total of one class (Cart/Order totals.taxLines, invoice tax lines)
+export const taxLineSchema = new mongoose.Schema({
+  class: String,
+  name: { fa: String, en: String },
+  rate: Number,
+  taxableAmount: Number,
+  amount: Number
+}, { _id: false });
@@ -0,0 +1,287 @@
+import { Router } from 'express';
+import { TaxController } from './controller.js';
+import { validate } from '../../middleware/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorization.js';
+import {
+  createTaxClassSchema,
+  updateTaxClassSchema,
+  updateTaxProfileSchema,
+  setExemptionSchema,
+  getTaxCustomersQuerySchema
+} from './validation.js';
+import { csrfProtection } from '../../middleware/security.js';
+import { auditLog } from '../../middleware/audit.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tax
+ *   description: VAT classes, buyer tax profiles and tax exemptions
+ */
+
+/**
+ * @swagger
+ * /api/v1/tax/classes:
+ *   get:
+ *     summary: Get active tax classes
+ *     tags: [Tax]
+ *     responses:
+ *       200:
+ *         description: Tax classes retrieved
+ */
+router.get('/classes', TaxController.getClasses);
+
+/**
+ * @swagger
+ * /api/v1/tax/classes/all:
+ *   get:
+ *     summary: Get all tax classes and tax settings (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax classes retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/classes/all',
+  authenticate,
+  authorize(['settings.read']),
+  TaxController.getAllClasses
+);
+
+/**
+ * @swagger
+ * /api/v1/tax/classes:
+ *   post:
+ *     summary: Create tax class (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - rate
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: reduced
+ *               rate:
+ *                 type: number
+ *                 description: Fraction, e.g. 0.1 for 10%
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Tax class created
+ *       409:
+ *         description: Tax class already exists
+ */
+router.post(
+  '/classes',
+  authenticate,
+  authorize(['settings.update']),
+  csrfProtection,
+  validate(createTaxClassSchema),
+  auditLog('CREATE_TAX_CLASS', 'tax'),
+  TaxController.createClass
+);
+
+/**
+ * @swagger
+ * /api/v1/tax/classes/{id}:
+ *   put:
+ *     summary: Update tax class (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax class updated
+ *       404:
+ *         description: Tax class not found
+ */
+router.put(
+  '/classes/:id',
+  authenticate,
+  authorize(['settings.update']),
+  csrfProtection,
+  validate(updateTaxClassSchema),
+  auditLog('UPDATE_TAX_CLASS', 'tax'),
+  TaxController.updateClass
+);
+
+/**
+ * @swagger
+ * /api/v1/tax/classes/{id}:
+ *   delete:
+ *     summary: Delete tax class (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax class deleted
+ *       400:
+ *         description: Default class or class in use
+ */
+router.delete(
+  '/classes/:id',
+  authenticate,
+  authorize(['settings.update']),
+  csrfProtection,
+  auditLog('DELETE_TAX_CLASS', 'tax'),
+  TaxController.deleteClass
+);
+
+/**
+ * @swagger
+ * /api/v1/tax/profile:
+ *   get:
+ *     summary: Get current user's tax profile
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax profile retrieved
+ */
+router.get('/profile', authenticate, TaxController.getProfile);
+
+/**
+ * @swagger
+ * /api/v1/tax/profile:
+ *   put:
+ *     summary: Update current user's tax profile (buyer details on invoices)
+ *     description: Changing the economic code or national ID withdraws a granted exemption
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [individual, legal]
+ *               companyName:
+ *                 type: string
+ *               economicCode:
+ *                 type: string
+ *               nationalId:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tax profile updated
+ */
+router.put(
+  '/profile',
+  authenticate,
+  csrfProtection,
+  validate(updateTaxProfileSchema),
+  TaxController.updateProfile
+);
+
+/**
+ * @swagger
+ * /api/v1/tax/customers:
+ *   get:
+ *     summary: Get customers with an economic code (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isExempt
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customers retrieved
+ */
+router.get(
+  '/customers',
+  authenticate,
+  authorize(['users.read']),
+  validate(getTaxCustomersQuerySchema, 'query'),
+  TaxController.getCustomers
+);
+
+/**
+ * @swagger
+ * /api/v1/tax/customers/{userId}/exemption:
+ *   put:
+ *     summary: Grant or withdraw a customer's tax exemption (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isExempt
+ *             properties:
+ *               isExempt:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exemption updated
+ *       400:
+ *         description: Customer has no economic code
+ */
+router.put(
+  '/customers/:userId/exemption',
+  authenticate,
+  authorize(['users.update']),
+  csrfProtection,
+  validate(setExemptionSchema),
+  auditLog('UPDATE_TAX_EXEMPTION', 'tax'),
+  TaxController.setExemption
+);
+
+export default router;
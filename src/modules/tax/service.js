@@ -0,0 +1,482 @@
+import { TaxClass } from './model.js';
+import { getFallbackTaxRate } from './calculation.js';
+import { Product } from '../products/model.js';
+import { Category } from '../categories/model.js';
+import { User } from '../auth/model.js';
+import { Settings } from '../settings/model.js';
+import { cacheService } from '../../services/cache.js';
+import { logger } from '../../utils/logger.js';
+import { AppError } from '../../utils/appError.js';
+import { HTTP_STATUS } from '../../utils/httpStatus.js';
+
+/** Fallbacks when Settings.tax is missing (older settings documents) */
+const DEFAULT_CONFIG = {
+  enabled: true,
+  pricesIncludeTax: false,
+  shippingTaxable: false,
+  invoicePrefix: 'INV'
+};
+
+const CLASSES_CACHE_KEY = 'tax:classes';
+const CLASSES_CACHE_TTL = 300;
+
+/** Buyer fields copied onto orders and invoices */
+const BUYER_FIELDS = ['type', 'companyName', 'economicCode', 'nationalId', 'registrationNumber', 'postalCode', 'address'];
+
+/**
+ * TaxService - VAT classes, tax treatment of carts/orders and buyer tax profiles
+ *
+ * Features:
+ * - Tax classes (rates) assigned to products or categories, with a default class
+ * - Tax-inclusive or tax-exclusive pricing and taxable shipping (Settings.tax)
+ * - Exempt buyers: businesses with an economic code, verified by an admin
+ * - Line rates and buyer details snapshotted on carts and orders; amounts are
+ *   computed by calculateTax() in Cart/Order calculateTotals
+ */
+export class TaxService {
+  /**
+   * Get tax configuration from settings
+   * @returns {Promise<Object>} Tax config
+   */
+  static async getConfig() {
+    const settings = await Settings.getInstance();
+    const tax = settings.tax?.toObject ? settings.tax.toObject() : settings.tax;
+    return { ...DEFAULT_CONFIG, ...(tax || {}) };
+  }
+
+  /**
+   * Tax classes (cached)
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array<Object>>} Classes, default first
+   */
+  static async getClasses({ includeInactive = false } = {}) {
+    try {
+      let classes = await cacheService.get(CLASSES_CACHE_KEY);
+
+      if (!classes) {
+        classes = await TaxClass.find({ deletedAt: null }).sort({ isDefault: -1, rate: -1 }).lean();
+        if (classes.length === 0) {
+          await this._ensureDefaults();
+          classes = await TaxClass.find({ deletedAt: null }).sort({ isDefault: -1, rate: -1 }).lean();
+        }
+        await cacheService.set(CLASSES_CACHE_KEY, classes, CLASSES_CACHE_TTL);
+      }
+
+      return includeInactive ? classes : classes.filter((taxClass) => taxClass.isActive);
+    } catch (error) {
+      logger.error('Get tax classes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create tax class
+   * @param {Object} classData - { code, name, description, rate, isDefault, isActive }
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<TaxClass>} Created class
+   */
+  static async createClass(classData, userId) {
+    try {
+      await this.getClasses();
+
+      const existing = await TaxClass.findOne({ code: classData.code });
+      if (existing && !existing.deletedAt) {
+        throw new AppError('کلاس مالیاتی با این کد قبلاً تعریف شده است', HTTP_STATUS.CONFLICT);
+      }
+
+      if (classData.isDefault) {
+        await TaxClass.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+      }
+
+      // A deleted class with the same code is brought back (codes are unique)
+      const taxClass = existing || new TaxClass();
+      Object.assign(taxClass, {
+        ...classData,
+        deletedAt: null,
+        createdBy: existing?.createdBy || userId,
+        updatedBy: userId
+      });
+      await taxClass.save();
+      await cacheService.delete(CLASSES_CACHE_KEY);
+
+      logger.info(`Tax class created: ${taxClass.code} (${taxClass.rate}), by: ${userId}`);
+      return taxClass;
+    } catch (error) {
+      logger.error('Create tax class error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update tax class (new rates apply to carts and new orders; placed orders keep theirs)
+   * @param {string} classId - Tax class ID
+   * @param {Object} updateData - Fields to update (code cannot change)
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<TaxClass>} Updated class
+   */
+  static async updateClass(classId, updateData, userId) {
+    try {
+      const taxClass = await this._getClass(classId);
+
+      if (taxClass.isDefault && (updateData.isDefault === false || updateData.isActive === false)) {
+        throw new AppError('ابتدا کلاس مالیاتی دیگری را پیش‌فرض کنید', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (updateData.isDefault && !taxClass.isDefault) {
+        await TaxClass.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+      }
+
+      Object.assign(taxClass, updateData);
+      taxClass.updatedBy = userId;
+      await taxClass.save();
+      await cacheService.delete(CLASSES_CACHE_KEY);
+
+      logger.info(`Tax class updated: ${taxClass.code}, by: ${userId}`);
+      return taxClass;
+    } catch (error) {
+      logger.error('Update tax class error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete tax class (soft delete; not allowed while products or categories use it)
+   * @param {string} classId - Tax class ID
+   * @param {string} userId - User ID (admin)
+   * @returns {Promise<boolean>} Success
+   */
+  static async deleteClass(classId, userId) {
+    try {
+      const taxClass = await this._getClass(classId);
+
+      if (taxClass.isDefault) {
+        throw new AppError('کلاس مالیاتی پیش‌فرض قابل حذف نیست', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const [products, categories] = await Promise.all([
+        Product.countDocuments({ taxClass: taxClass.code, deletedAt: null }),
+        Category.countDocuments({ taxClass: taxClass.code, deletedAt: null })
+      ]);
+      if (products > 0 || categories > 0) {
+        throw new AppError(
+          `این کلاس مالیاتی به ${products} محصول و ${categories} دسته‌بندی اختصاص داده شده است`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      await taxClass.softDelete(userId);
+      await cacheService.delete(CLASSES_CACHE_KEY);
+
+      logger.info(`Tax class deleted: ${taxClass.code}, by: ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Delete tax class error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the tax class and rate of each line: product's class, else its first category
+   * with a class, else the default class (inactive classes are skipped)
+   * @param {Array} items - Cart/order lines ({ product, tax }); tax is set in place
+   * @returns {Promise<void>}
+   */
+  static async resolveLineTaxes(items) {
+    const config = await this.getConfig();
+    if (!config.enabled) {
+      items.forEach((item) => {
+        item.tax = { class: 'none', rate: 0 };
+      });
+      return;
+    }
+
+    const { byCode, defaultClass } = await this._getClassIndex();
+    const productIds = [
+      ...new Set(items.map((item) => (item.product?._id || item.product)?.toString()).filter(Boolean))
+    ];
+    const products = await Product.find({ _id: { $in: productIds } }).select('taxClass categories').lean();
+    const categoryIds = [...new Set(products.flatMap((product) => (product.categories || []).map(String)))];
+    const categories = categoryIds.length
+      ? await Category.find({ _id: { $in: categoryIds }, taxClass: { $ne: null } }).select('taxClass').lean()
+      : [];
+
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+    const categoryClasses = new Map(categories.map((category) => [category._id.toString(), category.taxClass]));
+
+    for (const item of items) {
+      const product = productsById.get((item.product?._id || item.product)?.toString());
+      const categoryClass = (product?.categories || [])
+        .map((categoryId) => categoryClasses.get(categoryId.toString()))
+        .find((code) => byCode.has(code));
+      const taxClass = byCode.get(product?.taxClass) || byCode.get(categoryClass) || defaultClass;
+      item.tax = this._snapshot(taxClass);
+    }
+  }
+
+  /**
+   * Tax treatment for a buyer: inclusive pricing, exemption, shipping class and buyer details
+   * @param {string} userId - User ID (null for guests)
+   * @returns {Promise<Object>} { inclusive, exempt, shipping, buyer }
+   */
+  static async getTreatment(userId) {
+    const config = await this.getConfig();
+    const user = userId ? await User.findById(userId).select('taxProfile').lean() : null;
+    const profile = user?.taxProfile || {};
+
+    let shipping = null;
+    if (config.enabled && config.shippingTaxable) {
+      const { defaultClass } = await this._getClassIndex();
+      shipping = this._snapshot(defaultClass);
+    }
+
+    const buyer = {};
+    BUYER_FIELDS.forEach((field) => {
+      if (profile[field]) {
+        buyer[field] = profile[field];
+      }
+    });
+
+    return {
+      inclusive: !!config.pricesIncludeTax,
+      exempt: config.enabled && !!profile.isExempt && !!profile.economicCode,
+      shipping,
+      buyer: Object.keys(buyer).length > 0 ? buyer : undefined
+    };
+  }
+
+  /**
+   * Resolve line rates and tax treatment of a cart (before calculateTotals)
+   * @param {Cart} cart - Cart document
+   * @returns {Promise<void>}
+   */
+  static async applyToCart(cart) {
+    await this.resolveLineTaxes(cart.items);
+    const { inclusive, exempt, shipping } = await this.getTreatment(cart.user?._id || cart.user);
+    cart.tax = { inclusive, exempt, shipping };
+  }
+
+  /**
+   * Snapshot line rates, tax treatment and buyer details on an order (before calculateTotals)
+   * @param {Order} order - Order document
+   * @returns {Promise<void>}
+   */
+  static async applyToOrder(order) {
+    await this.resolveLineTaxes(order.items);
+    order.tax = await this.getTreatment(order.user?._id || order.user);
+  }
+
+  /**
+   * Get a user's tax profile
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Tax profile
+   */
+  static async getProfile(userId) {
+    try {
+      const user = await User.findById(userId).select('taxProfile');
+      if (!user) {
+        throw new AppError('کاربر یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+      return user.taxProfile || {};
+    } catch (error) {
+      logger.error('Get tax profile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's own buyer details (changing the economic code or national ID
+   * withdraws a verified exemption until an admin verifies it again)
+   * @param {string} userId - User ID
+   * @param {Object} profileData - Buyer fields
+   * @returns {Promise<Object>} Tax profile
+   */
+  static async updateProfile(userId, profileData) {
+    try {
+      const user = await User.findById(userId).select('taxProfile');
+      if (!user) {
+        throw new AppError('کاربر یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const current = user.taxProfile?.toObject ? user.taxProfile.toObject() : (user.taxProfile || {});
+      const identityChanged = ['economicCode', 'nationalId'].some(
+        (field) => profileData[field] !== undefined && profileData[field] !== current[field]
+      );
+
+      const taxProfile = { ...current };
+      BUYER_FIELDS.forEach((field) => {
+        if (profileData[field] !== undefined) {
+          taxProfile[field] = profileData[field] || undefined;
+        }
+      });
+      if (identityChanged && current.isExempt) {
+        taxProfile.isExempt = false;
+        taxProfile.verifiedAt = undefined;
+        taxProfile.verifiedBy = undefined;
+      }
+
+      user.taxProfile = taxProfile;
+      await user.save();
+
+      logger.info(`Tax profile updated: user ${userId}${identityChanged ? ' (identity changed)' : ''}`);
+      return user.taxProfile;
+    } catch (error) {
+      logger.error('Update tax profile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grant or withdraw a customer's tax exemption (admin)
+   * @param {string} userId - Customer user ID
+   * @param {Object} data - { isExempt, note }
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Tax profile
+   */
+  static async setExemption(userId, { isExempt, note }, adminId) {
+    try {
+      const user = await User.findById(userId).select('name email taxProfile');
+      if (!user) {
+        throw new AppError('کاربر یافت نشد', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (isExempt && !user.taxProfile?.economicCode) {
+        throw new AppError('برای معافیت مالیاتی، کد اقتصادی مشتری باید ثبت شده باشد', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      user.taxProfile = {
+        ...(user.taxProfile?.toObject ? user.taxProfile.toObject() : user.taxProfile),
+        isExempt: !!isExempt,
+        exemptionNote: note,
+        verifiedAt: isExempt ? new Date() : undefined,
+        verifiedBy: isExempt ? adminId : undefined
+      };
+      await user.save();
+
+      logger.info(`Tax exemption ${isExempt ? 'granted to' : 'withdrawn from'} user ${userId}, by: ${adminId}`);
+      return user.taxProfile;
+    } catch (error) {
+      logger.error('Set tax exemption error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Customers with buyer tax details (admin review of exemptions)
+   * @param {Object} filters - { isExempt, search }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Customers and pagination
+   */
+  static async getCustomers(filters = {}, options = {}) {
+    try {
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 25;
+      const skip = (page - 1) * limit;
+
+      const query = { 'taxProfile.economicCode': { $nin: [null, ''] }, deletedAt: null };
+      if (filters.isExempt !== undefined) {
+        query['taxProfile.isExempt'] = filters.isExempt;
+      }
+      if (filters.search) {
+        const pattern = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [
+          { name: pattern },
+          { email: pattern },
+          { 'taxProfile.companyName': pattern },
+          { 'taxProfile.economicCode': pattern }
+        ];
+      }
+
+      const [customers, total] = await Promise.all([
+        User.find(query)
+          .select('name email phoneNumber taxProfile')
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        User.countDocuments(query)
+      ]);
+
+      return {
+        data: customers,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Get tax customers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Jalali (fiscal) year of a date, e.g. "1405"
+   * @param {Date} date - Date
+   * @returns {string} Year
+   */
+  static getFiscalYear(date = new Date()) {
+    return new Intl.DateTimeFormat('en-US-u-ca-persian', { year: 'numeric', timeZone: 'Asia/Tehran' })
+      .format(date)
+      .replace(/\D/g, '');
+  }
+
+  /**
+   * Private: Active classes by code and the default class
+   * @private
+   */
+  static async _getClassIndex() {
+    const classes = await this.getClasses();
+    const byCode = new Map(classes.map((taxClass) => [taxClass.code, taxClass]));
+    const defaultClass = classes.find((taxClass) => taxClass.isDefault) || {
+      code: 'standard',
+      name: { fa: 'مالیات بر ارزش افزوده', en: 'VAT' },
+      rate: getFallbackTaxRate()
+    };
+    return { byCode, defaultClass };
+  }
+
+  /**
+   * Private: Line tax snapshot of a class
+   * @private
+   */
+  static _snapshot(taxClass) {
+    return {
+      class: taxClass.code,
+      name: taxClass.name,
+      rate: taxClass.rate
+    };
+  }
+
+  /**
+   * Private: Tax class document by ID
+   * @private
+   */
+  static async _getClass(classId) {
+    const taxClass = await TaxClass.findOne({ _id: classId, deletedAt: null });
+    if (!taxClass) {
+      throw new AppError('کلاس مالیاتی یافت نشد', HTTP_STATUS.NOT_FOUND);
+    }
+    return taxClass;
+  }
+
+  /**
+   * Private: Create the built-in classes (standard VAT at TAX_RATE, exempt goods)
+   * @private
+   */
+  static async _ensureDefaults() {
+    const defaults = [
+      { code: 'standard', name: { fa: 'مالیات بر ارزش افزوده', en: 'VAT' }, rate: getFallbackTaxRate(), isDefault: true },
+      { code: 'exempt', name: { fa: 'معاف از مالیات', en: 'Tax exempt' }, rate: 0 }
+    ];
+    for (const taxClass of defaults) {
+      await TaxClass.updateOne(
+        { code: taxClass.code },
+        { $setOnInsert: { ...taxClass, isActive: true, deletedAt: null } },
+        { upsert: true }
+      );
+    }
+  }
+}
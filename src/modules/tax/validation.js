@@ -0,0 +1,92 @@
+import Joi from 'joi';
+
+/**
+ * Validation schemas for Tax
+ */
+
+const codeSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z0-9_-]{2,30}$/)
+  .messages({
+    'string.pattern.base': 'کد کلاس مالیاتی باید ۲ تا ۳۰ حرف لاتین، عدد، - یا _ باشد'
+  });
+
+const rateSchema = Joi.number()
+  .min(0)
+  .max(1)
+  .messages({
+    'number.min': 'نرخ مالیات نمی‌تواند منفی باشد',
+    'number.max': 'نرخ مالیات باید کسری بین ۰ و ۱ باشد (مثلاً 0.1 برای ۱۰٪)'
+  });
+
+const digitsSchema = (label, min, max) => Joi.string()
+  .trim()
+  .pattern(new RegExp(`^\\d{${min},${max}}$`))
+  .allow('', null)
+  .optional()
+  .messages({
+    'string.pattern.base': `${label} معتبر نیست`
+  });
+
+// Create Tax Class Schema
+export const createTaxClassSchema = Joi.object({
+  code: codeSchema.required().messages({
+    'any.required': 'کد کلاس مالیاتی الزامی است'
+  }),
+  name: Joi.object({
+    fa: Joi.string().trim().max(100).required(),
+    en: Joi.string().trim().max(100).allow('').optional()
+  }).required(),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).allow('').optional(),
+    en: Joi.string().trim().max(500).allow('').optional()
+  }).optional(),
+  rate: rateSchema.required().messages({
+    'any.required': 'نرخ مالیات الزامی است'
+  }),
+  isDefault: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+});
+
+// Update Tax Class Schema (code is fixed: products and categories refer to it)
+export const updateTaxClassSchema = Joi.object({
+  name: Joi.object({
+    fa: Joi.string().trim().max(100).optional(),
+    en: Joi.string().trim().max(100).allow('').optional()
+  }).optional(),
+  description: Joi.object({
+    fa: Joi.string().trim().max(500).allow('').optional(),
+    en: Joi.string().trim().max(500).allow('').optional()
+  }).optional(),
+  rate: rateSchema.optional(),
+  isDefault: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Update Tax Profile Schema (buyer details printed on invoices)
+export const updateTaxProfileSchema = Joi.object({
+  type: Joi.string().valid('individual', 'legal').optional(),
+  companyName: Joi.string().trim().max(200).allow('', null).optional(),
+  economicCode: digitsSchema('کد اقتصادی', 10, 14),
+  nationalId: digitsSchema('کد/شناسه ملی', 10, 11),
+  registrationNumber: Joi.string().trim().max(30).allow('', null).optional(),
+  postalCode: digitsSchema('کد پستی', 10, 10),
+  address: Joi.string().trim().max(500).allow('', null).optional()
+}).min(1);
+
+// Set Exemption Schema
+export const setExemptionSchema = Joi.object({
+  isExempt: Joi.boolean().required().messages({
+    'any.required': 'وضعیت معافیت الزامی است'
+  }),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Get Customers Query Schema
+export const getTaxCustomersQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  isExempt: Joi.boolean().optional(),
+  search: Joi.string().trim().max(100).allow('').optional()
+});
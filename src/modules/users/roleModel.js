@@ -92,6 +92,8 @@ const roleSchema = new mongoose.Schema(
           'orders.delete',
           'settings.read',
           'settings.update',
+          'logs.read',
+          'logs.export',
           'admin.all'
         ]
       }
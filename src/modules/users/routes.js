@@ -31,14 +31,14 @@ router.put(
   '/:id',
   authorize(['users.update']),
   validate(updateUserSchema),
-  auditLog('UPDATE_USER', 'users'),
+  auditLog('UPDATE_USER', 'users', { model: 'User' }),
   UserController.updateUser
 );
 
 router.delete(
   '/:id',
   authorize(['users.delete']),
-  auditLog('DELETE_USER', 'users'),
+  auditLog('DELETE_USER', 'users', { model: 'User' }),
   UserController.deleteUser
 );
 
@@ -0,0 +1,268 @@
+import { WishlistService } from './service.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * WishlistController - Controller for named wishlists
+ *
+ * Handles:
+ * - Wishlist and item management
+ * - Price drops since items were saved
+ * - Public sharing
+ * - Moving a wishlist into the cart
+ */
+export class WishlistController {
+  /**
+   * Get current user's wishlists
+   * GET /api/v1/wishlists
+   */
+  static async getMyWishlists(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlists = await WishlistService.getUserWishlists(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { wishlists }
+      });
+    } catch (error) {
+      logger.error('Get wishlists error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create wishlist
+   * POST /api/v1/wishlists
+   */
+  static async createWishlist(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlist = await WishlistService.createWishlist(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'لیست علاقه‌مندی ایجاد شد',
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Create wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Items whose price dropped, across all lists
+   * GET /api/v1/wishlists/price-drops
+   */
+  static async getPriceDrops(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const items = await WishlistService.getPriceDrops(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { items }
+      });
+    } catch (error) {
+      logger.error('Get wishlist price drops error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get a shared wishlist (public)
+   * GET /api/v1/wishlists/shared/:token
+   */
+  static async getSharedWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.getSharedWishlist(req.params.token);
+
+      res.status(200).json({
+        success: true,
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Get shared wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get wishlist with items and prices
+   * GET /api/v1/wishlists/:id
+   */
+  static async getWishlist(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlist = await WishlistService.getWishlist(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Get wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update wishlist
+   * PUT /api/v1/wishlists/:id
+   */
+  static async updateWishlist(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlist = await WishlistService.updateWishlist(req.params.id, userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'لیست علاقه‌مندی به‌روزرسانی شد',
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Update wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete wishlist
+   * DELETE /api/v1/wishlists/:id
+   */
+  static async deleteWishlist(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      await WishlistService.deleteWishlist(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'لیست علاقه‌مندی حذف شد'
+      });
+    } catch (error) {
+      logger.error('Delete wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Add product to wishlist
+   * POST /api/v1/wishlists/:id/items
+   */
+  static async addItem(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlist = await WishlistService.addItem(req.params.id, userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'محصول به لیست اضافه شد',
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Add wishlist item error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update wishlist item (quantity, note)
+   * PATCH /api/v1/wishlists/:id/items/:itemId
+   */
+  static async updateItem(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlist = await WishlistService.updateItem(req.params.id, req.params.itemId, userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'محصول لیست به‌روزرسانی شد',
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Update wishlist item error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove item from wishlist
+   * DELETE /api/v1/wishlists/:id/items/:itemId
+   */
+  static async removeItem(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const wishlist = await WishlistService.removeItem(req.params.id, req.params.itemId, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'محصول از لیست حذف شد',
+        data: { wishlist }
+      });
+    } catch (error) {
+      logger.error('Remove wishlist item error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Share wishlist (public link + short link)
+   * POST /api/v1/wishlists/:id/share
+   */
+  static async shareWishlist(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const sharing = await WishlistService.shareWishlist(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'لینک اشتراک‌گذاری لیست ایجاد شد',
+        data: { sharing }
+      });
+    } catch (error) {
+      logger.error('Share wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Stop sharing wishlist
+   * DELETE /api/v1/wishlists/:id/share
+   */
+  static async unshareWishlist(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      await WishlistService.unshareWishlist(req.params.id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'اشتراک‌گذاری لیست متوقف شد'
+      });
+    } catch (error) {
+      logger.error('Unshare wishlist error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Move wishlist items into the cart
+   * POST /api/v1/wishlists/:id/move-to-cart
+   */
+  static async moveToCart(req, res, next) {
+    try {
+      const userId = req.user?.id || req.user?._id;
+      const result = await WishlistService.moveToCart(req.params.id, userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.failed.length > 0
+          ? `${result.added.length} محصول به سبد خرید اضافه شد. ${result.failed.length} محصول قابل افزودن نبود`
+          : 'محصولات لیست به سبد خرید اضافه شد',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Move wishlist to cart error:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { baseSchemaFields, baseSchemaMethods, baseSchemaStatics } from '../../shared/models/baseModel.js';
+
+// Wishlist item: product (and variant) with the price it had when saved
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+  quantity: { type: Number, default: 1, min: 1, max: 100 },
+  note: { type: String, trim: true, maxLength: 500 },
+  priceWhenAdded: { type: Number, required: true, min: 0 }, // Unit selling price when saved (price-drop tracking)
+  addedAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+/**
+ * Wishlist Model
+ *
+ * Named product lists of a user ("Office setup", "Gift for client"), with a
+ * note per item. A list can be shared read-only through a public link: the
+ * share token identifies the list and a short link (shortlinks module) points
+ * to the storefront page that shows it.
+ */
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'نام لیست الزامی است'],
+    trim: true,
+    maxLength: [100, 'نام لیست نمی‌تواند بیش از ۱۰۰ کاراکتر باشد']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 1000
+  },
+  items: [wishlistItemSchema],
+  // Public sharing (token = null when not shared)
+  sharing: {
+    token: { type: String, default: null },
+    shortLink: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShortLink',
+      default: null
+    },
+    sharedAt: Date
+  },
+  ...baseSchemaFields
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+wishlistSchema.index({ user: 1, deletedAt: 1, updatedAt: -1 });
+wishlistSchema.index(
+  { 'sharing.token': 1 },
+  { unique: true, partialFilterExpression: { 'sharing.token': { $type: 'string' } } }
+);
+wishlistSchema.index({ 'items.product': 1 });
+
+// Find an item by product and variant
+wishlistSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find((item) =>
+    (item.product._id || item.product).toString() === productId.toString() &&
+    (item.variant?.toString() || null) === (variantId?.toString() || null)
+  );
+};
+
+Object.assign(wishlistSchema.methods, baseSchemaMethods);
+Object.assign(wishlistSchema.statics, baseSchemaStatics);
+
+export const Wishlist = mongoose.model('Wishlist', wishlistSchema);
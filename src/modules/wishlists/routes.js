@@ -0,0 +1,353 @@
+import { Router } from 'express';
+import { WishlistController } from './controller.js';
+import { validate } from '../../middleware/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { createRateLimiter } from '../../middleware/rateLimit.js';
+import { csrfProtection } from '../../middleware/security.js';
+import {
+  createWishlistSchema,
+  updateWishlistSchema,
+  addWishlistItemSchema,
+  updateWishlistItemSchema,
+  moveToCartSchema
+} from './validation.js';
+
+// Rate limiter for wishlist changes
+const wishlistLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: 'تعداد درخواست‌های شما بیش از حد مجاز است. لطفاً کمی صبر کنید.',
+  prefix: 'rl:wishlist:'
+});
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wishlists
+ *   description: Named wishlists with notes, sharing and price-drop tracking
+ */
+
+/**
+ * @swagger
+ * /api/v1/wishlists/shared/{token}:
+ *   get:
+ *     summary: Get a shared wishlist (public, read-only)
+ *     tags: [Wishlists]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shared wishlist retrieved
+ *       404:
+ *         description: Wishlist not found or no longer shared
+ */
+router.get('/shared/:token', WishlistController.getSharedWishlist);
+
+// All other routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/v1/wishlists:
+ *   get:
+ *     summary: Get current user's wishlists
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlists with item and price-drop counts
+ */
+router.get('/', WishlistController.getMyWishlists);
+
+/**
+ * @swagger
+ * /api/v1/wishlists:
+ *   post:
+ *     summary: Create a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Office setup
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Wishlist created
+ */
+router.post('/', csrfProtection, wishlistLimiter, validate(createWishlistSchema), WishlistController.createWishlist);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/price-drops:
+ *   get:
+ *     summary: Items of all lists whose price dropped since they were saved
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Items with priceWhenAdded, currentPrice and priceDrop
+ */
+router.get('/price-drops', WishlistController.getPriceDrops);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}:
+ *   get:
+ *     summary: Get a wishlist with items, current prices and price drops
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist retrieved
+ *       404:
+ *         description: Wishlist not found
+ */
+router.get('/:id', WishlistController.getWishlist);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}:
+ *   put:
+ *     summary: Rename a wishlist or change its description
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist updated
+ */
+router.put('/:id', csrfProtection, wishlistLimiter, validate(updateWishlistSchema), WishlistController.updateWishlist);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}:
+ *   delete:
+ *     summary: Delete a wishlist (its share link stops working)
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist deleted
+ */
+router.delete('/:id', csrfProtection, WishlistController.deleteWishlist);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}/items:
+ *   post:
+ *     summary: Add a product to a wishlist (adding it again updates quantity and note)
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Item added
+ */
+router.post(
+  '/:id/items',
+  csrfProtection,
+  wishlistLimiter,
+  validate(addWishlistItemSchema),
+  WishlistController.addItem
+);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}/items/{itemId}:
+ *   patch:
+ *     summary: Update an item's quantity or note
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item updated
+ */
+router.patch(
+  '/:id/items/:itemId',
+  csrfProtection,
+  wishlistLimiter,
+  validate(updateWishlistItemSchema),
+  WishlistController.updateItem
+);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}/items/{itemId}:
+ *   delete:
+ *     summary: Remove an item from a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item removed
+ */
+router.delete('/:id/items/:itemId', csrfProtection, WishlistController.removeItem);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}/share:
+ *   post:
+ *     summary: Share a wishlist through a public link and short link
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share link ({ token, shareUrl, shortUrl })
+ */
+router.post('/:id/share', csrfProtection, wishlistLimiter, WishlistController.shareWishlist);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}/share:
+ *   delete:
+ *     summary: Stop sharing a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sharing stopped
+ */
+router.delete('/:id/share', csrfProtection, WishlistController.unshareWishlist);
+
+/**
+ * @swagger
+ * /api/v1/wishlists/{id}/move-to-cart:
+ *   post:
+ *     summary: Add the wishlist's items (or some of them) to the cart
+ *     description: Items that cannot be added (unavailable, out of stock, variant not chosen) are listed in failed.
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               removeAdded:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Cart and added/failed items
+ */
+router.post(
+  '/:id/move-to-cart',
+  csrfProtection,
+  wishlistLimiter,
+  validate(moveToCartSchema),
+  WishlistController.moveToCart
+);
+
+export default router;
@@ -0,0 +1,533 @@
+import crypto from 'crypto';
+import { Wishlist } from './model.js';
+import { Product } from '../products/model.js';
+import { CartService } from '../cart/service.js';
+import { ShortLinkService } from '../shortlinks/service.js';
+import { logger } from '../../utils/logger.js';
+
+/** Lists per user and items per list */
+const MAX_WISHLISTS = 20;
+const MAX_ITEMS = 200;
+
+/** Product fields needed to show items and compare prices */
+const ITEM_PRODUCT_FIELDS = 'name slug sku type featuredImage pricing variants inventory status isPublished deletedAt';
+
+/**
+ * WishlistService - Named wishlists
+ *
+ * Features:
+ * - Create, rename and delete lists; add, update (quantity, note) and remove items
+ * - Price-drop tracking: each item keeps the price it had when saved
+ * - Public read-only sharing through a short link (ShortLinkService)
+ * - Move a whole list (or some items) into the cart (CartService.addItem)
+ */
+export class WishlistService {
+  /**
+   * Create a wishlist
+   * @param {string} userId - Owner
+   * @param {Object} data - { name, description }
+   * @returns {Promise<Wishlist>}
+   */
+  static async createWishlist(userId, data) {
+    try {
+      const count = await Wishlist.countDocuments({ user: userId, deletedAt: null });
+      if (count >= MAX_WISHLISTS) {
+        throw new Error(`حداکثر ${MAX_WISHLISTS} لیست علاقه‌مندی قابل ایجاد است`);
+      }
+
+      const wishlist = new Wishlist({
+        user: userId,
+        name: data.name,
+        description: data.description,
+        createdBy: userId
+      });
+      await wishlist.save();
+
+      logger.info(`Wishlist created: ${wishlist._id}, user: ${userId}`);
+      return wishlist;
+    } catch (error) {
+      logger.error('Create wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's wishlists (summary: item and price-drop counts)
+   * @param {string} userId - Owner
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getUserWishlists(userId) {
+    try {
+      const wishlists = await Wishlist.find({ user: userId, deletedAt: null })
+        .populate('items.product', ITEM_PRODUCT_FIELDS)
+        .sort({ updatedAt: -1 });
+
+      return wishlists.map((wishlist) => {
+        const items = wishlist.items.map((item) => this._describeItem(item));
+        return {
+          _id: wishlist._id,
+          name: wishlist.name,
+          description: wishlist.description,
+          itemsCount: items.length,
+          priceDropsCount: items.filter((item) => item.priceDrop > 0).length,
+          isShared: !!wishlist.sharing?.token,
+          previewImages: items.slice(0, 4).map((item) => item.product?.featuredImage).filter(Boolean),
+          createdAt: wishlist.createdAt,
+          updatedAt: wishlist.updatedAt
+        };
+      });
+    } catch (error) {
+      logger.error('Get user wishlists error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a wishlist with its items, current prices and price drops
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Object>}
+   */
+  static async getWishlist(wishlistId, userId) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+      await wishlist.populate('items.product', ITEM_PRODUCT_FIELDS);
+      await wishlist.populate('sharing.shortLink', 'shortCode clicks');
+
+      return this._describeWishlist(wishlist, { includeSharing: true });
+    } catch (error) {
+      logger.error('Get wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a wishlist or change its description
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @param {Object} data - { name, description }
+   * @returns {Promise<Wishlist>}
+   */
+  static async updateWishlist(wishlistId, userId, data) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+
+      if (data.name !== undefined) {
+        wishlist.name = data.name;
+      }
+      if (data.description !== undefined) {
+        wishlist.description = data.description;
+      }
+      wishlist.updatedBy = userId;
+      await wishlist.save();
+
+      return wishlist;
+    } catch (error) {
+      logger.error('Update wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a wishlist (its share link stops working)
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @returns {Promise<void>}
+   */
+  static async deleteWishlist(wishlistId, userId) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+      await this._revokeSharing(wishlist);
+      await wishlist.softDelete(userId);
+
+      logger.info(`Wishlist deleted: ${wishlist._id}, user: ${userId}`);
+    } catch (error) {
+      logger.error('Delete wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a product to a wishlist (adding it again updates quantity and note)
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @param {Object} data - { product, variant, quantity, note }
+   * @returns {Promise<Object>} Updated wishlist (with prices)
+   */
+  static async addItem(wishlistId, userId, data) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+
+      const product = await Product.findOne({ _id: data.product, deletedAt: null });
+      if (!product) {
+        throw new Error('محصول یافت نشد');
+      }
+
+      let variant = null;
+      if (data.variant) {
+        variant = product.getVariant(data.variant);
+        if (!variant) {
+          throw new Error('تنوع انتخابی محصول یافت نشد');
+        }
+      }
+
+      const existing = wishlist.findItem(product._id, variant?._id);
+      if (existing) {
+        existing.quantity = data.quantity || existing.quantity;
+        if (data.note !== undefined) {
+          existing.note = data.note;
+        }
+      } else {
+        if (wishlist.items.length >= MAX_ITEMS) {
+          throw new Error(`هر لیست حداکثر ${MAX_ITEMS} محصول می‌تواند داشته باشد`);
+        }
+        wishlist.items.push({
+          product: product._id,
+          variant: variant?._id || null,
+          quantity: data.quantity || 1,
+          note: data.note,
+          // In the product's own currency: drops follow price changes, not exchange rates
+          priceWhenAdded: product.getUnitPrice(variant)
+        });
+      }
+
+      wishlist.updatedBy = userId;
+      await wishlist.save();
+
+      return this.getWishlist(wishlist._id, userId);
+    } catch (error) {
+      logger.error('Add wishlist item error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an item's quantity or note
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} itemId - Item ID
+   * @param {string} userId - Owner
+   * @param {Object} data - { quantity, note }
+   * @returns {Promise<Wishlist>}
+   */
+  static async updateItem(wishlistId, itemId, userId, data) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+      const item = wishlist.items.id(itemId);
+      if (!item) {
+        throw new Error('محصول در این لیست یافت نشد');
+      }
+
+      if (data.quantity !== undefined) {
+        item.quantity = data.quantity;
+      }
+      if (data.note !== undefined) {
+        item.note = data.note;
+      }
+      wishlist.updatedBy = userId;
+      await wishlist.save();
+
+      return wishlist;
+    } catch (error) {
+      logger.error('Update wishlist item error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an item from a wishlist
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} itemId - Item ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Wishlist>}
+   */
+  static async removeItem(wishlistId, itemId, userId) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+      const item = wishlist.items.id(itemId);
+      if (!item) {
+        throw new Error('محصول در این لیست یافت نشد');
+      }
+
+      item.deleteOne();
+      wishlist.updatedBy = userId;
+      await wishlist.save();
+
+      return wishlist;
+    } catch (error) {
+      logger.error('Remove wishlist item error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Items of all the user's lists whose price dropped since they were saved
+   * @param {string} userId - Owner
+   * @returns {Promise<Array<Object>>} Items with wishlist { _id, name }, biggest drop first
+   */
+  static async getPriceDrops(userId) {
+    try {
+      const wishlists = await Wishlist.find({ user: userId, deletedAt: null })
+        .populate('items.product', ITEM_PRODUCT_FIELDS);
+
+      return wishlists
+        .flatMap((wishlist) => wishlist.items.map((item) => ({
+          ...this._describeItem(item),
+          wishlist: { _id: wishlist._id, name: wishlist.name }
+        })))
+        .filter((item) => item.priceDrop > 0)
+        .sort((a, b) => b.priceDropPercent - a.priceDropPercent);
+    } catch (error) {
+      logger.error('Get wishlist price drops error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Share a wishlist: public token and short link (the same link is returned when already shared)
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Object>} { token, shareUrl, shortUrl }
+   */
+  static async shareWishlist(wishlistId, userId) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+
+      if (!wishlist.sharing?.token) {
+        const token = crypto.randomBytes(12).toString('base64url');
+        const shortLink = await ShortLinkService.createShortLink({
+          originalUrl: this._getShareUrl(token),
+          resourceType: 'wishlist',
+          resourceId: wishlist._id,
+          metadata: {
+            title: { fa: wishlist.name, en: wishlist.name }
+          }
+        }, userId);
+
+        wishlist.sharing = { token, shortLink: shortLink._id, sharedAt: new Date() };
+        await wishlist.save();
+
+        logger.info(`Wishlist shared: ${wishlist._id}, short code: ${shortLink.shortCode}`);
+      }
+
+      await wishlist.populate('sharing.shortLink', 'shortCode clicks');
+      return this._describeSharing(wishlist);
+    } catch (error) {
+      logger.error('Share wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop sharing a wishlist (the old link and short link stop working)
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Wishlist>}
+   */
+  static async unshareWishlist(wishlistId, userId) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+      await this._revokeSharing(wishlist);
+      await wishlist.save();
+
+      return wishlist;
+    } catch (error) {
+      logger.error('Unshare wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a shared wishlist by its public token (read-only; owner and notes are not exposed)
+   * @param {string} token - Share token
+   * @returns {Promise<Object>}
+   */
+  static async getSharedWishlist(token) {
+    try {
+      const wishlist = await Wishlist.findOne({ 'sharing.token': token, deletedAt: null })
+        .populate('items.product', ITEM_PRODUCT_FIELDS);
+
+      if (!wishlist) {
+        throw new Error('لیست علاقه‌مندی یافت نشد یا دیگر به اشتراک گذاشته نمی‌شود');
+      }
+
+      const shared = this._describeWishlist(wishlist);
+      // Visitors see the products as they are now; the owner's notes and saved prices stay private
+      shared.items = shared.items
+        .filter((item) => item.product)
+        .map((item) => ({
+          _id: item._id,
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          currentPrice: item.currentPrice,
+          isAvailable: item.isAvailable,
+          stockStatus: item.stockStatus
+        }));
+      return shared;
+    } catch (error) {
+      logger.error('Get shared wishlist error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a wishlist's items into the user's cart
+   * Items that cannot be added (unavailable, out of stock, variant needed) are reported, not fatal.
+   * @param {string} wishlistId - Wishlist ID
+   * @param {string} userId - Owner
+   * @param {Object} options - { itemIds: only these items, removeAdded: remove added items from the list }
+   * @returns {Promise<Object>} { cart, added: [itemId], failed: [{ itemId, product, reason }] }
+   */
+  static async moveToCart(wishlistId, userId, { itemIds = null, removeAdded = false } = {}) {
+    try {
+      const wishlist = await this._getOwned(wishlistId, userId);
+      const items = itemIds?.length
+        ? wishlist.items.filter((item) => itemIds.includes(item._id.toString()))
+        : [...wishlist.items];
+
+      if (items.length === 0) {
+        throw new Error('محصولی برای افزودن به سبد خرید وجود ندارد');
+      }
+
+      let cart = await CartService.getOrCreateUserCart(userId);
+      const added = [];
+      const failed = [];
+
+      for (const item of items) {
+        try {
+          cart = await CartService.addItem(cart._id, item.product, item.quantity, userId, null, item.variant);
+          added.push(item._id);
+        } catch (error) {
+          failed.push({ itemId: item._id, product: item.product, reason: error.message });
+        }
+      }
+
+      if (removeAdded && added.length > 0) {
+        added.forEach((itemId) => wishlist.items.id(itemId)?.deleteOne());
+        await wishlist.save();
+      }
+
+      logger.info(`Wishlist ${wishlist._id} moved to cart: ${added.length} added, ${failed.length} failed`);
+      return { cart, added, failed };
+    } catch (error) {
+      logger.error('Move wishlist to cart error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private: Load a wishlist owned by the user
+   * @private
+   */
+  static async _getOwned(wishlistId, userId) {
+    const wishlist = await Wishlist.findOne({ _id: wishlistId, user: userId, deletedAt: null });
+    if (!wishlist) {
+      throw new Error('لیست علاقه‌مندی یافت نشد');
+    }
+    return wishlist;
+  }
+
+  /**
+   * Private: Remove the share token and deactivate the short link
+   * @private
+   */
+  static async _revokeSharing(wishlist) {
+    const shortLinkId = wishlist.sharing?.shortLink?._id || wishlist.sharing?.shortLink;
+    if (shortLinkId) {
+      const { default: ShortLink } = await import('../shortlinks/model.js');
+      await ShortLink.updateOne({ _id: shortLinkId }, { $set: { isActive: false } });
+    }
+    wishlist.sharing = { token: null, shortLink: null, sharedAt: null };
+  }
+
+  /**
+   * Private: Wishlist with described items (populated items.product)
+   * @private
+   */
+  static _describeWishlist(wishlist, { includeSharing = false } = {}) {
+    const items = wishlist.items.map((item) => this._describeItem(item));
+    const availableItems = items.filter((item) => item.isAvailable);
+
+    return {
+      _id: wishlist._id,
+      name: wishlist.name,
+      description: wishlist.description,
+      items,
+      summary: {
+        itemsCount: items.length,
+        availableCount: availableItems.length,
+        priceDropsCount: items.filter((item) => item.priceDrop > 0).length,
+        total: availableItems.reduce((sum, item) => sum + item.currentPrice * item.quantity, 0)
+      },
+      sharing: includeSharing ? this._describeSharing(wishlist) : undefined,
+      updatedAt: wishlist.updatedAt
+    };
+  }
+
+  /**
+   * Private: Item with its current price and drop since it was saved
+   * @private
+   */
+  static _describeItem(item) {
+    const product = item.product?._id ? item.product : null;
+    const variant = product && item.variant ? product.getVariant(item.variant) : null;
+    const isAvailable = !!product && !product.deletedAt && product.status === 'active' && product.isPublished &&
+      (!item.variant || (!!variant && variant.isActive !== false));
+    const currentPrice = product ? product.getUnitPrice(variant) : null;
+    const priceDrop = currentPrice !== null ? Math.max(0, item.priceWhenAdded - currentPrice) : 0;
+
+    return {
+      _id: item._id,
+      product: product
+        ? {
+          _id: product._id,
+          name: product.name,
+          slug: product.slug,
+          type: product.type,
+          featuredImage: variant?.featuredImage || product.featuredImage
+        }
+        : null,
+      variant: variant
+        ? { _id: variant._id, sku: variant.sku, title: product.getVariantTitle(variant) }
+        : null,
+      quantity: item.quantity,
+      note: item.note,
+      priceWhenAdded: item.priceWhenAdded,
+      currentPrice,
+      currency: product?.pricing?.currency || 'IRT',
+      priceDrop,
+      priceDropPercent: priceDrop > 0 ? Math.round((priceDrop / item.priceWhenAdded) * 100) : 0,
+      isAvailable,
+      stockStatus: isAvailable ? (variant || product).inventory?.stockStatus || 'in_stock' : 'out_of_stock',
+      addedAt: item.addedAt
+    };
+  }
+
+  /**
+   * Private: Share link details of a wishlist (populated sharing.shortLink)
+   * @private
+   */
+  static _describeSharing(wishlist) {
+    if (!wishlist.sharing?.token) {
+      return { isShared: false };
+    }
+    const shortLink = wishlist.sharing.shortLink;
+    const baseUrl = process.env.API_BASE_URL || 'http://localhost:5000';
+    return {
+      isShared: true,
+      token: wishlist.sharing.token,
+      shareUrl: this._getShareUrl(wishlist.sharing.token),
+      shortUrl: shortLink?.shortCode ? `${baseUrl}/b/${shortLink.shortCode}` : null,
+      clicks: shortLink?.clicks || 0,
+      sharedAt: wishlist.sharing.sharedAt
+    };
+  }
+
+  /**
+   * Private: Storefront page of a shared wishlist
+   * @private
+   */
+  static _getShareUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/wishlists/shared/${token}`;
+  }
+}
@@ -0,0 +1,39 @@
+import Joi from 'joi';
+import { objectIdSchema } from '../../shared/validations/baseValidation.js';
+
+/**
+ * Validation schemas for Wishlists
+ */
+
+// Create Wishlist Schema
+export const createWishlistSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'any.required': 'نام لیست الزامی است',
+      'string.max': 'نام لیست نمی‌تواند بیش از ۱۰۰ کاراکتر باشد'
+    }),
+  description: Joi.string().trim().max(1000).allow('').optional()
+});
+
+// Update Wishlist Schema
+export const updateWishlistSchema = createWishlistSchema.fork(['name'], (schema) => schema.optional()).min(1);
+
+// Add Item Schema
+export const addWishlistItemSchema = Joi.object({
+  product: objectIdSchema('شناسه محصول').required(),
+  variant: objectIdSchema('شناسه تنوع محصول').allow(null).optional(),
+  quantity: Joi.number().integer().min(1).max(100).default(1),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Update Item Schema
+export const updateWishlistItemSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).max(100).optional(),
+  note: Joi.string().trim().max(500).allow('').optional()
+}).min(1);
+
+// Move To Cart Schema
+export const moveToCartSchema = Joi.object({
+  itemIds: Joi.array().items(objectIdSchema('شناسه قلم لیست')).max(200).optional(),
+  removeAdded: Joi.boolean().default(false)
+});
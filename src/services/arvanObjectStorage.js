@@ -450,12 +450,7 @@ class ArvanObjectStorageService {
         return `${endpoint}/${targetBucket}/${cleanKey}`;
       } catch (error) {
         // If private or not found, generate signed URL
-        const getObjectCommand = new GetObjectCommand({
-          Bucket: targetBucket,
-          Key: cleanKey
-        });
-        const url = await getSignedUrl(s3Client, getObjectCommand, { expiresIn });
-        return url;
+        return await this.getSignedFileUrl(cleanKey, expiresIn, targetBucket, targetRegion);
       }
     } catch (error) {
       logger.error('Error getting file URL:', error);
@@ -463,6 +458,63 @@ class ArvanObjectStorageService {
     }
   }
 
+  /**
+   * Generate a presigned GET URL (always signed, whatever the object's ACL)
+   */
+  async getSignedFileUrl(key, expiresIn = 3600, bucketName = null, region = null) {
+    try {
+      const targetBucket = bucketName || this.bucketName;
+      const s3Client = this.getS3Client(region || this.region);
+
+      // Ensure key doesn't start with /
+      const cleanKey = key.startsWith('/') ? key.substring(1) : key;
+
+      const getObjectCommand = new GetObjectCommand({
+        Bucket: targetBucket,
+        Key: cleanKey
+      });
+      return await getSignedUrl(s3Client, getObjectCommand, { expiresIn });
+    } catch (error) {
+      logger.error('Error signing file URL:', error);
+      throw new AppError('خطا در دریافت آدرس فایل', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Extract the object key from a URL returned by uploadFile
+   * (custom domain or path-style endpoint); null for URLs outside this bucket
+   */
+  getKeyFromUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const path = decodeURIComponent(parsed.pathname).replace(/^\/+/, '');
+    const customDomain = config.ARVAN_OBJECT_STORAGE_CUSTOM_DOMAIN;
+    if (customDomain) {
+      const domain = new URL(customDomain.startsWith('http') ? customDomain : `https://${customDomain}`);
+      if (parsed.host === domain.host) {
+        return path || null;
+      }
+    }
+
+    if (!parsed.hostname.endsWith('.arvanstorage.ir')) {
+      return null;
+    }
+
+    // Virtual-hosted style: https://bucket.s3.region.arvanstorage.ir/key
+    if (parsed.hostname.startsWith(`${this.bucketName}.`)) {
+      return path || null;
+    }
+
+    // Path style: https://s3.region.arvanstorage.ir/bucket/key
+    const prefix = `${this.bucketName}/`;
+    return path.startsWith(prefix) && path.length > prefix.length ? path.substring(prefix.length) : null;
+  }
+
   /**
    * Upload file from URL
    */
@@ -99,7 +99,17 @@ ${this.formatNotificationData(type, data)}
       consultation_confirmation: 'درخواست مشاوره شما ثبت شد. به زودی تماس خواهیم گرفت.',
       ticket_response: 'پاسخ جدیدی به تیکت شما ارسال شد.',
       password_reset: `کد بازیابی: ${data.code}`,
-      otp_verification: `کد تایید: ${data.code}`
+      otp_verification: `کد تایید: ${data.code}`,
+      product_back_in_stock: `${data.productName} دوباره موجود شد.\n${data.productUrl}\n` +
+        `لغو اطلاع‌رسانی: ${data.unsubscribeUrl}`,
+      product_price_drop: `قیمت ${data.productName} به ${data.newPrice} تومان کاهش یافت.\n${data.productUrl}\n` +
+        `لغو اطلاع‌رسانی: ${data.unsubscribeUrl}`,
+      subscription_renewal_due: `تمدید اشتراک ${data.planName}: ${data.amount} تومان، سررسید ${data.dueDate}\n` +
+        `پرداخت: ${data.paymentUrl}`,
+      subscription_past_due: `پرداخت تمدید اشتراک ${data.planName} انجام نشده است.\nپرداخت: ${data.paymentUrl}`,
+      subscription_expired: `اشتراک ${data.planName} به دلیل عدم پرداخت به پایان رسید.`,
+      cart_recovery: `${data.itemsCount} کالا در سبد خرید شما منتظر است.` +
+        `${data.couponCode ? `\nکد تخفیف: ${data.couponCode}` : ''}\nادامه خرید: ${data.restoreUrl}`
     };
 
     return messages[type] || 'اعلان از هیکاوب';
@@ -118,6 +128,42 @@ ${this.formatNotificationData(type, data)}
       password_reset: {
         subject: 'بازیابی رمز عبور',
         html: `<p>برای بازیابی رمز عبور روی لینک زیر کلیک کنید:</p><a href="${data.resetLink}">بازیابی رمز عبور</a>`
+      },
+      product_back_in_stock: {
+        subject: `${data.productName} دوباره موجود شد`,
+        html: `<p>محصول «${data.productName}» که منتظرش بودید دوباره موجود شد.</p>` +
+          `<p><a href="${data.productUrl}">مشاهده و خرید محصول</a></p>` +
+          `<p style="font-size: 12px; color: #999;"><a href="${data.unsubscribeUrl}">لغو اطلاع‌رسانی این محصول</a></p>`
+      },
+      product_price_drop: {
+        subject: `کاهش قیمت ${data.productName}`,
+        html: `<p>قیمت «${data.productName}» از ${data.oldPrice} به ${data.newPrice} تومان کاهش یافت.</p>` +
+          `<p><a href="${data.productUrl}">مشاهده و خرید محصول</a></p>` +
+          `<p style="font-size: 12px; color: #999;"><a href="${data.unsubscribeUrl}">لغو اطلاع‌رسانی این محصول</a></p>`
+      },
+      subscription_renewal_due: {
+        subject: `تمدید اشتراک ${data.planName}`,
+        html: `<p>صورتحساب دوره بعد اشتراک «${data.planName}» به مبلغ ${data.amount} تومان صادر شد.</p>` +
+          `<p>سررسید: ${data.dueDate}</p>` +
+          `<p><a href="${data.paymentUrl}">پرداخت و تمدید اشتراک</a></p>`
+      },
+      subscription_past_due: {
+        subject: `پرداخت اشتراک ${data.planName} انجام نشده است`,
+        html: `<p>دوره اشتراک «${data.planName}» به پایان رسیده و صورتحساب تمدید ` +
+          `(${data.amount} تومان) هنوز پرداخت نشده است.</p>` +
+          '<p>برای جلوگیری از قطع اشتراک، صورتحساب را پرداخت کنید.</p>' +
+          `<p><a href="${data.paymentUrl}">پرداخت و تمدید اشتراک</a></p>`
+      },
+      subscription_expired: {
+        subject: `اشتراک ${data.planName} به پایان رسید`,
+        html: `<p>مهلت پرداخت تمدید اشتراک «${data.planName}» به پایان رسید و اشتراک شما غیرفعال شد.</p>` +
+          '<p>در صورت تمایل می‌توانید دوباره مشترک شوید.</p>'
+      },
+      cart_recovery: {
+        subject: 'سبد خرید شما منتظر شماست',
+        html: `<p>${data.itemsCount} کالا به ارزش ${data.total} تومان در سبد خرید شما باقی مانده است.</p>` +
+          `${data.couponCode ? `<p>با کد تخفیف <strong>${data.couponCode}</strong> خریدتان را تکمیل کنید.</p>` : ''}` +
+          `<p><a href="${data.restoreUrl}">بازگشت به سبد خرید و ادامه خرید</a></p>`
       }
     };
 
@@ -2,6 +2,11 @@ import cron from 'node-cron';
 import { CalendarService } from '../modules/calendar/service.js';
 import { TaskService } from '../modules/tasks/service.js';
 import { CartService } from '../modules/cart/service.js';
+import { CartRecoveryService } from '../modules/cart/recoveryService.js';
+import { InventoryService } from '../modules/products/inventoryService.js';
+import { LoyaltyService } from '../modules/loyalty/service.js';
+import { PaymentReconciliationService } from '../modules/payments/reconciliationService.js';
+import { SubscriptionService } from '../modules/subscriptions/service.js';
 import { logger } from '../utils/logger.js';
 import { SystemLogger } from '../utils/systemLogger.js';
 
@@ -97,6 +102,19 @@ class SchedulerService {
       timezone: 'Asia/Tehran'
     });
 
+    // Abandoned cart recovery reminders and coupons - every 30 minutes
+    const cartRecoveryJob = cron.schedule('*/30 * * * *', async () => {
+      try {
+        logger.debug('Running cart recovery job...');
+        await CartRecoveryService.processRecovery();
+      } catch (error) {
+        logger.error('Error in cart recovery job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Asia/Tehran'
+    });
+
     // Clean expired carts - daily at 3 AM
     const cartCleanupJob = cron.schedule('0 3 * * *', async () => {
       try {
@@ -113,12 +131,69 @@ class SchedulerService {
       timezone: 'Asia/Tehran'
     });
 
+    // Release expired inventory holds of unpaid orders - every 5 minutes
+    const inventoryReservationSweepJob = cron.schedule('*/5 * * * *', async () => {
+      try {
+        logger.debug('Running inventory reservation sweep job...');
+        await InventoryService.releaseExpiredReservations();
+      } catch (error) {
+        logger.error('Error in inventory reservation sweep job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Asia/Tehran'
+    });
+
+    // Reconcile payments whose gateway callback never arrived - every 5 minutes
+    const paymentReconciliationJob = cron.schedule('*/5 * * * *', async () => {
+      try {
+        logger.debug('Running payment reconciliation job...');
+        await PaymentReconciliationService.reconcilePendingPayments();
+      } catch (error) {
+        logger.error('Error in payment reconciliation job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Asia/Tehran'
+    });
+
+    // Subscription renewal orders, payment links, dunning reminders and expiry - every hour
+    const subscriptionRenewalsJob = cron.schedule('15 * * * *', async () => {
+      try {
+        logger.debug('Running subscription renewals job...');
+        await SubscriptionService.processRenewals();
+      } catch (error) {
+        logger.error('Error in subscription renewals job:', error);
+        await SystemLogger.logCriticalError(
+          'Error processing subscription renewals',
+          error
+        );
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Asia/Tehran'
+    });
+
+    // Expire unused loyalty points - daily at 1 AM
+    const loyaltyExpiryJob = cron.schedule('0 1 * * *', async () => {
+      try {
+        logger.debug('Running loyalty points expiry job...');
+        await LoyaltyService.expirePoints();
+      } catch (error) {
+        logger.error('Error in loyalty points expiry job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Asia/Tehran'
+    });
+
     // Log cleanup - daily at 2 AM
     const logCleanupJob = cron.schedule('0 2 * * *', async () => {
       try {
         logger.debug('Running log cleanup job...');
         const { LogService } = await import('../modules/logs/service.js');
-        await LogService.cleanupOldLogs(90);
+        // Retention per severity comes from Settings.logs.retention
+        await LogService.cleanupOldLogs();
         logger.info('Log cleanup completed');
       } catch (error) {
         logger.error('Error in log cleanup job:', error);
@@ -133,7 +208,12 @@ class SchedulerService {
     taskRemindersJob.start();
     cartExpiryNotificationsJob.start();
     cartExpiredNotificationsJob.start();
+    cartRecoveryJob.start();
     cartCleanupJob.start();
+    inventoryReservationSweepJob.start();
+    paymentReconciliationJob.start();
+    subscriptionRenewalsJob.start();
+    loyaltyExpiryJob.start();
     logCleanupJob.start();
 
     this.jobs = [
@@ -141,7 +221,12 @@ class SchedulerService {
       { name: 'task-reminders', job: taskRemindersJob, interval: '15 minutes' },
       { name: 'cart-expiry-notifications', job: cartExpiryNotificationsJob, interval: 'every 6 hours' },
       { name: 'cart-expired-notifications', job: cartExpiredNotificationsJob, interval: 'every 12 hours' },
+      { name: 'cart-recovery', job: cartRecoveryJob, interval: '30 minutes' },
       { name: 'cart-cleanup', job: cartCleanupJob, interval: 'daily at 3 AM' },
+      { name: 'inventory-reservation-sweep', job: inventoryReservationSweepJob, interval: '5 minutes' },
+      { name: 'payment-reconciliation', job: paymentReconciliationJob, interval: '5 minutes' },
+      { name: 'subscription-renewals', job: subscriptionRenewalsJob, interval: 'hourly at :15' },
+      { name: 'loyalty-points-expiry', job: loyaltyExpiryJob, interval: 'daily at 1 AM' },
       { name: 'log-cleanup', job: logCleanupJob, interval: 'daily at 2 AM' }
     ];
 
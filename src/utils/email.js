@@ -146,6 +146,70 @@ class EmailService {
       return false;
     }
   }
+
+  /**
+   * ارسال ایمیل اطلاع‌رسانی عمومی (مثلاً موجود شدن یا کاهش قیمت محصول)
+   * @param {string} toEmail - ایمیل گیرنده
+   * @param {Object} content - { subject, html }
+   * @param {string} [unsubscribeUrl] - لینک لغو اشتراک یک‌کلیکی (هدر List-Unsubscribe)
+   * @returns {Promise<boolean>} ارسال شد یا نه
+   */
+  async sendNotificationEmail(toEmail, { subject, html }, unsubscribeUrl = null) {
+    if (!toEmail || typeof toEmail !== 'string' || !toEmail.trim()) return false;
+    const to = toEmail.trim();
+    const mailOptions = {
+      to,
+      subject,
+      html: `
+      <div dir="rtl" style="font-family: Tahoma, Arial, sans-serif; padding: 20px; background-color: #f5f5f5;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 30px;
+          border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #333; text-align: center; margin-bottom: 30px;">${subject}</h2>
+          <div style="color: #666; font-size: 16px; line-height: 1.6;">${html}</div>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            آژانس دیجیتال مارکتینگ هیکاوب
+          </p>
+        </div>
+      </div>
+    `
+    };
+    if (unsubscribeUrl) {
+      mailOptions.headers = {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      };
+    }
+
+    try {
+      const account = await EmailAccountsService.getDefaultAccount();
+      if (account) {
+        const transporter = EmailAccountsService.createTransporter(account);
+        const from = account.displayName
+          ? `${account.displayName} <${account.address}>`
+          : account.address;
+        await transporter.sendMail({ ...mailOptions, from });
+        logger.info(`Notification email sent to ${to} via account ${account.address}`);
+        return true;
+      }
+    } catch (accountErr) {
+      logger.warn('Notification email via default account failed, trying env SMTP:', accountErr?.message || accountErr);
+    }
+
+    try {
+      mailOptions.from = config.SMTP_FROM || config.SMTP_USER || 'noreply@hikaweb.com';
+      if (this.transporter) {
+        await this.transporter.sendMail(mailOptions);
+        logger.info(`Notification email sent to ${to}`);
+        return true;
+      }
+      logger.warn('SMTP not configured (no default email account and no env). Notification email not sent.');
+      return false;
+    } catch (error) {
+      logger.error('Notification email failed:', error);
+      return false;
+    }
+  }
 }
 
 export const emailService = new EmailService();
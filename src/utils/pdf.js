@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { logger } from './logger.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Create a PDFKit document with the Persian font registered and RTL text helpers
+ * (shared by invoices, packing slips and shipping labels)
+ * @param {Object} options - PDFKit document options (margin, size, ...)
+ * @returns {Promise<Object>} { doc, fonts: { regular, bold }, text, formatPrice, formatDate, toBuffer }
+ */
+export const createPersianPdf = async (options = {}) => {
+  const PDFDocument = (await import('pdfkit')).default;
+
+  const doc = new PDFDocument({
+    margin: 50,
+    size: 'A4',
+    autoFirstPage: true,
+    ...options
+  });
+
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  const fonts = await registerPersianFonts(doc);
+
+  return {
+    doc,
+    fonts,
+    text: preparePersianText,
+    formatPrice,
+    formatDate,
+    // Finish the document and collect it
+    toBuffer: () => new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', (error) => {
+        logger.error('PDF generation error:', error);
+        reject(error);
+      });
+      doc.end();
+    })
+  };
+};
+
+/**
+ * Register Persian fonts (back/fonts) on a document
+ * @param {PDFDocument} doc - PDFKit document
+ * @returns {Promise<Object>} { regular, bold } font names to use
+ */
+const registerPersianFonts = async (doc) => {
+  // Using fonts from front/public/fonts (copied to back/fonts)
+  const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold' }; // Default fallback
+
+  try {
+    const fontsDir = path.join(process.cwd(), 'fonts');
+
+    // pdfkit only supports TTF/OTF, so we'll try to find TTF first, then try woff conversion
+    const possibleFonts = [
+      { name: 'IRANSans-Regular.ttf', bold: 'IRANSans-Bold.ttf' },
+      { name: 'IRANSansXFaNum-Regular.ttf', bold: 'IRANSansXFaNum-Bold.ttf' },
+      { name: 'Vazir.ttf', bold: 'Vazir-Bold.ttf' },
+      { name: 'Tahoma.ttf', bold: 'Tahoma-Bold.ttf' }
+    ];
+
+    let fontRegistered = false;
+
+    // First, try TTF fonts
+    for (const fontSet of possibleFonts) {
+      const regularPath = path.join(fontsDir, fontSet.name);
+      const boldPath = path.join(fontsDir, fontSet.bold);
+
+      if (fs.existsSync(regularPath)) {
+        doc.registerFont('Persian', regularPath);
+        fonts.regular = 'Persian';
+        fontRegistered = true;
+
+        if (fs.existsSync(boldPath)) {
+          doc.registerFont('Persian-Bold', boldPath);
+          fonts.bold = 'Persian-Bold';
+        }
+
+        logger.info(`Persian font registered: ${fontSet.name}`);
+        break;
+      }
+    }
+
+    // If no TTF found, try to use woff fonts with opentype.js
+    // opentype.js supports woff but not woff2
+    if (!fontRegistered) {
+      try {
+        const opentype = (await import('opentype.js')).default;
+        const woffRegularPath = path.join(fontsDir, 'IRANSansXFaNum-Regular.woff');
+        const woffBoldPath = path.join(fontsDir, 'IRANSansXFaNum-Bold.woff');
+
+        // opentype.js can read woff files and convert them to TTF
+        const woffToTtf = (fontPath) => {
+          const font = opentype.parse(fs.readFileSync(fontPath).buffer);
+          return Buffer.from(font.toArrayBuffer());
+        };
+
+        if (fs.existsSync(woffRegularPath)) {
+          doc.registerFont('Persian', woffToTtf(woffRegularPath));
+          fonts.regular = 'Persian';
+          fontRegistered = true;
+
+          if (fs.existsSync(woffBoldPath)) {
+            doc.registerFont('Persian-Bold', woffToTtf(woffBoldPath));
+            fonts.bold = 'Persian-Bold';
+          }
+
+          logger.info(`Persian font registered from ${path.basename(woffRegularPath)} using opentype.js`);
+        }
+      } catch (woffError) {
+        logger.warn('Could not load woff font with opentype.js:', woffError);
+        logger.warn('Please ensure woff fonts are available or convert woff2 to woff/TTF format');
+      }
+    }
+
+    if (!fontRegistered) {
+      logger.warn('No Persian font found. PDF may display Persian text incorrectly. ' +
+                 'Please ensure fonts are in back/fonts/ directory.');
+    }
+  } catch (fontError) {
+    logger.warn('Could not register Persian font, using fallback:', fontError);
+  }
+
+  return fonts;
+};
+
+/**
+ * Reshape Persian text for PDF rendering (pdfkit handles direction through align: 'right')
+ * @param {string} text - Text
+ * @returns {string} Reshaped text
+ */
+const preparePersianText = (text) => {
+  if (!text || typeof text !== 'string') return text || '';
+
+  try {
+    // Using require (via createRequire) since pdfkit text() is synchronous
+    const arabicReshaper = require('arabic-reshaper');
+
+    // convertArabic converts isolated characters to their contextual forms
+    return arabicReshaper.convertArabic(text);
+  } catch (error) {
+    // Don't fail the PDF if the reshaper is unavailable
+    if (process.env.NODE_ENV === 'development') {
+      logger.warn('Error reshaping Persian text:', error);
+    }
+    return text;
+  }
+};
+
+/**
+ * Format price (fa-IR digits)
+ * @param {number} price - Price
+ * @returns {string} Formatted price
+ */
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('fa-IR').format(price || 0);
+};
+
+/**
+ * Format date (Persian calendar)
+ * @param {Date|string} date - Date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Intl.DateTimeFormat('fa-IR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    calendar: 'persian'
+  }).format(new Date(date));
+};
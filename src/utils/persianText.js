@@ -0,0 +1,77 @@
+/**
+ * Utility functions for normalizing Persian text for search
+ */
+
+// Arabic letter forms typed on Arabic keyboards -> Persian forms
+const CHARACTER_MAP = {
+  ي: 'ی', // Arabic yeh
+  ى: 'ی', // Alef maksura
+  ئ: 'ی',
+  ك: 'ک', // Arabic kaf
+  ة: 'ه', // Teh marbuta
+  ۀ: 'ه',
+  أ: 'ا',
+  إ: 'ا',
+  ٱ: 'ا',
+  ؤ: 'و'
+};
+
+const CHARACTER_PATTERN = new RegExp(`[${Object.keys(CHARACTER_MAP).join('')}]`, 'g');
+
+/**
+ * Normalizes text so that spelling variants of the same word match:
+ * Arabic yeh/kaf -> Persian, Persian/Arabic digits -> ASCII, ZWNJ removed
+ * (می‌خواهم = میخواهم), diacritics and tatweel removed, lowercase, single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizePersian = (text) => {
+  if (!text || typeof text !== 'string') return '';
+
+  return text
+    .replace(CHARACTER_PATTERN, (char) => CHARACTER_MAP[char])
+    .replace(/[۰-۹]/g, (digit) => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/\u200C|\u200D|\u200E|\u200F/g, '') // ZWNJ, ZWJ and direction marks
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // Diacritics and tatweel
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ') // Punctuation (Persian and Latin) separates words
+    .trim();
+};
+
+/**
+ * Splits normalized text into unique search terms
+ * @param {string} text - Text to tokenize
+ * @param {number} minLength - Shortest term kept
+ * @returns {string[]} Unique terms
+ */
+export const tokenizePersian = (text, minLength = 2) => {
+  const terms = normalizePersian(text).split(' ').filter((term) => term.length >= minLength);
+  return [...new Set(terms)];
+};
+
+/**
+ * Levenshtein edit distance, stopping early once it exceeds max
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance (max + 1 when larger than max)
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
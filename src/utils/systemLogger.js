@@ -5,6 +5,13 @@ import { LogService } from '../modules/logs/service.js';
  * Wrapper around LogService for easy system logging
  */
 export class SystemLogger {
+  /**
+   * Log any system event (level, category, message, details, metadata)
+   */
+  static async createSystemLog(level, category, message, details = {}, metadata = {}) {
+    return await LogService.createSystemLog(level, category, message, details, metadata);
+  }
+
   /**
    * Log system startup
    */
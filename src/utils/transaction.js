@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { Database } from '../config/database.js';
+import { logger } from './logger.js';
+
+/**
+ * Run a unit of work atomically.
+ *
+ * On replica sets / mongos the work runs inside a MongoDB transaction and every
+ * write must pass `ctx.session`. On standalone servers `ctx.session` is null and
+ * the work registers compensating actions with `ctx.onRollback(fn)`; they run in
+ * reverse order if the work throws, and the original error is re-thrown.
+ *
+ * @param {Function} work - async (ctx: { session, onRollback }) => result
+ * @param {Object} options
+ * @param {string} options.label - Name used in logs
+ * @returns {Promise<*>} Result of work
+ */
+export const runAtomically = async (work, { label = 'transaction' } = {}) => {
+  if (await Database.supportsTransactions()) {
+    // connection.transaction() retries transient errors and resets document state on abort
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      result = await work({ session, onRollback: () => {} });
+    });
+    return result;
+  }
+
+  const compensations = [];
+  const ctx = {
+    session: null,
+    onRollback: (fn) => compensations.push(fn)
+  };
+
+  try {
+    return await work(ctx);
+  } catch (error) {
+    logger.warn(`${label} failed, rolling back ${compensations.length} step(s): ${error.message}`);
+    for (const compensate of compensations.reverse()) {
+      try {
+        await compensate();
+      } catch (rollbackError) {
+        logger.error(`${label} rollback step failed:`, rollbackError);
+      }
+    }
+    throw error;
+  }
+};
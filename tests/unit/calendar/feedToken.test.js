@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { CalendarFeed } from '../../../src/modules/calendar/feedModel.js';
+import { CalendarFeedService } from '../../../src/modules/calendar/feedService.js';
+import { User } from '../../../src/modules/auth/model.js';
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const member = { id: new mongoose.Types.ObjectId(), role: 'user' };
+const admin = { id: new mongoose.Types.ObjectId(), role: { name: 'admin' } };
+
+const mockOwner = (owner) => jest.spyOn(User, 'findOne').mockReturnValue({ populate: async () => owner });
+
+describe('Calendar feed tokens', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('CalendarFeedService.createFeed', () => {
+    it('should only store a hash of the token and hand the token out once', async () => {
+      const create = jest.spyOn(CalendarFeed, 'create').mockImplementation(async (doc) => new CalendarFeed(doc));
+
+      const result = await CalendarFeedService.createFeed({ scope: 'user' }, member);
+
+      const stored = create.mock.calls[0][0];
+      expect(stored.tokenHash).toBe(sha256(result.token));
+      expect(stored.tokenHint).toBe(result.token.slice(-4));
+      expect(JSON.stringify(stored)).not.toContain(result.token);
+      expect(result.feed.tokenHash).toBeUndefined();
+      expect(result.url).toMatch(new RegExp(`/calendar/feeds/${result.token}\\.ics$`));
+      expect(result.webcalUrl).toMatch(/^webcal:/);
+    });
+
+    it('should keep the team feed to admins', async () => {
+      const create = jest.spyOn(CalendarFeed, 'create').mockImplementation(async (doc) => new CalendarFeed(doc));
+
+      await expect(CalendarFeedService.createFeed({ scope: 'team' }, member)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(CalendarFeedService.createFeed({ scope: 'team' }, admin)).resolves.toHaveProperty('token');
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('CalendarFeedService.getFeedCalendar', () => {
+    it('should look the feed up by the hash of the token, skipping revoked feeds', async () => {
+      const findFeed = jest.spyOn(CalendarFeed, 'findOne').mockResolvedValue(null);
+
+      await expect(CalendarFeedService.getFeedCalendar('feed-token')).rejects.toMatchObject({ statusCode: 404 });
+      expect(findFeed).toHaveBeenCalledWith({ tokenHash: sha256('feed-token'), revokedAt: null });
+    });
+
+    it('should stop serving the team feed once its owner is no longer an admin', async () => {
+      jest.spyOn(CalendarFeed, 'findOne').mockResolvedValue(
+        new CalendarFeed({ user: admin.id, scope: 'team', tokenHash: sha256('feed-token') })
+      );
+      mockOwner({ _id: admin.id, status: 'active', role: { name: 'user' } });
+      const loadEvents = jest.spyOn(CalendarFeedService, '_loadEvents');
+
+      await expect(CalendarFeedService.getFeedCalendar('feed-token')).rejects.toMatchObject({ statusCode: 404 });
+      expect(loadEvents).not.toHaveBeenCalled();
+    });
+
+    it('should serve the calendar and count the access', async () => {
+      const feed = new CalendarFeed({ user: member.id, scope: 'user', tokenHash: sha256('feed-token') });
+      jest.spyOn(CalendarFeed, 'findOne').mockResolvedValue(feed);
+      mockOwner({ _id: member.id, name: 'Sara', status: 'active', role: 'user' });
+      const loadEvents = jest.spyOn(CalendarFeedService, '_loadEvents').mockResolvedValue([]);
+      const touch = jest.spyOn(CalendarFeed, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const calendar = await CalendarFeedService.getFeedCalendar('feed-token');
+
+      expect(calendar).toContain('BEGIN:VCALENDAR');
+      expect(loadEvents.mock.calls[0][0].userId).toEqual(member.id);
+      expect(touch.mock.calls[0][1].$inc).toEqual({ accessCount: 1 });
+    });
+  });
+
+  describe('CalendarFeedService.revokeFeed', () => {
+    it('should let members revoke only their own feeds', async () => {
+      const findFeed = jest.spyOn(CalendarFeed, 'findOne').mockReturnValue({ select: async () => null });
+      const feedId = new mongoose.Types.ObjectId();
+
+      await expect(CalendarFeedService.revokeFeed(feedId, member)).rejects.toMatchObject({ statusCode: 404 });
+      expect(findFeed).toHaveBeenCalledWith({ _id: feedId, user: member.id });
+    });
+
+    it('should revoke once and keep the first revocation', async () => {
+      const feed = new CalendarFeed({ user: member.id, scope: 'user', tokenHash: sha256('feed-token') });
+      jest.spyOn(CalendarFeed, 'findOne').mockReturnValue({ select: async () => feed });
+      const save = jest.spyOn(feed, 'save').mockResolvedValue(feed);
+
+      await CalendarFeedService.revokeFeed(feed._id, admin);
+      const revokedAt = feed.revokedAt;
+      await CalendarFeedService.revokeFeed(feed._id, member);
+
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(feed.revokedAt).toBe(revokedAt);
+      expect(feed.revokedBy).toEqual(admin.id);
+    });
+  });
+});
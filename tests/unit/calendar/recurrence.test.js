@@ -0,0 +1,107 @@
+import { expandRecurrence } from '../../../src/modules/calendar/recurrence.js';
+
+const buildEvent = (recurrence, startDate = '2026-01-01T09:00:00.000Z') => ({
+  startDate: new Date(startDate),
+  timezone: 'UTC',
+  recurrence: { enabled: true, interval: 1, ...recurrence }
+});
+
+const days = (occurrences) => occurrences.map((date) => date.toISOString().slice(0, 10));
+
+describe('expandRecurrence', () => {
+  it('should return the start alone for an event that does not repeat', () => {
+    const event = { startDate: new Date('2026-01-01T09:00:00.000Z'), recurrence: { enabled: false } };
+
+    expect(expandRecurrence(event)).toEqual([event.startDate]);
+    expect(expandRecurrence(event, { from: new Date('2026-01-02T00:00:00.000Z') })).toEqual([]);
+  });
+
+  describe('COUNT', () => {
+    it('should stop after the given number of occurrences, the start included', () => {
+      const event = buildEvent({ pattern: 'daily', occurrences: 3 });
+
+      expect(days(expandRecurrence(event))).toEqual(['2026-01-01', '2026-01-02', '2026-01-03']);
+    });
+
+    it('should count occurrences before the requested range', () => {
+      const event = buildEvent({ pattern: 'daily', occurrences: 5 });
+
+      const occurrences = expandRecurrence(event, { from: new Date('2026-01-03T00:00:00.000Z') });
+
+      expect(days(occurrences)).toEqual(['2026-01-03', '2026-01-04', '2026-01-05']);
+    });
+
+    it('should keep the time of day in the event time zone', () => {
+      const event = {
+        ...buildEvent({ pattern: 'weekly', occurrences: 2 }, '2026-01-01T06:30:00.000Z'),
+        timezone: 'Asia/Tehran'
+      };
+
+      expect(expandRecurrence(event)).toEqual([
+        new Date('2026-01-01T06:30:00.000Z'),
+        new Date('2026-01-08T06:30:00.000Z')
+      ]);
+    });
+  });
+
+  describe('UNTIL', () => {
+    it('should include an occurrence on the end date and nothing after it', () => {
+      const event = buildEvent({ pattern: 'weekly', endDate: new Date('2026-01-22T09:00:00.000Z') });
+
+      expect(days(expandRecurrence(event))).toEqual(['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22']);
+    });
+
+    it('should stop at the end of the requested range', () => {
+      const event = buildEvent({ pattern: 'monthly', interval: 2 });
+
+      const occurrences = expandRecurrence(event, {
+        from: new Date('2026-02-01T00:00:00.000Z'),
+        to: new Date('2026-09-30T00:00:00.000Z')
+      });
+
+      expect(days(occurrences)).toEqual(['2026-03-01', '2026-05-01', '2026-07-01', '2026-09-01']);
+    });
+  });
+
+  describe('BYDAY', () => {
+    it('should repeat on each listed weekday of a weekly rule', () => {
+      const event = buildEvent({ pattern: 'weekly', byWeekday: ['MO', 'WE'], occurrences: 4 }, '2026-01-05T09:00:00.000Z');
+
+      expect(days(expandRecurrence(event))).toEqual(['2026-01-05', '2026-01-07', '2026-01-12', '2026-01-14']);
+    });
+
+    it('should pick the ordinal weekday of each month', () => {
+      const event = buildEvent({ pattern: 'monthly', byWeekday: ['-1FR'], occurrences: 3 }, '2026-01-30T09:00:00.000Z');
+
+      expect(days(expandRecurrence(event))).toEqual(['2026-01-30', '2026-02-27', '2026-03-27']);
+    });
+
+    it('should skip months without the start day of month', () => {
+      const event = buildEvent({ pattern: 'monthly', occurrences: 3 }, '2026-01-31T09:00:00.000Z');
+
+      expect(days(expandRecurrence(event))).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    });
+  });
+
+  describe('exceptions', () => {
+    const event = buildEvent({
+      pattern: 'daily',
+      occurrences: 4,
+      exceptionDates: [new Date('2026-01-02T09:00:00.000Z')]
+    });
+
+    it('should leave out exception dates, which still count towards COUNT', () => {
+      expect(days(expandRecurrence(event))).toEqual(['2026-01-01', '2026-01-03', '2026-01-04']);
+    });
+
+    it('should keep exception dates when asked to', () => {
+      expect(expandRecurrence(event, { includeExceptions: true })).toHaveLength(4);
+    });
+  });
+
+  it('should return at most limit occurrences', () => {
+    const event = buildEvent({ pattern: 'daily' });
+
+    expect(expandRecurrence(event, { limit: 10 })).toHaveLength(10);
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Cart } from '../../../src/modules/cart/model.js';
+import { CartRecoveryService } from '../../../src/modules/cart/recoveryService.js';
+import { CartService } from '../../../src/modules/cart/service.js';
+import { Order } from '../../../src/modules/orders/model.js';
+
+const userId = new mongoose.Types.ObjectId();
+const shirt = new mongoose.Types.ObjectId();
+const mug = new mongoose.Types.ObjectId();
+
+const line = (product, quantity) => ({ product, quantity, price: 100000, total: quantity * 100000 });
+
+const buildCarts = () => {
+  const source = new Cart({
+    guestId: 'guest-1',
+    items: [line(shirt, 2), line(mug, 1)],
+    recovery: { token: 'restore-token' }
+  });
+  // The user's cart as the service hands it out: products populated
+  const target = new Cart({ user: userId, items: [line(shirt, 1)] });
+  target.items[0].product = { _id: shirt, name: 'Shirt' };
+  return { source, target };
+};
+
+const mockStorage = ({ source, target }, { claimed = 1 } = {}) => {
+  jest.spyOn(Cart, 'findOne').mockResolvedValue(source);
+  jest.spyOn(Cart, 'findById').mockResolvedValue(target);
+  jest.spyOn(Order, 'exists').mockResolvedValue(null);
+  jest.spyOn(CartService, 'getOrCreateUserCart').mockResolvedValue(target);
+  jest.spyOn(source, 'save').mockResolvedValue(source);
+  jest.spyOn(target, 'save').mockResolvedValue(target);
+  return {
+    addItem: jest.spyOn(CartService, 'addItem').mockResolvedValue(target),
+    updateOne: jest.spyOn(Cart, 'updateOne').mockResolvedValue({ modifiedCount: claimed })
+  };
+};
+
+describe('CartRecoveryService.restoreCart', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should merge the lines into the user cart instead of replacing it', async () => {
+    const carts = buildCarts();
+    const { addItem } = mockStorage(carts);
+    const clear = jest.spyOn(carts.target, 'clear');
+
+    await CartRecoveryService.restoreCart('restore-token', { userId });
+
+    expect(clear).not.toHaveBeenCalled();
+    expect(addItem).toHaveBeenCalledTimes(2);
+    expect(addItem).toHaveBeenCalledWith(carts.target._id, shirt, 1, userId, carts.target.guestId, null);
+    expect(addItem).toHaveBeenCalledWith(carts.target._id, mug, 1, userId, carts.target.guestId, null);
+  });
+
+  it('should use the token up', async () => {
+    const carts = buildCarts();
+    const { updateOne } = mockStorage(carts);
+
+    await CartRecoveryService.restoreCart('restore-token', { userId });
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: carts.source._id, 'recovery.token': 'restore-token' },
+      { $set: { 'recovery.token': null } }
+    );
+    expect(carts.source.recovery.token).toBeNull();
+    expect(carts.source.recovery.restoredTo).toEqual(carts.target._id);
+    expect(carts.source.status).toBe('inactive');
+  });
+
+  it('should refuse a token another request already used', async () => {
+    const carts = buildCarts();
+    const { addItem } = mockStorage(carts, { claimed: 0 });
+
+    await expect(CartRecoveryService.restoreCart('restore-token', { userId }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(addItem).not.toHaveBeenCalled();
+  });
+
+  it('should give the token back when the restore fails', async () => {
+    const carts = buildCarts();
+    const { updateOne } = mockStorage(carts);
+    carts.source.save.mockRejectedValue(new Error('write failed'));
+
+    await expect(CartRecoveryService.restoreCart('restore-token', { userId })).rejects.toThrow('write failed');
+    expect(updateOne).toHaveBeenLastCalledWith(
+      { _id: carts.source._id, 'recovery.token': null, 'recovery.restoredAt': null },
+      { $set: { 'recovery.token': 'restore-token' } }
+    );
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Coupon } from '../../../src/modules/coupons/model.js';
+import { PromotionService } from '../../../src/modules/coupons/promotionService.js';
+
+const NON_COMBINABLE_REASON = 'این کد تخفیف با تخفیف‌های فعال دیگر قابل جمع نیست';
+
+const buildCoupon = (overrides = {}) => new Coupon({
+  code: 'PROMO',
+  type: 'percentage',
+  value: 10,
+  automatic: true,
+  validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+const buildLine = (quantity, price) => ({
+  product: new mongoose.Types.ObjectId(), variant: null, categories: [], quantity, price, total: quantity * price
+});
+
+// Two lines, 300,000 in total, 50,000 shipping
+const context = {
+  lines: [buildLine(2, 100000), buildLine(1, 100000)],
+  subtotal: 300000,
+  shippingCost: 50000
+};
+
+const evaluateWith = (automatic, { entered = null, couponCode = null } = {}) => {
+  jest.spyOn(PromotionService, 'buildContext').mockResolvedValue(context);
+  jest.spyOn(Coupon, 'findActiveAutomatic').mockResolvedValue([...automatic]);
+  jest.spyOn(Coupon, 'findActiveByCode').mockResolvedValue(entered);
+
+  return PromotionService.evaluate({ items: [{}], couponCode, shippingCost: context.shippingCost });
+};
+
+describe('PromotionService stacking', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should add up combinable promotions, higher priority first', async () => {
+    const result = await evaluateWith([
+      buildCoupon({ code: 'TENOFF', value: 10, stacking: { priority: 1 } }),
+      buildCoupon({ code: 'FIXED', type: 'fixed', value: 20000, stacking: { priority: 5 } }),
+      buildCoupon({ code: 'SHIPFREE', type: 'free_shipping' })
+    ]);
+
+    expect(result.promotions.map((promotion) => promotion.code)).toEqual(['FIXED', 'TENOFF', 'SHIPFREE']);
+    expect(result.discount).toBe(50000);
+    expect(result.shippingDiscount).toBe(50000);
+    expect(result.rejected).toEqual([]);
+  });
+
+  it('should apply a non-combinable promotion alone when it is worth more', async () => {
+    const result = await evaluateWith([
+      buildCoupon({ code: 'TENOFF', value: 10 }),
+      buildCoupon({ code: 'FIXED', type: 'fixed', value: 20000 }),
+      buildCoupon({ code: 'BIGSALE', value: 20, stacking: { combinable: false } })
+    ]);
+
+    expect(result.promotions.map((promotion) => promotion.code)).toEqual(['BIGSALE']);
+    expect(result.discount).toBe(60000);
+  });
+
+  it('should keep the combined promotions when a non-combinable one is worth less', async () => {
+    const result = await evaluateWith([
+      buildCoupon({ code: 'TENOFF', value: 10 }),
+      buildCoupon({ code: 'FIXED', type: 'fixed', value: 20000 }),
+      buildCoupon({ code: 'SMALLSALE', type: 'fixed', value: 40000, stacking: { combinable: false } })
+    ]);
+
+    expect(result.promotions.map((promotion) => promotion.code)).toEqual(['TENOFF', 'FIXED']);
+    expect(result.discount).toBe(50000);
+  });
+
+  it('should keep the combined promotions on a tie', async () => {
+    const result = await evaluateWith([
+      buildCoupon({ code: 'TENOFF', value: 10 }),
+      buildCoupon({ code: 'FIXED', type: 'fixed', value: 20000 }),
+      buildCoupon({ code: 'EVEN', type: 'fixed', value: 50000, stacking: { combinable: false, priority: 10 } })
+    ]);
+
+    expect(result.promotions.map((promotion) => promotion.code)).toEqual(['TENOFF', 'FIXED']);
+    expect(result.discount).toBe(50000);
+  });
+
+  it('should reject the entered code when it loses to the running promotions', async () => {
+    const entered = buildCoupon({
+      code: 'MYCODE', type: 'fixed', value: 30000, automatic: false, stacking: { combinable: false }
+    });
+
+    const result = await evaluateWith([
+      buildCoupon({ code: 'TENOFF', value: 10 }),
+      buildCoupon({ code: 'FIXED', type: 'fixed', value: 20000 })
+    ], { entered, couponCode: 'mycode' });
+
+    expect(result.promotions.map((promotion) => promotion.code)).toEqual(['TENOFF', 'FIXED']);
+    expect(result.rejected).toEqual([{ code: 'MYCODE', reason: NON_COMBINABLE_REASON }]);
+  });
+
+  it('should never discount more than the subtotal', async () => {
+    const result = await evaluateWith([
+      buildCoupon({ code: 'FIRST', type: 'fixed', value: 200000, stacking: { priority: 2 } }),
+      buildCoupon({ code: 'SECOND', type: 'fixed', value: 200000, stacking: { priority: 1 } }),
+      buildCoupon({ code: 'THIRD', type: 'fixed', value: 50000 })
+    ]);
+
+    expect(result.promotions.map((promotion) => [promotion.code, promotion.amount])).toEqual([
+      ['FIRST', 200000],
+      ['SECOND', 100000]
+    ]);
+    expect(result.discount).toBe(300000);
+    expect(result.promotions[1].items.reduce((sum, item) => sum + item.amount, 0)).toBe(100000);
+  });
+});
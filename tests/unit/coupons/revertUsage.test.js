@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Coupon } from '../../../src/modules/coupons/model.js';
+import { CouponService } from '../../../src/modules/coupons/service.js';
+import { Order } from '../../../src/modules/orders/model.js';
+
+const buildCoupon = (overrides = {}) => new Coupon({
+  code: 'AUTO10',
+  automatic: true,
+  validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  usage: { count: 5, totalDiscount: 100000, history: [] },
+  ...overrides
+});
+
+describe('CouponService.revertUsage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should free the use of an automatic promotion once per order', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(buildCoupon());
+    const couponUpdate = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const orderUpdate = jest.spyOn(Order, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await CouponService.revertUsage('AUTO10', orderId, 20000, { releaseUse: true });
+    await CouponService.revertUsage('AUTO10', orderId, 20000, { releaseUse: true });
+
+    expect(orderUpdate).toHaveBeenCalledWith(
+      { _id: orderId, promotions: { $elemMatch: { code: 'AUTO10', usageReleased: { $ne: true } } } },
+      { $set: { 'promotions.$.usageReleased': true } }
+    );
+    expect(couponUpdate).toHaveBeenCalledTimes(1);
+    expect(couponUpdate.mock.calls[0][1]).toEqual({ $inc: { 'usage.totalDiscount': -20000, 'usage.count': -1 } });
+  });
+
+  it('should take a partial refund off the discount total of an automatic promotion', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(buildCoupon());
+    const couponUpdate = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const orderUpdate = jest.spyOn(Order, 'updateOne');
+
+    await CouponService.revertUsage('AUTO10', new mongoose.Types.ObjectId(), 5000);
+
+    expect(orderUpdate).not.toHaveBeenCalled();
+    expect(couponUpdate.mock.calls[0][1]).toEqual({ $inc: { 'usage.totalDiscount': -5000 } });
+    expect(couponUpdate.mock.calls[0][2]).toEqual({});
+  });
+
+  it('should ignore entered codes the order never used', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(buildCoupon({ code: 'MYCODE', automatic: false }));
+    const couponUpdate = jest.spyOn(Coupon, 'updateOne');
+
+    await CouponService.revertUsage('MYCODE', new mongoose.Types.ObjectId(), 5000, { releaseUse: true });
+
+    expect(couponUpdate).not.toHaveBeenCalled();
+  });
+});
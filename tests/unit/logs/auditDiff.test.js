@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { ActivityLog } from '../../../src/modules/logs/model.js';
+import { LogService } from '../../../src/modules/logs/service.js';
+
+describe('Activity log diffs and redaction', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('LogService.diff', () => {
+    it('should list changed fields by dot path and skip bookkeeping fields', () => {
+      const changes = LogService.diff(
+        { name: 'Mug', pricing: { price: 100000, currency: 'IRT' }, tags: ['a'], updatedAt: '2026-01-01' },
+        { name: 'Mug', pricing: { price: 120000, currency: 'IRT' }, tags: ['a', 'b'], updatedAt: '2026-02-01' }
+      );
+
+      expect(changes).toEqual([
+        { path: 'pricing.price', before: 100000, after: 120000 },
+        { path: 'tags', before: ['a'], after: ['a', 'b'] }
+      ]);
+    });
+
+    it('should record created and deleted records field by field', () => {
+      expect(LogService.diff(null, { name: 'Mug' })).toEqual([{ path: 'name', before: undefined, after: 'Mug' }]);
+      expect(LogService.diff({ name: 'Mug' }, null)).toEqual([{ path: 'name', before: 'Mug', after: undefined }]);
+    });
+
+    it('should compare ObjectIds and dates by value', () => {
+      const id = new mongoose.Types.ObjectId();
+      const date = new Date('2026-01-01T00:00:00Z');
+
+      expect(LogService.diff({ owner: id, at: date }, { owner: new mongoose.Types.ObjectId(id), at: new Date(date) }))
+        .toEqual([]);
+    });
+
+    it('should redact sensitive fields, also inside changed values', () => {
+      const changes = LogService.diff(
+        { password: 'old-hash', gateway: { apiKey: 'k1' }, profile: null },
+        { password: 'new-hash', gateway: { apiKey: 'k2' }, profile: { name: 'Sara', otp: '123456' } }
+      );
+
+      expect(changes).toEqual([
+        { path: 'password', before: '[REDACTED]', after: '[REDACTED]' },
+        { path: 'gateway.apiKey', before: '[REDACTED]', after: '[REDACTED]' },
+        { path: 'profile', before: null, after: { name: 'Sara', otp: '[REDACTED]' } }
+      ]);
+    });
+
+    it('should stop at 200 entries', () => {
+      const after = Object.fromEntries(Array.from({ length: 250 }, (_, index) => [`field${index}`, index]));
+
+      expect(LogService.diff({}, after)).toHaveLength(200);
+    });
+  });
+
+  describe('LogService.createActivityLog', () => {
+    it('should store the diff of snapshots and redact request bodies and metadata', async () => {
+      const create = jest.spyOn(ActivityLog, 'create').mockImplementation(async (doc) => doc);
+
+      const withSnapshots = await LogService.createActivityLog({
+        action: 'UPDATE_PRODUCT',
+        method: 'PUT',
+        resource: 'products',
+        before: { name: 'Mug' },
+        after: { name: 'Cup' },
+        metadata: { query: { token: 'abc' } }
+      });
+      const withBody = await LogService.createActivityLog({
+        action: 'UPDATE_USER',
+        method: 'PATCH',
+        resource: 'users',
+        changes: { name: 'Sara', newPassword: 'secret-1' }
+      });
+
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(withSnapshots).toMatchObject({
+        action: 'UPDATE',
+        rawAction: 'UPDATE_PRODUCT',
+        diff: [{ path: 'name', before: 'Mug', after: 'Cup' }],
+        changes: undefined,
+        metadata: { query: { token: '[REDACTED]' } }
+      });
+      expect(withBody.changes).toEqual({ name: 'Sara', newPassword: '[REDACTED]' });
+    });
+
+    it('should not throw when the log cannot be written', async () => {
+      jest.spyOn(ActivityLog, 'create').mockRejectedValue(new Error('write failed'));
+
+      await expect(LogService.createActivityLog({ action: 'DELETE', method: 'DELETE' })).resolves.toBeNull();
+    });
+  });
+});
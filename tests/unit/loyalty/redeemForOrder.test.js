@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { LoyaltyService } from '../../../src/modules/loyalty/service.js';
+import { LoyaltyAccount } from '../../../src/modules/loyalty/model.js';
+import { LoyaltyTransaction } from '../../../src/modules/loyalty/transactionModel.js';
+import { Order } from '../../../src/modules/orders/model.js';
+import { PaymentService } from '../../../src/modules/payments/service.js';
+
+const config = (overrides = {}) => ({ enabled: true, pointValue: 1000, ...overrides });
+
+const buildOrder = (total, method = 'online') => new Order({
+  orderNumber: 'ORD-TEST-1',
+  user: new mongoose.Types.ObjectId(),
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, price: total, total }],
+  payment: { method, status: 'pending', amount: total },
+  totals: { subtotal: total, total }
+});
+
+describe('Loyalty points redemption', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('LoyaltyService.redeemForOrder', () => {
+    it('should take the points off the amount still due', async () => {
+      jest.spyOn(LoyaltyService, 'getConfig').mockResolvedValue(config());
+      const debit = jest.spyOn(LoyaltyService, '_debit').mockResolvedValue({});
+      const order = buildOrder(250000);
+
+      const result = await LoyaltyService.redeemForOrder(order, 100.7);
+
+      expect(result).toEqual({ points: 100, amount: 100000 });
+      expect(debit).toHaveBeenCalledWith(order.user, 100, expect.objectContaining({ type: 'redeem', order: order._id }));
+      expect(order.payment.points).toMatchObject({ used: 100, amount: 100000 });
+      expect(order.payment.amount).toBe(150000);
+    });
+
+    it('should cap the points at what the order total needs', async () => {
+      jest.spyOn(LoyaltyService, 'getConfig').mockResolvedValue(config());
+      const debit = jest.spyOn(LoyaltyService, '_debit').mockResolvedValue({});
+      const order = buildOrder(250500);
+
+      const result = await LoyaltyService.redeemForOrder(order, 1000);
+
+      expect(debit.mock.calls[0][1]).toBe(251);
+      expect(result).toEqual({ points: 251, amount: 250500 });
+      expect(order.payment.amount).toBe(0);
+    });
+
+    it('should refuse when the club is off, points were already used or none are asked for', async () => {
+      const debit = jest.spyOn(LoyaltyService, '_debit');
+      jest.spyOn(LoyaltyService, 'getConfig').mockResolvedValueOnce(config({ enabled: false }));
+      await expect(LoyaltyService.redeemForOrder(buildOrder(100000), 10)).rejects.toThrow();
+
+      jest.spyOn(LoyaltyService, 'getConfig').mockResolvedValue(config());
+      const order = buildOrder(100000);
+      order.payment.points = { used: 10, amount: 10000 };
+      await expect(LoyaltyService.redeemForOrder(order, 10)).rejects.toThrow();
+      await expect(LoyaltyService.redeemForOrder(buildOrder(100000), 0)).rejects.toThrow();
+
+      expect(debit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('LoyaltyService._debit', () => {
+    it('should drop the redeem entry when a concurrent spend took the balance', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(LoyaltyAccount, 'findOne').mockReturnValue({
+        select: () => ({ lean: async () => ({ balance: 100 }) })
+      });
+      jest.spyOn(LoyaltyTransaction, 'create').mockResolvedValue({ _id: 'redeem-entry' });
+      const update = jest.spyOn(LoyaltyAccount, 'findOneAndUpdate').mockResolvedValue(null);
+      const remove = jest.spyOn(LoyaltyTransaction, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await expect(LoyaltyService._debit(userId, 80, { type: 'redeem' })).rejects.toThrow();
+
+      expect(update.mock.calls[0][0]).toEqual({ user: userId, balance: { $gte: 80 } });
+      expect(remove).toHaveBeenCalledWith({ _id: 'redeem-entry' });
+    });
+  });
+
+  describe('PaymentService._applyPoints', () => {
+    it('should leave the rest to the gateway when points cover part of the order', async () => {
+      jest.spyOn(LoyaltyService, 'getConfig').mockResolvedValue(config());
+      jest.spyOn(LoyaltyService, '_debit').mockResolvedValue({});
+      const order = buildOrder(250000);
+      jest.spyOn(order, 'save').mockResolvedValue(order);
+
+      const result = await PaymentService._applyPoints(order, order.user, 50);
+
+      expect(result).toBeNull();
+      expect(order.payment.amount).toBe(200000);
+    });
+
+    it('should give the points back when the order cannot be saved', async () => {
+      jest.spyOn(LoyaltyService, 'getConfig').mockResolvedValue(config());
+      jest.spyOn(LoyaltyService, '_debit').mockResolvedValue({});
+      const returnPoints = jest.spyOn(LoyaltyService, 'returnRedeemedPoints').mockResolvedValue(250);
+      const order = buildOrder(250000, 'points');
+      jest.spyOn(order, 'save').mockRejectedValue(new Error('write failed'));
+
+      await expect(PaymentService._applyPoints(order, order.user)).rejects.toThrow('write failed');
+      expect(returnPoints).toHaveBeenCalledWith(order);
+    });
+  });
+});
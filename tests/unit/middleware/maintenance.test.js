@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { maintenanceGate } from '../../../src/middleware/maintenance.js';
+import { SettingsService } from '../../../src/modules/settings/service.js';
+import { redisClient } from '../../../src/config/redis.js';
+import { config } from '../../../src/config/environment.js';
+
+const status = (overrides = {}) => ({
+  enabled: true,
+  allowedIPs: [],
+  message: { fa: 'سایت در حال به‌روزرسانی است', en: 'Down for maintenance' },
+  retryAfter: 600,
+  startsAt: null,
+  endsAt: null,
+  ...overrides
+});
+
+const buildRequest = (overrides = {}) => ({
+  method: 'GET',
+  path: '/api/v1/products',
+  ip: '203.0.113.7',
+  headers: {},
+  language: 'fa',
+  ...overrides
+});
+
+const buildResponse = () => {
+  const res = {};
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const bearer = (role) => ({ authorization: `Bearer ${jwt.sign({ id: 'u1', role }, config.JWT_SECRET)}` });
+
+const runGate = async (req) => {
+  const res = buildResponse();
+  const next = jest.fn();
+  await maintenanceGate(req, res, next);
+  return { res, next };
+};
+
+describe('maintenanceGate', () => {
+  let blacklisted;
+
+  beforeEach(() => {
+    blacklisted = new Set();
+    jest.spyOn(redisClient, 'getClient').mockReturnValue({
+      get: async (key) => (blacklisted.has(key.replace('blacklist:', '')) ? '1' : null)
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should let requests through while maintenance is off', async () => {
+    jest.spyOn(SettingsService, 'getMaintenanceStatus').mockResolvedValue(status({ enabled: false }));
+
+    const { next } = await runGate(buildRequest());
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should answer 503 with Retry-After and the localized message', async () => {
+    jest.spyOn(SettingsService, 'getMaintenanceStatus').mockResolvedValue(status());
+
+    const { res, next } = await runGate(buildRequest({ language: 'en' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '600');
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json.mock.calls[0][0].message).toBe('Down for maintenance');
+  });
+
+  it('should let exempt paths through without reading the status', async () => {
+    const getStatus = jest.spyOn(SettingsService, 'getMaintenanceStatus');
+
+    const { next } = await runGate(buildRequest({ path: '/api/v1/auth/login' }));
+
+    expect(next).toHaveBeenCalled();
+    expect(getStatus).not.toHaveBeenCalled();
+  });
+
+  describe('IP allowlist', () => {
+    it('should match exact addresses, also IPv4-mapped ones', async () => {
+      jest.spyOn(SettingsService, 'getMaintenanceStatus').mockResolvedValue(status({ allowedIPs: ['203.0.113.7'] }));
+
+      expect((await runGate(buildRequest())).next).toHaveBeenCalled();
+      expect((await runGate(buildRequest({ ip: '::ffff:203.0.113.7' }))).next).toHaveBeenCalled();
+      expect((await runGate(buildRequest({ ip: '203.0.113.8' }))).next).not.toHaveBeenCalled();
+    });
+
+    it('should match IPv4 CIDR ranges', async () => {
+      jest.spyOn(SettingsService, 'getMaintenanceStatus').mockResolvedValue(status({ allowedIPs: ['10.0.0.0/8'] }));
+
+      expect((await runGate(buildRequest({ ip: '10.20.30.40' }))).next).toHaveBeenCalled();
+      expect((await runGate(buildRequest({ ip: '11.0.0.1' }))).next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dashboard roles', () => {
+    beforeEach(() => {
+      jest.spyOn(SettingsService, 'getMaintenanceStatus').mockResolvedValue(status());
+    });
+
+    it('should let staff with a valid token through', async () => {
+      const { next } = await runGate(buildRequest({ headers: bearer('admin') }));
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should stop customers and invalid tokens', async () => {
+      expect((await runGate(buildRequest({ headers: bearer('user') }))).next).not.toHaveBeenCalled();
+      expect((await runGate(buildRequest({ headers: { authorization: 'Bearer not-a-token' } }))).next)
+        .not.toHaveBeenCalled();
+    });
+
+    it('should stop a staff token that was revoked', async () => {
+      const headers = bearer('admin');
+      blacklisted.add(headers.authorization.substring(7));
+
+      const { res, next } = await runGate(buildRequest({ headers }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import { Order } from '../../../src/modules/orders/model.js';
+
+const buildOrder = (overrides = {}) => new Order({
+  orderNumber: 'ORD-TEST-1',
+  user: new mongoose.Types.ObjectId(),
+  items: [
+    { product: new mongoose.Types.ObjectId(), quantity: 2, price: 100000, total: 200000 },
+    { product: new mongoose.Types.ObjectId(), quantity: 1, price: 100000, total: 100000 }
+  ],
+  payment: { method: 'online', status: 'completed', amount: 344300 },
+  // 10% discount, 9% tax on the discounted lines, 50,000 shipping
+  totals: { subtotal: 300000, discount: 30000, tax: 24300, shipping: 50000, shippingDiscount: 0, total: 344300 },
+  ...overrides
+});
+
+describe('Order.calculateRefund', () => {
+  it('should refund a line with its share of discount and tax', () => {
+    const order = buildOrder();
+    const [first] = order.items;
+
+    const refund = order.calculateRefund([{ itemId: first._id, quantity: 1 }]);
+
+    expect(refund.items).toHaveLength(1);
+    expect(refund.items[0].amount).toBe(98100);
+    expect(refund.amount).toBe(98100);
+    expect(refund.discountAmount).toBe(10000);
+    expect(refund.shipping).toBe(0);
+    expect(refund.clearsOrder).toBe(false);
+  });
+
+  it('should settle shipping and leftovers with the refund that clears the order', () => {
+    const order = buildOrder();
+    const [first, second] = order.items;
+
+    const refund = order.calculateRefund([
+      { itemId: first._id, quantity: 2 },
+      { itemId: second._id, quantity: 1 }
+    ]);
+
+    expect(refund.clearsOrder).toBe(true);
+    expect(refund.amount).toBe(344300);
+    expect(refund.shipping).toBe(50000);
+  });
+
+  it('should only refund what is left after earlier refunds', () => {
+    const order = buildOrder();
+    const [first, second] = order.items;
+    first.refundedQuantity = 1;
+    order.refunds.push({ amount: 98100, items: [], refundedAt: new Date() });
+
+    const refund = order.calculateRefund([
+      { itemId: first._id, quantity: 1 },
+      { itemId: second._id, quantity: 1 }
+    ]);
+
+    expect(refund.refundable).toBe(246200);
+    expect(refund.amount).toBe(246200);
+  });
+
+  it('should leave out the part paid with points', () => {
+    const order = buildOrder({
+      payment: { method: 'online', status: 'completed', amount: 300000, points: { used: 443, amount: 44300 } }
+    });
+    const [first, second] = order.items;
+
+    const refund = order.calculateRefund([
+      { itemId: first._id, quantity: 2 },
+      { itemId: second._id, quantity: 1 }
+    ]);
+
+    expect(refund.amount).toBe(300000);
+    expect(refund.pointsAmount).toBe(44300);
+  });
+
+  it('should split a line between money and points', () => {
+    const order = buildOrder({
+      payment: { method: 'online', status: 'completed', amount: 300000, points: { used: 443, amount: 44300 } }
+    });
+    const [first] = order.items;
+
+    const refund = order.calculateRefund([{ itemId: first._id, quantity: 1 }]);
+
+    expect(refund.amount).toBe(85478);
+    expect(refund.pointsAmount).toBe(12622);
+    expect(refund.refundablePoints).toBe(44300);
+  });
+
+  it('should take tax out of inclusive prices for an exempt buyer', () => {
+    const order = buildOrder({
+      items: [{
+        product: new mongoose.Types.ObjectId(),
+        quantity: 1,
+        price: 110000,
+        total: 110000,
+        tax: { class: 'standard', name: 'VAT', rate: 0.1 }
+      }, {
+        product: new mongoose.Types.ObjectId(),
+        quantity: 1,
+        price: 110000,
+        total: 110000,
+        tax: { class: 'standard', name: 'VAT', rate: 0.1 }
+      }],
+      tax: { inclusive: true, exempt: true },
+      totals: { subtotal: 220000, discount: 0, tax: 0, shipping: 0, shippingDiscount: 0, total: 200000 }
+    });
+    const [first] = order.items;
+
+    const refund = order.calculateRefund([{ itemId: first._id, quantity: 1 }]);
+
+    expect(refund.amount).toBe(100000);
+  });
+
+  it('should reject more units than are left to refund', () => {
+    const order = buildOrder();
+    const [first] = order.items;
+    first.refundedQuantity = 2;
+
+    expect(() => order.calculateRefund([{ itemId: first._id, quantity: 1 }])).toThrow();
+  });
+
+  it('should reject unknown order lines', () => {
+    const order = buildOrder();
+
+    expect(() => order.calculateRefund([{ itemId: new mongoose.Types.ObjectId(), quantity: 1 }])).toThrow();
+  });
+});
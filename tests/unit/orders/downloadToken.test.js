@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { Order } from '../../../src/modules/orders/model.js';
+import { DigitalDownload } from '../../../src/modules/orders/downloadModel.js';
+import { OrderService } from '../../../src/modules/orders/service.js';
+import { config } from '../../../src/config/environment.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildOrder = ({ downloadLimit = 3, downloadCount = 0 } = {}) => new Order({
+  orderNumber: 'ORD-TEST-1',
+  user: userId,
+  items: [{
+    product: new mongoose.Types.ObjectId(),
+    quantity: 1,
+    price: 100000,
+    total: 100000,
+    digitalProductData: { downloadUrl: 'https://files.example.com/ebook.pdf', downloadLimit, downloadCount }
+  }],
+  payment: { method: 'online', status: 'completed', amount: 100000 }
+});
+
+const issueToken = async (order) => {
+  const { downloadUrl } = await OrderService.createDownloadToken(order._id, order.items[0]._id, userId);
+  return downloadUrl.split('/').pop();
+};
+
+describe('Digital download links', () => {
+  let arvanObjectStorageService;
+
+  beforeAll(async () => {
+    // The storage client refuses to load without credentials
+    config.ARVAN_OBJECT_STORAGE_ACCESS_KEY ??= 'test-access-key';
+    config.ARVAN_OBJECT_STORAGE_SECRET_KEY ??= 'test-secret-key';
+    ({ arvanObjectStorageService } = await import('../../../src/services/arvanObjectStorage.js'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('OrderService.createDownloadToken', () => {
+    it('should sign a short-lived token bound to the order item and user', async () => {
+      const order = buildOrder({ downloadCount: 1 });
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+      const link = await OrderService.createDownloadToken(order._id, order.items[0]._id, userId);
+      const token = link.downloadUrl.split('/').pop();
+      const payload = jwt.verify(token, OrderService._downloadTokenSecret(), { audience: 'digital-download' });
+
+      expect(payload).toMatchObject({
+        order: order._id.toString(),
+        item: order.items[0]._id.toString(),
+        user: userId.toString()
+      });
+      expect(payload.exp - payload.iat).toBe(OrderService.getDownloadTokenTtl());
+      expect(link).toMatchObject({ downloadCount: 1, downloadLimit: 3 });
+    });
+
+    it('should not be usable as an access token', async () => {
+      const order = buildOrder();
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+      const token = await issueToken(order);
+
+      expect(() => jwt.verify(token, config.JWT_SECRET)).toThrow();
+    });
+  });
+
+  describe('OrderService.openDownload', () => {
+    it('should count the download within the limit before fetching the file', async () => {
+      const order = buildOrder();
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+      const updateOne = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(arvanObjectStorageService, 'getKeyFromUrl').mockReturnValue(null);
+      jest.spyOn(axios, 'get').mockResolvedValue({ headers: { 'content-type': 'application/pdf' }, data: 'stream' });
+
+      const download = await OrderService.openDownload(await issueToken(order));
+
+      expect(updateOne).toHaveBeenCalledWith(
+        {
+          _id: order._id.toString(),
+          items: {
+            $elemMatch: { _id: order.items[0]._id, 'digitalProductData.downloadCount': { $not: { $gte: 3 } } }
+          }
+        },
+        { $inc: { 'items.$.digitalProductData.downloadCount': 1 } }
+      );
+      expect(download).toMatchObject({ counted: true, filename: 'ebook.pdf', contentType: 'application/pdf' });
+    });
+
+    it('should refuse once a concurrent open took the last download', async () => {
+      const order = buildOrder();
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+      jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const fetchFile = jest.spyOn(axios, 'get');
+
+      await expect(OrderService.openDownload(await issueToken(order))).rejects.toThrow();
+      expect(fetchFile).not.toHaveBeenCalled();
+    });
+
+    it('should refuse tampered tokens', async () => {
+      const forged = jwt.sign({ order: 'x', item: 'y', user: 'z' }, config.JWT_SECRET, { audience: 'digital-download' });
+      const findOrder = jest.spyOn(Order, 'findOne');
+
+      await expect(OrderService.openDownload(forged)).rejects.toThrow();
+      expect(findOrder).not.toHaveBeenCalled();
+    });
+
+    it('should give the download back when storage cannot be reached', async () => {
+      const order = buildOrder();
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+      const updateOne = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(arvanObjectStorageService, 'getKeyFromUrl').mockReturnValue(null);
+      jest.spyOn(axios, 'get').mockRejectedValue(new Error('ECONNREFUSED'));
+      const log = jest.spyOn(DigitalDownload, 'create').mockResolvedValue({});
+
+      await expect(OrderService.openDownload(await issueToken(order))).rejects.toThrow();
+
+      expect(updateOne.mock.calls[1][1]).toEqual({ $inc: { 'items.$.digitalProductData.downloadCount': -1 } });
+      expect(log.mock.calls[0][0].status).toBe('failed');
+    });
+  });
+
+  describe('OrderService.recordDownload', () => {
+    const download = () => ({
+      order: new mongoose.Types.ObjectId().toString(),
+      item: new mongoose.Types.ObjectId().toString(),
+      component: null,
+      user: userId.toString(),
+      counted: true
+    });
+
+    it('should keep the count of a completed transfer', async () => {
+      const updateOne = jest.spyOn(Order, 'updateOne');
+      const log = jest.spyOn(DigitalDownload, 'create').mockResolvedValue({});
+
+      await OrderService.recordDownload(download(), { status: 'completed', bytes: 2048, ip: '203.0.113.7' });
+
+      expect(updateOne).not.toHaveBeenCalled();
+      expect(log.mock.calls[0][0]).toMatchObject({ status: 'completed', bytes: 2048, ip: '203.0.113.7' });
+    });
+
+    it('should give an aborted transfer back only once', async () => {
+      const updateOne = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(DigitalDownload, 'create').mockResolvedValue({});
+      const aborted = download();
+
+      await OrderService.recordDownload(aborted, { status: 'aborted' });
+      await OrderService.recordDownload(aborted, { status: 'aborted' });
+
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne.mock.calls[0][0].items.$elemMatch['digitalProductData.downloadCount']).toEqual({ $gt: 0 });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Database } from '../../../src/config/database.js';
+import { Order } from '../../../src/modules/orders/model.js';
+import { InvoiceCounter } from '../../../src/modules/orders/invoiceCounterModel.js';
+import { OrderService } from '../../../src/modules/orders/service.js';
+import { TaxService } from '../../../src/modules/tax/service.js';
+
+const buildOrder = () => new Order({
+  orderNumber: 'ORD-TEST-1',
+  user: new mongoose.Types.ObjectId(),
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, price: 100000, total: 100000 }],
+  payment: { method: 'online', status: 'completed', amount: 100000 }
+});
+
+describe('OrderService.issueInvoiceNumber', () => {
+  beforeEach(() => {
+    jest.spyOn(Database, 'supportsTransactions').mockResolvedValue(false);
+    jest.spyOn(TaxService, 'getConfig').mockResolvedValue({ invoicePrefix: 'INV' });
+    jest.spyOn(TaxService, 'getFiscalYear').mockReturnValue('1405');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should number the invoice sequentially within the fiscal year', async () => {
+    const order = buildOrder();
+    const updateOrder = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const takeNumber = jest.spyOn(InvoiceCounter, 'findOneAndUpdate').mockResolvedValue({ _id: '1405', seq: 42 });
+
+    const invoice = await OrderService.issueInvoiceNumber(order);
+
+    expect(invoice).toMatchObject({ number: 'INV-1405-000042', fiscalYear: '1405', sequence: 42 });
+    expect(order.invoice.number).toBe('INV-1405-000042');
+    expect(takeNumber).toHaveBeenCalledWith(
+      { _id: '1405' },
+      { $inc: { seq: 1 } },
+      expect.objectContaining({ upsert: true, new: true })
+    );
+    expect(updateOrder).toHaveBeenLastCalledWith(
+      { _id: order._id, 'invoice.issuedAt': invoice.issuedAt },
+      { $set: { invoice } },
+      { session: null }
+    );
+  });
+
+  it('should keep the number an order already has', async () => {
+    const order = buildOrder();
+    order.invoice = { number: 'INV-1405-000007', fiscalYear: '1405', sequence: 7, issuedAt: new Date() };
+    const takeNumber = jest.spyOn(InvoiceCounter, 'findOneAndUpdate');
+
+    const invoice = await OrderService.issueInvoiceNumber(order);
+
+    expect(invoice.number).toBe('INV-1405-000007');
+    expect(takeNumber).not.toHaveBeenCalled();
+  });
+
+  it('should not take a number when a concurrent call claimed the order', async () => {
+    const order = buildOrder();
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Order, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ invoice: { number: 'INV-1405-000043' } }) })
+    });
+    const takeNumber = jest.spyOn(InvoiceCounter, 'findOneAndUpdate');
+
+    const invoice = await OrderService.issueInvoiceNumber(order);
+
+    expect(invoice.number).toBe('INV-1405-000043');
+    expect(takeNumber).not.toHaveBeenCalled();
+  });
+
+  it('should give the number and the claim back when the invoice cannot be written', async () => {
+    const order = buildOrder();
+    const updateOrder = jest.spyOn(Order, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockRejectedValueOnce(new Error('write failed'))
+      .mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(InvoiceCounter, 'findOneAndUpdate').mockResolvedValue({ _id: '1405', seq: 42 });
+    const giveBack = jest.spyOn(InvoiceCounter, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(OrderService.issueInvoiceNumber(order)).rejects.toThrow('write failed');
+
+    expect(giveBack).toHaveBeenCalledWith({ _id: '1405', seq: 42 }, { $inc: { seq: -1 } });
+    expect(updateOrder.mock.calls[2][1]).toEqual({ $set: { 'invoice.issuedAt': null } });
+    expect(order.invoice?.number).toBeFalsy();
+  });
+});
@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Coupon } from '../../../src/modules/coupons/model.js';
+import { Order } from '../../../src/modules/orders/model.js';
+import { OrderService } from '../../../src/modules/orders/service.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildOrder = (promotions, coupon = null) => {
+  const order = new Order({
+    orderNumber: 'ORD-TEST-1',
+    user: userId,
+    items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, price: 200000, total: 200000 }],
+    payment: { method: 'online', status: 'pending', amount: 0 },
+    promotions,
+    coupon
+  });
+  order.calculateTotals();
+  order.payment.amount = order.totals.total;
+  return order;
+};
+
+const unitOfWork = () => ({ session: null, onRollback: jest.fn() });
+
+describe('OrderService._recordPromotionUsage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only count uses of automatic promotions, without a history entry', async () => {
+    const findOneAndUpdate = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue({ _id: 'coupon' });
+    const order = buildOrder([
+      { code: 'AUTO10', automatic: true, amount: 20000 },
+      { code: 'MYCODE', automatic: false, amount: 10000 }
+    ]);
+
+    await OrderService._recordPromotionUsage(order, userId, unitOfWork());
+
+    const [[, automaticUpdate], [, enteredUpdate]] = findOneAndUpdate.mock.calls;
+    expect(automaticUpdate).toEqual({ $inc: { 'usage.count': 1, 'usage.totalDiscount': 20000 } });
+    expect(enteredUpdate.$push['usage.history']).toMatchObject({ user: userId, order: order._id, discountAmount: 10000 });
+  });
+
+  it('should drop an automatic promotion that ran out and recalculate the totals', async () => {
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockImplementation(async ({ code }) => (
+      code === 'AUTO10' ? null : { _id: code }
+    ));
+    const order = buildOrder([
+      { code: 'AUTO10', automatic: true, amount: 20000 },
+      { code: 'MYCODE', automatic: false, amount: 10000 }
+    ], { code: 'MYCODE', discount: 10000 });
+    const ctx = unitOfWork();
+
+    await OrderService._recordPromotionUsage(order, userId, ctx);
+
+    expect(order.promotions.map((promotion) => promotion.code)).toEqual(['MYCODE']);
+    expect(order.totals.discount).toBe(10000);
+    expect(order.payment.amount).toBe(order.totals.total);
+    expect(order.coupon.code).toBe('MYCODE');
+    expect(ctx.onRollback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail the checkout when an entered code ran out', async () => {
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+    const order = buildOrder([{ code: 'MYCODE', automatic: false, amount: 10000 }]);
+
+    await expect(OrderService._recordPromotionUsage(order, userId, unitOfWork())).rejects.toThrow('MYCODE');
+  });
+});
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Payment } from '../../../src/modules/payments/model.js';
+import { PaymentService } from '../../../src/modules/payments/service.js';
+import { GatewayFactory } from '../../../src/modules/payments/gateways/index.js';
+import { Order } from '../../../src/modules/orders/model.js';
+import { LoyaltyService } from '../../../src/modules/loyalty/service.js';
+import { CouponService } from '../../../src/modules/coupons/service.js';
+import { InventoryService } from '../../../src/modules/products/inventoryService.js';
+
+const adminId = new mongoose.Types.ObjectId();
+
+// 344,300 order (see the calculateRefund tests), pointsAmount of it paid with points
+const buildOrder = (pointsAmount) => new Order({
+  orderNumber: 'ORD-TEST-1',
+  user: new mongoose.Types.ObjectId(),
+  items: [
+    { product: new mongoose.Types.ObjectId(), quantity: 2, price: 100000, total: 200000 },
+    { product: new mongoose.Types.ObjectId(), quantity: 1, price: 100000, total: 100000 }
+  ],
+  payment: {
+    method: pointsAmount >= 344300 ? 'points' : 'online',
+    status: 'completed',
+    amount: 344300 - pointsAmount,
+    points: { used: pointsAmount / 100, amount: pointsAmount }
+  },
+  totals: { subtotal: 300000, discount: 30000, tax: 24300, shipping: 50000, shippingDiscount: 0, total: 344300 },
+  status: 'processing'
+});
+
+const buildPayment = (order) => new Payment({
+  order: order._id,
+  user: order.user,
+  amount: order.payment.amount,
+  method: order.payment.method,
+  gateway: order.payment.amount > 0 ? 'zarinpal' : 'points',
+  status: 'completed',
+  transaction: { authority: 'A0000000000000000000000000000000001' }
+});
+
+const mockRefundStorage = (payment, order) => {
+  jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+  jest.spyOn(Order, 'findById').mockResolvedValue(order);
+  jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$set);
+  jest.spyOn(payment, 'save').mockResolvedValue(payment);
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  jest.spyOn(InventoryService, 'restockRefundedItems').mockResolvedValue(false);
+  jest.spyOn(CouponService, 'revertUsage').mockResolvedValue();
+  jest.spyOn(LoyaltyService, 'revokeEarnedPoints').mockResolvedValue(0);
+  return {
+    releaseClaim: jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 }),
+    returnPoints: jest.spyOn(LoyaltyService, 'returnRedeemedPoints').mockResolvedValue(0)
+  };
+};
+
+const mockGateway = (result = { success: true, transactionId: 'R-1' }) => {
+  const gateway = { refund: jest.fn().mockResolvedValue(result) };
+  const getGateway = jest.spyOn(GatewayFactory, 'getGateway').mockReturnValue(gateway);
+  return { gateway, getGateway };
+};
+
+describe('PaymentService.refundPayment', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('orders paid with points only', () => {
+    it('should give the points back without calling a gateway', async () => {
+      const order = buildOrder(344300);
+      const payment = buildPayment(order);
+      const { returnPoints } = mockRefundStorage(payment, order);
+      const { getGateway } = mockGateway();
+
+      await PaymentService.refundPayment(payment._id, adminId, { reason: 'test' });
+
+      expect(getGateway).not.toHaveBeenCalled();
+      expect(payment.status).toBe('refunded');
+      expect(payment.refunds[0]).toMatchObject({ amount: 0, pointsAmount: 344300 });
+      expect(order.refunds[0]).toMatchObject({ amount: 0, pointsAmount: 344300 });
+      expect(returnPoints).toHaveBeenCalledWith(order, { ratio: 1, refund: payment.refunds[0]._id });
+    });
+
+    it('should give back the share of one line and stay refundable', async () => {
+      const order = buildOrder(344300);
+      const payment = buildPayment(order);
+      const { returnPoints } = mockRefundStorage(payment, order);
+      mockGateway();
+
+      await PaymentService.refundPayment(payment._id, adminId, {
+        items: [{ itemId: order.items[0]._id, quantity: 1 }]
+      });
+
+      expect(payment.status).toBe('partially_refunded');
+      expect(order.refunds[0].pointsAmount).toBe(98100);
+      expect(order.getReturnablePointsAmount()).toBe(344300 - 98100);
+      expect(returnPoints).toHaveBeenCalledWith(order, { ratio: 98100 / 344300, refund: payment.refunds[0]._id });
+    });
+  });
+
+  describe('orders paid with money and points', () => {
+    it('should refund the money share at the gateway and the points share to the wallet', async () => {
+      const order = buildOrder(44300);
+      const payment = buildPayment(order);
+      const { returnPoints, releaseClaim } = mockRefundStorage(payment, order);
+      const { gateway } = mockGateway();
+      const quote = order.calculateRefund([{ itemId: order.items[0]._id, quantity: 1 }]);
+
+      await PaymentService.refundPayment(payment._id, adminId, {
+        items: [{ itemId: order.items[0]._id, quantity: 1 }]
+      });
+
+      expect(quote.amount + quote.pointsAmount).toBe(98100);
+      expect(gateway.refund).toHaveBeenCalledWith(expect.objectContaining({ amount: quote.amount }));
+      expect(payment.status).toBe('partially_refunded');
+      expect(order.refunds[0]).toMatchObject({ amount: quote.amount, pointsAmount: quote.pointsAmount });
+      expect(returnPoints).toHaveBeenCalledWith(order, {
+        ratio: quote.pointsAmount / 44300,
+        refund: payment.refunds[0]._id
+      });
+      expect(releaseClaim).toHaveBeenCalledWith({ _id: payment._id }, { $unset: { refundClaim: 1 } });
+    });
+
+    it('should only complete the payment once the points are given back too', async () => {
+      const order = buildOrder(44300);
+      const payment = buildPayment(order);
+      mockRefundStorage(payment, order);
+      mockGateway();
+
+      await PaymentService.refundPayment(payment._id, adminId);
+
+      expect(payment.status).toBe('refunded');
+      expect(payment.getRefundedAmount()).toBe(300000);
+      expect(order.refunds[0].pointsAmount).toBe(44300);
+    });
+  });
+
+  describe('refund claim', () => {
+    it('should release the claim when the gateway refuses the refund', async () => {
+      const order = buildOrder(0);
+      const payment = buildPayment(order);
+      const { releaseClaim } = mockRefundStorage(payment, order);
+      mockGateway({ success: false, error: { message: 'refused' } });
+
+      await expect(PaymentService.refundPayment(payment._id, adminId)).rejects.toThrow('refused');
+      expect(releaseClaim).toHaveBeenCalledTimes(1);
+      expect(payment.refunds).toHaveLength(0);
+    });
+
+    it('should release the claim when recording fails after the gateway refunded', async () => {
+      const order = buildOrder(0);
+      const payment = buildPayment(order);
+      const { releaseClaim } = mockRefundStorage(payment, order);
+      mockGateway();
+      order.save.mockRejectedValue(new Error('write failed'));
+
+      await expect(PaymentService.refundPayment(payment._id, adminId)).rejects.toThrow('write failed');
+      expect(releaseClaim).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { InventoryService } from '../../../src/modules/products/inventoryService.js';
+import { Product } from '../../../src/modules/products/model.js';
+import { Order } from '../../../src/modules/orders/model.js';
+import { Payment } from '../../../src/modules/payments/model.js';
+import { PaymentReconciliationService } from '../../../src/modules/payments/reconciliationService.js';
+import { LoyaltyService } from '../../../src/modules/loyalty/service.js';
+import { CouponService } from '../../../src/modules/coupons/service.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const buildOrder = (status, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-TEST-1',
+  status: 'pending',
+  items: [],
+  payment: { status: 'pending' },
+  inventoryReservation: { status },
+  ...overrides
+});
+
+/** Order.updateOne applies the update when the guarded status matches the stored one */
+const mockStoredStatus = (stored) => jest.spyOn(Order, 'updateOne').mockImplementation(async (filter) => {
+  const expected = filter['inventoryReservation.status'];
+  const matches = expected === undefined || (expected?.$exists === false ? stored === undefined : expected === stored);
+  return { modifiedCount: matches ? 1 : 0 };
+});
+
+describe('InventoryService reservation transitions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('_transition', () => {
+    it('should only move the status from the expected one', async () => {
+      const updateOne = mockStoredStatus('held');
+      const orderId = new mongoose.Types.ObjectId();
+
+      await expect(InventoryService._transition(orderId, 'held', 'committed')).resolves.toBe(true);
+      await expect(InventoryService._transition(orderId, 'released', 'committed')).resolves.toBe(false);
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: orderId, 'inventoryReservation.status': 'held' },
+        { $set: { 'inventoryReservation.status': 'committed' } }
+      );
+    });
+
+    it('should match legacy orders without a reservation status', async () => {
+      mockStoredStatus(undefined);
+
+      await expect(InventoryService._transition(new mongoose.Types.ObjectId(), undefined, 'restocked'))
+        .resolves.toBe(true);
+    });
+  });
+
+  describe('commitForOrder', () => {
+    it('should turn a held reservation into a sale (held -> committed)', async () => {
+      const order = buildOrder('held');
+      const product = {
+        _id: new mongoose.Types.ObjectId(),
+        inventory: { reservations: [{ _id: new mongoose.Types.ObjectId(), order: order._id, quantity: 2 }] },
+        variants: []
+      };
+      mockStoredStatus('held');
+      jest.spyOn(Product, 'find').mockResolvedValue([product]);
+      const productUpdate = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(InventoryService, '_refreshStockStatus').mockResolvedValue();
+      const sellDirectly = jest.spyOn(InventoryService, '_sellDirectly').mockResolvedValue();
+
+      await InventoryService.commitForOrder(order);
+
+      expect(productUpdate).toHaveBeenCalledWith(
+        { _id: product._id, 'inventory.reservations._id': product.inventory.reservations[0]._id },
+        {
+          $inc: { 'inventory.quantity': -2, 'inventory.reserved': -2, sales: 2 },
+          $pull: { 'inventory.reservations': { _id: product.inventory.reservations[0]._id } }
+        },
+        {}
+      );
+      expect(sellDirectly).toHaveBeenCalledWith(order, new Set([`${product._id}:`]));
+    });
+
+    it('should not sell twice when another caller committed the hold first', async () => {
+      mockStoredStatus('committed');
+      const find = jest.spyOn(Product, 'find');
+      const sellDirectly = jest.spyOn(InventoryService, '_sellDirectly').mockResolvedValue();
+
+      await InventoryService.commitForOrder(buildOrder('held'));
+
+      expect(find).not.toHaveBeenCalled();
+      expect(sellDirectly).not.toHaveBeenCalled();
+    });
+
+    it('should sell from free stock when the hold was already released (released -> committed)', async () => {
+      const order = buildOrder('released');
+      const updateOne = mockStoredStatus('released');
+      const sellDirectly = jest.spyOn(InventoryService, '_sellDirectly').mockResolvedValue();
+
+      await InventoryService.commitForOrder(order);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: order._id, 'inventoryReservation.status': 'released' },
+        { $set: { 'inventoryReservation.status': 'committed' } }
+      );
+      expect(sellDirectly).toHaveBeenCalledWith(order, new Set());
+    });
+  });
+
+  describe('releaseForOrder', () => {
+    it('should release a held reservation once (held -> released)', async () => {
+      mockStoredStatus('held');
+      const release = jest.spyOn(InventoryService, '_releaseReservations').mockResolvedValue(1);
+
+      await expect(InventoryService.releaseForOrder(buildOrder('held'))).resolves.toBe(true);
+      expect(release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave a committed reservation alone', async () => {
+      mockStoredStatus('committed');
+      const release = jest.spyOn(InventoryService, '_releaseReservations').mockResolvedValue(0);
+
+      await expect(InventoryService.releaseForOrder(buildOrder('held'))).resolves.toBe(false);
+      expect(release).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseExpiredReservations', () => {
+    const mockSweep = (order, inFlightPayment) => {
+      jest.spyOn(Order, 'find').mockReturnValue({ limit: async () => [order] });
+      jest.spyOn(Payment, 'findOne').mockReturnValue({
+        sort: () => ({ select: () => ({ lean: async () => inFlightPayment }) })
+      });
+      jest.spyOn(InventoryService, '_releaseReservations').mockResolvedValue(0);
+      jest.spyOn(PaymentReconciliationService, 'getExpireMinutes').mockReturnValue(120);
+    };
+
+    it('should keep the hold of an order whose payment is still in flight', async () => {
+      const order = buildOrder('held', { updateStatus: jest.fn() });
+      const payment = { createdAt: new Date(Date.now() - 10 * MINUTE_MS) };
+      mockSweep(order, payment);
+      const updateOne = mockStoredStatus('held');
+
+      const result = await InventoryService.releaseExpiredReservations();
+
+      expect(result).toEqual({ ordersCancelled: 0, holdsExtended: 1, orphansReleased: 0 });
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: order._id, 'inventoryReservation.status': 'held' },
+        { $set: { 'inventoryReservation.expiresAt': new Date(payment.createdAt.getTime() + 120 * MINUTE_MS) } }
+      );
+      expect(order.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('should release the hold and cancel the order when no payment is in flight', async () => {
+      const order = buildOrder('held', { updateStatus: jest.fn().mockResolvedValue() });
+      mockSweep(order, null);
+      const updateOne = mockStoredStatus('held');
+      jest.spyOn(LoyaltyService, 'returnRedeemedPoints').mockResolvedValue();
+      const releaseUsage = jest.spyOn(CouponService, 'releaseOrderUsage').mockResolvedValue();
+
+      const result = await InventoryService.releaseExpiredReservations();
+
+      expect(result).toEqual({ ordersCancelled: 1, holdsExtended: 0, orphansReleased: 0 });
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: order._id, 'inventoryReservation.status': 'held' },
+        { $set: { 'inventoryReservation.status': 'released' } }
+      );
+      expect(order.updateStatus).toHaveBeenCalledWith('cancelled', null, expect.any(String));
+      expect(releaseUsage).toHaveBeenCalledWith(order);
+    });
+  });
+});
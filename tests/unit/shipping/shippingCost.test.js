@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { ShippingMethod, ShippingZone } from '../../../src/modules/shipping/model.js';
+import { ShippingService } from '../../../src/modules/shipping/service.js';
+import { Product } from '../../../src/modules/products/model.js';
+import { createOrderSchema } from '../../../src/modules/orders/validation.js';
+
+const zone = (fields) => ({ _id: new mongoose.Types.ObjectId(), name: { fa: fields.fa }, ...fields });
+
+const TEHRAN = zone({ fa: 'تهران', provinces: ['تهران'] });
+const TEHRAN_CITY = zone({ fa: 'شهر تهران', cities: ['تهران'], freeShippingThreshold: 1000000 });
+const DOWNTOWN = zone({ fa: 'مرکز', postalCodePrefixes: ['11', '113'] });
+
+const destination = (fields = {}) => ({
+  address: 'خیابان آزادی، پلاک ۱۰',
+  city: 'تهران',
+  province: 'تهران',
+  postalCode: '1234567890',
+  ...fields
+});
+
+// 1.5 kg shirt
+const shirt = { _id: new mongoose.Types.ObjectId(), type: 'physical', physicalProduct: { weight: 1500 } };
+
+const tableMethod = () => new ShippingMethod({
+  name: 'standard',
+  displayName: { fa: 'پست', en: 'Post' },
+  costCalculation: { type: 'table' },
+  rateTables: [
+    { zone: TEHRAN_CITY._id, brackets: [{ maxWeight: 1000, cost: 30000 }, { maxWeight: 2000, cost: 45000 }] },
+    { zone: DOWNTOWN._id, brackets: [] }
+  ]
+});
+
+const mockLookups = (method, zones = [TEHRAN, TEHRAN_CITY, DOWNTOWN]) => {
+  jest.spyOn(ShippingMethod, 'findByName').mockResolvedValue(method);
+  jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ lean: async () => [shirt] }) });
+  jest.spyOn(ShippingZone, 'findActive').mockReturnValue({ lean: async () => zones });
+};
+
+describe('Shipping quotes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ShippingService._matchZone', () => {
+    const zones = [TEHRAN, TEHRAN_CITY, DOWNTOWN];
+
+    it('should prefer the longest postal-code prefix, then the city, then the province', () => {
+      expect(ShippingService._matchZone(zones, destination({ postalCode: '1134567890' }))).toBe(DOWNTOWN);
+      expect(ShippingService._matchZone(zones, destination())).toBe(TEHRAN_CITY);
+      expect(ShippingService._matchZone(zones, destination({ city: 'ری' }))).toBe(TEHRAN);
+    });
+
+    it('should match names written with Arabic letters and nested addresses', () => {
+      const kish = zone({ fa: 'کیش', cities: ['کیش'] });
+
+      expect(ShippingService._matchZone([kish], { address: destination({ city: 'كيش ' }) })).toBe(kish);
+      expect(ShippingService._matchZone([kish], destination({ city: 'قشم', province: 'هرمزگان' }))).toBeNull();
+    });
+  });
+
+  describe('ShippingService.calculateShippingCost', () => {
+    it('should charge the weight bracket of the destination zone', async () => {
+      mockLookups(tableMethod());
+
+      const quote = await ShippingService.calculateShippingCost(
+        'standard', [{ product: shirt._id, quantity: 1 }], 500000, destination()
+      );
+
+      expect(quote.cost).toBe(45000);
+      expect(quote.freeShipping).toBe(false);
+      expect(quote.calculation).toMatchObject({ weight: 1500, zone: { _id: TEHRAN_CITY._id } });
+    });
+
+    it('should ship free above the zone threshold', async () => {
+      mockLookups(tableMethod());
+
+      const quote = await ShippingService.calculateShippingCost(
+        'standard', [{ product: shirt._id, quantity: 1 }], 1000000, destination()
+      );
+
+      expect(quote.cost).toBe(0);
+      expect(quote.freeShipping).toBe(true);
+    });
+
+    it('should refuse a destination the method does not deliver to', async () => {
+      mockLookups(tableMethod());
+
+      await expect(ShippingService.calculateShippingCost(
+        'standard', [{ product: shirt._id, quantity: 1 }], 500000, destination({ postalCode: '1134567890' })
+      )).rejects.toThrow('standard');
+    });
+
+    it('should refuse unknown or unavailable methods', async () => {
+      mockLookups(null);
+      await expect(ShippingService.calculateShippingCost('express', [], 0)).rejects.toThrow('express');
+
+      const method = tableMethod();
+      method.isAvailable = false;
+      mockLookups(method);
+      await expect(ShippingService.calculateShippingCost('standard', [], 0)).rejects.toThrow('standard');
+    });
+  });
+
+  describe('checkout input', () => {
+    it('should drop a shipping cost sent by the client', () => {
+      const { value, error } = createOrderSchema.validate({
+        contactInfo: { fullName: 'Sara Ahmadi', phoneNumber: '09121234567', email: 'sara@example.com' },
+        shipping: { method: 'express', cost: 0 },
+        paymentMethod: 'online'
+      });
+
+      expect(error).toBeUndefined();
+      expect(value.shipping).toEqual({ method: 'express' });
+    });
+  });
+});
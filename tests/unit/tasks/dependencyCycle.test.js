@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+import { Task } from '../../../src/modules/tasks/model.js';
+import { TaskService } from '../../../src/modules/tasks/service.js';
+import { HTTP_STATUS } from '../../../src/utils/httpStatus.js';
+
+/**
+ * Serve Task.find({ _id: { $in } }).select('blockedBy').lean() from a blockedBy graph
+ * @param {Object} graph - { taskId: [blocker IDs] }
+ */
+const mockGraph = (graph) => jest.spyOn(Task, 'find').mockImplementation(({ _id }) => ({
+  select: () => ({
+    lean: async () => _id.$in
+      .filter((id) => graph[id])
+      .map((id) => ({ _id: id, blockedBy: graph[id] }))
+  })
+}));
+
+describe('TaskService._assertNoDependencyCycle', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should allow blockers that do not wait on the task', async () => {
+    const find = mockGraph({ b: ['c'], c: [], d: ['c'] });
+
+    await expect(TaskService._assertNoDependencyCycle('a', ['b', 'd'])).resolves.toBeUndefined();
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject the task as its own blocker', async () => {
+    const find = mockGraph({});
+
+    await expect(TaskService._assertNoDependencyCycle('a', ['a'])).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.CONFLICT
+    });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('should reject a blocker that waits on the task', async () => {
+    mockGraph({ b: ['a'] });
+
+    await expect(TaskService._assertNoDependencyCycle('a', ['b'])).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.CONFLICT
+    });
+  });
+
+  it('should reject a blocker that waits on the task through other blockers', async () => {
+    mockGraph({ b: ['c'], c: ['d'], d: ['a'] });
+
+    await expect(TaskService._assertNoDependencyCycle('a', ['b'])).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.CONFLICT
+    });
+  });
+
+  it('should stop at cycles among the blockers that do not include the task', async () => {
+    const find = mockGraph({ b: ['c'], c: ['b'] });
+
+    await expect(TaskService._assertNoDependencyCycle('a', ['b'])).resolves.toBeUndefined();
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+});
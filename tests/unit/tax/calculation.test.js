@@ -0,0 +1,123 @@
+import { calculateTax } from '../../../src/modules/tax/calculation.js';
+
+const STANDARD = { class: 'standard', name: 'VAT', rate: 0.1 };
+const REDUCED = { class: 'reduced', name: 'Reduced VAT', rate: 0.05 };
+
+describe('calculateTax', () => {
+  describe('exclusive prices', () => {
+    it('should add tax per class on the discounted lines', () => {
+      const result = calculateTax({
+        items: [{ total: 200000, tax: STANDARD }, { total: 100000, tax: REDUCED }],
+        discount: 30000
+      });
+
+      expect(result.lines).toEqual([
+        { class: 'standard', name: 'VAT', rate: 0.1, taxableAmount: 180000, amount: 18000 },
+        { class: 'reduced', name: 'Reduced VAT', rate: 0.05, taxableAmount: 90000, amount: 4500 }
+      ]);
+      expect(result.tax).toBe(22500);
+      expect(result.exempted).toBe(0);
+      expect(result.adjustment).toBe(22500);
+    });
+
+    it('should tax shipping with its own class when it is taxable', () => {
+      const result = calculateTax({
+        items: [{ total: 100000, tax: STANDARD }],
+        shipping: 50000,
+        shippingTax: STANDARD
+      });
+
+      expect(result.lines).toHaveLength(1);
+      expect(result.lines[0].taxableAmount).toBe(150000);
+      expect(result.tax).toBe(15000);
+    });
+
+    it('should leave shipping out when it is not taxable', () => {
+      const result = calculateTax({
+        items: [{ total: 100000, tax: STANDARD }],
+        shipping: 50000
+      });
+
+      expect(result.tax).toBe(10000);
+    });
+
+    it('should use TAX_RATE for lines without a tax class', () => {
+      const previous = process.env.TAX_RATE;
+      process.env.TAX_RATE = '0.09';
+
+      try {
+        const result = calculateTax({ items: [{ total: 100000 }] });
+
+        expect(result.lines).toEqual([
+          { class: 'standard', name: undefined, rate: 0.09, taxableAmount: 100000, amount: 9000 }
+        ]);
+        expect(result.tax).toBe(9000);
+      } finally {
+        if (previous === undefined) {
+          delete process.env.TAX_RATE;
+        } else {
+          process.env.TAX_RATE = previous;
+        }
+      }
+    });
+  });
+
+  describe('inclusive prices', () => {
+    it('should take the tax out of the price without changing the total', () => {
+      const result = calculateTax({
+        items: [{ total: 110000, tax: STANDARD }, { total: 105000, tax: REDUCED }],
+        inclusive: true
+      });
+
+      expect(result.lines).toEqual([
+        { class: 'standard', name: 'VAT', rate: 0.1, taxableAmount: 100000, amount: 10000 },
+        { class: 'reduced', name: 'Reduced VAT', rate: 0.05, taxableAmount: 100000, amount: 5000 }
+      ]);
+      expect(result.tax).toBe(15000);
+      expect(Object.is(result.adjustment, 0)).toBe(true);
+    });
+
+    it('should spread the discount before taking the tax out', () => {
+      const result = calculateTax({
+        items: [{ total: 220000, tax: STANDARD }],
+        discount: 110000,
+        inclusive: true
+      });
+
+      expect(result.tax).toBe(10000);
+      expect(result.lines[0].taxableAmount).toBe(100000);
+    });
+  });
+
+  describe('exempt buyers', () => {
+    it('should not charge tax on exclusive prices', () => {
+      const result = calculateTax({
+        items: [{ total: 100000, tax: STANDARD }],
+        exempt: true
+      });
+
+      expect(result.tax).toBe(0);
+      expect(result.exempted).toBe(10000);
+      expect(result.adjustment).toBe(0);
+      expect(result.lines[0]).toMatchObject({ taxableAmount: 100000, amount: 0 });
+    });
+
+    it('should take the tax off inclusive prices', () => {
+      const result = calculateTax({
+        items: [{ total: 110000, tax: STANDARD }],
+        inclusive: true,
+        exempt: true
+      });
+
+      expect(result.tax).toBe(0);
+      expect(result.exempted).toBe(10000);
+      expect(result.adjustment).toBe(-10000);
+      expect(result.lines[0]).toMatchObject({ taxableAmount: 100000, amount: 0 });
+    });
+  });
+
+  it('should return no lines for zero-rated or empty items', () => {
+    expect(calculateTax({ items: [] })).toEqual({ tax: 0, exempted: 0, adjustment: 0, lines: [] });
+    expect(calculateTax({ items: [{ total: 100000, tax: { class: 'zero', rate: 0 } }] }).tax).toBe(0);
+  });
+});
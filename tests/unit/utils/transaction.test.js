@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Database } from '../../../src/config/database.js';
+import { runAtomically } from '../../../src/utils/transaction.js';
+
+describe('runAtomically', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('standalone servers', () => {
+    beforeEach(() => {
+      jest.spyOn(Database, 'supportsTransactions').mockResolvedValue(false);
+    });
+
+    it('should return the result of the work without running compensations', async () => {
+      const compensate = jest.fn();
+
+      const result = await runAtomically(async ({ session, onRollback }) => {
+        expect(session).toBeNull();
+        onRollback(compensate);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(compensate).not.toHaveBeenCalled();
+    });
+
+    it('should undo the registered steps in reverse order and rethrow', async () => {
+      const undone = [];
+      const failure = new Error('stock gone');
+
+      await expect(runAtomically(async ({ onRollback }) => {
+        onRollback(async () => undone.push('reserve'));
+        onRollback(async () => undone.push('coupon'));
+        throw failure;
+      }, { label: 'checkout' })).rejects.toBe(failure);
+
+      expect(undone).toEqual(['coupon', 'reserve']);
+    });
+
+    it('should keep rolling back when a compensation fails', async () => {
+      const undone = [];
+
+      await expect(runAtomically(async ({ onRollback }) => {
+        onRollback(async () => undone.push('reserve'));
+        onRollback(async () => {
+          throw new Error('release failed');
+        });
+        throw new Error('order write failed');
+      })).rejects.toThrow('order write failed');
+
+      expect(undone).toEqual(['reserve']);
+    });
+  });
+
+  describe('replica sets', () => {
+    it('should run the work in a transaction with its session', async () => {
+      const session = { id: 'session' };
+      jest.spyOn(Database, 'supportsTransactions').mockResolvedValue(true);
+      const transaction = jest.spyOn(mongoose.connection, 'transaction')
+        .mockImplementation(async (fn) => fn(session));
+      const work = jest.fn(async (ctx) => ctx.session.id);
+
+      const result = await runAtomically(work);
+
+      expect(transaction).toHaveBeenCalledTimes(1);
+      expect(work.mock.calls[0][0].session).toBe(session);
+      expect(result).toBe('session');
+    });
+  });
+});